@@ -32,15 +32,25 @@ module.exports = function(grunt) {
                 src: ['js/core.js',
                       'js/util.js',
                       'js/time.js',
+                      'js/time-loss-methods.js',
+                      'js/ranking-points.js',
+                      'js/age-grading.js',
+                      'js/corrections.js',
                       'js/competitor.js',
+                      'js/team.js',
+                      'js/score-result.js',
                       'js/course-class.js',
                       'js/course.js',
                       'js/event.js',
+                      'js/multi-day-event.js',
+                      'js/performance-history.js',
                       'js/csv-reader.js',
                       'js/oe-reader.js',
                       'js/html-reader.js',
                       'js/alternative-csv-reader.js',
                       'js/iof-xml-reader.js',
+                      'js/iof-xml-writer.js',
+                      'js/encoding.js',
                       'js/input.js'
                 ],
                 dest: '<%= pkg.name %>.data.js',
@@ -51,11 +61,19 @@ module.exports = function(grunt) {
                       'js/messages.js',
                       'js/util.js',
                       'js/time.js',
+                      'js/time-loss-methods.js',
+                      'js/ranking-points.js',
+                      'js/age-grading.js',
+                      'js/corrections.js',
                       'js/competitor.js',
+                      'js/team.js',
+                      'js/score-result.js',
                       'js/course-class.js',
                       'js/course-class-set.js',
                       'js/course.js',
                       'js/event.js',
+                      'js/multi-day-event.js',
+                      'js/performance-history.js',
                       'js/chart-types.js',
                       'js/competitor-selection.js',
                       'js/data-repair.js',
@@ -64,6 +82,8 @@ module.exports = function(grunt) {
                       'js/html-reader.js',
                       'js/alternative-csv-reader.js',
                       'js/iof-xml-reader.js',
+                      'js/iof-xml-writer.js',
+                      'js/encoding.js',
                       'js/input.js',
                       'js/competitor-list.js',
                       'js/language-selector.js',
@@ -71,13 +91,28 @@ module.exports = function(grunt) {
                       'js/comparison-selector.js',
                       'js/statistics-selector.js',
                       'js/chart-type-selector.js',
+                      'js/time-loss-method-selector.js',
+                      'js/day-selector.js',
+                      'js/relay-view-selector.js',
+                      'js/ranking-points-selector.js',
+                      'js/age-grading-selector.js',
                       'js/original-data-selector.js',
                       'js/chart-popup-data.js',
                       'js/chart-popup.js',
                       'js/chart.js',
+                      'js/chart-exporter.js',
+                      'js/file-loader.js',
                       'js/results-table.js',
+                      'js/leg-difficulty-table.js',
+                      'js/multi-day-results.js',
+                      'js/performance-history-chart.js',
+                      'js/mistake-report.js',
+                      'js/pack-report.js',
+                      'js/leg-box-plot.js',
+                      'js/head-to-head.js',
                       'js/query-string.js',
                       'js/warning-viewer.js',
+                      'js/correction-editor.js',
                       'js/viewer.js'
                 ],
                 dest: '<%= pkg.name %>.js',
@@ -132,6 +167,7 @@ module.exports = function(grunt) {
                     setTimeout: false,
                     clearTimeout: false,
                     alert: false,
+                    JSON: false,
                     SplitsBrowser: true,
                   
                     // QUnit globals
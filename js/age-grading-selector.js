@@ -0,0 +1,126 @@
+/*
+ *  SplitsBrowser AgeGradingSelector - Provides a choice of tables of
+ *  age-grading factors.
+ *  awarding ranking points.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+
+    /**
+    * Returns the key of the message naming the given age-grading table.
+    * @param {?AgeGradingTable} table - The table, or null for no grading.
+    * @return {String} The key of the message naming the table.
+    */
+    function getNameKey(table) {
+        return (table === null) ? "AgeGradingNone" : table.nameKey;
+    }
+
+    /**
+    * A control that wraps a drop-down list used to choose the table of
+    * factors used to grade competitors' times by age and gender, if any.  The
+    * first option is always not to grade times, and is selected initially.
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    * @param {Array} tables - Array of age-grading tables to list after the
+    *     option not to grade times.
+    */
+    function AgeGradingSelector(parent, tables) {
+        this.changeHandlers = [];
+        this.tables = [null].concat(tables);
+
+        var div = d3.select(parent).append("div")
+                                   .classed("topRowStart", true)
+                                   .attr("id", "ageGradingSelectorContainer");
+
+        this.labelSpan = div.append("span");
+
+        var outerThis = this;
+        this.dropDown = div.append("select").node();
+        $(this.dropDown).bind("change", function() { outerThis.onSelectionChanged(); });
+
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(this.tables);
+        this.optionsList.enter().append("option");
+
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(this.tables);
+        this.optionsList.attr("value", function (_value, index) { return index.toString(); });
+
+        this.optionsList.exit().remove();
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages displayed within this control, following either its
+    * creation or a change of selected language.
+    */
+    AgeGradingSelector.prototype.setMessages = function () {
+        this.labelSpan.text(getMessage("AgeGradingSelectorLabel"));
+        this.optionsList.text(function (table) { return getMessage(getNameKey(table)); });
+    };
+
+    /**
+    * Add a change handler to be called whenever the selected age-grading
+    * table is changed.
+    *
+    * The selected table, or null if times are not to be graded, is passed to
+    * the handler function.
+    *
+    * @param {Function} handler - Handler function to be called whenever the
+    *                             table changes.
+    */
+    AgeGradingSelector.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Returns the currently-selected age-grading table.
+    * @return {?AgeGradingTable} The currently-selected table, or null if
+    *     times are not to be graded.
+    */
+    AgeGradingSelector.prototype.getAgeGradingTable = function () {
+        return this.tables[Math.max(this.dropDown.selectedIndex, 0)];
+    };
+
+    /**
+    * Sets the age-grading table.  If the table given is not recognised,
+    * nothing happens.
+    * @param {?AgeGradingTable} table - The table selected, or null not to
+    *     grade times.
+    */
+    AgeGradingSelector.prototype.setAgeGradingTable = function (table) {
+        var index = this.tables.indexOf(table);
+        if (index >= 0) {
+            this.dropDown.selectedIndex = index;
+            this.onSelectionChanged();
+        }
+    };
+
+    /**
+    * Handle a change of the selected option in the drop-down list.
+    */
+    AgeGradingSelector.prototype.onSelectionChanged = function () {
+        this.changeHandlers.forEach(function (handler) { handler(this.getAgeGradingTable()); }, this);
+    };
+
+    SplitsBrowser.Controls.AgeGradingSelector = AgeGradingSelector;
+})();
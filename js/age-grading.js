@@ -0,0 +1,126 @@
+/*
+ *  SplitsBrowser AgeGrading - Age and gender grading of competitors' times.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // Built-in grading factors, approximating those of the WMA age-grading
+    // tables in five-year bands.  Each factor is that by which the time of a
+    // competitor of the given gender, whose age is at least that given, is
+    // multiplied to make it comparable with that of a man aged under 35.
+    var WMA_FACTORS = {
+        M: {0: 1, 35: 0.97, 40: 0.94, 45: 0.91, 50: 0.88, 55: 0.85, 60: 0.81, 65: 0.77, 70: 0.73, 75: 0.68, 80: 0.63, 85: 0.57, 90: 0.5},
+        F: {0: 0.87, 35: 0.845, 40: 0.82, 45: 0.79, 50: 0.765, 55: 0.735, 60: 0.705, 65: 0.67, 70: 0.63, 75: 0.59, 80: 0.545, 85: 0.49, 90: 0.43}
+    };
+
+    /**
+    * A table of grading factors, by which the times of competitors are
+    * multiplied to give their graded times.
+    *
+    * The factors are given as an object mapping each gender, "M" or "F", to
+    * an object that maps the youngest age of each age band to the factor for
+    * that band.  For example, {M: {0: 1, 40: 0.94}, F: {0: 0.87}} grades
+    * the times of men aged 40 and over by 0.94 and those of all women by
+    * 0.87.
+    *
+    * @constructor
+    * @param {String} nameKey - The key of the message naming the table.
+    * @param {Object} factors - Object containing the grading factors.
+    */
+    function AgeGradingTable(nameKey, factors) {
+        if (typeof factors !== "object" || factors === null) {
+            throw new TypeError("The factors of an age-grading table must be an object");
+        }
+
+        this.nameKey = nameKey;
+        this.bandsByGender = {};
+        for (var gender in factors) {
+            if (factors.hasOwnProperty(gender)) {
+                this.bandsByGender[gender] = createBands(factors[gender]);
+            }
+        }
+    }
+
+    /**
+    * Returns the age bands of one gender in an age-grading table, sorted
+    * into ascending order of age.
+    * @param {Object} factorsByAge - Object mapping the youngest age of each
+    *     band to the grading factor of the band.
+    * @return {Array} Array of objects, each containing the youngest age and
+    *     the grading factor of a band.
+    */
+    function createBands(factorsByAge) {
+        if (typeof factorsByAge !== "object" || factorsByAge === null) {
+            throw new TypeError("The factors for each gender in an age-grading table must be an object");
+        }
+
+        var bands = d3.keys(factorsByAge).map(function (age) {
+            var factor = factorsByAge[age];
+            if (isNaN(parseInt(age, 10)) || typeof factor !== "number" || isNaN(factor) || factor <= 0) {
+                throw new TypeError("Age-grading factors must be positive numbers keyed by age, not " + factor + " for age " + age);
+            }
+
+            return {age: parseInt(age, 10), factor: factor};
+        });
+
+        bands.sort(function (a, b) { return d3.ascending(a.age, b.age); });
+        return bands;
+    }
+
+    /**
+    * Returns the grading factor for a competitor of the given age and gender.
+    * Competitors younger than the youngest age band of their gender, or whose
+    * gender is not in the table, have no grading factor.
+    * @param {Number} age - The age of the competitor.
+    * @param {String} gender - The gender of the competitor, "M" or "F".
+    * @return {?Number} The grading factor, or null if there is none.
+    */
+    AgeGradingTable.prototype.getFactor = function (age, gender) {
+        if (!this.bandsByGender.hasOwnProperty(gender)) {
+            return null;
+        }
+
+        var factor = null;
+        this.bandsByGender[gender].forEach(function (band) {
+            if (band.age <= age) {
+                factor = band.factor;
+            }
+        });
+
+        return factor;
+    };
+
+    SplitsBrowser.Model.AgeGradingTable = AgeGradingTable;
+
+    // The built-in age-grading tables.
+    SplitsBrowser.Model.AgeGradingTables = {
+        WMA: new AgeGradingTable("AgeGradingWMA", WMA_FACTORS)
+    };
+
+    /**
+    * Creates an age-grading table from a user-supplied table of factors, in
+    * the form described for AgeGradingTable.
+    * @param {Object} factors - Object containing the grading factors.
+    * @return {AgeGradingTable} The age-grading table.
+    */
+    SplitsBrowser.Model.createCustomAgeGradingTable = function (factors) {
+        return new AgeGradingTable("AgeGradingCustom", factors);
+    };
+})();
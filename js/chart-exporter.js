@@ -0,0 +1,279 @@
+/*
+ *  SplitsBrowser ChartExporter - Saves the chart as an SVG or PNG image.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+    // Height of the band above the chart that contains the title, in pixels.
+    var TITLE_HEIGHT = 30;
+
+    // Distance of the title from the left edge of the image, in pixels.
+    var TITLE_LEFT_MARGIN = 10;
+
+    // Selector for elements of the chart that are not to be exported: the
+    // invisible element used to measure text and the line that follows the
+    // mouse.
+    var ELEMENTS_NOT_EXPORTED_SELECTOR = "text#sb-text-size-element, line.controlLine";
+
+    // Style properties that affect how the elements of a chart are drawn,
+    // which are copied from the chart into the exported image.
+    var EXPORTED_STYLE_PROPERTIES = [
+        "display", "visibility", "opacity", "fill", "fill-opacity", "stroke",
+        "stroke-width", "stroke-opacity", "stroke-dasharray", "font-family",
+        "font-size", "font-weight", "font-style", "text-anchor",
+        "dominant-baseline", "shape-rendering"
+    ];
+
+    var getMessage = SplitsBrowser.getMessage;
+
+    /**
+    * Copies the computed styles of the elements within the given SVG element
+    * into inline styles on the corresponding elements of a copy of it.
+    *
+    * The styles are read from the chart itself, as it is within the page,
+    * because the page's style rules may select elements of the chart using
+    * elements that contain it.  Such rules would not apply to a copy of the
+    * chart, nor within a standalone image.
+    *
+    * @param {SVGElement} svgNode - The SVG element within the page.
+    * @param {SVGElement} copyNode - A deep copy of the SVG element.
+    */
+    function inlineComputedStyles(svgNode, copyNode) {
+        var copyElements = copyNode.getElementsByTagName("*");
+        $.makeArray(svgNode.getElementsByTagName("*")).forEach(function (element, index) {
+            var computedStyle = window.getComputedStyle(element);
+            var copyElement = copyElements[index];
+            EXPORTED_STYLE_PROPERTIES.forEach(function (property) {
+                var value = computedStyle.getPropertyValue(property);
+                if (value) {
+                    copyElement.style.setProperty(property, value);
+                }
+            });
+        });
+    }
+
+    /**
+    * Returns a file name, without extension, to save the chart with the given
+    * title as.
+    * @param {String} title - The title of the chart.
+    * @return {String} The file name.
+    */
+    function getFileName(title) {
+        var fileName = title.replace(/[^A-Za-z0-9\-]+/g, "_").replace(/^_+|_+$/g, "");
+        return (fileName === "") ? "chart" : fileName;
+    }
+
+    /**
+    * Downloads the given URL as a file with the given name.
+    * @param {String} url - The URL to download.
+    * @param {String} fileName - The name of the file to save.
+    */
+    function download(url, fileName) {
+        var link = d3.select("body").append("a")
+                                    .attr("href", url)
+                                    .attr("download", fileName)
+                                    .style("display", "none");
+        link.node().click();
+        link.remove();
+    }
+
+    /**
+    * A control that saves the chart as a standalone SVG image or a PNG image.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    * @param {Function} alerter - Function to call with any messages to show to
+    *     the user.
+    */
+    function ChartExporter(parent, alerter) {
+        this.alerter = alerter;
+        this.chart = null;
+        this.title = "";
+        this.enabled = true;
+
+        this.containerDiv = d3.select(parent).append("div")
+                                             .classed("topRowStart", true)
+                                             .attr("id", "chartExporterContainer");
+
+        this.label = this.containerDiv.append("span")
+                                      .classed("chartExporterLabel", true);
+
+        var outerThis = this;
+        this.svgButton = this.containerDiv.append("button")
+                                          .on("click", function () { outerThis.exportSvg(); });
+
+        this.pngButton = this.containerDiv.append("button")
+                                          .on("click", function () { outerThis.exportPng(); });
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages in this control, following either its creation or a
+    * change of selected language.
+    */
+    ChartExporter.prototype.setMessages = function () {
+        this.label.text(getMessage("ExportLabel"));
+        this.svgButton.text(getMessage("ExportSvg"))
+                      .attr("title", getMessage("ExportSvgTooltip"));
+        this.pngButton.text(getMessage("ExportPng"))
+                      .attr("title", getMessage("ExportPngTooltip"));
+    };
+
+    /**
+    * Sets the chart that this control exports.
+    * @param {SplitsBrowser.Controls.Chart} chart - The chart.
+    */
+    ChartExporter.prototype.setChart = function (chart) {
+        this.chart = chart;
+    };
+
+    /**
+    * Sets the title to show above the chart in the exported image.
+    * @param {String} title - The title.
+    */
+    ChartExporter.prototype.setTitle = function (title) {
+        this.title = title;
+    };
+
+    /**
+    * Sets whether the control is enabled.
+    * @param {boolean} isEnabled - True if the control is enabled, false if
+    *      disabled.
+    */
+    ChartExporter.prototype.setEnabled = function (isEnabled) {
+        this.enabled = isEnabled;
+        this.label.classed("disabled", !isEnabled);
+        this.svgButton.property("disabled", !isEnabled);
+        this.pngButton.property("disabled", !isEnabled);
+    };
+
+    /**
+    * Returns the width and height of the exported image.
+    * @return {Object} Object containing the width and height, in pixels.
+    */
+    ChartExporter.prototype.getImageSize = function () {
+        var svgNode = $(this.chart.getSvgNode());
+        return {width: svgNode.width(), height: svgNode.height() + TITLE_HEIGHT};
+    };
+
+    /**
+    * Returns the chart as the text of a standalone SVG document.
+    *
+    * The document contains a copy of the chart below the title, with the
+    * styles of the chart's elements copied into it, so that it appears the
+    * same outside of SplitsBrowser.
+    *
+    * @return {String} The text of the SVG document.
+    */
+    ChartExporter.prototype.getSvgText = function () {
+        var size = this.getImageSize();
+        var svgNode = this.chart.getSvgNode();
+        var svg = d3.select(svgNode.cloneNode(true));
+
+        inlineComputedStyles(svgNode, svg.node());
+        svg.selectAll(ELEMENTS_NOT_EXPORTED_SELECTOR).remove();
+
+        var chartGroup = document.createElementNS(SVG_NAMESPACE, "g");
+        while (svg.node().firstChild) {
+            chartGroup.appendChild(svg.node().firstChild);
+        }
+
+        svg.attr("id", null)
+           .attr("style", null)
+           .attr("width", size.width)
+           .attr("height", size.height);
+
+        svg.append("rect")
+           .attr("width", size.width)
+           .attr("height", size.height)
+           .attr("fill", "white");
+
+        svg.append("text")
+           .classed("chartTitle", true)
+           .attr("x", TITLE_LEFT_MARGIN)
+           .attr("y", TITLE_HEIGHT / 2)
+           .attr("dominant-baseline", "middle")
+           .style("font-size", "14px")
+           .style("font-weight", "bold")
+           .text(this.title);
+
+        d3.select(svg.node().appendChild(chartGroup))
+          .attr("transform", "translate(0," + TITLE_HEIGHT + ")");
+
+        return new window.XMLSerializer().serializeToString(svg.node());
+    };
+
+    /**
+    * Returns a data URL that contains the chart as an SVG document.
+    * @return {String} The data URL.
+    */
+    ChartExporter.prototype.getSvgDataUrl = function () {
+        return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(this.getSvgText());
+    };
+
+    /**
+    * Saves the chart as an SVG image.
+    */
+    ChartExporter.prototype.exportSvg = function () {
+        if (this.enabled && this.chart !== null) {
+            download(this.getSvgDataUrl(), getFileName(this.title) + ".svg");
+        }
+    };
+
+    /**
+    * Saves the chart as a PNG image.
+    *
+    * The SVG document is drawn onto a canvas, which is then saved.  As the
+    * image loads asynchronously, the download starts once it has loaded.  If
+    * the browser cannot load the image or save the canvas, the user is told
+    * so.
+    */
+    ChartExporter.prototype.exportPng = function () {
+        if (this.enabled && this.chart !== null) {
+            var size = this.getImageSize();
+            var fileName = getFileName(this.title) + ".png";
+            var alerter = this.alerter;
+            var image = document.createElement("img");
+            image.onload = function () {
+                var canvas = document.createElement("canvas");
+                canvas.width = size.width;
+                canvas.height = size.height;
+                try {
+                    canvas.getContext("2d").drawImage(image, 0, 0);
+                    download(canvas.toDataURL("image/png"), fileName);
+                } catch (e) {
+                    // Some browsers will not save a canvas that an SVG image
+                    // has been drawn onto.
+                    alerter(getMessage("ExportPngFailed"));
+                }
+            };
+
+            image.onerror = function () {
+                alerter(getMessage("ExportPngFailed"));
+            };
+
+            image.src = this.getSvgDataUrl();
+        }
+    };
+
+    SplitsBrowser.Controls.ChartExporter = ChartExporter;
+})();
@@ -174,7 +174,7 @@
     * @return {Object} Next-control data.
     */
     ChartPopupData.getNextControlData = function (course, eventData, controlIndex) {
-        var controlIdx = Math.min(controlIndex, course.controls.length);
+        var controlIdx = Math.min(controlIndex, course.getCombinedControls().length);
         var controlCode = course.getControlCode(controlIdx);
         var nextControls = eventData.getNextControlsAfter(controlCode);
         nextControls.sort(function (c1, c2) { return compareCourseNames(c1.course.name, c2.course.name); });
@@ -32,6 +32,8 @@
         this.changeHandlers = [];
         this.chartTypes = chartTypes;
         this.raceGraphDisabledNotifier = null;
+        this.scoreClassesSelected = false;
+        this.multiDayEventLoaded = false;
         this.lastSelectedIndex = 0;
         
         var div = d3.select(parent).append("div")
@@ -47,8 +49,9 @@
         this.optionsList.enter().append("option");
         
         this.optionsList = d3.select(this.dropDown).selectAll("option").data(chartTypes);
-        this.optionsList.attr("value", function (_value, index) { return index.toString(); });
-                   
+        this.optionsList.attr("value", function (_value, index) { return index.toString(); })
+                        .property("disabled", function (chartType) { return !outerThis.isChartTypeAvailable(chartType); });
+
         this.optionsList.exit().remove();
         
         this.setMessages();
@@ -84,6 +87,73 @@
         }
     };
     
+    /**
+    * Returns whether the given chart type can be selected for the classes
+    * currently selected.  The score graph can only be selected for score
+    * classes, and the other graphs only for classes that aren't score
+    * classes.  The results table and the event-wide leg difficulty table
+    * can always be selected.  The overall results of a multi-day event can
+    * only be selected if a multi-day event is loaded.
+    * @param {Object} chartType - The chart type.
+    * @return {boolean} True if the chart type can be selected, false if not.
+    */
+    ChartTypeSelector.prototype.isChartTypeAvailable = function (chartType) {
+        if (chartType.isMultiDayResults) {
+            return this.multiDayEventLoaded;
+        }
+        
+        return chartType.isResultsTable || chartType.isLegDifficultyTable || chartType.isScoreGraph === this.scoreClassesSelected;
+    };
+    
+    /**
+    * Enables or disables the chart types according to whether they can be
+    * selected.  If the chart type currently selected can no longer be
+    * selected, the first chart type that can be selected is selected instead.
+    */
+    ChartTypeSelector.prototype.updateAvailableChartTypes = function () {
+        var outerThis = this;
+        this.optionsList.property("disabled", function (chartType) { return !outerThis.isChartTypeAvailable(chartType); });
+        if (!this.isChartTypeAvailable(this.getChartType())) {
+            for (var index = 0; index < this.chartTypes.length; index += 1) {
+                if (this.isChartTypeAvailable(this.chartTypes[index])) {
+                    this.dropDown.selectedIndex = index;
+                    this.onSelectionChanged();
+                    break;
+                }
+            }
+        }
+    };
+    
+    /**
+    * Sets whether the classes currently selected are score classes.
+    *
+    * Chart types that cannot be selected for the classes are disabled.  If
+    * the chart type currently selected is one of them, the first chart type
+    * that can be selected is selected instead.
+    *
+    * @param {boolean} scoreClassesSelected - True if score classes are
+    *     selected, false if not.
+    */
+    ChartTypeSelector.prototype.setScoreClassesSelected = function (scoreClassesSelected) {
+        this.scoreClassesSelected = scoreClassesSelected;
+        this.updateAvailableChartTypes();
+    };
+    
+    /**
+    * Sets whether a multi-day event is loaded.
+    *
+    * The overall results of a multi-day event can only be selected if one is
+    * loaded.  If they are selected when a single-day event is loaded, the
+    * first chart type that can be selected is selected instead.
+    *
+    * @param {boolean} multiDayEventLoaded - True if a multi-day event is
+    *     loaded, false if not.
+    */
+    ChartTypeSelector.prototype.setMultiDayEventLoaded = function (multiDayEventLoaded) {
+        this.multiDayEventLoaded = multiDayEventLoaded;
+        this.updateAvailableChartTypes();
+    };
+    
     /**
     * Add a change handler to be called whenever the selected type of chart is changed.
     *
@@ -107,13 +177,13 @@
     };
     
     /**
-    * Sets the chart type.  If the chart type given is not recognised, nothing
-    * happens.
+    * Sets the chart type.  If the chart type given is not recognised, or
+    * cannot be selected for the classes currently selected, nothing happens.
     * @param {Object} chartType - The chart type selected.
     */
     ChartTypeSelector.prototype.setChartType = function (chartType) {
         var index = this.chartTypes.indexOf(chartType);
-        if (index >= 0) {
+        if (index >= 0 && this.isChartTypeAvailable(chartType)) {
             this.dropDown.selectedIndex = index;
             this.onSelectionChanged();
         }
@@ -50,6 +50,15 @@
         return competitor.getControlIndexesAroundDubiousSplitTimes();
     }
 
+    /**
+    * Returns no indexes around dubious times.  Used for charts that do not
+    * plot the competitor's times at each control.
+    * @return {Array} Empty array.
+    */
+    function getNoIndexesAroundDubiousTimes() {
+        return [];
+    }
+
     SplitsBrowser.Model.ChartTypes = {
         SplitsGraph: {
             nameKey: "SplitsGraphChartType",
@@ -58,6 +67,15 @@
             yAxisLabelKey: "SplitsGraphYAxisLabel",
             isRaceGraph: false,
             isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
             minViewableControl: 1,
             indexesAroundDubiousTimesFunc: getIndexesAroundDubiousCumulativeTimes
         },
@@ -68,6 +86,15 @@
             yAxisLabelKey: "RaceGraphYAxisLabel",
             isRaceGraph: true,
             isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
             minViewableControl: 0,
             indexesAroundDubiousTimesFunc: getIndexesAroundDubiousCumulativeTimes
         },
@@ -78,6 +105,15 @@
             yAxisLabelKey: "PositionYAxisLabel",
             isRaceGraph: false,
             isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
             minViewableControl: 1,
             indexesAroundDubiousTimesFunc: getIndexesAroundDubiousCumulativeTimes
         },
@@ -88,6 +124,15 @@
             yAxisLabelKey: "PositionYAxisLabel",
             isRaceGraph: false,
             isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
             minViewableControl: 1,
             indexesAroundDubiousTimesFunc: getIndexesAroundDubiousSplitTimes
         },
@@ -98,9 +143,94 @@
             yAxisLabelKey: "PercentBehindYAxisLabel",
             isRaceGraph: false,
             isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: getIndexesAroundDubiousSplitTimes
+        },
+        PaceGraph: {
+            nameKey: "PaceGraphChartType",
+            dataSelector: function (comp, referenceCumTimes, legLengths) { return comp.getPaces(legLengths).map(secondsToMinutes); },
+            skipStart: true,
+            yAxisLabelKey: "PaceGraphYAxisLabel",
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
             minViewableControl: 1,
             indexesAroundDubiousTimesFunc: getIndexesAroundDubiousSplitTimes
         },
+        GapToLeader: {
+            nameKey: "GapToLeaderChartType",
+            dataSelector: function (comp, referenceCumTimes, legLengths, leaderTimes) { return comp.getTimesBehindLeader(leaderTimes, false).map(secondsToMinutes); },
+            skipStart: false,
+            yAxisLabelKey: "GapToLeaderYAxisLabel",
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: true,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: getIndexesAroundDubiousCumulativeTimes
+        },
+        GapToLeaderRaceClock: {
+            nameKey: "GapToLeaderRaceClockChartType",
+            dataSelector: function (comp, referenceCumTimes, legLengths, leaderTimes) { return comp.getTimesBehindLeader(leaderTimes, true).map(secondsToMinutes); },
+            skipStart: false,
+            yAxisLabelKey: "GapToLeaderYAxisLabel",
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: true,
+            isLeaderOnRaceClock: true,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: getIndexesAroundDubiousCumulativeTimes
+        },
+        ScoreGraph: {
+            nameKey: "ScoreGraphChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: "ScoreGraphYAxisLabel",
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: true,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: getNoIndexesAroundDubiousTimes
+        },
         ResultsTable: {
             nameKey: "ResultsTableChartType",
             dataSelector: null,
@@ -108,6 +238,129 @@
             yAxisLabelKey: null,
             isRaceGraph: false,
             isResultsTable: true,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: null
+        },
+        MistakeReport: {
+            nameKey: "MistakeReportChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: null,
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: true,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: null
+        },
+        PackReport: {
+            nameKey: "PackReportChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: null,
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: true,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: null
+        },
+        LegBoxPlot: {
+            nameKey: "LegBoxPlotChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: null,
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: true,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: null
+        },
+        HeadToHead: {
+            nameKey: "HeadToHeadChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: null,
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: true,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: null
+        },
+        LegDifficultyTable: {
+            nameKey: "LegDifficultyTableChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: null,
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: true,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: false,
+            minViewableControl: 1,
+            indexesAroundDubiousTimesFunc: null
+        },
+        MultiDayResults: {
+            nameKey: "MultiDayResultsChartType",
+            dataSelector: null,
+            skipStart: false,
+            yAxisLabelKey: null,
+            isRaceGraph: false,
+            isResultsTable: false,
+            isScoreGraph: false,
+            isMistakeReport: false,
+            isPackReport: false,
+            isLegBoxPlot: false,
+            isLegDifficultyTable: false,
+            isGapToLeader: false,
+            isLeaderOnRaceClock: false,
+            isHeadToHead: false,
+            isMultiDayResults: true,
             minViewableControl: 1,
             indexesAroundDubiousTimesFunc: null
         }
@@ -53,6 +53,10 @@
     var JQUERY_EVENT_RIGHT_BUTTON = 3;
 
     var SPACER = "\xa0\xa0\xa0\xa0";
+    
+    // Padding, in pixels, added above and below the lines of the competitors
+    // in a pack when shading the pack on the race graph.
+    var PACK_BAND_PADDING = 4;
 
     var colours = [
         "#FF0000", "#4444FF", "#00FF00", "#000000", "#CC0066", "#000099",
@@ -61,6 +65,15 @@
         "#888888", "#FF99FF", "#55BB33"
     ];
 
+    /**
+    * Returns the colour used to draw the competitor with the given index.
+    * @param {Number} competitorIndex - The index of the competitor.
+    * @return {String} The colour of the competitor.
+    */
+    function getCompetitorColour(competitorIndex) {
+        return colours[competitorIndex % colours.length];
+    }
+
     // 'Imports'.
     var formatTime = SplitsBrowser.formatTime;
     var getMessage = SplitsBrowser.getMessage;
@@ -90,6 +103,16 @@
         return SPACER + formatTime(time) + " (" + rankStr + ")";
     }
     
+    /**
+    * Formats a pace, in seconds per kilometre, as a string, with the time in
+    * mm:ss format.
+    * @param {?Number} pace - The pace, in seconds per kilometre, or null.
+    * @returns Pace formatted as a string.
+    */
+    function formatPace(pace) {
+        return SPACER + ((isNotNullNorNaN(pace)) ? formatTime(Math.round(pace)) + "/km" : formatTime(pace));
+    }
+    
     /**
     * Formats and returns a competitor's name and optional suffix.
     * @param {String} name - The name of the competitor.
@@ -157,6 +180,7 @@
         this.referenceCumTimesSorted = [];
         this.referenceCumTimeIndexes = [];
         this.fastestCumTimes = [];
+        this.legLengths = [];
         
         this.isMouseIn = false;
         
@@ -520,6 +544,23 @@
         return timeLosses;
     };
     
+    /**
+    * Returns an array of the paces of the selected competitors on the leg to
+    * the given control.
+    * @param {Number} controlIndex - Index of the given control.
+    * @param {Array} indexes - Array of indexes of selected competitors.
+    * @return {Array} Array of paces, in seconds per kilometre, of the given
+    *     competitors on the leg to the given control.
+    */
+    Chart.prototype.getPaces = function (controlIndex, indexes) {
+        var legLength = this.legLengths[controlIndex - 1];
+        var selectedCompetitors = indexes.map(function (index) { return this.courseClassSet.allCompetitors[index]; }, this);
+        return selectedCompetitors.map(function (comp) {
+            var splitTime = comp.getSplitTimeTo(controlIndex);
+            return (splitTime === null || legLength === null || legLength <= 0) ? null : splitTime / legLength;
+        });
+    };
+    
     /**
     * Updates the statistics text shown after the competitors.
     */
@@ -553,6 +594,12 @@
                 labelTexts = d3.zip(labelTexts, timeLosses)
                                .map(function(pair) { return pair[0] + SPACER + formatTime(pair[1]); });
             }
+             
+            if (this.visibleStatistics.Pace) {
+                var paces = this.getPaces(this.currentControlIndex, this.selectedIndexesOrderedByLastYValue);
+                labelTexts = d3.zip(labelTexts, paces)
+                               .map(function(pair) { return pair[0] + formatPace(pair[1]); });
+            }
         }
         
         // Update the current competitor data.
@@ -714,6 +761,21 @@
                         this.getTextWidth(SPACER + formatTime(minTimeLoss)));
     };
 
+    /**
+    * Return the maximum width of the pace shown to the right of each
+    * competitor.
+    * @returns {Number} Maximum width of pace text, in pixels.
+    */
+    Chart.prototype.getMaxPaceWidth = function() {
+        var maxPace = 0;
+        for (var controlIndex = 1; controlIndex <= this.numControls + 1; controlIndex += 1) {
+            var paces = this.getPaces(controlIndex, this.selectedIndexes);
+            maxPace = Math.max(maxPace, maxNonNullNorNaNValue(paces));
+        }
+        
+        return this.getTextWidth(formatPace(maxPace));
+    };
+
     /**
     * Determines the maximum width of the statistics text at the end of the competitor.
     * @returns {Number} Maximum width of the statistics text, in pixels.
@@ -732,6 +794,9 @@
         if (this.visibleStatistics.TimeLoss) {
             maxWidth += this.getMaxTimeLossWidth();
         }
+        if (this.visibleStatistics.Pace) {
+            maxWidth += this.getMaxPaceWidth();
+        }
         
         return maxWidth;
     };
@@ -891,12 +956,66 @@
                      .text(getMessage("LowerXAxisChartLabel"));
     };
     
+    /**
+    * Draws shaded bands on the race graph around those packs that contain at
+    * least one of the selected competitors.  Each band spans the controls the
+    * pack punched together, and covers the lines of all of the competitors in
+    * the pack.  Any bands already drawn are removed.
+    * @param {Array} packs - Array of packs, as returned by
+    *     CourseClassSet.getPacks.
+    * @param {Object} chartType - The type of chart being drawn.
+    */
+    Chart.prototype.drawPackBands = function (packs, chartType) {
+        this.svgGroup.selectAll("polygon.packBand").remove();
+        if (!this.isRaceGraph) {
+            return;
+        }
+        
+        var selectedPacks = packs.filter(function (pack) {
+            return pack.competitorIndexes.some(function (compIdx) { return this.selectedIndexes.indexOf(compIdx) >= 0; }, this);
+        }, this);
+        
+        selectedPacks.forEach(function (pack) {
+            var competitorData = pack.competitors.map(function (comp) { return chartType.dataSelector(comp, this.referenceCumTimes); }, this);
+            var topPoints = [];
+            var bottomPoints = [];
+            d3.range(pack.startControl, pack.endControl + 1).forEach(function (controlIdx) {
+                var ys = competitorData.map(function (values) { return values[controlIdx]; }).filter(isNotNullNorNaN);
+                if (ys.length > 0 && isNotNullNorNaN(this.referenceCumTimes[controlIdx])) {
+                    var x = this.xScale(this.referenceCumTimes[controlIdx]);
+                    var yPixels = ys.map(function (y) { return this.yScale(y); }, this);
+                    topPoints.push(x + "," + (d3.min(yPixels) - PACK_BAND_PADDING));
+                    bottomPoints.unshift(x + "," + (d3.max(yPixels) + PACK_BAND_PADDING));
+                }
+            }, this);
+            
+            if (topPoints.length > 0) {
+                this.svgGroup.append("polygon")
+                             .attr("points", topPoints.concat(bottomPoints).join(" "))
+                             .attr("class", "packBand")
+                             .append("title")
+                             .text(pack.competitors.map(function (comp) { return comp.name; }).join(", "));
+            }
+        }, this);
+    };
+    
     /**
     * Draw the lines on the chart.
     * @param {Array} chartData - Array of chart data.
     */
     Chart.prototype.drawChartLines = function (chartData) {
         var outerThis = this;
+        
+        // Returns whether the point with the given index lies strictly within
+        // a run of dubious or estimated times of the competitor.  These
+        // points are left out of the competitor's main line, and are instead
+        // joined by the lines drawn around the dubious times.
+        var isWithinDubiousTimes = function (selCompIdx, index) {
+            return chartData.dubiousTimesInfo[selCompIdx].some(function (dubiousTimeInfo) {
+                return dubiousTimeInfo.start < index && index < dubiousTimeInfo.end;
+            });
+        };
+        
         var lineFunctionGenerator = function (selCompIdx) {
             if (!chartData.dataColumns.some(function (col) { return isNotNullNorNaN(col.ys[selCompIdx]); })) {
                 // This competitor's entire row is null/NaN, so there's no data
@@ -912,7 +1031,7 @@
                 return d3.line()
                            .x(function (d) { return outerThis.xScale(d.x); })
                            .y(function (d) { return outerThis.yScale(d.ys[selCompIdx]); })
-                           .defined(function (d) { return isNotNullNorNaN(d.ys[selCompIdx]); });
+                           .defined(function (d, index) { return isNotNullNorNaN(d.ys[selCompIdx]) && !isWithinDubiousTimes(selCompIdx, index); });
             }
         };
         
@@ -921,7 +1040,7 @@
         this.svgGroup.selectAll("line.aroundDubiousTimes").remove();
         
         d3.range(this.numLines).forEach(function (selCompIdx) {
-            var strokeColour = colours[this.selectedIndexes[selCompIdx] % colours.length];
+            var strokeColour = getCompetitorColour(this.selectedIndexes[selCompIdx]);
             var highlighter = function () { outerThis.highlight(outerThis.selectedIndexes[selCompIdx]); };
             var unhighlighter = function () { outerThis.unhighlight(); };
             
@@ -935,17 +1054,27 @@
                          .text(chartData.competitorNames[selCompIdx]);
                          
             chartData.dubiousTimesInfo[selCompIdx].forEach(function (dubiousTimeInfo) {
-                this.svgGroup.append("line")
-                             .attr("x1", this.xScale(chartData.dataColumns[dubiousTimeInfo.start].x))
-                             .attr("y1", this.yScale(chartData.dataColumns[dubiousTimeInfo.start].ys[selCompIdx]))
-                             .attr("x2", this.xScale(chartData.dataColumns[dubiousTimeInfo.end].x))
-                             .attr("y2", this.yScale(chartData.dataColumns[dubiousTimeInfo.end].ys[selCompIdx]))
-                             .attr("stroke", strokeColour)
-                             .attr("class", "aroundDubiousTimes competitor" + this.selectedIndexes[selCompIdx])
-                             .on("mouseenter", highlighter)
-                             .on("mouseleave", unhighlighter)
-                             .append("title")
-                             .text(chartData.competitorNames[selCompIdx]);
+                // Join up any estimated times within the dubious times, as
+                // well as the times either side of them.
+                var pointIndexes = d3.range(dubiousTimeInfo.start, dubiousTimeInfo.end + 1).filter(function (index) {
+                    return isNotNullNorNaN(chartData.dataColumns[index].ys[selCompIdx]);
+                });
+                
+                d3.range(1, pointIndexes.length).forEach(function (pointIndex) {
+                    var startColumn = chartData.dataColumns[pointIndexes[pointIndex - 1]];
+                    var endColumn = chartData.dataColumns[pointIndexes[pointIndex]];
+                    this.svgGroup.append("line")
+                                 .attr("x1", this.xScale(startColumn.x))
+                                 .attr("y1", this.yScale(startColumn.ys[selCompIdx]))
+                                 .attr("x2", this.xScale(endColumn.x))
+                                 .attr("y2", this.yScale(endColumn.ys[selCompIdx]))
+                                 .attr("stroke", strokeColour)
+                                 .attr("class", "aroundDubiousTimes competitor" + this.selectedIndexes[selCompIdx])
+                                 .on("mouseenter", highlighter)
+                                 .on("mouseleave", unhighlighter)
+                                 .append("title")
+                                 .text(chartData.competitorNames[selCompIdx]);
+                }, this);
             }, this);
         }, this);
     };
@@ -1068,7 +1197,7 @@
                     label: formatNameAndSuffix(name, getSuffix(this.courseClassSet.allCompetitors[competitorIndex])),
                     textHeight: textHeight,
                     y: (isNotNullNorNaN(finishColumn.ys[i])) ? this.yScale(finishColumn.ys[i]) : null,
-                    colour: colours[competitorIndex % colours.length],
+                    colour: getCompetitorColour(competitorIndex),
                     index: competitorIndex
                 };
             }, this);
@@ -1158,6 +1287,28 @@
         this.adjustContentSize();
     };
 
+    /**
+    * Shows the chart.
+    */
+    Chart.prototype.show = function () {
+        this.svg.style("display", null);
+    };
+
+    /**
+    * Hides the chart.
+    */
+    Chart.prototype.hide = function () {
+        this.svg.style("display", "none");
+    };
+
+    /**
+    * Returns the SVG element that the chart is drawn on.
+    * @return {SVGElement} The SVG element.
+    */
+    Chart.prototype.getSvgNode = function () {
+        return this.svg.node();
+    };
+
     /**
     * Clears the graph by removing all controls from it.
     */
@@ -1199,13 +1350,17 @@
     * Draws the chart.
     * @param {object} data - Object that contains various chart data.  This
     *     must contain the following properties:
-    *     * chartData {Object} - the data to plot on the chart
+    *     * chartData {Object} - the data to plot on the chart.  If this has a
+    *       yAxisLabelKey property, it is used in place of that of the chart
+    *       type.
     *     * eventData {SplitsBrowser.Model.Event} - the overall Event object.
     *     * courseClassSet {SplitsBrowser.Model.Event} - the course-class set.
     *     * referenceCumTimes {Array} - Array of cumulative split times of the
     *       'reference'.
     *     * fastestCumTimes {Array} - Array of cumulative times of the
     *       imaginary 'fastest' competitor.
+    *     * packs {Array} - Optional array of packs of competitors to shade on
+    *       the race graph.
     * @param {Array} selectedIndexes - Array of indexes of selected competitors
     *                (0 in this array means the first competitor is selected, 1
     *                means the second is selected, and so on.)
@@ -1222,6 +1377,7 @@
         this.fastestCumTimes = data.fastestCumTimes;
         this.eventData = data.eventData;
         this.courseClassSet = data.courseClassSet;
+        this.legLengths = data.courseClassSet.getLegLengths(data.referenceCumTimes);
         this.hasControls = data.courseClassSet.getCourse().hasControls();
         this.isRaceGraph = chartType.isRaceGraph;
         this.minViewableControl = chartType.minViewableControl;
@@ -1234,7 +1390,8 @@
         this.adjustContentSize();
         this.createScales(chartData);
         this.drawBackgroundRectangles();
-        this.drawAxes(getMessage(chartType.yAxisLabelKey), chartData);
+        this.drawAxes(getMessage(chartData.hasOwnProperty("yAxisLabelKey") ? chartData.yAxisLabelKey : chartType.yAxisLabelKey), chartData);
+        this.drawPackBands(data.packs || [], chartType);
         this.drawChartLines(chartData);
         this.drawCompetitorLegendLabels(chartData);
         this.removeControlLine();
@@ -1245,5 +1402,7 @@
         }
     };
     
+    Chart.getCompetitorColour = getCompetitorColour;
+    
     SplitsBrowser.Controls.Chart = Chart;
 })();
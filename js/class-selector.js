@@ -159,6 +159,20 @@
         }    
     };
     
+    /**
+    * Deregister a change handler from being called whenever the selected class
+    * or classes is changed.
+    *
+    * If the handler given was never registered, nothing happens.
+    * @param {Function} handler - Handler function to be deregistered.
+    */
+    ClassSelector.prototype.deregisterChangeHandler = function(handler) {
+        var index = this.changeHandlers.indexOf(handler);
+        if (index > -1) {
+            this.changeHandlers.splice(index, 1);
+        }
+    };
+    
     /**
     * Sets the selected classes.
     * @param {Array} selectedIndexes - Array of indexes of classes.
@@ -256,6 +256,22 @@
         return {index: typeIndex, runner: runner };
     };
     
+    /**
+    * Returns a description of what times are currently being compared
+    * against, in the currently-selected language.  If 'Any runner...' is
+    * selected, this is the name of the runner.
+    * @return {String} Description of the comparison.
+    */
+    ComparisonSelector.prototype.getComparisonText = function () {
+        if (this.isAnyRunnerSelected()) {
+            var runner = this.getComparisonType().runner;
+            return (runner) ? runner.name : getMessage("CompareWithAnyRunner");
+        } else {
+            var option = ALL_COMPARISON_OPTIONS[this.dropDown.selectedIndex];
+            return getMessageWithFormatting(option.nameKey, {"$$PERCENT$$": option.percentage});
+        }
+    };
+    
     /**
     * Sets the comparison type.
     * @param {Number} typeIndex - The index of the comparison type.
@@ -58,6 +58,7 @@
         this.allCompetitorDivs = [];
         this.inverted = false;
         this.placeholderDiv = null;
+        this.newFinishers = [];
         
         this.changeHandlers = [];
         
@@ -482,9 +483,20 @@
         competitorDivs.append("span")
                       .classed("nonfinisher", function (comp) { return !comp.completed(); })
                       .text(competitorText);
+        
+        // Competitors on a forked course have the variation they ran shown
+        // after their names.
+        competitorDivs.filter(function (comp) { return comp.variation !== null; })
+                      .append("span")
+                      .classed("competitorVariationLabel", true)
+                      .text(function (comp) { return comp.variation; });
+        
+        competitorDivs.classed("newFinisher", function (comp) { return outerThis.newFinishers.indexOf(comp) >= 0; });
 
         competitorDivs.exit().remove();
         
+        this.updateRankingPoints();
+        
         if (this.allCompetitors.length === 0) {
             this.placeholderDiv = this.listDiv.append("div")
                                               .classed("competitorListPlaceholder", true)
@@ -503,6 +515,39 @@
         this.updateFilter();
     };
 
+    /**
+    * Updates the ranking points shown alongside each competitor in the list,
+    * such as after the ranking-points scheme has changed.  Competitors with
+    * no ranking points have none shown.
+    */
+    CompetitorList.prototype.updateRankingPoints = function () {
+        var allCompetitors = this.allCompetitors;
+        this.listDiv.selectAll("div.competitor").each(function (_datum, index) {
+            var competitorDiv = d3.select(this);
+            competitorDiv.selectAll("span.competitorRankingPoints").remove();
+            var rankingPoints = allCompetitors[index].rankingPoints;
+            if (rankingPoints !== null) {
+                competitorDiv.insert("span", ":first-child")
+                             .classed("competitorRankingPoints", true)
+                             .text(rankingPoints);
+            }
+        });
+    };
+
+    /**
+    * Sets the competitors that have newly finished, such as since the
+    * results were last refreshed.  These competitors are highlighted in the
+    * list.
+    * @param {Array} newFinishers - Array of competitors that have newly
+    *     finished.
+    */
+    CompetitorList.prototype.setNewFinishers = function (newFinishers) {
+        this.newFinishers = newFinishers;
+        var outerThis = this;
+        this.listDiv.selectAll("div.competitor")
+                    .classed("newFinisher", function (_datum, index) { return newFinishers.indexOf(outerThis.allCompetitors[index]) >= 0; });
+    };
+
     /**
     * Sets the competitor selection object.
     * @param {SplitsBrowser.Controls.CompetitorSelection} selection - Competitor selection.
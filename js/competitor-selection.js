@@ -249,7 +249,10 @@
     * Migrates the selected competitors from one list to another.
     *
     * After the migration, any competitors in the old list that were selected
-    * and are also in the new competitors list remain selected.
+    * and are also in the new competitors list remain selected.  By default,
+    * competitors in the two lists must be the same objects, but a function
+    * can be given to match competitors in other ways, such as when the new
+    * list has been read from a later copy of the results.
     *
     * Note that this method does NOT fire change handlers when it runs.  This
     * is typically used during a change of class, when the application may be
@@ -260,8 +263,11 @@
     *      competitors.
     * @param {Array} newCompetitors - Array of Competitor objects for the new
     *      selection.  This array must not be empty.
+    * @param {Function|undefined} areSameCompetitors - Optional function that
+    *      takes an old competitor and a new competitor and returns whether
+    *      they are the same competitor.
     */
-    CompetitorSelection.prototype.migrate = function (oldCompetitors, newCompetitors) {
+    CompetitorSelection.prototype.migrate = function (oldCompetitors, newCompetitors, areSameCompetitors) {
         if (!$.isArray(oldCompetitors)) {
             throwInvalidData("CompetitorSelection.migrate: oldCompetitors not an array");
         } else if (!$.isArray(newCompetitors)) {
@@ -272,12 +278,16 @@
             throwInvalidData("CompetitorSelection.migrate: newCompetitors list must not be empty if current list has competitors selected");
         }
     
+        if (typeof areSameCompetitors === "undefined") {
+            areSameCompetitors = function (oldComp, newComp) { return oldComp === newComp; };
+        }
+        
         var selectedCompetitors = this.currentIndexes.map(function (index) { return oldCompetitors[index]; });
         
         this.count = newCompetitors.length;
         this.currentIndexes = [];
         newCompetitors.forEach(function (comp, idx) {
-            if (selectedCompetitors.indexOf(comp) >= 0) {
+            if (selectedCompetitors.some(function (selectedComp) { return areSameCompetitors(selectedComp, comp); })) {
                 this.currentIndexes.push(idx);
             }
         }, this);
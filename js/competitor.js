@@ -25,13 +25,29 @@
     
     var isNotNull = SplitsBrowser.isNotNull;
     var isNaNStrict = SplitsBrowser.isNaNStrict;
+    var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
     var throwInvalidData = SplitsBrowser.throwInvalidData;
 
+    /**
+    * Returns the points the given competitor scored in a score event, after
+    * the deduction of any penalty.  Competitors that did not take part in a
+    * score event, or whose points are not known, are deemed to have scored
+    * zero points.
+    * @param {SplitsBrowser.Model.Competitor} competitor - The competitor.
+    * @return {Number} The points scored by the competitor.
+    */
+    function getNetPoints(competitor) {
+        var netPoints = (competitor.scoreResult === null) ? null : competitor.scoreResult.getNetPoints();
+        return (netPoints === null) ? 0 : netPoints;
+    }
+
     /**
     * Function used with the JavaScript sort method to sort competitors in order
-    * by finishing time.
+    * by finishing time, after grading if the competitors' times are graded.
     * 
-    * Competitors that mispunch are sorted to the end of the list.
+    * Competitors that mispunch are sorted to the end of the list.  Competitors
+    * in a score event are sorted by the points they scored first, with those
+    * with the same points sorted by finishing time.
     * 
     * The return value of this method will be:
     * (1) a negative number if competitor a comes before competitor b,
@@ -44,14 +60,18 @@
     * @returns {Number} Result of comparing two competitors.
     */
     SplitsBrowser.Model.compareCompetitors = function (a, b) {
+        var aTime = a.getGradedTotalTime();
+        var bTime = b.getGradedTotalTime();
         if (a.isDisqualified !== b.isDisqualified) {
             return (a.isDisqualified) ? 1 : -1;
-        } else if (a.totalTime === b.totalTime) {
+        } else if (aTime !== null && bTime !== null && getNetPoints(a) !== getNetPoints(b)) {
+            return getNetPoints(b) - getNetPoints(a);
+        } else if (aTime === bTime) {
             return a.order - b.order;
-        } else if (a.totalTime === null) {
-            return (b.totalTime === null) ? 0 : 1;
+        } else if (aTime === null) {
+            return (bTime === null) ? 0 : 1;
         } else {
-            return (b.totalTime === null) ? -1 : a.totalTime - b.totalTime;
+            return (bTime === null) ? -1 : aTime - bTime;
         }
     };
     
@@ -105,6 +125,50 @@
         
         return splitTimes;
     }
+    
+    /**
+    * Removes the time taken on neutralised legs from an array of cumulative
+    * times.  The split time on each neutralised leg becomes zero, and all
+    * later cumulative times are reduced by the time taken on it.  If the time
+    * taken on a neutralised leg is not known, because the punch at either end
+    * of it is missing, nothing is left out for it, so that one missing punch
+    * does not remove all of the later cumulative times.
+    * @param {Array} cumTimes - Array of cumulative times.
+    * @param {Array} neutralisedLegs - Array of the numbers of the neutralised
+    *     legs, where leg N ends at control N.
+    * @return {Array} Array of cumulative times with the neutralised legs
+    *     removed.
+    */
+    function neutraliseCumTimes(cumTimes, neutralisedLegs) {
+        var neutralisedTime = 0;
+        return cumTimes.map(function (cumTime, index) {
+            if (neutralisedLegs.indexOf(index) > -1) {
+                var legTime = subtractIfNotNull(cumTime, cumTimes[index - 1]);
+                if (legTime !== null) {
+                    neutralisedTime += legTime;
+                }
+            }
+            
+            return subtractIfNotNull(cumTime, neutralisedTime);
+        });
+    }
+    
+    /**
+    * Returns the total time taken by a competitor with the given cumulative
+    * times, leaving out the time taken on any neutralised legs.
+    * @param {?Array} cumTimes - Array of cumulative times, or null.
+    * @param {?Array} neutralisedLegs - Array of the numbers of the
+    *     neutralised legs, or null if there are none.
+    * @return {?Number} The total time, or null if it is not known.
+    */
+    function getTotalTime(cumTimes, neutralisedLegs) {
+        if (cumTimes === null || cumTimes.indexOf(null) > -1) {
+            return null;
+        }
+        
+        var times = (neutralisedLegs === null) ? cumTimes : neutraliseCumTimes(cumTimes, neutralisedLegs);
+        return times[times.length - 1];
+    }
 
     /**
     * Object that represents the data for a single competitor.
@@ -151,16 +215,27 @@
         this.className = null;
         this.yearOfBirth = null;
         this.gender = null; // "M" or "F" for male or female.
+        this.scoreResult = null;
+        this.variation = null;
         
         this.originalSplitTimes = originalSplitTimes;
         this.originalCumTimes = originalCumTimes;
         this.splitTimes = null;
         this.cumTimes = null;
+        this.ungradedCumTimes = null;
+        this.ungradedSplitTimes = null;
+        this.estimatedCumTimes = null;
+        this.gradingFactor = null;
+        this.neutralisedLegs = null;
         this.splitRanks = null;
         this.cumRanks = null;
         this.timeLosses = null;
+        this.rankingPoints = null;
 
-        this.totalTime = (originalCumTimes === null || originalCumTimes.indexOf(null) > -1) ? null : originalCumTimes[originalCumTimes.length - 1];
+        this.totalTime = getTotalTime(originalCumTimes, null);
+        
+        // The total time including any neutralised legs.
+        this.rawTotalTime = this.totalTime;
     }
     
     /**
@@ -224,6 +299,36 @@
         this.gender = gender;
     };
     
+    /**
+    * Sets the name of the variation of a forked course that the competitor
+    * ran.
+    * @param {String} variation - The name of the variation.
+    */
+    Competitor.prototype.setVariation = function (variation) {
+        this.variation = variation;
+    };
+    
+    /**
+    * Sets the competitor's result in a score event.
+    * @param {SplitsBrowser.Model.ScoreResult} scoreResult - The competitor's
+    *     score result.
+    */
+    Competitor.prototype.setScoreResult = function (scoreResult) {
+        this.scoreResult = scoreResult;
+    };
+    
+    /**
+    * Returns whether this competitor is the same person as the given
+    * competitor, such as the same competitor read from a later copy of the
+    * results.  Competitors are the same if they have the same name, club and
+    * class name.
+    * @param {Competitor} other - The other competitor.
+    * @return {boolean} True if the competitors are the same, false if not.
+    */
+    Competitor.prototype.isSameCompetitorAs = function (other) {
+        return this.name === other.name && this.club === other.club && this.className === other.className;
+    };
+    
     /**
     * Create and return a Competitor object where the competitor's times are given
     * as a list of cumulative times.
@@ -274,17 +379,124 @@
         var competitor = Competitor.fromOriginalCumTimes(order, name, club, startTime, cumTimes);
         competitor.splitTimes = competitor.originalSplitTimes;
         competitor.cumTimes = competitor.originalCumTimes;
+        competitor.ungradedCumTimes = competitor.originalCumTimes;
         return competitor;
     };
     
+    /**
+    * Replaces the competitor's 'original' cumulative times, such as when the
+    * results are corrected after the event.  The competitor's total time is
+    * recalculated, and any repaired times are discarded, so the competitor's
+    * data will need repairing again.
+    * @param {Array} cumTimes - Array of cumulative split times, as numbers,
+    *     with nulls for missed controls.
+    */
+    Competitor.prototype.setOriginalCumulativeTimes = function (cumTimes) {
+        this.originalCumTimes = cumTimes;
+        this.originalSplitTimes = splitTimesFromCumTimes(cumTimes);
+        this.totalTime = getTotalTime(cumTimes, this.neutralisedLegs);
+        this.rawTotalTime = getTotalTime(cumTimes, null);
+        this.cumTimes = null;
+        this.splitTimes = null;
+        this.ungradedCumTimes = null;
+        this.ungradedSplitTimes = null;
+        this.estimatedCumTimes = null;
+    };
+    
     /**
     * Sets the 'repaired' cumulative times for a competitor.  This also
-    * calculates the repaired split times.
+    * calculates the repaired split times.  If the competitor has a grading
+    * factor, the times are graded using it.
     * @param {Array} cumTimes - The 'repaired' cumulative times.
+    * @param {Array} estimatedCumTimes - (Optional) Array of flags indicating
+    *     which of the repaired cumulative times are estimates rather than
+    *     times read from the source data.
     */
-    Competitor.prototype.setRepairedCumulativeTimes = function (cumTimes) {
-        this.cumTimes = cumTimes;
-        this.splitTimes = splitTimesFromCumTimes(cumTimes);
+    Competitor.prototype.setRepairedCumulativeTimes = function (cumTimes, estimatedCumTimes) {
+        this.ungradedCumTimes = cumTimes;
+        this.estimatedCumTimes = estimatedCumTimes || null;
+        this.gradeTimes();
+    };
+    
+    /**
+    * Sets the factor by which the competitor's times are multiplied to give
+    * their graded times, such as that for their age and gender, and grades
+    * the competitor's times using it.
+    * @param {?Number} gradingFactor - The grading factor, or null if the
+    *     competitor's times are not to be graded.
+    */
+    Competitor.prototype.setGradingFactor = function (gradingFactor) {
+        this.gradingFactor = gradingFactor;
+        if (this.ungradedCumTimes !== null) {
+            this.gradeTimes();
+        }
+    };
+    
+    /**
+    * Sets the legs of the competitor's course on which time isn't counted,
+    * such as road crossings or feeding stations.  The time taken on these
+    * legs is left out of the competitor's total time and their cumulative
+    * times, and their split times on these legs become zero.  The competitor's
+    * raw total time still includes the time taken on these legs, as do the
+    * times on the race clock at which they punched each control.
+    * @param {?Array} neutralisedLegs - Array of the numbers of the neutralised
+    *     legs, where leg N ends at control N, or null or an empty array if no
+    *     legs are neutralised.
+    */
+    Competitor.prototype.setNeutralisedLegs = function (neutralisedLegs) {
+        this.neutralisedLegs = (neutralisedLegs === null || neutralisedLegs.length === 0) ? null : neutralisedLegs;
+        this.totalTime = getTotalTime(this.originalCumTimes, this.neutralisedLegs);
+        if (this.ungradedCumTimes !== null) {
+            this.gradeTimes();
+        }
+    };
+    
+    /**
+    * Returns whether the leg ending at the control with the given index is
+    * neutralised.
+    * @param {Number} controlIndex - The index of the control at the end of
+    *     the leg.
+    * @return {boolean} True if the leg is neutralised, false if not.
+    */
+    Competitor.prototype.isLegNeutralised = function (controlIndex) {
+        return this.neutralisedLegs !== null && this.neutralisedLegs.indexOf(controlIndex) > -1;
+    };
+    
+    /**
+    * Returns whether the competitor's cumulative and split times differ from
+    * their ungraded cumulative times as a result of grading them or leaving
+    * out neutralised legs.
+    * @return {boolean} True if the competitor's times have been adjusted,
+    *     false if not.
+    */
+    Competitor.prototype.hasAdjustedTimes = function () {
+        return this.gradingFactor !== null || this.neutralisedLegs !== null;
+    };
+    
+    /**
+    * Sets the competitor's cumulative and split times from their ungraded
+    * cumulative times, leaving out the time taken on any neutralised legs
+    * and then multiplying them by the competitor's grading factor if they
+    * have one.  Graded times are rounded to the nearest second.
+    */
+    Competitor.prototype.gradeTimes = function () {
+        var gradingFactor = this.gradingFactor;
+        var cumTimes = (this.neutralisedLegs === null) ? this.ungradedCumTimes : neutraliseCumTimes(this.ungradedCumTimes, this.neutralisedLegs);
+        this.cumTimes = (gradingFactor === null) ? cumTimes : cumTimes.map(function (cumTime) {
+            return (cumTime === null) ? null : Math.round(cumTime * gradingFactor);
+        });
+        this.splitTimes = splitTimesFromCumTimes(this.cumTimes);
+        this.ungradedSplitTimes = (this.hasAdjustedTimes()) ? splitTimesFromCumTimes(this.ungradedCumTimes) : this.splitTimes;
+    };
+    
+    /**
+    * Returns the competitor's total time after grading by their grading
+    * factor, or their total time if they have no grading factor.
+    * @return {?Number} The graded total time, or null if the competitor has
+    *     no total time.
+    */
+    Competitor.prototype.getGradedTotalTime = function () {
+        return (this.totalTime === null || this.gradingFactor === null) ? this.totalTime : Math.round(this.totalTime * this.gradingFactor);
     };
     
     /**
@@ -353,7 +565,22 @@
     *     false if not.
     */
     Competitor.prototype.isSplitTimeDubious = function (controlIndex) {
-        return (controlIndex > 0 && this.originalSplitTimes[controlIndex - 1] !== this.splitTimes[controlIndex - 1]);
+        // Compare against the ungraded times, as grading and neutralising legs
+        // change the times.
+        var splitTimes = (this.hasAdjustedTimes()) ? this.ungradedSplitTimes : this.splitTimes;
+        return (controlIndex > 0 && this.originalSplitTimes[controlIndex - 1] !== splitTimes[controlIndex - 1]);
+    };
+    
+    /**
+    * Returns whether the split time to the control with the given index has
+    * been estimated, because the cumulative time at either end of the leg
+    * was estimated.
+    * @param {Number} controlIndex - The index of the control.
+    * @return {boolean} True if the split time to the given control has been
+    *     estimated, false if not.
+    */
+    Competitor.prototype.isSplitTimeEstimated = function (controlIndex) {
+        return controlIndex > 0 && (this.isCumulativeTimeEstimated(controlIndex - 1) || this.isCumulativeTimeEstimated(controlIndex));
     };
     
     /**
@@ -382,6 +609,19 @@
         return (this.isNonStarter) ? null : this.originalCumTimes[controlIndex];
     };
     
+    /**
+    * Returns the 'ungraded' cumulative time the competitor took to the given
+    * control.  This is the repaired cumulative time, before any grading
+    * factor is applied, and so is the time at which the competitor actually
+    * punched the control relative to their start.
+    * @param {Number} controlIndex - Index of the control (0 = start).
+    * @return {Number} The ungraded cumulative split time in seconds for the
+    *      competitor to the given control.
+    */
+    Competitor.prototype.getUngradedCumulativeTimeTo = function (controlIndex) {
+        return this.ungradedCumTimes[controlIndex];
+    };
+    
     /**
     * Returns whether the control with the given index is deemed to have a
     * dubious cumulative time.
@@ -390,7 +630,19 @@
     *     dubious, false if not.
     */
     Competitor.prototype.isCumulativeTimeDubious = function (controlIndex) {
-        return this.originalCumTimes[controlIndex] !== this.cumTimes[controlIndex];
+        var cumTimes = (this.hasAdjustedTimes()) ? this.ungradedCumTimes : this.cumTimes;
+        return this.originalCumTimes[controlIndex] !== cumTimes[controlIndex];
+    };
+    
+    /**
+    * Returns whether the cumulative time to the control with the given index
+    * has been estimated, rather than being read from the source data.
+    * @param {Number} controlIndex - The index of the control.
+    * @return {boolean} True if the cumulative time to the given control has
+    *     been estimated, false if not.
+    */
+    Competitor.prototype.isCumulativeTimeEstimated = function (controlIndex) {
+        return this.estimatedCumTimes !== null && this.estimatedCumTimes[controlIndex] === true;
     };
     
     /**
@@ -446,6 +698,16 @@
         return this.originalCumTimes;
     };
     
+    /**
+    * Returns all of the competitor's repaired cumulative time splits, before
+    * any grading factor is applied or neutralised legs are left out.
+    * @return {Array} The ungraded cumulative split times in seconds for the
+    *     competitor.
+    */
+    Competitor.prototype.getAllUngradedCumulativeTimes = function () {
+        return this.ungradedCumTimes;
+    };
+    
     /**
     * Returns whether this competitor is missing a start time.
     * 
@@ -471,28 +733,42 @@
     };
 
     /**
-    * Return this competitor's cumulative times after being adjusted by a 'reference' competitor.
-    * @param {Array} referenceCumTimes - The reference cumulative-split-time data to adjust by.
+    * Adjusts an array of cumulative times by those of a 'reference'
+    * competitor.
+    * @param {Array} cumTimes - The cumulative times to adjust.
+    * @param {Array} referenceCumTimes - The reference cumulative-split-time
+    *     data to adjust by.
     * @return {Array} The array of adjusted data.
     */
-    Competitor.prototype.getCumTimesAdjustedToReference = function (referenceCumTimes) {
-        if (referenceCumTimes.length !== this.cumTimes.length) {
-            throwInvalidData("Cannot adjust competitor times because the numbers of times are different (" + this.cumTimes.length + " and " + referenceCumTimes.length + ")");
+    function adjustCumTimesToReference(cumTimes, referenceCumTimes) {
+        if (referenceCumTimes.length !== cumTimes.length) {
+            throwInvalidData("Cannot adjust competitor times because the numbers of times are different (" + cumTimes.length + " and " + referenceCumTimes.length + ")");
         } else if (referenceCumTimes.indexOf(null) > -1) {
             throwInvalidData("Cannot adjust competitor times because a null value is in the reference data");
         }
 
-        var adjustedTimes = this.cumTimes.map(function (time, idx) { return subtractIfNotNull(time, referenceCumTimes[idx]); });
-        return adjustedTimes;
+        return cumTimes.map(function (time, idx) { return subtractIfNotNull(time, referenceCumTimes[idx]); });
+    }
+
+    /**
+    * Return this competitor's cumulative times after being adjusted by a 'reference' competitor.
+    * @param {Array} referenceCumTimes - The reference cumulative-split-time data to adjust by.
+    * @return {Array} The array of adjusted data.
+    */
+    Competitor.prototype.getCumTimesAdjustedToReference = function (referenceCumTimes) {
+        return adjustCumTimesToReference(this.cumTimes, referenceCumTimes);
     };
     
     /**
     * Returns the cumulative times of this competitor with the start time added on.
+    * The competitor's ungraded cumulative times are used, so that the times
+    * returned follow the race clock even if the competitor's times have been
+    * graded or neutralised legs left out.
     * @param {Array} referenceCumTimes - The reference cumulative-split-time data to adjust by.
     * @return {Array} The array of adjusted data.
     */
     Competitor.prototype.getCumTimesAdjustedToReferenceWithStartAdded = function (referenceCumTimes) {
-        var adjustedTimes = this.getCumTimesAdjustedToReference(referenceCumTimes);
+        var adjustedTimes = adjustCumTimesToReference(this.ungradedCumTimes, referenceCumTimes);
         var startTime = this.startTime;
         return adjustedTimes.map(function (adjTime) { return addIfNotNull(adjTime, startTime); });
     };
@@ -527,58 +803,233 @@
         return percentsBehind;
     };
     
+    /**
+    * Returns the competitor's pace on each leg, in seconds per kilometre.
+    *
+    * The array returned has one value for each leg, the first being the leg
+    * from the start to control 1.  The pace on a leg is null if the
+    * competitor has no split for the leg or the length of the leg is not
+    * known.
+    *
+    * @param {Array} legLengths - Array of the lengths of each leg, in
+    *     kilometres, any of which may be null if not known.
+    * @return {Array} Array of paces, in seconds per kilometre.
+    */
+    Competitor.prototype.getPaces = function (legLengths) {
+        if (legLengths.length !== this.splitTimes.length) {
+            throwInvalidData("Cannot determine paces because the numbers of legs are different (" + this.splitTimes.length + " and " + legLengths.length + ")");
+        }
+        
+        return this.splitTimes.map(function (splitTime, index) {
+            var legLength = legLengths[index];
+            return (splitTime === null || legLength === null || legLength <= 0) ? null : splitTime / legLength;
+        });
+    };
+
+    /**
+    * Returns the times at which this competitor punched each control.
+    *
+    * On the race clock these are the competitor's ungraded cumulative times
+    * with their start time added on, so that they are the times of day at
+    * which the controls were punched, otherwise they are the cumulative times
+    * themselves.
+    * A time is null if the competitor has no time for the control or, on the
+    * race clock, if the competitor has no start time.
+    *
+    * @param {boolean} onRaceClock - True to return times on the race clock,
+    *     false to return elapsed times.
+    * @return {Array} Array of times, in seconds.
+    */
+    Competitor.prototype.getControlTimes = function (onRaceClock) {
+        if (!onRaceClock) {
+            return this.cumTimes.slice(0);
+        }
+
+        var startTime = this.startTime;
+        return this.ungradedCumTimes.map(function (cumTime) { return addIfNotNull(cumTime, startTime); });
+    };
+
+    /**
+    * Returns how far this competitor was behind the leader at each control.
+    * @param {Array} leaderTimes - Array of the leader's times at each control,
+    *     as returned by CourseClassSet.getLeaderTimes.
+    * @param {boolean} onRaceClock - True if the leader's times are on the race
+    *     clock, false if they are elapsed times.
+    * @return {Array} Array of times behind the leader, in seconds.
+    */
+    Competitor.prototype.getTimesBehindLeader = function (leaderTimes, onRaceClock) {
+        if (leaderTimes.length !== this.cumTimes.length) {
+            throwInvalidData("Cannot determine times behind the leader because the numbers of times are different (" + this.cumTimes.length + " and " + leaderTimes.length + ")");
+        }
+
+        return this.getControlTimes(onRaceClock).map(function (time, idx) { return subtractIfNotNull(time, leaderTimes[idx]); });
+    };
+
+    /**
+    * Compares the split times of this competitor, leg by leg, against those
+    * of another competitor who ran the same course.
+    *
+    * The array returned has one object for each leg, the first being the leg
+    * from the start to control 1.  Each object contains the following
+    * properties:
+    * - controlIndex: the index of the control at the end of the leg.
+    * - splitTime: this competitor's split time for the leg.
+    * - otherSplitTime: the other competitor's split time for the leg.
+    * - splitDifference: this competitor's split time minus that of the other
+    *   competitor, so negative if this competitor was faster.
+    * - cumulativeDifference: this competitor's cumulative time to the end of
+    *   the leg minus that of the other competitor.
+    * The differences are null where either competitor has no valid time.
+    *
+    * @param {SplitsBrowser.Model.Competitor} otherCompetitor - The competitor
+    *     to compare against.
+    * @return {Array} Array of objects comparing the two competitors on each
+    *     leg.
+    */
+    Competitor.prototype.compareLegsWith = function (otherCompetitor) {
+        if (otherCompetitor.cumTimes.length !== this.cumTimes.length) {
+            throwInvalidData("Cannot compare competitors because the numbers of times are different (" + this.cumTimes.length + " and " + otherCompetitor.cumTimes.length + ")");
+        }
+
+        return this.splitTimes.map(function (splitTime, index) {
+            var controlIndex = index + 1;
+            var otherSplitTime = otherCompetitor.getSplitTimeTo(controlIndex);
+            var cumTime = this.getCumulativeTimeTo(controlIndex);
+            var otherCumTime = otherCompetitor.getCumulativeTimeTo(controlIndex);
+            return {
+                controlIndex: controlIndex,
+                splitTime: splitTime,
+                otherSplitTime: otherSplitTime,
+                splitDifference: (isNotNullNorNaN(splitTime) && isNotNullNorNaN(otherSplitTime)) ? splitTime - otherSplitTime : null,
+                cumulativeDifference: (isNotNullNorNaN(cumTime) && isNotNullNorNaN(otherCumTime)) ? cumTime - otherCumTime : null
+            };
+        }, this);
+    };
+
     /**
     * Determines the time losses for this competitor.
-    * @param {Array} fastestSplitTimes - Array of fastest split times.
+    *
+    * The method of estimating time losses determines the ratio of the
+    * competitor's split times to the reference split times on the legs on
+    * which they made no mistakes.  The time loss on each leg is then the
+    * amount by which the competitor's split time exceeds the reference split
+    * time scaled by this ratio.
+    *
+    * @param {Array} referenceSplitTimes - Array of reference split times,
+    *     such as the fastest split times.
+    * @param {Object} method - (Optional) The method of estimating time losses,
+    *     from SplitsBrowser.Model.TimeLossMethods.  If not specified, the
+    *     median split-ratio method is used.
     */
-    Competitor.prototype.determineTimeLosses = function (fastestSplitTimes) {
+    Competitor.prototype.determineTimeLosses = function (referenceSplitTimes, method) {
         if (this.completed()) {
-            if (fastestSplitTimes.length !== this.splitTimes.length) {
-                throwInvalidData("Cannot determine time loss of competitor with " + this.splitTimes.length + " split times using " + fastestSplitTimes.length + " fastest splits");
-            }  else if (fastestSplitTimes.some(isNaNStrict)) {
+            if (referenceSplitTimes.length !== this.splitTimes.length) {
+                throwInvalidData("Cannot determine time loss of competitor with " + this.splitTimes.length + " split times using " + referenceSplitTimes.length + " fastest splits");
+            }  else if (referenceSplitTimes.some(isNaNStrict)) {
                 throwInvalidData("Cannot determine time loss of competitor when there is a NaN value in the fastest splits");
             }
             
-            if (fastestSplitTimes.some(function (split) { return split === 0; })) {
+            // Neutralised legs take no part in working out time losses, and
+            // no time is lost on them.
+            var isCounted = function (split, index) { return !this.isLegNeutralised(index + 1); };
+            var countedReferenceSplitTimes = referenceSplitTimes.filter(isCounted, this);
+            var countedSplitTimes = this.splitTimes.filter(isCounted, this);
+            
+            if (countedReferenceSplitTimes.some(function (split) { return split === 0; })) {
                 // Someone registered a zero split on this course.  In this
                 // situation the time losses don't really make sense.
                 this.timeLosses = this.splitTimes.map(function () { return NaN; });
-            } else if (this.splitTimes.some(isNaNStrict)) {
+            } else if (countedSplitTimes.some(isNaNStrict)) {
                 // Competitor has some dubious times.  Unfortunately this
                 // means we cannot sensibly calculate the time losses.
                 this.timeLosses = this.splitTimes.map(function () { return NaN; });
             } else {
-                // We use the same algorithm for calculating time loss as the
-                // original, with a simplification: we calculate split ratios
-                // (split[i] / fastest[i]) rather than time loss rates
-                // (split[i] - fastest[i])/fastest[i].  A control's split ratio
-                // is its time loss rate plus 1.  Not subtracting one at the start
-                // means that we then don't have to add it back on at the end.
-                
-                var splitRatios = this.splitTimes.map(function (splitTime, index) {
-                    return splitTime / fastestSplitTimes[index];
-                });
-                
-                splitRatios.sort(d3.ascending);
-                
-                var medianSplitRatio;
-                if (splitRatios.length % 2 === 1) {
-                    medianSplitRatio = splitRatios[(splitRatios.length - 1) / 2];
-                } else {
-                    var midpt = splitRatios.length / 2;
-                    medianSplitRatio = (splitRatios[midpt - 1] + splitRatios[midpt]) / 2;
-                }
+                method = method || SplitsBrowser.Model.TimeLossMethods.MedianSplitRatio;
+                var performanceRatio = method.getPerformanceRatio(countedSplitTimes, countedReferenceSplitTimes);
                 
                 this.timeLosses = this.splitTimes.map(function (splitTime, index) {
-                    return Math.round(splitTime - fastestSplitTimes[index] * medianSplitRatio);
-                });
+                    return (this.isLegNeutralised(index + 1)) ? 0 : Math.round(splitTime - referenceSplitTimes[index] * performanceRatio);
+                }, this);
             }
         }
     };
     
+    /**
+    * Returns the legs on which this competitor made mistakes, i.e. those on
+    * which their estimated time loss exceeds the given threshold.
+    *
+    * The threshold is either a number of seconds or a percentage of the time
+    * the competitor would have taken for the leg without the mistake, i.e.
+    * their split time minus their time loss.  If the time losses have not
+    * been determined, or could not be determined, no legs are returned.
+    *
+    * @param {Number} threshold - The threshold, in seconds or as a percentage.
+    * @param {boolean} isPercentage - True if the threshold is a percentage,
+    *     false if it is a number of seconds.
+    * @return {Array} Array of objects, one for each leg with a mistake, each
+    *     containing the index of the control at the end of the leg, the
+    *     split time and the time loss.
+    */
+    Competitor.prototype.getMistakes = function (threshold, isPercentage) {
+        if (this.timeLosses === null) {
+            return [];
+        }
+        
+        var mistakes = [];
+        this.timeLosses.forEach(function (timeLoss, index) {
+            if (isNotNullNorNaN(timeLoss)) {
+                var splitTime = this.splitTimes[index];
+                var minimumTimeLoss = (isPercentage) ? (splitTime - timeLoss) * threshold / 100 : threshold;
+                if (timeLoss > minimumTimeLoss) {
+                    mistakes.push({controlIndex: index + 1, splitTime: splitTime, timeLoss: timeLoss});
+                }
+            }
+        }, this);
+        
+        return mistakes;
+    };
+    
+    /**
+    * Returns whether this competitor is eligible for ranking points: they
+    * must have completed the course competitively, so non-competitive,
+    * disqualified and over-max-time competitors are not eligible.
+    * @return {boolean} True if the competitor is eligible for ranking points,
+    *     false if not.
+    */
+    Competitor.prototype.isEligibleForRankingPoints = function () {
+        return this.completed() && !this.isNonCompetitive;
+    };
+    
+    /**
+    * Sets the ranking points awarded to this competitor.
+    * @param {?Number} rankingPoints - The ranking points awarded, or null if
+    *     none were awarded.
+    */
+    Competitor.prototype.setRankingPoints = function (rankingPoints) {
+        this.rankingPoints = rankingPoints;
+    };
+    
+    /**
+    * Returns the total time this competitor lost through mistakes, i.e. the
+    * sum of their positive time losses.  Legs on which the competitor was
+    * faster than expected do not make up for time lost elsewhere.  If the
+    * time losses have not been determined, or could not be determined, null
+    * is returned.
+    * @return {?Number} The total time lost, in seconds, or null.
+    */
+    Competitor.prototype.getTotalTimeLoss = function () {
+        if (this.timeLosses === null || !this.timeLosses.every(isNotNullNorNaN)) {
+            return null;
+        }
+        
+        return d3.sum(this.timeLosses, function (timeLoss) { return Math.max(timeLoss, 0); });
+    };
+    
     /**
     * Returns whether this competitor 'crosses' another.  Two competitors are
     * considered to have crossed if their chart lines on the Race Graph cross.
+    * As the Race Graph follows the race clock, the competitors' ungraded
+    * cumulative times are compared.
     * @param {Competitor} other - The competitor to compare against.
     * @return {Boolean} true if the competitors cross, false if they don't.
     */
@@ -594,10 +1045,10 @@
         var beforeOther = false;
         var afterOther = false;
         
-        for (var controlIdx = 0; controlIdx < this.cumTimes.length; controlIdx += 1) {
-            if (this.cumTimes[controlIdx] !== null && other.cumTimes[controlIdx] !== null) {
-                var thisTotalTime = this.startTime + this.cumTimes[controlIdx];
-                var otherTotalTime = other.startTime + other.cumTimes[controlIdx];
+        for (var controlIdx = 0; controlIdx < this.ungradedCumTimes.length; controlIdx += 1) {
+            if (this.ungradedCumTimes[controlIdx] !== null && other.ungradedCumTimes[controlIdx] !== null) {
+                var thisTotalTime = this.startTime + this.ungradedCumTimes[controlIdx];
+                var otherTotalTime = other.startTime + other.ungradedCumTimes[controlIdx];
                 if (thisTotalTime < otherTotalTime) {
                     beforeOther = true;
                 } else if (thisTotalTime > otherTotalTime) {
@@ -611,17 +1062,20 @@
     
     /**
     * Returns an array of objects that record the indexes around which times in
-    * the given array are NaN.
+    * the given array are NaN or have been estimated.
     * @param {Array} times - Array of time values.
+    * @param {Function} isEstimated - Function that returns whether the time
+    *     with the given index has been estimated.
     * @return {Array} Array of objects that record indexes around dubious times.
     */
-    function getIndexesAroundDubiousTimes(times) {
+    function getIndexesAroundDubiousTimes(times, isEstimated) {
+        var isDubious = function (index) { return isNaNStrict(times[index]) || isEstimated(index); };
         var dubiousTimeInfo = [];
         var startIndex = 1;
         while (startIndex + 1 < times.length) {
-            if (isNaNStrict(times[startIndex])) {
+            if (isDubious(startIndex)) {
                 var endIndex = startIndex;
-                while (endIndex + 1 < times.length && isNaNStrict(times[endIndex + 1])) {
+                while (endIndex + 1 < times.length && isDubious(endIndex + 1)) {
                     endIndex += 1;
                 }
                 
@@ -641,22 +1095,24 @@
     
     /**
     * Returns an array of objects that list the controls around those that have
-    * dubious cumulative times.
+    * dubious or estimated cumulative times.
     * @return {Array} Array of objects that detail the start and end indexes
     *     around dubious cumulative times.
     */
     Competitor.prototype.getControlIndexesAroundDubiousCumulativeTimes = function () {
-        return getIndexesAroundDubiousTimes(this.cumTimes);
+        var outerThis = this;
+        return getIndexesAroundDubiousTimes(this.cumTimes, function (index) { return outerThis.isCumulativeTimeEstimated(index); });
     };
     
     /**
     * Returns an array of objects that list the controls around those that have
-    * dubious cumulative times.
+    * dubious or estimated split times.
     * @return {Array} Array of objects that detail the start and end indexes
-    *     around dubious cumulative times.
+    *     around dubious split times.
     */
     Competitor.prototype.getControlIndexesAroundDubiousSplitTimes = function () {
-        return getIndexesAroundDubiousTimes([0].concat(this.splitTimes));
+        var outerThis = this;
+        return getIndexesAroundDubiousTimes([0].concat(this.splitTimes), function (index) { return outerThis.isSplitTimeEstimated(index); });
     };
     
     SplitsBrowser.Model.Competitor = Competitor;
@@ -0,0 +1,358 @@
+/*
+ *  SplitsBrowser CorrectionEditor - Makes manual corrections to results.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var parseTime = SplitsBrowser.parseTime;
+    var CorrectionTypes = SplitsBrowser.Model.CorrectionTypes;
+    var parseCorrections = SplitsBrowser.Model.parseCorrections;
+    var formatCorrections = SplitsBrowser.Model.formatCorrections;
+
+    // The types of correction offered, in the order they are listed, with
+    // the keys of the messages naming them.
+    var TYPES = [
+        {type: CorrectionTypes.AdjustPunch, nameKey: "CorrectionTypeAdjustPunch"},
+        {type: CorrectionTypes.ShiftStation, nameKey: "CorrectionTypeShiftStation"},
+        {type: CorrectionTypes.CancelControl, nameKey: "CorrectionTypeCancelControl"}
+    ];
+
+    /**
+    * Downloads the given text as a file with the given name.
+    * @param {String} text - The text to download.
+    * @param {String} mimeType - The MIME type of the text.
+    * @param {String} fileName - The name of the file to save.
+    */
+    function download(text, mimeType, fileName) {
+        var link = d3.select("body").append("a")
+                                    .attr("href", "data:" + mimeType + ";charset=utf-8," + encodeURIComponent(text))
+                                    .attr("download", fileName)
+                                    .style("display", "none");
+        link.node().click();
+        link.remove();
+    }
+
+    /**
+    * Reads a control number typed into a text box.
+    * @param {String} text - The text typed.
+    * @return {Number} The control number, or NaN if the text is not a number.
+    */
+    function readNumber(text) {
+        text = text.trim();
+        return (text === "") ? NaN : Number(text);
+    }
+
+    /**
+    * Reads a time of the form MM:SS or H:MM:SS typed into a text box, which
+    * may be preceded by a minus sign.
+    * @param {String} text - The text typed.
+    * @return {Number} The time in seconds, or NaN if the text is not a time.
+    */
+    function readSignedTime(text) {
+        text = text.trim();
+        var isNegative = (text.charAt(0) === "-");
+        var time = parseTime((isNegative) ? text.substring(1) : text);
+        if (time === null) {
+            return NaN;
+        } else {
+            return (isNegative) ? -time : time;
+        }
+    }
+
+    /**
+    * A control that allows an authorised user to correct the results of an
+    * event, by adjusting a competitor's punch times, shifting the times
+    * recorded by a control station for all competitors, or cancelling a
+    * control.  The corrections made can be saved as a corrections 'patch'
+    * file, to be loaded with the results.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    * @param {Function} alerter - Function to call with any messages to show to
+    *     the user.
+    */
+    function CorrectionEditor(parent, alerter) {
+        this.changeHandlers = [];
+        this.alerter = alerter;
+        this.eventData = null;
+
+        var outerThis = this;
+        this.containerDiv = d3.select(parent).append("div")
+                                             .classed("topRowStart", true)
+                                             .attr("id", "correctionEditorContainer");
+
+        this.button = this.containerDiv.append("button")
+                                       .on("click", function () { outerThis.showHidePanel(); });
+
+        this.panel = d3.select(parent).append("div")
+                                      .classed("correctionEditorPanel", true)
+                                      .classed("transient", true)
+                                      .style("position", "absolute")
+                                      .style("display", "none");
+
+        this.labels = [];
+
+        this.typeSelect = this.addRow(this.panel, "CorrectionEditorTypeLabel").append("select");
+        $(this.typeSelect.node()).bind("change", function () { outerThis.showFieldsForType(); });
+
+        this.typeFields = {};
+        this.typeFields[CorrectionTypes.AdjustPunch] = this.panel.append("div");
+        this.classSelect = this.addRow(this.typeFields[CorrectionTypes.AdjustPunch], "CorrectionEditorClassLabel").append("select");
+        $(this.classSelect.node()).bind("change", function () { outerThis.populateCompetitors(); });
+        this.competitorSelect = this.addRow(this.typeFields[CorrectionTypes.AdjustPunch], "CorrectionEditorCompetitorLabel").append("select");
+        this.punchControlInput = this.addRow(this.typeFields[CorrectionTypes.AdjustPunch], "CorrectionEditorControlLabel").append("input").attr("type", "text");
+        this.timeInput = this.addRow(this.typeFields[CorrectionTypes.AdjustPunch], "CorrectionEditorTimeLabel").append("input").attr("type", "text");
+
+        this.typeFields[CorrectionTypes.ShiftStation] = this.panel.append("div");
+        this.codeInput = this.addRow(this.typeFields[CorrectionTypes.ShiftStation], "CorrectionEditorCodeLabel").append("input").attr("type", "text");
+        this.offsetInput = this.addRow(this.typeFields[CorrectionTypes.ShiftStation], "CorrectionEditorOffsetLabel").append("input").attr("type", "text");
+
+        this.typeFields[CorrectionTypes.CancelControl] = this.panel.append("div");
+        this.courseSelect = this.addRow(this.typeFields[CorrectionTypes.CancelControl], "CorrectionEditorCourseLabel").append("select");
+        this.cancelControlInput = this.addRow(this.typeFields[CorrectionTypes.CancelControl], "CorrectionEditorControlLabel").append("input").attr("type", "text");
+
+        this.reasonInput = this.addRow(this.panel, "CorrectionEditorReasonLabel").append("input").attr("type", "text");
+
+        var buttonsDiv = this.panel.append("div");
+        this.applyButton = buttonsDiv.append("button")
+                                     .on("click", function () { outerThis.applyCorrection(); });
+        this.saveButton = buttonsDiv.append("button")
+                                    .on("click", function () { outerThis.saveCorrections(); });
+
+        this.setMessages();
+        this.showFieldsForType();
+    }
+
+    /**
+    * Adds a row to the given container, consisting of a label, and returns
+    * the row so that a field can be added to it.
+    * @param {d3.selection} container - d3 selection containing the element to
+    *     add the row to.
+    * @param {String} labelKey - The key of the message to use as the label.
+    * @return {d3.selection} d3 selection containing the row.
+    */
+    CorrectionEditor.prototype.addRow = function (container, labelKey) {
+        var row = container.append("div")
+                           .classed("correctionEditorRow", true);
+        var label = row.append("span");
+        this.labels.push({label: label, key: labelKey});
+        return row;
+    };
+
+    /**
+    * Sets the messages in this control, following either its creation or a
+    * change of selected language.
+    */
+    CorrectionEditor.prototype.setMessages = function () {
+        this.button.text(getMessage("CorrectionEditorButton"))
+                   .attr("title", getMessage("CorrectionEditorTooltip"));
+
+        this.labels.forEach(function (label) { label.label.text(getMessage(label.key)); });
+
+        var selectedType = this.typeSelect.node().selectedIndex;
+        var options = this.typeSelect.selectAll("option")
+                                     .data(TYPES);
+
+        options.enter().append("option");
+
+        this.typeSelect.selectAll("option")
+                       .attr("value", function (type) { return type.type; })
+                       .text(function (type) { return getMessage(type.nameKey); });
+
+        this.typeSelect.node().selectedIndex = Math.max(selectedType, 0);
+
+        this.applyButton.text(getMessage("CorrectionEditorApplyButton"));
+        this.saveButton.text(getMessage("CorrectionEditorSaveButton"))
+                       .attr("title", getMessage("CorrectionEditorSaveTooltip"));
+    };
+
+    /**
+    * Sets the event whose results are corrected, and populates the lists of
+    * classes, competitors and courses.
+    * @param {Event} eventData - The event.
+    */
+    CorrectionEditor.prototype.setEvent = function (eventData) {
+        this.eventData = eventData;
+
+        var classOptions = this.classSelect.selectAll("option")
+                                           .data(eventData.classes.filter(function (courseClass) { return !courseClass.isScoreClass(); }));
+
+        classOptions.enter().append("option");
+        classOptions.exit().remove();
+
+        this.classSelect.selectAll("option")
+                        .attr("value", function (courseClass) { return courseClass.name; })
+                        .text(function (courseClass) { return courseClass.name; });
+
+        var courseOptions = this.courseSelect.selectAll("option")
+                                             .data(eventData.courses);
+
+        courseOptions.enter().append("option");
+        courseOptions.exit().remove();
+
+        this.courseSelect.selectAll("option")
+                         .attr("value", function (course) { return course.name; })
+                         .text(function (course) { return course.name; });
+
+        this.populateCompetitors();
+    };
+
+    /**
+    * Populates the list of competitors with those of the selected class.
+    */
+    CorrectionEditor.prototype.populateCompetitors = function () {
+        var className = this.classSelect.node().value;
+        var courseClass = (this.eventData === null) ? null : this.eventData.classes.filter(function (cls) { return cls.name === className; })[0];
+
+        var options = this.competitorSelect.selectAll("option")
+                                           .data((courseClass) ? courseClass.competitors : []);
+
+        options.enter().append("option");
+        options.exit().remove();
+
+        this.competitorSelect.selectAll("option")
+                             .attr("value", function (comp, index) { return index; })
+                             .text(function (comp) { return comp.name + " (" + comp.club + ")"; });
+    };
+
+    /**
+    * Shows the fields used by the selected type of correction, and hides the
+    * others.
+    */
+    CorrectionEditor.prototype.showFieldsForType = function () {
+        var type = this.getSelectedType();
+        TYPES.forEach(function (typeDetails) {
+            this.typeFields[typeDetails.type].style("display", (typeDetails.type === type) ? null : "none");
+        }, this);
+    };
+
+    /**
+    * Returns the selected type of correction.
+    * @return {String} The selected type of correction, one of the values in
+    *     SplitsBrowser.Model.CorrectionTypes.
+    */
+    CorrectionEditor.prototype.getSelectedType = function () {
+        return TYPES[Math.max(this.typeSelect.node().selectedIndex, 0)].type;
+    };
+
+    /**
+    * Returns the correction entered in this control.  The correction is not
+    * checked.
+    * @return {Object} The correction entered.
+    */
+    CorrectionEditor.prototype.getCorrection = function () {
+        var type = this.getSelectedType();
+        var correction = {type: type};
+        if (type === CorrectionTypes.AdjustPunch) {
+            var className = this.classSelect.node().value;
+            var courseClass = this.eventData.classes.filter(function (cls) { return cls.name === className; })[0];
+            var competitor = (courseClass) ? courseClass.competitors[this.competitorSelect.node().selectedIndex] : null;
+            var timeText = this.timeInput.property("value");
+            correction.className = className;
+            correction.competitor = (competitor) ? competitor.name : "";
+            correction.club = (competitor) ? competitor.club : "";
+            correction.control = readNumber(this.punchControlInput.property("value"));
+            correction.time = (timeText.trim() === "") ? null : readSignedTime(timeText);
+        } else if (type === CorrectionTypes.ShiftStation) {
+            correction.code = this.codeInput.property("value").trim();
+            correction.offset = readSignedTime(this.offsetInput.property("value"));
+        } else {
+            correction.course = this.courseSelect.node().value;
+            correction.control = readNumber(this.cancelControlInput.property("value"));
+        }
+
+        var reason = this.reasonInput.property("value").trim();
+        if (reason !== "") {
+            correction.reason = reason;
+        }
+
+        return correction;
+    };
+
+    /**
+    * Checks the correction entered in this control and, if it is valid,
+    * passes it to the change handlers.  If it is not valid, the user is told
+    * instead.
+    */
+    CorrectionEditor.prototype.applyCorrection = function () {
+        if (this.eventData === null) {
+            return;
+        }
+
+        var correction = this.getCorrection();
+        try {
+            parseCorrections({corrections: [correction]});
+        } catch (e) {
+            if (e.name === "InvalidData") {
+                this.alerter(getMessageWithFormatting("CorrectionEditorInvalidCorrection", {"$$MESSAGE$$": e.message}));
+                return;
+            } else {
+                throw e;
+            }
+        }
+
+        this.changeHandlers.forEach(function (handler) { handler(correction); });
+    };
+
+    /**
+    * Saves the corrections applied to the event as a corrections 'patch'
+    * file.  If no corrections have been applied, the user is told instead.
+    */
+    CorrectionEditor.prototype.saveCorrections = function () {
+        if (this.eventData === null || this.eventData.corrections.length === 0) {
+            this.alerter(getMessage("CorrectionEditorNoCorrections"));
+        } else {
+            download(formatCorrections(this.eventData.corrections), "application/json", "corrections.json");
+        }
+    };
+
+    /**
+    * Shows or hides the panel containing the fields of a correction.
+    */
+    CorrectionEditor.prototype.showHidePanel = function () {
+        if (this.panel.style("display") === "none") {
+            var offset = $(this.button.node()).offset();
+            var height = $(this.button.node()).outerHeight();
+            this.panel.style("left", offset.left + "px")
+                      .style("top", (offset.top + height + 5) + "px")
+                      .style("display", "block");
+        } else {
+            this.panel.style("display", "none");
+        }
+    };
+
+    /**
+    * Register a change handler to be called whenever a correction is applied.
+    *
+    * The correction applied is passed to the handler.  If the handler was
+    * already registered, nothing happens.
+    *
+    * @param {Function} handler - Function to be called whenever a correction
+    *     is applied.
+    */
+    CorrectionEditor.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    SplitsBrowser.Controls.CorrectionEditor = CorrectionEditor;
+})();
@@ -0,0 +1,154 @@
+/*
+ *  SplitsBrowser Corrections - Manual corrections to the results of an event.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var throwInvalidData = SplitsBrowser.throwInvalidData;
+
+    // The types of correction that can be made.
+    var CorrectionTypes = {
+        // Sets the cumulative time of a competitor at a control, or removes
+        // it if the time is null.
+        AdjustPunch: "adjustPunch",
+
+        // Shifts the times recorded by a control station by an offset, for
+        // all competitors who punched it.
+        ShiftStation: "shiftStation",
+
+        // Removes a control from a course.
+        CancelControl: "cancelControl"
+    };
+
+    /**
+    * Checks that the given property of the given correction is a string,
+    * throwing an InvalidData exception if it is not.
+    * @param {Object} correction - The correction.
+    * @param {String} propertyName - The name of the property.
+    */
+    function checkString(correction, propertyName) {
+        if (typeof correction[propertyName] !== "string" || correction[propertyName] === "") {
+            throwInvalidData("Correction of type '" + correction.type + "' must have a non-empty string property '" + propertyName + "'");
+        }
+    }
+
+    /**
+    * Checks that the given property of the given correction is an integer,
+    * which may also be required to be positive, throwing an InvalidData
+    * exception if it is not.
+    * @param {Object} correction - The correction.
+    * @param {String} propertyName - The name of the property.
+    * @param {boolean} mustBePositive - Whether the integer must be positive.
+    */
+    function checkInteger(correction, propertyName, mustBePositive) {
+        var value = correction[propertyName];
+        if (typeof value !== "number" || Math.floor(value) !== value || (mustBePositive && value <= 0)) {
+            throwInvalidData("Correction of type '" + correction.type + "' must have " + ((mustBePositive) ? "a positive" : "an") + " integer property '" + propertyName + "'");
+        }
+    }
+
+    /**
+    * Checks that the given correction is valid, throwing an InvalidData
+    * exception if it is not.
+    * @param {Object} correction - The correction to check.
+    */
+    function checkCorrection(correction) {
+        if (correction === null || typeof correction !== "object") {
+            throwInvalidData("Each correction must be an object");
+        }
+
+        if (typeof correction.reason !== "undefined" && typeof correction.reason !== "string") {
+            throwInvalidData("The reason for a correction must be a string");
+        }
+
+        if (correction.type === CorrectionTypes.AdjustPunch) {
+            checkString(correction, "className");
+            checkString(correction, "competitor");
+            checkInteger(correction, "control", true);
+            if (correction.time !== null) {
+                checkInteger(correction, "time", true);
+            }
+        } else if (correction.type === CorrectionTypes.ShiftStation) {
+            checkString(correction, "code");
+            checkInteger(correction, "offset", false);
+        } else if (correction.type === CorrectionTypes.CancelControl) {
+            checkString(correction, "course");
+            checkInteger(correction, "control", true);
+        } else {
+            throwInvalidData("Unrecognised type of correction: '" + correction.type + "'");
+        }
+    }
+
+    /**
+    * Reads a set of corrections from the given data, which is either a string
+    * containing the JSON of a corrections 'patch' file or the object parsed
+    * from such a file.
+    *
+    * A corrections file contains an object with a property corrections, an
+    * array of corrections, which are applied in order.  Each correction is an
+    * object with a type property, one of the values in CorrectionTypes, and
+    * an optional reason property, giving the reason for the correction.  The
+    * other properties of a correction depend on its type:
+    * - adjustPunch: className, the name of the class; competitor, the name of
+    *   the competitor; club, the competitor's club (optional, and only needed
+    *   to tell apart competitors with the same name); control, the number of
+    *   the control, with the finish being one more than the number of
+    *   controls; and time, the corrected cumulative time at the control in
+    *   seconds, or null to remove the punch.
+    * - shiftStation: code, the code of the control; and offset, the number of
+    *   seconds to add to all times recorded by the control's station.
+    * - cancelControl: course, the name of the course; and control, the number
+    *   of the control to remove from the course.
+    *
+    * @param {String|Object} data - The corrections data to read.
+    * @return {Array} Array of corrections read.
+    */
+    function parseCorrections(data) {
+        var patch = data;
+        if (typeof data === "string") {
+            try {
+                patch = JSON.parse(data);
+            } catch (e) {
+                throwInvalidData("Corrections data is not valid JSON: " + e.message);
+            }
+        }
+
+        if (patch === null || typeof patch !== "object" || !$.isArray(patch.corrections)) {
+            throwInvalidData("Corrections data must be an object containing an array of corrections");
+        }
+
+        patch.corrections.forEach(checkCorrection);
+        return patch.corrections;
+    }
+
+    /**
+    * Formats the given corrections as the JSON of a corrections 'patch' file,
+    * that can be read by parseCorrections.
+    * @param {Array} corrections - Array of corrections.
+    * @return {String} The corrections, formatted as JSON.
+    */
+    function formatCorrections(corrections) {
+        return JSON.stringify({corrections: corrections}, null, 2);
+    }
+
+    SplitsBrowser.Model.CorrectionTypes = CorrectionTypes;
+    SplitsBrowser.Model.parseCorrections = parseCorrections;
+    SplitsBrowser.Model.formatCorrections = formatCorrections;
+})();
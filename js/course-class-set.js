@@ -26,6 +26,10 @@
     var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
     var throwInvalidData = SplitsBrowser.throwInvalidData; 
     var compareCompetitors = SplitsBrowser.Model.compareCompetitors;
+
+    // The length of the whiskers of a box plot, as a multiple of the
+    // interquartile range.
+    var BOX_PLOT_WHISKER_RANGE = 1.5;
     
     /**
     * Utility function to merge the lists of all competitors in a number of
@@ -58,26 +62,35 @@
 
     /**
     * Given an array of numbers, return a list of the corresponding ranks of those
-    * numbers.
+    * numbers.  If an array of keys is also given, each number is only ranked
+    * against the other numbers with the same key.
     * @param {Array} sourceData - Array of number values.
+    * @param {Array=} keys - (Optional) Array of keys, one for each number.
     * @returns Array of corresponding ranks.
     */
-    function getRanks(sourceData) {
-        // First, sort the source data, removing nulls.
-        var sortedData = sourceData.filter(isNotNullNorNaN);
-        sortedData.sort(d3.ascending);
-        
-        // Now construct a map that maps from source value to rank.
-        var rankMap = new d3.map();
-        sortedData.forEach(function(value, index) {
-            if (!rankMap.has(value)) {
-                rankMap.set(value, index + 1);
+    function getRanks(sourceData, keys) {
+        var getKey = function (index) { return (keys) ? keys[index] : ""; };
+        
+        // First, group the source data by key, removing nulls, and sort each
+        // group.
+        var sortedDataByKey = d3.map();
+        sourceData.forEach(function (value, index) {
+            if (isNotNullNorNaN(value)) {
+                var key = getKey(index);
+                if (!sortedDataByKey.has(key)) {
+                    sortedDataByKey.set(key, []);
+                }
+                
+                sortedDataByKey.get(key).push(value);
             }
         });
         
-        // Finally, build and return the list of ranks.
-        var ranks = sourceData.map(function(value) {
-            return isNotNullNorNaN(value) ? rankMap.get(value) : value;
+        sortedDataByKey.values().forEach(function (sortedData) { sortedData.sort(d3.ascending); });
+        
+        // Finally, build and return the list of ranks.  The rank of a value
+        // is one more than the number of smaller values in its group.
+        var ranks = sourceData.map(function (value, index) {
+            return isNotNullNorNaN(value) ? sortedDataByKey.get(getKey(index)).indexOf(value) + 1 : value;
         });
         
         return ranks;
@@ -143,6 +156,16 @@
         return this.classes.some(function (courseClass) { return courseClass.hasDubiousData; });
     };
 
+    /**
+    * Returns whether any of the classes within this set contain the results of
+    * a score event.
+    * @return {boolean} True if any of the classes within this set are score
+    *     classes, false if none of them are.
+    */
+    CourseClassSet.prototype.hasScoreClasses = function () {
+        return this.classes.some(function (courseClass) { return courseClass.isScoreClass(); });
+    };
+
     /**
     * Return a list of objects that describe when the given array of times has
     * null or NaN values.  This does not include trailing null or NaN values.
@@ -208,6 +231,29 @@
         return cumTimes;
     }
     
+    /**
+    * Returns the split time of the given competitor on the leg ending at the
+    * control with the given index.
+    *
+    * If the course of this set is forked, the legs are those of its first
+    * variation, and competitors on other variations are compared on the same
+    * legs wherever they come in their own variations.  Such competitors have
+    * null split times on legs their variations don't use.
+    *
+    * @param {Competitor} competitor - The competitor.
+    * @param {Number} controlIdx - The index of the control at the end of the
+    *     leg.
+    * @return {?Number} The split time of the competitor on the leg.
+    */
+    CourseClassSet.prototype.getSplitTimeOnLeg = function (competitor, controlIdx) {
+        var course = this.getCourse();
+        if (course === null) {
+            return competitor.getSplitTimeTo(controlIdx);
+        } else {
+            return course.getSplitTimeOnLeg(competitor, controlIdx, (course.isForked()) ? course.variations[0].name : null);
+        }
+    };
+    
     /**
     * Returns an array of the cumulative times of the winner of the set of
     * classes.
@@ -239,6 +285,10 @@
     * of the given classes, with a given percentage of their time added.
     * If at least one control has no competitors recording a time for it, null
     * is returned.  If there are no classes at all, null is returned.
+    *
+    * On a forked course, the legs are those of the first variation, so the
+    * cumulative times of the imaginary competitor match those of competitors
+    * on other variations wherever they have run the same set of legs.
     * @param {Number} percent - The percentage of time to add.
     * @returns {?Array} Cumulative splits of the imaginary competitor with
     *           fastest time, if any, after adding a percentage.
@@ -256,7 +306,7 @@
         for (var controlIdx = 1; controlIdx <= this.numControls + 1; controlIdx += 1) {
             var fastestForThisControl = null;
             for (var competitorIdx = 0; competitorIdx < this.allCompetitors.length; competitorIdx += 1) {
-                var thisTime = this.allCompetitors[competitorIdx].getSplitTimeTo(controlIdx);
+                var thisTime = this.getSplitTimeOnLeg(this.allCompetitors[competitorIdx], controlIdx);
                 // modified
                 if (this.allCompetitors[competitorIdx].completed()  && isNotNullNorNaN(thisTime) && (fastestForThisControl === null || thisTime < fastestForThisControl)) {
 //                if ( thisTime >0 && isNotNullNorNaN(thisTime) && (fastestForThisControl === null || thisTime < fastestForThisControl)) {
@@ -355,6 +405,12 @@
 
     /**
     * Compute the ranks of each competitor within their class.
+    *
+    * If the course of the classes is forked, split times are ranked against
+    * all split times on the same leg, wherever the leg comes in each
+    * variation.  Cumulative times are only ranked against those of
+    * competitors who have run the same set of legs so far, apart from at the
+    * finish, where all competitors are ranked on their total times.
     */
     CourseClassSet.prototype.computeRanks = function () {
         if (this.allCompetitors.length === 0) {
@@ -370,11 +426,38 @@
             cumRanksByCompetitor.push([]);
         });
         
-        d3.range(1, this.numControls + 2).forEach(function (control) {
-            var splitsByCompetitor = this.allCompetitors.map(function(comp) { return comp.getSplitTimeTo(control); });
-            var splitRanksForThisControl = getRanks(splitsByCompetitor);
-            this.allCompetitors.forEach(function (_comp, idx) { splitRanksByCompetitor[idx].push(splitRanksForThisControl[idx]); });
-        }, this);
+        var course = this.getCourse();
+        var isForked = (course !== null && course.isForked());
+        var numLegs = this.numControls + 1;
+        
+        // Rank the split times of all competitors on all legs together, with
+        // each split ranked against those with the same leg key.
+        var allSplits = [];
+        var allLegKeys = [];
+        this.allCompetitors.forEach(function (comp) {
+            d3.range(1, numLegs + 1).forEach(function (control) {
+                // Splits on neutralised legs are not ranked.
+                allSplits.push((comp.isLegNeutralised(control)) ? null : comp.getSplitTimeTo(control));
+                allLegKeys.push((isForked) ? course.getLegKey(control, comp.variation) : control);
+            });
+        });
+        
+        var allSplitRanks = getRanks(allSplits, allLegKeys);
+        this.allCompetitors.forEach(function (_comp, idx) {
+            splitRanksByCompetitor[idx] = allSplitRanks.slice(idx * numLegs, (idx + 1) * numLegs);
+        });
+        
+        // Returns the key of the set of legs the competitor with the given
+        // index has run up to the given control.
+        var getLegSetKey = function (idx, control) {
+            if (!isForked || control === numLegs) {
+                return "";
+            }
+            
+            var legKeys = allLegKeys.slice(idx * numLegs, idx * numLegs + control);
+            legKeys.sort();
+            return legKeys.join("\n");
+        };
         
         d3.range(1, this.numControls + 2).forEach(function (control) {
             // We want to null out all subsequent cumulative ranks after a
@@ -392,15 +475,49 @@
                     return comp.getCumulativeTimeTo(control);
                 }
             });
-            var cumRanksForThisControl = getRanks(cumSplitsByCompetitor);
+            var legSetKeys = this.allCompetitors.map(function (_comp, idx) { return getLegSetKey(idx, control); });
+            var cumRanksForThisControl = getRanks(cumSplitsByCompetitor, legSetKeys);
             this.allCompetitors.forEach(function (_comp, idx) { cumRanksByCompetitor[idx].push(cumRanksForThisControl[idx]); });
         }, this);
         
+        if (this.hasScoreClasses()) {
+            this.computeScoreRanks(cumRanksByCompetitor);
+        }
+        
         this.allCompetitors.forEach(function (comp, idx) {
             comp.setSplitAndCumulativeRanks(splitRanksByCompetitor[idx], cumRanksByCompetitor[idx]);
         });
     };
     
+    /**
+    * Replaces the ranks at the finish with those of a score event, in which
+    * competitors are ranked on the points they scored before the time they
+    * took.  Competitors with the same points and time share the same rank.
+    * @param {Array} cumRanksByCompetitor - Array of arrays of cumulative
+    *     ranks, one array for each competitor.
+    */
+    CourseClassSet.prototype.computeScoreRanks = function (cumRanksByCompetitor) {
+        // The competitors are already sorted into the order they finished in.
+        var finishIndex = this.numControls;
+        var rank = 0;
+        var rankedCount = 0;
+        var previousTime = null;
+        var previousNetPoints = null;
+        this.allCompetitors.forEach(function (comp, idx) {
+            if (isNotNullNorNaN(cumRanksByCompetitor[idx][finishIndex])) {
+                rankedCount += 1;
+                var netPoints = (comp.scoreResult === null) ? null : comp.scoreResult.getNetPoints();
+                if (rankedCount === 1 || comp.totalTime !== previousTime || netPoints !== previousNetPoints) {
+                    rank = rankedCount;
+                }
+                
+                cumRanksByCompetitor[idx][finishIndex] = rank;
+                previousTime = comp.totalTime;
+                previousNetPoints = netPoints;
+            }
+        });
+    };
+    
     /**
     * Returns the best few splits to a given control.
     *
@@ -424,23 +541,136 @@
         } else {
             // Compare competitors by split time at this control, and, if those
             // are equal, total time.
+            var outerThis = this;
             var comparator = function (compA, compB) {
-                var compASplit = compA.getSplitTimeTo(controlIdx);
-                var compBSplit = compB.getSplitTimeTo(controlIdx);
+                var compASplit = outerThis.getSplitTimeOnLeg(compA, controlIdx);
+                var compBSplit = outerThis.getSplitTimeOnLeg(compB, controlIdx);
                 return (compASplit === compBSplit) ? d3.ascending(compA.totalTime, compB.totalTime) : d3.ascending(compASplit, compBSplit);
             };
             
-            var competitors = this.allCompetitors.filter(function (comp) { return comp.completed() && !isNaNStrict(comp.getSplitTimeTo(controlIdx)); });
+            var competitors = this.allCompetitors.filter(function (comp) { return comp.completed() && isNotNullNorNaN(this.getSplitTimeOnLeg(comp, controlIdx)); }, this);
             competitors.sort(comparator);
             var results = [];
             for (var i = 0; i < competitors.length && i < numSplits; i += 1) {
-                results.push({name: competitors[i].name, split: competitors[i].getSplitTimeTo(controlIdx)});
+                results.push({name: competitors[i].name, split: this.getSplitTimeOnLeg(competitors[i], controlIdx)});
             }
             
             return results;
         }
     };    
 
+    /**
+    * Returns the distribution of the given values, as used to draw a box
+    * plot: the median, the quartiles, the whiskers and the outliers.
+    *
+    * The whiskers extend to the smallest and largest values within one and a
+    * half times the interquartile range of the quartiles.  Any values beyond
+    * the whiskers are outliers.
+    *
+    * @param {Array} values - Array of values, sorted into ascending order.
+    * @return {Object} The distribution of the values.
+    */
+    function getDistribution(values) {
+        var lowerQuartile = d3.quantile(values, 0.25);
+        var upperQuartile = d3.quantile(values, 0.75);
+        var whiskerRange = (upperQuartile - lowerQuartile) * BOX_PLOT_WHISKER_RANGE;
+        var valuesWithinWhiskers = values.filter(function (value) { return lowerQuartile - whiskerRange <= value && value <= upperQuartile + whiskerRange; });
+        return {
+            count: values.length,
+            median: d3.median(values),
+            lowerQuartile: lowerQuartile,
+            upperQuartile: upperQuartile,
+            lowerWhisker: valuesWithinWhiskers[0],
+            upperWhisker: valuesWithinWhiskers[valuesWithinWhiskers.length - 1],
+            outliers: values.filter(function (value) { return value < lowerQuartile - whiskerRange || upperQuartile + whiskerRange < value; })
+        };
+    }
+    
+    /**
+    * Returns the distribution of split times on each leg of the course,
+    * taken over all competitors that completed the course.  Missing and
+    * dubious split times are ignored.
+    *
+    * Each distribution contains the number of split times, the median, the
+    * quartiles, the whiskers and any outliers.  The distribution is null for
+    * any leg that no competitor completed.
+    *
+    * @return {Array} Array of distributions, one for each leg.
+    */
+    CourseClassSet.prototype.getLegSplitDistributions = function () {
+        var completingCompetitors = this.allCompetitors.filter(function (comp) { return comp.completed(); });
+        return d3.range(1, this.numControls + 2).map(function (controlIdx) {
+            var splits = completingCompetitors.map(function (comp) { return this.getSplitTimeOnLeg(comp, controlIdx); }, this)
+                                              .filter(isNotNullNorNaN);
+            splits.sort(d3.ascending);
+            return (splits.length === 0) ? null : getDistribution(splits);
+        }, this);
+    };
+
+    /**
+    * Returns the times at which the leader passed each control.
+    *
+    * The leader at a control is the competitor who punched it first.  On the
+    * race clock, as used for mass and chasing starts, this is the competitor
+    * with the earliest time of day at the control.  Otherwise, as used for
+    * interval starts, it is the competitor with the shortest elapsed time to
+    * the control.  The leader's time at a control is null if no competitor
+    * has a time for it.
+    *
+    * @param {boolean} onRaceClock - True to find the leader on the race
+    *     clock, false to find the leader on elapsed time.
+    * @return {Array} Array of the leader's times at each control, in seconds.
+    */
+    CourseClassSet.prototype.getLeaderTimes = function (onRaceClock) {
+        var controlTimesByCompetitor = this.allCompetitors.map(function (comp) { return comp.getControlTimes(onRaceClock); });
+        return d3.range(0, this.numControls + 2).map(function (controlIdx) {
+            var times = controlTimesByCompetitor.map(function (controlTimes) { return controlTimes[controlIdx]; }).filter(isNotNullNorNaN);
+            return (times.length === 0) ? null : d3.min(times);
+        });
+    };
+
+    /**
+    * Returns the lengths of the legs of the course used by this course-class
+    * set, in kilometres.
+    *
+    * Leg lengths are taken from the leg geometry of the course, where known.
+    * The remainder of the length of the course is spread over any other legs
+    * in proportion to the reference split times on those legs.  The length
+    * of a leg is null if it cannot be determined.
+    *
+    * @param {Array} referenceCumTimes - 'Reference' cumulative time data, such
+    *            as that of the winner, or the fastest time.
+    * @return {Array} Array of leg lengths, one for each leg.
+    */
+    CourseClassSet.prototype.getLegLengths = function (referenceCumTimes) {
+        var numLegs = this.numControls + 1;
+        var course = this.getCourse();
+        var legLengths = d3.range(0, numLegs).map(function (legIndex) {
+            return (course !== null && course.hasLegGeometry() && course.legLengths.length === numLegs) ? course.legLengths[legIndex] : null;
+        });
+        
+        if (course === null || course.length === null || legLengths.indexOf(null) === -1) {
+            return legLengths;
+        }
+        
+        var remainingLength = course.length - d3.sum(legLengths);
+        var referenceSplits = legLengths.map(function (legLength, legIndex) {
+            var referenceSplit = referenceCumTimes[legIndex + 1] - referenceCumTimes[legIndex];
+            return (legLength === null && isNotNullNorNaN(referenceCumTimes[legIndex]) && isNotNullNorNaN(referenceCumTimes[legIndex + 1])) ? referenceSplit : null;
+        });
+        
+        var totalReferenceSplit = d3.sum(referenceSplits);
+        var allUnknownLegsHaveReferenceSplits = legLengths.every(function (legLength, legIndex) { return legLength !== null || referenceSplits[legIndex] !== null; });
+        if (!allUnknownLegsHaveReferenceSplits || remainingLength <= 0 || totalReferenceSplit <= 0) {
+            // Can't spread the remaining length over the other legs.
+            return legLengths;
+        }
+        
+        return legLengths.map(function (legLength, legIndex) {
+            return (legLength === null) ? remainingLength * referenceSplits[legIndex] / totalReferenceSplit : legLength;
+        });
+    };
+
     /**
     * Return data from the current classes in a form suitable for plotting in a chart.
     * @param {Array} referenceCumTimes - 'Reference' cumulative time data, such
@@ -457,9 +687,13 @@
             throw new TypeError("currentIndexes undefined or missing");
         } else if (typeof chartType === "undefined") {
             throw new TypeError("chartType undefined or missing");
+        } else if (chartType.isScoreGraph) {
+            return this.getScoreChartData(referenceCumTimes, currentIndexes);
         }
 
-        var competitorData = this.allCompetitors.map(function (comp) { return chartType.dataSelector(comp, referenceCumTimes); });
+        var legLengths = this.getLegLengths(referenceCumTimes);
+        var leaderTimes = (chartType.isGapToLeader) ? this.getLeaderTimes(chartType.isLeaderOnRaceClock) : null;
+        var competitorData = this.allCompetitors.map(function (comp) { return chartType.dataSelector(comp, referenceCumTimes, legLengths, leaderTimes); });
         var selectedCompetitorData = currentIndexes.map(function (index) { return competitorData[index]; });
 
         var xMin = d3.min(referenceCumTimes);
@@ -483,6 +717,13 @@
             yMax = d3.max(selectedCompetitorData.map(function (values) { return d3.max(values); }));
         }
 
+        if (typeof yMin === "undefined") {
+            // No data to plot, for example if the lengths of the legs
+            // aren't known.  Make up some values.
+            yMin = 0;
+            yMax = 60;
+        }
+
         if (Math.abs(yMax - yMin) < 1e-8) {
             // yMin and yMax will be used to scale a y-axis, so we'd better
             // make sure that they're not equal, optionally give-or-take some
@@ -511,5 +752,262 @@
         };
     };
     
+    /**
+    * Returns the value accumulated by a competitor in a score event by the
+    * given time.
+    * @param {Array} punches - Array of the competitor's punches.
+    * @param {Array} cumValues - Array of the values accumulated after each
+    *     punch.
+    * @param {Number} time - The time to return the value at.
+    * @param {boolean} includePunchesAtTime - Whether to include the value of
+    *     any punches made at the given time.
+    * @return {Number} The value accumulated.
+    */
+    function getValueAtTime(punches, cumValues, time, includePunchesAtTime) {
+        var punchCount = 0;
+        while (punchCount < punches.length && (punches[punchCount].time < time || (includePunchesAtTime && punches[punchCount].time === time))) {
+            punchCount += 1;
+        }
+        
+        return (punchCount === 0) ? 0 : cumValues[punchCount - 1];
+    }
+    
+    /**
+    * Return data from the current score classes in a form suitable for
+    * plotting the points the selected competitors scored against time.
+    *
+    * If the points of every control punched are known, the points scored are
+    * plotted, otherwise the number of controls punched.  Each competitor's
+    * value is carried forward from their last punch to the end of the chart,
+    * so that competitors can be compared on the points they finished with.
+    *
+    * @param {Array} referenceCumTimes - 'Reference' cumulative time data, such
+    *            as that of the winner, or the fastest time.
+    * @param {Array} currentIndexes - Array of indexes that indicate which
+    *           competitors from the overall list are plotted.
+    * @returns {Object} Array of data.
+    */
+    CourseClassSet.prototype.getScoreChartData = function (referenceCumTimes, currentIndexes) {
+        var scoreCompetitors = this.allCompetitors.filter(function (comp) { return comp.scoreResult !== null; });
+        var countPoints = scoreCompetitors.every(function (comp) { return comp.scoreResult.hasPointsForAllPunches(); });
+        
+        var cumValuesByCompetitor = this.allCompetitors.map(function (comp) {
+            return (comp.scoreResult === null) ? [] : comp.scoreResult.getCumulativeValues(countPoints);
+        });
+        
+        var selectedCompetitors = currentIndexes.map(function (index) { return this.allCompetitors[index]; }, this);
+        var selectedPunches = selectedCompetitors.map(function (comp) { return (comp.scoreResult === null) ? [] : comp.scoreResult.punches; });
+        var selectedCumValues = currentIndexes.map(function (index) { return cumValuesByCompetitor[index]; });
+        
+        var times = [0].concat(referenceCumTimes.filter(isNotNullNorNaN));
+        selectedCompetitors.forEach(function (comp, selCompIdx) {
+            selectedPunches[selCompIdx].forEach(function (punch) { times.push(punch.time); });
+            if (comp.totalTime !== null) {
+                times.push(comp.totalTime);
+            }
+        });
+        
+        times = d3.set(times).values().map(parseFloat);
+        times.sort(d3.ascending);
+        
+        // As with the other chart types, there are no columns of data if no
+        // competitors are selected.
+        var dataColumns = [];
+        if (currentIndexes.length > 0) {
+            times.forEach(function (time) {
+                var ysBefore = selectedPunches.map(function (punches, selCompIdx) { return getValueAtTime(punches, selectedCumValues[selCompIdx], time, false); });
+                var ysAfter = selectedPunches.map(function (punches, selCompIdx) { return getValueAtTime(punches, selectedCumValues[selCompIdx], time, true); });
+                if (ysBefore.some(function (value, selCompIdx) { return value !== ysAfter[selCompIdx]; })) {
+                    // At least one competitor punched a control at this time,
+                    // so add a column for just before the punch so that the
+                    // chart shows the step up.
+                    dataColumns.push({x: time, ys: ysBefore});
+                }
+                
+                dataColumns.push({x: time, ys: ysAfter});
+            });
+        }
+        
+        var maxValue = d3.max(cumValuesByCompetitor, function (cumValues) { return (cumValues.length === 0) ? 0 : cumValues[cumValues.length - 1]; }) || 0;
+        
+        return {
+            dataColumns: dataColumns,
+            competitorNames: selectedCompetitors.map(function (comp) { return comp.name; }),
+            numControls: this.numControls,
+            xExtent: [times[0], times[times.length - 1]],
+            
+            // Reverse the Y-axis so that more points appear higher up.
+            yExtent: [Math.max(maxValue, 1), 0],
+            dubiousTimesInfo: currentIndexes.map(function () { return []; }),
+            yAxisLabelKey: (countPoints) ? "ScoreGraphYAxisLabel" : "ScoreGraphControlsYAxisLabel"
+        };
+    };
+    
+    /**
+    * Returns the time of day at which the given competitor punched the given
+    * control, or null if this cannot be determined.  The competitor's
+    * ungraded cumulative time is used, as any grading or neutralised legs
+    * don't change when the control was actually punched.
+    * @param {Competitor} competitor - The competitor.
+    * @param {Number} controlIdx - The index of the control, with 0 being the
+    *     start.
+    * @return {?Number} The time the control was punched, as seconds past
+    *     midnight, or null.
+    */
+    function getPunchTime(competitor, controlIdx) {
+        var cumTime = competitor.getUngradedCumulativeTimeTo(controlIdx);
+        return (competitor.startTime !== null && isNotNullNorNaN(cumTime)) ? competitor.startTime + cumTime : null;
+    }
+    
+    /**
+    * Returns the stretches of the course on which pairs of competitors
+    * punched consecutive controls within a given time of one another.  Only
+    * stretches of at least the given number of controls are returned.  The
+    * start is not counted, as competitors may well start together.  On a
+    * forked course, competitors are only together at a control if their
+    * variations have the same control there.
+    * @param {Array} competitors - Array of competitors.
+    * @param {?Course} course - The course the competitors ran, or null if
+    *     not known.
+    * @param {Number} numControls - The number of controls.
+    * @param {Number} windowSeconds - The largest difference, in seconds,
+    *     between the times two competitors punch a control for them to be
+    *     treated as punching it together.
+    * @param {Number} minControls - The smallest number of consecutive
+    *     controls two competitors must punch together.
+    * @return {Array} Array of objects containing the indexes of the two
+    *     competitors and the first and last controls of the stretch.
+    */
+    function getPairSegments(competitors, course, numControls, windowSeconds, minControls) {
+        var punchTimes = competitors.map(function (comp) {
+            return d3.range(0, numControls + 2).map(function (controlIdx) { return getPunchTime(comp, controlIdx); });
+        });
+        
+        var isForked = (course !== null && course.isForked());
+        var controlsRun = competitors.map(function (comp) { return (isForked) ? course.getVariationControls(comp.variation) : null; });
+        var sameControl = function (compIdx1, compIdx2, controlIdx) {
+            if (!isForked || controlIdx > numControls) {
+                return true;
+            } else {
+                var controls1 = controlsRun[compIdx1];
+                var controls2 = controlsRun[compIdx2];
+                return controls1 !== null && controls2 !== null && controls1[controlIdx - 1] === controls2[controlIdx - 1];
+            }
+        };
+        
+        var segments = [];
+        var addSegmentIfLongEnough = function (compIdx1, compIdx2, startControl, endControl) {
+            if (startControl !== null && endControl - startControl + 1 >= minControls) {
+                segments.push({competitorIndexes: [compIdx1, compIdx2], startControl: startControl, endControl: endControl});
+            }
+        };
+        
+        for (var compIdx1 = 0; compIdx1 < competitors.length; compIdx1 += 1) {
+            for (var compIdx2 = compIdx1 + 1; compIdx2 < competitors.length; compIdx2 += 1) {
+                var startControl = null;
+                for (var controlIdx = 1; controlIdx <= numControls + 1; controlIdx += 1) {
+                    var time1 = punchTimes[compIdx1][controlIdx];
+                    var time2 = punchTimes[compIdx2][controlIdx];
+                    if (time1 !== null && time2 !== null && Math.abs(time1 - time2) <= windowSeconds && sameControl(compIdx1, compIdx2, controlIdx)) {
+                        if (startControl === null) {
+                            startControl = controlIdx;
+                        }
+                    } else {
+                        addSegmentIfLongEnough(compIdx1, compIdx2, startControl, controlIdx - 1);
+                        startControl = null;
+                    }
+                }
+                
+                addSegmentIfLongEnough(compIdx1, compIdx2, startControl, numControls + 1);
+            }
+        }
+        
+        return segments;
+    }
+    
+    /**
+    * Returns the packs of competitors within this course-class set, i.e. the
+    * groups of competitors who punched several consecutive controls together.
+    *
+    * Two competitors are taken to have punched a control together if they
+    * punched it within the given time of one another, going by their start
+    * times and cumulative times.  Competitors without start times are
+    * ignored.  Pairs of competitors who punched at least the given number of
+    * consecutive controls together are then merged into packs wherever they
+    * share a competitor over an overlapping stretch of the course.
+    *
+    * @param {Number} windowSeconds - The largest difference, in seconds,
+    *     between the times two competitors punch a control for them to be
+    *     treated as punching it together.
+    * @param {Number} minControls - The smallest number of consecutive
+    *     controls two competitors must punch together.
+    * @return {Array} Array of objects, one for each pack, containing the
+    *     indexes of the competitors in the pack, the competitors themselves,
+    *     and the first and last controls the pack punched together.  Packs
+    *     are sorted by their first control.
+    */
+    CourseClassSet.prototype.getPacks = function (windowSeconds, minControls) {
+        var packs = getPairSegments(this.allCompetitors, this.getCourse(), this.numControls, windowSeconds, minControls);
+        
+        var canMerge = function (pack1, pack2) {
+            return pack1.startControl <= pack2.endControl && pack2.startControl <= pack1.endControl &&
+                pack1.competitorIndexes.some(function (compIdx) { return pack2.competitorIndexes.indexOf(compIdx) >= 0; });
+        };
+        
+        var merged = true;
+        while (merged) {
+            merged = false;
+            for (var packIdx1 = 0; packIdx1 < packs.length && !merged; packIdx1 += 1) {
+                for (var packIdx2 = packIdx1 + 1; packIdx2 < packs.length && !merged; packIdx2 += 1) {
+                    var pack1 = packs[packIdx1];
+                    var pack2 = packs[packIdx2];
+                    if (canMerge(pack1, pack2)) {
+                        pack1.competitorIndexes = d3.set(pack1.competitorIndexes.concat(pack2.competitorIndexes)).values().map(Number);
+                        pack1.startControl = Math.min(pack1.startControl, pack2.startControl);
+                        pack1.endControl = Math.max(pack1.endControl, pack2.endControl);
+                        packs.splice(packIdx2, 1);
+                        merged = true;
+                    }
+                }
+            }
+        }
+        
+        packs.forEach(function (pack) {
+            pack.competitorIndexes.sort(d3.ascending);
+            pack.competitors = pack.competitorIndexes.map(function (compIdx) { return this.allCompetitors[compIdx]; }, this);
+        }, this);
+        
+        packs.sort(function (pack1, pack2) { return pack1.startControl - pack2.startControl || pack1.endControl - pack2.endControl; });
+        return packs;
+    };
+    
+    /**
+    * Returns the time each competitor in this course-class set spent running
+    * in a pack, i.e. the total of their split times on the legs they ran
+    * together with another competitor.  See getPacks for the meaning of the
+    * parameters.
+    * @param {Number} windowSeconds - The largest difference, in seconds,
+    *     between the times two competitors punch a control for them to be
+    *     treated as punching it together.
+    * @param {Number} minControls - The smallest number of consecutive
+    *     controls two competitors must punch together.
+    * @return {Array} Array of times spent in packs, in seconds, one for each
+    *     competitor.
+    */
+    CourseClassSet.prototype.getTimesSpentInPacks = function (windowSeconds, minControls) {
+        var legsInPacks = this.allCompetitors.map(function () { return d3.set(); });
+        getPairSegments(this.allCompetitors, this.getCourse(), this.numControls, windowSeconds, minControls).forEach(function (segment) {
+            segment.competitorIndexes.forEach(function (compIdx) {
+                for (var controlIdx = segment.startControl + 1; controlIdx <= segment.endControl; controlIdx += 1) {
+                    legsInPacks[compIdx].add(controlIdx);
+                }
+            });
+        });
+        
+        return this.allCompetitors.map(function (comp, compIdx) {
+            return d3.sum(legsInPacks[compIdx].values(), function (controlIdx) { return comp.getSplitTimeTo(Number(controlIdx)); });
+        });
+    };
+    
     SplitsBrowser.Model.CourseClassSet = CourseClassSet;
 })();
\ No newline at end of file
@@ -37,6 +37,10 @@
         this.competitors = competitors;
         this.course = null;
         this.hasDubiousData = false;
+        this.teams = null;
+        this.legControlCounts = null;
+        this.relayLegClasses = null;
+        this.relayTeamClass = null;
         this.competitors.forEach(function (comp) {
             comp.setClassName(name);
         });
@@ -51,16 +55,166 @@
     };
      
     /**
-    * Determines the time losses for the competitors in this course-class.
+    * Records that this course-class contains the results of relay teams, with
+    * each competitor in this course-class representing a whole team.
+    * @param {Array} teams - Array of Team objects, in the same order as the
+    *     competitors.
+    * @param {Array} legControlCounts - Array containing the number of
+    *     controls on each leg.
+    */
+    CourseClass.prototype.setRelayTeams = function (teams, legControlCounts) {
+        this.teams = teams;
+        this.legControlCounts = legControlCounts;
+    };
+    
+    /**
+    * Records the course-classes that contain the runners of each leg of the
+    * relay teams in this course-class.  Each leg has one course-class for
+    * each of its variations, if the leg is forked, or a single course-class
+    * if not.
+    * @param {Array} legClasses - Array containing, for each leg, an array of
+    *     the course-classes of the leg.
     */
-    CourseClass.prototype.determineTimeLosses = function () {
-        var fastestSplitTimes = d3.range(1, this.numControls + 2).map(function (controlIdx) {
-            var splitRec = this.getFastestSplitTo(controlIdx);
-            return (splitRec === null) ? null : splitRec.split;
+    CourseClass.prototype.setRelayLegClasses = function (legClasses) {
+        this.relayLegClasses = legClasses;
+        legClasses.forEach(function (classesOfLeg) {
+            classesOfLeg.forEach(function (legClass) { legClass.relayTeamClass = this; }, this);
         }, this);
+    };
+    
+    /**
+    * Returns the course-class containing the relay teams of this
+    * course-class, which is this course-class itself if it contains relay
+    * teams, or the course-class of the teams whose runners of one leg this
+    * course-class contains.
+    * @return {?CourseClass} The course-class of the relay teams, or null if
+    *     this course-class has nothing to do with a relay.
+    */
+    CourseClass.prototype.getRelayTeamClass = function () {
+        return (this.isRelay()) ? this : this.relayTeamClass;
+    };
+    
+    /**
+    * Returns whether this course-class contains the results of relay teams.
+    * @return {boolean} True if this course-class contains relay teams, false
+    *     if it contains individual competitors.
+    */
+    CourseClass.prototype.isRelay = function () {
+        return this.teams !== null;
+    };
+    
+    /**
+    * Returns the indexes of the controls at which the runners of relay teams
+    * change over.  Each index is the index of the control at the finish of a
+    * leg, with the finish of the last leg, i.e. the finish of the course,
+    * not being included.  If this course-class isn't a relay class, an empty
+    * array is returned.
+    * @return {Array} Array of changeover control indexes.
+    */
+    CourseClass.prototype.getChangeoverIndexes = function () {
+        if (!this.isRelay()) {
+            return [];
+        }
+        
+        var changeoverIndexes = [];
+        var controlIndex = 0;
+        for (var legIndex = 0; legIndex + 1 < this.legControlCounts.length; legIndex += 1) {
+            controlIndex += this.legControlCounts[legIndex] + 1;
+            changeoverIndexes.push(controlIndex);
+        }
+        
+        return changeoverIndexes;
+    };
+    
+    /**
+    * Returns whether this course-class contains the results of a score event,
+    * in which each competitor chooses their own controls to visit.
+    * @return {boolean} True if this course-class contains score results,
+    *     false if not.
+    */
+    CourseClass.prototype.isScoreClass = function () {
+        return this.competitors.some(function (comp) { return comp.scoreResult !== null; });
+    };
+    
+    /**
+    * Determines the time losses for the competitors in this course-class.
+    *
+    * If the course of this course-class is forked, each competitor is
+    * compared with reference split times for the legs of their own
+    * variation, taken from all competitors who ran each leg.
+    *
+    * @param {Object} method - (Optional) The method of estimating time losses,
+    *     from SplitsBrowser.Model.TimeLossMethods.  If not specified, the
+    *     median split-ratio method is used.
+    */
+    CourseClass.prototype.determineTimeLosses = function (method) {
+        method = method || SplitsBrowser.Model.TimeLossMethods.MedianSplitRatio;
+        var referenceSplitTimes = method.getReferenceSplits(this, null);
         
+        var referenceSplitTimesByVariation = d3.map();
+        if (this.course !== null && this.course.isForked()) {
+            this.course.variations.forEach(function (variation) {
+                referenceSplitTimesByVariation.set(variation.name, method.getReferenceSplits(this, variation.name));
+            }, this);
+        }
+        
+        this.competitors.forEach(function (comp) {
+            comp.determineTimeLosses(referenceSplitTimesByVariation.get(comp.variation) || referenceSplitTimes, method);
+        });
+    };
+    
+    /**
+    * Determines the ranking points awarded to the competitors in this
+    * course-class.  Only competitors eligible for ranking points are awarded
+    * them: all other competitors have null ranking points.
+    * @param {?Object} scheme - The scheme of awarding ranking points, from
+    *     SplitsBrowser.Model.RankingPointsSchemes, or null to award no
+    *     ranking points.
+    */
+    CourseClass.prototype.determineRankingPoints = function (scheme) {
+        var eligibleCompetitors = (scheme === null) ? [] : this.competitors.filter(function (comp) { return comp.isEligibleForRankingPoints(); });
+        var points = (eligibleCompetitors.length === 0) ? [] : scheme.getPoints(eligibleCompetitors.map(function (comp) { return comp.totalTime; }));
+        
+        this.competitors.forEach(function (comp) {
+            var eligibleIndex = eligibleCompetitors.indexOf(comp);
+            comp.setRankingPoints((eligibleIndex === -1) ? null : points[eligibleIndex]);
+        });
+    };
+    
+    /**
+    * Grades the times of the competitors in this course-class by age and
+    * gender, using the grading factors in the given table.  The age of each
+    * competitor is that they reach in the given year.  Competitors whose year
+    * of birth or gender is not known, or for whom the table has no factor,
+    * have their times left ungraded.
+    * @param {?AgeGradingTable} table - The table of grading factors, or null
+    *     to remove any grading of the competitors' times.
+    * @param {Number} year - The year in which the event took place.
+    */
+    CourseClass.prototype.applyAgeGrading = function (table, year) {
         this.competitors.forEach(function (comp) {
-            comp.determineTimeLosses(fastestSplitTimes);
+            var hasAge = (comp.yearOfBirth !== null && comp.gender !== null);
+            comp.setGradingFactor((table === null || !hasAge) ? null : table.getFactor(year - comp.yearOfBirth, comp.gender));
+        });
+    };
+    
+    /**
+    * Removes the control with the given number from this course-class, such
+    * as when the control is cancelled, removing the competitors' times at
+    * that control.  The competitors' data will need repairing again.
+    * @param {Number} controlNumber - The number of the control to remove,
+    *     with control 1 being the first control.
+    */
+    CourseClass.prototype.removeControl = function (controlNumber) {
+        if (controlNumber < 1 || controlNumber > this.numControls) {
+            throwInvalidData("Cannot remove control " + controlNumber + " from class '" + this.name + "' as it only has " + this.numControls + " controls");
+        }
+        
+        this.numControls -= 1;
+        this.competitors.forEach(function (comp) {
+            var cumTimes = comp.getAllOriginalCumulativeTimes().slice(0);
+            cumTimes.splice(controlNumber, 1);
+            comp.setOriginalCumulativeTimes(cumTimes);
         });
     };
     
@@ -81,16 +235,37 @@
         this.course = course;
     };
 
+    /**
+    * Returns the split time of the given competitor in this course-class on
+    * the leg ending at the control with the given index.
+    *
+    * If the course of this course-class is forked and a variation is given,
+    * the leg is that of the given variation, and competitors who ran other
+    * variations are compared on the same leg wherever it comes in their own
+    * variation.  See SplitsBrowser.Model.Course.getSplitTimeOnLeg.
+    *
+    * @param {Competitor} competitor - The competitor.
+    * @param {Number} controlIdx - The index of the control at the end of the
+    *     leg.
+    * @param {?String} variationName - (Optional) The name of the variation.
+    * @return {?Number} The competitor's split time on the leg.
+    */
+    CourseClass.prototype.getSplitTimeOnLeg = function (competitor, controlIdx, variationName) {
+        return (this.course === null) ? competitor.getSplitTimeTo(controlIdx) : this.course.getSplitTimeOnLeg(competitor, controlIdx, variationName);
+    };
+
     /**
     * Returns the fastest split time recorded by competitors in this class.  If
     * no fastest split time is recorded (e.g. because all competitors
     * mispunched that control, or the class is empty), null is returned.
     * @param {Number} controlIdx - The index of the control to return the
     *      fastest split to.
+    * @param {?String} variationName - (Optional) The name of the variation
+    *      of a forked course whose leg ending at the control is meant.
     * @return {?Object} Object containing the name and fastest split, or
     *      null if no split times for that control were recorded.
     */
-    CourseClass.prototype.getFastestSplitTo = function (controlIdx) {
+    CourseClass.prototype.getFastestSplitTo = function (controlIdx, variationName) {
         if (typeof controlIdx !== "number" || controlIdx < 1 || controlIdx > this.numControls + 1) {
             throwInvalidData("Cannot return splits to leg '" + controlIdx + "' in a course with " + this.numControls + " control(s)");
         }
@@ -98,7 +273,7 @@
         var fastestSplit = null;
         var fastestCompetitor = null;
         this.competitors.forEach(function (comp) {
-            var compSplit = comp.getSplitTimeTo(controlIdx);
+            var compSplit = this.getSplitTimeOnLeg(comp, controlIdx, variationName);
             // MODIFIED only completed
 //            if (isNotNullNorNaN(compSplit) ) {
             if (comp.completed() && isNotNullNorNaN(compSplit)) {
@@ -107,7 +282,7 @@
                     fastestCompetitor = comp;
                 }
             }
-        });
+        }, this);
         
         return (fastestSplit === null) ? null : {split: fastestSplit, name: fastestCompetitor.name};
     };
@@ -121,17 +296,24 @@
     *     seconds past midnight.
     * @param {Number} intervalEnd - The end time of the interval, as seconds
     *     past midnight.
+    * @param {?String} variationName - (Optional) The name of the variation of
+    *     a forked course.  If given, only competitors who ran this variation
+    *     are included.
     * @return {Array} Array of objects listing the name and start time of each
     *     competitor visiting the control within the given time interval.
     */
-    CourseClass.prototype.getCompetitorsAtControlInTimeRange = function (controlNum, intervalStart, intervalEnd) {
+    CourseClass.prototype.getCompetitorsAtControlInTimeRange = function (controlNum, intervalStart, intervalEnd, variationName) {
         if (typeof controlNum !== "number" || isNaN(controlNum) || controlNum < 0 || controlNum > this.numControls + 1) {
             throwInvalidData("Control number must be a number between 0 and " + this.numControls + " inclusive");
         }
         
         var matchingCompetitors = [];
         this.competitors.forEach(function (comp) {
-            var cumTime = comp.getCumulativeTimeTo(controlNum);
+            if (variationName && comp.variation !== variationName) {
+                return;
+            }
+            
+            var cumTime = comp.getUngradedCumulativeTimeTo(controlNum);
             if (cumTime !== null && comp.startTime !== null) {
                 var actualTimeAtControl = cumTime + comp.startTime;
                 if (intervalStart <= actualTimeAtControl && actualTimeAtControl <= intervalEnd) {
@@ -42,6 +42,11 @@
         this.length = length;
         this.climb = climb;
         this.controls = controls;
+        this.controlPositions = null;
+        this.legLengths = null;
+        this.legClimbs = null;
+        this.neutralisedLegs = [];
+        this.variations = null;
     }
     
     /** 'Magic' control code that represents the start. */
@@ -78,12 +83,245 @@
     };
     
     /**
-    * Returns whether this course has control code data.
+    * Returns whether this course has control code data.  A forked course has
+    * control codes, as its variations do.
     * @return {boolean} true if this course has control codes, false if it does
     *     not.
     */
     Course.prototype.hasControls = function () {
-        return (this.controls !== null);
+        return (this.controls !== null || this.variations !== null);
+    };
+    
+    /**
+    * Records that this course is forked, i.e. that each of its competitors
+    * ran one of several variations of it.  Each variation has its own
+    * sequence of controls, but all have the same number of controls.  As the
+    * controls depend on the variation, the course itself no longer lists any
+    * controls of its own, but it still has controls.
+    *
+    * Each variation is an object containing a name property, giving the name
+    * of the variation, and a controls property, giving the codes of its
+    * controls.
+    *
+    * @param {Array} variations - Array of the variations of this course.
+    */
+    Course.prototype.setVariations = function (variations) {
+        this.variations = variations;
+        this.controls = null;
+    };
+    
+    /**
+    * Returns whether this course is forked into variations.
+    * @return {boolean} True if this course is forked, false if not.
+    */
+    Course.prototype.isForked = function () {
+        return (this.variations !== null);
+    };
+    
+    /**
+    * Returns the codes of the controls of the variation of this course with
+    * the given name.  If this course isn't forked, the controls of the course
+    * are returned whatever the name given.
+    * @param {?String} variationName - The name of the variation.
+    * @return {?Array} Array of the codes of the controls, or null if this
+    *     course has no controls or no variation with the given name.
+    */
+    Course.prototype.getVariationControls = function (variationName) {
+        if (this.variations === null) {
+            return this.controls;
+        }
+        
+        var matchingVariations = this.variations.filter(function (variation) { return variation.name === variationName; });
+        return (matchingVariations.length > 0) ? matchingVariations[0].controls : null;
+    };
+    
+    /**
+    * Returns the codes of the controls of this course, for display.  On a
+    * forked course, a control that differs between variations is given by
+    * the codes of the controls of each variation, separated by slashes.
+    * @return {?Array} Array of the codes of the controls, or null if this
+    *     course has no controls.
+    */
+    Course.prototype.getCombinedControls = function () {
+        if (this.variations === null) {
+            return this.controls;
+        }
+        
+        return this.variations[0].controls.map(function (control, index) {
+            var codes = [];
+            this.variations.forEach(function (variation) {
+                if (codes.indexOf(variation.controls[index]) === -1) {
+                    codes.push(variation.controls[index]);
+                }
+            });
+            
+            return codes.join("/");
+        }, this);
+    };
+    
+    /**
+    * Sets the geometry of the legs of this course, such as that read from an
+    * IOF XML 3.0 CourseData file.
+    *
+    * The positions run from the start, through each control, to the finish,
+    * so there is one more position than there are legs.  Each position is an
+    * object with properties lat and lng, for the position in geographical
+    * coordinates, and x and y, for the position on the map.  Any of these
+    * values, and any leg length or climb, may be null if not known.
+    *
+    * @param {Array} controlPositions - Array of the positions of the start,
+    *     each control and the finish.
+    * @param {Array} legLengths - Array of the lengths of each leg, in
+    *     kilometres.
+    * @param {Array} legClimbs - Array of the climbs of each leg, in metres.
+    */
+    Course.prototype.setLegGeometry = function (controlPositions, legLengths, legClimbs) {
+        if (legLengths.length !== controlPositions.length - 1 || legClimbs.length !== legLengths.length) {
+            throwInvalidData("Course " + this.name + " has " + controlPositions.length + " control positions, " + legLengths.length +
+                " leg lengths and " + legClimbs.length + " leg climbs: there should be one more position than each of the others");
+        }
+        
+        this.controlPositions = controlPositions;
+        this.legLengths = legLengths;
+        this.legClimbs = legClimbs;
+    };
+    
+    /**
+    * Removes the control with the given number from this course, such as
+    * when the control is cancelled.  The legs either side of the control are
+    * merged into one leg, whose length and climb are the sums of those of the
+    * two legs, and which is only neutralised if both legs were.  The classes
+    * of this course are not changed.
+    * @param {Number} controlNumber - The number of the control to remove,
+    *     with control 1 being the first control.
+    */
+    Course.prototype.removeControl = function (controlNumber) {
+        if (this.controls !== null) {
+            this.controls.splice(controlNumber - 1, 1);
+        }
+        
+        if (this.variations !== null) {
+            this.variations.forEach(function (variation) { variation.controls.splice(controlNumber - 1, 1); });
+        }
+        
+        if (this.hasLegGeometry()) {
+            var mergeLegs = function (values) {
+                var first = values[controlNumber - 1];
+                var second = values[controlNumber];
+                values.splice(controlNumber - 1, 2, (first === null || second === null) ? null : first + second);
+            };
+            
+            this.controlPositions.splice(controlNumber, 1);
+            mergeLegs(this.legLengths);
+            mergeLegs(this.legClimbs);
+        }
+        
+        var neutralisedLegs = this.neutralisedLegs;
+        this.neutralisedLegs = neutralisedLegs.filter(function (leg) {
+            return leg !== controlNumber + 1 && (leg !== controlNumber || neutralisedLegs.indexOf(controlNumber + 1) > -1);
+        }).map(function (leg) {
+            return (leg > controlNumber) ? leg - 1 : leg;
+        });
+    };
+    
+    /**
+    * Sets the legs of this course on which time isn't counted, such as road
+    * crossings or feeding stations, and leaves the time taken on them out of
+    * the times of the competitors in the classes of this course.
+    * @param {Array} neutralisedLegs - Array of the numbers of the neutralised
+    *     legs, where leg N ends at control N and the leg ending at the finish
+    *     is one more than the number of controls.
+    */
+    Course.prototype.setNeutralisedLegs = function (neutralisedLegs) {
+        this.neutralisedLegs = neutralisedLegs.slice(0);
+        this.neutralisedLegs.sort(d3.ascending);
+        this.classes.forEach(function (courseClass) {
+            courseClass.competitors.forEach(function (comp) { comp.setNeutralisedLegs(this.neutralisedLegs); }, this);
+        }, this);
+    };
+    
+    /**
+    * Returns whether the leg of this course ending at the control with the
+    * given index is neutralised.
+    * @param {Number} controlIndex - The index of the control at the end of
+    *     the leg.
+    * @return {boolean} True if the leg is neutralised, false if not.
+    */
+    Course.prototype.isLegNeutralised = function (controlIndex) {
+        return this.neutralisedLegs.indexOf(controlIndex) > -1;
+    };
+    
+    /**
+    * Returns whether this course has leg-geometry data.
+    * @return {boolean} true if this course has leg geometry, false if it does
+    *     not.
+    */
+    Course.prototype.hasLegGeometry = function () {
+        return (this.legLengths !== null);
+    };
+    
+    /**
+    * Returns the length of the leg with the given number, in kilometres.
+    *
+    * The number of a leg is the number of the control at its end, so leg 1
+    * runs from the start to control 1.  Numbers outside the range of legs
+    * cause an exception to be thrown.
+    *
+    * @param {Number} legNumber - The number of the leg.
+    * @return {?Number} The length of the leg, or null if not known.
+    */
+    Course.prototype.getLegLength = function (legNumber) {
+        return this.getLegGeometryValue(this.legLengths, legNumber);
+    };
+    
+    /**
+    * Returns the climb of the leg with the given number, in metres.
+    *
+    * Legs are numbered in the same way as for getLegLength.
+    *
+    * @param {Number} legNumber - The number of the leg.
+    * @return {?Number} The climb of the leg, or null if not known.
+    */
+    Course.prototype.getLegClimb = function (legNumber) {
+        return this.getLegGeometryValue(this.legClimbs, legNumber);
+    };
+    
+    /**
+    * Returns the value for the leg with the given number from the given
+    * array of leg-geometry values.
+    * @param {?Array} values - Array of values, one for each leg, or null if
+    *     this course has no leg geometry.
+    * @param {Number} legNumber - The number of the leg.
+    * @return {?Number} The value for the leg, or null if not known.
+    */
+    Course.prototype.getLegGeometryValue = function (values, legNumber) {
+        if (values === null) {
+            return null;
+        } else if (1 <= legNumber && legNumber <= values.length) {
+            return values[legNumber - 1];
+        } else {
+            throwInvalidData("Cannot get geometry of leg " + legNumber + " because it is out of range");
+        }
+    };
+    
+    /**
+    * Returns the position of the control with the given number.
+    *
+    * The start is control number 0 and the finish has number one more than the
+    * number of controls.
+    *
+    * @param {Number} controlNum - The number of the control.
+    * @return {?Object} The position of the control, or null if this course
+    *     has no leg geometry.
+    */
+    Course.prototype.getControlPosition = function (controlNum) {
+        if (this.controlPositions === null) {
+            return null;
+        } else if (0 <= controlNum && controlNum < this.controlPositions.length) {
+            return this.controlPositions[controlNum];
+        } else {
+            throwInvalidData("Cannot get position of control " + controlNum + " because it is out of range");
+        }
     };
     
     /**
@@ -96,17 +334,28 @@
     * The codes for the start and finish are given by the constants
     * SplitsBrowser.Model.Course.START and SplitsBrowser.Model.Course.FINISH.
     *
+    * If this course is forked and no variation is given, the controls of the
+    * first variation are used, as charts compare the competitors on a forked
+    * course along the legs of its first variation.
+    *
     * @param {Number} controlNum - The number of the control.
+    * @param {String=} variationName - The name of the variation whose
+    *     controls to use, if this course is forked.
     * @return {?String} The code of the control, or one of the aforementioned
     *     constants for the start or finish.
     */
-    Course.prototype.getControlCode = function (controlNum) {
+    Course.prototype.getControlCode = function (controlNum, variationName) {
+        var controls = this.getVariationControls(variationName);
+        if (controls === null && this.variations !== null) {
+            controls = this.variations[0].controls;
+        }
+        
         if (controlNum === 0) {
             // The start.
             return START;
-        } else if (1 <= controlNum && controlNum <= this.controls.length) {
-            return this.controls[controlNum - 1];
-        } else if (controlNum === this.controls.length + 1) {
+        } else if (1 <= controlNum && controlNum <= controls.length) {
+            return controls[controlNum - 1];
+        } else if (controlNum === controls.length + 1) {
             // The finish.
             return FINISH;
         } else {
@@ -115,7 +364,8 @@
     };
     
     /**
-    * Returns whether this course uses the given leg.
+    * Returns whether this course uses the given leg.  A forked course uses
+    * the leg if any of its variations does.
     *
     * If this course lacks leg information, it is assumed not to contain any
     * legs and so will return false for every leg.
@@ -127,7 +377,28 @@
     * @return {boolean} Whether this course uses the given leg.
     */
     Course.prototype.usesLeg = function (startCode, endCode) {
-        return this.getLegNumber(startCode, endCode) >= 0;
+        if (this.variations === null) {
+            return this.getLegNumber(startCode, endCode) >= 0;
+        } else {
+            return this.getVariationUsingLeg(startCode, endCode) !== null;
+        }
+    };
+    
+    /**
+    * Returns the name of the first variation of this forked course that uses
+    * the given leg.
+    * @param {String} startCode - Code for the control at the start of the leg.
+    * @param {String} endCode - Code for the control at the end of the leg.
+    * @return {?String} The name of the variation, or null if no variation of
+    *     this course uses the leg or this course isn't forked.
+    */
+    Course.prototype.getVariationUsingLeg = function (startCode, endCode) {
+        if (this.variations === null) {
+            return null;
+        }
+        
+        var matchingVariations = this.variations.filter(function (variation) { return this.getLegNumber(startCode, endCode, variation.name) >= 0; }, this);
+        return (matchingVariations.length > 0) ? matchingVariations[0].name : null;
     };
     
     /**
@@ -144,11 +415,14 @@
     *     or null for the start.
     * @param {String} endCode - Code for the control at the end of the leg, or
     *     null for the finish.
+    * @param {String=} variationName - The name of the variation whose
+    *     controls to use, if this course is forked.
     * @return {Number} The control number of the leg in this course, or a
     *     negative number if the leg is not part of this course.
     */
-    Course.prototype.getLegNumber = function (startCode, endCode) {
-        if (this.controls === null) {
+    Course.prototype.getLegNumber = function (startCode, endCode, variationName) {
+        var controls = this.getVariationControls(variationName);
+        if (controls === null) {
             // No controls, so no, it doesn't contain the leg specified.
             return -1;
         }
@@ -157,15 +431,15 @@
             // No controls - straight from the start to the finish.
             // This leg is only present, and is leg 1, if there are no
             // controls.
-            return (this.controls.length === 0) ? 1 : -1;
+            return (controls.length === 0) ? 1 : -1;
         } else if (startCode === START) {
             // From the start to control 1.
-            return (this.controls.length > 0 && this.controls[0] === endCode) ? 1 : -1;
+            return (controls.length > 0 && controls[0] === endCode) ? 1 : -1;
         } else if (endCode === FINISH) {
-            return (this.controls.length > 0 && this.controls[this.controls.length - 1] === startCode) ? (this.controls.length + 1) : -1;
+            return (controls.length > 0 && controls[controls.length - 1] === startCode) ? (controls.length + 1) : -1;
         } else {
-            for (var controlIdx = 1; controlIdx < this.controls.length; controlIdx += 1) {
-                if (this.controls[controlIdx - 1] === startCode && this.controls[controlIdx] === endCode) {
+            for (var controlIdx = 1; controlIdx < controls.length; controlIdx += 1) {
+                if (controls[controlIdx - 1] === startCode && controls[controlIdx] === endCode) {
                     return controlIdx + 1;
                 }
             }
@@ -176,7 +450,71 @@
     };
     
     /**
-    * Returns the fastest splits recorded for a given leg of the course.
+    * Returns a key identifying the leg with the given number of the given
+    * variation of this course, made up from the codes of the controls at
+    * either end of the leg.  Legs with the same key are the same leg, even
+    * if they come at different points of different variations.
+    * @param {Number} legNumber - The number of the leg.
+    * @param {String=} variationName - The name of the variation, if this
+    *     course is forked.
+    * @return {?String} The key of the leg, or null if this course has no
+    *     controls.
+    */
+    Course.prototype.getLegKey = function (legNumber, variationName) {
+        if (this.getVariationControls(variationName) === null) {
+            return null;
+        }
+        
+        return this.getControlCode(legNumber - 1, variationName) + "\t" + this.getControlCode(legNumber, variationName);
+    };
+    
+    /**
+    * Returns whether the leg with the given number is common to all
+    * variations of this course, i.e. runs between the same controls in all
+    * of them.  All legs of a course that isn't forked are common.
+    * @param {Number} legNumber - The number of the leg.
+    * @return {boolean} True if the leg is common to all variations, false if
+    *     not.
+    */
+    Course.prototype.isLegCommon = function (legNumber) {
+        if (this.variations === null) {
+            return true;
+        }
+        
+        var firstLegKey = this.getLegKey(legNumber, this.variations[0].name);
+        return this.variations.every(function (variation) { return this.getLegKey(legNumber, variation.name) === firstLegKey; }, this);
+    };
+    
+    /**
+    * Returns the split time of the given competitor on the leg with the given
+    * number of the given variation of this course.
+    *
+    * A competitor who ran another variation of a forked course is compared on
+    * the same leg wherever it comes in their own variation, and has a null
+    * split time if their variation doesn't use the leg.  If this course isn't
+    * forked, or no variation is given, the competitor's split time to the
+    * control with the given number is returned.
+    *
+    * @param {Competitor} competitor - The competitor.
+    * @param {Number} legNumber - The number of the leg.
+    * @param {?String} variationName - The name of the variation.
+    * @return {?Number} The competitor's split time on the leg.
+    */
+    Course.prototype.getSplitTimeOnLeg = function (competitor, legNumber, variationName) {
+        if (this.variations === null || !variationName || competitor.variation === variationName) {
+            return competitor.getSplitTimeTo(legNumber);
+        }
+        
+        var startCode = this.getControlCode(legNumber - 1, variationName);
+        var endCode = this.getControlCode(legNumber, variationName);
+        var competitorLegNumber = this.getLegNumber(startCode, endCode, competitor.variation);
+        return (competitorLegNumber < 0) ? null : competitor.getSplitTimeTo(competitorLegNumber);
+    };
+    
+    /**
+    * Returns the fastest splits recorded for a given leg of the course.  On a
+    * forked course, competitors are compared on the leg wherever it comes in
+    * their variations.
     *
     * Note that this method should only be called if the course is known to use
     * the given leg.
@@ -193,7 +531,8 @@
             throwInvalidData("Cannot determine fastest splits for a leg because leg information is not available");
         }
         
-        var legNumber = this.getLegNumber(startCode, endCode);
+        var variationName = this.getVariationUsingLeg(startCode, endCode);
+        var legNumber = this.getLegNumber(startCode, endCode, variationName);
         if (legNumber < 0) {
             var legStr = ((startCode === START) ? "start" : startCode) + " to " + ((endCode === FINISH) ? "end" : endCode);
             throwInvalidData("Leg from " +  legStr + " not found in course " + this.name);
@@ -202,7 +541,7 @@
         var controlNum = legNumber;
         var fastestSplits = [];
         this.classes.forEach(function (courseClass) {
-            var classFastest = courseClass.getFastestSplitTo(controlNum);
+            var classFastest = courseClass.getFastestSplitTo(controlNum, variationName);
             if (classFastest !== null) {
                 fastestSplits.push({name: classFastest.name, className: courseClass.name, split: classFastest.split});
             }
@@ -219,6 +558,8 @@
     * SplitsBrowser.Model.Course.FINISH for the finish.
     *
     * If the given control is not on this course, an empty list is returned.
+    * If this course is forked, competitors on each variation are included
+    * wherever the control appears in their variation.
     *
     * @param {String} controlCode - Control code of the required control.
     * @param {Number} intervalStart - The start of the interval, as seconds
@@ -229,25 +570,56 @@
     *     within the given time interval.
     */
     Course.prototype.getCompetitorsAtControlInTimeRange = function (controlCode, intervalStart, intervalEnd) {
-        if (this.controls === null) {
+        if (this.isForked()) {
+            var allMatchingCompetitors = [];
+            this.variations.forEach(function (variation) {
+                this.getCompetitorsAtControlOfVariationInTimeRange(controlCode, intervalStart, intervalEnd, variation.name).forEach(function (comp) {
+                    allMatchingCompetitors.push(comp);
+                });
+            }, this);
+            
+            return allMatchingCompetitors;
+        } else {
+            return this.getCompetitorsAtControlOfVariationInTimeRange(controlCode, intervalStart, intervalEnd, null);
+        }
+    };
+    
+    /**
+    * Returns a list of all competitors on the given variation of this course
+    * that visit the control with the given code in the time interval given.
+    * If this course isn't forked, all competitors on the course are included.
+    *
+    * @param {String} controlCode - Control code of the required control.
+    * @param {Number} intervalStart - The start of the interval, as seconds
+    *     past midnight.
+    * @param {Number} intervalEnd - The end of the interval, as seconds past
+    *     midnight.
+    * @param {?String} variationName - The name of the variation, or null if
+    *     this course isn't forked.
+    * @return  {Array} Array of all competitors visiting the given control
+    *     within the given time interval.
+    */
+    Course.prototype.getCompetitorsAtControlOfVariationInTimeRange = function (controlCode, intervalStart, intervalEnd, variationName) {
+        var controls = this.getVariationControls(variationName);
+        if (controls === null) {
             // No controls means don't return any competitors.
             return [];
         } else if (controlCode === START) {
-            return this.getCompetitorsAtControlNumInTimeRange(0, intervalStart, intervalEnd);
+            return this.getCompetitorsAtControlNumInTimeRange(0, intervalStart, intervalEnd, variationName);
         } else if (controlCode === FINISH) {
-            return this.getCompetitorsAtControlNumInTimeRange(this.controls.length + 1, intervalStart, intervalEnd);
+            return this.getCompetitorsAtControlNumInTimeRange(controls.length + 1, intervalStart, intervalEnd, variationName);
         } else {
             // Be aware that the same control might be used more than once on a course.
             var lastControlIdx = -1;
             var matchingCompetitors = [];
             var appendMatchingCompetitor = function (comp) { matchingCompetitors.push(comp); };
             while (true) {
-                var controlIdx = this.controls.indexOf(controlCode, lastControlIdx + 1);
+                var controlIdx = controls.indexOf(controlCode, lastControlIdx + 1);
                 if (controlIdx < 0) {
                     // No more occurrences of this control.
                     return matchingCompetitors;
                 } else {
-                    var competitors = this.getCompetitorsAtControlNumInTimeRange(controlIdx + 1, intervalStart, intervalEnd);
+                    var competitors = this.getCompetitorsAtControlNumInTimeRange(controlIdx + 1, intervalStart, intervalEnd, variationName);
                     competitors.forEach(appendMatchingCompetitor);
                     lastControlIdx = controlIdx;
                 }
@@ -264,13 +636,16 @@
     *     past midnight.
     * @param {Number} intervalEnd - The end of the interval, as seconds past
     *     midnight.
+    * @param {?String} variationName - (Optional) The name of the variation
+    *     of this course whose competitors to include, if this course is
+    *     forked.
     * @return  {Array} Array of all competitors visiting the given control
     *     within the given time interval.
     */
-    Course.prototype.getCompetitorsAtControlNumInTimeRange = function (controlNum, intervalStart, intervalEnd) {
+    Course.prototype.getCompetitorsAtControlNumInTimeRange = function (controlNum, intervalStart, intervalEnd, variationName) {
         var matchingCompetitors = [];
         this.classes.forEach(function (courseClass) {
-            courseClass.getCompetitorsAtControlInTimeRange(controlNum, intervalStart, intervalEnd).forEach(function (comp) {
+            courseClass.getCompetitorsAtControlInTimeRange(controlNum, intervalStart, intervalEnd, variationName).forEach(function (comp) {
                 matchingCompetitors.push({name: comp.name, time: comp.time, className: courseClass.name});
             });
         });
@@ -279,15 +654,52 @@
     };
     
     /**
-    * Returns whether the course has the given control.
+    * Returns whether the course has the given control.  A forked course has
+    * the control if any of its variations does.
     * @param {String} controlCode - The code of the control.
     * @return {boolean} True if the course has the control, false if the
     *     course doesn't, or doesn't have any controls at all.
     */
     Course.prototype.hasControl = function (controlCode) {
-        return this.controls !== null && this.controls.indexOf(controlCode) > -1;
+        if (this.isForked()) {
+            return this.variations.some(function (variation) { return variation.controls.indexOf(controlCode) > -1; });
+        } else {
+            return this.controls !== null && this.controls.indexOf(controlCode) > -1;
+        }
     };
     
+    /**
+    * Returns the control code(s) of the control(s) after the one with the
+    * given code in the given list of controls.
+    * @param {Array} controls - Array of control codes.
+    * @param {String} controlCode - The code of the control, which may be the
+    *     start but not the finish.
+    * @return {Array} The codes of the next controls, empty if the control
+    *     isn't in the list.
+    */
+    function getNextControlsInList(controls, controlCode) {
+        if (controlCode === START) {
+            return [(controls.length === 0) ? FINISH : controls[0]];
+        }
+        
+        var lastControlIdx = -1;
+        var nextControls = [];
+        do {
+            var controlIdx = controls.indexOf(controlCode, lastControlIdx + 1);
+            if (controlIdx === -1) {
+                break;
+            } else if (controlIdx === controls.length - 1) {
+                nextControls.push(FINISH);
+            } else {
+                nextControls.push(controls[controlIdx + 1]);
+            }
+            
+            lastControlIdx = controlIdx;
+        } while (true); // Loop exits when broken.
+        
+        return nextControls;
+    }
+    
     /**
     * Returns the control code(s) of the control(s) after the one with the
     * given code.
@@ -298,27 +710,22 @@
     * @return {Array} The code of the next control
     */
     Course.prototype.getNextControls = function (controlCode) {
-        if (this.controls === null) {
+        if (this.controls === null && !this.isForked()) {
             throwInvalidData("Course has no controls");
         } else if (controlCode === FINISH) {
             throwInvalidData("Cannot fetch next control after the finish");
-        } else if (controlCode === START) {
-            return [(this.controls.length === 0) ? FINISH : this.controls[0]];
         } else {
-            var lastControlIdx = -1;
+            // On a forked course, the next controls of each variation are
+            // listed, each only once.
+            var allControls = (this.isForked()) ? this.variations.map(function (variation) { return variation.controls; }) : [this.controls];
             var nextControls = [];
-            do {
-                var controlIdx = this.controls.indexOf(controlCode, lastControlIdx + 1);
-                if (controlIdx === -1) {
-                    break;
-                } else if (controlIdx === this.controls.length - 1) {
-                    nextControls.push(FINISH);
-                } else {
-                    nextControls.push(this.controls[controlIdx + 1]);
-                }
-                
-                lastControlIdx = controlIdx;
-            } while (true); // Loop exits when broken.
+            allControls.forEach(function (controls) {
+                getNextControlsInList(controls, controlCode).forEach(function (nextControl) {
+                    if (allControls.length === 1 || nextControls.indexOf(nextControl) < 0) {
+                        nextControls.push(nextControl);
+                    }
+                });
+            });
             
             if (nextControls.length === 0) {
                 throwInvalidData("Control '" + controlCode + "' not found on course " + this.name);
@@ -30,9 +30,12 @@
     
     /**
      * Construct a Repairer, for repairing some data.
+     * @param {boolean} interpolate - True to estimate the times removed while
+     *     repairing the data, false to leave them blank.
     */
-    var Repairer = function () {
+    var Repairer = function (interpolate) {
         this.madeAnyChanges = false;
+        this.interpolate = interpolate;
     };
 
    /**
@@ -183,11 +186,81 @@
     };
     
     /**
-    * Attempts to repair the cumulative times for a competitor.  The repaired
-    * cumulative times are written back into the competitor.
+    * Returns the median split time of the competitors on each leg, given
+    * their cumulative times.  Missing and dubious split times are ignored.
+    * The median split time of a leg with no valid split times is undefined.
+    * @param {Array} allCumTimes - Array of arrays of cumulative times, one
+    *     array for each competitor.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {Array} Array of median split times, one for each leg.
+    */
+    function getMedianSplits(allCumTimes, numControls) {
+        return d3.range(1, numControls + 2).map(function (controlIndex) {
+            var validCumTimes = allCumTimes.filter(function (cumTimes) {
+                return isNotNullNorNaN(cumTimes[controlIndex - 1]) && isNotNullNorNaN(cumTimes[controlIndex]);
+            });
+            
+            return d3.median(validCumTimes, function (cumTimes) { return cumTimes[controlIndex] - cumTimes[controlIndex - 1]; });
+        });
+    }
+    
+    /**
+    * Estimates the dubious cumulative times of a competitor, i.e. those that
+    * are NaN, that lie between two valid cumulative times.  The time taken
+    * between the two valid times, which gives the competitor's own pace, is
+    * shared between the legs in proportion to the median split times of the
+    * field on those legs.  If the median split time of any of those legs is
+    * not known, the time is shared equally instead.  Estimated times are
+    * rounded to the nearest second.
+    *
+    * Dubious times with no valid time after them, such as an absurd finish
+    * time of a competitor who did not complete the course, are not
+    * estimated.
+    *
+    * @param {Array} cumTimes - Array of cumulative times.  This array is
+    *     modified.
+    * @param {Array} medianSplits - Array of median split times of the field.
+    * @return {Array} Array of flags indicating whether each cumulative time
+    *     was estimated.
+    */
+    function estimateDubiousCumulativeTimes(cumTimes, medianSplits) {
+        var estimated = cumTimes.map(function () { return false; });
+        var lastValidIndex = null;
+        for (var index = 0; index < cumTimes.length; index += 1) {
+            if (isNotNullNorNaN(cumTimes[index])) {
+                if (lastValidIndex !== null && index > lastValidIndex + 1) {
+                    var legSplits = medianSplits.slice(lastValidIndex, index);
+                    if (!legSplits.every(function (split) { return split > 0; })) {
+                        legSplits = legSplits.map(function () { return 1; });
+                    }
+                    
+                    var totalOfLegSplits = d3.sum(legSplits);
+                    var timeTaken = cumTimes[index] - cumTimes[lastValidIndex];
+                    var cumulativeLegSplit = 0;
+                    for (var gapIndex = lastValidIndex + 1; gapIndex < index; gapIndex += 1) {
+                        cumulativeLegSplit += legSplits[gapIndex - lastValidIndex - 1];
+                        cumTimes[gapIndex] = Math.round(cumTimes[lastValidIndex] + timeTaken * cumulativeLegSplit / totalOfLegSplits);
+                        estimated[gapIndex] = true;
+                    }
+                }
+                
+                lastValidIndex = index;
+            } else if (cumTimes[index] === null) {
+                // A missing time: don't estimate any dubious times between a
+                // valid time before it and one after it.
+                lastValidIndex = null;
+            }
+        }
+        
+        return estimated;
+    }
+    
+    /**
+    * Attempts to repair the cumulative times for a competitor.
     *
     * @param {Competitor} competitor - Competitor whose cumulative times we
     *     wish to repair.
+    * @return {Array} The repaired cumulative times.
     */
     Repairer.prototype.repairCompetitor = function (competitor) {
         var cumTimes = competitor.originalCumTimes.slice(0);
@@ -200,7 +273,7 @@
             this.removeFinishTimeIfAbsurd(cumTimes);
         }
         
-        competitor.setRepairedCumulativeTimes(cumTimes);
+        return cumTimes;
     };
     
     /**
@@ -210,10 +283,22 @@
     */
     Repairer.prototype.repairCourseClass = function (courseClass) {
         this.madeAnyChanges = false;
-        courseClass.competitors.forEach(function (competitor) {
-            this.repairCompetitor(competitor);
+        var allCumTimes = courseClass.competitors.map(function (competitor) {
+            return this.repairCompetitor(competitor);
         }, this);
         
+        if (this.interpolate) {
+            var medianSplits = getMedianSplits(allCumTimes, courseClass.numControls);
+            courseClass.competitors.forEach(function (competitor, index) {
+                var estimated = estimateDubiousCumulativeTimes(allCumTimes[index], medianSplits);
+                competitor.setRepairedCumulativeTimes(allCumTimes[index], estimated);
+            });
+        } else {
+            courseClass.competitors.forEach(function (competitor, index) {
+                competitor.setRepairedCumulativeTimes(allCumTimes[index]);
+            });
+        }
+        
         if (this.madeAnyChanges) {
             courseClass.recordHasDubiousData();
         }
@@ -230,11 +315,24 @@
     };
     
     /**
-    * Attempt to carry out repairs to the data in an event.
+    * Attempt to carry out repairs to the data in an event, leaving blank any
+    * times removed.
     * @param {Event} eventData - The event data to repair.
     */
     function repairEventData(eventData) {
-        var repairer = new Repairer();
+        var repairer = new Repairer(false);
+        repairer.repairEventData(eventData);
+    }
+    
+    /**
+    * Attempt to carry out repairs to the data in an event, estimating any
+    * times removed from the competitor's own pace and the split times of the
+    * rest of the field.  Estimated times are marked as such on the
+    * competitors.
+    * @param {Event} eventData - The event data to repair.
+    */
+    function interpolateEventData(eventData) {
+        var repairer = new Repairer(true);
         repairer.repairEventData(eventData);
     }
     
@@ -254,8 +352,18 @@
         });
     }
     
+    // The ways of repairing data: showing the original data, removing
+    // dubious times, or estimating them.
+    var RepairModes = {
+        Original: {nameKey: "DataRepairOriginal", repair: transferCompetitorData},
+        Blanked: {nameKey: "DataRepairBlanked", repair: repairEventData},
+        Interpolated: {nameKey: "DataRepairInterpolated", repair: interpolateEventData}
+    };
+    
     SplitsBrowser.DataRepair = {
         repairEventData: repairEventData,
-        transferCompetitorData: transferCompetitorData
+        interpolateEventData: interpolateEventData,
+        transferCompetitorData: transferCompetitorData,
+        RepairModes: RepairModes
     };
 })();
\ No newline at end of file
@@ -0,0 +1,109 @@
+/*
+ *  SplitsBrowser DaySelector - Provides a choice of the days of a multi-day
+ *  event.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+
+    /**
+    * A control that wraps a drop-down list used to choose which day of a
+    * multi-day event to view.  The control is hidden unless there is more
+    * than one day to choose from.
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    */
+    function DaySelector(parent) {
+        this.changeHandlers = [];
+        this.dayNames = [];
+
+        this.div = d3.select(parent).append("div")
+                                    .classed("topRowStart", true)
+                                    .attr("id", "daySelectorContainer")
+                                    .style("display", "none");
+
+        this.labelSpan = this.div.append("span");
+
+        var outerThis = this;
+        this.dropDown = this.div.append("select").node();
+        $(this.dropDown).bind("change", function() { outerThis.onSelectionChanged(); });
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages displayed within this control, following either its
+    * creation or a change of selected language.
+    */
+    DaySelector.prototype.setMessages = function () {
+        this.labelSpan.text(getMessage("DaySelectorLabel"));
+    };
+
+    /**
+    * Sets the names of the days to choose from, and selects the first day.
+    * The change handlers are not called.
+    * @param {Array} dayNames - Array of the names of the days.
+    */
+    DaySelector.prototype.setDays = function (dayNames) {
+        this.dayNames = dayNames;
+
+        var options = d3.select(this.dropDown).selectAll("option").data(dayNames);
+        options.enter().append("option");
+        options.exit().remove();
+
+        d3.select(this.dropDown).selectAll("option")
+                                .attr("value", function (_value, index) { return index.toString(); })
+                                .text(function (dayName) { return dayName; });
+
+        this.dropDown.selectedIndex = 0;
+        this.div.style("display", (dayNames.length > 1) ? null : "none");
+    };
+
+    /**
+    * Add a change handler to be called whenever the selected day is changed.
+    *
+    * The index of the selected day is passed to the handler function.
+    *
+    * @param {Function} handler - Handler function to be called whenever the
+    *                             day changes.
+    */
+    DaySelector.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Returns the index of the currently-selected day.
+    * @return {Number} The index of the selected day.
+    */
+    DaySelector.prototype.getSelectedDayIndex = function () {
+        return Math.max(this.dropDown.selectedIndex, 0);
+    };
+
+    /**
+    * Handle a change of the selected option in the drop-down list.
+    */
+    DaySelector.prototype.onSelectionChanged = function () {
+        this.changeHandlers.forEach(function (handler) { handler(this.getSelectedDayIndex()); }, this);
+    };
+
+    SplitsBrowser.Controls.DaySelector = DaySelector;
+})();
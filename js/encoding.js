@@ -0,0 +1,232 @@
+/*
+ *  SplitsBrowser Encoding - Detects the character encoding of event data.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var throwInvalidData = SplitsBrowser.throwInvalidData;
+
+    // The encoding assumed for data that has no byte-order mark or XML
+    // encoding declaration and isn't valid UTF-8.  Such files are almost
+    // always written by Windows software such as OE.
+    var FALLBACK_ENCODING = "windows-1252";
+
+    // Number of bytes at the start of the data to search for an XML encoding
+    // declaration.
+    var XML_DECLARATION_MAX_LENGTH = 200;
+
+    var XML_ENCODING_REGEXP = /^<\?xml[^>]*\sencoding\s*=\s*["']([A-Za-z0-9._:\-]+)["']/;
+
+    // The characters that Windows-1252 has for bytes 0x80 to 0x9F, where
+    // ISO-8859-1 has control characters.  Bytes that Windows-1252 doesn't use
+    // are mapped to the same control characters as ISO-8859-1.
+    var WINDOWS_1252_HIGH_CHARS = [
+        0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+        0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+    ];
+
+    /**
+    * Returns the encoding given by a byte-order mark at the start of the
+    * given data, or null if the data does not start with a byte-order mark.
+    * @param {Uint8Array} bytes - The data.
+    * @return {String|null} The encoding, or null if there is no byte-order
+    *     mark.
+    */
+    function getByteOrderMarkEncoding(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return "utf-8";
+        } else if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return "utf-16le";
+        } else if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return "utf-16be";
+        } else {
+            return null;
+        }
+    }
+
+    /**
+    * Returns the encoding given in an XML declaration at the start of the
+    * given data, or null if the data does not start with an XML declaration
+    * that specifies an encoding.
+    * @param {Uint8Array} bytes - The data.
+    * @return {String|null} The encoding, or null if none is declared.
+    */
+    function getXmlDeclaredEncoding(bytes) {
+        var start = "";
+        for (var index = 0; index < bytes.length && index < XML_DECLARATION_MAX_LENGTH; index += 1) {
+            start += String.fromCharCode(bytes[index]);
+        }
+
+        var match = XML_ENCODING_REGEXP.exec(start);
+        return (match === null) ? null : match[1].toLowerCase();
+    }
+
+    /**
+    * Returns the number of continuation bytes that follow the given byte if
+    * it starts a multi-byte UTF-8 sequence, zero if it is a single-byte
+    * character, or null if it cannot start a UTF-8 sequence.
+    * @param {Number} byteValue - The byte.
+    * @return {Number|null} The number of continuation bytes, or null.
+    */
+    function getUtf8ContinuationCount(byteValue) {
+        if (byteValue < 0x80) {
+            return 0;
+        } else if (0xC2 <= byteValue && byteValue <= 0xDF) {
+            return 1;
+        } else if (0xE0 <= byteValue && byteValue <= 0xEF) {
+            return 2;
+        } else if (0xF0 <= byteValue && byteValue <= 0xF4) {
+            return 3;
+        } else {
+            return null;
+        }
+    }
+
+    /**
+    * Returns whether the given data is valid UTF-8.
+    * @param {Uint8Array} bytes - The data.
+    * @return {boolean} True if the data is valid UTF-8, false if not.
+    */
+    function isValidUtf8(bytes) {
+        var index = 0;
+        while (index < bytes.length) {
+            var continuationCount = getUtf8ContinuationCount(bytes[index]);
+            if (continuationCount === null || index + continuationCount >= bytes.length) {
+                return false;
+            }
+
+            for (var offset = 1; offset <= continuationCount; offset += 1) {
+                if ((bytes[index + offset] & 0xC0) !== 0x80) {
+                    return false;
+                }
+            }
+
+            index += continuationCount + 1;
+        }
+
+        return true;
+    }
+
+    /**
+    * Detects the character encoding of the given data.
+    *
+    * A byte-order mark is used if there is one, followed by the encoding in
+    * an XML declaration.  Otherwise, the data is taken to be UTF-8 if it is
+    * valid UTF-8, and Windows-1252 if not.
+    *
+    * @param {Uint8Array} bytes - The data.
+    * @return {String} The name of the encoding.
+    */
+    function detectEncoding(bytes) {
+        return getByteOrderMarkEncoding(bytes) || getXmlDeclaredEncoding(bytes) || (isValidUtf8(bytes) ? "utf-8" : FALLBACK_ENCODING);
+    }
+
+    /**
+    * Decodes the given UTF-8 data, for browsers that cannot decode it
+    * themselves.  The data must be valid UTF-8.
+    * @param {Uint8Array} bytes - The data.
+    * @return {String} The decoded data.
+    */
+    function decodeUtf8(bytes) {
+        var chars = [];
+        var index = (getByteOrderMarkEncoding(bytes) === "utf-8") ? 3 : 0;
+        while (index < bytes.length) {
+            var continuationCount = getUtf8ContinuationCount(bytes[index]);
+            var codePoint = (continuationCount === 0) ? bytes[index] : bytes[index] & (0x3F >> continuationCount);
+            for (var offset = 1; offset <= continuationCount; offset += 1) {
+                codePoint = codePoint * 64 + (bytes[index + offset] & 0x3F);
+            }
+
+            if (codePoint >= 0x10000) {
+                codePoint -= 0x10000;
+                chars.push(String.fromCharCode(0xD800 + Math.floor(codePoint / 0x400), 0xDC00 + codePoint % 0x400));
+            } else {
+                chars.push(String.fromCharCode(codePoint));
+            }
+
+            index += continuationCount + 1;
+        }
+
+        return chars.join("");
+    }
+
+    /**
+    * Decodes the given Windows-1252 or ISO-8859-1 data, for browsers that
+    * cannot decode it themselves.
+    * @param {Uint8Array} bytes - The data.
+    * @return {String} The decoded data.
+    */
+    function decodeWindows1252(bytes) {
+        var chars = [];
+        for (var index = 0; index < bytes.length; index += 1) {
+            var byteValue = bytes[index];
+            chars.push(String.fromCharCode((0x80 <= byteValue && byteValue <= 0x9F) ? WINDOWS_1252_HIGH_CHARS[byteValue - 0x80] : byteValue));
+        }
+
+        return chars.join("");
+    }
+
+    /**
+    * Decodes the given data using the given encoding, or the encoding
+    * detected from the data if no encoding is given.
+    *
+    * Browsers that cannot decode data themselves can only decode UTF-8,
+    * Windows-1252 and ISO-8859-1.
+    *
+    * @param {Uint8Array} bytes - The data.
+    * @param {String|null|undefined} encoding - The name of the encoding, or
+    *     null or undefined to detect the encoding.
+    * @return {String} The decoded data.
+    */
+    function decode(bytes, encoding) {
+        if (!encoding) {
+            encoding = detectEncoding(bytes);
+        }
+
+        if (typeof window.TextDecoder === "function") {
+            var decoder;
+            try {
+                decoder = new window.TextDecoder(encoding);
+            } catch (e) {
+                throwInvalidData("Unrecognised character encoding '" + encoding + "'");
+            }
+
+            return decoder.decode(bytes);
+        }
+
+        var lowerEncoding = encoding.toLowerCase();
+        if (lowerEncoding === "utf-8" || lowerEncoding === "utf8") {
+            if (!isValidUtf8(bytes)) {
+                throwInvalidData("Data is not valid UTF-8");
+            }
+
+            return decodeUtf8(bytes);
+        } else if (lowerEncoding === "windows-1252" || lowerEncoding === "iso-8859-1" || lowerEncoding === "latin1") {
+            return decodeWindows1252(bytes);
+        } else {
+            throwInvalidData("Cannot read data in the character encoding '" + encoding + "' in this browser");
+        }
+    }
+
+    SplitsBrowser.Input.Encoding = {
+        detectEncoding: detectEncoding,
+        decode: decode
+    };
+})();
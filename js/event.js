@@ -21,7 +21,11 @@
 (function () {
     "use strict";
     
+    var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
+    var throwInvalidData = SplitsBrowser.throwInvalidData;
+    var formatTime = SplitsBrowser.formatTime;
     var Course = SplitsBrowser.Model.Course;
+    var CorrectionTypes = SplitsBrowser.Model.CorrectionTypes;
 
     /**
     * Contains all of the data for an event.
@@ -36,20 +40,363 @@
         this.classes = classes;
         this.courses = courses;
         this.warnings = warnings;
+        this.parserName = null;
+        this.corrections = [];
+        this.auditTrail = [];
     }
     
+    /**
+    * Records the name of the parser that read in this event's data.
+    * @param {String} parserName - The name of the parser.
+    */
+    Event.prototype.setParserName = function (parserName) {
+        this.parserName = parserName;
+    };
+    
+    /**
+    * Returns whether the given course has the given controls.
+    *
+    * If the course doesn't list its controls, only the number of controls is
+    * compared.
+    *
+    * @param {Course} course - The course to check.
+    * @param {Array} controls - Array of control codes.
+    * @return {boolean} True if the course has the given controls, false if
+    *     not.
+    */
+    function hasControls(course, controls) {
+        if (course.controls === null) {
+            return course.classes.length > 0 && course.classes[0].numControls === controls.length;
+        } else {
+            return course.controls.length === controls.length && course.controls.every(function (control, index) { return control === controls[index]; });
+        }
+    }
+    
+    /**
+    * Attaches course data, such as that read from an IOF XML 3.0 CourseData
+    * file, to the courses of this event.
+    *
+    * Course data is matched to courses by name.  The leg geometry of the
+    * course data is attached to the course, as are the length and climb if
+    * the course does not already have them.  If the controls of the course
+    * data do not match those of the course, or the course is forked, a
+    * warning is added instead.  Course data for courses not in this event is
+    * ignored.
+    *
+    * @param {Array} courseData - Array of course-data objects, as returned by
+    *     SplitsBrowser.Input.IOFXml.parseCourseData.
+    */
+    Event.prototype.applyCourseData = function (courseData) {
+        courseData.forEach(function (courseDatum) {
+            var matchingCourses = this.courses.filter(function (course) { return course.name === courseDatum.name; });
+            matchingCourses.forEach(function (course) {
+                if (course.isForked()) {
+                    this.warnings.push("Course data for course '" + course.name + "' ignored because the course is forked");
+                } else if (hasControls(course, courseDatum.controls)) {
+                    course.setLegGeometry(courseDatum.controlPositions, courseDatum.legLengths, courseDatum.legClimbs);
+                    if (course.length === null) {
+                        course.length = courseDatum.length;
+                    }
+                    if (course.climb === null) {
+                        course.climb = courseDatum.climb;
+                    }
+                    if (courseDatum.neutralisedLegs && courseDatum.neutralisedLegs.length > 0) {
+                        course.setNeutralisedLegs(courseDatum.neutralisedLegs);
+                    }
+                } else {
+                    this.warnings.push("Course data for course '" + course.name + "' ignored because its controls do not match those in the results");
+                }
+            }, this);
+        }, this);
+    };
+    
+    /**
+    * Neutralises legs of the courses of this event, so that the time taken on
+    * them isn't counted, such as legs given in the options to SplitsBrowser.
+    *
+    * The legs to neutralise are given as an object that maps the names of
+    * courses to arrays of the numbers of the neutralised legs of that course,
+    * where leg N ends at control N and the leg ending at the finish is one
+    * more than the number of controls.  If a course named is not in this
+    * event, or a leg number given is not that of a leg of the course, a
+    * warning is added instead.
+    *
+    * @param {Object} neutralisedLegsByCourse - Object mapping course names to
+    *     arrays of leg numbers.
+    */
+    Event.prototype.applyNeutralisedLegs = function (neutralisedLegsByCourse) {
+        d3.keys(neutralisedLegsByCourse).forEach(function (courseName) {
+            var course = this.courses.filter(function (course) { return course.name === courseName; })[0];
+            if (!course) {
+                this.warnings.push("Neutralised legs of course '" + courseName + "' ignored because there is no such course");
+                return;
+            }
+            
+            var numLegs = (course.classes.length === 0) ? 0 : course.classes[0].numControls + 1;
+            var legs = neutralisedLegsByCourse[courseName];
+            if (!$.isArray(legs)) {
+                this.warnings.push("Neutralised legs of course '" + courseName + "' ignored because they are not given as an array");
+                return;
+            }
+            
+            var validLegs = legs.filter(function (leg) { return typeof leg === "number" && Math.floor(leg) === leg && 1 <= leg && leg <= numLegs; });
+            if (validLegs.length < legs.length) {
+                this.warnings.push("Some neutralised legs of course '" + courseName + "' ignored because they are not legs of that course");
+            }
+            
+            course.setNeutralisedLegs(validLegs);
+        }, this);
+    };
+    
+    /**
+    * Returns the name of the control with the given number, for use in the
+    * audit trail of corrections.
+    * @param {Number} controlNumber - The number of the control.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {String} The name of the control.
+    */
+    function getControlName(controlNumber, numControls) {
+        return (controlNumber === numControls + 1) ? "the finish" : "control " + controlNumber;
+    }
+    
+    /**
+    * Sets the cumulative time of a competitor at a control, as given by a
+    * correction of type CorrectionTypes.AdjustPunch.
+    * @param {Event} eventData - The event to correct.
+    * @param {Object} correction - The correction to make.
+    * @return {String} Description of the correction made.
+    */
+    function adjustPunch(eventData, correction) {
+        var courseClass = eventData.classes.filter(function (cls) { return cls.name === correction.className; })[0];
+        if (!courseClass) {
+            throwInvalidData("There is no class named '" + correction.className + "'");
+        } else if (courseClass.isScoreClass()) {
+            throwInvalidData("Cannot adjust punch times in score class '" + courseClass.name + "'");
+        } else if (correction.control > courseClass.numControls + 1) {
+            throwInvalidData("Class '" + courseClass.name + "' has no control " + correction.control);
+        }
+        
+        var competitors = courseClass.competitors.filter(function (comp) {
+            return comp.name === correction.competitor && (!correction.club || comp.club === correction.club);
+        });
+        
+        if (competitors.length === 0) {
+            throwInvalidData("There is no competitor named '" + correction.competitor + "' in class '" + courseClass.name + "'");
+        } else if (competitors.length > 1) {
+            throwInvalidData("There is more than one competitor named '" + correction.competitor + "' in class '" + courseClass.name + "'");
+        }
+        
+        var competitor = competitors[0];
+        var cumTimes = competitor.getAllOriginalCumulativeTimes().slice(0);
+        var previousTime = cumTimes[correction.control];
+        cumTimes[correction.control] = correction.time;
+        competitor.setOriginalCumulativeTimes(cumTimes);
+        
+        return "Time of " + competitor.name + " (" + courseClass.name + ") at " + getControlName(correction.control, courseClass.numControls) +
+            " changed from " + formatTime(previousTime) + " to " + formatTime(correction.time);
+    }
+    
+    /**
+    * Shifts the times recorded by a control station by an offset for all of
+    * the competitors who punched it, as given by a correction of type
+    * CorrectionTypes.ShiftStation.
+    * @param {Event} eventData - The event to correct.
+    * @param {Object} correction - The correction to make.
+    * @return {String} Description of the correction made.
+    */
+    function shiftStation(eventData, correction) {
+        var numCompetitorsShifted = 0;
+        var foundControl = false;
+        eventData.courses.forEach(function (course) {
+            if (course.hasControl(correction.code)) {
+                foundControl = true;
+            }
+            
+            course.classes.forEach(function (courseClass) {
+                courseClass.competitors.forEach(function (comp) {
+                    // On a forked course, the control may be at a different
+                    // place in each variation.
+                    var controls = course.getVariationControls(comp.variation);
+                    if (controls === null) {
+                        return;
+                    }
+                    
+                    var cumTimes = comp.getAllOriginalCumulativeTimes();
+                    if (cumTimes === null) {
+                        return;
+                    }
+                    
+                    // A competitor who punched the control more than once
+                    // has each time shifted but is only counted once.
+                    var shiftedCumTimes = cumTimes.slice(0);
+                    var shifted = false;
+                    controls.forEach(function (code, index) {
+                        if (code === correction.code && isNotNullNorNaN(shiftedCumTimes[index + 1])) {
+                            shiftedCumTimes[index + 1] += correction.offset;
+                            shifted = true;
+                        }
+                    });
+                    
+                    if (shifted) {
+                        comp.setOriginalCumulativeTimes(shiftedCumTimes);
+                        numCompetitorsShifted += 1;
+                    }
+                });
+            });
+        });
+        
+        if (!foundControl) {
+            throwInvalidData("There is no control with code '" + correction.code + "' on any course");
+        }
+        
+        return "Times recorded by control " + correction.code + " shifted by " + ((correction.offset > 0) ? "+" : "") + formatTime(correction.offset) +
+            " for " + numCompetitorsShifted + " competitor(s)";
+    }
+    
+    /**
+    * Removes a control from a course, together with the competitors' times at
+    * that control, as given by a correction of type
+    * CorrectionTypes.CancelControl.
+    * @param {Event} eventData - The event to correct.
+    * @param {Object} correction - The correction to make.
+    * @return {String} Description of the correction made.
+    */
+    function cancelControl(eventData, correction) {
+        var course = eventData.courses.filter(function (course) { return course.name === correction.course; })[0];
+        if (!course) {
+            throwInvalidData("There is no course named '" + correction.course + "'");
+        }
+        
+        course.classes.forEach(function (courseClass) {
+            if (courseClass.isScoreClass() || courseClass.isRelay()) {
+                throwInvalidData("Cannot cancel a control of course '" + course.name + "' as class '" + courseClass.name + "' is a score or relay class");
+            } else if (correction.control > courseClass.numControls) {
+                throwInvalidData("Course '" + course.name + "' has no control " + correction.control);
+            }
+        });
+        
+        course.removeControl(correction.control);
+        course.classes.forEach(function (courseClass) { courseClass.removeControl(correction.control); });
+        
+        // The legs of the course after the cancelled control have been
+        // renumbered, so neutralise the renumbered legs instead.
+        course.setNeutralisedLegs(course.neutralisedLegs);
+        
+        return "Control " + correction.control + " of course '" + course.name + "' cancelled";
+    }
+    
+    /**
+    * Applies the given corrections to the results of this event, in order,
+    * such as those read from a corrections 'patch' file or made in the
+    * correction editor.  A description of each correction applied is added to
+    * the audit trail of this event.  Corrections that cannot be applied, such
+    * as those naming a competitor not in the results, are skipped, with a
+    * warning added instead.
+    *
+    * The corrected data will need repairing again before it can be viewed.
+    *
+    * @param {Array} corrections - Array of corrections, as returned by
+    *     SplitsBrowser.Model.parseCorrections.
+    */
+    Event.prototype.applyCorrections = function (corrections) {
+        corrections.forEach(function (correction) {
+            var description;
+            try {
+                if (correction.type === CorrectionTypes.AdjustPunch) {
+                    description = adjustPunch(this, correction);
+                } else if (correction.type === CorrectionTypes.ShiftStation) {
+                    description = shiftStation(this, correction);
+                } else if (correction.type === CorrectionTypes.CancelControl) {
+                    description = cancelControl(this, correction);
+                } else {
+                    throwInvalidData("Unrecognised type of correction: '" + correction.type + "'");
+                }
+            } catch (e) {
+                if (e.name === "InvalidData") {
+                    this.warnings.push("Correction ignored: " + e.message);
+                    return;
+                } else {
+                    throw e;
+                }
+            }
+            
+            this.corrections.push(correction);
+            this.auditTrail.push((correction.reason) ? description + ": " + correction.reason : description);
+        }, this);
+    };
+    
     /**
     * Determines time losses for each competitor in each class.
     * 
     * This method should be called after reading in the event data but before
-    * attempting to plot it.
+    * attempting to plot it, and again whenever the method of estimating time
+    * losses changes.
+    *
+    * @param {Object} method - (Optional) The method of estimating time losses,
+    *     from SplitsBrowser.Model.TimeLossMethods.  If not specified, the
+    *     median split-ratio method is used.
     */
-    Event.prototype.determineTimeLosses = function () {
+    Event.prototype.determineTimeLosses = function (method) {
         this.classes.forEach(function (courseClass) {
-            courseClass.determineTimeLosses();
+            courseClass.determineTimeLosses(method);
         });
     };
     
+    /**
+    * Determines the ranking points awarded to each competitor in each class.
+    * This should be called again whenever the scheme of awarding ranking
+    * points changes.
+    *
+    * @param {?Object} scheme - The scheme of awarding ranking points, from
+    *     SplitsBrowser.Model.RankingPointsSchemes, or null to award no
+    *     ranking points.
+    */
+    Event.prototype.determineRankingPoints = function (scheme) {
+        this.classes.forEach(function (courseClass) {
+            courseClass.determineRankingPoints(scheme);
+        });
+    };
+    
+    /**
+    * Grades the times of the competitors in each class by age and gender.
+    * Time losses should be determined again after the grading changes.
+    *
+    * @param {?AgeGradingTable} table - The table of grading factors, or null
+    *     to remove any grading of the competitors' times.
+    * @param {Number} year - The year in which the event took place.
+    */
+    Event.prototype.applyAgeGrading = function (table, year) {
+        this.classes.forEach(function (courseClass) {
+            courseClass.applyAgeGrading(table, year);
+        });
+    };
+    
+    /**
+    * Returns the competitors in this event that have completed their course
+    * but had not done so in the given previous copy of this event, such as
+    * an earlier copy of interim results.  This includes competitors that
+    * weren't in the previous copy at all.
+    * @param {Event} previousEvent - The previous copy of this event.
+    * @return {Array} Array of competitors that have newly finished.
+    */
+    Event.prototype.getNewFinishers = function (previousEvent) {
+        var previousCompetitors = [];
+        previousEvent.classes.forEach(function (courseClass) {
+            previousCompetitors = previousCompetitors.concat(courseClass.competitors);
+        });
+        
+        var newFinishers = [];
+        this.classes.forEach(function (courseClass) {
+            courseClass.competitors.forEach(function (competitor) {
+                if (competitor.completed() && !previousCompetitors.some(function (previousComp) { return previousComp.completed() && previousComp.isSameCompetitorAs(competitor); })) {
+                    newFinishers.push(competitor);
+                }
+            });
+        });
+        
+        return newFinishers;
+    };
+    
     /**
     * Returns whether the event data needs any repairing.
     *
@@ -134,5 +481,110 @@
         return courses.map(function (course) { return {course: course, nextControls: course.getNextControls(controlCode)}; });
     };
     
+    /**
+    * Returns whether the given competitor missed the control with the given
+    * index, i.e. they have no time recorded for it but have a time recorded
+    * for a later control.
+    * @param {Competitor} competitor - The competitor.
+    * @param {Number} controlIdx - The index of the control.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {boolean} True if the competitor missed the control, false if
+    *     not.
+    */
+    function missedControl(competitor, controlIdx, numControls) {
+        if (competitor.getOriginalCumulativeTimeTo(controlIdx) !== null) {
+            return false;
+        }
+        
+        for (var laterControlIdx = controlIdx + 1; laterControlIdx <= numControls + 1; laterControlIdx += 1) {
+            if (competitor.getOriginalCumulativeTimeTo(laterControlIdx) !== null) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+    * Returns statistics for each leg of each course of the event, with legs
+    * used by more than one course, or by more than one variation of a forked
+    * course, listed once.  Courses without control codes are skipped.
+    *
+    * Each entry lists the codes of the controls at either end of the leg,
+    * the numbers of courses and classes using the leg, the fastest split on
+    * the leg, the median split and the median time loss of those completing
+    * their courses, and the number of competitors who missed the control at
+    * the end of the leg.  The fastest split, median split and median time
+    * loss are null if nobody who completed their course has a time for the
+    * leg.  Legs are listed in the order they first appear in the courses.
+    *
+    * @return {Array} Array of objects containing statistics for each leg.
+    */
+    Event.prototype.getLegStatistics = function () {
+        var legs = [];
+        var legKeys = d3.set();
+        this.courses.forEach(function (course) {
+            var variationNames = (course.isForked()) ? course.variations.map(function (variation) { return variation.name; }) : [null];
+            variationNames.forEach(function (variationName) {
+                var controls = course.getVariationControls(variationName);
+                if (controls === null) {
+                    return;
+                }
+                
+                d3.range(1, controls.length + 2).forEach(function (legNumber) {
+                    var startCode = course.getControlCode(legNumber - 1, variationName);
+                    var endCode = course.getControlCode(legNumber, variationName);
+                    var key = startCode + "\t" + endCode;
+                    if (!legKeys.has(key)) {
+                        legKeys.add(key);
+                        legs.push({startCode: startCode, endCode: endCode});
+                    }
+                });
+            });
+        });
+        
+        return legs.map(function (leg) {
+            var courses = this.courses.filter(function (course) { return course.usesLeg(leg.startCode, leg.endCode); });
+            var splits = [];
+            var timeLosses = [];
+            var numMispunches = 0;
+            courses.forEach(function (course) {
+                course.classes.forEach(function (courseClass) {
+                    courseClass.competitors.forEach(function (comp) {
+                        // On a forked course, the leg may be at a different
+                        // place in each variation, or not in some at all.
+                        var controlIdx = course.getLegNumber(leg.startCode, leg.endCode, comp.variation);
+                        if (controlIdx < 0) {
+                            return;
+                        }
+                        
+                        if (comp.completed()) {
+                            splits.push(comp.getSplitTimeTo(controlIdx));
+                            timeLosses.push(comp.getTimeLossAt(controlIdx));
+                        }
+                        
+                        if (missedControl(comp, controlIdx, courseClass.numControls)) {
+                            numMispunches += 1;
+                        }
+                    });
+                });
+            });
+            
+            var fastestSplits = this.getFastestSplitsForLeg(leg.startCode, leg.endCode);
+            splits = splits.filter(isNotNullNorNaN);
+            timeLosses = timeLosses.filter(isNotNullNorNaN);
+            return {
+                startCode: leg.startCode,
+                endCode: leg.endCode,
+                numCourses: courses.length,
+                numClasses: d3.sum(courses, function (course) { return course.classes.length; }),
+                fastestSplit: (fastestSplits.length === 0) ? null : fastestSplits[0],
+                medianSplit: (splits.length === 0) ? null : d3.median(splits),
+                medianTimeLoss: (timeLosses.length === 0) ? null : d3.median(timeLosses),
+                numMispunches: numMispunches
+            };
+        }, this);
+    };
+    
     SplitsBrowser.Model.Event = Event;
 })();
\ No newline at end of file
@@ -0,0 +1,258 @@
+/*
+ *  SplitsBrowser FileLoader - Loads event data from local files.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var decodeData = SplitsBrowser.Input.Encoding.decode;
+
+    /**
+    * A control that loads event data from a file on the user's computer,
+    * either chosen using a file picker or dropped onto the page.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    * @param {Function} alerter - Function to call with any messages to show to
+    *     the user.
+    */
+    function FileLoader(parent, alerter) {
+        this.changeHandlers = [];
+        this.multipleFilesHandlers = [];
+        this.alerter = alerter;
+        this.encoding = null;
+
+        this.containerDiv = d3.select(parent).append("div")
+                                             .classed("topRowStart", true)
+                                             .attr("id", "fileLoaderContainer");
+
+        var outerThis = this;
+        this.fileInput = this.containerDiv.append("input")
+                                          .attr("type", "file")
+                                          .attr("multiple", "multiple")
+                                          .style("display", "none")
+                                          .on("change", function () { outerThis.onFileChosen(); });
+
+        this.button = this.containerDiv.append("button")
+                                       .on("click", function () { outerThis.fileInput.node().click(); });
+
+        $(document).bind("dragover", function (event) { event.preventDefault(); })
+                   .bind("drop", function (event) { outerThis.onDrop(event); });
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages in this control, following either its creation or a
+    * change of selected language.
+    */
+    FileLoader.prototype.setMessages = function () {
+        this.button.text(getMessage("LoadLocalFileButton"))
+                   .attr("title", getMessage("LoadLocalFileTooltip"));
+    };
+
+    /**
+    * Sets the character encoding to read files in.
+    * @param {String|null} encoding - The name of the encoding, or null to
+    *     detect the encoding of each file read.
+    */
+    FileLoader.prototype.setEncoding = function (encoding) {
+        this.encoding = encoding;
+    };
+
+    /**
+    * Register a change handler to be called whenever a file is loaded.
+    *
+    * The contents of the file and the name of the file are passed to the
+    * handler.  If the handler was already registered, nothing happens.
+    *
+    * @param {Function} handler - Function to be called whenever a file is
+    *     loaded.
+    */
+    FileLoader.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Register a handler to be called whenever more than one file is loaded at
+    * once, such as the results of each day of a multi-day event.
+    *
+    * An array of the contents of the files and an array of the names of the
+    * files are passed to the handler, with the files sorted by name.  If the
+    * handler was already registered, nothing happens.
+    *
+    * @param {Function} handler - Function to be called whenever several files
+    *     are loaded.
+    */
+    FileLoader.prototype.registerMultipleFilesHandler = function (handler) {
+        if (this.multipleFilesHandlers.indexOf(handler) === -1) {
+            this.multipleFilesHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Handles files being chosen in the file picker.
+    */
+    FileLoader.prototype.onFileChosen = function () {
+        var files = this.fileInput.node().files;
+        if (files && files.length > 0) {
+            this.readFiles(files);
+        }
+
+        // Clear the file picker so that choosing the same file again, for
+        // example after it has been updated, loads it again.
+        this.fileInput.property("value", "");
+    };
+
+    /**
+    * Handles files being dropped onto the page.
+    * @param {jQuery.Event} event - The drop event.
+    */
+    FileLoader.prototype.onDrop = function (event) {
+        var dataTransfer = event.originalEvent && event.originalEvent.dataTransfer;
+        if (dataTransfer && dataTransfer.files && dataTransfer.files.length > 0) {
+            event.preventDefault();
+            this.readFiles(dataTransfer.files);
+        }
+    };
+
+    /**
+    * Reads the given files.  A single file is passed to the change handlers.
+    * Several files are sorted by name, and once they have all been read they
+    * are passed together to the multiple-files handlers.
+    * @param {FileList|Array} files - The files to read.
+    */
+    FileLoader.prototype.readFiles = function (files) {
+        if (files.length === 1) {
+            this.readFile(files[0]);
+            return;
+        }
+
+        var sortedFiles = Array.prototype.slice.call(files);
+        sortedFiles.sort(function (a, b) { return d3.ascending(a.name, b.name); });
+
+        var outerThis = this;
+        var fileNames = sortedFiles.map(function (file) { return file.name; });
+        var dataArray = sortedFiles.map(function () { return null; });
+        var numFilesRead = 0;
+        var failed = false;
+        sortedFiles.forEach(function (file, index) {
+            var reader = new window.FileReader();
+            reader.onload = function () {
+                if (failed) {
+                    return;
+                }
+
+                var data = outerThis.decodeContents(reader.result);
+                if (data === null) {
+                    failed = true;
+                    return;
+                }
+
+                dataArray[index] = data;
+                numFilesRead += 1;
+                if (numFilesRead === sortedFiles.length) {
+                    outerThis.fireMultipleFilesHandlers(dataArray, fileNames);
+                }
+            };
+            reader.onerror = function () {
+                if (!failed) {
+                    failed = true;
+                    outerThis.alerter(getMessageWithFormatting("LoadLocalFileReadError", {"$$FILE$$": file.name}));
+                }
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    };
+
+    /**
+    * Reads the given file as text, and passes its contents to the change
+    * handlers once it has been read.  The file is read in the encoding set,
+    * or the encoding detected from its contents if none has been set.
+    * @param {File} file - The file to read.
+    */
+    FileLoader.prototype.readFile = function (file) {
+        var outerThis = this;
+        var reader = new window.FileReader();
+        reader.onload = function () { outerThis.onFileRead(reader.result, file.name); };
+        reader.onerror = function () {
+            outerThis.alerter(getMessageWithFormatting("LoadLocalFileReadError", {"$$FILE$$": file.name}));
+        };
+
+        reader.readAsArrayBuffer(file);
+    };
+
+    /**
+    * Handles the contents of a file having been read, by decoding them and
+    * passing them to the change handlers.
+    * @param {ArrayBuffer} contents - The contents of the file.
+    * @param {String} fileName - The name of the file.
+    */
+    FileLoader.prototype.onFileRead = function (contents, fileName) {
+        var data = this.decodeContents(contents);
+        if (data !== null) {
+            this.fireChangeHandlers(data, fileName);
+        }
+    };
+
+    /**
+    * Decodes the contents of a file read, issuing an alert if they cannot be
+    * decoded.
+    * @param {ArrayBuffer} contents - The contents of the file.
+    * @return {String|null} The decoded contents, or null if they could not be
+    *     decoded.
+    */
+    FileLoader.prototype.decodeContents = function (contents) {
+        try {
+            return decodeData(new window.Uint8Array(contents), this.encoding);
+        } catch (e) {
+            if (e.name === "InvalidData") {
+                this.alerter(getMessageWithFormatting("LoadFailedInvalidData", {"$$MESSAGE$$": e.message}));
+                return null;
+            } else {
+                throw e;
+            }
+        }
+    };
+
+    /**
+    * Calls all registered change handlers with the contents of a file loaded.
+    * @param {String} data - The contents of the file.
+    * @param {String} fileName - The name of the file.
+    */
+    FileLoader.prototype.fireChangeHandlers = function (data, fileName) {
+        this.changeHandlers.forEach(function (handler) { handler(data, fileName); });
+    };
+
+    /**
+    * Calls all registered multiple-files handlers with the contents of the
+    * files loaded.
+    * @param {Array} dataArray - Array of the contents of the files.
+    * @param {Array} fileNames - Array of the names of the files.
+    */
+    FileLoader.prototype.fireMultipleFilesHandlers = function (dataArray, fileNames) {
+        this.multipleFilesHandlers.forEach(function (handler) { handler(dataArray, fileNames); });
+    };
+
+    SplitsBrowser.Controls.FileLoader = FileLoader;
+})();
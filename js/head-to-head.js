@@ -0,0 +1,297 @@
+/*
+ *  SplitsBrowser HeadToHead - Compares two competitors leg by leg.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // Margins around the bar chart, in pixels.
+    var MARGIN = {top: 20, right: 20, bottom: 30, left: 70};
+
+    // The fraction of the height of the control taken up by the bar chart,
+    // and the smallest height, in pixels, that the bar chart is drawn at.
+    var CHART_HEIGHT_FRACTION = 0.5;
+    var MIN_CHART_HEIGHT = 150;
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var isNotNull = SplitsBrowser.isNotNull;
+    var getCompetitorColour = SplitsBrowser.Controls.Chart.getCompetitorColour;
+
+    /**
+    * Returns the name of the leg ending at the given control, such as "3-4",
+    * "S-1" or "7-F".
+    * @param {Number} controlIndex - The index of the control at the end of the
+    *     leg.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {String} The name of the leg.
+    */
+    function getLegName(controlIndex, numControls) {
+        var start = (controlIndex === 1) ? getMessage("StartNameShort") : (controlIndex - 1).toString();
+        var end = (controlIndex === numControls + 1) ? getMessage("FinishNameShort") : controlIndex.toString();
+        return start + "-" + end;
+    }
+
+    /**
+    * Returns the name of the given competitor, followed by their class if
+    * known, so that competitors in different classes can be told apart.
+    * @param {Competitor} competitor - The competitor.
+    * @return {String} The name and class of the competitor.
+    */
+    function getCompetitorLabel(competitor) {
+        return (competitor.className === null) ? competitor.name : competitor.name + " (" + competitor.className + ")";
+    }
+
+    /**
+    * Formats a difference between two times, with a plus sign in front of
+    * positive differences.
+    * @param {?Number} seconds - The difference, in seconds, or null if not
+    *     known.
+    * @return {String} The formatted difference.
+    */
+    function formatTimeDifference(seconds) {
+        return ((seconds > 0) ? "+" : "") + formatTime(seconds);
+    }
+
+    /**
+    * A control that compares the split times of exactly two competitors, leg
+    * by leg, with a bar chart of the time gained on each leg and a table of
+    * split-time differences.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function HeadToHead(parent) {
+        this.courseClassSet = null;
+        this.selectedIndexes = [];
+        this.width = 0;
+        this.height = 0;
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "headToHeadContainer");
+    }
+
+    /**
+    * Sets the course-class set and the selected competitors, and redraws the
+    * comparison.  A comparison is only drawn if exactly two competitors are
+    * selected.
+    * @param {CourseClassSet} courseClassSet - The course-class set.
+    * @param {Array} selectedIndexes - Array of indexes of the selected
+    *     competitors within the course-class set.
+    */
+    HeadToHead.prototype.draw = function (courseClassSet, selectedIndexes) {
+        this.courseClassSet = courseClassSet;
+        this.selectedIndexes = selectedIndexes;
+        this.redraw();
+    };
+
+    /**
+    * Retranslates this control following a change of selected language.
+    */
+    HeadToHead.prototype.retranslate = function () {
+        this.redraw();
+    };
+
+    /**
+    * Redraws the comparison using the current data and size.
+    */
+    HeadToHead.prototype.redraw = function () {
+        this.div.selectAll("*").remove();
+        if (this.courseClassSet === null) {
+            return;
+        }
+
+        if (this.selectedIndexes.length !== 2) {
+            this.div.append("div")
+                    .classed("headToHeadPlaceholder", true)
+                    .text(getMessage("HeadToHeadSelectTwoCompetitors"));
+            return;
+        }
+
+        var competitors = this.selectedIndexes.map(function (index) { return this.courseClassSet.allCompetitors[index]; }, this);
+        var legs = competitors[0].compareLegsWith(competitors[1]);
+        var labels = competitors.map(getCompetitorLabel);
+
+        this.div.append("div")
+                .classed("headToHeadHeader", true)
+                .text(getMessageWithFormatting("HeadToHeadTitle", {"$$FIRST$$": labels[0], "$$SECOND$$": labels[1]}));
+
+        var numLegsWon = [
+            legs.filter(function (leg) { return leg.splitDifference !== null && leg.splitDifference < 0; }).length,
+            legs.filter(function (leg) { return leg.splitDifference !== null && leg.splitDifference > 0; }).length
+        ];
+
+        this.div.append("div")
+                .classed("headToHeadSummary", true)
+                .text(getMessageWithFormatting("HeadToHeadSummary", {
+                    "$$FIRST$$": competitors[0].name,
+                    "$$FIRST_LEGS$$": numLegsWon[0].toString(),
+                    "$$SECOND$$": competitors[1].name,
+                    "$$SECOND_LEGS$$": numLegsWon[1].toString()
+                }));
+
+        this.drawBarChart(competitors, legs);
+        this.drawTable(competitors, legs);
+    };
+
+    /**
+    * Draws a bar chart of the time gained by the first competitor over the
+    * second on each leg.  Legs on which the second competitor was faster are
+    * drawn as bars below the axis.
+    * @param {Array} competitors - Array of the two competitors compared.
+    * @param {Array} legs - Array of leg comparisons, as returned by
+    *     Competitor.compareLegsWith.
+    */
+    HeadToHead.prototype.drawBarChart = function (competitors, legs) {
+        var numControls = this.courseClassSet.numControls;
+        var chartHeight = Math.max(this.height * CHART_HEIGHT_FRACTION, MIN_CHART_HEIGHT);
+        var contentWidth = Math.max(this.width - MARGIN.left - MARGIN.right, 0);
+        var contentHeight = Math.max(chartHeight - MARGIN.top - MARGIN.bottom, 0);
+
+        var svg = this.div.append("svg")
+                          .attr("width", this.width)
+                          .attr("height", chartHeight);
+        var svgGroup = svg.append("g")
+                          .attr("transform", "translate(" + MARGIN.left + "," + MARGIN.top + ")");
+
+        var gains = legs.map(function (leg) { return (leg.splitDifference === null) ? null : -leg.splitDifference; });
+        var largestGain = d3.max(gains.filter(isNotNull).map(Math.abs)) || 60;
+
+        var xScale = d3.scaleBand().domain(legs.map(function (leg) { return leg.controlIndex; })).range([0, contentWidth]).paddingInner(0.3).paddingOuter(0.15);
+        var yScale = d3.scaleLinear().domain([-largestGain, largestGain]).range([contentHeight, 0]).nice();
+
+        svgGroup.append("g")
+                .attr("class", "x axis")
+                .attr("transform", "translate(0," + yScale(0) + ")")
+                .call(d3.axisBottom().scale(xScale).tickFormat(function (controlIdx) { return getLegName(controlIdx, numControls); }));
+
+        svgGroup.append("g")
+                .attr("class", "y axis")
+                .call(d3.axisLeft().scale(yScale).tickFormat(function (seconds) { return formatTime(seconds); }))
+                .append("text")
+                .attr("transform", "rotate(-90)")
+                .attr("x", -(contentHeight - 6))
+                .attr("y", 6)
+                .attr("dy", ".71em")
+                .style("text-anchor", "start")
+                .style("fill", "black")
+                .text(getMessageWithFormatting("HeadToHeadYAxisLabel", {"$$NAME$$": competitors[0].name}));
+
+        var selectedIndexes = this.selectedIndexes;
+        legs.forEach(function (leg, legIndex) {
+            var gain = gains[legIndex];
+            if (gain === null || gain === 0) {
+                return;
+            }
+
+            var gainerIndex = (gain > 0) ? 0 : 1;
+            svgGroup.append("rect")
+                    .attr("class", "gain")
+                    .attr("x", xScale(leg.controlIndex))
+                    .attr("width", xScale.bandwidth())
+                    .attr("y", yScale(Math.max(gain, 0)))
+                    .attr("height", Math.abs(yScale(gain) - yScale(0)))
+                    .style("fill", getCompetitorColour(selectedIndexes[gainerIndex]))
+                    .append("title")
+                    .text(competitors[gainerIndex].name + " (" + formatTimeDifference(Math.abs(gain)) + ")");
+        });
+    };
+
+    /**
+    * Draws a table listing the split times of the two competitors on each
+    * leg, the difference between them, who won the leg and the running
+    * difference between the competitors' cumulative times.
+    * @param {Array} competitors - Array of the two competitors compared.
+    * @param {Array} legs - Array of leg comparisons, as returned by
+    *     Competitor.compareLegsWith.
+    */
+    HeadToHead.prototype.drawTable = function (competitors, legs) {
+        var numControls = this.courseClassSet.numControls;
+        var table = this.div.append("table")
+                            .classed("headToHeadTable", true);
+
+        var headers = [
+            getMessage("HeadToHeadHeaderLeg"),
+            competitors[0].name,
+            competitors[1].name,
+            getMessage("HeadToHeadHeaderDifference"),
+            getMessage("HeadToHeadHeaderLegWinner"),
+            getMessage("HeadToHeadHeaderCumulativeDifference")
+        ];
+
+        table.append("thead")
+             .append("tr")
+             .selectAll("th")
+             .data(headers)
+             .enter()
+             .append("th")
+             .text(function (header) { return header; });
+
+        var rows = table.append("tbody")
+                        .selectAll("tr")
+                        .data(legs)
+                        .enter()
+                        .append("tr");
+
+        rows.append("td").text(function (leg) { return getLegName(leg.controlIndex, numControls); });
+        rows.append("td").classed("time", true).text(function (leg) { return formatTime(leg.splitTime); });
+        rows.append("td").classed("time", true).text(function (leg) { return formatTime(leg.otherSplitTime); });
+        rows.append("td").classed("time", true).text(function (leg) { return formatTimeDifference(leg.splitDifference); });
+        rows.append("td").text(function (leg) {
+            if (leg.splitDifference === null) {
+                return "";
+            } else if (leg.splitDifference < 0) {
+                return competitors[0].name;
+            } else if (leg.splitDifference > 0) {
+                return competitors[1].name;
+            } else {
+                return getMessage("HeadToHeadTie");
+            }
+        });
+        rows.append("td").classed("time", true).text(function (leg) { return formatTimeDifference(leg.cumulativeDifference); });
+    };
+
+    /**
+    * Sets the size of this control, and redraws the comparison.
+    * @param {Number} width - The width of the control, in pixels.
+    * @param {Number} height - The height of the control, in pixels.
+    */
+    HeadToHead.prototype.setSize = function (width, height) {
+        this.width = width;
+        this.height = height;
+        $(this.div.node()).width(width).height(height);
+        this.redraw();
+    };
+
+    /**
+    * Shows the head-to-head comparison.
+    */
+    HeadToHead.prototype.show = function () {
+        this.div.style("display", null);
+    };
+
+    /**
+    * Hides the head-to-head comparison.
+    */
+    HeadToHead.prototype.hide = function () {
+        this.div.style("display", "none");
+    };
+
+    SplitsBrowser.Controls.HeadToHead = HeadToHead;
+})();
@@ -21,32 +21,107 @@
 (function () {
     "use strict";
     
-    // All the parsers for parsing event data that are known about.
-    var PARSERS = [
-        SplitsBrowser.Input.CSV.parseEventData,
-        SplitsBrowser.Input.OE.parseEventData,
-        SplitsBrowser.Input.Html.parseEventData,
-        SplitsBrowser.Input.AlternativeCSV.parseTripleColumnEventData,
-        SplitsBrowser.Input.IOFXml.parseEventData
-    ];
+    // All the parsers for parsing event data that are known about, in the
+    // order in which they will be tried.  Each item is an object containing
+    // the name of the parser, the parse function and its priority.
+    var parsers = [];
+    
+    /**
+    * Registers a parser for event data.
+    *
+    * Parsers with a higher priority are tried before those with a lower
+    * priority.  Parsers with the same priority are tried in the order in
+    * which they were registered.  If a parser with the same name has already
+    * been registered, it is replaced.
+    *
+    * A parser is a function that takes the event data as a string and
+    * returns an Event object.  It should throw a WrongFileFormat exception
+    * if the data is not of the format it reads, and an InvalidData exception
+    * if the data appears to be of its format but cannot be read.
+    *
+    * @param {String} name - The name of the parser.
+    * @param {Function} parseFunction - The function that parses event data.
+    * @param {Number=} priority - The priority of the parser, defaulting to
+    *     zero.
+    */
+    SplitsBrowser.Input.registerParser = function (name, parseFunction, priority) {
+        if (typeof name !== "string" || name === "") {
+            throw new TypeError("Parser name must be a non-empty string");
+        } else if (typeof parseFunction !== "function") {
+            throw new TypeError("Parser '" + name + "' must be a function - got " + typeof parseFunction + " instead");
+        }
+        
+        if (typeof priority === "undefined") {
+            priority = 0;
+        } else if (typeof priority !== "number" || !isFinite(priority)) {
+            throw new TypeError("Priority of parser '" + name + "' must be a finite number");
+        }
+        
+        SplitsBrowser.Input.deregisterParser(name);
+        
+        var index = 0;
+        while (index < parsers.length && parsers[index].priority >= priority) {
+            index += 1;
+        }
+        
+        parsers.splice(index, 0, {name: name, parse: parseFunction, priority: priority});
+    };
+    
+    /**
+    * Removes the parser with the given name.  If no parser with the given
+    * name has been registered, nothing happens.
+    * @param {String} name - The name of the parser to remove.
+    */
+    SplitsBrowser.Input.deregisterParser = function (name) {
+        parsers = parsers.filter(function (parser) { return parser.name !== name; });
+    };
+    
+    /**
+    * Returns the names of all registered parsers, in the order in which they
+    * are tried.
+    * @return {Array} Array of parser names.
+    */
+    SplitsBrowser.Input.getParserNames = function () {
+        return parsers.map(function (parser) { return parser.name; });
+    };
+    
+    SplitsBrowser.Input.registerParser("CSV", SplitsBrowser.Input.CSV.parseEventData);
+    SplitsBrowser.Input.registerParser("OE", SplitsBrowser.Input.OE.parseEventData);
+    SplitsBrowser.Input.registerParser("Html", SplitsBrowser.Input.Html.parseEventData);
+    SplitsBrowser.Input.registerParser("AlternativeCSV", SplitsBrowser.Input.AlternativeCSV.parseTripleColumnEventData);
+    SplitsBrowser.Input.registerParser("IOFXml", SplitsBrowser.Input.IOFXml.parseEventData);
     
     /**
     * Attempts to parse the given event data, which may be of any of the
     * supported formats, or may be invalid.  This function returns the results
     * as an Event object if successful, or null in the event of failure.
+    *
+    * The name of the parser that read the data is recorded in the returned
+    * Event.
+    *
     * @param {String} data - The data read.
     * @return {Event} Event data read in, or null for failure.
     */ 
     SplitsBrowser.Input.parseEventData = function (data) {
-        for (var i = 0; i < PARSERS.length; i += 1) {
-            var parser = PARSERS[i];
+        // Take a copy in case a parser registers or deregisters parsers.
+        var parsersToTry = parsers.slice(0);
+        for (var i = 0; i < parsersToTry.length; i += 1) {
+            var parser = parsersToTry[i];
+            var eventData = null;
             try {
-                return parser(data);
+                eventData = parser.parse(data);
             } catch (e) {
                 if (e.name !== "WrongFileFormat") {
                     throw e;
                 }
             }
+            
+            // Parsers registered by host pages may return undefined rather
+            // than null if the data is not of their format.
+            if (eventData) {
+                eventData.setParserName(parser.name);
+                return eventData;
+            }
         }
             
         // If we get here, none of the parsers succeeded.
@@ -29,6 +29,8 @@
     var CourseClass = SplitsBrowser.Model.CourseClass;
     var Course = SplitsBrowser.Model.Course;
     var Event = SplitsBrowser.Model.Event;
+    var Team = SplitsBrowser.Model.Team;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
     
     // Number of feet in a kilometre.
     var FEET_PER_KILOMETRE = 3280;
@@ -281,6 +283,26 @@
         return false;
     };
     
+    /**
+    * Unconditionally returns null - IOF XML version 2.0.3 appears not to
+    * support score events.
+    * @return {null} null.
+    */
+    Version2Reader.readScore = function () {
+        return null;
+    };
+    
+    /**
+    * Reads the name of the variation of a forked course that a competitor
+    * ran from a Result element.
+    * @param {jQuery.selection} resultElement - jQuery selection containing a
+    *     Result element.
+    * @return {String} The name of the variation, or an empty string if none.
+    */
+    Version2Reader.readCourseVariationName = function (resultElement) {
+        return $("> CourseVariation > Name", resultElement).text();
+    };
+    
     /**
     * Reads a control code and split time from a SplitTime element.
     * @param {jQuery.selection} splitTimeElement - jQuery selection containing
@@ -507,6 +529,53 @@
         return (splitTimeElement.attr("status") === "Additional");
     };
 
+    /**
+    * Reads the name of the variation of a forked course that a competitor
+    * ran from a Result element.
+    * @param {jQuery.selection} resultElement - jQuery selection containing a
+    *     Result element.
+    * @return {String} The name of the variation, or an empty string if none.
+    */
+    Version3Reader.readCourseVariationName = function (resultElement) {
+        return $("> Course > Name", resultElement).text();
+    };
+    
+    /**
+    * Reads the score of a competitor in a score event from the Score elements
+    * of a Result element.
+    *
+    * Score elements with a type containing 'Penalty' are read as penalty
+    * points.  The first other Score element is read as the points scored
+    * before any penalty is deducted.
+    *
+    * @param {jQuery.selection} resultElement - jQuery selection containing a
+    *     Result element.
+    * @return {?Object} Object containing the points and penalty read, or null
+    *     if the result has no Score elements.
+    */
+    Version3Reader.readScore = function (resultElement) {
+        var scoreElements = $("> Score", resultElement).toArray();
+        if (scoreElements.length === 0) {
+            return null;
+        }
+        
+        var points = null;
+        var penalty = 0;
+        scoreElements.forEach(function (scoreElement) {
+            var jqScoreElement = $(scoreElement);
+            var value = parseFloat(jqScoreElement.text());
+            if (!isNaNStrict(value)) {
+                if (/penalty/i.test(jqScoreElement.attr("type") || "")) {
+                    penalty += value;
+                } else if (points === null) {
+                    points = value;
+                }
+            }
+        });
+        
+        return {points: points, penalty: penalty};
+    };
+    
     /**
     * Reads a control code and split time from a SplitTime element.
     * @param {jQuery.selection} splitTimeElement - jQuery selection containing
@@ -561,10 +630,12 @@
     * @param {Object} reader - XML reader used to assist with format-specific
     *     XML reading.
     * @param {Array} warnings - Array that accumulates warning messages.
+    * @param {String=} club - The name of the club to give the competitor, if
+    *     it is not to be read from the XML.
     * @return {Object?} Object containing the competitor data, or null if no
     *     competitor could be read.
     */
-    function parseCompetitor(element, number, reader, warnings) {
+    function parseCompetitor(element, number, reader, warnings, club) {
         var jqElement = $(element);
         
         var nameElement = reader.getCompetitorNameElement(jqElement);
@@ -575,7 +646,9 @@
             return null;
         }
         
-        var club = reader.readClubName(jqElement);
+        if (isUndefined(club)) {
+            club = reader.readClubName(jqElement);
+        }
         
         var dateOfBirth =  reader.readDateOfBirth(jqElement);
         var regexResult = yearRegexp.exec(dateOfBirth);
@@ -594,21 +667,38 @@
         var totalTime = reader.readTotalTime(resultElement);
         
         var splitTimes = $("> SplitTime", resultElement).toArray();
-        var splitData = splitTimes.filter(function (splitTime) { return !reader.isAdditional($(splitTime)); })
-                                  .map(function (splitTime) { return reader.readSplitTime($(splitTime)); });
-        
-        var controls = splitData.map(function (datum) { return datum.code; });
-        var cumTimes = splitData.map(function (datum) { return datum.time; });
+        var score = reader.readScore(resultElement);
         
-        if (totalTime > 0 && totalTime < cumTimes[cumTimes.length - 1]) {
-            var deltaTime =  cumTimes[cumTimes.length - 1] - totalTime;
-            cumTimes = splitData.map(function (datum) { return datum.time - deltaTime ; });
-        } 
-        
-        cumTimes.unshift(0); // Prepend a zero time for the start.
-        cumTimes.push(totalTime);
-        
-        var competitor = fromOriginalCumTimes(number, name, club, startTime, cumTimes);
+        var competitor;
+        var controls;
+        if (score === null) {
+            var splitData = splitTimes.filter(function (splitTime) { return !reader.isAdditional($(splitTime)); })
+                                      .map(function (splitTime) { return reader.readSplitTime($(splitTime)); });
+            
+            controls = splitData.map(function (datum) { return datum.code; });
+            var cumTimes = splitData.map(function (datum) { return datum.time; });
+            
+            if (totalTime > 0 && totalTime < cumTimes[cumTimes.length - 1]) {
+                var deltaTime =  cumTimes[cumTimes.length - 1] - totalTime;
+                cumTimes = splitData.map(function (datum) { return datum.time - deltaTime ; });
+            } 
+            
+            cumTimes.unshift(0); // Prepend a zero time for the start.
+            cumTimes.push(totalTime);
+            
+            competitor = fromOriginalCumTimes(number, name, club, startTime, cumTimes);
+        } else {
+            // Score event: every control punched counts, in the order they
+            // were punched, and there is no course of controls to follow.
+            var punches = splitTimes.map(function (splitTime) { return reader.readSplitTime($(splitTime)); })
+                                    .filter(function (datum) { return datum.time !== null; })
+                                    .map(function (datum) { return {code: datum.code, time: datum.time, points: null}; });
+            punches.sort(function (punch1, punch2) { return punch1.time - punch2.time; });
+            
+            controls = [];
+            competitor = fromOriginalCumTimes(number, name, club, startTime, [0, totalTime]);
+            competitor.setScoreResult(new ScoreResult(punches, score.points, score.penalty));
+        }
         
         if (yearOfBirth !== null) {
             competitor.setYearOfBirth(yearOfBirth);
@@ -637,161 +727,76 @@
         };
     }
     /**
-     * 
-     * @param {XMLElement} element 
-     * @param {*} index 
-     * @param {Object} reader - XML reader used to assist with format-specific XML reading.
+    * Parses the results of the relay teams in a class.
+    *
+    * Each runner of each team is read in as a competitor in the same way as
+    * the competitors of an individual race, except that the name of the team
+    * is used as the competitor's club.  The teams and their runners are added
+    * to the 'teams' property of the given class object.
+    *
+    * @param {XMLElement} element - XML ClassResult element.
+    * @param {Object} cls - The class object.
+    * @param {Object} reader - XML reader used to assist with format-specific
+    *     XML reading.
     * @param {Array} warnings - Array to accumulate any warning messages within.
     */
-    function parseTeamResults(element , cls , reader, warnings) {
-        var jqElement = $(element);
-        var teamResults = $("> TeamResult" , jqElement);
-        for (var index = 0; index < teamResults.length; index += 1) {
-            var team = {name : null , club: null , members: []   };
-        
-            var name = $("> Name" ,teamResults[index]).text();
-            team.name = name;
-            if (name === "") {
-                warnings.push("Could not find a name for a competitor");
-                return null;
+    function parseTeamResults(element, cls, reader, warnings) {
+        var teamResults = $("> TeamResult", $(element)).toArray();
+        var competitorCount = 0;
+        teamResults.forEach(function (teamResult) {
+            var jqTeamResult = $(teamResult);
+            var teamName = $("> Name", jqTeamResult).text();
+            if (teamName === "") {
+                warnings.push("Could not find a name for a team in class '" + cls.name + "'");
+                return;
             }
-        
-            var club = $("> Organisation > Name" ,teamResults[index]).text();
-            team.club = club;
-        
-            var virtualCompetitor ;
-            var teamMemberResults = $("> TeamMemberResult" , teamResults[index]);
-            var indexTeam;
-            for (indexTeam = 0; indexTeam < teamMemberResults.length; indexTeam += 1) {
-                var teamMembersAndControls = parseTeamMember(teamMemberResults[indexTeam] , club , index * teamMemberResults.length + indexTeam + 1, reader, warnings);
-                if (indexTeam === 0) {
-                    virtualCompetitor = teamMembersAndControls;
-                    virtualCompetitor.startTime = teamMembersAndControls.competitor.startTime;
+            
+            var club = $("> Organisation > ShortName", jqTeamResult).text() || $("> Organisation > Name", jqTeamResult).text();
+            
+            // Array of the parsed runners of the team, indexed by leg.
+            var legRunners = [];
+            $("> TeamMemberResult", jqTeamResult).toArray().forEach(function (teamMemberResult, memberIndex) {
+                var jqTeamMemberResult = $(teamMemberResult);
+                var competitorAndControls = parseCompetitor(teamMemberResult, competitorCount + 1, reader, warnings, teamName);
+                if (competitorAndControls === null) {
+                    return;
                 }
-                else {
-                    if (indexTeam < teamMemberResults.length ) {
-                        virtualCompetitor.competitor.name = virtualCompetitor.competitor.name + "-";
-                    }
-                    virtualCompetitor.competitor.name = virtualCompetitor.competitor.name + teamMembersAndControls.competitor.name ;
-
-                    virtualCompetitor.controls.push("F");
-                    virtualCompetitor.controls = virtualCompetitor.controls.concat(teamMembersAndControls.controls);
-                    teamMembersAndControls.competitor.originalCumTimes.shift();
-                    virtualCompetitor.competitor.originalSplitTimes = virtualCompetitor.competitor.originalSplitTimes.concat(teamMembersAndControls.competitor.originalSplitTimes) ;
-
-                    var addedNewCumTimes = [];
-                    var j;
-                    for (j = 0 ; j < teamMembersAndControls.competitor.originalCumTimes.length ; j += 1) {
-                        addedNewCumTimes[j] = teamMembersAndControls.competitor.originalCumTimes[j] + virtualCompetitor.competitor.totalTime;
-                    }
-                    // var addedNewCumTimes = teamMembersAndControls.competitor.originalCumTimes.map( function(cum) {
-                    //     return cum + virtualCompetitor.competitor.totalTime;
-                    // }) ;
-                    virtualCompetitor.competitor.originalCumTimes = virtualCompetitor.competitor.originalCumTimes.concat(addedNewCumTimes) ;
-
-                    virtualCompetitor.competitor.totalTime = virtualCompetitor.competitor.totalTime + teamMembersAndControls.competitor.totalTime ;
-                    virtualCompetitor.competitor.isNonCompetitive = teamMembersAndControls.competitor.isNonCompetitive || virtualCompetitor.competitor.isNonCompetitive;
-                    virtualCompetitor.competitor.isNonStarter = teamMembersAndControls.competitor.isNonStarter || virtualCompetitor.competitor.isNonStarter;
-                    virtualCompetitor.competitor.isNonFinisher = teamMembersAndControls.competitor.isNonFinisher ||  virtualCompetitor.competitor.isNonFinisher;
-                    virtualCompetitor.competitor.isDisqualified = teamMembersAndControls.competitor.isDisqualified || virtualCompetitor.competitor.isDisqualified;
-                    virtualCompetitor.competitor.isOverMaxTime = teamMembersAndControls.competitor.isOverMaxTime ||  virtualCompetitor.competitor.isOverMaxTime;
-                  }               
-            }
-
-            var finalCompetitor = fromOriginalCumTimes(index+1, virtualCompetitor.competitor.name, club, virtualCompetitor.startTime, virtualCompetitor.competitor.originalCumTimes);
-            finalCompetitor.isNonCompetitive = virtualCompetitor.competitor.isNonCompetitive;
-            finalCompetitor.isNonStarter = virtualCompetitor.competitor.isNonStarter;
-            finalCompetitor.isNonFinisher = virtualCompetitor.competitor.isNonFinisher;
-            finalCompetitor.isDisqualified = virtualCompetitor.competitor.isDisqualified;
-            finalCompetitor.isOverMaxTime = virtualCompetitor.competitor.isOverMaxTime;
-
-            finalCompetitor.startTime = virtualCompetitor.competitor.startTime ;
-            if (index === 0) {
-                cls.controls = virtualCompetitor.controls;
-                cls.course.numberOfControls = cls.controls.length;
-                cls.course.id = cls.controls.join(",");
-                cls.teamMembers = teamMemberResults.length;
-            }
-            if (indexTeam !== cls.teamMembers) {
-                finalCompetitor.setNonFinisher();
-            }
-
-            if (cls.controls.length !== finalCompetitor.originalCumTimes.length - 2) {
-                finalCompetitor.setNonFinisher();
-                var i;
-                for ( i = finalCompetitor.originalCumTimes.length ; i < cls.controls.length + 2 ; i += 1) {
-                    finalCompetitor.originalCumTimes[i] = null;
+                
+                competitorCount += 1;
+                
+                var resultElement = $("> Result", jqTeamMemberResult);
+                var leg = parseInt($("> Leg", resultElement).text(), 10);
+                var legIndex = (isNaNStrict(leg) || leg < 1) ? memberIndex : leg - 1;
+                
+                if (legRunners[legIndex]) {
+                    warnings.push("Team '" + teamName + "' in class '" + cls.name + "' has more than one runner on leg " + (legIndex + 1) +
+                        ": runner '" + competitorAndControls.competitor.name + "' has been ignored");
+                } else {
+                    competitorAndControls.course = reader.readCourseFromClass(resultElement, warnings);
+                    legRunners[legIndex] = competitorAndControls;
+                }
+            });
+            
+            for (var legIndex = 0; legIndex < legRunners.length; legIndex += 1) {
+                if (!legRunners[legIndex]) {
+                    legRunners[legIndex] = null;
                 }
             }
-            cls.competitors.push(finalCompetitor);
-            cls.teams.push(team);
-        }
-        return null;
-    }
-    /**
-     * 
-     * @param {*} element 
-     * @param {*} index 
-     * @param {*} reader 
-     * @param {*} warnings 
-     */
-    function parseTeamMember(element , club , number , reader, warnings) {
-        var jqElement = $(element);
-        var nameElement = reader.getCompetitorNameElement(jqElement);
-        var name = readCompetitorName(nameElement);
-        //var dateOfBirth =  reader.readDateOfBirth(jqElement);
-        //var regexResult = yearRegexp.exec(dateOfBirth);
-        //var yearOfBirth = (regexResult === null) ? null : parseInt(regexResult[0], 10);
-        
-        //var gender = $("> Person", jqElement).attr("sex");
-        
-        var resultElement = $("Result", jqElement);
-        if (resultElement.length === 0) {
-            warnings.push("Could not find any result information for competitor '" + name + "'");
-            return null;
-        }
-        
-        var startTime = reader.readStartTime(resultElement);
-        
-        var totalTime = reader.readTotalTime(resultElement);
-        
-        var splitTimes = $("> SplitTime", resultElement).toArray();
-        var splitData = splitTimes.filter(function (splitTime) { return !reader.isAdditional($(splitTime)); })
-                                  .map(function (splitTime) { return reader.readSplitTime($(splitTime)); });
-        
-        var controls = splitData.map(function (datum) { return datum.code; });
-        var cumTimes = splitData.map(function (datum) { return datum.time; });
-
-        if (totalTime > 0 && totalTime < cumTimes[cumTimes.length - 1]) {
-            var deltaTime =  cumTimes[cumTimes.length - 1] - totalTime;
-            cumTimes = splitData.map(function (datum) { return datum.time - deltaTime ; });
-        }        
-
-        cumTimes.unshift(0); // Prepend a zero time for the start.
-        cumTimes.push(totalTime);
-        
-        var competitor = fromOriginalCumTimes(number, name, club, startTime, cumTimes);
-               
-        var status = reader.getStatus(resultElement);
-        if (status === reader.StatusNonCompetitive) {
-            competitor.setNonCompetitive();
-        } else if (status === reader.StatusNonStarter) {
-            competitor.setNonStarter();
-        } else if (status === reader.StatusNonFinisher) {
-            competitor.setNonFinisher();
-        } else if (status === reader.StatusDisqualified) {
-            competitor.disqualify();
-        } else if (status === reader.StatusOverMaxTime) {
-            competitor.setOverMaxTime();
-        }
-
-        return {
-            competitor: competitor,
-            controls: controls
-        };       
+            
+            var members = legRunners.map(function (legRunner) { return (legRunner === null) ? null : legRunner.competitor; });
+            cls.teams.push({team: new Team(teamName, club, members), legRunners: legRunners});
+        });
     }
+    
     /**
-    * Parses data for a single class when the race is single competitor. 
+    * Parses data for a single class when the race is single competitor.
+    *
+    * Competitors with the same number of controls as the class but different
+    * controls are taken to have run a variation of a forked course, such as
+    * a butterfly course.  The variations found are added to the
+    * 'variations' property of the given class object, and each competitor's
+    * variation is set if the class has more than one.
+    *
     * @param {XMLElement} element - XML ClassResult element
     * @param {Object} cls - the class object
     * @param {Object} reader - XML reader used to assist with format-specific XML reading.
@@ -801,6 +806,27 @@
     function parseCompetitorResults(element , cls , reader , warnings) {
         var jqElement = $(element);
         var personResults = $("> PersonResult", jqElement);
+        var variationsMap = d3.map();
+        var competitorVariations = [];
+        
+        // Returns the variation with the given controls, creating it if there
+        // isn't one already.
+        var getVariation = function (controls, resultElement) {
+            var variationKey = controls.join(",");
+            if (!variationsMap.has(variationKey)) {
+                var name = reader.readCourseVariationName(resultElement);
+                if (name === "" || cls.variations.some(function (variation) { return variation.name === name; })) {
+                    name = "Variation " + (cls.variations.length + 1);
+                }
+                
+                var variation = {name: name, controls: controls};
+                cls.variations.push(variation);
+                variationsMap.set(variationKey, variation);
+            }
+            
+            return variationsMap.get(variationKey);
+        };
+        
         for (var index = 0; index < personResults.length; index += 1) {
             var competitorAndControls = parseCompetitor(personResults[index], index + 1, reader, warnings);
             if (competitorAndControls !== null) {
@@ -821,30 +847,36 @@
 
                 // Subtract 2 for the start and finish cumulative times.
                 var actualControlCount = competitor.getAllOriginalCumulativeTimes().length - 2;
-                var warning = null;
+                var variation = null;
                 if (competitor.isNonStarter && actualControlCount === 0) {
                     // Don't generate warnings for non-starting competitors with no controls.
                 } else if (actualControlCount !== cls.course.numberOfControls) {
-                    warning = "Competitor '" + competitor.name + "' in class '" + cls.className + "' has an unexpected number of controls: expected " + cls.course.numberOfControls + ", actual " + actualControlCount;
+                    warnings.push("Competitor '" + competitor.name + "' in class '" + cls.className + "' has an unexpected number of controls: expected " + cls.course.numberOfControls + ", actual " + actualControlCount);
+                    continue;
                 } else {
-                    for (var controlIndex = 0; controlIndex < actualControlCount; controlIndex += 1) {
-                        if (cls.controls[controlIndex] !== controls[controlIndex]) {
-                            warning = "Competitor '" + competitor.name + "' has an unexpected control code at control " + (controlIndex + 1) +
-                                ": expected '" + cls.controls[controlIndex] + "', actual '" + controls[controlIndex] + "'";
-                            break;
-                        }
-                    }
+                    variation = getVariation(controls, $("> Result", $(personResults[index])));
                 }
                 
-                if (warning === null) {
-                    cls.competitors.push(competitor);
-                } else {
-                    warnings.push(warning);
-                }
+                cls.competitors.push(competitor);
+                competitorVariations.push(variation);
             }
         }
         
-        if (cls.course.id === null && cls.controls.length > 0) {
+        if (cls.variations.length > 1) {
+            cls.competitors.forEach(function (competitor, competitorIndex) {
+                if (competitorVariations[competitorIndex] !== null) {
+                    competitor.setVariation(competitorVariations[competitorIndex].name);
+                }
+            });
+        } else {
+            cls.variations = [];
+        }
+        
+        if (cls.course.id === null && cls.variations.length > 1) {
+            // Use the controls of all of the variations as the course ID, so
+            // that only classes with the same variations are merged.
+            cls.course.id = cls.variations.map(function (variation) { return variation.controls.join(","); }).join(";");
+        } else if (cls.course.id === null && cls.controls.length > 0) {
             // No course ID given, so join the controls together with commas
             // and use that instead.  Course IDs are only used internally by
             // this reader in order to merge classes, and the comma-separated
@@ -860,6 +892,36 @@
         }
         return null;
     }
+    
+    /**
+    * Parses data for a single class of a score event.
+    *
+    * Competitors in a score event visit their own choice of controls, so the
+    * controls of competitors are not checked against those of the class.
+    * However, a competitor without a score but with times at controls cannot
+    * be read in, as there is no way to compare them with the others.
+    *
+    * @param {XMLElement} element - XML ClassResult element
+    * @param {Object} cls - the class object
+    * @param {Object} reader - XML reader used to assist with format-specific
+    *     XML reading.
+    * @param {Array} warnings - Array to accumulate any warning messages within.
+    */
+    function parseScoreResults(element, cls, reader, warnings) {
+        var personResults = $("> PersonResult", $(element)).toArray();
+        personResults.forEach(function (personResult, index) {
+            var competitorAndControls = parseCompetitor(personResult, index + 1, reader, warnings);
+            if (competitorAndControls !== null) {
+                var competitor = competitorAndControls.competitor;
+                if (competitor.scoreResult === null && competitorAndControls.controls.length > 0) {
+                    warnings.push("Competitor '" + competitor.name + "' in score class '" + cls.name + "' has times at controls but no score");
+                } else {
+                    cls.competitors.push(competitor);
+                }
+            }
+        });
+    }
+    
     /**
     * Parses data for a single class. 
     * @param {XMLElement} element - XML ClassResult element
@@ -870,7 +932,7 @@
     */
     function parseClassData(element, reader, warnings) {
         var jqElement = $(element);
-        var cls = {name: null, competitors: [], controls: [], course: null , typeRace: null, teams: [] ,teamMembers: null};
+        var cls = {name: null, competitors: [], controls: [], variations: [], course: null, typeRace: null, teams: []};
         
         cls.course = reader.readCourseFromClass(jqElement, warnings);
         
@@ -882,22 +944,142 @@
         
         cls.name = className;
         
-        var teamResults = $("> TeamResult" , jqElement);
+        var teamResults = $("> TeamResult", jqElement);
         if (teamResults.length !== 0) {
             cls.typeRace = "relay";
-            parseTeamResults(element , cls , reader , warnings);
-        return cls;
-    }
+            parseTeamResults(element, cls, reader, warnings);
+            return cls;
+        }
+        
         var personResults = $("> PersonResult", jqElement);
         if (personResults.length !== 0) {
-            cls.typeRace = "single";
-           parseCompetitorResults(element , cls , reader , warnings);
-           return cls;
+            if ($("> PersonResult > Result > Score", jqElement).length > 0) {
+                cls.typeRace = "score";
+                parseScoreResults(element, cls, reader, warnings);
+            } else {
+                cls.typeRace = "single";
+                parseCompetitorResults(element, cls, reader, warnings);
+            }
+            return cls;
         } 
 
         warnings.push("Class '" + className + "' has no competitors");
         return null;
     }
+    
+    /**
+    * Creates the classes for the teams of a relay class.
+    *
+    * The first class created contains the teams, with each team appearing as
+    * a single competitor that runs all of the legs.  The runners of each leg
+    * follow in classes of their own, one per leg.  If the runners of a leg
+    * did not all run the same controls, for example because the legs were
+    * forked, there is one class for each variation of the leg.  Leg classes
+    * with the same controls share the same course, so can be compared with
+    * one another.
+    *
+    * @param {Object} cls - The parsed relay class.
+    * @param {Array} warnings - Array to accumulate any warning messages within.
+    * @return {Array} Array of objects, each containing a CourseClass object,
+    *     the temporary course object and the controls of the course.
+    */
+    function createRelayClasses(cls, warnings) {
+        if (cls.teams.length === 0) {
+            warnings.push("Class '" + cls.name + "' has no competitors");
+            return [];
+        }
+        
+        var legCount = d3.max(cls.teams, function (teamData) { return teamData.legRunners.length; });
+        
+        // Runners that have no times and no controls, such as non-starters,
+        // are left out of the leg classes.
+        function hasTimesOrControls(legRunner) {
+            return legRunner !== null && (legRunner.controls.length > 0 || legRunner.competitor.hasAnyTimes());
+        }
+        
+        var legControlCounts = d3.range(0, legCount).map(function (legIndex) {
+            for (var teamIndex = 0; teamIndex < cls.teams.length; teamIndex += 1) {
+                var legRunner = (legIndex < cls.teams[teamIndex].legRunners.length) ? cls.teams[teamIndex].legRunners[legIndex] : null;
+                if (hasTimesOrControls(legRunner)) {
+                    return legRunner.controls.length;
+                }
+            }
+            
+            return 0;
+        });
+        
+        var teams = [];
+        var teamCompetitors = [];
+        cls.teams.forEach(function (teamData) {
+            var wrongLegIndex = -1;
+            teamData.legRunners.forEach(function (legRunner, legIndex) {
+                if (wrongLegIndex === -1 && hasTimesOrControls(legRunner) && legRunner.controls.length !== legControlCounts[legIndex]) {
+                    wrongLegIndex = legIndex;
+                }
+            });
+            
+            if (wrongLegIndex === -1) {
+                teams.push(teamData.team);
+                teamCompetitors.push(teamData.team.createTeamCompetitor(teamCompetitors.length + 1, legControlCounts));
+            } else {
+                warnings.push("Team '" + teamData.team.name + "' in class '" + cls.name + "' has an unexpected number of controls on leg " + (wrongLegIndex + 1) +
+                    ": expected " + legControlCounts[wrongLegIndex] + ", actual " + teamData.legRunners[wrongLegIndex].controls.length);
+            }
+        });
+        
+        var teamNumControls = d3.sum(legControlCounts) + legCount - 1;
+        var teamClass = new CourseClass(cls.name, teamNumControls, teamCompetitors);
+        teamClass.setRelayTeams(teams, legControlCounts);
+        
+        // The controls of the teams may differ because of forking, so the
+        // course of the team class doesn't list any controls.
+        var teamCourse = {id: null, name: cls.name, length: null, climb: null, numberOfControls: teamNumControls};
+        var relayClasses = [{courseClass: teamClass, course: teamCourse, controls: null}];
+        var legClasses = [];
+        
+        d3.range(0, legCount).forEach(function (legIndex) {
+            var classesOfLeg = [];
+            var variations = [];
+            var variationsMap = d3.map();
+            cls.teams.forEach(function (teamData) {
+                var legRunner = (legIndex < teamData.legRunners.length) ? teamData.legRunners[legIndex] : null;
+                if (hasTimesOrControls(legRunner)) {
+                    var variationKey = legRunner.course.id + "," + legRunner.controls.join(",");
+                    if (!variationsMap.has(variationKey)) {
+                        var variation = {course: legRunner.course, controls: legRunner.controls, competitors: []};
+                        variations.push(variation);
+                        variationsMap.set(variationKey, variation);
+                    }
+                    
+                    variationsMap.get(variationKey).competitors.push(legRunner.competitor);
+                }
+            });
+            
+            variations.forEach(function (variation, variationIndex) {
+                var legClassName = cls.name + " - Leg " + (legIndex + 1);
+                if (variations.length > 1) {
+                    legClassName += " - " + (variation.course.name || "Variation " + (variationIndex + 1));
+                }
+                
+                var legClass = new CourseClass(legClassName, variation.controls.length, variation.competitors);
+                var legCourse = {
+                    id: variation.course.id || ((variation.controls.length > 0) ? variation.controls.join(",") : null),
+                    name: variation.course.name || legClassName,
+                    length: variation.course.length,
+                    climb: variation.course.climb,
+                    numberOfControls: variation.controls.length
+                };
+                
+                relayClasses.push({courseClass: legClass, course: legCourse, controls: variation.controls});
+                classesOfLeg.push(legClass);
+            });
+            
+            legClasses.push(classesOfLeg);
+        });
+        
+        teamClass.setRelayLegClasses(legClasses);
+        return relayClasses;
+    }
    
     /**
     * Determine which XML reader to use to parse the given event data.
@@ -949,19 +1131,17 @@
         
         var warnings = [];
         
-        classResultElements.forEach(function (classResultElement) {
-            var parsedClass = parseClassData(classResultElement, reader, warnings);
-            if (parsedClass === null) {
-                // Class could not be parsed.
-                return;
-            }
-            
-            var courseClass = new CourseClass(parsedClass.name, parsedClass.controls.length, parsedClass.competitors);
+        // Adds a class to the list of classes and the class's course to the
+        // list of temporary courses, unless the course is already in the list.
+        // If the course is forked, its variations are also given.
+        function addClass(courseClass, tempCourse, controls, variations) {
             classes.push(courseClass);
             
             // Add to each temporary course object a list of all classes.
-            var tempCourse = parsedClass.course;
-            var courseKey = tempCourse.id + "," + parsedClass.controls.join(",");
+            var courseKey = tempCourse.id + "," + ((controls === null) ? "" : controls.join(","));
+            if (variations) {
+                courseKey += ";" + variations.map(function (variation) { return variation.name + ":" + variation.controls.join(","); }).join(";");
+            }
             
             if (tempCourse.id !== null && coursesMap.has(courseKey)) {
                 // We've come across this course before, so just add a class to
@@ -970,17 +1150,47 @@
             } else {
                 // New course.  Add some further details from the class.
                 tempCourse.classes = [courseClass];
-                tempCourse.controls = parsedClass.controls;
+                tempCourse.controls = controls;
+                tempCourse.variations = variations || null;
                 tempCourses.push(tempCourse);
                 if (tempCourse.id !== null) {
                     coursesMap.set(courseKey, tempCourse);
                 }
             }
+        }
+        
+        classResultElements.forEach(function (classResultElement) {
+            var parsedClass = parseClassData(classResultElement, reader, warnings);
+            if (parsedClass === null) {
+                // Class could not be parsed.
+                return;
+            }
+            
+            if (parsedClass.typeRace === "relay") {
+                createRelayClasses(parsedClass, warnings).forEach(function (relayClass) {
+                    addClass(relayClass.courseClass, relayClass.course, relayClass.controls);
+                });
+            } else if (parsedClass.typeRace === "score") {
+                // Competitors in score classes each visit their own controls,
+                // so the course has none of its own.
+                addClass(new CourseClass(parsedClass.name, 0, parsedClass.competitors), parsedClass.course, null);
+            } else {
+                var courseClass = new CourseClass(parsedClass.name, parsedClass.controls.length, parsedClass.competitors);
+                if (parsedClass.variations.length > 1) {
+                    addClass(courseClass, parsedClass.course, null, parsedClass.variations);
+                } else {
+                    addClass(courseClass, parsedClass.course, parsedClass.controls);
+                }
+            }
         });
         
         // Now build up the array of courses.
         var courses = tempCourses.map(function (tempCourse) {
             var course = new Course(tempCourse.name, tempCourse.classes, tempCourse.length, tempCourse.climb, tempCourse.controls);
+            if (tempCourse.variations !== null) {
+                course.setVariations(tempCourse.variations);
+            }
+            
             tempCourse.classes.forEach(function (courseClass) { courseClass.setCourse(course); });
             return course;
         });
@@ -988,5 +1198,170 @@
         return new Event(classes, courses, warnings);
     }
     
-    SplitsBrowser.Input.IOFXml = { parseEventData: parseEventData };
+    /**
+    * Parses the given string as a number, returning null if it is not a
+    * number.
+    * @param {String|undefined} value - The value to parse.
+    * @return {?Number} The number parsed, or null if none.
+    */
+    function parseOptionalNumber(value) {
+        var number = parseFloat(value);
+        return isNaNStrict(number) ? null : number;
+    }
+    
+    /**
+    * Reads the position of a control from a Control element of IOF XML 3.0
+    * CourseData.
+    * @param {jQuery.selection} controlElement - jQuery selection containing
+    *     the Control element.
+    * @return {Object} Object containing the geographical position, lat and
+    *     lng, and the position on the map, x and y, any of which may be null.
+    */
+    function readControlPosition(controlElement) {
+        var positionElement = $("> Position", controlElement);
+        var mapPositionElement = $("> MapPosition", controlElement);
+        return {
+            lat: parseOptionalNumber(positionElement.attr("lat")),
+            lng: parseOptionalNumber(positionElement.attr("lng")),
+            x: parseOptionalNumber(mapPositionElement.attr("x")),
+            y: parseOptionalNumber(mapPositionElement.attr("y"))
+        };
+    }
+    
+    /**
+    * Parses a single Course element of IOF XML 3.0 CourseData.
+    *
+    * Crossing points and other course controls that are neither the start,
+    * a control nor the finish do not appear as controls, but their leg
+    * lengths are added to that of the next leg.
+    *
+    * IOF XML 3.0 has no element for the climb of a leg, so leg climbs are
+    * only read from LegClimb elements of course controls that have them, and
+    * are otherwise null.
+    *
+    * Nor does IOF XML 3.0 have a way to mark a leg as neutralised, i.e. that
+    * the time taken on it isn't counted, so the leg ending at a course control
+    * is treated as neutralised if the course control contains a Neutralised
+    * element within its Extensions element.
+    *
+    * @param {jQuery.selection} courseElement - jQuery selection containing
+    *     the Course element.
+    * @param {d3.map} positionsByControlId - Map of control IDs to positions.
+    * @return {Object} Object containing the course data read.
+    */
+    function parseCourseElement(courseElement, positionsByControlId) {
+        var controls = [];
+        var controlPositions = [];
+        var legLengths = [];
+        var legClimbs = [];
+        var neutralisedLegs = [];
+        
+        // Length of any crossing points etc. since the previous control.
+        var pendingLength = 0;
+        
+        $("> CourseControl", courseElement).toArray().forEach(function (courseControl) {
+            var courseControlElement = $(courseControl);
+            var type = courseControlElement.attr("type") || "Control";
+            var controlId = $("> Control", courseControlElement).first().text();
+            var legLength = parseOptionalNumber($("> LegLength", courseControlElement).text());
+            if (type === "Start") {
+                if (controlPositions.length === 0) {
+                    controlPositions.push(positionsByControlId.get(controlId) || null);
+                }
+            } else if (type === "Control" || type === "Finish") {
+                if (controlPositions.length === 0) {
+                    // No start listed.
+                    controlPositions.push(null);
+                }
+                
+                if (type === "Control") {
+                    controls.push(controlId);
+                }
+                
+                controlPositions.push(positionsByControlId.get(controlId) || null);
+                legLengths.push((legLength === null || pendingLength === null) ? null : (legLength + pendingLength) / 1000);
+                legClimbs.push(parseOptionalNumber($("> LegClimb", courseControlElement).text()));
+                pendingLength = 0;
+                if ($("> Extensions > Neutralised", courseControlElement).length > 0) {
+                    neutralisedLegs.push(legLengths.length);
+                }
+            } else if (pendingLength !== null) {
+                pendingLength = (legLength === null) ? null : pendingLength + legLength;
+            }
+        });
+        
+        if (controlPositions.length === 0) {
+            // Neither a start nor any controls listed.
+            controlPositions.push(null);
+        }
+        
+        if (controlPositions.length === controls.length + 1) {
+            // No finish listed.
+            controlPositions.push(null);
+            legLengths.push(null);
+            legClimbs.push(null);
+        }
+        
+        var length = parseOptionalNumber($("> Length", courseElement).text());
+        return {
+            name: $("> Name", courseElement).text(),
+            length: (length === null) ? null : length / 1000,
+            climb: parseOptionalNumber($("> Climb", courseElement).text()),
+            controls: controls,
+            controlPositions: controlPositions,
+            legLengths: legLengths,
+            legClimbs: legClimbs,
+            neutralisedLegs: neutralisedLegs
+        };
+    }
+    
+    /**
+    * Parses IOF XML 3.0 CourseData and returns the data of the courses
+    * within it.
+    *
+    * Each course returned is an object containing the name, length (in
+    * kilometres) and climb (in metres) of the course, the codes of its
+    * controls, the positions of the start, each control and the finish, the
+    * length (in kilometres) and climb (in metres) of each leg, and the
+    * numbers of any neutralised legs, where leg N ends at control N.
+    *
+    * @param {String} data - String to parse as XML.
+    * @return {Array} Array of course-data objects.
+    */
+    function parseCourseData(data) {
+        if (!Version3Reader.isOfThisVersion(data)) {
+            throwWrongFileFormat("Data apparently not of the IOF XML 3.0 format");
+        }
+        
+        var xml = parseXml(data);
+        var rootElement = $("> *", xml);
+        var rootElementNodeName = rootElement.prop("tagName");
+        if (rootElementNodeName !== "CourseData") {
+            throwWrongFileFormat("Root element of XML document does not have expected name 'CourseData', got '" + rootElementNodeName + "'");
+        }
+        
+        Version3Reader.checkVersion(rootElement);
+        
+        var courses = [];
+        $("> RaceCourseData", rootElement).toArray().forEach(function (raceCourseData) {
+            var raceCourseDataElement = $(raceCourseData);
+            var positionsByControlId = d3.map();
+            $("> Control", raceCourseDataElement).toArray().forEach(function (control) {
+                var controlElement = $(control);
+                positionsByControlId.set($("> Id", controlElement).text(), readControlPosition(controlElement));
+            });
+            
+            $("> Course", raceCourseDataElement).toArray().forEach(function (course) {
+                courses.push(parseCourseElement($(course), positionsByControlId));
+            });
+        });
+        
+        if (courses.length === 0) {
+            throwInvalidData("No course elements found");
+        }
+        
+        return courses;
+    }
+    
+    SplitsBrowser.Input.IOFXml = { parseEventData: parseEventData, parseCourseData: parseCourseData };
 })();
\ No newline at end of file
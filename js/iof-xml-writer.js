@@ -0,0 +1,504 @@
+/*
+ *  SplitsBrowser IOF XML Writer - Writes event data as IOF XML 3.0.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
+
+    var IOF_XML_3_NAMESPACE = "http://www.orienteering.org/datastandard/3.0";
+
+    var INDENT = "  ";
+
+    var SECONDS_PER_DAY = 24 * 60 * 60;
+
+    /**
+    * Escapes the characters in the given text that have special meanings in
+    * XML.
+    * @param {String} text - The text to escape.
+    * @return {String} The escaped text.
+    */
+    function escapeXml(text) {
+        return String(text).replace(/&/g, "&amp;")
+                           .replace(/</g, "&lt;")
+                           .replace(/>/g, "&gt;")
+                           .replace(/"/g, "&quot;")
+                           .replace(/'/g, "&apos;");
+    }
+
+    /**
+    * Formats the given attributes of an XML element.
+    * @param {Object|undefined} attributes - Object that maps attribute names
+    *     to values.  Attributes with null values are omitted.
+    * @return {String} The attributes formatted, each preceded by a space.
+    */
+    function formatAttributes(attributes) {
+        var text = "";
+        if (attributes) {
+            d3.keys(attributes).forEach(function (name) {
+                if (attributes[name] !== null) {
+                    text += " " + name + "=\"" + escapeXml(attributes[name]) + "\"";
+                }
+            });
+        }
+
+        return text;
+    }
+
+    /**
+    * Builds up an XML document one line at a time, indenting each element
+    * according to its depth.
+    * @constructor
+    */
+    function XmlBuilder() {
+        this.lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>"];
+        this.openElements = [];
+    }
+
+    /**
+    * Returns the indentation of an element at the current depth.
+    * @return {String} The indentation.
+    */
+    XmlBuilder.prototype.getIndent = function () {
+        return new Array(this.openElements.length + 1).join(INDENT);
+    };
+
+    /**
+    * Opens an element, which subsequent elements are added within until it is
+    * closed.
+    * @param {String} name - The name of the element.
+    * @param {Object=} attributes - Optional object containing the attributes
+    *     of the element.
+    */
+    XmlBuilder.prototype.open = function (name, attributes) {
+        this.lines.push(this.getIndent() + "<" + name + formatAttributes(attributes) + ">");
+        this.openElements.push(name);
+    };
+
+    /**
+    * Closes the element most recently opened.
+    */
+    XmlBuilder.prototype.close = function () {
+        var name = this.openElements.pop();
+        this.lines.push(this.getIndent() + "</" + name + ">");
+    };
+
+    /**
+    * Adds an element that contains only the given text.  If the value given
+    * is null, no element is added.
+    * @param {String} name - The name of the element.
+    * @param {?String|Number} value - The text of the element, or null to add
+    *     no element.
+    * @param {Object=} attributes - Optional object containing the attributes
+    *     of the element.
+    */
+    XmlBuilder.prototype.element = function (name, value, attributes) {
+        if (value !== null) {
+            this.lines.push(this.getIndent() + "<" + name + formatAttributes(attributes) + ">" + escapeXml(value) + "</" + name + ">");
+        }
+    };
+
+    /**
+    * Returns the text of the XML document built.
+    * @return {String} The XML document.
+    */
+    XmlBuilder.prototype.toString = function () {
+        return this.lines.join("\n") + "\n";
+    };
+
+    /**
+    * Pads a number with a leading zero if it is less than 10.
+    * @param {Number} value - The value to pad.
+    * @return {String} The padded value.
+    */
+    function padToTwoDigits(value) {
+        return (value < 10) ? "0" + value : value.toString();
+    }
+
+    /**
+    * Formats a start time as an ISO-8601 date and time on the given date.
+    * Start times of 24 hours or more fall on the days following the date.
+    * @param {Number} startTime - The start time, in seconds since midnight.
+    * @param {String} eventDate - The date of the event, as YYYY-MM-DD.
+    * @return {String} The formatted start time.
+    */
+    function formatStartTime(startTime, eventDate) {
+        var dateParts = eventDate.split("-").map(function (part) { return parseInt(part, 10); });
+        var wholeSeconds = Math.floor(startTime);
+        var date = new Date(Date.UTC(dateParts[0], dateParts[1] - 1, dateParts[2] + Math.floor(wholeSeconds / SECONDS_PER_DAY)));
+        var secondsIntoDay = wholeSeconds % SECONDS_PER_DAY;
+        return date.getUTCFullYear() + "-" + padToTwoDigits(date.getUTCMonth() + 1) + "-" + padToTwoDigits(date.getUTCDate()) + "T" +
+            padToTwoDigits(Math.floor(secondsIntoDay / 3600)) + ":" + padToTwoDigits(Math.floor(secondsIntoDay / 60) % 60) + ":" + padToTwoDigits(secondsIntoDay % 60);
+    }
+
+    /**
+    * Returns today's date, as YYYY-MM-DD.
+    * @return {String} Today's date.
+    */
+    function getTodaysDate() {
+        var today = new Date();
+        return today.getFullYear() + "-" + padToTwoDigits(today.getMonth() + 1) + "-" + padToTwoDigits(today.getDate());
+    }
+
+    /**
+    * Returns the IOF XML 3.0 status of the given competitor.
+    *
+    * A non-competitive competitor is only given the status NotCompeting if
+    * they completed the course, so that the status of one who didn't isn't
+    * lost.
+    *
+    * @param {Competitor} competitor - The competitor.
+    * @return {String} The status of the competitor.
+    */
+    function getStatus(competitor) {
+        if (competitor.isNonStarter) {
+            return "DidNotStart";
+        } else if (competitor.isNonFinisher) {
+            return "DidNotFinish";
+        } else if (competitor.isDisqualified) {
+            return "Disqualified";
+        } else if (competitor.isOverMaxTime) {
+            return "OverTime";
+        } else if (!competitor.completed()) {
+            return "MissingPunch";
+        } else if (competitor.isNonCompetitive) {
+            return "NotCompeting";
+        } else {
+            return "OK";
+        }
+    }
+
+    /**
+    * Returns the cumulative times of the given competitor to write out.
+    *
+    * If repaired times are asked for but the competitor's data hasn't been
+    * repaired, the original times are returned instead.  Repaired times are
+    * those before any grading factor is applied or neutralised legs are left
+    * out, and times estimated by the repair are returned as null, as they
+    * were never recorded.
+    *
+    * @param {Competitor} competitor - The competitor.
+    * @param {boolean} useOriginalTimes - True to return the original times,
+    *     false to return the repaired times.
+    * @return {Array} Array of cumulative times.
+    */
+    function getCumTimes(competitor, useOriginalTimes) {
+        var cumTimes = (useOriginalTimes) ? null : competitor.getAllUngradedCumulativeTimes();
+        if (cumTimes === null) {
+            return competitor.getAllOriginalCumulativeTimes();
+        }
+
+        return cumTimes.map(function (cumTime, index) { return (competitor.isCumulativeTimeEstimated(index)) ? null : cumTime; });
+    }
+
+    /**
+    * Returns a time to write out, or null if the time is missing or has been
+    * removed as dubious.
+    * @param {?Number} time - The time, in seconds.
+    * @return {?Number} The time, or null if none.
+    */
+    function getTimeOrNull(time) {
+        return isNotNullNorNaN(time) ? time : null;
+    }
+
+    /**
+    * Writes a Person element for the given competitor.
+    *
+    * The last word of the competitor's name is written as the family name and
+    * the rest as the given name.  Only the year of birth is known, so the
+    * date of birth is written as 1 January of that year.
+    *
+    * @param {XmlBuilder} builder - The XML builder.
+    * @param {Competitor} competitor - The competitor.
+    */
+    function writePerson(builder, competitor) {
+        var name = competitor.name;
+        var lastSpaceIndex = name.lastIndexOf(" ");
+        builder.open("Person", {sex: competitor.gender});
+        builder.open("Name");
+        builder.element("Family", name.substring(lastSpaceIndex + 1));
+        builder.element("Given", (lastSpaceIndex >= 0) ? name.substring(0, lastSpaceIndex) : null);
+        builder.close();
+        builder.element("BirthDate", (competitor.yearOfBirth === null) ? null : competitor.yearOfBirth + "-01-01");
+        builder.close();
+    }
+
+    /**
+    * Writes an Organisation element for the given club, if the club is known.
+    * @param {XmlBuilder} builder - The XML builder.
+    * @param {String} club - The name of the club.
+    */
+    function writeOrganisation(builder, club) {
+        if (club) {
+            builder.open("Organisation");
+            builder.element("Name", club);
+            builder.element("ShortName", club);
+            builder.close();
+        }
+    }
+
+    /**
+    * Writes a Course element for the given course.
+    *
+    * Each course is given an ID based on its position within the event, so
+    * that classes sharing a course continue to do so when read back in.
+    *
+    * @param {XmlBuilder} builder - The XML builder.
+    * @param {Course} course - The course.
+    * @param {Number} numControls - The number of controls on the course.
+    * @param {Event} eventData - The event that contains the course.
+    */
+    function writeCourse(builder, course, numControls, eventData) {
+        builder.open("Course");
+        builder.element("Id", eventData.courses.indexOf(course) + 1);
+        builder.element("Name", course.name);
+        builder.element("Length", (course.length === null) ? null : Math.round(course.length * 1000));
+        builder.element("Climb", (course.climb === null) ? null : Math.round(course.climb));
+        builder.element("NumberOfControls", numControls);
+        builder.close();
+    }
+
+    /**
+    * Returns the codes of the controls the given competitor of the given
+    * class ran, which on a forked course are those of the competitor's
+    * variation.  If the course doesn't list these controls, the numbers of
+    * the controls are used instead.
+    * @param {CourseClass} courseClass - The class.
+    * @param {Competitor} competitor - The competitor.
+    * @return {Array} Array of control codes.
+    */
+    function getControlCodes(courseClass, competitor) {
+        var course = courseClass.course;
+        var controls = (course === null) ? null : course.getVariationControls(competitor.variation);
+        if (controls !== null) {
+            return controls;
+        } else {
+            return d3.range(1, courseClass.numControls + 1).map(function (controlNum) { return controlNum.toString(); });
+        }
+    }
+
+    /**
+    * Writes a Result element for the given competitor.
+    * @param {XmlBuilder} builder - The XML builder.
+    * @param {Competitor} competitor - The competitor.
+    * @param {CourseClass} courseClass - The class the competitor ran in.
+    * @param {Object} options - Writing options, containing eventData,
+    *     useOriginalTimes and eventDate properties.
+    * @param {?Number} leg - The relay leg the competitor ran, or null if the
+    *     competitor is not in a relay team.
+    */
+    function writeResult(builder, competitor, courseClass, options, leg) {
+        var cumTimes = getCumTimes(competitor, options.useOriginalTimes);
+
+        builder.open("Result");
+        builder.element("Leg", leg);
+        builder.element("StartTime", (competitor.startTime === null) ? null : formatStartTime(competitor.startTime, options.eventDate));
+        builder.element("Time", getTimeOrNull(cumTimes[cumTimes.length - 1]));
+        builder.element("Status", getStatus(competitor));
+
+        var scoreResult = competitor.scoreResult;
+        if (scoreResult !== null) {
+            builder.element("Score", scoreResult.points);
+            builder.element("Score", scoreResult.penalty, {type: "Penalty"});
+        }
+
+        if (leg !== null && courseClass.course !== null) {
+            writeCourse(builder, courseClass.course, courseClass.numControls, options.eventData);
+        } else if (competitor.variation !== null) {
+            // The variation of a forked course that the competitor ran.
+            builder.open("Course");
+            builder.element("Name", competitor.variation);
+            builder.close();
+        }
+
+        if (scoreResult === null) {
+            var codes = getControlCodes(courseClass, competitor);
+            if (cumTimes.length === codes.length + 2) {
+                // Competitors without the controls of the course, such as
+                // some non-starters, have no split times written.
+                codes.forEach(function (code, index) {
+                    var time = getTimeOrNull(cumTimes[index + 1]);
+                    builder.open("SplitTime", {status: (time === null) ? "Missing" : null});
+                    builder.element("ControlCode", code);
+                    builder.element("Time", time);
+                    builder.close();
+                });
+            }
+        } else {
+            scoreResult.punches.forEach(function (punch) {
+                builder.open("SplitTime");
+                builder.element("ControlCode", punch.code);
+                builder.element("Time", punch.time);
+                builder.close();
+            });
+        }
+
+        builder.close();
+    }
+
+    /**
+    * Writes a ClassResult element for a class of individual competitors.
+    * @param {XmlBuilder} builder - The XML builder.
+    * @param {CourseClass} courseClass - The class.
+    * @param {Object} options - Writing options.
+    */
+    function writeIndividualClass(builder, courseClass, options) {
+        builder.open("ClassResult");
+        builder.open("Class");
+        builder.element("Name", courseClass.name);
+        builder.close();
+        if (courseClass.course !== null) {
+            writeCourse(builder, courseClass.course, courseClass.numControls, options.eventData);
+        }
+
+        courseClass.competitors.forEach(function (competitor) {
+            builder.open("PersonResult");
+            writePerson(builder, competitor);
+            writeOrganisation(builder, competitor.club);
+            writeResult(builder, competitor, courseClass, options, null);
+            builder.close();
+        });
+
+        builder.close();
+    }
+
+    /**
+    * Writes a ClassResult element for a class of relay teams.
+    *
+    * Each runner is written with the course of the leg class they appear in.
+    *
+    * @param {XmlBuilder} builder - The XML builder.
+    * @param {CourseClass} courseClass - The relay class.
+    * @param {Object} options - Writing options.
+    * @param {Function} getLegClass - Function that returns the leg class that
+    *     the given runner appears in.
+    */
+    function writeRelayClass(builder, courseClass, options, getLegClass) {
+        builder.open("ClassResult");
+        builder.open("Class");
+        builder.element("Name", courseClass.name);
+        builder.close();
+
+        courseClass.teams.forEach(function (team) {
+            builder.open("TeamResult");
+            builder.element("Name", team.name);
+            writeOrganisation(builder, team.club);
+            team.members.forEach(function (member, legIndex) {
+                if (member !== null) {
+                    builder.open("TeamMemberResult");
+                    writePerson(builder, member);
+                    writeResult(builder, member, getLegClass(member), options, legIndex + 1);
+                    builder.close();
+                }
+            });
+
+            builder.close();
+        });
+
+        builder.close();
+    }
+
+    /**
+    * Formats the given event data as an IOF XML 3.0 ResultList document.
+    *
+    * The classes, courses, competitors, statuses, start times and split times
+    * of the event are written out.  Relay classes are written as team
+    * results, with the classes of the legs of the relay being left out as
+    * they are recreated when the data is read back in.
+    *
+    * The following options may be given:
+    * * useOriginalTimes {boolean} - True to write the original times of the
+    *   competitors, false (the default) to write the repaired times.
+    *   Competitors whose data has not been repaired have their original times
+    *   written either way.  Times are written ungraded, with the time taken
+    *   on neutralised legs included, and times estimated by the repair are
+    *   written as missing.
+    * * eventName {String} - The name of the event.  If not given, no Event
+    *   element is written.
+    * * eventDate {String} - The date of the event, as YYYY-MM-DD, used with
+    *   the start times of competitors.  Defaults to today's date.
+    *
+    * @param {Event} eventData - The event data to format.
+    * @param {Object=} options - Optional object containing writing options.
+    * @return {String} The event data formatted as IOF XML 3.0.
+    */
+    function formatEventData(eventData, options) {
+        options = {
+            eventData: eventData,
+            useOriginalTimes: !!(options && options.useOriginalTimes),
+            eventName: (options && options.eventName) || null,
+            eventDate: (options && options.eventDate) || getTodaysDate()
+        };
+
+        var relayRunners = [];
+        eventData.classes.forEach(function (courseClass) {
+            if (courseClass.isRelay()) {
+                courseClass.teams.forEach(function (team) {
+                    relayRunners = relayRunners.concat(team.members.filter(function (member) { return member !== null; }));
+                });
+            }
+        });
+
+        function isRelayRunner(competitor) {
+            return relayRunners.indexOf(competitor) >= 0;
+        }
+
+        function getLegClass(runner) {
+            for (var classIndex = 0; classIndex < eventData.classes.length; classIndex += 1) {
+                if (eventData.classes[classIndex].competitors.indexOf(runner) >= 0) {
+                    return eventData.classes[classIndex];
+                }
+            }
+
+            // A runner with no times and no controls doesn't appear in a leg
+            // class, so has no course or controls.
+            return {name: null, numControls: 0, competitors: [], course: null};
+        }
+
+        var builder = new XmlBuilder();
+        builder.open("ResultList", {
+            xmlns: IOF_XML_3_NAMESPACE,
+            iofVersion: "3.0",
+            creator: "SplitsBrowser " + SplitsBrowser.Version,
+            status: "Complete"
+        });
+
+        if (options.eventName !== null) {
+            builder.open("Event");
+            builder.element("Name", options.eventName);
+            builder.close();
+        }
+
+        eventData.classes.forEach(function (courseClass) {
+            if (courseClass.isRelay()) {
+                writeRelayClass(builder, courseClass, options, getLegClass);
+            } else if (courseClass.competitors.length === 0 || !courseClass.competitors.every(isRelayRunner)) {
+                writeIndividualClass(builder, courseClass, options);
+            }
+        });
+
+        builder.close();
+        return builder.toString();
+    }
+
+    SplitsBrowser.Output.IOFXml = {
+        formatEventData: formatEventData
+    };
+})();
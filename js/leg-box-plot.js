@@ -0,0 +1,241 @@
+/*
+ *  SplitsBrowser LegBoxPlot - Shows the distribution of split times on each
+ *  leg of a course.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // Margins around the plot, in pixels.
+    var MARGIN = {top: 20, right: 20, bottom: 30, left: 70};
+
+    // Radii, in pixels, of the points drawn for outliers and for the selected
+    // competitors.
+    var OUTLIER_RADIUS = 2;
+    var COMPETITOR_RADIUS = 4;
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var isNotNull = SplitsBrowser.isNotNull;
+    var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
+    var getCompetitorColour = SplitsBrowser.Controls.Chart.getCompetitorColour;
+
+    /**
+    * Returns the name of the leg ending at the given control, such as "3-4",
+    * "S-1" or "7-F".
+    * @param {Number} controlIndex - The index of the control at the end of the
+    *     leg.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {String} The name of the leg.
+    */
+    function getLegName(controlIndex, numControls) {
+        var start = (controlIndex === 1) ? getMessage("StartNameShort") : (controlIndex - 1).toString();
+        var end = (controlIndex === numControls + 1) ? getMessage("FinishNameShort") : controlIndex.toString();
+        return start + "-" + end;
+    }
+
+    /**
+    * A control that draws a box plot of the split times on each leg of a
+    * course-class set, with the split times of the selected competitors
+    * drawn over the top as points.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function LegBoxPlot(parent) {
+        this.courseClassSet = null;
+        this.selectedIndexes = [];
+        this.width = 0;
+        this.height = 0;
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "legBoxPlotContainer");
+
+        this.svg = this.div.append("svg");
+        this.svgGroup = this.svg.append("g")
+                                .attr("transform", "translate(" + MARGIN.left + "," + MARGIN.top + ")");
+    }
+
+    /**
+    * Sets the course-class set whose split times are plotted and the
+    * competitors drawn over the plot, and redraws the plot.
+    * @param {CourseClassSet} courseClassSet - The course-class set.
+    * @param {Array} selectedIndexes - Array of indexes of the selected
+    *     competitors within the course-class set.
+    */
+    LegBoxPlot.prototype.draw = function (courseClassSet, selectedIndexes) {
+        this.courseClassSet = courseClassSet;
+        this.selectedIndexes = selectedIndexes;
+        this.redraw();
+    };
+
+    /**
+    * Retranslates this control following a change of selected language.
+    */
+    LegBoxPlot.prototype.retranslate = function () {
+        this.redraw();
+    };
+
+    /**
+    * Redraws the plot using the current data and size.
+    */
+    LegBoxPlot.prototype.redraw = function () {
+        this.svgGroup.selectAll("*").remove();
+        if (this.courseClassSet === null) {
+            return;
+        }
+
+        var numControls = this.courseClassSet.numControls;
+        var distributions = this.courseClassSet.getLegSplitDistributions();
+        var selectedCompetitors = this.selectedIndexes.map(function (index) { return this.courseClassSet.allCompetitors[index]; }, this);
+        var legIndexes = d3.range(1, numControls + 2);
+
+        var largestSplits = distributions.filter(isNotNull).map(function (distribution) { return d3.max(distribution.outliers.concat([distribution.upperWhisker])); });
+        selectedCompetitors.forEach(function (comp) {
+            legIndexes.forEach(function (controlIdx) { largestSplits.push(comp.getSplitTimeTo(controlIdx)); });
+        });
+
+        var contentWidth = Math.max(this.width - MARGIN.left - MARGIN.right, 0);
+        var contentHeight = Math.max(this.height - MARGIN.top - MARGIN.bottom, 0);
+
+        var xScale = d3.scaleBand().domain(legIndexes).range([0, contentWidth]).paddingInner(0.3).paddingOuter(0.15);
+        var yScale = d3.scaleLinear().domain([0, d3.max(largestSplits.filter(isNotNullNorNaN)) || 60]).range([contentHeight, 0]).nice();
+        var boxWidth = xScale.bandwidth();
+
+        this.svgGroup.append("g")
+                     .attr("class", "x axis")
+                     .attr("transform", "translate(0," + contentHeight + ")")
+                     .call(d3.axisBottom().scale(xScale).tickFormat(function (controlIdx) { return getLegName(controlIdx, numControls); }));
+
+        this.svgGroup.append("g")
+                     .attr("class", "y axis")
+                     .call(d3.axisLeft().scale(yScale).tickFormat(function (seconds) { return formatTime(seconds); }))
+                     .append("text")
+                     .attr("transform", "rotate(-90)")
+                     .attr("x", -(contentHeight - 6))
+                     .attr("y", 6)
+                     .attr("dy", ".71em")
+                     .style("text-anchor", "start")
+                     .style("fill", "black")
+                     .text(getMessage("LegBoxPlotYAxisLabel"));
+
+        legIndexes.forEach(function (controlIdx, legIndex) {
+            var distribution = distributions[legIndex];
+            if (distribution === null) {
+                return;
+            }
+
+            var legGroup = this.svgGroup.append("g")
+                                        .attr("class", "legBox")
+                                        .attr("transform", "translate(" + xScale(controlIdx) + ",0)");
+
+            legGroup.append("line")
+                    .attr("class", "whisker")
+                    .attr("x1", boxWidth / 2)
+                    .attr("x2", boxWidth / 2)
+                    .attr("y1", yScale(distribution.lowerWhisker))
+                    .attr("y2", yScale(distribution.upperWhisker));
+
+            [distribution.lowerWhisker, distribution.upperWhisker].forEach(function (whisker) {
+                legGroup.append("line")
+                        .attr("class", "whisker")
+                        .attr("x1", boxWidth / 4)
+                        .attr("x2", boxWidth * 3 / 4)
+                        .attr("y1", yScale(whisker))
+                        .attr("y2", yScale(whisker));
+            });
+
+            legGroup.append("rect")
+                    .attr("class", "box")
+                    .attr("x", 0)
+                    .attr("width", boxWidth)
+                    .attr("y", yScale(distribution.upperQuartile))
+                    .attr("height", yScale(distribution.lowerQuartile) - yScale(distribution.upperQuartile))
+                    .append("title")
+                    .text(getMessageWithFormatting("LegBoxPlotTooltip", {
+                        "$$LEG$$": getLegName(controlIdx, numControls),
+                        "$$COUNT$$": distribution.count.toString(),
+                        "$$MEDIAN$$": formatTime(distribution.median),
+                        "$$LOWER$$": formatTime(distribution.lowerQuartile),
+                        "$$UPPER$$": formatTime(distribution.upperQuartile)
+                    }));
+
+            legGroup.append("line")
+                    .attr("class", "median")
+                    .attr("x1", 0)
+                    .attr("x2", boxWidth)
+                    .attr("y1", yScale(distribution.median))
+                    .attr("y2", yScale(distribution.median));
+
+            legGroup.selectAll("circle.outlier")
+                    .data(distribution.outliers)
+                    .enter()
+                    .append("circle")
+                    .attr("class", "outlier")
+                    .attr("cx", boxWidth / 2)
+                    .attr("cy", function (split) { return yScale(split); })
+                    .attr("r", OUTLIER_RADIUS);
+
+            // Spread the selected competitors across the width of the box so
+            // that those with similar split times can be told apart.
+            selectedCompetitors.forEach(function (comp, selCompIdx) {
+                var split = comp.getSplitTimeTo(controlIdx);
+                if (isNotNullNorNaN(split)) {
+                    legGroup.append("circle")
+                            .attr("class", "competitor")
+                            .attr("cx", boxWidth * (selCompIdx + 1) / (selectedCompetitors.length + 1))
+                            .attr("cy", yScale(split))
+                            .attr("r", COMPETITOR_RADIUS)
+                            .style("fill", getCompetitorColour(this.selectedIndexes[selCompIdx]))
+                            .append("title")
+                            .text(comp.name + " (" + formatTime(split) + ")");
+                }
+            }, this);
+        }, this);
+    };
+
+    /**
+    * Sets the size of this control, and redraws the plot.
+    * @param {Number} width - The width of the control, in pixels.
+    * @param {Number} height - The height of the control, in pixels.
+    */
+    LegBoxPlot.prototype.setSize = function (width, height) {
+        this.width = width;
+        this.height = height;
+        $(this.div.node()).width(width).height(height);
+        this.svg.attr("width", width).attr("height", height);
+        this.redraw();
+    };
+
+    /**
+    * Shows the leg box plot.
+    */
+    LegBoxPlot.prototype.show = function () {
+        this.div.style("display", null);
+    };
+
+    /**
+    * Hides the leg box plot.
+    */
+    LegBoxPlot.prototype.hide = function () {
+        this.div.style("display", "none");
+    };
+
+    SplitsBrowser.Controls.LegBoxPlot = LegBoxPlot;
+})();
@@ -0,0 +1,251 @@
+/*
+ *  SplitsBrowser LegDifficultyTable - Lists statistics for every leg of every
+ *  course of an event.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var Course = SplitsBrowser.Model.Course;
+
+    /**
+    * Returns the name of the given leg, such as "S-154" or "154-162", made up
+    * of the codes of the controls at either end.
+    * @param {Object} leg - The statistics of the leg.
+    * @return {String} The name of the leg.
+    */
+    function getLegName(leg) {
+        var start = (leg.startCode === Course.START) ? getMessage("StartNameShort") : leg.startCode;
+        var end = (leg.endCode === Course.FINISH) ? getMessage("FinishNameShort") : leg.endCode;
+        return start + "-" + end;
+    }
+
+    /**
+    * Formats a time, which may be null.
+    * @param {?Number} time - The time, in seconds, or null.
+    * @return {String} The formatted time.
+    */
+    function formatNullableTime(time) {
+        return (time === null) ? "" : formatTime(time);
+    }
+
+    // The columns of the table.  Each column has the key of the message used
+    // as its header, a function returning the value sorted on, a function
+    // returning the text shown, and whether the column contains times.
+    // Columns other than the leg name sort the largest values first, so that
+    // the hardest legs come to the top.
+    var COLUMNS = [
+        {
+            headerKey: "LegDifficultyTableHeaderLeg",
+            getValue: getLegName,
+            getText: getLegName,
+            isTime: false
+        },
+        {
+            headerKey: "LegDifficultyTableHeaderCourses",
+            getValue: function (leg) { return leg.numCourses; },
+            getText: function (leg) { return leg.numCourses.toString(); },
+            isTime: false
+        },
+        {
+            headerKey: "LegDifficultyTableHeaderClasses",
+            getValue: function (leg) { return leg.numClasses; },
+            getText: function (leg) { return leg.numClasses.toString(); },
+            isTime: false
+        },
+        {
+            headerKey: "LegDifficultyTableHeaderFastest",
+            getValue: function (leg) { return (leg.fastestSplit === null) ? null : leg.fastestSplit.split; },
+            getText: function (leg) {
+                return (leg.fastestSplit === null) ? "" : getMessageWithFormatting("LegDifficultyTableFastestSplit", {
+                    "$$TIME$$": formatTime(leg.fastestSplit.split),
+                    "$$NAME$$": leg.fastestSplit.name,
+                    "$$CLASS$$": leg.fastestSplit.className
+                });
+            },
+            isTime: false
+        },
+        {
+            headerKey: "LegDifficultyTableHeaderMedian",
+            getValue: function (leg) { return leg.medianSplit; },
+            getText: function (leg) { return formatNullableTime(leg.medianSplit); },
+            isTime: true
+        },
+        {
+            headerKey: "LegDifficultyTableHeaderMedianTimeLoss",
+            getValue: function (leg) { return leg.medianTimeLoss; },
+            getText: function (leg) { return formatNullableTime(leg.medianTimeLoss); },
+            isTime: true
+        },
+        {
+            headerKey: "LegDifficultyTableHeaderMispunches",
+            getValue: function (leg) { return leg.numMispunches; },
+            getText: function (leg) { return leg.numMispunches.toString(); },
+            isTime: false
+        }
+    ];
+
+    // The index of the column the table is initially sorted on: the median
+    // time loss.
+    var DEFAULT_SORT_COLUMN_INDEX = 5;
+
+    /**
+    * Compares two values for sorting a column of the table, placing null
+    * values last.
+    * @param {?Object} value1 - The first value.
+    * @param {?Object} value2 - The second value.
+    * @param {boolean} isAscending - Whether to sort in ascending order.
+    * @return {Number} Negative, zero or positive according to whether the
+    *     first value comes before, with, or after the second.
+    */
+    function compareValues(value1, value2, isAscending) {
+        if (value1 === null) {
+            return (value2 === null) ? 0 : 1;
+        } else if (value2 === null) {
+            return -1;
+        } else {
+            return (isAscending) ? d3.ascending(value1, value2) : d3.descending(value1, value2);
+        }
+    }
+
+    /**
+    * A control that shows a table of statistics for every leg of every
+    * course of an event, to help find legs that were too hard or ambiguous.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function LegDifficultyTable(parent) {
+        this.eventData = null;
+        this.legs = [];
+        this.sortColumnIndex = DEFAULT_SORT_COLUMN_INDEX;
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "legDifficultyTableContainer");
+
+        this.headerSpan = this.div.append("div")
+                                  .append("span")
+                                  .classed("legDifficultyTableHeader", true);
+
+        this.table = this.div.append("table")
+                             .classed("legDifficultyTable", true);
+
+        this.table.append("thead")
+                  .append("tr");
+
+        this.table.append("tbody");
+    }
+
+    /**
+    * Sets the event whose legs are listed, and populates the table.
+    * @param {Event} eventData - The event.
+    */
+    LegDifficultyTable.prototype.setEvent = function (eventData) {
+        this.eventData = eventData;
+        this.legs = eventData.getLegStatistics();
+        this.populateTable();
+    };
+
+    /**
+    * Sorts the table on the column with the given index.
+    * @param {Number} columnIndex - The index of the column to sort on.
+    */
+    LegDifficultyTable.prototype.sortByColumn = function (columnIndex) {
+        this.sortColumnIndex = columnIndex;
+        this.populateTable();
+    };
+
+    /**
+    * Returns the legs listed, sorted on the column currently sorted on.
+    * @return {Array} Array of leg statistics.
+    */
+    LegDifficultyTable.prototype.getSortedLegs = function () {
+        var column = COLUMNS[this.sortColumnIndex];
+        var isAscending = (this.sortColumnIndex === 0);
+        var legs = this.legs.slice(0);
+        legs.sort(function (leg1, leg2) {
+            return compareValues(column.getValue(leg1), column.getValue(leg2), isAscending) || d3.ascending(getLegName(leg1), getLegName(leg2));
+        });
+
+        return legs;
+    };
+
+    /**
+    * Populates the table with the statistics of the legs.
+    */
+    LegDifficultyTable.prototype.populateTable = function () {
+        this.headerSpan.text((this.legs.length === 0) ? getMessage("LegDifficultyTableNoLegs") :
+            getMessageWithFormatting("LegDifficultyTableHeader", {"$$NUM$$": this.legs.length}));
+
+        var outerThis = this;
+        var headerCells = this.table.select("thead tr")
+                                    .selectAll("th")
+                                    .data(COLUMNS);
+
+        headerCells.enter()
+                   .append("th")
+                   .on("click", function (column, columnIndex) { outerThis.sortByColumn(columnIndex); });
+
+        this.table.select("thead tr")
+                  .selectAll("th")
+                  .data(COLUMNS)
+                  .text(function (column) { return getMessage(column.headerKey); })
+                  .attr("title", getMessage("LegDifficultyTableSortTooltip"))
+                  .classed("sorted", function (column, columnIndex) { return columnIndex === outerThis.sortColumnIndex; });
+
+        var tbody = this.table.select("tbody");
+        tbody.selectAll("tr").remove();
+
+        var rows = tbody.selectAll("tr")
+                        .data(this.getSortedLegs())
+                        .enter()
+                        .append("tr");
+
+        COLUMNS.forEach(function (column) {
+            rows.append("td")
+                .classed("time", column.isTime)
+                .text(column.getText);
+        });
+    };
+
+    /**
+    * Shows the table of legs.
+    */
+    LegDifficultyTable.prototype.show = function () {
+        this.div.style("display", null);
+    };
+
+    /**
+    * Hides the table of legs.
+    */
+    LegDifficultyTable.prototype.hide = function () {
+        this.div.style("display", "none");
+    };
+
+    /**
+    * Retranslates the table following a change of selected language.
+    */
+    LegDifficultyTable.prototype.retranslate = function () {
+        this.populateTable();
+    };
+
+    SplitsBrowser.Controls.LegDifficultyTable = LegDifficultyTable;
+})();
@@ -0,0 +1,393 @@
+/*
+ *  SplitsBrowser MistakeReport - Lists the legs on which competitors lost
+ *  time.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // The threshold initially used, and whether it is a percentage.
+    var DEFAULT_THRESHOLD = 15;
+    var DEFAULT_IS_PERCENTAGE = false;
+
+    // The column headers of the CSV export.  These are not translated, so
+    // that spreadsheets and other programs reading the export can rely on
+    // them.
+    var CSV_HEADERS = ["Name", "Club", "Class", "Time", "Time loss", "Time without mistakes", "Leg", "Split", "Leg time loss"];
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
+
+    /**
+    * Returns whether time losses could be estimated for all of the legs of
+    * the given competitor.
+    * @param {Competitor} competitor - The competitor.
+    * @return {boolean} True if the competitor has time losses on all legs,
+    *     false if not.
+    */
+    function hasTimeLosses(competitor) {
+        return competitor.completed() && competitor.timeLosses !== null && competitor.timeLosses.every(isNotNullNorNaN);
+    }
+
+    /**
+    * Returns the name of the leg ending at the given control, such as "3-4",
+    * "S-1" or "7-F".
+    * @param {Number} controlIndex - The index of the control at the end of the
+    *     leg.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {String} The name of the leg.
+    */
+    function getLegName(controlIndex, numControls) {
+        var start = (controlIndex === 1) ? getMessage("StartNameShort") : (controlIndex - 1).toString();
+        var end = (controlIndex === numControls + 1) ? getMessage("FinishNameShort") : controlIndex.toString();
+        return start + "-" + end;
+    }
+
+    /**
+    * Returns a value formatted for a CSV file, quoting it if necessary.
+    * @param {String} value - The value to format.
+    * @return {String} The formatted value.
+    */
+    function formatCsvValue(value) {
+        return (/[",\r\n]/.test(value)) ? "\"" + value.replace(/"/g, "\"\"") + "\"" : value;
+    }
+
+    /**
+    * Downloads the given text as a file with the given name.
+    * @param {String} text - The text to download.
+    * @param {String} mimeType - The MIME type of the text.
+    * @param {String} fileName - The name of the file to save.
+    */
+    function download(text, mimeType, fileName) {
+        var link = d3.select("body").append("a")
+                                    .attr("href", "data:" + mimeType + ";charset=utf-8," + encodeURIComponent(text))
+                                    .attr("download", fileName)
+                                    .style("display", "none");
+        link.node().click();
+        link.remove();
+    }
+
+    /**
+    * A control that lists, for each of a number of competitors, the legs on
+    * which their estimated time loss exceeds a threshold, together with their
+    * total estimated time loss and their time without these mistakes.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function MistakeReport(parent) {
+        this.competitors = [];
+        this.threshold = DEFAULT_THRESHOLD;
+        this.isPercentage = DEFAULT_IS_PERCENTAGE;
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "mistakeReportContainer");
+
+        var optionsDiv = this.div.append("div")
+                                 .classed("mistakeReportOptions", true);
+
+        this.thresholdLabel = optionsDiv.append("span");
+
+        var outerThis = this;
+        this.thresholdInput = optionsDiv.append("input")
+                                        .attr("type", "number")
+                                        .attr("min", "0")
+                                        .property("value", DEFAULT_THRESHOLD);
+
+        $(this.thresholdInput.node()).bind("input change", function () { outerThis.onThresholdChanged(); });
+
+        this.unitDropDown = optionsDiv.append("select");
+        this.unitOptions = this.unitDropDown.selectAll("option")
+                                            .data([false, true])
+                                            .enter()
+                                            .append("option")
+                                            .attr("value", function (isPercentage) { return isPercentage.toString(); });
+
+        this.unitDropDown.property("selectedIndex", (DEFAULT_IS_PERCENTAGE) ? 1 : 0);
+        $(this.unitDropDown.node()).bind("change", function () { outerThis.onThresholdChanged(); });
+
+        this.exportLabel = optionsDiv.append("span")
+                                     .classed("mistakeReportExportLabel", true);
+
+        this.textButton = optionsDiv.append("button")
+                                    .on("click", function () { outerThis.exportText(); });
+
+        this.csvButton = optionsDiv.append("button")
+                                   .on("click", function () { outerThis.exportCsv(); });
+
+        this.reportDiv = this.div.append("div")
+                                 .classed("mistakeReport", true);
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages in this control, following either its creation or a
+    * change of selected language.
+    */
+    MistakeReport.prototype.setMessages = function () {
+        this.thresholdLabel.text(getMessage("MistakeReportThresholdLabel"));
+        this.unitOptions.text(function (isPercentage) { return getMessage((isPercentage) ? "MistakeReportThresholdPercent" : "MistakeReportThresholdSeconds"); });
+        this.exportLabel.text(getMessage("ExportLabel"));
+        this.textButton.text(getMessage("MistakeReportExportText"))
+                       .attr("title", getMessage("MistakeReportExportTextTooltip"));
+        this.csvButton.text(getMessage("MistakeReportExportCsv"))
+                      .attr("title", getMessage("MistakeReportExportCsvTooltip"));
+    };
+
+    /**
+    * Retranslates this control following a change of selected language.
+    */
+    MistakeReport.prototype.retranslate = function () {
+        this.setMessages();
+        this.populateReport();
+    };
+
+    /**
+    * Handles a change of the threshold or its unit.  Thresholds that are not
+    * non-negative numbers are ignored.
+    */
+    MistakeReport.prototype.onThresholdChanged = function () {
+        var threshold = parseFloat(this.thresholdInput.property("value"));
+        if (isFinite(threshold) && threshold >= 0) {
+            this.threshold = threshold;
+        }
+
+        this.isPercentage = (this.unitDropDown.property("selectedIndex") === 1);
+        this.populateReport();
+    };
+
+    /**
+    * Sets the threshold above which a time loss on a leg is counted as a
+    * mistake.
+    * @param {Number} threshold - The threshold, in seconds or as a percentage.
+    * @param {boolean} isPercentage - True if the threshold is a percentage of
+    *     the time the leg would have taken without the mistake, false if it
+    *     is a number of seconds.
+    */
+    MistakeReport.prototype.setThreshold = function (threshold, isPercentage) {
+        this.thresholdInput.property("value", threshold);
+        this.unitDropDown.property("selectedIndex", (isPercentage) ? 1 : 0);
+        this.onThresholdChanged();
+    };
+
+    /**
+    * Sets the competitors whose mistakes are listed.
+    * @param {Array} competitors - Array of competitors.
+    */
+    MistakeReport.prototype.setCompetitors = function (competitors) {
+        this.competitors = competitors;
+        this.populateReport();
+    };
+
+    /**
+    * Returns the mistakes of each of the competitors listed.
+    *
+    * Each entry of the array returned contains the competitor, and, if time
+    * losses could be estimated for the competitor, the legs on which they
+    * made mistakes, their total time loss on these legs and their time
+    * without these mistakes.  Otherwise, these are all null.
+    *
+    * @return {Array} Array of objects, one for each competitor.
+    */
+    MistakeReport.prototype.getEntries = function () {
+        return this.competitors.map(function (competitor) {
+            if (!hasTimeLosses(competitor)) {
+                return {competitor: competitor, mistakes: null, totalTimeLoss: null, timeWithoutMistakes: null};
+            }
+
+            var numControls = competitor.splitTimes.length - 1;
+            var mistakes = competitor.getMistakes(this.threshold, this.isPercentage).map(function (mistake) {
+                return {legName: getLegName(mistake.controlIndex, numControls), splitTime: mistake.splitTime, timeLoss: mistake.timeLoss};
+            });
+
+            var totalTimeLoss = d3.sum(mistakes, function (mistake) { return mistake.timeLoss; });
+            return {competitor: competitor, mistakes: mistakes, totalTimeLoss: totalTimeLoss, timeWithoutMistakes: competitor.totalTime - totalTimeLoss};
+        }, this);
+    };
+
+    /**
+    * Returns the summary line shown for the given entry.
+    * @param {Object} entry - The entry, as returned by getEntries.
+    * @return {String} The summary line.
+    */
+    function getSummary(entry) {
+        if (entry.mistakes === null) {
+            return getMessage("MistakeReportNoTimeLosses");
+        } else {
+            return getMessageWithFormatting("MistakeReportSummary", {
+                "$$TIME$$": formatTime(entry.competitor.totalTime),
+                "$$LOSS$$": formatTime(entry.totalTimeLoss),
+                "$$IDEAL$$": formatTime(entry.timeWithoutMistakes)
+            });
+        }
+    }
+
+    /**
+    * Populates the report with the mistakes of the competitors listed.
+    */
+    MistakeReport.prototype.populateReport = function () {
+        this.reportDiv.selectAll("*").remove();
+
+        if (this.competitors.length === 0) {
+            this.reportDiv.append("div")
+                          .classed("mistakeReportPlaceholder", true)
+                          .text(getMessage("MistakeReportNoCompetitorsSelected"));
+            return;
+        }
+
+        this.getEntries().forEach(function (entry) {
+            var competitorDiv = this.reportDiv.append("div")
+                                              .classed("mistakeReportCompetitor", true);
+
+            competitorDiv.append("div")
+                         .classed("mistakeReportCompetitorName", true)
+                         .text(entry.competitor.name + " (" + entry.competitor.club + ")");
+
+            competitorDiv.append("div")
+                         .text(getSummary(entry));
+
+            if (entry.mistakes === null) {
+                return;
+            } else if (entry.mistakes.length === 0) {
+                competitorDiv.append("div")
+                             .text(getMessage("MistakeReportNoMistakes"));
+                return;
+            }
+
+            var table = competitorDiv.append("table");
+            table.append("thead")
+                 .append("tr")
+                 .selectAll("th")
+                 .data(["MistakeReportHeaderLeg", "MistakeReportHeaderSplitTime", "MistakeReportHeaderTimeLoss"])
+                 .enter()
+                 .append("th")
+                 .text(function (key) { return getMessage(key); });
+
+            var rows = table.append("tbody")
+                            .selectAll("tr")
+                            .data(entry.mistakes)
+                            .enter()
+                            .append("tr");
+
+            rows.append("td").text(function (mistake) { return mistake.legName; });
+            rows.append("td").classed("time", true).text(function (mistake) { return formatTime(mistake.splitTime); });
+            rows.append("td").classed("time", true).text(function (mistake) { return formatTime(mistake.timeLoss); });
+        }, this);
+    };
+
+    /**
+    * Returns the report as plain text.
+    * @return {String} The report as text.
+    */
+    MistakeReport.prototype.getText = function () {
+        var lines = [];
+        this.getEntries().forEach(function (entry) {
+            lines.push(entry.competitor.name + " (" + entry.competitor.club + ")");
+            lines.push(getSummary(entry));
+            if (entry.mistakes !== null) {
+                if (entry.mistakes.length === 0) {
+                    lines.push(getMessage("MistakeReportNoMistakes"));
+                } else {
+                    entry.mistakes.forEach(function (mistake) {
+                        lines.push("    " + getMessageWithFormatting("MistakeReportTextLine", {
+                            "$$LEG$$": mistake.legName,
+                            "$$SPLIT$$": formatTime(mistake.splitTime),
+                            "$$LOSS$$": formatTime(mistake.timeLoss)
+                        }));
+                    });
+                }
+            }
+
+            lines.push("");
+        });
+
+        return lines.join("\n");
+    };
+
+    /**
+    * Returns the report as CSV, with one row for each mistake.  Competitors
+    * without any mistakes have one row with the leg columns left empty.
+    * @return {String} The report as CSV.
+    */
+    MistakeReport.prototype.getCsv = function () {
+        var rows = [CSV_HEADERS];
+        this.getEntries().forEach(function (entry) {
+            var competitor = entry.competitor;
+            var competitorColumns = [
+                competitor.name,
+                competitor.club,
+                competitor.className || "",
+                formatTime(competitor.totalTime),
+                (entry.mistakes === null) ? "" : formatTime(entry.totalTimeLoss),
+                (entry.mistakes === null) ? "" : formatTime(entry.timeWithoutMistakes)
+            ];
+
+            if (entry.mistakes === null || entry.mistakes.length === 0) {
+                rows.push(competitorColumns.concat(["", "", ""]));
+            } else {
+                entry.mistakes.forEach(function (mistake) {
+                    rows.push(competitorColumns.concat([mistake.legName, formatTime(mistake.splitTime), formatTime(mistake.timeLoss)]));
+                });
+            }
+        });
+
+        return rows.map(function (row) { return row.map(formatCsvValue).join(","); }).join("\r\n") + "\r\n";
+    };
+
+    /**
+    * Saves the report as a text file.
+    */
+    MistakeReport.prototype.exportText = function () {
+        download(this.getText(), "text/plain", "mistakes.txt");
+    };
+
+    /**
+    * Saves the report as a CSV file.
+    */
+    MistakeReport.prototype.exportCsv = function () {
+        download(this.getCsv(), "text/csv", "mistakes.csv");
+    };
+
+    /**
+    * Sets the size of this control.
+    * @param {Number} width - The width of the control, in pixels.
+    * @param {Number} height - The height of the control, in pixels.
+    */
+    MistakeReport.prototype.setSize = function (width, height) {
+        $(this.div.node()).width(width).height(height);
+    };
+
+    /**
+    * Shows the mistake report.
+    */
+    MistakeReport.prototype.show = function () {
+        this.div.style("display", null);
+    };
+
+    /**
+    * Hides the mistake report.
+    */
+    MistakeReport.prototype.hide = function () {
+        this.div.style("display", "none");
+    };
+
+    SplitsBrowser.Controls.MistakeReport = MistakeReport;
+})();
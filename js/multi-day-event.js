@@ -0,0 +1,214 @@
+/*
+ *  SplitsBrowser MultiDayEvent - An event held over several days.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var isNotNull = SplitsBrowser.isNotNull;
+    var throwInvalidData = SplitsBrowser.throwInvalidData;
+
+    /**
+    * Returns the ranks of the given times, with equal times sharing the same
+    * rank.  The rank of a null time is null.
+    * @param {Array} times - Array of times, any of which may be null.
+    * @return {Array} Array of ranks.
+    */
+    function rankTimes(times) {
+        var validTimes = times.filter(isNotNull);
+        return times.map(function (time) {
+            return (time === null) ? null : 1 + validTimes.filter(function (otherTime) { return otherTime < time; }).length;
+        });
+    }
+
+    /**
+    * Returns the key used to match up the results of a competitor on
+    * different days.  Competitors are matched by name and club.
+    * @param {Competitor} competitor - The competitor.
+    * @return {String} The key of the competitor.
+    */
+    function getCompetitorKey(competitor) {
+        return competitor.name + "\u0000" + competitor.club;
+    }
+
+    /**
+    * Compares two entries of an overall classification.  Competitors with a
+    * total time over all days come first, fastest first.  Those without are
+    * sorted by the number of days after which they still have a cumulative
+    * time, most first, and then by that cumulative time.
+    * @param {Object} a - One entry to compare.
+    * @param {Object} b - The other entry to compare.
+    * @return {Number} Result of comparing the two entries, zero if they
+    *     cannot be told apart.
+    */
+    function compareEntries(a, b) {
+        var aDays = a.cumulativeTimes.filter(isNotNull).length;
+        var bDays = b.cumulativeTimes.filter(isNotNull).length;
+        if (aDays !== bDays) {
+            return bDays - aDays;
+        } else if (aDays > 0 && a.cumulativeTimes[aDays - 1] !== b.cumulativeTimes[bDays - 1]) {
+            return a.cumulativeTimes[aDays - 1] - b.cumulativeTimes[bDays - 1];
+        } else {
+            return 0;
+        }
+    }
+
+    /**
+    * An event held over several days, such as a multi-day competition with a
+    * separate results file for each day.
+    *
+    * Each day is given as an object with a name property, containing the name
+    * of the day, and an event property, containing the Event read from that
+    * day's results.
+    *
+    * @constructor
+    * @param {Array} days - Array of days, in the order they were held.
+    */
+    function MultiDayEvent(days) {
+        if (days.length === 0) {
+            throwInvalidData("A multi-day event must have at least one day");
+        }
+
+        this.days = days;
+    }
+
+    /**
+    * Returns the number of days of this event.
+    * @return {Number} The number of days.
+    */
+    MultiDayEvent.prototype.getNumDays = function () {
+        return this.days.length;
+    };
+
+    /**
+    * Returns the names of the days of this event.
+    * @return {Array} Array of the names of the days.
+    */
+    MultiDayEvent.prototype.getDayNames = function () {
+        return this.days.map(function (day) { return day.name; });
+    };
+
+    /**
+    * Returns the event held on the day with the given index.
+    * @param {Number} dayIndex - The index of the day.
+    * @return {Event} The event held on that day.
+    */
+    MultiDayEvent.prototype.getDayEvent = function (dayIndex) {
+        return this.days[dayIndex].event;
+    };
+
+    /**
+    * Determines time losses for each competitor on each day of this event.
+    * @param {Object} method - (Optional) The method of estimating time losses,
+    *     from SplitsBrowser.Model.TimeLossMethods.
+    */
+    MultiDayEvent.prototype.determineTimeLosses = function (method) {
+        this.days.forEach(function (day) { day.event.determineTimeLosses(method); });
+    };
+
+    /**
+    * Returns the overall classification of the class with the given name,
+    * combining the results of that class on each day of this event.
+    *
+    * Competitors are matched across days by name and club.  The overall
+    * classification is returned as an array of objects, one for each
+    * competitor, each containing the following properties:
+    * - name: the name of the competitor.
+    * - club: the competitor's club.
+    * - isNonCompetitive: whether the competitor was non-competitive on any
+    *   day.
+    * - dayTimes: array of the competitor's total times on each day, null for
+    *   days the competitor did not complete.
+    * - dayRanks: array of the competitor's positions on each day.
+    * - cumulativeTimes: array of the competitor's total times over the days
+    *   up to and including each day, null once a day was not completed.
+    * - timesBehindLeader: array of the amounts of time the competitor was
+    *   behind the overall leader after each day.
+    * - totalTime: the competitor's total time over all days, or null.
+    * - rank: the competitor's overall position, or null.
+    * Non-competitive competitors have no positions, and are not taken as the
+    * overall leader.
+    *
+    * @param {String} className - The name of the class.
+    * @return {Array} Array of objects containing the overall classification.
+    */
+    MultiDayEvent.prototype.getOverallResults = function (className) {
+        var numDays = this.days.length;
+        var entriesByKey = d3.map();
+        var entries = [];
+        this.days.forEach(function (day, dayIndex) {
+            var courseClass = day.event.classes.filter(function (courseClass) { return courseClass.name === className; })[0];
+            if (!courseClass) {
+                return;
+            }
+
+            var dayTimes = courseClass.competitors.map(function (comp) { return (comp.completed() && !comp.isNonCompetitive) ? comp.totalTime : null; });
+            var dayRanks = rankTimes(dayTimes);
+            courseClass.competitors.forEach(function (comp, compIndex) {
+                var key = getCompetitorKey(comp);
+                if (!entriesByKey.has(key)) {
+                    var newEntry = {
+                        name: comp.name,
+                        club: comp.club,
+                        isNonCompetitive: false,
+                        dayTimes: d3.range(0, numDays).map(function () { return null; }),
+                        dayRanks: d3.range(0, numDays).map(function () { return null; })
+                    };
+                    entriesByKey.set(key, newEntry);
+                    entries.push(newEntry);
+                }
+
+                var entry = entriesByKey.get(key);
+                entry.dayTimes[dayIndex] = (comp.completed()) ? comp.totalTime : null;
+                entry.dayRanks[dayIndex] = dayRanks[compIndex];
+                entry.isNonCompetitive = entry.isNonCompetitive || comp.isNonCompetitive;
+            });
+        });
+
+        entries.forEach(function (entry) {
+            var cumulativeTime = 0;
+            entry.cumulativeTimes = entry.dayTimes.map(function (dayTime) {
+                cumulativeTime = (cumulativeTime === null || dayTime === null) ? null : cumulativeTime + dayTime;
+                return cumulativeTime;
+            });
+            entry.totalTime = entry.cumulativeTimes[numDays - 1];
+        });
+
+        var competitiveEntries = entries.filter(function (entry) { return !entry.isNonCompetitive; });
+        var leaderTimes = d3.range(0, numDays).map(function (dayIndex) {
+            return d3.min(competitiveEntries, function (entry) { return entry.cumulativeTimes[dayIndex]; });
+        });
+
+        var overallRanks = rankTimes(entries.map(function (entry) { return (entry.isNonCompetitive) ? null : entry.totalTime; }));
+        entries.forEach(function (entry, index) {
+            entry.rank = overallRanks[index];
+            entry.timesBehindLeader = entry.cumulativeTimes.map(function (cumTime, dayIndex) {
+                return (cumTime === null || typeof leaderTimes[dayIndex] === "undefined") ? null : cumTime - leaderTimes[dayIndex];
+            });
+        });
+
+        // Sort a copy of the entries so that those that cannot be told apart
+        // stay in the order they were first seen.
+        var sortedEntries = entries.slice(0);
+        sortedEntries.sort(function (a, b) { return compareEntries(a, b) || entries.indexOf(a) - entries.indexOf(b); });
+        return sortedEntries;
+    };
+
+    SplitsBrowser.Model.MultiDayEvent = MultiDayEvent;
+})();
@@ -0,0 +1,281 @@
+/*
+ *  SplitsBrowser MultiDayResults - Shows the overall classification of a
+ *  class in a multi-day event.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // Size of the chart of times behind the overall leader, and the margins
+    // around it, in pixels.
+    var CHART_WIDTH = 800;
+    var CHART_HEIGHT = 300;
+    var MARGIN = {top: 20, right: 150, bottom: 30, left: 70};
+
+    // The number of competitors at the top of the overall classification
+    // that are drawn on the chart.
+    var MAX_CHART_COMPETITORS = 10;
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var isNotNull = SplitsBrowser.isNotNull;
+    var getCompetitorColour = SplitsBrowser.Controls.Chart.getCompetitorColour;
+
+    /**
+    * Formats a time, which may be null.
+    * @param {?Number} time - The time, in seconds, or null.
+    * @return {String} The formatted time.
+    */
+    function formatNullableTime(time) {
+        return (time === null) ? "" : formatTime(time);
+    }
+
+    /**
+    * Returns the text shown for a competitor's result on a day: their time
+    * followed by their position, if they have one.
+    * @param {Object} entry - The competitor's entry in the overall
+    *     classification.
+    * @param {Number} dayIndex - The index of the day.
+    * @return {String} The result on the day.
+    */
+    function getDayResultText(entry, dayIndex) {
+        var time = entry.dayTimes[dayIndex];
+        var rank = entry.dayRanks[dayIndex];
+        if (time === null) {
+            return "";
+        } else {
+            return (rank === null) ? formatTime(time) : formatTime(time) + " (" + rank + ")";
+        }
+    }
+
+    /**
+    * A control that shows the overall classification of a class in a
+    * multi-day event, with a chart of how far behind the overall leader the
+    * leading competitors were after each day.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function MultiDayResults(parent) {
+        this.multiDayEvent = null;
+        this.className = null;
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "multiDayResultsContainer");
+
+        this.headerSpan = this.div.append("div")
+                                  .append("span")
+                                  .classed("multiDayResultsHeader", true);
+
+        this.table = this.div.append("table")
+                             .classed("multiDayResultsTable", true);
+
+        this.table.append("thead")
+                  .append("tr");
+
+        this.table.append("tbody");
+
+        this.svg = this.div.append("svg")
+                           .classed("multiDayResultsChart", true)
+                           .attr("width", CHART_WIDTH)
+                           .attr("height", CHART_HEIGHT);
+    }
+
+    /**
+    * Sets the multi-day event whose overall results are shown, and populates
+    * the control.
+    * @param {?MultiDayEvent} multiDayEvent - The multi-day event, or null if
+    *     there is none.
+    */
+    MultiDayResults.prototype.setMultiDayEvent = function (multiDayEvent) {
+        this.multiDayEvent = multiDayEvent;
+        this.populate();
+    };
+
+    /**
+    * Sets the name of the class whose overall results are shown, and
+    * populates the control.
+    * @param {?String} className - The name of the class, or null if no class
+    *     is selected.
+    */
+    MultiDayResults.prototype.setClassName = function (className) {
+        this.className = className;
+        this.populate();
+    };
+
+    /**
+    * Populates the table and chart with the overall results of the current
+    * class.
+    */
+    MultiDayResults.prototype.populate = function () {
+        var results = (this.multiDayEvent === null || this.className === null) ? [] : this.multiDayEvent.getOverallResults(this.className);
+        if (results.length === 0) {
+            this.headerSpan.text(getMessage("MultiDayResultsNoResults"));
+        } else {
+            this.headerSpan.text(getMessageWithFormatting("MultiDayResultsHeader", {
+                "$$CLASS$$": this.className,
+                "$$NUM$$": this.multiDayEvent.getNumDays()
+            }));
+        }
+
+        this.populateTable(results);
+        this.drawChart(results);
+    };
+
+    /**
+    * Populates the table with the given overall results.
+    * @param {Array} results - Array of entries of the overall classification.
+    */
+    MultiDayResults.prototype.populateTable = function (results) {
+        var dayNames = (this.multiDayEvent === null) ? [] : this.multiDayEvent.getDayNames();
+        var headers = [getMessage("MultiDayResultsHeaderPosition"), getMessage("MultiDayResultsHeaderName"), getMessage("MultiDayResultsHeaderClub")]
+            .concat(dayNames)
+            .concat([getMessage("MultiDayResultsHeaderTotal"), getMessage("MultiDayResultsHeaderBehind")]);
+
+        var headerRow = this.table.select("thead tr");
+        headerRow.selectAll("th").remove();
+        headerRow.selectAll("th")
+                 .data((results.length === 0) ? [] : headers)
+                 .enter()
+                 .append("th")
+                 .text(function (header) { return header; });
+
+        var tbody = this.table.select("tbody");
+        tbody.selectAll("tr").remove();
+
+        var rows = tbody.selectAll("tr")
+                        .data(results)
+                        .enter()
+                        .append("tr");
+
+        rows.append("td").text(function (entry) {
+            if (entry.isNonCompetitive) {
+                return getMessage("NonCompetitiveShort");
+            } else {
+                return (entry.rank === null) ? "" : entry.rank.toString();
+            }
+        });
+        rows.append("td").text(function (entry) { return entry.name; });
+        rows.append("td").text(function (entry) { return entry.club; });
+        dayNames.forEach(function (dayName, dayIndex) {
+            rows.append("td").classed("time", true).text(function (entry) { return getDayResultText(entry, dayIndex); });
+        });
+        rows.append("td").classed("time", true).text(function (entry) { return formatNullableTime(entry.totalTime); });
+        rows.append("td").classed("time", true).text(function (entry) {
+            var timeBehind = entry.timesBehindLeader[dayNames.length - 1];
+            return (entry.isNonCompetitive || timeBehind === null) ? "" : "+" + formatTime(timeBehind);
+        });
+    };
+
+    /**
+    * Draws a chart of how far behind the overall leader the leading
+    * competitors in the given overall results were after each day.
+    * @param {Array} results - Array of entries of the overall classification.
+    */
+    MultiDayResults.prototype.drawChart = function (results) {
+        this.svg.selectAll("*").remove();
+
+        var chartedEntries = results.filter(function (entry) { return !entry.isNonCompetitive && entry.timesBehindLeader[0] !== null; })
+                                    .slice(0, MAX_CHART_COMPETITORS);
+        if (chartedEntries.length === 0) {
+            this.svg.style("display", "none");
+            return;
+        }
+
+        this.svg.style("display", null);
+
+        var svgGroup = this.svg.append("g")
+                               .attr("transform", "translate(" + MARGIN.left + "," + MARGIN.top + ")");
+
+        var contentWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+        var contentHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+        var dayNames = this.multiDayEvent.getDayNames();
+        var maxTimeBehind = d3.max(chartedEntries, function (entry) { return d3.max(entry.timesBehindLeader); });
+
+        var xScale = d3.scalePoint().domain(d3.range(0, dayNames.length)).range([0, contentWidth]).padding(0.5);
+        var yScale = d3.scaleLinear().domain([0, maxTimeBehind || 60]).range([0, contentHeight]).nice();
+
+        svgGroup.append("g")
+                .attr("class", "x axis")
+                .attr("transform", "translate(0," + contentHeight + ")")
+                .call(d3.axisBottom().scale(xScale).tickFormat(function (dayIndex) { return dayNames[dayIndex]; }));
+
+        svgGroup.append("g")
+                .attr("class", "y axis")
+                .call(d3.axisLeft().scale(yScale).tickFormat(function (seconds) { return formatTime(seconds); }))
+                .append("text")
+                .attr("transform", "rotate(-90)")
+                .attr("x", -(contentHeight - 6))
+                .attr("y", 6)
+                .attr("dy", ".71em")
+                .style("text-anchor", "start")
+                .style("fill", "black")
+                .text(getMessage("MultiDayResultsYAxisLabel"));
+
+        var line = d3.line()
+                     .defined(isNotNull)
+                     .x(function (timeBehind, dayIndex) { return xScale(dayIndex); })
+                     .y(function (timeBehind) { return yScale(timeBehind); });
+
+        chartedEntries.forEach(function (entry, entryIndex) {
+            var colour = getCompetitorColour(entryIndex);
+            var entryGroup = svgGroup.append("g")
+                                     .attr("class", "multiDayCompetitor");
+
+            entryGroup.append("title")
+                      .text(entry.name);
+
+            entryGroup.append("path")
+                      .attr("d", line(entry.timesBehindLeader))
+                      .style("stroke", colour);
+
+            var lastDayIndex = entry.timesBehindLeader.filter(isNotNull).length - 1;
+            entryGroup.append("text")
+                      .attr("x", xScale(lastDayIndex) + 5)
+                      .attr("y", yScale(entry.timesBehindLeader[lastDayIndex]))
+                      .attr("dy", ".35em")
+                      .style("fill", colour)
+                      .text(entry.name);
+        });
+    };
+
+    /**
+    * Shows the overall results.
+    */
+    MultiDayResults.prototype.show = function () {
+        this.div.style("display", null);
+    };
+
+    /**
+    * Hides the overall results.
+    */
+    MultiDayResults.prototype.hide = function () {
+        this.div.style("display", "none");
+    };
+
+    /**
+    * Retranslates the overall results following a change of selected
+    * language.
+    */
+    MultiDayResults.prototype.retranslate = function () {
+        this.populate();
+    };
+
+    SplitsBrowser.Controls.MultiDayResults = MultiDayResults;
+})();
@@ -32,6 +32,7 @@
     var CourseClass = SplitsBrowser.Model.CourseClass;
     var Course = SplitsBrowser.Model.Course;
     var Event = SplitsBrowser.Model.Event;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
     
     var DELIMITERS = [";", ",", "\t", "\\"];
     
@@ -86,6 +87,12 @@
     // Minimum control offset.
     var MIN_CONTROLS_OFFSET = 37;
     
+    // Names of the header columns that contain the points scored and the
+    // penalty points deducted in a score event.  Files with a points column
+    // are read as score events.
+    var SCORE_POINTS_COLUMN_NAMES = ["points", "score", "score points"];
+    var SCORE_PENALTY_COLUMN_NAMES = ["penalty", "penalty points", "score penalty"];
+    
     /**
     * Remove any leading and trailing double-quotes from the given string.
     * @param {String} value - The value to trim quotes from.
@@ -125,6 +132,10 @@
         // The indexes of the columns that we read data from.
         this.columnIndexes = null;
         
+        // The indexes of the columns containing score-event data, or null if
+        // the data is not for a score event.
+        this.scoreColumnIndexes = null;
+        
         // Warnings about competitors that cannot be read in.
         this.warnings = [];
     }
@@ -192,6 +203,32 @@
         throwWrongFileFormat("Did not find control 1 at any of the supported indexes");
     };
     
+    /**
+    * Identifies whether the data is for a score event, by looking in the
+    * header row for a column containing the points scored.  If found, the
+    * indexes of the score columns are recorded.
+    * @param {String} delimiter - The character used to delimit the columns of
+    *     data.
+    */
+    Reader.prototype.identifyScoreColumns = function (delimiter) {
+        var headers = this.lines[0].split(delimiter).map(function (header) { return dequote(header.trim()).toLowerCase(); });
+        
+        var findColumn = function (names) {
+            for (var index = 0; index < headers.length; index += 1) {
+                if (names.indexOf(headers[index]) >= 0) {
+                    return index;
+                }
+            }
+            
+            return null;
+        };
+        
+        var pointsIndex = findColumn(SCORE_POINTS_COLUMN_NAMES);
+        if (pointsIndex !== null) {
+            this.scoreColumnIndexes = {points: pointsIndex, penalty: findColumn(SCORE_PENALTY_COLUMN_NAMES)};
+        }
+    };
+    
     /**
     * Returns the name of the class in the given row.
     * @param {Array} row - Array of row data.
@@ -222,7 +259,8 @@
     };
     
     /**
-    * Returns the number of controls to expect on the given line.
+    * Returns the number of controls to expect on the given line.  In a score
+    * event, this is the number of controls the competitor punched.
     * @param {Array} row - Array of row data items.
     * @param {Number} lineNumber - The line number of the line.
     * @return {Number?} The number of controls, or null if the count could not be read.
@@ -234,7 +272,7 @@
             name = this.getName(row) || "<name unknown>";
             this.warnings.push("Could not find a class for competitor '" + name + "' (line " + lineNumber + ")");
             return null;
-        } else if (this.classes.has(className)) {
+        } else if (this.classes.has(className) && this.scoreColumnIndexes === null) {
             return this.classes.get(className).numControls;
         } else {
             var numControls = parseInt(row[this.columnIndexes.controlCount], 10);
@@ -266,6 +304,17 @@
             cumTimes.push(cumTime);
         }
         
+        cumTimes.push(this.readTotalTime(row));
+    
+        return cumTimes;
+    };
+    
+    /**
+    * Reads the total time of the competitor in the given row.
+    * @param {Array} row - Array of row data items.
+    * @return {?Number} The competitor's total time, or null if not known.
+    */
+    Reader.prototype.readTotalTime = function (row) {
         var totalTime = parseTime(row[this.columnIndexes.time]);
         if (totalTime === null) {
             // 'Nameless' variation: total time missing, so calculate from
@@ -277,9 +326,33 @@
             }
         }
         
-        cumTimes.push(totalTime);
+        return totalTime;
+    };
     
-        return cumTimes;
+    /**
+    * Reads the result of a competitor in a score event out of a row of
+    * competitor data.  Punches without a time are ignored.
+    * @param {Array} row - Array of row data items.
+    * @param {Number} numPunches - The number of punches to read.
+    * @return {SplitsBrowser.Model.ScoreResult} The score result read.
+    */
+    Reader.prototype.readScoreResult = function (row, numPunches) {
+        var punches = [];
+        for (var punchIdx = 0; punchIdx < numPunches; punchIdx += 1) {
+            var cellIndex = this.columnIndexes.control1 + 2 * punchIdx;
+            if (cellIndex + 1 < row.length) {
+                var time = parseTime(row[cellIndex + 1]);
+                if (row[cellIndex] !== "" && time !== null) {
+                    punches.push({code: row[cellIndex], time: time, points: null});
+                }
+            }
+        }
+        
+        punches.sort(function (punch1, punch2) { return punch1.time - punch2.time; });
+        
+        var points = parseFloat(row[this.scoreColumnIndexes.points]);
+        var penalty = (this.scoreColumnIndexes.penalty === null) ? 0 : parseFloat(row[this.scoreColumnIndexes.penalty]);
+        return new ScoreResult(punches, isNaNStrict(points) ? null : points, isNaNStrict(penalty) ? 0 : penalty);
     };
     
     /**
@@ -291,7 +364,7 @@
     Reader.prototype.createClassIfNecessary = function (row, numControls) {
         var className = this.getClassName(row);
         if (!this.classes.has(className)) {
-            this.classes.set(className, { numControls: numControls, competitors: [] });
+            this.classes.set(className, { numControls: numControls, competitors: [], courseNames: [] });
         }
     };
     
@@ -304,7 +377,9 @@
     Reader.prototype.createCourseIfNecessary = function (row, numControls) {
         var courseName = row[this.columnIndexes.course];
         if (!this.courseDetails.has(courseName)) {
-            var controlNums = d3.range(0, numControls).map(function (controlIdx) { return row[this.columnIndexes.control1 + 2 * controlIdx]; }, this);
+            // Competitors in score events each punch their own controls, so
+            // score courses have no controls.
+            var controlNums = (this.scoreColumnIndexes === null) ? d3.range(0, numControls).map(function (controlIdx) { return row[this.columnIndexes.control1 + 2 * controlIdx]; }, this) : null;
             this.courseDetails.set(courseName, {
                 length: parseCourseLength(row[this.columnIndexes.distance]), 
                 climb: parseCourseClimb(row[this.columnIndexes.climb]),
@@ -354,8 +429,10 @@
     * the event data read so far.
     * @param {Array} row - Row of items read from a line of the input data.
     * @param {Array} cumTimes - Array of cumulative times for the competitor.
+    * @param {?SplitsBrowser.Model.ScoreResult} scoreResult - The competitor's
+    *     result in a score event, or null if the event isn't a score event.
     */
-    Reader.prototype.addCompetitor = function (row, cumTimes) {
+    Reader.prototype.addCompetitor = function (row, cumTimes, scoreResult) {
     
         var className = this.getClassName(row);
         var placing = row[this.columnIndexes.placing];
@@ -375,6 +452,10 @@
 
         var order = this.classes.get(className).competitors.length + 1;
         var competitor = fromOriginalCumTimes(order, name, club, startTime, cumTimes);
+        if (scoreResult !== null) {
+            competitor.setScoreResult(scoreResult);
+        }
+        
         if ((row[this.columnIndexes.nonCompetitive] === "1" || isPlacingNonNumeric) && competitor.completed()) {
             // Competitor either marked as non-competitive, or has completed
             // the course but has a non-numeric placing.  In the latter case,
@@ -413,6 +494,7 @@
         }
 
         this.classes.get(className).competitors.push(competitor);
+        this.classes.get(className).courseNames.push(row[this.columnIndexes.course]);
     };
     
     /**
@@ -440,13 +522,23 @@
         
         var numControls = this.getNumControls(row, lineNumber);
         if (numControls !== null) {
-            var cumTimes = this.readCumulativeTimes(row, lineNumber, numControls);
+            var cumTimes;
+            var scoreResult = null;
+            if (this.scoreColumnIndexes === null) {
+                cumTimes = this.readCumulativeTimes(row, lineNumber, numControls);
+            } else {
+                // Score event: the controls read are the competitor's own
+                // punches, and the class has no controls of its own.
+                scoreResult = this.readScoreResult(row, numControls);
+                cumTimes = [0, this.readTotalTime(row)];
+                numControls = 0;
+            }
             
             this.createClassIfNecessary(row, numControls);
             this.createCourseIfNecessary(row, numControls);
             this.createClassCoursePairIfNecessary(row);
             
-            this.addCompetitor(row, cumTimes);
+            this.addCompetitor(row, cumTimes, scoreResult);
         }
     };
     
@@ -565,6 +657,19 @@
         var details = this.courseDetails.get(initCourseName);
         var course = new Course(initCourseName, classesForThisCourse, details.length, details.climb, details.controls);
         
+        if (this.areVariationsOfOneCourse(relatedCourseNames, classesForThisCourse)) {
+            course.setVariations(relatedCourseNames.map(function (courseName) {
+                return {name: courseName, controls: this.courseDetails.get(courseName).controls};
+            }, this));
+            
+            relatedClassNames.forEach(function (className) {
+                var classData = this.classes.get(className);
+                classData.competitors.forEach(function (competitor, index) {
+                    competitor.setVariation(classData.courseNames[index]);
+                });
+            }, this);
+        }
+        
         classesForThisCourse.forEach(function (courseClass) {
             courseClass.setCourse(course);
         });
@@ -572,6 +677,37 @@
         return course;
     };
     
+    /**
+    * Returns whether the courses with the given names are the variations of
+    * one forked course, such as a butterfly course.  This is the case if
+    * there is more than one course, all of the courses and classes have the
+    * same number of controls, and the courses don't all have the same
+    * controls.
+    * @param {Array} courseNames - Array of the names of related courses.
+    * @param {Array} courseClasses - Array of the classes on those courses.
+    * @return {boolean} True if the courses are variations of one course,
+    *     false otherwise.
+    */
+    Reader.prototype.areVariationsOfOneCourse = function (courseNames, courseClasses) {
+        if (courseNames.length < 2) {
+            return false;
+        }
+        
+        var allControls = courseNames.map(function (courseName) { return this.courseDetails.get(courseName).controls; }, this);
+        if (allControls.some(function (controls) { return controls === null; })) {
+            return false;
+        }
+        
+        var numControls = allControls[0].length;
+        if (allControls.some(function (controls) { return controls.length !== numControls; }) ||
+                courseClasses.some(function (courseClass) { return courseClass.numControls !== numControls; })) {
+            return false;
+        }
+        
+        var firstControlsKey = allControls[0].join(",");
+        return allControls.some(function (controls) { return controls.join(",") !== firstControlsKey; });
+    };
+    
     /**
     * Sort through the data read in and create Course objects representing each
     * course in the event.
@@ -620,6 +756,8 @@
         
         this.identifyFormatVariation(delimiter);
         
+        this.identifyScoreColumns(delimiter);
+        
         // Discard the header row.
         this.lines.shift();
         
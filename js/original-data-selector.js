@@ -26,9 +26,17 @@
     var CONTAINER_DIV_ID = "originalDataSelectorContainer";
     
     var getMessage = SplitsBrowser.getMessage;
+    var RepairModes = SplitsBrowser.DataRepair.RepairModes;
+    
+    // The modes listed in the drop-down list, and the index of the mode
+    // selected initially, that of the data with dubious times removed.
+    var ALL_MODES = [RepairModes.Original, RepairModes.Blanked, RepairModes.Interpolated];
+    var DEFAULT_MODE_INDEX = 1;
     
     /**
-    * Constructs a new OriginalDataSelector object.
+    * Constructs a new OriginalDataSelector object, a drop-down list used to
+    * choose between the original data, the data with dubious times removed,
+    * and the data with dubious times estimated.
     * @constructor
     * @param {d3.selection} parent - d3 selection containing the parent to
     *     insert the selector into.
@@ -36,25 +44,28 @@
     function OriginalDataSelector(parent) {
         this.parent = parent;
 
-        var checkboxId = "originalDataCheckbox";
         this.containerDiv = parent.append("div")
                                   .classed("topRowStart", true)
                                   .attr("id", CONTAINER_DIV_ID);
 
         this.containerDiv.append("div").classed("topRowStartSpacer", true);
         
-        var span = this.containerDiv.append("span");
+        this.label = this.containerDiv.append("span")
+                                      .classed("originalDataSelectorLabel", true);
         
         var outerThis = this;
-        this.checkbox = span.append("input")
-                            .attr("type", "checkbox")
-                            .attr("id", checkboxId)
-                            .on("click", function() { outerThis.fireChangeHandlers(); })
-                            .node();
-                                 
-        this.label = span.append("label")
-                         .attr("for", checkboxId)
-                         .classed("originalDataSelectorLabel", true);
+        this.dropDown = this.containerDiv.append("select").node();
+        $(this.dropDown).bind("change", function() { outerThis.fireChangeHandlers(); });
+        
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(ALL_MODES);
+        this.optionsList.enter().append("option");
+        
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(ALL_MODES);
+        this.optionsList.attr("value", function (_value, index) { return index.toString(); });
+        
+        this.optionsList.exit().remove();
+        
+        this.dropDown.selectedIndex = DEFAULT_MODE_INDEX;
                          
         this.handlers = [];
         this.setMessages();
@@ -65,13 +76,14 @@
     * change of selected language.
     */
     OriginalDataSelector.prototype.setMessages = function () {
-        this.label.text(getMessage("ShowOriginalData"));
-        this.containerDiv.attr("title", getMessage("ShowOriginalDataTooltip"));    
+        this.label.text(getMessage("DataRepairSelectorLabel"));
+        this.optionsList.text(function (mode) { return getMessage(mode.nameKey); });
+        this.containerDiv.attr("title", getMessage("DataRepairSelectorTooltip"));    
     };
 
     /**
-    * Register a change handler to be called whenever the choice of original or
-    * repaired data is changed.
+    * Register a change handler to be called whenever the choice of original,
+    * repaired or estimated data is changed.
     *
     * If the handler was already registered, nothing happens.
     * @param {Function} handler - Function to be called whenever the choice
@@ -85,7 +97,7 @@
        
     /**
     * Deregister a change handler from being called whenever the choice of
-    * original or repaired data is changed.
+    * original, repaired or estimated data is changed.
     *
     * If the handler given was never registered, nothing happens.
     * @param {Function} handler - Function to be called whenever the choice
@@ -99,10 +111,33 @@
     };
     
     /**
-    * Fires all change handlers registered.
+    * Fires all change handlers registered, passing them the selected mode.
     */
     OriginalDataSelector.prototype.fireChangeHandlers = function () {
-        this.handlers.forEach(function (handler) { handler(this.checkbox.checked); }, this);
+        var mode = this.getRepairMode();
+        this.handlers.forEach(function (handler) { handler(mode); });
+    };
+    
+    /**
+    * Returns the selected mode of repairing data, one of those in
+    * SplitsBrowser.DataRepair.RepairModes.
+    * @return {Object} The selected mode.
+    */
+    OriginalDataSelector.prototype.getRepairMode = function () {
+        return ALL_MODES[Math.max(this.dropDown.selectedIndex, 0)];
+    };
+    
+    /**
+    * Selects the given mode of repairing data.  If the mode is not one of
+    * those in SplitsBrowser.DataRepair.RepairModes, nothing happens.
+    * @param {Object} mode - The mode to select.
+    */
+    OriginalDataSelector.prototype.setRepairMode = function (mode) {
+        var index = ALL_MODES.indexOf(mode);
+        if (index >= 0) {
+            this.dropDown.selectedIndex = index;
+            this.fireChangeHandlers();
+        }
     };
     
     /**
@@ -110,15 +145,14 @@
     * @return {boolean} True if original data is selected, false if not.
     */
     OriginalDataSelector.prototype.isOriginalDataSelected = function () {
-        return this.checkbox.checked;
+        return this.getRepairMode() === RepairModes.Original;
     };
     
     /**
     * Selects original data.
     */
     OriginalDataSelector.prototype.selectOriginalData = function () {
-        this.checkbox.checked = true;
-        this.fireChangeHandlers();
+        this.setRepairMode(RepairModes.Original);
     };
     
     /**
@@ -136,10 +170,10 @@
     *      disabled.
     */
     OriginalDataSelector.prototype.setEnabled = function (isEnabled) {
-        this.parent.selectAll("label.originalDataSelectorLabel")
+        this.parent.selectAll("span.originalDataSelectorLabel")
                    .classed("disabled", !isEnabled);
                               
-        this.checkbox.disabled = !isEnabled;
+        this.dropDown.disabled = !isEnabled;
     };
     
     SplitsBrowser.Controls.OriginalDataSelector = OriginalDataSelector;
@@ -0,0 +1,269 @@
+/*
+ *  SplitsBrowser PackReport - Lists groups of competitors who punched
+ *  consecutive controls together.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // The time window, in seconds, and the number of consecutive controls
+    // initially used to detect packs.
+    var DEFAULT_WINDOW_SECONDS = 15;
+    var DEFAULT_MIN_CONTROLS = 3;
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+
+    /**
+    * Returns the name of the given control, such as "3" or "F".
+    * @param {Number} controlIndex - The index of the control.
+    * @param {Number} numControls - The number of controls on the course.
+    * @return {String} The name of the control.
+    */
+    function getControlName(controlIndex, numControls) {
+        return (controlIndex === numControls + 1) ? getMessage("FinishNameShort") : controlIndex.toString();
+    }
+
+    /**
+    * Reads a whole number from the given input, returning the given current
+    * value if the input does not contain a number at least the given minimum.
+    * @param {Object} input - d3 selection containing the input.
+    * @param {Number} minimum - The smallest value allowed.
+    * @param {Number} currentValue - The value to return if the input is not
+    *     valid.
+    * @return {Number} The value read.
+    */
+    function readWholeNumber(input, minimum, currentValue) {
+        var value = parseInt(input.property("value"), 10);
+        return (isFinite(value) && value >= minimum) ? value : currentValue;
+    }
+
+    /**
+    * A control that lists the packs of competitors within a course-class set,
+    * i.e. the groups of competitors who punched several consecutive controls
+    * within a given time of one another, together with the time each
+    * competitor spent in packs.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function PackReport(parent) {
+        this.courseClassSet = null;
+        this.windowSeconds = DEFAULT_WINDOW_SECONDS;
+        this.minControls = DEFAULT_MIN_CONTROLS;
+        this.changeHandlers = [];
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "packReportContainer");
+
+        var optionsDiv = this.div.append("div")
+                                 .classed("packReportOptions", true);
+
+        var outerThis = this;
+        this.windowLabel = optionsDiv.append("span");
+        this.windowInput = optionsDiv.append("input")
+                                     .attr("type", "number")
+                                     .attr("min", "0")
+                                     .property("value", DEFAULT_WINDOW_SECONDS);
+
+        this.minControlsLabel = optionsDiv.append("span")
+                                          .classed("packReportMinControlsLabel", true);
+        this.minControlsInput = optionsDiv.append("input")
+                                          .attr("type", "number")
+                                          .attr("min", "2")
+                                          .property("value", DEFAULT_MIN_CONTROLS);
+
+        $(this.windowInput.node()).bind("input change", function () { outerThis.onSettingsChanged(); });
+        $(this.minControlsInput.node()).bind("input change", function () { outerThis.onSettingsChanged(); });
+
+        this.reportDiv = this.div.append("div")
+                                 .classed("packReport", true);
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages in this control, following either its creation or a
+    * change of selected language.
+    */
+    PackReport.prototype.setMessages = function () {
+        this.windowLabel.text(getMessage("PackReportWindowLabel"));
+        this.minControlsLabel.text(getMessage("PackReportMinControlsLabel"));
+    };
+
+    /**
+    * Retranslates this control following a change of selected language.
+    */
+    PackReport.prototype.retranslate = function () {
+        this.setMessages();
+        this.populateReport();
+    };
+
+    /**
+    * Register a change handler to be called whenever the settings used to
+    * detect packs are changed.
+    *
+    * The time window, in seconds, and the minimum number of consecutive
+    * controls are passed to the handler.  If the handler was already
+    * registered, nothing happens.
+    *
+    * @param {Function} handler - Function to be called whenever the settings
+    *     change.
+    */
+    PackReport.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Handles a change of the time window or the minimum number of controls.
+    * Values that are not whole numbers within range are ignored.
+    */
+    PackReport.prototype.onSettingsChanged = function () {
+        this.windowSeconds = readWholeNumber(this.windowInput, 0, this.windowSeconds);
+        this.minControls = readWholeNumber(this.minControlsInput, 2, this.minControls);
+        this.populateReport();
+        this.changeHandlers.forEach(function (handler) { handler(this.windowSeconds, this.minControls); }, this);
+    };
+
+    /**
+    * Sets the settings used to detect packs.
+    * @param {Number} windowSeconds - The largest difference, in seconds,
+    *     between the times two competitors punch a control for them to be
+    *     treated as punching it together.
+    * @param {Number} minControls - The smallest number of consecutive
+    *     controls competitors must punch together to form a pack.
+    */
+    PackReport.prototype.setSettings = function (windowSeconds, minControls) {
+        this.windowInput.property("value", windowSeconds);
+        this.minControlsInput.property("value", minControls);
+        this.onSettingsChanged();
+    };
+
+    /**
+    * Returns the time window, in seconds, used to detect packs.
+    * @return {Number} The time window.
+    */
+    PackReport.prototype.getWindowSeconds = function () {
+        return this.windowSeconds;
+    };
+
+    /**
+    * Returns the minimum number of consecutive controls competitors must
+    * punch together to form a pack.
+    * @return {Number} The minimum number of controls.
+    */
+    PackReport.prototype.getMinControls = function () {
+        return this.minControls;
+    };
+
+    /**
+    * Sets the course-class set whose packs are listed.
+    * @param {CourseClassSet} courseClassSet - The course-class set.
+    */
+    PackReport.prototype.setCourseClassSet = function (courseClassSet) {
+        this.courseClassSet = courseClassSet;
+        this.populateReport();
+    };
+
+    /**
+    * Populates the report with the packs within the course-class set.
+    */
+    PackReport.prototype.populateReport = function () {
+        this.reportDiv.selectAll("*").remove();
+
+        var packs = (this.courseClassSet === null) ? [] : this.courseClassSet.getPacks(this.windowSeconds, this.minControls);
+        if (packs.length === 0) {
+            this.reportDiv.append("div")
+                          .classed("packReportPlaceholder", true)
+                          .text(getMessage("PackReportNoPacks"));
+            return;
+        }
+
+        var numControls = this.courseClassSet.numControls;
+        var packsTable = this.reportDiv.append("table")
+                                       .classed("packReportPacks", true);
+        packsTable.append("thead")
+                  .append("tr")
+                  .selectAll("th")
+                  .data(["PackReportHeaderControls", "PackReportHeaderCompetitors"])
+                  .enter()
+                  .append("th")
+                  .text(function (key) { return getMessage(key); });
+
+        var packRows = packsTable.append("tbody")
+                                 .selectAll("tr")
+                                 .data(packs)
+                                 .enter()
+                                 .append("tr");
+
+        packRows.append("td").text(function (pack) { return getControlName(pack.startControl, numControls) + "-" + getControlName(pack.endControl, numControls); });
+        packRows.append("td").text(function (pack) { return pack.competitors.map(function (comp) { return comp.name; }).join(", "); });
+
+        var timesInPacks = this.courseClassSet.getTimesSpentInPacks(this.windowSeconds, this.minControls);
+        var competitorsInPacks = this.courseClassSet.allCompetitors.map(function (comp, index) { return {competitor: comp, timeInPacks: timesInPacks[index]}; })
+                                                                   .filter(function (entry) { return entry.timeInPacks > 0; });
+        competitorsInPacks.sort(function (entry1, entry2) { return entry2.timeInPacks - entry1.timeInPacks; });
+
+        var timesTable = this.reportDiv.append("table")
+                                       .classed("packReportTimes", true);
+        timesTable.append("thead")
+                  .append("tr")
+                  .selectAll("th")
+                  .data(["PackReportHeaderName", "PackReportHeaderTime", "PackReportHeaderTimeInPacks"])
+                  .enter()
+                  .append("th")
+                  .text(function (key) { return getMessage(key); });
+
+        var timeRows = timesTable.append("tbody")
+                                 .selectAll("tr")
+                                 .data(competitorsInPacks)
+                                 .enter()
+                                 .append("tr");
+
+        timeRows.append("td").text(function (entry) { return entry.competitor.name + " (" + entry.competitor.club + ")"; });
+        timeRows.append("td").classed("time", true).text(function (entry) { return formatTime(entry.competitor.totalTime); });
+        timeRows.append("td").classed("time", true).text(function (entry) { return formatTime(entry.timeInPacks); });
+    };
+
+    /**
+    * Sets the size of this control.
+    * @param {Number} width - The width of the control, in pixels.
+    * @param {Number} height - The height of the control, in pixels.
+    */
+    PackReport.prototype.setSize = function (width, height) {
+        $(this.div.node()).width(width).height(height);
+    };
+
+    /**
+    * Shows the pack report.
+    */
+    PackReport.prototype.show = function () {
+        this.div.style("display", null);
+    };
+
+    /**
+    * Hides the pack report.
+    */
+    PackReport.prototype.hide = function () {
+        this.div.style("display", "none");
+    };
+
+    SplitsBrowser.Controls.PackReport = PackReport;
+})();
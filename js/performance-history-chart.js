@@ -0,0 +1,314 @@
+/*
+ *  SplitsBrowser PerformanceHistoryChart - Shows the performances of a
+ *  competitor across a number of events.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // Size of the chart of performances, and the margins around it, in
+    // pixels.
+    var CHART_WIDTH = 800;
+    var CHART_HEIGHT = 300;
+    var MARGIN = {top: 20, right: 20, bottom: 50, left: 70};
+
+    // Radius of the points drawn for each event, in pixels.
+    var POINT_RADIUS = 3;
+
+    var formatTime = SplitsBrowser.formatTime;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+    var isNotNull = SplitsBrowser.isNotNull;
+    var PerformanceReferences = SplitsBrowser.Model.PerformanceReferences;
+    var getCompetitorColour = SplitsBrowser.Controls.Chart.getCompetitorColour;
+
+    var REFERENCES = [PerformanceReferences.Winner, PerformanceReferences.TopThreeMedian];
+
+    // The series drawn on the chart.  Each gives the property of the
+    // performances it plots and the key of the message naming it.
+    var SERIES = [
+        {property: "performanceIndex", nameKey: "PerformanceHistoryPerformanceIndexLegend"},
+        {property: "timeLossPercentage", nameKey: "PerformanceHistoryTimeLossLegend"}
+    ];
+
+    /**
+    * Formats a percentage, which may be null, to one decimal place.
+    * @param {?Number} percentage - The percentage, or null.
+    * @param {boolean} showSign - Whether to put a plus sign in front of
+    *     positive percentages.
+    * @return {String} The formatted percentage.
+    */
+    function formatPercentage(percentage, showSign) {
+        if (percentage === null) {
+            return "";
+        } else {
+            return ((showSign && percentage > 0) ? "+" : "") + percentage.toFixed(1) + "%";
+        }
+    }
+
+    /**
+    * A control that shows how the performances of a competitor varied over a
+    * number of events, with a chart of their performance index and the
+    * percentage of their time lost through mistakes in each event, and a
+    * table listing their results.
+    * @constructor
+    * @param {HTMLElement} parent - The parent element to add this control to.
+    */
+    function PerformanceHistoryChart(parent) {
+        this.performanceHistory = null;
+        this.competitors = [];
+
+        this.div = d3.select(parent).append("div")
+                                    .attr("id", "performanceHistoryContainer");
+
+        var outerThis = this;
+        var selectorsDiv = this.div.append("div")
+                                   .classed("performanceHistorySelectors", true);
+
+        this.competitorLabel = selectorsDiv.append("span");
+        this.competitorDropDown = selectorsDiv.append("select")
+                                              .classed("performanceHistoryCompetitors", true);
+        $(this.competitorDropDown.node()).bind("change", function () { outerThis.populate(); });
+
+        this.referenceLabel = selectorsDiv.append("span");
+        this.referenceDropDown = selectorsDiv.append("select")
+                                             .classed("performanceHistoryReference", true);
+        $(this.referenceDropDown.node()).bind("change", function () { outerThis.populate(); });
+
+        this.referenceOptions = this.referenceDropDown.selectAll("option")
+                                                      .data(REFERENCES)
+                                                      .enter()
+                                                      .append("option")
+                                                      .attr("value", function (_value, index) { return index.toString(); });
+
+        this.headerSpan = this.div.append("div")
+                                  .append("span")
+                                  .classed("performanceHistoryHeader", true);
+
+        this.svg = this.div.append("svg")
+                           .classed("performanceHistoryChart", true)
+                           .attr("width", CHART_WIDTH)
+                           .attr("height", CHART_HEIGHT);
+
+        this.table = this.div.append("table")
+                             .classed("performanceHistoryTable", true);
+
+        this.table.append("thead")
+                  .append("tr");
+
+        this.table.append("tbody");
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages in the drop-down lists of this control, following
+    * either its creation or a change of selected language.
+    */
+    PerformanceHistoryChart.prototype.setMessages = function () {
+        this.competitorLabel.text(getMessage("PerformanceHistoryCompetitorLabel"));
+        this.referenceLabel.text(getMessage("PerformanceHistoryReferenceLabel"));
+        this.referenceOptions.text(function (reference) { return getMessage(reference.nameKey); });
+    };
+
+    /**
+    * Sets the performance history shown, lists its competitors and shows the
+    * performances of the first of them.
+    * @param {PerformanceHistory} performanceHistory - The performance history.
+    */
+    PerformanceHistoryChart.prototype.setPerformanceHistory = function (performanceHistory) {
+        this.performanceHistory = performanceHistory;
+        this.competitors = performanceHistory.getCompetitors();
+
+        this.competitorDropDown.selectAll("option").remove();
+        this.competitorDropDown.selectAll("option")
+                               .data(this.competitors)
+                               .enter()
+                               .append("option")
+                               .attr("value", function (_value, index) { return index.toString(); })
+                               .text(function (competitor) { return competitor.name + " (" + competitor.club + ")"; });
+
+        this.competitorDropDown.property("selectedIndex", 0);
+        this.populate();
+    };
+
+    /**
+    * Returns the reference that competitors' times are compared against.
+    * @return {Object} The reference selected.
+    */
+    PerformanceHistoryChart.prototype.getReference = function () {
+        return REFERENCES[Math.max(this.referenceDropDown.property("selectedIndex"), 0)];
+    };
+
+    /**
+    * Populates the header, chart and table with the performances of the
+    * competitor selected.
+    */
+    PerformanceHistoryChart.prototype.populate = function () {
+        var competitor = this.competitors[this.competitorDropDown.property("selectedIndex")];
+        if (this.performanceHistory === null || !competitor) {
+            this.headerSpan.text(getMessage("PerformanceHistoryNoCompetitors"));
+            this.drawChart([]);
+            this.populateTable([]);
+            return;
+        }
+
+        var eventNames = this.performanceHistory.getEventNames();
+        var history = this.performanceHistory.getHistory(competitor.name, competitor.club, this.getReference());
+        this.headerSpan.text(getMessageWithFormatting("PerformanceHistoryHeader", {
+            "$$NAME$$": competitor.name,
+            "$$CLUB$$": competitor.club,
+            "$$NUM$$": history.filter(isNotNull).length.toString()
+        }));
+
+        var rows = history.map(function (performance, index) {
+            return (performance === null) ? null : {eventName: eventNames[index], eventIndex: index, performance: performance};
+        }).filter(isNotNull);
+
+        this.drawChart(history);
+        this.populateTable(rows);
+    };
+
+    /**
+    * Draws a chart of the performance index and percentage of time lost of
+    * the given performances.
+    * @param {Array} history - Array of performances, one for each event, with
+    *     null for events the competitor did not take part in.
+    */
+    PerformanceHistoryChart.prototype.drawChart = function (history) {
+        this.svg.selectAll("*").remove();
+
+        var values = [];
+        history.filter(isNotNull).forEach(function (performance) {
+            SERIES.forEach(function (series) { values.push(performance[series.property]); });
+        });
+
+        values = values.filter(isNotNull);
+        if (values.length === 0) {
+            this.svg.style("display", "none");
+            return;
+        }
+
+        this.svg.style("display", null);
+
+        var svgGroup = this.svg.append("g")
+                               .attr("transform", "translate(" + MARGIN.left + "," + MARGIN.top + ")");
+
+        var contentWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+        var contentHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+        var eventNames = this.performanceHistory.getEventNames();
+
+        var xScale = d3.scalePoint().domain(d3.range(0, eventNames.length)).range([0, contentWidth]).padding(0.5);
+        var yScale = d3.scaleLinear().domain([Math.min(d3.min(values), 0), Math.max(d3.max(values), 10)]).range([contentHeight, 0]).nice();
+
+        svgGroup.append("g")
+                .attr("class", "x axis")
+                .attr("transform", "translate(0," + contentHeight + ")")
+                .call(d3.axisBottom().scale(xScale).tickFormat(function (eventIndex) { return eventNames[eventIndex]; }));
+
+        svgGroup.append("g")
+                .attr("class", "y axis")
+                .call(d3.axisLeft().scale(yScale).tickFormat(function (percentage) { return percentage + "%"; }));
+
+        SERIES.forEach(function (series, seriesIndex) {
+            var colour = getCompetitorColour(seriesIndex);
+            var points = history.map(function (performance, eventIndex) {
+                return (performance === null || performance[series.property] === null) ? null : {eventIndex: eventIndex, value: performance[series.property]};
+            });
+
+            var line = d3.line()
+                         .defined(isNotNull)
+                         .x(function (point) { return xScale(point.eventIndex); })
+                         .y(function (point) { return yScale(point.value); });
+
+            var seriesGroup = svgGroup.append("g")
+                                      .attr("class", "performanceHistorySeries " + series.property);
+
+            seriesGroup.append("path")
+                       .attr("d", line(points))
+                       .style("stroke", colour);
+
+            seriesGroup.selectAll("circle")
+                       .data(points.filter(isNotNull))
+                       .enter()
+                       .append("circle")
+                       .attr("cx", function (point) { return xScale(point.eventIndex); })
+                       .attr("cy", function (point) { return yScale(point.value); })
+                       .attr("r", POINT_RADIUS)
+                       .style("fill", colour)
+                       .append("title")
+                       .text(function (point) { return eventNames[point.eventIndex] + ": " + formatPercentage(point.value, false); });
+
+            seriesGroup.append("text")
+                       .attr("x", 0)
+                       .attr("y", contentHeight + 35 + 12 * seriesIndex)
+                       .style("fill", colour)
+                       .text(getMessage(series.nameKey));
+        });
+    };
+
+    /**
+    * Populates the table with the given rows.
+    * @param {Array} rows - Array of objects, each containing the name of an
+    *     event and the competitor's performance in it.
+    */
+    PerformanceHistoryChart.prototype.populateTable = function (rows) {
+        var headers = [
+            getMessage("PerformanceHistoryHeaderEvent"),
+            getMessage("PerformanceHistoryHeaderClass"),
+            getMessage("PerformanceHistoryHeaderTime"),
+            getMessage("PerformanceHistoryHeaderReferenceTime"),
+            getMessage("PerformanceHistoryHeaderPerformanceIndex"),
+            getMessage("PerformanceHistoryHeaderTimeLoss")
+        ];
+
+        var headerRow = this.table.select("thead tr");
+        headerRow.selectAll("th").remove();
+        headerRow.selectAll("th")
+                 .data((rows.length === 0) ? [] : headers)
+                 .enter()
+                 .append("th")
+                 .text(function (header) { return header; });
+
+        var tbody = this.table.select("tbody");
+        tbody.selectAll("tr").remove();
+
+        var tableRows = tbody.selectAll("tr")
+                             .data(rows)
+                             .enter()
+                             .append("tr");
+
+        tableRows.append("td").text(function (row) { return row.eventName; });
+        tableRows.append("td").text(function (row) { return row.performance.className; });
+        tableRows.append("td").classed("time", true).text(function (row) { return formatTime(row.performance.time); });
+        tableRows.append("td").classed("time", true).text(function (row) { return formatTime(row.performance.referenceTime); });
+        tableRows.append("td").classed("time", true).text(function (row) { return formatPercentage(row.performance.performanceIndex, true); });
+        tableRows.append("td").classed("time", true).text(function (row) { return formatPercentage(row.performance.timeLossPercentage, false); });
+    };
+
+    /**
+    * Retranslates this control following a change of selected language.
+    */
+    PerformanceHistoryChart.prototype.retranslate = function () {
+        this.setMessages();
+        this.populate();
+    };
+
+    SplitsBrowser.Controls.PerformanceHistoryChart = PerformanceHistoryChart;
+})();
@@ -0,0 +1,161 @@
+/*
+ *  SplitsBrowser PerformanceHistory - Competitor performances across events.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var throwInvalidData = SplitsBrowser.throwInvalidData;
+
+    // The number of the fastest competitors whose median time is used as the
+    // reference time by the top-three median reference.
+    var TOP_COMPETITORS_COUNT = 3;
+
+    /**
+    * Returns the key used to match up competitors in different events.
+    * Competitors are matched by name and club.
+    * @param {String} name - The name of the competitor.
+    * @param {String} club - The competitor's club.
+    * @return {String} The key of the competitor.
+    */
+    function getCompetitorKey(name, club) {
+        return name + "\u0000" + club;
+    }
+
+    // The times that a competitor's time can be compared against to give
+    // their performance index in an event.  Each reference gives a function
+    // that returns the reference time from the times of the competitive
+    // finishers of a class, sorted into ascending order.
+    var PerformanceReferences = {
+        Winner: {
+            nameKey: "PerformanceReferenceWinner",
+            getReferenceTime: function (sortedTimes) { return sortedTimes[0]; }
+        },
+        TopThreeMedian: {
+            nameKey: "PerformanceReferenceTopThreeMedian",
+            getReferenceTime: function (sortedTimes) { return d3.median(sortedTimes.slice(0, TOP_COMPETITORS_COUNT)); }
+        }
+    };
+
+    /**
+    * The results of a number of events, such as those of a season, used to
+    * follow the performances of competitors from one event to the next.
+    *
+    * Each event is given as an object with a name property, containing the
+    * name of the event, and an event property, containing the Event read from
+    * its results.  Time losses should already have been determined for each
+    * event.
+    *
+    * @constructor
+    * @param {Array} events - Array of events, in the order they were held.
+    */
+    function PerformanceHistory(events) {
+        if (events.length === 0) {
+            throwInvalidData("A performance history must have at least one event");
+        }
+
+        this.events = events;
+    }
+
+    /**
+    * Returns the names of the events in this history.
+    * @return {Array} Array of the names of the events.
+    */
+    PerformanceHistory.prototype.getEventNames = function () {
+        return this.events.map(function (historyEvent) { return historyEvent.name; });
+    };
+
+    /**
+    * Returns the competitors that took part in any of the events in this
+    * history, matched by name and club, and sorted by name and then club.
+    * @return {Array} Array of objects, each containing the name and club of a
+    *     competitor.
+    */
+    PerformanceHistory.prototype.getCompetitors = function () {
+        var competitorsByKey = d3.map();
+        this.events.forEach(function (historyEvent) {
+            historyEvent.event.classes.forEach(function (courseClass) {
+                courseClass.competitors.forEach(function (comp) {
+                    competitorsByKey.set(getCompetitorKey(comp.name, comp.club), {name: comp.name, club: comp.club});
+                });
+            });
+        });
+
+        var competitors = competitorsByKey.values();
+        competitors.sort(function (a, b) { return d3.ascending(a.name, b.name) || d3.ascending(a.club, b.club); });
+        return competitors;
+    };
+
+    /**
+    * Returns the performances of the competitor with the given name and club
+    * in each event of this history.
+    *
+    * The performances are returned in an array with one element for each
+    * event.  The element is null if the competitor did not take part in the
+    * event, and otherwise an object containing the following properties:
+    * - className: the name of the class the competitor ran in.
+    * - time: the competitor's total time, or null if they did not complete
+    *   the course.
+    * - referenceTime: the reference time of the class, or null if nobody in
+    *   the class finished competitively.
+    * - performanceIndex: the percentage by which the competitor's time
+    *   exceeded the reference time, or null if either time is missing.
+    * - timeLossPercentage: the total time the competitor lost through
+    *   mistakes, as a percentage of their total time, or null if it could not
+    *   be determined.
+    *
+    * @param {String} name - The name of the competitor.
+    * @param {String} club - The competitor's club.
+    * @param {Object} reference - The time to compare competitors' times
+    *     against, from SplitsBrowser.Model.PerformanceReferences.
+    * @return {Array} Array of the performances of the competitor.
+    */
+    PerformanceHistory.prototype.getHistory = function (name, club, reference) {
+        var key = getCompetitorKey(name, club);
+        return this.events.map(function (historyEvent) {
+            var performance = null;
+            historyEvent.event.classes.forEach(function (courseClass) {
+                var competitor = courseClass.competitors.filter(function (comp) { return getCompetitorKey(comp.name, comp.club) === key; })[0];
+                if (performance !== null || !competitor) {
+                    return;
+                }
+
+                var sortedTimes = courseClass.competitors.filter(function (comp) { return comp.completed() && !comp.isNonCompetitive; })
+                                                         .map(function (comp) { return comp.totalTime; });
+                sortedTimes.sort(d3.ascending);
+
+                var time = (competitor.completed()) ? competitor.totalTime : null;
+                var referenceTime = (sortedTimes.length === 0) ? null : reference.getReferenceTime(sortedTimes);
+                var totalTimeLoss = (time === null) ? null : competitor.getTotalTimeLoss();
+                performance = {
+                    className: courseClass.name,
+                    time: time,
+                    referenceTime: referenceTime,
+                    performanceIndex: (time === null || referenceTime === null) ? null : 100 * (time - referenceTime) / referenceTime,
+                    timeLossPercentage: (totalTimeLoss === null || time === 0) ? null : 100 * totalTimeLoss / time
+                };
+            });
+
+            return performance;
+        });
+    };
+
+    SplitsBrowser.Model.PerformanceReferences = PerformanceReferences;
+    SplitsBrowser.Model.PerformanceHistory = PerformanceHistory;
+})();
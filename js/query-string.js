@@ -23,6 +23,7 @@
     "use strict";
     
     var ChartTypes = SplitsBrowser.Model.ChartTypes;
+    var TimeLossMethods = SplitsBrowser.Model.TimeLossMethods;
     var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
     
     /**
@@ -270,7 +271,7 @@
     
     var SELECTED_STATISTICS_REGEXP = /(?:^|&|\?)stats=([^&]*)/;
     
-    var ALL_STATS_NAMES = ["TotalTime", "SplitTime", "BehindFastest", "TimeLoss"];
+    var ALL_STATS_NAMES = ["TotalTime", "SplitTime", "BehindFastest", "TimeLoss", "Pace"];
     
     /**
     * Reads the selected statistics from the query string.
@@ -343,6 +344,38 @@
         return (showOriginal) ? queryString + "&showOriginal=1" : queryString;
     }
     
+    var INTERPOLATE_REGEXP = /(?:^|&|\?)interpolate=([^&]*)/;
+    
+    /**
+    * Reads the flag for estimating dubious times from the given query-string.
+    *
+    * To estimate dubious times, the parameter interpolate=1 must be part of
+    * the URL.  If this parameter does not exist or has some other value,
+    * dubious times will not be estimated.  If the selected classes do not
+    * contain any dubious splits, or original data is also to be shown, this
+    * option will have no effect.
+    * @param {String} queryString - The query-string to read.
+    * @return {boolean} True to estimate dubious times, false not to.
+    */
+    function readInterpolate(queryString) {
+        var interpolateMatch = INTERPOLATE_REGEXP.exec(queryString);
+        return (interpolateMatch !== null && interpolateMatch[1] === "1");
+    }
+    
+    /**
+    * Formats the flag for estimating dubious times into the given
+    * query-string.
+    * @param {String} queryString - The original query-string.
+    * @param {boolean} interpolate - True to estimate dubious times, false not
+    *     to.
+    * @return {String} queryString - The query-string with the flag for
+    *     estimating dubious times formatted in.
+    */
+    function formatInterpolate(queryString, interpolate) {
+        queryString = removeAll(queryString, INTERPOLATE_REGEXP);
+        return (interpolate) ? queryString + "&interpolate=1" : queryString;
+    }
+    
     var FILTER_TEXT_REGEXP = /(?:^|&|\?)filterText=([^&]*)/;
     
     /**
@@ -373,6 +406,75 @@
         return (filterText === "") ? queryString : queryString + "&filterText=" + encodeURIComponent(filterText);
     }
     
+    var TIME_LOSS_METHOD_REGEXP = /(?:^|&|\?)timeLoss=([^&]+)/;
+    
+    /**
+    * Reads the method of estimating time losses from the given query string.
+    * @param {String} queryString - The query-string to read.
+    * @return {Object|null} Selected time-loss method, or null if none was
+    *     specified or the method is not recognised.
+    */
+    function readTimeLossMethod(queryString) {
+        var timeLossMethodMatch = TIME_LOSS_METHOD_REGEXP.exec(queryString);
+        if (timeLossMethodMatch === null) {
+            return null;
+        } else {
+            var methodName = timeLossMethodMatch[1];
+            if (TimeLossMethods.hasOwnProperty(methodName)) {
+                return TimeLossMethods[methodName];
+            } else {
+                return null;
+            }
+        }
+    }
+    
+    /**
+    * Formats the given method of estimating time losses into the given
+    * query-string.  The default method, median split ratio, is left out.
+    * @param {String} queryString - The original query-string.
+    * @param {Object|null|undefined} timeLossMethod - The time-loss method.
+    * @return {String} The query-string with the time-loss method formatted
+    *     in.
+    */
+    function formatTimeLossMethod(queryString, timeLossMethod) {
+        queryString = removeAll(queryString, TIME_LOSS_METHOD_REGEXP);
+        if (timeLossMethod === TimeLossMethods.MedianSplitRatio) {
+            return queryString;
+        }
+        
+        for (var methodName in TimeLossMethods) {
+            if (TimeLossMethods.hasOwnProperty(methodName) && TimeLossMethods[methodName] === timeLossMethod) {
+                return queryString + "&timeLoss=" + encodeURIComponent(methodName);
+            }
+        }
+        
+        // Unrecognised time-loss method?
+        return queryString;
+    }
+    
+    var ENCODING_REGEXP = /(?:^|&|\?)encoding=([^&]+)/;
+    
+    /**
+    * Reads the character encoding of the event data from the given query
+    * string.
+    *
+    * Unlike the other query-string parameters, this is read before the event
+    * data, as it is needed to read the event data.  It is not formatted back
+    * into the query string, but as an unrecognised parameter it is preserved.
+    *
+    * @param {String} queryString - The query-string to read.
+    * @return {String|null} The name of the encoding, or null if the query
+    *     string doesn't specify one.
+    */
+    function parseEncoding(queryString) {
+        var encodingMatch = ENCODING_REGEXP.exec(queryString);
+        if (encodingMatch === null) {
+            return null;
+        } else {
+            return decodeURIComponent(encodingMatch[1]);
+        }
+    }
+    
     /**
     * Attempts to parse the given query string.
     * @param {String} queryString - The query string to parse.
@@ -389,7 +491,9 @@
             selected: readSelectedCompetitors(queryString, courseClassSet),
             stats: readSelectedStatistics(queryString),
             showOriginal: readShowOriginal(queryString),
-            filterText: readFilterText(queryString)
+            interpolate: readInterpolate(queryString),
+            filterText: readFilterText(queryString),
+            timeLossMethod: readTimeLossMethod(queryString)
         };
     }
 
@@ -415,11 +519,14 @@
         queryString = formatSelectedCompetitors(queryString, courseClassSet, data.selected);
         queryString = formatSelectedStatistics(queryString, data.stats);
         queryString = formatShowOriginal(queryString, data.showOriginal);
+        queryString = formatInterpolate(queryString, data.interpolate);
         queryString = formatFilterText(queryString, data.filterText);
+        queryString = formatTimeLossMethod(queryString, data.timeLossMethod);
         queryString = queryString.replace(/^\??&/, "");
         return queryString;
     }
     
     SplitsBrowser.parseQueryString = parseQueryString;
     SplitsBrowser.formatQueryString = formatQueryString;
+    SplitsBrowser.parseEncodingFromQueryString = parseEncoding;
 })();
\ No newline at end of file
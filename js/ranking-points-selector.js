@@ -0,0 +1,125 @@
+/*
+ *  SplitsBrowser RankingPointsSelector - Provides a choice of schemes of
+ *  awarding ranking points.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+
+    /**
+    * Returns the key of the message naming the given ranking-points scheme.
+    * @param {?Object} scheme - The scheme, or null for no ranking points.
+    * @return {String} The key of the message naming the scheme.
+    */
+    function getNameKey(scheme) {
+        return (scheme === null) ? "RankingPointsNone" : scheme.nameKey;
+    }
+
+    /**
+    * A control that wraps a drop-down list used to choose the scheme of
+    * awarding ranking points, if any.  The first option is always to award no
+    * ranking points, and is selected initially.
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    * @param {Array} schemes - Array of ranking-points schemes to list after
+    *     the option to award no ranking points.
+    */
+    function RankingPointsSelector(parent, schemes) {
+        this.changeHandlers = [];
+        this.schemes = [null].concat(schemes);
+
+        var div = d3.select(parent).append("div")
+                                   .classed("topRowStart", true)
+                                   .attr("id", "rankingPointsSelectorContainer");
+
+        this.labelSpan = div.append("span");
+
+        var outerThis = this;
+        this.dropDown = div.append("select").node();
+        $(this.dropDown).bind("change", function() { outerThis.onSelectionChanged(); });
+
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(this.schemes);
+        this.optionsList.enter().append("option");
+
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(this.schemes);
+        this.optionsList.attr("value", function (_value, index) { return index.toString(); });
+
+        this.optionsList.exit().remove();
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages displayed within this control, following either its
+    * creation or a change of selected language.
+    */
+    RankingPointsSelector.prototype.setMessages = function () {
+        this.labelSpan.text(getMessage("RankingPointsSelectorLabel"));
+        this.optionsList.text(function (scheme) { return getMessage(getNameKey(scheme)); });
+    };
+
+    /**
+    * Add a change handler to be called whenever the selected ranking-points
+    * scheme is changed.
+    *
+    * The selected scheme, or null if no ranking points are to be awarded, is
+    * passed to the handler function.
+    *
+    * @param {Function} handler - Handler function to be called whenever the
+    *                             scheme changes.
+    */
+    RankingPointsSelector.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Returns the currently-selected ranking-points scheme.
+    * @return {?Object} The currently-selected scheme, or null if no ranking
+    *     points are to be awarded.
+    */
+    RankingPointsSelector.prototype.getRankingPointsScheme = function () {
+        return this.schemes[Math.max(this.dropDown.selectedIndex, 0)];
+    };
+
+    /**
+    * Sets the ranking-points scheme.  If the scheme given is not recognised,
+    * nothing happens.
+    * @param {?Object} scheme - The scheme selected, or null to award no
+    *     ranking points.
+    */
+    RankingPointsSelector.prototype.setRankingPointsScheme = function (scheme) {
+        var index = this.schemes.indexOf(scheme);
+        if (index >= 0) {
+            this.dropDown.selectedIndex = index;
+            this.onSelectionChanged();
+        }
+    };
+
+    /**
+    * Handle a change of the selected option in the drop-down list.
+    */
+    RankingPointsSelector.prototype.onSelectionChanged = function () {
+        this.changeHandlers.forEach(function (handler) { handler(this.getRankingPointsScheme()); }, this);
+    };
+
+    SplitsBrowser.Controls.RankingPointsSelector = RankingPointsSelector;
+})();
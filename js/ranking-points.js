@@ -0,0 +1,114 @@
+/*
+ *  SplitsBrowser Ranking points - Ways of awarding ranking points.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    // The mean and standard deviation of the points awarded by the British
+    // Orienteering scheme.
+    var BRITISH_MEAN_POINTS = 1000;
+    var BRITISH_POINTS_STANDARD_DEVIATION = 200;
+
+    // The points awarded to the winner by the winner-percentage scheme.
+    var WINNER_PERCENTAGE_POINTS = 100;
+
+    /**
+    * Returns the points awarded for the given finish times using the British
+    * Orienteering ranking formula,
+    *
+    *     points = MP + SP * (MT - time) / ST,
+    *
+    * where MT and ST are the mean and standard deviation of the finish times,
+    * and MP and SP those of the ranking points of the competitors.  The
+    * competitors' existing ranking points are not known, so they are taken
+    * to be all the same, giving fixed values of MP and SP.  If fewer than two
+    * competitors finished, or they all took the same time, each is awarded
+    * MP points.
+    *
+    * @param {Array} times - Array of the finish times of the competitors.
+    * @return {Array} Array of the points awarded for each time.
+    */
+    function getBritishOrienteeringPoints(times) {
+        var meanTime = d3.mean(times);
+        var timeStandardDeviation = d3.deviation(times);
+        return times.map(function (time) {
+            if (!timeStandardDeviation) {
+                return BRITISH_MEAN_POINTS;
+            } else {
+                return Math.round(BRITISH_MEAN_POINTS + BRITISH_POINTS_STANDARD_DEVIATION * (meanTime - time) / timeStandardDeviation);
+            }
+        });
+    }
+
+    /**
+    * Returns the points awarded for the given finish times as a percentage of
+    * the winner's time, in the style of Swiss Orienteering rankings: the
+    * winner scores 100 points, and someone taking twice as long as the winner
+    * scores 50.  Points are rounded to two decimal places.
+    * @param {Array} times - Array of the finish times of the competitors.
+    * @return {Array} Array of the points awarded for each time.
+    */
+    function getWinnerPercentagePoints(times) {
+        var winnerTime = d3.min(times);
+        return times.map(function (time) {
+            return (time === 0) ? WINNER_PERCENTAGE_POINTS : Math.round(100 * WINNER_PERCENTAGE_POINTS * winnerTime / time) / 100;
+        });
+    }
+
+    // The schemes of awarding ranking points.  Each scheme gives a function
+    // that takes the finish times of the competitors in a class eligible for
+    // ranking points, and returns the points awarded for each time.
+    SplitsBrowser.Model.RankingPointsSchemes = {
+        BritishOrienteering: {
+            nameKey: "RankingPointsBritishOrienteering",
+            getPoints: getBritishOrienteeringPoints
+        },
+        WinnerPercentage: {
+            nameKey: "RankingPointsWinnerPercentage",
+            getPoints: getWinnerPercentagePoints
+        }
+    };
+
+    /**
+    * Creates a scheme of awarding ranking points using a custom formula.
+    *
+    * The formula is given as a function that is called for each competitor
+    * eligible for ranking points, with their finish time and an array of the
+    * finish times of all eligible competitors in the class, sorted into
+    * ascending order.  It returns the points awarded to the competitor.
+    *
+    * @param {Function} formula - The function giving the points awarded.
+    * @return {Object} The ranking-points scheme.
+    */
+    SplitsBrowser.Model.createCustomRankingPointsScheme = function (formula) {
+        if (typeof formula !== "function") {
+            throw new TypeError("The formula of a custom ranking-points scheme must be a function");
+        }
+
+        return {
+            nameKey: "RankingPointsCustom",
+            getPoints: function (times) {
+                var sortedTimes = times.slice(0);
+                sortedTimes.sort(d3.ascending);
+                return times.map(function (time) { return formula(time, sortedTimes); });
+            }
+        };
+    };
+})();
@@ -0,0 +1,148 @@
+/*
+ *  SplitsBrowser RelayViewSelector - Provides a choice between viewing the
+ *  whole teams of a relay class and the runners of one of its legs.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+
+    /**
+    * A control that wraps a drop-down list used to choose between viewing
+    * the whole teams of a relay class and viewing the runners of one of its
+    * legs.  The control is hidden unless the class being viewed is a relay
+    * class or the class of one of the legs of a relay.
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    */
+    function RelayViewSelector(parent) {
+        this.changeHandlers = [];
+        this.viewClasses = [];
+
+        this.div = d3.select(parent).append("div")
+                                    .classed("topRowStart", true)
+                                    .attr("id", "relayViewSelectorContainer")
+                                    .style("display", "none");
+
+        this.labelSpan = this.div.append("span");
+
+        var outerThis = this;
+        this.dropDown = this.div.append("select").node();
+        $(this.dropDown).bind("change", function() { outerThis.onSelectionChanged(); });
+
+        this.setMessages();
+    }
+
+    /**
+    * Returns the label of the option used to view the given class of the
+    * relay class with the given leg classes.
+    * @param {CourseClass} courseClass - The class to view, either the relay
+    *     class itself or the class of one of its legs.
+    * @param {Array} relayLegClasses - Array containing, for each leg of the
+    *     relay, an array of the classes of the leg.
+    * @return {String} The label of the option.
+    */
+    function getViewLabel(courseClass, relayLegClasses) {
+        for (var legIndex = 0; legIndex < relayLegClasses.length; legIndex += 1) {
+            var classesOfLeg = relayLegClasses[legIndex];
+            if (classesOfLeg.indexOf(courseClass) >= 0) {
+                var label = getMessageWithFormatting("RelayViewLeg", {"$$LEG$$": legIndex + 1});
+
+                // A forked leg has a class for each variation, which is named
+                // after the course of the variation.
+                return (classesOfLeg.length > 1 && courseClass.course !== null) ? label + " (" + courseClass.course.name + ")" : label;
+            }
+        }
+
+        return getMessage("RelayViewTeams");
+    }
+
+    /**
+    * Sets the messages displayed within this control, following either its
+    * creation or a change of selected language.
+    */
+    RelayViewSelector.prototype.setMessages = function () {
+        this.labelSpan.text(getMessage("RelayViewSelectorLabel"));
+        if (this.viewClasses.length > 0) {
+            var relayLegClasses = this.viewClasses[0].relayLegClasses;
+            d3.select(this.dropDown).selectAll("option")
+                                    .text(function (courseClass) { return getViewLabel(courseClass, relayLegClasses); });
+        }
+    };
+
+    /**
+    * Sets the class being viewed.  If it is a relay class or the class of a
+    * leg of a relay, the whole teams of the relay and the classes of each of
+    * its legs are listed, with the class being viewed selected, and this
+    * control is shown.  Otherwise this control is hidden.  The change
+    * handlers are not called.
+    * @param {?CourseClass} courseClass - The class being viewed, or null if
+    *     none.
+    */
+    RelayViewSelector.prototype.setClass = function (courseClass) {
+        var teamClass = (courseClass === null) ? null : courseClass.getRelayTeamClass();
+        if (teamClass === null || teamClass.relayLegClasses === null) {
+            this.viewClasses = [];
+        } else {
+            this.viewClasses = [teamClass];
+            teamClass.relayLegClasses.forEach(function (classesOfLeg) {
+                this.viewClasses = this.viewClasses.concat(classesOfLeg);
+            }, this);
+        }
+
+        var options = d3.select(this.dropDown).selectAll("option").data(this.viewClasses);
+        options.enter().append("option");
+        options.exit().remove();
+
+        d3.select(this.dropDown).selectAll("option")
+                                .data(this.viewClasses)
+                                .attr("value", function (_courseClass, index) { return index.toString(); });
+
+        this.setMessages();
+        this.dropDown.selectedIndex = Math.max(this.viewClasses.indexOf(courseClass), 0);
+        this.div.style("display", (this.viewClasses.length > 0) ? null : "none");
+    };
+
+    /**
+    * Add a change handler to be called whenever the selected view is
+    * changed.
+    *
+    * The class to view, either the relay class itself or the class of one of
+    * its legs, is passed to the handler function.
+    *
+    * @param {Function} handler - Handler function to be called whenever the
+    *                             selected view changes.
+    */
+    RelayViewSelector.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Handle a change of the selected option in the drop-down list.
+    */
+    RelayViewSelector.prototype.onSelectionChanged = function () {
+        var courseClass = this.viewClasses[Math.max(this.dropDown.selectedIndex, 0)];
+        this.changeHandlers.forEach(function (handler) { handler(courseClass); });
+    };
+
+    SplitsBrowser.Controls.RelayViewSelector = RelayViewSelector;
+})();
@@ -119,6 +119,34 @@
         }
     }
 
+    /**
+    * Returns the pace of the given competitor over the whole of the given
+    * course, formatted as minutes and seconds per kilometre.  If the
+    * competitor didn't complete the course or the length of the course is not
+    * known, a non-breaking space is returned instead.
+    * @param {Competitor} competitor - The competitor.
+    * @param {Course} course - The course the competitor ran.
+    * @return {String} The formatted pace of the competitor.
+    */
+    function getPace(competitor, course) {
+        if (competitor.completed() && course.length !== null && course.length > 0) {
+            return formatTime(Math.round(competitor.totalTime / course.length)) + "/km";
+        } else {
+            return NON_BREAKING_SPACE_CHAR;
+        }
+    }
+
+    /**
+    * Returns the points scored by the given competitor in a score event, after
+    * the deduction of any penalty, or null if the competitor has no score
+    * result or the points are not known.
+    * @param {Competitor} competitor - The competitor.
+    * @return {?Number} The points scored by the competitor.
+    */
+    function getNetPoints(competitor) {
+        return (competitor.scoreResult === null) ? null : competitor.scoreResult.getNetPoints();
+    }
+
     /**
     * Escapes a piece of text as HTML so that it can be concatenated into an
     * HTML string without the risk of any injection.
@@ -133,8 +161,11 @@
     * Populates the contents of the table with the course-class data.
     */
     ResultsTable.prototype.populateTable = function () {
+        var isScoreClass = this.courseClass.isScoreClass();
         var headerText = this.courseClass.name + ", ";
-        if (this.courseClass.numControls === 1) {
+        if (isScoreClass) {
+            headerText += getMessage("ResultsTableHeaderScoreEvent");
+        } else if (this.courseClass.numControls === 1) {
             headerText += getMessage("ResultsTableHeaderSingleControl");
         } else {
             headerText += getMessageWithFormatting("ResultsTableHeaderMultipleControls", {"$$NUM$$": this.courseClass.numControls});
@@ -156,16 +187,50 @@
             getMessage("ResultsTableHeaderTime")
         ];
         
-        var controls = this.courseClass.course.controls;
-        if (controls === null) {
-            headerCellData = headerCellData.concat(d3.range(1, this.courseClass.numControls + 1));
+        // Graded times are only shown if some competitors' times are graded.
+        var hasGradedTimes = this.courseClass.competitors.some(function (competitor) { return competitor.gradingFactor !== null; });
+        if (hasGradedTimes) {
+            headerCellData.push(getMessage("ResultsTableHeaderGradedTime"));
+        }
+        
+        // Ranking points are only shown if some have been awarded.
+        var hasRankingPoints = this.courseClass.competitors.some(function (competitor) { return competitor.rankingPoints !== null; });
+        if (hasRankingPoints) {
+            headerCellData.push(getMessage("ResultsTableHeaderRankingPoints"));
+        }
+        
+        var controls = this.courseClass.course.getCombinedControls();
+        var changeoverIndexes = this.courseClass.getChangeoverIndexes();
+        if (isScoreClass) {
+            // Each competitor punches their own controls, so number the
+            // columns after the most punches made by any competitor.
+            var maxPunchCount = d3.max(this.courseClass.competitors, function (competitor) {
+                return (competitor.scoreResult === null) ? 0 : competitor.scoreResult.punches.length;
+            });
+            
+            headerCellData = headerCellData.concat([
+                getMessage("ResultsTableHeaderPoints"),
+                getMessage("ResultsTableHeaderPenalty"),
+                getMessage("ResultsTableHeaderNetPoints")
+            ]).concat(d3.range(1, maxPunchCount + 1));
         } else {
-            headerCellData = headerCellData.concat(controls.map(function (control, index) {
-                return (index + 1) + NON_BREAKING_SPACE_CHAR + "(" + control + ")";
+            headerCellData = headerCellData.concat(d3.range(1, this.courseClass.numControls + 1).map(function (controlNum) {
+                var header = (controls === null) ? controlNum.toString() : controlNum + NON_BREAKING_SPACE_CHAR + "(" + controls[controlNum - 1] + ")";
+                
+                // Relay classes show the changeovers whether or not the
+                // course lists its controls.
+                var changeoverIndex = changeoverIndexes.indexOf(controlNum);
+                if (changeoverIndex >= 0) {
+                    header += NON_BREAKING_SPACE_CHAR + "(" + getMessageWithFormatting("ResultsTableHeaderChangeover", {"$$LEG$$": changeoverIndex + 1}) + ")";
+                }
+                
+                return header;
             }));
         }
-            
-        headerCellData.push(getMessage("FinishName"));
+        
+        if (!isScoreClass) {
+            headerCellData.push(getMessage("FinishName"));
+        }
         
         var headerCells = this.table.select("thead tr")
                                     .selectAll("th")
@@ -184,8 +249,9 @@
         
         // Adds a two-line cell to the array of table-body HTML parts.
         // If truthy, cssClass is assumed to be HTML-safe and not require
-        // escaping.
-        function addCell(topLine, bottomLine, cssClass, cumFastest, splitFastest, cumDubious, splitDubious) {
+        // escaping.  If given, bottomTooltip and topTooltip are shown as
+        // tooltips on the bottom and top lines respectively.
+        function addCell(topLine, bottomLine, cssClass, cumFastest, splitFastest, cumDubious, splitDubious, bottomTooltip, topTooltip) {
             htmlBits.push("<td");
             if (cssClass) {
                 htmlBits.push(" class=\"" + cssClass + "\"");
@@ -197,6 +263,10 @@
                 htmlBits.push(" class=\"" + className + "\"");
             }
             
+            if (topTooltip) {
+                htmlBits.push(" title=\"" + escapeHtml(topTooltip) + "\"");
+            }
+            
             htmlBits.push(">");
             htmlBits.push(escapeHtml(topLine));
             htmlBits.push("</span><br><span");
@@ -205,11 +275,38 @@
                 htmlBits.push(" class=\"" + className + "\"");
             }
             
+            if (bottomTooltip) {
+                htmlBits.push(" title=\"" + escapeHtml(bottomTooltip) + "\"");
+            }
+            
             htmlBits.push(">");
             htmlBits.push(escapeHtml(bottomLine));
             htmlBits.push("</span></td>\n");
         }
         
+        // Adds the cells of a competitor in a score event: the points scored,
+        // the penalty, the points after the penalty, then one cell for each
+        // punch.
+        function addScoreCells(competitor, precision) {
+            var scoreResult = competitor.scoreResult;
+            if (scoreResult === null) {
+                addCell(NON_BREAKING_SPACE_CHAR, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+                addCell(NON_BREAKING_SPACE_CHAR, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+                addCell(NON_BREAKING_SPACE_CHAR, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+                return;
+            }
+            
+            var netPoints = scoreResult.getNetPoints();
+            addCell((scoreResult.points === null) ? "-" : "" + scoreResult.points, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+            addCell("" + scoreResult.penalty, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+            addCell((netPoints === null) ? "-" : "" + netPoints, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+            
+            scoreResult.punches.forEach(function (punch) {
+                var topLine = (punch.points === null) ? punch.code : punch.code + NON_BREAKING_SPACE_CHAR + "(" + punch.points + ")";
+                addCell(topLine, formatTime(punch.time, precision), "time", false, false, false, false);
+            });
+        }
+        
         var competitors = this.courseClass.competitors.slice(0);
         competitors.sort(compareCompetitors);
         
@@ -225,7 +322,7 @@
                 htmlBits.push(escapeHtml(getMessage("NonCompetitiveShort")));
                 nonCompCount += 1;
             } else if (competitor.completed()) {
-                if (index === 0 || competitors[index - 1].totalTime !== competitor.totalTime) {
+                if (index === 0 || competitors[index - 1].getGradedTotalTime() !== competitor.getGradedTotalTime() || getNetPoints(competitors[index - 1]) !== getNetPoints(competitor)) {
                     rank = index + 1 - nonCompCount;
                 }
                 
@@ -234,18 +331,52 @@
             
             htmlBits.push("</td>");
             
-            addCell(competitor.name, competitor.club, false, false, false, false);
-            addCell(getTimeOrStatus(competitor), NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+            // Competitors on a forked course have the variation they ran shown
+            // after their club.
+            addCell(competitor.name, (competitor.variation === null) ? competitor.club : competitor.club + " (" + competitor.variation + ")", false, false, false, false);
+            var rawTimeTooltip = (competitor.completed() && competitor.rawTotalTime !== competitor.totalTime) ? getMessageWithFormatting("ResultsTableRawTimeTooltip", {"$$TIME$$": formatTime(competitor.rawTotalTime)}) : null;
+            addCell(getTimeOrStatus(competitor), (isScoreClass) ? NON_BREAKING_SPACE_CHAR : getPace(competitor, course), "time", false, false, false, false, null, rawTimeTooltip);
             
-            d3.range(1, this.courseClass.numControls + 2).forEach(function (controlNum) {
-                var formattedCumTime = formatTime(competitor.getOriginalCumulativeTimeTo(controlNum), precision);
-                var formattedSplitTime = formatTime(competitor.getOriginalSplitTimeTo(controlNum), precision);
-                var isCumTimeFastest = (competitor.getCumulativeRankTo(controlNum) === 1);
-                var isSplitTimeFastest = (competitor.getSplitRankTo(controlNum) === 1);
-                var isCumDubious = competitor.isCumulativeTimeDubious(controlNum);
-                var isSplitDubious = competitor.isSplitTimeDubious(controlNum);
-                addCell(formattedCumTime, formattedSplitTime, "time", isCumTimeFastest, isSplitTimeFastest, isCumDubious, isSplitDubious);
-            });
+            if (hasGradedTimes) {
+                addCell((competitor.completed()) ? formatTime(competitor.getGradedTotalTime()) : NON_BREAKING_SPACE_CHAR,
+                        (competitor.gradingFactor === null) ? NON_BREAKING_SPACE_CHAR : "\u00d7" + competitor.gradingFactor.toFixed(3),
+                        "time", false, false, false, false);
+            }
+            
+            if (hasRankingPoints) {
+                addCell((competitor.rankingPoints === null) ? NON_BREAKING_SPACE_CHAR : "" + competitor.rankingPoints, NON_BREAKING_SPACE_CHAR, "time", false, false, false, false);
+            }
+            
+            if (isScoreClass) {
+                addScoreCells(competitor, precision);
+            } else {
+                d3.range(1, this.courseClass.numControls + 2).forEach(function (controlNum) {
+                    var formattedCumTime = formatTime(competitor.getOriginalCumulativeTimeTo(controlNum), precision);
+                    if (changeoverIndexes.indexOf(controlNum) >= 0) {
+                        // Show the position of the team after each changeover.
+                        var position = competitor.getCumulativeRankTo(controlNum);
+                        if (isNotNullNorNaN(position)) {
+                            formattedCumTime += NON_BREAKING_SPACE_CHAR + "(" + position + ")";
+                        }
+                    }
+                
+                    var formattedSplitTime = formatTime(competitor.getOriginalSplitTimeTo(controlNum), precision);
+                    var isCumTimeFastest = (competitor.getCumulativeRankTo(controlNum) === 1);
+                    var isSplitTimeFastest = (competitor.getSplitRankTo(controlNum) === 1);
+                    var isCumDubious = competitor.isCumulativeTimeDubious(controlNum);
+                    var isSplitDubious = competitor.isSplitTimeDubious(controlNum);
+                    var timeLoss = competitor.getTimeLossAt(controlNum);
+                    var timeLossTooltip;
+                    if (competitor.isLegNeutralised(controlNum)) {
+                        timeLossTooltip = getMessage("ResultsTableNeutralisedLegTooltip");
+                    } else {
+                        timeLossTooltip = (isNotNullNorNaN(timeLoss)) ? getMessageWithFormatting("ResultsTableTimeLossTooltip", {"$$TIME$$": formatTime(timeLoss)}) : null;
+                    }
+                    
+                    var estimatedTimeTooltip = (competitor.isCumulativeTimeEstimated(controlNum)) ? getMessageWithFormatting("ResultsTableEstimatedTimeTooltip", {"$$TIME$$": formatTime(competitor.getCumulativeTimeTo(controlNum), precision)}) : null;
+                    addCell(formattedCumTime, formattedSplitTime, "time", isCumTimeFastest, isSplitTimeFastest, isCumDubious, isSplitDubious, timeLossTooltip, estimatedTimeTooltip);
+                });
+            }
             
             htmlBits.push("</tr>\n");
             
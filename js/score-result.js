@@ -0,0 +1,101 @@
+/*
+ *  SplitsBrowser ScoreResult - The result of a competitor in a score event.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    /**
+    * Object that represents the result of a competitor in a score event, such
+    * as a score-O or a rogaine.
+    *
+    * In a score event, each competitor chooses which controls to visit and in
+    * which order, so each competitor has their own sequence of punches.  Each
+    * punch is an object with the following properties:
+    * * code {String} - The code of the control punched.
+    * * time {Number} - The time of the punch, in seconds since the
+    *   competitor started.
+    * * points {?Number} - The points scored for the control, or null if not
+    *   known.
+    *
+    * If the points scored are not given, they are calculated from the punches,
+    * provided that the points of every punch are known.
+    *
+    * @constructor
+    * @param {Array} punches - Array of punches, in the order the competitor
+    *     punched them.
+    * @param {?Number} points - The points the competitor scored before any
+    *     penalty is deducted, or null if not known.
+    * @param {Number} penalty - The points deducted as a penalty, for example
+    *     for finishing late.
+    */
+    function ScoreResult(punches, points, penalty) {
+        if (!$.isArray(punches)) {
+            throw new TypeError("Punches must be an array - got " + typeof punches + " instead");
+        }
+
+        this.punches = punches;
+        this.penalty = penalty;
+        if (points === null && punches.length > 0 && this.hasPointsForAllPunches()) {
+            points = d3.sum(punches, function (punch) { return punch.points; });
+        }
+
+        this.points = points;
+    }
+
+    /**
+    * Returns whether the points scored at every punch are known.
+    * @return {boolean} True if the points of every punch are known, false if
+    *     at least one isn't.
+    */
+    ScoreResult.prototype.hasPointsForAllPunches = function () {
+        return this.punches.every(function (punch) { return punch.points !== null; });
+    };
+
+    /**
+    * Returns the points the competitor scored after the deduction of any
+    * penalty, or null if the points scored are not known.
+    * @return {?Number} The competitor's score.
+    */
+    ScoreResult.prototype.getNetPoints = function () {
+        return (this.points === null) ? null : this.points - this.penalty;
+    };
+
+    /**
+    * Returns the cumulative values accumulated by the competitor after each
+    * of their punches.
+    *
+    * If points are to be counted, the value after each punch is the total of
+    * the points of all punches up to and including that one.  Otherwise, the
+    * value is the number of controls punched so far.
+    *
+    * @param {boolean} countPoints - True to count points, false to count
+    *     controls.
+    * @return {Array} Array of cumulative values, one for each punch.
+    */
+    ScoreResult.prototype.getCumulativeValues = function (countPoints) {
+        var total = 0;
+        return this.punches.map(function (punch) {
+            total += (countPoints) ? punch.points : 1;
+            return total;
+        });
+    };
+
+    SplitsBrowser.Model.ScoreResult = ScoreResult;
+})();
@@ -30,10 +30,10 @@
     var LABEL_ID_PREFIX = "statisticCheckbox";
 
     // Internal names of the statistics.
-    var STATISTIC_NAMES = ["TotalTime", "SplitTime", "BehindFastest", "TimeLoss"];
+    var STATISTIC_NAMES = ["TotalTime", "SplitTime", "BehindFastest", "TimeLoss", "Pace"];
 
-    // Message keys for the labels of the four checkboxes.
-    var STATISTIC_NAME_KEYS = ["StatisticsTotalTime", "StatisticsSplitTime", "StatisticsBehindFastest", "StatisticsTimeLoss"];
+    // Message keys for the labels of the five checkboxes.
+    var STATISTIC_NAME_KEYS = ["StatisticsTotalTime", "StatisticsSplitTime", "StatisticsBehindFastest", "StatisticsTimeLoss", "StatisticsPace"];
     
     // Names of statistics that are selected by default when the application
     // starts.
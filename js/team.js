@@ -0,0 +1,146 @@
+/*
+ *  SplitsBrowser Team - The runners of a single relay team.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var throwInvalidData = SplitsBrowser.throwInvalidData;
+    var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
+
+    /**
+    * Object that represents a relay team.
+    *
+    * The members of the team are given as an array with one element for each
+    * leg, the first element being the runner of the first leg.  A leg that no
+    * runner of the team ran has a null element.
+    *
+    * @constructor
+    * @param {String} name - The name of the team.
+    * @param {String} club - The name of the team's club.
+    * @param {Array} members - Array of Competitor objects, one for each leg,
+    *     or null for a leg without a runner.
+    */
+    function Team(name, club, members) {
+        this.name = name;
+        this.club = club;
+        this.members = members;
+    }
+
+    /**
+    * Returns the runner of the given leg, or null if the team had no runner
+    * on that leg.
+    * @param {Number} legIndex - The index of the leg, with 0 being the first
+    *     leg.
+    * @return {?Competitor} The runner of the leg, or null if none.
+    */
+    Team.prototype.getMember = function (legIndex) {
+        return (legIndex < this.members.length) ? this.members[legIndex] : null;
+    };
+
+    /**
+    * Returns whether none of the members of this team started.
+    * @return {boolean} True if no member of the team started, false if at
+    *     least one did.
+    */
+    Team.prototype.isNonStarter = function () {
+        return this.members.every(function (member) { return member === null || member.isNonStarter; });
+    };
+
+    /**
+    * Creates a competitor that represents the whole team running all of the
+    * legs, one after the other.
+    *
+    * The cumulative times of the competitor created run from the start of
+    * the first leg, with each leg's times following on from the time at the
+    * end of the previous leg.  If the time at the end of a leg isn't known,
+    * the following leg's times are instead placed using the difference
+    * between the start times of the two runners, if both are known.  The
+    * finish of each leg but the last appears as a control, the 'changeover'.
+    *
+    * @param {Number} order - The position of the team within the list of
+    *     results.
+    * @param {Array} legControlCounts - Array containing the number of
+    *     controls on each leg.
+    * @return {Competitor} The competitor for the whole team.
+    */
+    Team.prototype.createTeamCompetitor = function (order, legControlCounts) {
+        var cumTimes = [0];
+        var legStartCumTime = 0;
+        var firstMember = this.getMember(0);
+        var teamStartTime = (firstMember === null) ? null : firstMember.startTime;
+
+        legControlCounts.forEach(function (controlCount, legIndex) {
+            var member = this.getMember(legIndex);
+            if (member !== null && !member.hasAnyTimes() && member.getAllOriginalCumulativeTimes().length !== controlCount + 2) {
+                // A runner with no times at all, such as a non-starter, may
+                // not have the controls of the leg listed.  Treat the runner
+                // as if absent.
+                member = null;
+            }
+
+            if (member === null) {
+                for (var index = 0; index <= controlCount; index += 1) {
+                    cumTimes.push(null);
+                }
+            } else {
+                var legCumTimes = member.getAllOriginalCumulativeTimes();
+                if (legCumTimes.length !== controlCount + 2) {
+                    throwInvalidData("Runner '" + member.name + "' of team '" + this.name + "' has an unexpected number of controls on leg " + (legIndex + 1) +
+                        ": expected " + controlCount + ", actual " + (legCumTimes.length - 2));
+                }
+
+                if (legStartCumTime === null && teamStartTime !== null && member.startTime !== null) {
+                    legStartCumTime = member.startTime - teamStartTime;
+                }
+
+                for (var controlIndex = 1; controlIndex < legCumTimes.length; controlIndex += 1) {
+                    var legCumTime = legCumTimes[controlIndex];
+                    cumTimes.push((legStartCumTime === null || legCumTime === null) ? null : legStartCumTime + legCumTime);
+                }
+            }
+
+            legStartCumTime = cumTimes[cumTimes.length - 1];
+        }, this);
+
+        var competitor = fromOriginalCumTimes(order, this.name, this.club, teamStartTime, cumTimes);
+
+        var runners = legControlCounts.map(function (controlCount, legIndex) { return this.getMember(legIndex); }, this);
+        if (this.isNonStarter()) {
+            competitor.setNonStarter();
+        } else if (runners.some(function (member) { return member === null || member.isNonStarter || member.isNonFinisher; })) {
+            competitor.setNonFinisher();
+        }
+
+        var members = runners.filter(function (member) { return member !== null; });
+        if (members.some(function (member) { return member.isNonCompetitive; })) {
+            competitor.setNonCompetitive();
+        }
+        if (members.some(function (member) { return member.isDisqualified; })) {
+            competitor.disqualify();
+        }
+        if (members.some(function (member) { return member.isOverMaxTime; })) {
+            competitor.setOverMaxTime();
+        }
+
+        return competitor;
+    };
+
+    SplitsBrowser.Model.Team = Team;
+})();
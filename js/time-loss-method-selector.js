@@ -0,0 +1,112 @@
+/*
+ *  SplitsBrowser TimeLossMethodSelector - Provides a choice of methods of
+ *  estimating time losses.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+
+    /**
+    * A control that wraps a drop-down list used to choose the method of
+    * estimating time losses.
+    * @param {HTMLElement} parent - The parent element to add the control to.
+    * @param {Array} methods - Array of time-loss methods to list.  The first
+    *     is selected initially.
+    */
+    function TimeLossMethodSelector(parent, methods) {
+        this.changeHandlers = [];
+        this.methods = methods;
+
+        var div = d3.select(parent).append("div")
+                                   .classed("topRowStart", true)
+                                   .attr("id", "timeLossMethodSelectorContainer");
+
+        this.labelSpan = div.append("span");
+
+        var outerThis = this;
+        this.dropDown = div.append("select").node();
+        $(this.dropDown).bind("change", function() { outerThis.onSelectionChanged(); });
+
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(methods);
+        this.optionsList.enter().append("option");
+
+        this.optionsList = d3.select(this.dropDown).selectAll("option").data(methods);
+        this.optionsList.attr("value", function (_value, index) { return index.toString(); });
+
+        this.optionsList.exit().remove();
+
+        this.setMessages();
+    }
+
+    /**
+    * Sets the messages displayed within this control, following either its
+    * creation or a change of selected language.
+    */
+    TimeLossMethodSelector.prototype.setMessages = function () {
+        this.labelSpan.text(getMessage("TimeLossMethodSelectorLabel"));
+        this.optionsList.text(function (method) { return getMessage(method.nameKey); });
+    };
+
+    /**
+    * Add a change handler to be called whenever the selected method of
+    * estimating time losses is changed.
+    *
+    * The selected method is passed to the handler function.
+    *
+    * @param {Function} handler - Handler function to be called whenever the
+    *                             method changes.
+    */
+    TimeLossMethodSelector.prototype.registerChangeHandler = function (handler) {
+        if (this.changeHandlers.indexOf(handler) === -1) {
+            this.changeHandlers.push(handler);
+        }
+    };
+
+    /**
+    * Returns the currently-selected method of estimating time losses.
+    * @return {Object} The currently-selected method.
+    */
+    TimeLossMethodSelector.prototype.getTimeLossMethod = function () {
+        return this.methods[Math.max(this.dropDown.selectedIndex, 0)];
+    };
+
+    /**
+    * Sets the method of estimating time losses.  If the method given is not
+    * recognised, nothing happens.
+    * @param {Object} method - The method selected.
+    */
+    TimeLossMethodSelector.prototype.setTimeLossMethod = function (method) {
+        var index = this.methods.indexOf(method);
+        if (index >= 0) {
+            this.dropDown.selectedIndex = index;
+            this.onSelectionChanged();
+        }
+    };
+
+    /**
+    * Handle a change of the selected option in the drop-down list.
+    */
+    TimeLossMethodSelector.prototype.onSelectionChanged = function () {
+        this.changeHandlers.forEach(function (handler) { handler(this.getTimeLossMethod()); }, this);
+    };
+
+    SplitsBrowser.Controls.TimeLossMethodSelector = TimeLossMethodSelector;
+})();
@@ -0,0 +1,171 @@
+/*
+ *  SplitsBrowser Time-loss methods - Ways of estimating time losses.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var isNotNullNorNaN = SplitsBrowser.isNotNullNorNaN;
+
+    // The number of runners whose splits are averaged to give the reference
+    // split for each leg in the top-runners method.
+    var TOP_RUNNERS_COUNT = 3;
+
+    // The fraction by which a competitor's split ratio on a leg must exceed
+    // their overall ratio for the leg to be treated as a mistake in the ideal-
+    // time method.
+    var IDEAL_TIME_MISTAKE_THRESHOLD = 0.2;
+
+    /**
+    * Returns the split times of the competitors in the given class that
+    * completed the course, for each leg, sorted into ascending order.
+    * Missing and dubious splits are omitted.
+    * @param {CourseClass} courseClass - The course-class.
+    * @param {?String} variationName - The name of the variation of a forked
+    *     course whose legs to use, or null to use the legs of the class.
+    * @return {Array} Array of arrays of split times, one for each leg.
+    */
+    function getSortedSplitsForEachLeg(courseClass, variationName) {
+        var completingCompetitors = courseClass.competitors.filter(function (comp) { return comp.completed(); });
+        return d3.range(1, courseClass.numControls + 2).map(function (controlIdx) {
+            var splits = completingCompetitors.map(function (comp) { return courseClass.getSplitTimeOnLeg(comp, controlIdx, variationName); })
+                                              .filter(isNotNullNorNaN);
+            splits.sort(d3.ascending);
+            return splits;
+        });
+    }
+
+    /**
+    * Returns the fastest split time on each leg of the given class, or null
+    * for any leg that nobody completed.
+    * @param {CourseClass} courseClass - The course-class.
+    * @param {?String} variationName - The name of the variation of a forked
+    *     course whose legs to use, or null to use the legs of the class.
+    * @return {Array} Array of fastest split times.
+    */
+    function getFastestSplits(courseClass, variationName) {
+        return d3.range(1, courseClass.numControls + 2).map(function (controlIdx) {
+            var splitRec = courseClass.getFastestSplitTo(controlIdx, variationName);
+            return (splitRec === null) ? null : splitRec.split;
+        });
+    }
+
+    /**
+    * Returns the average of the split times of the fastest few competitors on
+    * each leg of the given class, or null for any leg that nobody completed.
+    * @param {CourseClass} courseClass - The course-class.
+    * @param {?String} variationName - The name of the variation of a forked
+    *     course whose legs to use, or null to use the legs of the class.
+    * @return {Array} Array of average split times.
+    */
+    function getTopRunnersAverageSplits(courseClass, variationName) {
+        return getSortedSplitsForEachLeg(courseClass, variationName).map(function (splits) {
+            return (splits.length === 0) ? null : d3.mean(splits.slice(0, TOP_RUNNERS_COUNT));
+        });
+    }
+
+    /**
+    * Returns the median of a competitor's split ratios, i.e. the ratios of
+    * their split times to the reference split times.
+    *
+    * This is the original SplitsBrowser algorithm, with a simplification: we
+    * calculate split ratios (split[i] / reference[i]) rather than time loss
+    * rates (split[i] - reference[i])/reference[i].  A control's split ratio
+    * is its time loss rate plus 1.  Not subtracting one at the start means
+    * that we then don't have to add it back on at the end.
+    *
+    * @param {Array} splitTimes - The competitor's split times.
+    * @param {Array} referenceSplits - The reference split times.
+    * @return {Number} The median split ratio.
+    */
+    function getMedianSplitRatio(splitTimes, referenceSplits) {
+        var splitRatios = splitTimes.map(function (splitTime, index) {
+            return splitTime / referenceSplits[index];
+        });
+
+        splitRatios.sort(d3.ascending);
+
+        if (splitRatios.length % 2 === 1) {
+            return splitRatios[(splitRatios.length - 1) / 2];
+        } else {
+            var midpt = splitRatios.length / 2;
+            return (splitRatios[midpt - 1] + splitRatios[midpt]) / 2;
+        }
+    }
+
+    /**
+    * Returns the ratio of a competitor's time to the ideal time over the legs
+    * on which they didn't make a mistake, in the style of WinSplits.
+    *
+    * The ratio starts as that over all legs.  Legs whose split ratios exceed
+    * the overall ratio by more than a threshold are then treated as mistakes
+    * and left out, and the ratio calculated again, until no more legs are
+    * left out.
+    *
+    * @param {Array} splitTimes - The competitor's split times.
+    * @param {Array} referenceSplits - The reference split times.
+    * @return {Number} The ratio of the competitor's time to the ideal time.
+    */
+    function getIdealTimeRatio(splitTimes, referenceSplits) {
+        var getRatioOverLegs = function (legIndexes) {
+            return d3.sum(legIndexes, function (index) { return splitTimes[index]; }) / d3.sum(legIndexes, function (index) { return referenceSplits[index]; });
+        };
+
+        var getLegsWithoutMistakes = function (legIndexes, ratio) {
+            return legIndexes.filter(function (index) {
+                return splitTimes[index] <= referenceSplits[index] * ratio * (1 + IDEAL_TIME_MISTAKE_THRESHOLD);
+            });
+        };
+
+        var legIndexes = d3.range(0, splitTimes.length);
+        var ratio = getRatioOverLegs(legIndexes);
+        var legIndexesWithoutMistakes = getLegsWithoutMistakes(legIndexes, ratio);
+        while (legIndexesWithoutMistakes.length < legIndexes.length) {
+            legIndexes = legIndexesWithoutMistakes;
+            ratio = getRatioOverLegs(legIndexes);
+            legIndexesWithoutMistakes = getLegsWithoutMistakes(legIndexes, ratio);
+        }
+
+        return ratio;
+    }
+
+    // The methods of estimating time losses.  Each method gives the reference
+    // split time for each leg of a class, and a function that returns the
+    // ratio of a competitor's split times to the reference split times when
+    // they make no mistakes.  A competitor's time loss on a leg is then the
+    // difference between their split time and the reference split time
+    // scaled by this ratio.
+    SplitsBrowser.Model.TimeLossMethods = {
+        MedianSplitRatio: {
+            nameKey: "TimeLossMethodMedianSplitRatio",
+            getReferenceSplits: getFastestSplits,
+            getPerformanceRatio: getMedianSplitRatio
+        },
+        TopRunnersAverage: {
+            nameKey: "TimeLossMethodTopRunnersAverage",
+            getReferenceSplits: getTopRunnersAverageSplits,
+            getPerformanceRatio: getMedianSplitRatio
+        },
+        IdealTime: {
+            nameKey: "TimeLossMethodIdealTime",
+            getReferenceSplits: getFastestSplits,
+            getPerformanceRatio: getIdealTimeRatio
+        }
+    };
+})();
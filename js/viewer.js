@@ -37,25 +37,52 @@
     var Model = SplitsBrowser.Model;
     var CompetitorSelection = Model.CompetitorSelection;
     var CourseClassSet = Model.CourseClassSet;
+    var Event = Model.Event;
+    var MultiDayEvent = Model.MultiDayEvent;
+    var PerformanceHistory = Model.PerformanceHistory;
     var ChartTypes = Model.ChartTypes;
+    var TimeLossMethods = Model.TimeLossMethods;
+    var RankingPointsSchemes = Model.RankingPointsSchemes;
+    var createCustomRankingPointsScheme = Model.createCustomRankingPointsScheme;
+    var AgeGradingTables = Model.AgeGradingTables;
+    var createCustomAgeGradingTable = Model.createCustomAgeGradingTable;
+    var parseCorrections = Model.parseCorrections;
     
     var parseEventData = SplitsBrowser.Input.parseEventData;
+    var parseCourseData = SplitsBrowser.Input.IOFXml.parseCourseData;
     var repairEventData = SplitsBrowser.DataRepair.repairEventData;
-    var transferCompetitorData = SplitsBrowser.DataRepair.transferCompetitorData;
+    var RepairModes = SplitsBrowser.DataRepair.RepairModes;
     var parseQueryString = SplitsBrowser.parseQueryString;
     var formatQueryString = SplitsBrowser.formatQueryString;
+    var parseEncodingFromQueryString = SplitsBrowser.parseEncodingFromQueryString;
+    var decodeData = SplitsBrowser.Input.Encoding.decode;
     
     var Controls = SplitsBrowser.Controls;
     var LanguageSelector = Controls.LanguageSelector;
     var ClassSelector = Controls.ClassSelector;
     var ChartTypeSelector = Controls.ChartTypeSelector;
+    var TimeLossMethodSelector = Controls.TimeLossMethodSelector;
+    var RankingPointsSelector = Controls.RankingPointsSelector;
+    var AgeGradingSelector = Controls.AgeGradingSelector;
+    var DaySelector = Controls.DaySelector;
+    var RelayViewSelector = Controls.RelayViewSelector;
     var ComparisonSelector = Controls.ComparisonSelector;
     var OriginalDataSelector = Controls.OriginalDataSelector;
     var StatisticsSelector = Controls.StatisticsSelector;
     var WarningViewer = Controls.WarningViewer;
     var CompetitorList = Controls.CompetitorList;
     var Chart = Controls.Chart;
+    var ChartExporter = Controls.ChartExporter;
+    var MistakeReport = Controls.MistakeReport;
+    var PackReport = Controls.PackReport;
+    var LegBoxPlot = Controls.LegBoxPlot;
+    var HeadToHead = Controls.HeadToHead;
+    var FileLoader = Controls.FileLoader;
+    var CorrectionEditor = Controls.CorrectionEditor;
     var ResultsTable = Controls.ResultsTable;
+    var LegDifficultyTable = Controls.LegDifficultyTable;
+    var MultiDayResults = Controls.MultiDayResults;
+    var PerformanceHistoryChart = Controls.PerformanceHistoryChart;
     
     /**
     * Checks that D3 version 4 or later is present.
@@ -74,6 +101,28 @@
         }
     }
     
+    /**
+    * Returns whether the given chart type is shown in a table that takes the
+    * place of the competitor list and the chart.
+    * @param {Object} chartType - The chart type.
+    * @return {boolean} True if the chart type is shown in a table, false if
+    *     not.
+    */
+    function isShownInTable(chartType) {
+        return chartType.isResultsTable || chartType.isLegDifficultyTable || chartType.isMultiDayResults;
+    }
+    
+    /**
+    * Returns whether the given chart type is shown in a report that takes the
+    * place of the chart alongside the competitor list.
+    * @param {Object} chartType - The chart type.
+    * @return {boolean} True if the chart type is shown in a report, false if
+    *     not.
+    */
+    function isShownInReport(chartType) {
+        return chartType.isMistakeReport || chartType.isPackReport || chartType.isLegBoxPlot || chartType.isHeadToHead;
+    }
+    
     /**
     * The 'overall' viewer object responsible for viewing the splits graph.
     * @constructor
@@ -84,12 +133,15 @@
         this.options = options;
     
         this.eventData = null;
+        this.multiDayEvent = null;
         this.classes = null;
         this.currentClasses = [];
         this.chartData = null;
         this.referenceCumTimes = null;
         this.fastestCumTimes = null;
         this.previousCompetitorList = [];
+        this.selectionChangeHandler = null;
+        this.classChangeHandler = null;
         
         this.topBarHeight = (options && options.topBar && $(options.topBar).length > 0) ? $(options.topBar).outerHeight(true) : 0;
         
@@ -100,9 +152,23 @@
         this.comparisonSelector = null;
         this.originalDataSelector = null;
         this.statisticsSelector = null;
+        this.timeLossMethodSelector = null;
+        this.rankingPointsSelector = null;
+        this.ageGradingSelector = null;
+        this.daySelector = null;
+        this.relayViewSelector = null;
         this.competitorList = null;
         this.warningViewer = null;
+        this.chartExporter = null;
+        this.fileLoader = null;
+        this.correctionEditor = null;
         this.chart = null;
+        this.mistakeReport = null;
+        this.packReport = null;
+        this.legBoxPlot = null;
+        this.headToHead = null;
+        this.legDifficultyTable = null;
+        this.multiDayResults = null;
         this.topPanel = null;
         this.mainPanel = null;
         this.buttonsPanel = null;
@@ -110,6 +176,12 @@
         this.container = null;
         
         this.currentResizeTimeout = null;
+        
+        // The ID of the timeout for the next refresh of the event data, if
+        // one is scheduled, and whether refreshing has been stopped because
+        // other data is now being viewed.
+        this.refreshTimeout = null;
+        this.refreshStopped = false;
     }
     
     /**
@@ -149,11 +221,19 @@
     Viewer.prototype.setEvent = function (eventData) {
         this.eventData = eventData;
         this.classes = eventData.classes;
+        eventData.applyAgeGrading(this.ageGradingSelector.getAgeGradingTable(), this.getAgeGradingYear());
+        eventData.determineTimeLosses(this.timeLossMethodSelector.getTimeLossMethod());
+        eventData.determineRankingPoints(this.rankingPointsSelector.getRankingPointsScheme());
         if (this.classSelector !== null) {
             this.classSelector.setClasses(this.classes);
         }
         
         this.warningViewer.setWarnings(eventData.warnings);
+        this.warningViewer.setCorrections(eventData.auditTrail);
+        this.warningViewer.setParserName(eventData.parserName);
+        if (this.correctionEditor !== null) {
+            this.correctionEditor.setEvent(eventData);
+        }
     };
 
     /**
@@ -218,6 +298,13 @@
         this.languageSelector = new LanguageSelector(this.topPanel.node());
     };
     
+    /**
+    * Adds the selector of the day of a multi-day event to the top panel.
+    */
+    Viewer.prototype.addDaySelector = function () {
+        this.daySelector = new DaySelector(this.topPanel.node());
+    };
+    
     /**
     * Adds the class selector control to the top panel.
     */
@@ -228,16 +315,99 @@
         }
     };
     
+    /**
+    * Adds the selector between the whole teams and the legs of a relay class
+    * to the top panel.
+    */
+    Viewer.prototype.addRelayViewSelector = function () {
+        this.relayViewSelector = new RelayViewSelector(this.topPanel.node());
+    };
+    
     /**
     * Adds the chart-type selector to the top panel.
     */
     Viewer.prototype.addChartTypeSelector = function () {
         var chartTypes = [ChartTypes.SplitsGraph, ChartTypes.RaceGraph, ChartTypes.PositionAfterLeg,
-                          ChartTypes.SplitPosition, ChartTypes.PercentBehind, ChartTypes.ResultsTable];
+                          ChartTypes.SplitPosition, ChartTypes.PercentBehind, ChartTypes.PaceGraph, ChartTypes.GapToLeader,
+                          ChartTypes.GapToLeaderRaceClock, ChartTypes.ScoreGraph, ChartTypes.LegBoxPlot, ChartTypes.HeadToHead,
+                          ChartTypes.MistakeReport, ChartTypes.PackReport, ChartTypes.ResultsTable, ChartTypes.LegDifficultyTable,
+                          ChartTypes.MultiDayResults];
         
         this.chartTypeSelector = new ChartTypeSelector(this.topPanel.node(), chartTypes);
     };
     
+    /**
+    * Adds the selector of the method of estimating time losses to the top
+    * panel.
+    */
+    Viewer.prototype.addTimeLossMethodSelector = function () {
+        var methods = [TimeLossMethods.MedianSplitRatio, TimeLossMethods.TopRunnersAverage, TimeLossMethods.IdealTime];
+        this.timeLossMethodSelector = new TimeLossMethodSelector(this.topPanel.node(), methods);
+    };
+    
+    /**
+    * Adds the selector of the scheme of awarding ranking points to the top
+    * panel.
+    *
+    * If the options contain a customRankingPoints function, a scheme using it
+    * as its formula is also offered.  If the options contain a
+    * rankingPointsScheme property, the scheme with that name, such as
+    * 'BritishOrienteering', 'WinnerPercentage' or 'Custom', is selected.
+    */
+    Viewer.prototype.addRankingPointsSelector = function () {
+        var schemes = [RankingPointsSchemes.BritishOrienteering, RankingPointsSchemes.WinnerPercentage];
+        var customScheme = null;
+        if (this.options && typeof this.options.customRankingPoints === "function") {
+            customScheme = createCustomRankingPointsScheme(this.options.customRankingPoints);
+            schemes.push(customScheme);
+        }
+        
+        this.rankingPointsSelector = new RankingPointsSelector(this.topPanel.node(), schemes);
+        
+        var schemeName = (this.options) ? this.options.rankingPointsScheme : undefined;
+        if (schemeName === "Custom") {
+            this.rankingPointsSelector.setRankingPointsScheme(customScheme);
+        } else if (schemeName && RankingPointsSchemes.hasOwnProperty(schemeName)) {
+            this.rankingPointsSelector.setRankingPointsScheme(RankingPointsSchemes[schemeName]);
+        }
+    };
+    
+    /**
+    * Adds the selector of the table of factors used to grade competitors'
+    * times by age and gender to the top panel.
+    *
+    * If the options contain a customAgeGradingFactors object, a table using
+    * those factors is also offered.  If the options contain an ageGrading
+    * property, the table with that name, 'WMA' or 'Custom', is selected.
+    */
+    Viewer.prototype.addAgeGradingSelector = function () {
+        var tables = [AgeGradingTables.WMA];
+        var customTable = null;
+        if (this.options && this.options.customAgeGradingFactors) {
+            customTable = createCustomAgeGradingTable(this.options.customAgeGradingFactors);
+            tables.push(customTable);
+        }
+        
+        this.ageGradingSelector = new AgeGradingSelector(this.topPanel.node(), tables);
+        
+        var tableName = (this.options) ? this.options.ageGrading : undefined;
+        if (tableName === "Custom") {
+            this.ageGradingSelector.setAgeGradingTable(customTable);
+        } else if (tableName && AgeGradingTables.hasOwnProperty(tableName)) {
+            this.ageGradingSelector.setAgeGradingTable(AgeGradingTables[tableName]);
+        }
+    };
+    
+    /**
+    * Returns the year used to calculate the ages of competitors when grading
+    * their times.  This is the ageGradingYear property of the options if
+    * given, and the current year if not.
+    * @return {Number} The year used to calculate competitors' ages.
+    */
+    Viewer.prototype.getAgeGradingYear = function () {
+        return (this.options && this.options.ageGradingYear) ? this.options.ageGradingYear : new Date().getFullYear();
+    };
+    
     /**
     * Adds the comparison selector to the top panel.
     */
@@ -249,8 +419,9 @@
     };
     
     /**
-    * Adds a checkbox to select the 'original' data or data after SplitsBrowser
-    * has attempted to repair it.
+    * Adds a drop-down list to select the 'original' data or data after
+    * SplitsBrowser has attempted to repair it, either by removing dubious
+    * times or by estimating them.
     */
     Viewer.prototype.addOriginalDataSelector = function () {
         this.originalDataSelector = new OriginalDataSelector(this.topPanel);
@@ -268,6 +439,32 @@
         this.setDirectLinkMessages();
     };
     
+    /**
+    * Adds the buttons that save the chart as an image to the top panel.
+    */
+    Viewer.prototype.addChartExporter = function () {
+        this.chartExporter = new ChartExporter(this.topPanel.node(), alerter);
+    };
+    
+    /**
+    * Adds the button that loads event data from a local file to the top
+    * panel.
+    */
+    Viewer.prototype.addFileLoader = function () {
+        this.fileLoader = new FileLoader(this.topPanel.node(), alerter);
+        this.fileLoader.setEncoding(getEncoding(this.options));
+    };
+    
+    /**
+    * Adds the editor for correcting the results to the top panel, if the
+    * options say that the user may correct the results.
+    */
+    Viewer.prototype.addCorrectionEditor = function () {
+        if (this.options && this.options.correctionEditor) {
+            this.correctionEditor = new CorrectionEditor(this.topPanel.node(), alerter);
+        }
+    };
+    
     /**
     * Adds the warning viewer to the top panel.
     */
@@ -295,7 +492,9 @@
             selected: this.selection.getSelectedIndexes(),
             stats: this.statisticsSelector.getVisibleStatistics(),
             showOriginal: this.courseClassSet.hasDubiousData() && this.originalDataSelector.isOriginalDataSelected(),
-            filterText: this.competitorList.getFilterText()
+            interpolate: this.courseClassSet.hasDubiousData() && this.originalDataSelector.getRepairMode() === RepairModes.Interpolated,
+            filterText: this.competitorList.getFilterText(),
+            timeLossMethod: this.timeLossMethodSelector.getTimeLossMethod()
         };
         
         var oldQueryString = document.location.search;
@@ -326,14 +525,24 @@
         this.drawLogo();
         this.addLanguageSelector();
         this.addSpacer();
+        this.addDaySelector();
         this.addClassSelector();
+        this.addRelayViewSelector();
         this.addSpacer();
         this.addChartTypeSelector();
         this.addSpacer();
         this.addComparisonSelector();
         this.addOriginalDataSelector();
         this.addSpacer();
+        this.addTimeLossMethodSelector();
+        this.addRankingPointsSelector();
+        this.addAgeGradingSelector();
+        this.addSpacer();
         this.addDirectLink();
+        this.addChartExporter();
+        this.addSpacer();
+        this.addFileLoader();
+        this.addCorrectionEditor();
         this.addWarningViewer();
         
         this.statisticsSelector = new StatisticsSelector(this.topPanel.node());
@@ -347,10 +556,29 @@
                              
         this.addCompetitorList();
         this.chart = new Chart(this.mainPanel.node());
+        this.chartExporter.setChart(this.chart);
+        
+        this.mistakeReport = new MistakeReport(this.mainPanel.node());
+        this.mistakeReport.hide();
+        
+        this.packReport = new PackReport(this.mainPanel.node());
+        this.packReport.hide();
+        
+        this.legBoxPlot = new LegBoxPlot(this.mainPanel.node());
+        this.legBoxPlot.hide();
+        
+        this.headToHead = new HeadToHead(this.mainPanel.node());
+        this.headToHead.hide();
         
         this.resultsTable = new ResultsTable(this.container.node());
         this.resultsTable.hide();
         
+        this.legDifficultyTable = new LegDifficultyTable(this.container.node());
+        this.legDifficultyTable.hide();
+        
+        this.multiDayResults = new MultiDayResults(this.container.node());
+        this.multiDayResults.hide();
+        
         var outerThis = this;
            
         $(window).resize(function () { outerThis.handleWindowResize(); });
@@ -376,11 +604,23 @@
     Viewer.prototype.registerChangeHandlers = function () {
         var outerThis = this;
         this.languageSelector.registerChangeHandler(function () { outerThis.retranslate(); });
-        this.classSelector.registerChangeHandler(function (indexes) { outerThis.selectClasses(indexes); });
+        this.daySelector.registerChangeHandler(function (dayIndex) { outerThis.selectDay(dayIndex); });
+        this.classChangeHandler = function (indexes) { outerThis.selectClasses(indexes); };
+        this.classSelector.registerChangeHandler(this.classChangeHandler);
+        this.relayViewSelector.registerChangeHandler(function (courseClass) { outerThis.selectRelayView(courseClass); });
         this.chartTypeSelector.registerChangeHandler(function (chartType) { outerThis.selectChartTypeAndRedraw(chartType); });
         this.comparisonSelector.registerChangeHandler(function (comparisonFunc) { outerThis.selectComparison(comparisonFunc); });
-        this.originalDataSelector.registerChangeHandler(function (showOriginalData) { outerThis.showOriginalOrRepairedData(showOriginalData); });
+        this.originalDataSelector.registerChangeHandler(function (mode) { outerThis.showOriginalOrRepairedData(mode); });
+        this.timeLossMethodSelector.registerChangeHandler(function (method) { outerThis.selectTimeLossMethodAndRedraw(method); });
+        this.rankingPointsSelector.registerChangeHandler(function (scheme) { outerThis.selectRankingPointsScheme(scheme); });
+        this.ageGradingSelector.registerChangeHandler(function (table) { outerThis.selectAgeGradingTable(table); });
         this.competitorList.registerChangeHandler(function () { outerThis.handleFilterTextChanged(); });
+        this.fileLoader.registerChangeHandler(function (data) { outerThis.loadLocalData(data); });
+        this.fileLoader.registerMultipleFilesHandler(function (dataArray, fileNames) { outerThis.loadLocalMultiDayData(dataArray, fileNames); });
+        this.packReport.registerChangeHandler(function () { outerThis.handlePackSettingsChanged(); });
+        if (this.correctionEditor !== null) {
+            this.correctionEditor.registerChangeHandler(function (correction) { outerThis.applyCorrection(correction); });
+        }
     };
 
     /**
@@ -478,13 +718,17 @@
         var chartHeight = this.getUsableHeight();
         
         this.chart.setSize(chartWidth, chartHeight);
+        this.mistakeReport.setSize(chartWidth, chartHeight);
+        this.packReport.setSize(chartWidth, chartHeight);
+        this.legBoxPlot.setSize(chartWidth, chartHeight);
+        this.headToHead.setSize(chartWidth, chartHeight);
     };
     
     /**
     * Draw the chart using the current data.
     */
     Viewer.prototype.drawChart = function () {
-        if (this.chartTypeSelector.getChartType().isResultsTable) {
+        if (isShownInTable(this.chartTypeSelector.getChartType())) {
             return;
         }
         
@@ -521,8 +765,18 @@
             var comparisonFunction = this.comparisonSelector.getComparisonFunction();
             this.referenceCumTimes = comparisonFunction(this.courseClassSet);
             this.fastestCumTimes = this.courseClassSet.getFastestCumTimes();
-            this.chartData = this.courseClassSet.getChartData(this.referenceCumTimes, this.selection.getSelectedIndexes(), this.chartTypeSelector.getChartType());
-            this.redrawChart();
+            if (this.chartTypeSelector.getChartType().isMistakeReport) {
+                this.redrawMistakeReport();
+            } else if (this.chartTypeSelector.getChartType().isPackReport) {
+                this.packReport.setCourseClassSet(this.courseClassSet);
+            } else if (this.chartTypeSelector.getChartType().isLegBoxPlot) {
+                this.legBoxPlot.draw(this.courseClassSet, this.selection.getSelectedIndexes());
+            } else if (this.chartTypeSelector.getChartType().isHeadToHead) {
+                this.headToHead.draw(this.courseClassSet, this.selection.getSelectedIndexes());
+            } else {
+                this.chartData = this.courseClassSet.getChartData(this.referenceCumTimes, this.selection.getSelectedIndexes(), this.chartTypeSelector.getChartType());
+                this.redrawChart();
+            }
         }
     };
 
@@ -530,15 +784,50 @@
     * Redraws the chart using all of the current data.
     */ 
     Viewer.prototype.redrawChart = function () {
+        var chartType = this.chartTypeSelector.getChartType();
         var data = {
             chartData: this.chartData,
             eventData: this.eventData,
             courseClassSet: this.courseClassSet,
             referenceCumTimes: this.referenceCumTimes,
-            fastestCumTimes: this.fastestCumTimes
+            fastestCumTimes: this.fastestCumTimes,
+            packs: (chartType.isRaceGraph) ? this.courseClassSet.getPacks(this.packReport.getWindowSeconds(), this.packReport.getMinControls()) : []
         };
-            
-        this.chart.drawChart(data, this.selection.getSelectedIndexes(), this.currentVisibleStatistics, this.chartTypeSelector.getChartType());
+        
+        this.chartExporter.setTitle(this.getChartTitle());
+        this.chart.drawChart(data, this.selection.getSelectedIndexes(), this.currentVisibleStatistics, chartType);
+    };
+    
+    /**
+    * Redraws the mistake report, listing the mistakes of the competitors
+    * currently selected.
+    */
+    Viewer.prototype.redrawMistakeReport = function () {
+        var allCompetitors = this.courseClassSet.allCompetitors;
+        this.mistakeReport.setCompetitors(this.selection.getSelectedIndexes().map(function (index) { return allCompetitors[index]; }));
+    };
+    
+    /**
+    * Handles a change of the settings used to detect packs, by redrawing the
+    * race graph, if it is shown, so that the packs shaded on it are updated.
+    */
+    Viewer.prototype.handlePackSettingsChanged = function () {
+        if (this.chartTypeSelector.getChartType().isRaceGraph) {
+            this.redraw();
+        }
+    };
+    
+    /**
+    * Returns the title of the chart, which contains the names of the classes
+    * shown and what their times are compared against.
+    * @return {String} The title of the chart.
+    */
+    Viewer.prototype.getChartTitle = function () {
+        var classNames = this.courseClassSet.classes.map(function (courseClass) { return courseClass.name; });
+        return getMessageWithFormatting("ExportChartTitle", {
+            "$$CLASSES$$": classNames.join(", "),
+            "$$COMPARISON$$": this.comparisonSelector.getComparisonText()
+        });
     };
     
     /**
@@ -546,7 +835,15 @@
     */
     Viewer.prototype.redraw = function () {
         var chartType = this.chartTypeSelector.getChartType();
-        if (!chartType.isResultsTable) {
+        if (chartType.isMistakeReport) {
+            this.redrawMistakeReport();
+        } else if (chartType.isPackReport) {
+            this.packReport.setCourseClassSet(this.courseClassSet);
+        } else if (chartType.isLegBoxPlot) {
+            this.legBoxPlot.draw(this.courseClassSet, this.selection.getSelectedIndexes());
+        } else if (chartType.isHeadToHead) {
+            this.headToHead.draw(this.courseClassSet, this.selection.getSelectedIndexes());
+        } else if (!isShownInTable(chartType)) {
             this.chartData = this.courseClassSet.getChartData(this.referenceCumTimes, this.selection.getSelectedIndexes(), chartType);
             this.redrawChart();
         }
@@ -558,23 +855,41 @@
     Viewer.prototype.retranslate = function () {
         this.setLogoMessages();
         this.languageSelector.setMessages();
+        this.daySelector.setMessages();
         this.classSelector.retranslate();
+        this.relayViewSelector.setMessages();
         this.chartTypeSelector.setMessages();
         this.comparisonSelector.setMessages();
         this.originalDataSelector.setMessages();
         this.setDirectLinkMessages();
+        this.chartExporter.setMessages();
+        this.fileLoader.setMessages();
+        if (this.correctionEditor !== null) {
+            this.correctionEditor.setMessages();
+        }
         this.statisticsSelector.setMessages();
+        this.timeLossMethodSelector.setMessages();
+        this.rankingPointsSelector.setMessages();
+        this.ageGradingSelector.setMessages();
         this.warningViewer.setMessages();
         this.competitorList.retranslate();
         this.resultsTable.retranslate();
-        if (!this.chartTypeSelector.getChartType().isResultsTable) {
+        this.legDifficultyTable.retranslate();
+        this.multiDayResults.retranslate();
+        this.mistakeReport.retranslate();
+        this.packReport.retranslate();
+        this.legBoxPlot.retranslate();
+        this.headToHead.retranslate();
+        var chartType = this.chartTypeSelector.getChartType();
+        if (!isShownInTable(chartType) && !isShownInReport(chartType)) {
             this.redrawChart();
         }
     };
     
     /**
     * Sets the currently-selected classes in various objects that need it:
-    * current course-class set, comparison selector and results table.
+    * current course-class set, comparison selector, results table and
+    * multi-day results.
     * @param {Array} classIndexes - Array of selected class indexes.    
     */
     Viewer.prototype.setClasses = function (classIndexes) {
@@ -582,7 +897,10 @@
         this.courseClassSet = new CourseClassSet(this.currentClasses);
         this.comparisonSelector.setCourseClassSet(this.courseClassSet);
         this.resultsTable.setClass(this.currentClasses.length > 0 ? this.currentClasses[0] : null);
+        this.relayViewSelector.setClass(this.currentClasses.length > 0 ? this.currentClasses[0] : null);
+        this.multiDayResults.setClassName(this.currentClasses.length > 0 ? this.currentClasses[0].name : null);
         this.enableOrDisableRaceGraph();
+        this.chartTypeSelector.setScoreClassesSelected(this.courseClassSet.hasScoreClasses());
         this.originalDataSelector.setVisible(this.courseClassSet.hasDubiousData());
     };
     
@@ -615,7 +933,7 @@
         this.competitorList.setCompetitorList(this.courseClassSet.allCompetitors, (this.currentClasses.length > 1));
         this.selection.migrate(this.previousCompetitorList, this.courseClassSet.allCompetitors);
         this.competitorList.selectionChanged();
-        if (!this.chartTypeSelector.getChartType().isResultsTable) {
+        if (!isShownInTable(this.chartTypeSelector.getChartType())) {
             this.setChartSize();
             this.drawChart();
         }
@@ -623,6 +941,19 @@
         this.updateDirectLink();
     };
     
+    /**
+    * Switches between viewing the whole teams of a relay class and the
+    * runners of one of its legs, by selecting the class to view in the class
+    * selector.
+    * @param {CourseClass} courseClass - The class to view.
+    */
+    Viewer.prototype.selectRelayView = function (courseClass) {
+        var classIndex = this.classes.indexOf(courseClass);
+        if (classIndex >= 0) {
+            this.classSelector.selectClasses([classIndex]);
+        }
+    };
+    
     /**
     * Change the graph to compare against a different reference.
     */
@@ -636,21 +967,70 @@
     * @param {Object} chartType - The type of chart to draw.
     */
     Viewer.prototype.selectChartType = function (chartType) {
-        if (chartType.isResultsTable) {
+        if (isShownInTable(chartType)) {
             this.mainPanel.style("display", "none");
             
             // Remove any fixed width and height on the container, as well as
             // overflow:hidden on the body, as we need the window to be able
-            // to scroll if the results table is too wide or too tall and also
-            // adjust size if one or both scrollbars appear.
+            // to scroll if the table is too wide or too tall and also adjust
+            // size if one or both scrollbars appear.
             this.container.style("width", null).style("height", null);
             d3.select("body").style("overflow", null);
             
-            this.resultsTable.show();
+            if (chartType.isResultsTable) {
+                this.resultsTable.show();
+            } else {
+                this.resultsTable.hide();
+            }
+            
+            if (chartType.isLegDifficultyTable) {
+                this.legDifficultyTable.setEvent(this.eventData);
+                this.legDifficultyTable.show();
+            } else {
+                this.legDifficultyTable.hide();
+            }
+            
+            if (chartType.isMultiDayResults) {
+                this.multiDayResults.show();
+            } else {
+                this.multiDayResults.hide();
+            }
         } else {
             this.resultsTable.hide();
+            this.legDifficultyTable.hide();
+            this.multiDayResults.hide();
             d3.select("body").style("overflow", "hidden");
             this.mainPanel.style("display", null);
+            if (isShownInReport(chartType)) {
+                this.chart.hide();
+            } else {
+                this.chart.show();
+            }
+            
+            if (chartType.isMistakeReport) {
+                this.mistakeReport.show();
+            } else {
+                this.mistakeReport.hide();
+            }
+            
+            if (chartType.isPackReport) {
+                this.packReport.show();
+            } else {
+                this.packReport.hide();
+            }
+            
+            if (chartType.isLegBoxPlot) {
+                this.legBoxPlot.show();
+            } else {
+                this.legBoxPlot.hide();
+            }
+            
+            if (chartType.isHeadToHead) {
+                this.headToHead.show();
+            } else {
+                this.headToHead.hide();
+            }
+            
             this.setChartSize();
         }
         
@@ -664,7 +1044,7 @@
     */
     Viewer.prototype.selectChartTypeAndRedraw = function (chartType) {
         this.selectChartType(chartType);
-        if (!chartType.isResultsTable) {
+        if (!isShownInTable(chartType)) {
             this.setCompetitorListHeight();
             this.drawChart();
         }
@@ -674,30 +1054,87 @@
     
     /**
     * Selects original or repaired data, doing any recalculation necessary.
-    * @param {boolean} showOriginalData - True to show original data, false to
-    *     show repaired data.
+    * @param {Object} mode - The mode of repairing data, one of those in
+    *     SplitsBrowser.DataRepair.RepairModes.
     */
-    Viewer.prototype.selectOriginalOrRepairedData = function (showOriginalData) {
-        if (showOriginalData) {
-            transferCompetitorData(this.eventData);
-        } else {
-            repairEventData(this.eventData);
-        }
+    Viewer.prototype.selectOriginalOrRepairedData = function (mode) {
+        mode.repair(this.eventData);
         
-        this.eventData.determineTimeLosses();
+        // Recalculate the time losses and show the data in the results
+        // table, which shows any estimated times.
+        this.selectTimeLossMethod(this.timeLossMethodSelector.getTimeLossMethod());
+        this.eventData.determineRankingPoints(this.rankingPointsSelector.getRankingPointsScheme());
+        this.competitorList.updateRankingPoints();
     };
     
     /**
     * Shows original or repaired data.
-    * @param {boolean} showOriginalData - True to show original data, false to
-    *     show repaired data.
+    * @param {Object} mode - The mode of repairing data, one of those in
+    *     SplitsBrowser.DataRepair.RepairModes.
     */
-    Viewer.prototype.showOriginalOrRepairedData = function (showOriginalData) {
-        this.selectOriginalOrRepairedData(showOriginalData);
+    Viewer.prototype.showOriginalOrRepairedData = function (mode) {
+        this.selectOriginalOrRepairedData(mode);
         this.drawChart();
         this.updateDirectLink();
     };
     
+    /**
+    * Selects the method of estimating time losses, recalculating the time
+    * losses of all competitors and showing them in the results table and,
+    * if it is shown, the leg difficulty table.
+    * @param {Object} method - The method of estimating time losses.
+    */
+    Viewer.prototype.selectTimeLossMethod = function (method) {
+        this.eventData.determineTimeLosses(method);
+        this.resultsTable.setClass(this.currentClasses.length > 0 ? this.currentClasses[0] : null);
+        if (this.chartTypeSelector.getChartType().isLegDifficultyTable) {
+            this.legDifficultyTable.setEvent(this.eventData);
+        }
+    };
+    
+    /**
+    * Selects the method of estimating time losses and redraws the chart
+    * using the recalculated time losses.
+    * @param {Object} method - The method of estimating time losses.
+    */
+    Viewer.prototype.selectTimeLossMethodAndRedraw = function (method) {
+        this.selectTimeLossMethod(method);
+        if (!isShownInTable(this.chartTypeSelector.getChartType())) {
+            this.drawChart();
+        }
+        
+        this.updateDirectLink();
+    };
+    
+    /**
+    * Selects the scheme of awarding ranking points, recalculating the ranking
+    * points of all competitors and showing them in the results table and the
+    * competitor list.
+    * @param {?Object} scheme - The ranking-points scheme, or null to award no
+    *     ranking points.
+    */
+    Viewer.prototype.selectRankingPointsScheme = function (scheme) {
+        this.eventData.determineRankingPoints(scheme);
+        this.resultsTable.setClass(this.currentClasses.length > 0 ? this.currentClasses[0] : null);
+        this.competitorList.updateRankingPoints();
+    };
+    
+    /**
+    * Selects the table of factors used to grade competitors' times by age and
+    * gender, grading the times of all competitors and redrawing the results
+    * table and chart using the graded times.
+    * @param {?AgeGradingTable} table - The age-grading table, or null not to
+    *     grade times.
+    */
+    Viewer.prototype.selectAgeGradingTable = function (table) {
+        this.eventData.applyAgeGrading(table, this.getAgeGradingYear());
+        this.selectTimeLossMethod(this.timeLossMethodSelector.getTimeLossMethod());
+        
+        // The graded times may change the order of the competitors, so
+        // select the current classes again to sort them and rank them.
+        this.selectClasses(this.currentClasses.map(function (courseClass) { return this.classes.indexOf(courseClass); }, this));
+    };
+    
     /**
     * Handles a change in the filter text in the competitor list.
     */
@@ -712,10 +1149,11 @@
     */
     Viewer.prototype.updateControlEnabledness = function () {
         var chartType = this.chartTypeSelector.getChartType();
-        this.classSelector.setOtherClassesEnabled(!chartType.isResultsTable);
-        this.comparisonSelector.setEnabled(!chartType.isResultsTable);
-        this.statisticsSelector.setEnabled(!chartType.isResultsTable);
-        this.originalDataSelector.setEnabled(!chartType.isResultsTable);
+        this.classSelector.setOtherClassesEnabled(!chartType.isResultsTable && !chartType.isMultiDayResults);
+        this.comparisonSelector.setEnabled(!isShownInTable(chartType) && !isShownInReport(chartType));
+        this.statisticsSelector.setEnabled(!isShownInTable(chartType) && !isShownInReport(chartType));
+        this.originalDataSelector.setEnabled(!isShownInTable(chartType));
+        this.chartExporter.setEnabled(!isShownInTable(chartType) && !isShownInReport(chartType));
         this.competitorList.enableOrDisableCrossingRunnersButton();
     };
     
@@ -732,7 +1170,7 @@
         
         if (parsedQueryString.chartType !== null) {
             this.chartTypeSelector.setChartType(parsedQueryString.chartType);
-            this.selectChartType(parsedQueryString.chartType);
+            this.selectChartType(this.chartTypeSelector.getChartType());
         }
         
         if (parsedQueryString.compareWith !== null) {
@@ -747,9 +1185,17 @@
             this.statisticsSelector.setVisibleStatistics(parsedQueryString.stats);
         }
         
+        if (parsedQueryString.timeLossMethod !== null) {
+            this.timeLossMethodSelector.setTimeLossMethod(parsedQueryString.timeLossMethod);
+            this.selectTimeLossMethod(this.timeLossMethodSelector.getTimeLossMethod());
+        }
+        
         if (parsedQueryString.showOriginal && this.courseClassSet.hasDubiousData()) {
             this.originalDataSelector.selectOriginalData();
-            this.selectOriginalOrRepairedData(true);
+            this.selectOriginalOrRepairedData(RepairModes.Original);
+        } else if (parsedQueryString.interpolate && this.courseClassSet.hasDubiousData()) {
+            this.originalDataSelector.setRepairMode(RepairModes.Interpolated);
+            this.selectOriginalOrRepairedData(RepairModes.Interpolated);
         }
         
         if (parsedQueryString.filterText !== "") {
@@ -764,6 +1210,288 @@
         this.initClasses((this.classes.length > 0) ? [0] : []);
     };
     
+    /**
+    * Returns the indexes of the classes of the current event that have the
+    * same names as the classes currently selected.  If the primary class is
+    * not in the current event, no classes are returned.  Other classes are
+    * only returned if they share the primary class's course.
+    * @return {Array} Array of class indexes.
+    */
+    Viewer.prototype.getIndexesOfClassesWithCurrentNames = function () {
+        var classNames = this.classes.map(function (courseClass) { return courseClass.name; });
+        var primaryIndex = (this.currentClasses.length > 0) ? classNames.indexOf(this.currentClasses[0].name) : -1;
+        if (primaryIndex < 0) {
+            return [];
+        }
+        
+        var primaryCourse = this.classes[primaryIndex].course;
+        var indexes = [primaryIndex];
+        this.currentClasses.slice(1).forEach(function (courseClass) {
+            var index = classNames.indexOf(courseClass.name);
+            if (index >= 0 && this.classes[index].course === primaryCourse) {
+                indexes.push(index);
+            }
+        }, this);
+        
+        return indexes;
+    };
+    
+    /**
+    * Replaces the event being viewed with the given event.
+    *
+    * The classes currently selected remain selected if the new event has
+    * classes with the same names, as does the chart type if it can be shown
+    * for them.  Selected competitors, and the runner being compared against,
+    * also remain selected if they are in the new event.
+    *
+    * @param {Event} eventData - The event to view.
+    */
+    Viewer.prototype.replaceEvent = function (eventData) {
+        var previousCompetitors = this.previousCompetitorList;
+        var previousSelectedIndexes = this.selection.getSelectedIndexes();
+        var comparisonType = this.comparisonSelector.getComparisonType();
+        
+        // Stop the current selection redrawing the chart using the data of
+        // the event being replaced while the new event is set up.
+        if (this.selectionChangeHandler !== null) {
+            this.selection.deregisterChangeHandler(this.selectionChangeHandler);
+            this.selectionChangeHandler = null;
+        }
+        
+        // Selecting the classes in the class selector would otherwise have
+        // the viewer change to them using the selection being replaced.
+        if (this.classChangeHandler !== null) {
+            this.classSelector.deregisterChangeHandler(this.classChangeHandler);
+        }
+        
+        this.setEvent(eventData);
+        
+        var classIndexes = this.getIndexesOfClassesWithCurrentNames();
+        if (classIndexes.length === 0) {
+            this.setDefaultSelectedClass();
+        } else {
+            this.initClasses(classIndexes);
+        }
+        
+        if (this.classChangeHandler !== null) {
+            this.classSelector.registerChangeHandler(this.classChangeHandler);
+        }
+        
+        var areSameCompetitors = function (oldComp, newComp) { return oldComp.isSameCompetitorAs(newComp); };
+        var newCompetitors = this.courseClassSet.allCompetitors;
+        if (previousSelectedIndexes.length > 0 && newCompetitors.length > 0) {
+            var previousSelection = new CompetitorSelection(previousCompetitors.length);
+            previousSelection.setSelectedIndexes(previousSelectedIndexes);
+            previousSelection.migrate(previousCompetitors, newCompetitors, areSameCompetitors);
+            this.selection.setSelectedIndexes(previousSelection.getSelectedIndexes());
+        }
+        
+        if (comparisonType.runner) {
+            var matchingRunners = newCompetitors.filter(function (comp) { return areSameCompetitors(comparisonType.runner, comp); });
+            if (matchingRunners.length > 0) {
+                this.comparisonSelector.setComparisonType(comparisonType.index, matchingRunners[0]);
+            }
+        }
+        
+        // The new event has had dubious times removed, so show the original
+        // data or estimate the dubious times if that was selected instead.
+        var repairMode = this.originalDataSelector.getRepairMode();
+        if (this.courseClassSet.hasDubiousData() && repairMode !== RepairModes.Blanked) {
+            this.selectOriginalOrRepairedData(repairMode);
+        }
+        
+        this.selectChartTypeAndRedraw(this.chartTypeSelector.getChartType());
+    };
+    
+    /**
+    * Reads the event in the given data, such as that read from a local file,
+    * repairing it if necessary.  If the data cannot be read, the user is told
+    * and null is returned.
+    * @param {String} data - String containing the event data to read.
+    * @return {Event|null} The event read, or null if it could not be read.
+    */
+    function readLocalEventData(data) {
+        var eventData;
+        try {
+            eventData = parseEventData(data);
+        } catch (e) {
+            if (e.name === "InvalidData") {
+                alerter(getMessageWithFormatting("LoadFailedInvalidData", {"$$MESSAGE$$": e.message}));
+                return null;
+            } else {
+                throw e;
+            }
+        }
+        
+        if (eventData === null) {
+            alerter(getMessage("LoadFailedUnrecognisedData"));
+            return null;
+        }
+        
+        if (eventData.needsRepair()) {
+            repairEventData(eventData);
+        }
+        
+        return eventData;
+    }
+    
+    /**
+    * Replaces the event being viewed with the event in the given data, such
+    * as that read from a local file.  If the data cannot be read, the user is
+    * told and the current event continues to be shown.  Any multi-day event
+    * previously loaded is discarded.
+    * @param {String} data - String containing the event data to read.
+    */
+    Viewer.prototype.loadLocalData = function (data) {
+        var eventData = readLocalEventData(data);
+        if (eventData === null) {
+            return;
+        }
+        
+        this.stopRefreshing();
+        
+        this.setMultiDayEvent(null);
+        this.competitorList.setNewFinishers([]);
+        this.replaceEvent(eventData);
+    };
+    
+    /**
+    * Replaces the event being viewed with a multi-day event made up of the
+    * events in the given data, such as that read from several local files,
+    * and shows the first day.  If any of the data cannot be read, the user is
+    * told and the current event continues to be shown.
+    * @param {Array} dataArray - Array of strings containing the event data of
+    *     each day, in the order the days were held.
+    * @param {Array} dayNames - Array of the names of the days.
+    */
+    Viewer.prototype.loadLocalMultiDayData = function (dataArray, dayNames) {
+        var days = [];
+        for (var index = 0; index < dataArray.length; index += 1) {
+            var eventData = readLocalEventData(dataArray[index]);
+            if (eventData === null) {
+                return;
+            }
+            
+            days.push({name: dayNames[index], event: eventData});
+        }
+        
+        this.setMultiDayEvent(new MultiDayEvent(days));
+        this.selectDay(0);
+    };
+    
+    /**
+    * Sets the multi-day event being viewed, offering its days in the day
+    * selector and its overall results as a chart type.  The event of the day
+    * being viewed is not changed.
+    * @param {MultiDayEvent|null} multiDayEvent - The multi-day event, or null
+    *     if a single event is being viewed.
+    */
+    Viewer.prototype.setMultiDayEvent = function (multiDayEvent) {
+        this.multiDayEvent = multiDayEvent;
+        this.daySelector.setDays((multiDayEvent === null) ? [] : multiDayEvent.getDayNames());
+        this.multiDayResults.setMultiDayEvent(multiDayEvent);
+        this.chartTypeSelector.setMultiDayEventLoaded(multiDayEvent !== null);
+    };
+    
+    /**
+    * Views the event of the day of the multi-day event with the given index,
+    * keeping the classes, chart type and competitors selected where the day
+    * has them.
+    * @param {Number} dayIndex - The index of the day.
+    */
+    Viewer.prototype.selectDay = function (dayIndex) {
+        this.stopRefreshing();
+        var eventData = this.multiDayEvent.getDayEvent(dayIndex);
+        
+        // The day may have last been viewed with the original data or with
+        // estimated times shown, so remove its dubious times again.  Once
+        // the day is being viewed, the data selected is shown instead.
+        var hasDubiousData = eventData.classes.some(function (courseClass) { return courseClass.hasDubiousData; });
+        if (hasDubiousData) {
+            repairEventData(eventData);
+        }
+        
+        this.competitorList.setNewFinishers([]);
+        this.replaceEvent(eventData);
+    };
+    
+    /**
+    * Applies a correction made in the correction editor to the event being
+    * viewed, and shows the corrected event.  If the correction cannot be
+    * applied, a warning saying so is shown instead.
+    * @param {Object} correction - The correction to apply.
+    */
+    Viewer.prototype.applyCorrection = function (correction) {
+        this.eventData.applyCorrections([correction]);
+        if (this.eventData.needsRepair()) {
+            repairEventData(this.eventData);
+        }
+        
+        this.replaceEvent(this.eventData);
+    };
+    
+    /**
+    * Stops refreshing the event data, such as when other data has been
+    * loaded in its place, so that the next refresh doesn't replace that data.
+    */
+    Viewer.prototype.stopRefreshing = function () {
+        if (this.refreshTimeout !== null) {
+            clearTimeout(this.refreshTimeout);
+            this.refreshTimeout = null;
+        }
+        
+        this.refreshStopped = true;
+    };
+    
+    /**
+    * Replaces the event being viewed with a later copy of it, such as a
+    * refreshed copy of interim results, and highlights the competitors that
+    * have finished since the previous copy.
+    *
+    * If the data cannot be read, for example because the results were being
+    * written as they were fetched, the current event continues to be shown.
+    * The user isn't told, as the next refresh will most likely succeed.
+    *
+    * @param {String} data - String containing the event data to read.
+    */
+    Viewer.prototype.refreshEvent = function (data) {
+        var eventData;
+        try {
+            eventData = parseEventData(data);
+        } catch (e) {
+            if (e.name === "InvalidData") {
+                return;
+            } else {
+                throw e;
+            }
+        }
+        
+        if (eventData === null) {
+            return;
+        }
+        
+        if (this.options && this.options.courseData) {
+            readCourseData(eventData, this.options.courseData);
+        }
+        
+        if (this.options && this.options.neutralisedLegs) {
+            eventData.applyNeutralisedLegs(this.options.neutralisedLegs);
+        }
+        
+        // Correct the new copy of the event in the same way as the previous
+        // copy, including any corrections made in the correction editor.
+        if (this.eventData.corrections.length > 0) {
+            eventData.applyCorrections(this.eventData.corrections);
+        }
+        
+        if (eventData.needsRepair()) {
+            repairEventData(eventData);
+        }
+        
+        this.competitorList.setNewFinishers(eventData.getNewFinishers(this.eventData));
+        this.replaceEvent(eventData);
+    };
+    
     SplitsBrowser.Viewer = Viewer;
 
     /**
@@ -785,26 +1513,99 @@
     }
     
     /**
-    * Reads in the data in the given string and starts SplitsBrowser.
-    * @param {String} data - String containing the data to read.
-    * @param {Object|String|HTMLElement|undefined} options - Optional object
-    *     containing various options to SplitsBrowser.  It can also be used for
-    *     an HTML element that forms a 'banner' across the top of the page.
-    *     This element can be specified by a CSS selector for the element, or
-    *     the HTML element itself, although this behaviour is deprecated.
+    * Creates the viewer and shows the given event data within it.
+    * @param {Event} eventData - The event data to show.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    * @param {MultiDayEvent|undefined} multiDayEvent - Optional multi-day event
+    *     that the event data is the first day of.
+    * @return {Viewer} The viewer created.
     */
-    SplitsBrowser.readEvent = function (data, options) {
-        if (!checkD3Version4()) {
-            return;
+    function startViewer(eventData, options, multiDayEvent) {
+        if (options && options.defaultLanguage) {
+            initialiseMessages(options.defaultLanguage);
         }
         
+        var viewer = new Viewer(options);
+        viewer.buildUi();
+        if (multiDayEvent) {
+            viewer.setMultiDayEvent(multiDayEvent);
+        }
+        
+        viewer.setEvent(eventData);
+        
+        var queryString = document.location.search;
+        if (queryString !== null && queryString.length > 0) {
+            var parsedQueryString = parseQueryString(queryString, eventData);
+            viewer.updateFromQueryString(parsedQueryString);
+        } else {
+            viewer.setDefaultSelectedClass();
+        }
+
+        viewer.setCompetitorListHeight();
+        viewer.setChartSize();
+        viewer.drawChart();
+        viewer.registerChangeHandlers();
+        return viewer;
+    }
+    
+    /**
+    * Reads the given IOF XML 3.0 CourseData and attaches it to the courses of
+    * the given event.  If the course data cannot be read, a warning is added
+    * to the event instead.
+    * @param {Event} eventData - The event data.
+    * @param {String} courseData - String containing the course data to read.
+    */
+    function readCourseData(eventData, courseData) {
+        try {
+            eventData.applyCourseData(parseCourseData(courseData));
+        } catch (e) {
+            if (e.name === "InvalidData" || e.name === "WrongFileFormat") {
+                eventData.warnings.push("Could not read course data: " + e.message);
+            } else {
+                throw e;
+            }
+        }
+    }
+    
+    /**
+    * Reads the given corrections 'patch' data and applies the corrections
+    * within it to the given event.  If the corrections cannot be read, a
+    * warning is added to the event instead.
+    * @param {Event} eventData - The event data.
+    * @param {String|Object} corrections - String containing the JSON of the
+    *     corrections to read, or the object parsed from it.
+    */
+    function readCorrections(eventData, corrections) {
+        try {
+            eventData.applyCorrections(parseCorrections(corrections));
+        } catch (e) {
+            if (e.name === "InvalidData") {
+                eventData.warnings.push("Could not read corrections: " + e.message);
+            } else {
+                throw e;
+            }
+        }
+    }
+    
+    /**
+    * Reads the event in the given data, attaching any course data and
+    * neutralised legs in the options, applying any corrections in the options
+    * and repairing the event if necessary.  If the data cannot be read, a
+    * message saying so is shown and null is returned.
+    * @param {String} data - String containing the data to read.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.
+    * @return {Event|null} The event read, or null if it could not be read.
+    */
+    function readEventOrShowFailure(data, options) {
         var eventData;
         try {
             eventData = parseEventData(data);
         } catch (e) {
             if (e.name === "InvalidData") {
                 showLoadFailureMessage("LoadFailedInvalidData", {"$$MESSAGE$$": e.message});
-                return;
+                return null;
             } else {
                 throw e;
             }
@@ -812,56 +1613,333 @@
         
         if (eventData === null) {
             showLoadFailureMessage("LoadFailedUnrecognisedData", {});
-        } else {
-            if (eventData.needsRepair()) {
-                repairEventData(eventData);
+            return null;
+        }
+        
+        if (options && options.courseData) {
+            readCourseData(eventData, options.courseData);
+        }
+        
+        if (options && options.neutralisedLegs) {
+            eventData.applyNeutralisedLegs(options.neutralisedLegs);
+        }
+        
+        if (options && options.corrections) {
+            readCorrections(eventData, options.corrections);
+        }
+        
+        if (eventData.needsRepair()) {
+            repairEventData(eventData);
+        }
+        
+        return eventData;
+    }
+    
+    /**
+    * Reads in the data in the given string and starts SplitsBrowser.
+    *
+    * If the options contain a courseData property, it is read as IOF XML 3.0
+    * CourseData and the leg geometry within it attached to the courses of the
+    * event.
+    *
+    * If the options contain a neutralisedLegs property, it is an object
+    * mapping the names of courses to arrays of the numbers of legs of those
+    * courses that are neutralised, e.g. {"Course 1": [3]}.  The time taken on
+    * these legs is left out of competitors' total times, ranks, time losses
+    * and charts.  Neutralised legs can also be read from course data.
+    *
+    * If the options contain a corrections property, it is read as a
+    * corrections 'patch', either as a string of JSON or as the object parsed
+    * from it, and the corrections within it applied to the results of the
+    * event.  See SplitsBrowser.Model.parseCorrections for the format of the
+    * corrections.
+    *
+    * If the options contain a correctionEditor property set to true, an
+    * editor is shown for making further corrections and saving them as a
+    * corrections 'patch' file.  Hosting pages should only set this for users
+    * authorised to correct the results.
+    *
+    * @param {String} data - String containing the data to read.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.  It can also be used for
+    *     an HTML element that forms a 'banner' across the top of the page.
+    *     This element can be specified by a CSS selector for the element, or
+    *     the HTML element itself, although this behaviour is deprecated.
+    * @return {Viewer|null} The viewer showing the event, or null if the data
+    *     could not be read.
+    */
+    SplitsBrowser.readEvent = function (data, options) {
+        if (!checkD3Version4()) {
+            return null;
+        }
+        
+        var eventData = readEventOrShowFailure(data, options);
+        if (eventData === null) {
+            return null;
+        }
+        
+        if (typeof options === "string") {
+            // Deprecated; support the top-bar specified only as a string.
+            options = {topBar: options};
+        }
+        
+        return startViewer(eventData, options);
+    };
+    
+    /**
+    * Reads in the data of each day of a multi-day event and starts
+    * SplitsBrowser showing the first day.  The overall results of the event
+    * are offered as a chart type, and the other days can be chosen from a
+    * drop-down list.
+    *
+    * The days are named using the dayNames property of the options if it is
+    * given, and 'Day 1', 'Day 2' and so on if not.
+    *
+    * @param {Array} dataArray - Array of strings containing the data of each
+    *     day, in the order the days were held.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    * @return {Viewer|null} The viewer showing the event, or null if the data
+    *     of any day could not be read.
+    */
+    SplitsBrowser.readMultiDayEvent = function (dataArray, options) {
+        if (!checkD3Version4()) {
+            return null;
+        }
+        
+        if (dataArray.length === 0) {
+            showLoadFailureMessage("LoadFailedInvalidData", {"$$MESSAGE$$": "No event data was given"});
+            return null;
+        }
+        
+        var days = [];
+        for (var index = 0; index < dataArray.length; index += 1) {
+            var eventData = readEventOrShowFailure(dataArray[index], options);
+            if (eventData === null) {
+                return null;
             }
             
-            if (typeof options === "string") {
-                // Deprecated; support the top-bar specified only as a
-                // string.
-                options = {topBar: options};
+            var dayName = (options && options.dayNames && options.dayNames[index]) ?
+                options.dayNames[index] : getMessageWithFormatting("DayName", {"$$NUMBER$$": (index + 1).toString()});
+            days.push({name: dayName, event: eventData});
+        }
+        
+        var multiDayEvent = new MultiDayEvent(days);
+        
+        return startViewer(multiDayEvent.getDayEvent(0), options, multiDayEvent);
+    };
+    
+    /**
+    * Reads in the data of a number of events, such as those of a season, and
+    * starts SplitsBrowser in history mode, showing how the performances of a
+    * competitor chosen from a drop-down list varied from one event to the
+    * next.  Competitors are matched across events by name and club.
+    *
+    * The events are named using the eventNames property of the options if it
+    * is given, and 'Event 1', 'Event 2' and so on if not.
+    *
+    * @param {Array} dataArray - Array of strings containing the data of each
+    *     event, in the order the events were held.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    * @return {PerformanceHistoryChart|null} The control showing the
+    *     performances, or null if the data of any event could not be read.
+    */
+    SplitsBrowser.readPerformanceHistory = function (dataArray, options) {
+        if (!checkD3Version4()) {
+            return null;
+        }
+        
+        // The language selector needs the messages to have been initialised
+        // before it is created.
+        initialiseMessages((options && options.defaultLanguage) ? options.defaultLanguage : undefined);
+        
+        if (dataArray.length === 0) {
+            showLoadFailureMessage("LoadFailedInvalidData", {"$$MESSAGE$$": "No event data was given"});
+            return null;
+        }
+        
+        var events = [];
+        for (var index = 0; index < dataArray.length; index += 1) {
+            var eventData = readEventOrShowFailure(dataArray[index], options);
+            if (eventData === null) {
+                return null;
             }
             
             eventData.determineTimeLosses();
             
-            if (options && options.defaultLanguage) {
-                initialiseMessages(options.defaultLanguage);
-            }
-            
-            var viewer = new Viewer(options);
-            viewer.buildUi();
-            viewer.setEvent(eventData);
-            
-            var queryString = document.location.search;
-            if (queryString !== null && queryString.length > 0) {
-                var parsedQueryString = parseQueryString(queryString, eventData);
-                viewer.updateFromQueryString(parsedQueryString);
-            } else {
-                viewer.setDefaultSelectedClass();
-            }
-
-            viewer.setCompetitorListHeight();
-            viewer.setChartSize();
-            viewer.drawChart();
-            viewer.registerChangeHandlers();
+            var eventName = (options && options.eventNames && options.eventNames[index]) ?
+                options.eventNames[index] : getMessageWithFormatting("HistoryEventName", {"$$NUMBER$$": (index + 1).toString()});
+            events.push({name: eventName, event: eventData});
+        }
+        
+        var container = d3.select("body").append("div")
+                                         .attr("id", "performanceHistoryPage");
+        
+        var topPanel = container.append("div");
+        var languageSelector = new LanguageSelector(topPanel.node());
+        topPanel.append("div")
+                .style("clear", "both");
+        
+        var chart = new PerformanceHistoryChart(container.node());
+        chart.setPerformanceHistory(new PerformanceHistory(events));
+        
+        languageSelector.registerChangeHandler(function () {
+            languageSelector.setMessages();
+            chart.retranslate();
+        });
+        
+        return chart;
+    };
+    
+    /**
+    * Starts SplitsBrowser without any event data.  The event data can then be
+    * loaded from a file on the user's computer, either by choosing it with
+    * the file picker or by dropping it onto the page, so SplitsBrowser can be
+    * used without a web server.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    */
+    SplitsBrowser.startLocal = function (options) {
+        if (!checkD3Version4()) {
+            return;
         }
+        
+        startViewer(new Event([], [], []), options);
     };
     
+    /**
+    * Returns the number of seconds between refreshes of the event data given
+    * in the options, or null if the event data is not to be refreshed.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.
+    * @return {Number|null} Number of seconds between refreshes, or null.
+    */
+    function getRefreshInterval(options) {
+        return (options && typeof options.refreshIntervalSeconds === "number" && options.refreshIntervalSeconds > 0) ? options.refreshIntervalSeconds : null;
+    }
+    
+    /**
+    * Returns the character encoding to read event data in.  An encoding in
+    * the query string takes priority over one given in the options.  If
+    * neither gives an encoding, null is returned, and the encoding is
+    * detected from the data.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.
+    * @return {String|null} The name of the encoding, or null.
+    */
+    function getEncoding(options) {
+        var queryStringEncoding = parseEncodingFromQueryString(document.location.search);
+        if (queryStringEncoding !== null) {
+            return queryStringEncoding;
+        } else {
+            return (options && typeof options.encoding === "string") ? options.encoding : null;
+        }
+    }
+    
+    /**
+    * Returns the options to use with jQuery.ajax to fetch event data.  The
+    * event data is fetched as raw bytes, so that its character encoding can
+    * be detected.
+    * @param {String} eventUrl - The URL that points to the event data.
+    * @param {boolean} ifModified - Whether to only fetch the data if it has
+    *     changed since it was last fetched.
+    * @return {Object} Options object.
+    */
+    function getEventDataRequest(eventUrl, ifModified) {
+        return {
+            url: eventUrl,
+            data: "",
+            ifModified: ifModified,
+            dataType: "binary",
+            xhrFields: {responseType: "arraybuffer"}
+        };
+    }
+    
+    /**
+    * Decodes event data fetched as raw bytes into a string.
+    * @param {ArrayBuffer} data - The data fetched.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.
+    * @return {String} The decoded event data.
+    */
+    function decodeEventData(data, options) {
+        return decodeData(new window.Uint8Array(data), getEncoding(options));
+    }
+    
+    /**
+    * Schedules a refresh of the event data shown in the given viewer.
+    *
+    * The event data is only read again if it has changed since it was last
+    * fetched, according to its ETag or Last-Modified header.  Once the
+    * refresh has finished, whether it succeeded or not, the next refresh is
+    * scheduled, unless the viewer has stopped refreshing because other data
+    * has been loaded.
+    *
+    * @param {Viewer} viewer - The viewer showing the event.
+    * @param {String} eventUrl - The URL that points to the event data.
+    * @param {Number} refreshIntervalSeconds - The number of seconds to wait
+    *     before refreshing.
+    */
+    function scheduleRefresh(viewer, eventUrl, refreshIntervalSeconds) {
+        var scheduleNextRefresh = function () {
+            if (!viewer.refreshStopped) {
+                scheduleRefresh(viewer, eventUrl, refreshIntervalSeconds);
+            }
+        };
+        
+        viewer.refreshTimeout = window.setTimeout(function () {
+            viewer.refreshTimeout = null;
+            $.ajax($.extend(getEventDataRequest(eventUrl, true), {
+                success: function (data, status) {
+                    // The status is 'notmodified' if the data hasn't changed.
+                    // Schedule the next refresh even if this one fails
+                    // unexpectedly, so that refreshing doesn't silently stop.
+                    try {
+                        if (status === "success" && !viewer.refreshStopped) {
+                            viewer.refreshEvent(decodeEventData(data, viewer.options));
+                        }
+                    } finally {
+                        scheduleNextRefresh();
+                    }
+                },
+                error: scheduleNextRefresh
+            }));
+        }, refreshIntervalSeconds * 1000);
+    }
+    
     /**
     * Handles an asynchronous callback that fetched event data, by parsing the
-    * data and starting SplitsBrowser.
-    * @param {String} data - The data returned from the AJAX request.
+    * data and starting SplitsBrowser.  If the options ask for the event data
+    * to be refreshed, the first refresh is then scheduled.
+    * @param {ArrayBuffer} data - The data returned from the AJAX request.
     * @param {String} status - The status of the request.
     * @param {Object|String|HTMLElement|undefined} options - Optional object
     *     containing various options to SplitsBrowser.  It can also be used for
     *     an HTML element that forms a 'banner' across the top of the page.
     *     This element can be specified by a CSS selector for the element, or
     *     the HTML element itself, although this behaviour is deprecated.
+    * @param {String} eventUrl - The URL that the event data was fetched from.
     */
-    function readEventData(data, status, options) {
+    function readEventData(data, status, options, eventUrl) {
         if (status === "success") {
-            SplitsBrowser.readEvent(data, options);
+            var decodedData;
+            try {
+                decodedData = decodeEventData(data, options);
+            } catch (e) {
+                if (e.name === "InvalidData") {
+                    showLoadFailureMessage("LoadFailedInvalidData", {"$$MESSAGE$$": e.message});
+                    return;
+                } else {
+                    throw e;
+                }
+            }
+            
+            var viewer = SplitsBrowser.readEvent(decodedData, options);
+            var refreshInterval = getRefreshInterval(options);
+            if (viewer !== null && refreshInterval !== null) {
+                scheduleRefresh(viewer, eventUrl, refreshInterval);
+            }
         } else {
             showLoadFailureMessage("LoadFailedStatusNotSuccess", {"$$STATUS$$": status});
         }
@@ -877,8 +1955,74 @@
         showLoadFailureMessage("LoadFailedReadError", {"$$ERROR$$": errorThrown});
     }
 
+    /**
+    * Fetches the event data in the given URL and starts SplitsBrowser.
+    * @param {String} eventUrl - The URL that points to the event data to load.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.
+    */
+    function fetchEventData(eventUrl, options) {
+        $.ajax($.extend(getEventDataRequest(eventUrl, getRefreshInterval(options) !== null), {
+            success: function (data, status) { readEventData(data, status, options, eventUrl); },
+            error: readEventDataError
+        }));
+    }
+
+    /**
+    * Fetches the text at the URL given by a property of the given options, if
+    * the options have that property, and passes a copy of the options, with
+    * the text fetched added as another property, to the given function.  If
+    * the options do not have the URL property, the options are passed to the
+    * function unchanged.
+    * @param {Object|String|HTMLElement|undefined} options - Optional object
+    *     containing various options to SplitsBrowser.
+    * @param {String} urlPropertyName - The name of the property containing
+    *     the URL to fetch.
+    * @param {String} dataPropertyName - The name of the property to add the
+    *     text fetched to the options as.
+    * @param {Function} callback - Function called with the options.
+    */
+    function fetchOptionalData(options, urlPropertyName, dataPropertyName, callback) {
+        if (options && options[urlPropertyName]) {
+            $.ajax({
+                url: options[urlPropertyName],
+                data: "",
+                success: function (data) {
+                    var fetchedData = {};
+                    fetchedData[dataPropertyName] = data;
+                    callback($.extend({}, options, fetchedData));
+                },
+                dataType: "text",
+                error: readEventDataError
+            });
+        } else {
+            callback(options);
+        }
+    }
+    
     /**
     * Loads the event data in the given URL and starts SplitsBrowser.
+    *
+    * If the options contain a courseDataUrl property, the IOF XML 3.0
+    * CourseData at that URL is loaded first, and the leg geometry within it
+    * attached to the courses of the event.
+    *
+    * If the options contain a correctionsUrl property, the corrections 'patch'
+    * file at that URL is also loaded first, and the corrections within it
+    * applied to the results of the event, as for the corrections property
+    * read by SplitsBrowser.readEvent.
+    *
+    * The character encoding of the event data is detected from the data,
+    * unless the options contain an encoding property or the query string
+    * contains an encoding parameter, such as 'encoding=iso-8859-2'.
+    *
+    * If the options contain a refreshIntervalSeconds property, the event data
+    * is fetched again at that interval, for use with interim results during
+    * an event.  If the event data has changed, the new data is shown, keeping
+    * the selected classes, chart type, comparison and competitors, and any
+    * competitors that have finished since the previous refresh are
+    * highlighted.
+    *
     * @param {String} eventUrl - The URL that points to the event data to load.
     * @param {Object|String|HTMLElement|undefined} options - Optional object
     *     containing various options to SplitsBrowser.  It can also be used for
@@ -891,12 +2035,97 @@
             return;
         }
         
-        $.ajax({
-            url: eventUrl,
-            data: "",
-            success: function (data, status) { readEventData(data, status, options); },
-            dataType: "text",
-            error: readEventDataError
+        fetchOptionalData(options, "courseDataUrl", "courseData", function (optionsWithCourseData) {
+            fetchOptionalData(optionsWithCourseData, "correctionsUrl", "corrections", function (allOptions) {
+                fetchEventData(eventUrl, allOptions);
+            });
         });
-    };    
+    };
+    
+    /**
+    * Fetches the event data at each of the given URLs in turn, and once it
+    * has all been fetched, passes it to the given function.  If any of the
+    * data cannot be fetched, a message saying so is shown instead.
+    * @param {Array} eventUrls - Array of URLs that point to the event data.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    * @param {Function} callback - Function called with an array of the
+    *     decoded event data fetched from each URL.
+    */
+    function fetchAllEventData(eventUrls, options, callback) {
+        var dataArray = [];
+        var fetchNext = function () {
+            if (dataArray.length === eventUrls.length) {
+                callback(dataArray);
+                return;
+            }
+            
+            $.ajax($.extend(getEventDataRequest(eventUrls[dataArray.length], false), {
+                success: function (data, status) {
+                    if (status !== "success") {
+                        showLoadFailureMessage("LoadFailedStatusNotSuccess", {"$$STATUS$$": status});
+                        return;
+                    }
+                    
+                    try {
+                        dataArray.push(decodeEventData(data, options));
+                    } catch (e) {
+                        if (e.name === "InvalidData") {
+                            showLoadFailureMessage("LoadFailedInvalidData", {"$$MESSAGE$$": e.message});
+                            return;
+                        } else {
+                            throw e;
+                        }
+                    }
+                    
+                    fetchNext();
+                },
+                error: readEventDataError
+            }));
+        };
+        
+        fetchNext();
+    }
+    
+    /**
+    * Loads the event data of each day of a multi-day event from the given
+    * URLs and starts SplitsBrowser showing the first day.
+    *
+    * The days are named using the dayNames property of the options if it is
+    * given, and 'Day 1', 'Day 2' and so on if not.  The character encoding
+    * of the event data is detected or chosen as in SplitsBrowser.loadEvent,
+    * but the data is not refreshed.
+    *
+    * @param {Array} eventUrls - Array of URLs that point to the event data of
+    *     each day, in the order the days were held.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    */
+    SplitsBrowser.loadMultiDayEvent = function (eventUrls, options) {
+        if (checkD3Version4()) {
+            fetchAllEventData(eventUrls, options, function (dataArray) { SplitsBrowser.readMultiDayEvent(dataArray, options); });
+        }
+    };
+    
+    /**
+    * Loads the event data of each of a number of events, such as those of a
+    * season, from the given URLs and starts SplitsBrowser in history mode,
+    * showing how the performances of a competitor varied from one event to
+    * the next.
+    *
+    * The events are named using the eventNames property of the options if it
+    * is given, and 'Event 1', 'Event 2' and so on if not.  The character
+    * encoding of the event data is detected or chosen as in
+    * SplitsBrowser.loadEvent.
+    *
+    * @param {Array} eventUrls - Array of URLs that point to the event data of
+    *     each event, in the order the events were held.
+    * @param {Object|undefined} options - Optional object containing various
+    *     options to SplitsBrowser.
+    */
+    SplitsBrowser.loadPerformanceHistory = function (eventUrls, options) {
+        if (checkD3Version4()) {
+            fetchAllEventData(eventUrls, options, function (dataArray) { SplitsBrowser.readPerformanceHistory(dataArray, options); });
+        }
+    };
 })();
@@ -23,6 +23,7 @@
     "use strict";
 
     var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
 
     var CONTAINER_DIV_ID = "warningViewerContainer";
 
@@ -35,6 +36,8 @@
     function WarningViewer(parent) {
         this.parent = parent;
         this.warnings = [];
+        this.corrections = [];
+        this.parserName = null;
         
         this.containerDiv = parent.append("div")
                                   .classed("topRowStart", true)
@@ -44,6 +47,17 @@
         this.containerDiv.append("div").classed("topRowStartSpacer", true);
         
         this.warningTriangle = this.createWarningTriangle(this.containerDiv);
+        
+        // The name of the parser is shown whether or not there are any
+        // warnings.
+        this.parserNameDiv = parent.append("div")
+                                   .classed("topRowStart", true)
+                                   .attr("id", "parserNameContainer")
+                                   .style("display", "none");
+        
+        this.parserNameDiv.append("div").classed("topRowStartSpacer", true);
+        
+        this.parserNameSpan = this.parserNameDiv.append("span");
                                   
         this.warningList = parent.append("div")
                                  .classed("warningList", true)
@@ -51,6 +65,14 @@
                                  .style("position", "absolute")
                                  .style("display", "none");
         
+        this.warningsDiv = this.warningList.append("div");
+        
+        this.correctionsDiv = this.warningList.append("div")
+                                              .style("display", "none");
+        
+        this.correctionsHeader = this.correctionsDiv.append("div")
+                                                    .classed("correctionsHeader", true);
+        
         // Ensure that a click outside of the warning list or the selector
         // box closes it.
         // Taken from http://stackoverflow.com/questions/1403615 and adjusted.
@@ -72,7 +94,31 @@
     * following a change of selected language.
     */
     WarningViewer.prototype.setMessages = function () {
-        this.containerDiv.attr("title", getMessage("WarningsTooltip"));
+        var tooltip = getMessage("WarningsTooltip");
+        if (this.parserName !== null) {
+            tooltip += "\n\n" + getMessageWithFormatting("WarningsParserName", {"$$PARSER$$": this.parserName});
+        }
+        
+        this.containerDiv.attr("title", tooltip);
+        
+        if (this.parserName !== null) {
+            this.parserNameSpan.text(getMessageWithFormatting("ParserNameLabel", {"$$PARSER$$": this.parserName}));
+            this.parserNameDiv.attr("title", getMessageWithFormatting("WarningsParserName", {"$$PARSER$$": this.parserName}));
+        }
+        
+        this.correctionsHeader.text(getMessage("WarningsCorrectionsHeader"));
+    };
+    
+    /**
+    * Sets the name of the parser that read in the event data, which is shown
+    * along the top and in the tooltip.
+    * @param {?String} parserName - The name of the parser, or null if not
+    *     known.
+    */
+    WarningViewer.prototype.setParserName = function (parserName) {
+        this.parserName = parserName;
+        this.parserNameDiv.style("display", (parserName === null) ? "none" : null);
+        this.setMessages();
     };
     
     /**
@@ -112,18 +158,54 @@
     * @param {Array} warnings - Array of warning messages.
     */
     WarningViewer.prototype.setWarnings = function (warnings) {
-        var errorsSelection = this.warningList.selectAll("div")
-                                              .data(warnings);
+        this.warnings = warnings || [];
+        
+        var errorsSelection = this.warningsDiv.selectAll("div")
+                                              .data(this.warnings);
         
         errorsSelection.enter().append("div")
                                .classed("warning", true);
         
-        errorsSelection = this.warningList.selectAll("div")
-                                          .data(warnings);
+        errorsSelection = this.warningsDiv.selectAll("div")
+                                          .data(this.warnings);
         
         errorsSelection.text(function (errorMessage) { return errorMessage; });
         errorsSelection.exit().remove();
-        this.containerDiv.style("display", (warnings && warnings.length > 0) ? "block" : "none");
+        this.showOrHideTriangle();
+    };
+    
+    /**
+    * Sets the audit trail of corrections made to the results, which is listed
+    * after the warnings.
+    * @param {Array} corrections - Array of descriptions of the corrections
+    *     made.
+    */
+    WarningViewer.prototype.setCorrections = function (corrections) {
+        this.corrections = corrections || [];
+        
+        var correctionsSelection = this.correctionsDiv.selectAll("div.correction")
+                                                      .data(this.corrections);
+        
+        correctionsSelection.enter().append("div")
+                                    .classed("warning", true)
+                                    .classed("correction", true);
+        
+        correctionsSelection = this.correctionsDiv.selectAll("div.correction")
+                                                  .data(this.corrections);
+        
+        correctionsSelection.text(function (description) { return description; });
+        correctionsSelection.exit().remove();
+        this.correctionsDiv.style("display", (this.corrections.length > 0) ? null : "none");
+        this.showOrHideTriangle();
+    };
+    
+    /**
+    * Shows the warning triangle if there are any warnings or corrections to
+    * list, and hides it if there are none.
+    */
+    WarningViewer.prototype.showOrHideTriangle = function () {
+        var hasItems = this.warnings.length > 0 || this.corrections.length > 0;
+        this.containerDiv.style("display", (hasItems) ? "block" : "none");
     };
     
     /**
@@ -73,17 +73,6 @@ SplitsBrowser.Messages.de = {
     // chosen because the course has no winner.
     CannotCompareAsNoWinner: "Vergleich mit '$$OPTION$$' nicht möglich, weil kein Läufer die Bahn absolviert hat.",
     
-    // Label of checkbox that shows the original data as opposed to the
-    // 'repaired' data.  This only appears if data that needs repair has been
-    // loaded.
-    ShowOriginalData: "Zeige Original-Daten",
-  
-    // Tooltip of 'Show original' checkbox.  This appears when SplitsBrowser
-    // deduces that some of the cumulatives times in the data shown are
-    // unrealistic.
-    ShowOriginalDataTooltip: "SplitsBrowser hat einige Zeiten aus den Daten entfernt, weil es sie für unrealistisch hält.  " +
-                             "Nutze diese CheckBox zur Wahl zwischen den korrigierten oder den Original-Daten.",
-    
     StatisticsTotalTime: "Gesamtzeit",
     StatisticsSplitTime: "Zwischenzeit",
     StatisticsBehindFastest: "Rückstand zu optimal",
@@ -164,5 +153,628 @@ SplitsBrowser.Messages.de = {
     // Tooltip of the warning-triangle shown along the top if warnings were
     // issued reading in the file.
     // TO BE TRANSLATED
-    WarningsTooltip: "It was not possible to read all of the data for this event.  One or more competitors or classes may have been omitted.  Click for more details."
+    WarningsTooltip: "It was not possible to read all of the data for this event.  One or more competitors or classes may have been omitted.  Click for more details.",
+    
+    // Text added to the tooltip of the warning triangle giving the name of
+    // the parser that read in the event data.
+    // TO BE TRANSLATED
+    WarningsParserName: "The data for this event was read using the '$$PARSER$$' reader.",
+    
+    // Label shown in the header of the results table for a relay class next to
+    // the number of the control at which the runner of a leg hands over to the
+    // runner of the next leg.
+    // TO BE TRANSLATED
+    ResultsTableHeaderChangeover: "Leg $$LEG$$",
+    
+    // Name of the chart type that shows the points scored by competitors in a
+    // score event against time.
+    // TO BE TRANSLATED
+    ScoreGraphChartType: "Points graph",
+    
+    // Y-axis label of the points graph.
+    // TO BE TRANSLATED
+    ScoreGraphYAxisLabel: "Points",
+    
+    // Y-axis label of the points graph if the points of the controls are not
+    // known, so the number of controls visited is shown instead.
+    // TO BE TRANSLATED
+    ScoreGraphControlsYAxisLabel: "Controls visited",
+    
+    // Shown in the header of the results table in place of the number of
+    // controls if the class is a score event.
+    // TO BE TRANSLATED
+    ResultsTableHeaderScoreEvent: "score event",
+    
+    // Headers of the columns of the results table that show the points a
+    // competitor in a score event scored, the points deducted as a penalty, and
+    // the points the competitor scored after the penalty.
+    // TO BE TRANSLATED
+    ResultsTableHeaderPoints: "Points",
+    
+    // TO BE TRANSLATED
+    ResultsTableHeaderPenalty: "Penalty",
+    
+    // TO BE TRANSLATED
+    ResultsTableHeaderNetPoints: "Total",
+    
+    // Name of the chart type that shows each competitor's pace on each leg.
+    // TO BE TRANSLATED
+    PaceGraphChartType: "Pace",
+    
+    // Label for the Y-axis of the pace graph.
+    // TO BE TRANSLATED
+    PaceGraphYAxisLabel: "Pace (min/km)",
+    
+    // Label for the checkbox that shows the pace of each competitor on the current leg.
+    // TO BE TRANSLATED
+    StatisticsPace: "Pace",
+    
+    // Label for the buttons that save the chart as an image.
+    // TO BE TRANSLATED
+    ExportLabel: "Export: ",
+    
+    // Text and tooltip of the button that saves the chart as an SVG image.
+    // TO BE TRANSLATED
+    ExportSvg: "SVG",
+    
+    // TO BE TRANSLATED
+    ExportSvgTooltip: "Save the chart as an SVG image",
+    
+    // Text and tooltip of the button that saves the chart as a PNG image.
+    // TO BE TRANSLATED
+    ExportPng: "PNG",
+    
+    // TO BE TRANSLATED
+    ExportPngTooltip: "Save the chart as a PNG image",
+    
+    // Title shown above the chart in a saved image.  $$CLASSES$$ is replaced
+    // with the names of the classes shown and $$COMPARISON$$ with what the
+    // times are compared against.
+    // TO BE TRANSLATED
+    ExportChartTitle: "$$CLASSES$$ - compared with $$COMPARISON$$",
+    
+    // Text and tooltip of the button that loads results from a file on the
+    // user's computer.
+    // TO BE TRANSLATED
+    LoadLocalFileButton: "Open file...",
+    
+    // TO BE TRANSLATED
+    LoadLocalFileTooltip: "Load results from a file on this computer.  Files can also be dropped onto the page.",
+    
+    // Message shown if a file on the user's computer could not be read.
+    // TO BE TRANSLATED
+    LoadLocalFileReadError: "Sorry, it wasn't possible to read the file '$$FILE$$'.",
+    
+    // Label of the drop-down list that chooses how time losses are estimated.
+    // TO BE TRANSLATED
+    TimeLossMethodSelectorLabel: "Time loss: ",
+    
+    // Names of the methods of estimating time losses.  The first compares
+    // against the fastest split on each leg and the competitor's median split
+    // ratio, the second against the average of the fastest few splits on each
+    // leg, and the third against an ideal time in the style of WinSplits.
+    // TO BE TRANSLATED
+    TimeLossMethodMedianSplitRatio: "Median split ratio",
+    
+    // TO BE TRANSLATED
+    TimeLossMethodTopRunnersAverage: "Top runners' average",
+    
+    // TO BE TRANSLATED
+    TimeLossMethodIdealTime: "Ideal time",
+    
+    // Tooltip shown on a split time in the results table.  $$TIME$$ is
+    // replaced with the time lost on the leg.
+    // TO BE TRANSLATED
+    ResultsTableTimeLossTooltip: "Time loss: $$TIME$$",
+    
+    // Name of the chart type that lists the legs on which the selected
+    // competitors made mistakes.
+    // TO BE TRANSLATED
+    MistakeReportChartType: "Mistakes",
+    
+    // Label of the threshold above which a time loss on a leg is counted as a
+    // mistake, and the names of the units the threshold can be given in.
+    // TO BE TRANSLATED
+    MistakeReportThresholdLabel: "Show legs losing more than",
+    
+    // TO BE TRANSLATED
+    MistakeReportThresholdSeconds: "seconds",
+    
+    // TO BE TRANSLATED
+    MistakeReportThresholdPercent: "percent",
+    
+    // Text and tooltip of the buttons that save the mistakes as a text or CSV
+    // file.
+    // TO BE TRANSLATED
+    MistakeReportExportText: "Text",
+    
+    // TO BE TRANSLATED
+    MistakeReportExportTextTooltip: "Save the mistakes as a text file",
+    
+    // TO BE TRANSLATED
+    MistakeReportExportCsv: "CSV",
+    
+    // TO BE TRANSLATED
+    MistakeReportExportCsvTooltip: "Save the mistakes as a CSV file, for use in a spreadsheet",
+    
+    // Message shown in place of the mistakes if no competitors are selected.
+    // TO BE TRANSLATED
+    MistakeReportNoCompetitorsSelected: "Select competitors in the list to see their mistakes.",
+    
+    // Message shown for a competitor whose time losses cannot be estimated,
+    // for example because they mispunched.
+    // TO BE TRANSLATED
+    MistakeReportNoTimeLosses: "Time losses cannot be estimated for this competitor.",
+    
+    // Message shown for a competitor who lost no more than the threshold on
+    // any leg.
+    // TO BE TRANSLATED
+    MistakeReportNoMistakes: "No legs with mistakes.",
+    
+    // Summary of a competitor's mistakes.  $$TIME$$ is replaced with the
+    // competitor's time, $$LOSS$$ with the total time lost on the legs with
+    // mistakes and $$IDEAL$$ with the competitor's time without these mistakes.
+    // TO BE TRANSLATED
+    MistakeReportSummary: "Time: $$TIME$$, time lost: $$LOSS$$, time without mistakes: $$IDEAL$$",
+    
+    // Column headers of the table of a competitor's mistakes.
+    // TO BE TRANSLATED
+    MistakeReportHeaderLeg: "Leg",
+    
+    // TO BE TRANSLATED
+    MistakeReportHeaderSplitTime: "Split",
+    
+    // TO BE TRANSLATED
+    MistakeReportHeaderTimeLoss: "Time loss",
+    
+    // Line of a mistake in the mistakes saved as a text file.  $$LEG$$ is
+    // replaced with the name of the leg, such as 3-4, $$SPLIT$$ with the split
+    // time and $$LOSS$$ with the time lost.
+    // TO BE TRANSLATED
+    MistakeReportTextLine: "$$LEG$$: split $$SPLIT$$, time loss $$LOSS$$",
+    
+    // Name of the chart type listing groups of runners who punched consecutive controls together.
+    // TO BE TRANSLATED
+    PackReportChartType: "Packs",
+    
+    // Label for the largest difference, in seconds, between the times two runners punch a control for them to be treated as punching it together.
+    // TO BE TRANSLATED
+    PackReportWindowLabel: "Window (seconds): ",
+    
+    // Label for the smallest number of consecutive controls runners must punch together to form a pack.
+    // TO BE TRANSLATED
+    PackReportMinControlsLabel: "Minimum controls: ",
+    
+    // Message shown in the pack report if no runners punched enough consecutive controls together.
+    // TO BE TRANSLATED
+    PackReportNoPacks: "No runners punched enough consecutive controls together.",
+    
+    // Column headers of the tables in the pack report.
+    // TO BE TRANSLATED
+    PackReportHeaderControls: "Controls",
+    
+    // TO BE TRANSLATED
+    PackReportHeaderCompetitors: "Runners",
+    
+    // TO BE TRANSLATED
+    PackReportHeaderName: "Name",
+    
+    // TO BE TRANSLATED
+    PackReportHeaderTime: "Time",
+    
+    // TO BE TRANSLATED
+    PackReportHeaderTimeInPacks: "Time in packs",
+    
+    // Name of the chart type showing the distribution of split times on each leg.
+    // TO BE TRANSLATED
+    LegBoxPlotChartType: "Leg distribution",
+    
+    // Y-axis label of the chart showing the distribution of split times on each leg.
+    // TO BE TRANSLATED
+    LegBoxPlotYAxisLabel: "Split time",
+    
+    // Tooltip shown over the box of a leg in the chart showing the distribution of split times on each leg.
+    // $$LEG$$ is replaced by the name of the leg, e.g. '3-4', $$COUNT$$ by the number of split times,
+    // $$MEDIAN$$ by the median split time, and $$LOWER$$ and $$UPPER$$ by the lower and upper quartiles.
+    // TO BE TRANSLATED
+    LegBoxPlotTooltip: "$$LEG$$: median $$MEDIAN$$, quartiles $$LOWER$$ to $$UPPER$$ ($$COUNT$$ runners)",
+    
+    // Name of the view listing statistics for every leg of every course of the event.
+    // TO BE TRANSLATED
+    LegDifficultyTableChartType: "Leg difficulty (all courses)",
+    
+    // Header of the table of leg statistics.  $$NUM$$ is replaced by the number of legs.
+    // TO BE TRANSLATED
+    LegDifficultyTableHeader: "All courses, $$NUM$$ legs",
+    
+    // Message shown in place of the table of leg statistics if no courses have control codes.
+    // TO BE TRANSLATED
+    LegDifficultyTableNoLegs: "No courses with control codes were found.",
+    
+    // Tooltip shown over the column headers of the table of leg statistics.
+    // TO BE TRANSLATED
+    LegDifficultyTableSortTooltip: "Click to sort the legs on this column",
+    
+    // Fastest split on a leg.  $$TIME$$ is replaced by the split time, $$NAME$$ by the name of the runner
+    // and $$CLASS$$ by the name of their class.
+    // TO BE TRANSLATED
+    LegDifficultyTableFastestSplit: "$$TIME$$ $$NAME$$ ($$CLASS$$)",
+    
+    // Column headers of the table of leg statistics.
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderLeg: "Leg",
+    
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderCourses: "Courses",
+    
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderClasses: "Classes",
+    
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderFastest: "Fastest",
+    
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderMedian: "Median time",
+    
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderMedianTimeLoss: "Median time loss",
+    
+    // TO BE TRANSLATED
+    LegDifficultyTableHeaderMispunches: "Mispunches",
+    
+    // Name of the chart type that shows how far behind the leader at each
+    // control each competitor was, the leader being the competitor with the
+    // shortest elapsed time to the control.
+    // TO BE TRANSLATED
+    GapToLeaderChartType: "Gap to leader",
+    
+    // Name of the chart type that shows how far behind the leader at each
+    // control each competitor was, the leader being the first competitor to
+    // reach the control on the race clock, as used for mass and chasing starts.
+    // TO BE TRANSLATED
+    GapToLeaderRaceClockChartType: "Gap to leader (race clock)",
+    
+    // Label for the Y-axis of the gap-to-leader charts.
+    // TO BE TRANSLATED
+    GapToLeaderYAxisLabel: "Time behind leader (min)",
+    
+    // Name of the chart type that compares two competitors leg by leg.
+    // TO BE TRANSLATED
+    HeadToHeadChartType: "Head-to-head",
+    
+    // Shown in the head-to-head comparison when other than two competitors
+    // are selected.
+    // TO BE TRANSLATED
+    HeadToHeadSelectTwoCompetitors: "Select exactly two competitors to compare them head-to-head.",
+    
+    // Title of the head-to-head comparison.  $$FIRST$$ and $$SECOND$$ are
+    // replaced by the names of the two competitors compared.
+    // TO BE TRANSLATED
+    HeadToHeadTitle: "$$FIRST$$ vs $$SECOND$$",
+    
+    // Summary of the numbers of legs won by each of the two competitors
+    // compared in the head-to-head comparison.  $$FIRST$$ and $$SECOND$$ are
+    // replaced by the names of the competitors, and $$FIRST_LEGS$$ and
+    // $$SECOND_LEGS$$ by the numbers of legs they won.
+    // TO BE TRANSLATED
+    HeadToHeadSummary: "Legs won: $$FIRST$$ $$FIRST_LEGS$$, $$SECOND$$ $$SECOND_LEGS$$",
+    
+    // Label for the Y-axis of the head-to-head bar chart.  $$NAME$$ is
+    // replaced by the name of the first competitor compared.
+    // TO BE TRANSLATED
+    HeadToHeadYAxisLabel: "Time gained by $$NAME$$",
+    
+    // Column headers of the head-to-head comparison table.  The other columns
+    // are headed with the names of the competitors.
+    // TO BE TRANSLATED
+    HeadToHeadHeaderLeg: "Leg",
+    
+    // TO BE TRANSLATED
+    HeadToHeadHeaderDifference: "Difference",
+    
+    // TO BE TRANSLATED
+    HeadToHeadHeaderLegWinner: "Leg winner",
+    
+    // TO BE TRANSLATED
+    HeadToHeadHeaderCumulativeDifference: "Cumulative difference",
+    
+    // Shown in the head-to-head comparison table for a leg on which both
+    // competitors recorded the same split time.
+    // TO BE TRANSLATED
+    HeadToHeadTie: "Tie",
+    
+    // Name of the chart type that shows the overall classification of a class
+    // over all of the days of a multi-day event.
+    // TO BE TRANSLATED
+    MultiDayResultsChartType: "Overall (multi-day)",
+    
+    // Header of the overall classification of a multi-day event.  $$CLASS$$
+    // is replaced by the name of the class, and $$NUM$$ by the number of days.
+    // TO BE TRANSLATED
+    MultiDayResultsHeader: "$$CLASS$$ - overall results over $$NUM$$ days",
+    
+    // Header shown in place of the overall classification of a multi-day
+    // event when there are no results to show.
+    // TO BE TRANSLATED
+    MultiDayResultsNoResults: "No overall results to show",
+    
+    // Column headers of the overall classification of a multi-day event.  The
+    // other columns are headed with the names of the days.
+    // TO BE TRANSLATED
+    MultiDayResultsHeaderPosition: "Pos",
+    
+    // TO BE TRANSLATED
+    MultiDayResultsHeaderName: "Name",
+    
+    // TO BE TRANSLATED
+    MultiDayResultsHeaderClub: "Club",
+    
+    // TO BE TRANSLATED
+    MultiDayResultsHeaderTotal: "Total",
+    
+    // TO BE TRANSLATED
+    MultiDayResultsHeaderBehind: "Behind",
+    
+    // Label for the Y-axis of the chart of times behind the overall leader
+    // after each day of a multi-day event.
+    // TO BE TRANSLATED
+    MultiDayResultsYAxisLabel: "Time behind overall leader",
+    
+    // Label for the drop-down list used to choose a day of a multi-day event.
+    // TO BE TRANSLATED
+    DaySelectorLabel: "Day: ",
+    
+    // Default name of a day of a multi-day event.  $$NUMBER$$ is replaced by
+    // the number of the day, starting from 1.
+    // TO BE TRANSLATED
+    DayName: "Day $$NUMBER$$",
+    
+    // Performance history: label of the drop-down list of competitors.
+    // TO BE TRANSLATED
+    PerformanceHistoryCompetitorLabel: "Competitor: ",
+    
+    // Performance history: label of the drop-down list of times to compare against.
+    // TO BE TRANSLATED
+    PerformanceHistoryReferenceLabel: "Compare with: ",
+    
+    // TO BE TRANSLATED
+    PerformanceReferenceWinner: "Winner",
+    
+    // TO BE TRANSLATED
+    PerformanceReferenceTopThreeMedian: "Median of top 3",
+    
+    // Performance history: $$NAME$$ and $$CLUB$$ are the name and club of the
+    // competitor, $$NUM$$ the number of events they took part in.
+    // TO BE TRANSLATED
+    PerformanceHistoryHeader: "$$NAME$$ ($$CLUB$$) - performances in $$NUM$$ event(s)",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryNoCompetitors: "No competitors were found in the events loaded.",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryPerformanceIndexLegend: "Performance index (% behind reference time)",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryTimeLossLegend: "Time lost through mistakes (% of total time)",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryHeaderEvent: "Event",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryHeaderClass: "Class",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryHeaderTime: "Time",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryHeaderReferenceTime: "Reference time",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryHeaderPerformanceIndex: "Performance index",
+    
+    // TO BE TRANSLATED
+    PerformanceHistoryHeaderTimeLoss: "Time lost",
+    
+    // Default name of an event in a performance history.  $$NUMBER$$ is the
+    // number of the event, starting from 1.
+    // TO BE TRANSLATED
+    HistoryEventName: "Event $$NUMBER$$",
+    
+    // Label of the drop-down list used to choose the scheme of awarding ranking points.
+    // TO BE TRANSLATED
+    RankingPointsSelectorLabel: "Ranking points: ",
+    
+    // Option in the ranking-points drop-down list to award no ranking points.
+    // TO BE TRANSLATED
+    RankingPointsNone: "None",
+    
+    // Name of the British Orienteering scheme of awarding ranking points.
+    // TO BE TRANSLATED
+    RankingPointsBritishOrienteering: "British Orienteering",
+    
+    // Name of the scheme of awarding ranking points as a percentage of the winner's time.
+    // TO BE TRANSLATED
+    RankingPointsWinnerPercentage: "% of winner's time",
+    
+    // Name of a scheme of awarding ranking points using a custom formula.
+    // TO BE TRANSLATED
+    RankingPointsCustom: "Custom",
+    
+    // Header of the column of ranking points in the results table.
+    // TO BE TRANSLATED
+    ResultsTableHeaderRankingPoints: "Ranking points",
+    
+    // Label of the drop-down list used to choose the table of factors used to grade competitors' times by age and gender.
+    // TO BE TRANSLATED
+    AgeGradingSelectorLabel: "Grading: ",
+    
+    // Option in the age-grading drop-down list not to grade competitors' times.
+    // TO BE TRANSLATED
+    AgeGradingNone: "None",
+    
+    // Name of the built-in table of age-grading factors, based on the WMA age-grading tables.
+    // TO BE TRANSLATED
+    AgeGradingWMA: "WMA age grading",
+    
+    // Name of a table of age-grading factors supplied by the user.
+    // TO BE TRANSLATED
+    AgeGradingCustom: "Custom",
+    
+    // Header of the column of competitors' times after grading by age and gender in the results table.
+    // TO BE TRANSLATED
+    ResultsTableHeaderGradedTime: "Graded time",
+    
+    // Label of the drop-down list that chooses between the original data, the
+    // data with dubious times removed and the data with dubious times estimated.
+    // This only appears if data that needs repair has been loaded.
+    // TO BE TRANSLATED
+    DataRepairSelectorLabel: "Data: ",
+    
+    // Tooltip of the drop-down list that chooses between the original, removed
+    // and estimated data.
+    // TO BE TRANSLATED
+    DataRepairSelectorTooltip: "SplitsBrowser believes some of the times in the data in the selected class(es) to be unrealistic.  " +
+                               "Use this drop-down list to control whether the original data is plotted, the data with these times removed, " +
+                               "or the data with these times estimated from the competitors' pace and the other competitors' split times.",
+    
+    // Option of the data drop-down list that shows the original data.
+    // TO BE TRANSLATED
+    DataRepairOriginal: "Original",
+    
+    // Option of the data drop-down list that shows the data with dubious times
+    // removed.
+    // TO BE TRANSLATED
+    DataRepairBlanked: "Dubious times removed",
+    
+    // Option of the data drop-down list that shows the data with dubious times
+    // estimated.
+    // TO BE TRANSLATED
+    DataRepairInterpolated: "Dubious times estimated",
+    
+    // Tooltip shown on a dubious cumulative time in the results table, when it
+    // has been estimated.  $$TIME$$ is the estimated time.
+    // TO BE TRANSLATED
+    ResultsTableEstimatedTimeTooltip: "Estimated time: $$TIME$$",
+    
+    // Heading above the list of corrections made to the results, shown after the
+    // list of warnings.
+    // TO BE TRANSLATED
+    WarningsCorrectionsHeader: "Corrections made to the results:",
+    
+    // Button that shows or hides the editor for correcting the results.
+    // TO BE TRANSLATED
+    CorrectionEditorButton: "Correct results",
+    
+    // Tooltip of the button that shows or hides the editor for correcting the
+    // results.
+    // TO BE TRANSLATED
+    CorrectionEditorTooltip: "Adjust the punch times of a competitor, shift the clock of a control station or cancel a control",
+    
+    // Label of the drop-down list of the types of correction.
+    // TO BE TRANSLATED
+    CorrectionEditorTypeLabel: "Correction: ",
+    
+    // Type of correction that changes a competitor's time at a control.
+    // TO BE TRANSLATED
+    CorrectionTypeAdjustPunch: "Adjust a punch time",
+    
+    // Type of correction that shifts the times recorded by a control station for
+    // all competitors.
+    // TO BE TRANSLATED
+    CorrectionTypeShiftStation: "Shift a control station's clock",
+    
+    // Type of correction that removes a control from a course.
+    // TO BE TRANSLATED
+    CorrectionTypeCancelControl: "Cancel a control",
+    
+    // Label of the drop-down list of classes in the correction editor.
+    // TO BE TRANSLATED
+    CorrectionEditorClassLabel: "Class: ",
+    
+    // Label of the drop-down list of competitors in the correction editor.
+    // TO BE TRANSLATED
+    CorrectionEditorCompetitorLabel: "Competitor: ",
+    
+    // Label of the text box for the number of a control in the correction
+    // editor.
+    // TO BE TRANSLATED
+    CorrectionEditorControlLabel: "Control number: ",
+    
+    // Label of the text box for a competitor's corrected time at a control.
+    // TO BE TRANSLATED
+    CorrectionEditorTimeLabel: "Cumulative time (mm:ss, blank to remove): ",
+    
+    // Label of the text box for the code of the control whose station's clock is
+    // shifted.
+    // TO BE TRANSLATED
+    CorrectionEditorCodeLabel: "Control code: ",
+    
+    // Label of the text box for the amount to shift a control station's clock by.
+    // TO BE TRANSLATED
+    CorrectionEditorOffsetLabel: "Shift by (mm:ss, -mm:ss for earlier): ",
+    
+    // Label of the drop-down list of courses in the correction editor.
+    // TO BE TRANSLATED
+    CorrectionEditorCourseLabel: "Course: ",
+    
+    // Label of the text box for the reason for a correction.
+    // TO BE TRANSLATED
+    CorrectionEditorReasonLabel: "Reason: ",
+    
+    // Button that applies the correction entered in the correction editor.
+    // TO BE TRANSLATED
+    CorrectionEditorApplyButton: "Apply",
+    
+    // Button that saves the corrections made as a file.
+    // TO BE TRANSLATED
+    CorrectionEditorSaveButton: "Save corrections",
+    
+    // Tooltip of the button that saves the corrections made as a file.
+    // TO BE TRANSLATED
+    CorrectionEditorSaveTooltip: "Save the corrections made as a file that can be loaded with the results",
+    
+    // Message shown if the correction entered in the correction editor is not
+    // valid.  $$MESSAGE$$ is replaced with the reason why.
+    // TO BE TRANSLATED
+    CorrectionEditorInvalidCorrection: "The correction is not valid: $$MESSAGE$$",
+    
+    // Message shown if the user tries to save corrections when none have been
+    // made.
+    // TO BE TRANSLATED
+    CorrectionEditorNoCorrections: "No corrections have been made.",
+    
+    // Tooltip shown on the total time of a competitor in the results table if
+    // the course has neutralised legs.  $$TIME$$ is the competitor's total time
+    // including the time taken on the neutralised legs.
+    // TO BE TRANSLATED
+    ResultsTableRawTimeTooltip: "Time including neutralised legs: $$TIME$$",
+    
+    // Tooltip shown on split times in the results table for legs that are
+    // neutralised, i.e. whose time is not counted.
+    // TO BE TRANSLATED
+    ResultsTableNeutralisedLegTooltip: "Neutralised leg: this time is not counted",
+    
+    // Label for the drop-down list used to choose between viewing the whole
+    // teams of a relay class and the runners of one of its legs.
+    // TO BE TRANSLATED
+    RelayViewSelectorLabel: "Relay: ",
+    
+    // Option in the relay-view drop-down list for viewing the whole teams of a
+    // relay class.
+    // TO BE TRANSLATED
+    RelayViewTeams: "Whole teams",
+    
+    // Option in the relay-view drop-down list for viewing the runners of one
+    // leg of a relay class.  $$LEG$$ is replaced with the number of the leg.
+    // TO BE TRANSLATED
+    RelayViewLeg: "Leg $$LEG$$",
+    
+    // Label shown along the top giving the name of the parser that read in
+    // the event data.
+    // TO BE TRANSLATED
+    ParserNameLabel: "Format: $$PARSER$$",
+    
+    // Message shown if the chart could not be saved as a PNG image.
+    // TO BE TRANSLATED
+    ExportPngFailed: "Sorry, it was not possible to save the chart as a PNG image in this browser.  Try saving it as an SVG image instead."
 };
\ No newline at end of file
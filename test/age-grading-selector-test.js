@@ -0,0 +1,101 @@
+/*
+ *  SplitsBrowser - AgeGradingSelector tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var AgeGradingSelector = SplitsBrowser.Controls.AgeGradingSelector;
+    var AgeGradingTables = SplitsBrowser.Model.AgeGradingTables;
+    var createCustomAgeGradingTable = SplitsBrowser.Model.createCustomAgeGradingTable;
+
+    QUnit.module("Age Grading Selector");
+
+    var customTable = createCustomAgeGradingTable({M: {0: 1, 40: 0.9}});
+    var tables = [AgeGradingTables.WMA, customTable];
+
+    var lastTable = null;
+    var callCount = 0;
+
+    function handleTableChanged(table) {
+        lastTable = table;
+        callCount += 1;
+    }
+
+    function createSelector() {
+        lastTable = null;
+        callCount = 0;
+        return new AgeGradingSelector(d3.select("#qunit-fixture").node(), tables);
+    }
+
+    QUnit.test("Can construct the selector with no grading selected", function (assert) {
+        var selector = createSelector();
+
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.strictEqual(htmlSelect.options.length, 3, "Three items should be created");
+        assert.strictEqual($(htmlSelect.options[0]).text(), SplitsBrowser.getMessage("AgeGradingNone"));
+        assert.strictEqual($(htmlSelect.options[1]).text(), SplitsBrowser.getMessage("AgeGradingWMA"));
+        assert.strictEqual($(htmlSelect.options[2]).text(), SplitsBrowser.getMessage("AgeGradingCustom"));
+        assert.strictEqual(selector.getAgeGradingTable(), null);
+    });
+
+    QUnit.test("Changing a value in the selector calls the change handler with the table selected", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleTableChanged);
+
+        $("#qunit-fixture select").val(1).change();
+
+        assert.strictEqual(lastTable, AgeGradingTables.WMA);
+        assert.strictEqual(callCount, 1);
+        assert.strictEqual(selector.getAgeGradingTable(), AgeGradingTables.WMA);
+    });
+
+    QUnit.test("Registering the same handler twice and changing a value in the selector calls the handler only once", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleTableChanged);
+        selector.registerChangeHandler(handleTableChanged);
+
+        $("#qunit-fixture select").val(2).change();
+
+        assert.strictEqual(lastTable, customTable);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the table to a recognised table selects it and calls the change handler", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleTableChanged);
+
+        selector.setAgeGradingTable(customTable);
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 2);
+        assert.strictEqual(selector.getAgeGradingTable(), customTable);
+        assert.strictEqual(lastTable, customTable);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the table to an unrecognised table does nothing and does not call the change handler", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleTableChanged);
+
+        selector.setAgeGradingTable("This is not a recognised table");
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 0);
+        assert.strictEqual(callCount, 0);
+    });
+})();
@@ -0,0 +1,144 @@
+/*
+ *  SplitsBrowser - AgeGrading tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Event = SplitsBrowser.Model.Event;
+    var AgeGradingTables = SplitsBrowser.Model.AgeGradingTables;
+    var createCustomAgeGradingTable = SplitsBrowser.Model.createCustomAgeGradingTable;
+    var compareCompetitors = SplitsBrowser.Model.compareCompetitors;
+
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Age grading");
+
+    var TEST_FACTORS = {M: {0: 1, 40: 0.9, 50: 0.8}, F: {0: 0.85}};
+
+    // Fred Brown, a man aged 45 in 2020, takes 1000 seconds.  John Smith, a
+    // man of unknown age, takes 950 seconds.  Jane Green, a woman aged 30 in
+    // 2020, takes 1100 seconds.
+    function getTestClass() {
+        var fredBrown = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [200, 300, 400, 100]);
+        fredBrown.setYearOfBirth(1975);
+        fredBrown.setGender("M");
+        var johnSmith = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [150, 300, 400, 100]);
+        var janeGreen = fromSplitTimes(3, "Jane Green", "GHI", 10 * 3600, [300, 300, 400, 100]);
+        janeGreen.setYearOfBirth(1990);
+        janeGreen.setGender("F");
+        return new CourseClass("Test class", 3, [fredBrown, johnSmith, janeGreen]);
+    }
+
+    function getGradedTotalTimes(courseClass) {
+        return courseClass.competitors.map(function (comp) { return comp.getGradedTotalTime(); });
+    }
+
+    QUnit.test("Can get the factor of the age band that a competitor is in", function (assert) {
+        var table = createCustomAgeGradingTable(TEST_FACTORS);
+        assert.strictEqual(table.getFactor(21, "M"), 1);
+        assert.strictEqual(table.getFactor(40, "M"), 0.9);
+        assert.strictEqual(table.getFactor(49, "M"), 0.9);
+        assert.strictEqual(table.getFactor(72, "M"), 0.8);
+        assert.strictEqual(table.getFactor(60, "F"), 0.85);
+    });
+
+    QUnit.test("Factor is null for a gender not in the table or an age below the youngest band", function (assert) {
+        var table = createCustomAgeGradingTable({M: {35: 0.95}});
+        assert.strictEqual(table.getFactor(40, "F"), null);
+        assert.strictEqual(table.getFactor(21, "M"), null);
+    });
+
+    QUnit.test("Built-in WMA table gives smaller factors to older competitors and to women", function (assert) {
+        var table = AgeGradingTables.WMA;
+        assert.strictEqual(table.getFactor(25, "M"), 1);
+        assert.ok(table.getFactor(45, "M") < table.getFactor(35, "M"));
+        assert.ok(table.getFactor(45, "F") < table.getFactor(45, "M"));
+    });
+
+    QUnit.test("Cannot create a custom table from something that is not an object", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () {
+            createCustomAgeGradingTable("not a table");
+        });
+    });
+
+    QUnit.test("Cannot create a custom table with a factor that is not a positive number", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () {
+            createCustomAgeGradingTable({M: {40: "0.9"}});
+        });
+        SplitsBrowserTest.assertException(assert, "TypeError", function () {
+            createCustomAgeGradingTable({M: {40: -1}});
+        });
+    });
+
+    QUnit.test("Grading factor multiplies the cumulative and split times of a competitor", function (assert) {
+        var competitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [200, 300, 400, 100]);
+        competitor.setGradingFactor(0.9);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 180, 450, 810, 900]);
+        assert.strictEqual(competitor.getSplitTimeTo(2), 270);
+        assert.strictEqual(competitor.totalTime, 1000);
+        assert.strictEqual(competitor.getGradedTotalTime(), 900);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 200, 500, 900, 1000]);
+    });
+
+    QUnit.test("Removing the grading factor of a competitor restores their ungraded times", function (assert) {
+        var competitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [200, 300, 400, 100]);
+        competitor.setGradingFactor(0.9);
+        competitor.setGradingFactor(null);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 200, 500, 900, 1000]);
+        assert.strictEqual(competitor.getGradedTotalTime(), 1000);
+    });
+
+    QUnit.test("Repaired times of a competitor are graded using their grading factor", function (assert) {
+        var competitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [200, 300, 400, 100]);
+        competitor.setGradingFactor(0.5);
+        competitor.setRepairedCumulativeTimes([0, 200, null, 900, 1000]);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 100, null, 450, 500]);
+    });
+
+    QUnit.test("Competitors are compared using their graded times", function (assert) {
+        var fasterCompetitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [200, 300, 400, 100]);
+        var slowerCompetitor = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [300, 300, 400, 100]);
+        assert.ok(compareCompetitors(fasterCompetitor, slowerCompetitor) < 0);
+        slowerCompetitor.setGradingFactor(0.8);
+        assert.ok(compareCompetitors(fasterCompetitor, slowerCompetitor) > 0);
+    });
+
+    QUnit.test("Can grade the competitors in a class by their age and gender, leaving those of unknown age ungraded", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.applyAgeGrading(createCustomAgeGradingTable(TEST_FACTORS), 2020);
+        assert.deepEqual(courseClass.competitors.map(function (comp) { return comp.gradingFactor; }), [0.9, null, 0.85]);
+        assert.deepEqual(getGradedTotalTimes(courseClass), [900, 950, 935]);
+    });
+
+    QUnit.test("Can remove the grading of the competitors in a class", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.applyAgeGrading(createCustomAgeGradingTable(TEST_FACTORS), 2020);
+        courseClass.applyAgeGrading(null, 2020);
+        assert.deepEqual(getGradedTotalTimes(courseClass), [1000, 950, 1100]);
+    });
+
+    QUnit.test("Can grade the competitors in all classes of an event", function (assert) {
+        var courseClass = getTestClass();
+        var event = new Event([courseClass], [], []);
+        event.applyAgeGrading(createCustomAgeGradingTable(TEST_FACTORS), 2020);
+        assert.deepEqual(getGradedTotalTimes(courseClass), [900, 950, 935]);
+    });
+})();
@@ -0,0 +1,128 @@
+/*
+ *  SplitsBrowser - ChartExporter tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var ChartExporter = SplitsBrowser.Controls.ChartExporter;
+
+    QUnit.module("Chart Exporter");
+
+    /**
+    * Creates an SVG element within the QUnit fixture that resembles a chart,
+    * and returns a dummy chart object that contains it.
+    * @return {Object} Dummy chart object.
+    */
+    function createDummyChart() {
+        var fixture = d3.select("#qunit-fixture");
+        fixture.append("style").text("#qunit-fixture text.exportTestLabel { fill: #123456; font-weight: bold; }");
+
+        var svg = fixture.append("svg");
+        $(svg.node()).width(400).height(300);
+
+        var group = svg.append("g");
+        group.append("path").classed("graphLine", true).attr("d", "M0,0L10,10");
+        group.append("text").classed("exportTestLabel", true).text("Fred Brown 03:41 (2)");
+        group.append("line").classed("controlLine", true);
+        svg.append("text").attr("id", "sb-text-size-element").text("Measure me");
+
+        return {getSvgNode: function () { return svg.node(); }};
+    }
+
+    /**
+    * Creates a chart exporter for a dummy chart, and returns the exported
+    * SVG document.
+    * @return {Document} The exported SVG document.
+    */
+    function getExportedSvg() {
+        var exporter = new ChartExporter(d3.select("#qunit-fixture").node());
+        exporter.setChart(createDummyChart());
+        exporter.setTitle("M21 - compared with Fastest time");
+        return $.parseXML(exporter.getSvgText());
+    }
+
+    QUnit.test("Can create a chart exporter with buttons to export an SVG image and a PNG image", function (assert) {
+        new ChartExporter(d3.select("#qunit-fixture").node());
+        var buttons = $("#qunit-fixture div#chartExporterContainer button");
+        assert.strictEqual(buttons.length, 2);
+        assert.strictEqual(buttons.eq(0).text(), SplitsBrowser.getMessage("ExportSvg"));
+        assert.strictEqual(buttons.eq(1).text(), SplitsBrowser.getMessage("ExportPng"));
+    });
+
+    QUnit.test("Can disable the buttons of a chart exporter", function (assert) {
+        var exporter = new ChartExporter(d3.select("#qunit-fixture").node());
+        exporter.setEnabled(false);
+        assert.strictEqual($("#qunit-fixture div#chartExporterContainer button:disabled").length, 2);
+
+        exporter.setEnabled(true);
+        assert.strictEqual($("#qunit-fixture div#chartExporterContainer button:disabled").length, 0);
+    });
+
+    QUnit.test("Exported SVG is a standalone SVG document with the size of the chart plus the title", function (assert) {
+        var svg = getExportedSvg().documentElement;
+        assert.strictEqual(svg.localName, "svg");
+        assert.strictEqual(svg.namespaceURI, "http://www.w3.org/2000/svg");
+        assert.strictEqual(svg.getAttribute("width"), "400");
+        assert.strictEqual(svg.getAttribute("height"), "330");
+        assert.strictEqual(svg.getAttribute("style"), null);
+    });
+
+    QUnit.test("Exported SVG contains the title of the chart", function (assert) {
+        var title = $(getExportedSvg()).find("text.chartTitle");
+        assert.strictEqual(title.length, 1);
+        assert.strictEqual(title.text(), "M21 - compared with Fastest time");
+    });
+
+    QUnit.test("Exported SVG contains the chart moved below the title", function (assert) {
+        var exportedSvg = $(getExportedSvg());
+        var label = exportedSvg.find("text.exportTestLabel");
+        assert.strictEqual(label.text(), "Fred Brown 03:41 (2)");
+        assert.strictEqual(exportedSvg.find("path.graphLine").length, 1);
+        assert.strictEqual(label.parent().parent().attr("transform"), "translate(0,30)");
+    });
+
+    QUnit.test("Exported SVG does not contain the control line or the text-size element", function (assert) {
+        var exportedSvg = $(getExportedSvg());
+        assert.strictEqual(exportedSvg.find("line.controlLine").length, 0);
+        assert.strictEqual(exportedSvg.find("text").filter(function () { return $(this).text() === "Measure me"; }).length, 0);
+    });
+
+    QUnit.test("Exported SVG contains the styles of the chart's elements inline, including those from rules that select elements outside the chart", function (assert) {
+        var exporter = new ChartExporter(d3.select("#qunit-fixture").node());
+        var chart = createDummyChart();
+        exporter.setChart(chart);
+        var liveStyle = window.getComputedStyle($(chart.getSvgNode()).find("text.exportTestLabel")[0]);
+        var exportedLabel = $($.parseXML(exporter.getSvgText())).find("text.exportTestLabel");
+        var exportedStyle = exportedLabel.attr("style");
+        assert.ok(liveStyle.getPropertyValue("fill") !== "", "Fill of the label should be known");
+        assert.ok(exportedStyle.indexOf("fill: " + liveStyle.getPropertyValue("fill")) >= 0, "Fill of the label should be inlined");
+        assert.ok(exportedStyle.indexOf("font-weight: " + liveStyle.getPropertyValue("font-weight")) >= 0, "Font weight of the label should be inlined");
+    });
+
+    QUnit.test("Does not modify the chart when exporting it", function (assert) {
+        var exporter = new ChartExporter(d3.select("#qunit-fixture").node());
+        var chart = createDummyChart();
+        exporter.setChart(chart);
+        exporter.getSvgText();
+        assert.strictEqual($(chart.getSvgNode()).find("line.controlLine").length, 1);
+        assert.strictEqual($(chart.getSvgNode()).find("text.exportTestLabel").attr("style"), undefined);
+        assert.strictEqual($(chart.getSvgNode()).children("g").length, 1);
+    });
+})();
@@ -224,6 +224,39 @@
         assert.deepEqual(actualData, expectedData);
     });
     
+    /**
+    * Returns a course-class set for a class on a forked course with
+    * variations 'A' and 'B', with each competitor on alternate variations,
+    * along with the event data containing it.
+    * @return {Object} Object containing a course-class set and event data.
+    */
+    function getForkedCourseClassSetAndEvent() {
+        var courseClassSet = getTestCourseClassSet();
+        courseClassSet.allCompetitors.forEach(function (comp, index) { comp.setVariation((index % 2 === 0) ? "A" : "B"); });
+        var course = new Course("Test course", courseClassSet.classes, null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "189", "212"]}, {name: "B", controls: ["189", "235", "212"]}]);
+        courseClassSet.classes.forEach(function (courseClass) { courseClass.setCourse(course); });
+        return {courseClassSet: courseClassSet, eventData: new Event(courseClassSet.classes, [course])};
+    }
+    
+    QUnit.test("Can get fastest splits on a leg of a forked course along the legs of its first variation", function (assert) {
+        var courseClassSetAndEvent = getForkedCourseClassSetAndEvent();
+        var actualData = ChartPopupData.getFastestSplitsForLegPopupData(courseClassSetAndEvent.courseClassSet, courseClassSetAndEvent.eventData, 1);
+        assert.strictEqual(actualData.title, getMessageWithFormatting("FastestLegTimePopupHeader", {"$$START$$": getMessage("StartName"), "$$END$$": "235"}));
+        assert.ok(actualData.data.length > 0, "There should be some fastest splits");
+    });
+    
+    QUnit.test("Can get next controls after a control of a forked course in each variation", function (assert) {
+        var courseClassSetAndEvent = getForkedCourseClassSetAndEvent();
+        var course = courseClassSetAndEvent.courseClassSet.getCourse();
+        var expectedData = {
+            nextControls: [{ course: course, nextControls: "189, 212" }],
+            thisControl: getMessageWithFormatting("ControlName", {"$$CODE$$": "235"})
+        };
+        
+        assert.deepEqual(ChartPopupData.getNextControlData(course, courseClassSetAndEvent.eventData, 1), expectedData);
+    });
+    
     QUnit.test("Can get courses and next controls using numeric sorting of course names where appropriate", function (assert) {
         var course5 = new Course("Test course 5", [], null, null, ["235", "189", "212"]);
         var course8 = new Course("Test course 8", [], null, null, ["235", "189", "212"]);
@@ -28,6 +28,8 @@
     var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
     var Course = SplitsBrowser.Model.Course;
     var Event = SplitsBrowser.Model.Event;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
+    var ChartTypes = SplitsBrowser.Model.ChartTypes;
 
     var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
     
@@ -188,4 +190,80 @@
         runChartCreationTest(assert, DUMMY_CHART_TYPE_NO_SKIP);
     });
     
+    QUnit.test("Can create a points graph of a score class with no competitors selected", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [300]);
+        competitor1.setScoreResult(new ScoreResult([{code: "41", time: 150, points: 10}], null, 0));
+        var competitor2 = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [400]);
+        competitor2.setScoreResult(new ScoreResult([{code: "31", time: 100, points: 10}, {code: "32", time: 250, points: 20}], null, 5));
+        var courseClass = new CourseClass("Test", 0, [competitor1, competitor2]);
+        var course = new Course("Test course", [courseClass], null, null, null);
+        courseClass.setCourse(course);
+        var courseClassSet = new CourseClassSet([courseClass]);
+        var fastestCumTimes = courseClassSet.getFastestCumTimes();
+        var chart = createTestChart();
+        var data = {
+            chartData: courseClassSet.getChartData(fastestCumTimes, [], ChartTypes.ScoreGraph),
+            eventData: new Event([courseClass], [course]),
+            courseClassSet: courseClassSet,
+            referenceCumTimes: fastestCumTimes,
+            fastestCumTimes: fastestCumTimes
+        };
+        
+        chart.drawChart(data, [], [true, true, true], ChartTypes.ScoreGraph);
+        assert.strictEqual(d3.select(chart.svg.node()).selectAll("text.competitorLabel").size(), 0);
+    });
+    
+    QUnit.test("Can create a race graph with the packs containing selected competitors shaded", function (assert) {
+        var courseClassSetAndEvent = getTestCourseClassSetAndEvent();
+        var courseClassSet = courseClassSetAndEvent.courseClassSet;
+        var fastestCumTimes = courseClassSet.getFastestCumTimes();
+        var chart = createTestChart();
+        var data = {
+            chartData: courseClassSet.getChartData(fastestCumTimes, [0], DUMMY_CHART_TYPE_RACE_GRAPH),
+            eventData: courseClassSetAndEvent.eventData,
+            courseClassSet: courseClassSet,
+            referenceCumTimes: fastestCumTimes,
+            fastestCumTimes: fastestCumTimes,
+            packs: [{competitorIndexes: [0, 1], competitors: courseClassSet.allCompetitors, startControl: 1, endControl: 3}]
+        };
+        
+        chart.drawChart(data, [0], [true, true, true], DUMMY_CHART_TYPE_RACE_GRAPH);
+        assert.strictEqual(d3.select(chart.svg.node()).selectAll("polygon.packBand").size(), 1);
+        
+        data.packs[0].competitorIndexes = [1];
+        chart.drawChart(data, [0], [true, true, true], DUMMY_CHART_TYPE_RACE_GRAPH);
+        assert.strictEqual(d3.select(chart.svg.node()).selectAll("polygon.packBand").size(), 0);
+    });
+    
+    QUnit.test("Can create a chart of a class on a forked course with control information in its popups", function (assert) {
+        var courseClassSetAndEvent = getTestCourseClassSetAndEvent();
+        var courseClassSet = courseClassSetAndEvent.courseClassSet;
+        courseClassSet.allCompetitors.forEach(function (comp) { comp.setVariation((comp.name === "Fred Brown") ? "A" : "B"); });
+        courseClassSet.getCourse().setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["212", "235", "189"]}]);
+        
+        var fastestCumTimes = courseClassSet.getFastestCumTimes();
+        var chart = createTestChart();
+        var data = {
+            chartData: courseClassSet.getChartData(fastestCumTimes, [0, 1], DUMMY_CHART_TYPE_NO_SKIP),
+            eventData: courseClassSetAndEvent.eventData,
+            courseClassSet: courseClassSet,
+            referenceCumTimes: fastestCumTimes,
+            fastestCumTimes: fastestCumTimes
+        };
+        
+        chart.drawChart(data, [0, 1], [true, true, true], DUMMY_CHART_TYPE_NO_SKIP);
+        assert.ok(chart.hasControls, "Chart of a forked course should have controls");
+        
+        chart.actualControlIndex = 2;
+        assert.strictEqual(chart.getNextControlData().thisControl, SplitsBrowser.getMessageWithFormatting("ControlName", {"$$CODE$$": "212"}));
+        
+        // Both variations use the leg to the finish, on which John Smith is
+        // fastest, but only Fred Brown's variation uses the leg from 212 to
+        // 189.
+        chart.currentControlIndex = 4;
+        assert.deepEqual(chart.getFastestSplitsForCurrentLegPopupData().data.map(function (row) { return row.name; }), ["John Smith"]);
+        chart.currentControlIndex = 3;
+        assert.deepEqual(chart.getFastestSplitsForCurrentLegPopupData().data.map(function (row) { return row.name; }), ["Fred Brown"]);
+    });
+    
 })();
\ No newline at end of file
@@ -208,4 +208,100 @@
         assert.strictEqual(lastChartTypeName, chartTypes[0].nameKey, "The first chart type should have been selected");
         assert.strictEqual(callCount, 1, "One change should have been recorded");
     });
+
+    var chartTypesWithScoreGraph = [
+        SplitsBrowser.Model.ChartTypes.SplitsGraph,
+        SplitsBrowser.Model.ChartTypes.ScoreGraph,
+        SplitsBrowser.Model.ChartTypes.ResultsTable,
+        SplitsBrowser.Model.ChartTypes.LegDifficultyTable
+    ];
+
+    function createSelectorWithScoreGraph() {
+        return new ChartTypeSelector(d3.select("#qunit-fixture").node(), chartTypesWithScoreGraph);
+    }
+
+    QUnit.test("Score graph is disabled when no score classes are selected", function(assert) {
+        createSelectorWithScoreGraph();
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.ok(!htmlSelect.options[0].disabled, "Splits graph should be enabled");
+        assert.ok(htmlSelect.options[1].disabled, "Score graph should be disabled");
+        assert.ok(!htmlSelect.options[2].disabled, "Results table should be enabled");
+        assert.ok(!htmlSelect.options[3].disabled, "Leg difficulty table should be enabled");
+    });
+
+    QUnit.test("Selecting score classes disables the other graphs and selects the score graph", function(assert) {
+        resetLastChartType();
+        var selector = createSelectorWithScoreGraph();
+        selector.registerChangeHandler(handleChartTypeChanged);
+        selector.setScoreClassesSelected(true);
+
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.ok(htmlSelect.options[0].disabled, "Splits graph should be disabled");
+        assert.ok(!htmlSelect.options[1].disabled, "Score graph should be enabled");
+        assert.ok(!htmlSelect.options[2].disabled, "Results table should be enabled");
+        assert.ok(!htmlSelect.options[3].disabled, "Leg difficulty table should be enabled");
+        assert.strictEqual(htmlSelect.selectedIndex, 1, "The score graph should now be selected");
+        assert.strictEqual(lastChartTypeName, chartTypesWithScoreGraph[1].nameKey, "The score graph should have been selected");
+        assert.strictEqual(callCount, 1, "One change should have been recorded");
+    });
+
+    QUnit.test("Selecting score classes while the results table is selected leaves the results table selected", function(assert) {
+        resetLastChartType();
+        var selector = createSelectorWithScoreGraph();
+        selector.setChartType(chartTypesWithScoreGraph[2]);
+        selector.registerChangeHandler(handleChartTypeChanged);
+        selector.setScoreClassesSelected(true);
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 2, "The results table should still be selected");
+        assert.strictEqual(callCount, 0, "No changes should have been recorded");
+    });
+
+    QUnit.test("Cannot set the chart type to the score graph when no score classes are selected", function(assert) {
+        var selector = createSelectorWithScoreGraph();
+        selector.setChartType(chartTypesWithScoreGraph[1]);
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 0, "The splits graph should still be selected");
+    });
+
+    var chartTypesWithMultiDayResults = [
+        SplitsBrowser.Model.ChartTypes.SplitsGraph,
+        SplitsBrowser.Model.ChartTypes.ResultsTable,
+        SplitsBrowser.Model.ChartTypes.MultiDayResults
+    ];
+
+    function createSelectorWithMultiDayResults() {
+        return new ChartTypeSelector(d3.select("#qunit-fixture").node(), chartTypesWithMultiDayResults);
+    }
+
+    QUnit.test("Multi-day results are disabled when no multi-day event is loaded", function(assert) {
+        var selector = createSelectorWithMultiDayResults();
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.ok(htmlSelect.options[2].disabled, "Multi-day results should be disabled");
+
+        selector.setChartType(chartTypesWithMultiDayResults[2]);
+        assert.strictEqual(htmlSelect.selectedIndex, 0, "The splits graph should still be selected");
+    });
+
+    QUnit.test("Multi-day results are enabled when a multi-day event is loaded, even for score classes", function(assert) {
+        var selector = createSelectorWithMultiDayResults();
+        selector.setMultiDayEventLoaded(true);
+        selector.setScoreClassesSelected(true);
+
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.ok(!htmlSelect.options[2].disabled, "Multi-day results should be enabled");
+        selector.setChartType(chartTypesWithMultiDayResults[2]);
+        assert.strictEqual(htmlSelect.selectedIndex, 2, "The multi-day results should be selected");
+    });
+
+    QUnit.test("Loading a single-day event while the multi-day results are selected selects the first chart type", function(assert) {
+        resetLastChartType();
+        var selector = createSelectorWithMultiDayResults();
+        selector.setMultiDayEventLoaded(true);
+        selector.setChartType(chartTypesWithMultiDayResults[2]);
+        selector.registerChangeHandler(handleChartTypeChanged);
+        selector.setMultiDayEventLoaded(false);
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 0, "The splits graph should now be selected");
+        assert.strictEqual(lastChartTypeName, chartTypesWithMultiDayResults[0].nameKey);
+        assert.strictEqual(callCount, 1, "One change should have been recorded");
+    });
 })();
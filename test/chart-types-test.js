@@ -96,23 +96,54 @@
         assert.deepEqual(chartType.dataSelector(competitor, referenceCumTimes), expectedData);
     });
 
+    QUnit.test("Pace graph returns paces on each leg, in units of minutes per kilometre", function (assert) {
+        var chartType = ChartTypes.PaceGraph;
+        var competitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106]);
+        var referenceCumTimes = [0, 58, 224, 381, 552];
+        var legLengths = [0.3, 0.8, null, 0.5];
+        
+        assert.deepEqual(chartType.dataSelector(competitor, referenceCumTimes, legLengths), [81 / 0.3 / 60, 197 / 0.8 / 60, null, 106 / 0.5 / 60]);
+    });
+
+    QUnit.test("Gap-to-leader selector returns elapsed times behind the leader, in units of minutes", function (assert) {
+        var chartType = ChartTypes.GapToLeader;
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 221, 409, 578]);
+        var leaderTimes = [0, 58, 221, 381, 552];
+        assert.deepEqual(chartType.dataSelector(competitor, null, null, leaderTimes), [0, (65 - 58) / 60, 0, (409 - 381) / 60, (578 - 552) / 60]);
+    });
+
+    QUnit.test("Gap-to-leader selector returns null for a missed control", function (assert) {
+        var chartType = ChartTypes.GapToLeader;
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 409, 578]);
+        var leaderTimes = [0, 58, 221, 381, 552];
+        assert.deepEqual(chartType.dataSelector(competitor, null, null, leaderTimes), [0, (65 - 58) / 60, null, (409 - 381) / 60, (578 - 552) / 60]);
+    });
+
+    QUnit.test("Gap-to-leader race-clock selector returns times behind the leader on the race clock, in units of minutes", function (assert) {
+        var chartType = ChartTypes.GapToLeaderRaceClock;
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600 + 30, [0, 65, 221, 409, 578]);
+        var leaderTimes = [10 * 3600, 10 * 3600 + 58, 10 * 3600 + 251, 10 * 3600 + 381, 10 * 3600 + 552];
+        assert.deepEqual(chartType.dataSelector(competitor, null, null, leaderTimes), [30 / 60, (95 - 58) / 60, 0, (439 - 381) / 60, (608 - 552) / 60]);
+    });
+
     QUnit.test("All chart types have a name key", function (assert) {
         ALL_CHART_TYPES.forEach(function (chartType) {
             assert.strictEqual(typeof chartType.nameKey, "string");
         });
     });
     
-    QUnit.test("Only the position-after-leg and split-position chart types skip the start", function (assert) {
+    QUnit.test("Only the position-after-leg, split-position and pace chart types skip the start", function (assert) {
         ALL_CHART_TYPES.forEach(function (chartType) {
             if (chartType !== ChartTypes.ResultsTable) {
-                assert.strictEqual(chartType.skipStart, chartType === ChartTypes.PositionAfterLeg || chartType === ChartTypes.SplitPosition);
+                assert.strictEqual(chartType.skipStart, chartType === ChartTypes.PositionAfterLeg || chartType === ChartTypes.SplitPosition || chartType === ChartTypes.PaceGraph);
             }
         });
     });
    
-    QUnit.test("All chart types except the results table have a y-axis label key", function (assert) {
+    QUnit.test("All chart types except the tables, reports, leg box plot and head-to-head comparison have a y-axis label key", function (assert) {
         ALL_CHART_TYPES.forEach(function (chartType) {
-            if (chartType !== ChartTypes.ResultsTable) {
+            if (chartType !== ChartTypes.ResultsTable && chartType !== ChartTypes.MistakeReport && chartType !== ChartTypes.PackReport && chartType !== ChartTypes.LegBoxPlot && chartType !== ChartTypes.HeadToHead &&
+                    chartType !== ChartTypes.LegDifficultyTable && chartType !== ChartTypes.MultiDayResults) {
                 assert.strictEqual(typeof chartType.yAxisLabelKey, "string");
             }
         });
@@ -130,6 +161,60 @@
         });
     });
 
+    QUnit.test("Only the Score Graph is the Score Graph", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isScoreGraph, chartType === ChartTypes.ScoreGraph);
+        });
+    });
+
+    QUnit.test("Only the Mistake Report is the Mistake Report", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isMistakeReport, chartType === ChartTypes.MistakeReport);
+        });
+    });
+
+    QUnit.test("Only the Pack Report is the Pack Report", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isPackReport, chartType === ChartTypes.PackReport);
+        });
+    });
+
+    QUnit.test("Only the Leg Box Plot is the Leg Box Plot", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isLegBoxPlot, chartType === ChartTypes.LegBoxPlot);
+        });
+    });
+
+    QUnit.test("Only the Head-to-head comparison is the Head-to-head comparison", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isHeadToHead, chartType === ChartTypes.HeadToHead);
+        });
+    });
+
+    QUnit.test("Only the Leg Difficulty Table is the Leg Difficulty Table", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isLegDifficultyTable, chartType === ChartTypes.LegDifficultyTable);
+        });
+    });
+
+    QUnit.test("Only the gap-to-leader charts are gap-to-leader charts", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isGapToLeader, chartType === ChartTypes.GapToLeader || chartType === ChartTypes.GapToLeaderRaceClock);
+        });
+    });
+
+    QUnit.test("Only the race-clock gap-to-leader chart takes the leader on the race clock", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isLeaderOnRaceClock, chartType === ChartTypes.GapToLeaderRaceClock);
+        });
+    });
+
+    QUnit.test("Only the Multi-day Results are the Multi-day Results", function (assert) {
+        ALL_CHART_TYPES.forEach(function (chartType) {
+            assert.strictEqual(chartType.isMultiDayResults, chartType === ChartTypes.MultiDayResults);
+        });
+    });
+
     QUnit.test("All chart types have a minimum viewable control", function (assert) {
         ALL_CHART_TYPES.forEach(function (chartType) {
             assert.strictEqual(typeof chartType.minViewableControl, "number");
@@ -142,18 +227,22 @@
         });
     });
    
-    QUnit.test("All chart types except the results table have the correct dubious-indexes function", function (assert) {
+    QUnit.test("All chart types except the tables, reports, leg box plot and head-to-head comparison have the correct dubious-indexes function", function (assert) {
         var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 96, 96, 96 + 221 + 184, 96 + 221 + 184 + 100]);
         competitor.setRepairedCumulativeTimes([0, 96, NaN, 96 + 221 + 184, 96 + 221 + 184 + 100]);
 
         ALL_CHART_TYPES.forEach(function (chartType) {
-            if (chartType !== ChartTypes.ResultsTable) {
+            if (chartType !== ChartTypes.ResultsTable && chartType !== ChartTypes.MistakeReport && chartType !== ChartTypes.PackReport && chartType !== ChartTypes.LegBoxPlot && chartType !== ChartTypes.HeadToHead &&
+                    chartType !== ChartTypes.LegDifficultyTable && chartType !== ChartTypes.MultiDayResults) {
                 assert.strictEqual(typeof chartType.indexesAroundDubiousTimesFunc, "function");
                 var expectedDubiousTimeInfo;
-                if (chartType === ChartTypes.SplitsGraph || chartType === ChartTypes.RaceGraph || chartType === ChartTypes.PositionAfterLeg) {
+                if (chartType === ChartTypes.SplitsGraph || chartType === ChartTypes.RaceGraph || chartType === ChartTypes.PositionAfterLeg ||
+                        chartType === ChartTypes.GapToLeader || chartType === ChartTypes.GapToLeaderRaceClock) {
                     expectedDubiousTimeInfo = [{start: 1, end: 3}];
-                } else if (chartType === ChartTypes.SplitPosition || chartType === ChartTypes.PercentBehind) {
+                } else if (chartType === ChartTypes.SplitPosition || chartType === ChartTypes.PercentBehind || chartType === ChartTypes.PaceGraph) {
                     expectedDubiousTimeInfo = [{start: 1, end: 4}];
+                } else if (chartType === ChartTypes.ScoreGraph) {
+                    expectedDubiousTimeInfo = [];
                 } else {
                     assert.ok(false, "Unrecognised chart type: '" + chartType.nameKey + "'");
                     expectedDubiousTimeInfo = null;
@@ -164,6 +253,12 @@
         });
         
         assert.strictEqual(ChartTypes.ResultsTable.indexesAroundDubiousTimesFunc, null);
+        assert.strictEqual(ChartTypes.MistakeReport.indexesAroundDubiousTimesFunc, null);
+        assert.strictEqual(ChartTypes.PackReport.indexesAroundDubiousTimesFunc, null);
+        assert.strictEqual(ChartTypes.LegBoxPlot.indexesAroundDubiousTimesFunc, null);
+        assert.strictEqual(ChartTypes.HeadToHead.indexesAroundDubiousTimesFunc, null);
+        assert.strictEqual(ChartTypes.LegDifficultyTable.indexesAroundDubiousTimesFunc, null);
+        assert.strictEqual(ChartTypes.MultiDayResults.indexesAroundDubiousTimesFunc, null);
     });
     
 })();
\ No newline at end of file
@@ -243,6 +243,19 @@
         assert.strictEqual(callCount, 1, "One change should have been recorded");
     });
 
+    QUnit.test("Registering and then deregistering a handler and changing a value in the selector does not trigger a call to change callback", function(assert) {
+        resetLastClass();
+        var selector = new ClassSelector(d3.select("#qunit-fixture").node());
+        selector.registerChangeHandler(handleClassChanged);
+        
+        setClassesInSelector(selector, [new CourseClass("Class 1", 11, []), new CourseClass("Class 2", 17, []), new CourseClass("Class 3", 22, [])]);
+        selector.deregisterChangeHandler(handleClassChanged);
+        
+        $("#qunit-fixture select").val(2).change();
+        assert.strictEqual(lastClassIdxs, null, "No class should have been changed");
+        assert.strictEqual(callCount, 0, "No changes should have been recorded");
+    });
+
     QUnit.test("Can create class selector with three classes and two courses and show and hide the other-class selector", function(assert) {
         var selector = new ClassSelector(d3.select("#qunit-fixture").node());
         
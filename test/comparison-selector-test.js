@@ -558,4 +558,25 @@
         assert.deepEqual(selector.getComparisonType(), {index: 1, runner: null});
     });
     
+    QUnit.test("Comparison text is the name of the comparison option selected", function(assert) {
+        resetLastSelector();
+        var selector = createSelector();
+        selector.setCourseClassSet(DUMMY_CLASS_SET);
+        
+        assert.strictEqual(selector.getComparisonText(), SplitsBrowser.getMessage("CompareWithFastestTime"));
+        
+        selector.setComparisonType(2, null);
+        assert.strictEqual(selector.getComparisonText(), SplitsBrowser.getMessageWithFormatting("CompareWithFastestTimePlusPercentage", {"$$PERCENT$$": 5}));
+    });
+
+    QUnit.test("Comparison text is the name of the runner compared against when comparing against any runner", function(assert) {
+        resetLastSelector();
+        var selector = createSelector();
+        selector.setCourseClassSet(DUMMY_CLASS_SET);
+        
+        var htmlSelect = d3.select(_COMPARISON_SELECTOR_SELECTOR).node();
+        selector.setComparisonType(htmlSelect.options.length - 1, competitors[1]);
+        
+        assert.strictEqual(selector.getComparisonText(), "two");
+    });
 })();
\ No newline at end of file
@@ -341,6 +341,67 @@
         assert.strictEqual(d3.selectAll("div#qunit-fixture span.competitorClassLabel").size(), 3);
     });
 
+    QUnit.test("Can create a list showing the ranking points of the competitors that have them", function (assert) {
+        var compList = [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 100])
+        ];
+        compList[0].setRankingPoints(95.15);
+        
+        var list = new CompetitorList(d3.select("div#qunit-fixture").node(), customAlert);
+        list.setCompetitorList(compList, false);
+        list.setSelection(new CompetitorSelection(2));
+        
+        var pointsSpans = d3.selectAll("div#qunit-fixture span.competitorRankingPoints");
+        assert.strictEqual(pointsSpans.size(), 1);
+        assert.strictEqual(pointsSpans.text(), "95.15");
+    });
+
+    QUnit.test("Can update the ranking points shown in a list after they change", function (assert) {
+        var compList = [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 100])
+        ];
+        
+        var list = new CompetitorList(d3.select("div#qunit-fixture").node(), customAlert);
+        list.setCompetitorList(compList, false);
+        list.setSelection(new CompetitorSelection(2));
+        assert.strictEqual(d3.selectAll("div#qunit-fixture span.competitorRankingPoints").size(), 0);
+        
+        compList[0].setRankingPoints(1000);
+        compList[1].setRankingPoints(1040);
+        list.updateRankingPoints();
+        
+        var pointsSpans = d3.selectAll("div#qunit-fixture span.competitorRankingPoints").nodes();
+        assert.deepEqual(pointsSpans.map(function (span) { return span.textContent; }), ["1000", "1040"]);
+        
+        compList[1].setRankingPoints(null);
+        list.updateRankingPoints();
+        assert.strictEqual(d3.selectAll("div#qunit-fixture span.competitorRankingPoints").size(), 1);
+    });
+
+    QUnit.test("Can replace a list with a shorter list of competitors, showing the ranking points of the new competitors", function (assert) {
+        var compList = [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 100]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 11 * 3600, [78, 209, 199, 117])
+        ];
+        compList[2].setRankingPoints(980);
+        
+        var list = new CompetitorList(d3.select("div#qunit-fixture").node(), customAlert);
+        list.setCompetitorList(compList, false);
+        list.setSelection(new CompetitorSelection(3));
+        
+        var shorterCompList = [fromSplitTimes(1, "Joe Bloggs", "JKL", 10 * 3600, [67, 212, 201, 98])];
+        shorterCompList[0].setRankingPoints(1020);
+        list.setCompetitorList(shorterCompList, false);
+        
+        assert.strictEqual(d3.selectAll("div#qunit-fixture div.competitor").size(), 1);
+        var pointsSpans = d3.selectAll("div#qunit-fixture span.competitorRankingPoints");
+        assert.strictEqual(pointsSpans.size(), 1);
+        assert.strictEqual(pointsSpans.text(), "1020");
+    });
+
     QUnit.test("Can create a list with two of three competitors initially selected", function (assert) {
         createSampleList([0, 2], false);
         assert.strictEqual(d3.selectAll("div#qunit-fixture div.competitor").size(), 3);
@@ -1165,4 +1226,25 @@
         listAndSelection.list.deregisterChangeHandler(someOtherHandler);
         assert.expect(0); // No assertions here, but there should also have been no errors.
     });  
+    
+    QUnit.test("Can mark competitors as new finishers", function (assert) {
+        var listAndSelection = createSampleList([], false);
+        listAndSelection.list.setNewFinishers([listAndSelection.list.allCompetitors[1]]);
+        assertCompetitorsClassed(assert, 3, "newFinisher", [1]);
+    });
+    
+    QUnit.test("Competitors marked as new finishers remain marked after setting the list of competitors again", function (assert) {
+        var listAndSelection = createSampleList([], false);
+        var competitors = listAndSelection.list.allCompetitors;
+        listAndSelection.list.setNewFinishers([competitors[0], competitors[2]]);
+        listAndSelection.list.setCompetitorList([competitors[2], competitors[1], competitors[0]], false);
+        assertCompetitorsClassed(assert, 3, "newFinisher", [0, 2]);
+    });
+    
+    QUnit.test("Can clear the competitors marked as new finishers", function (assert) {
+        var listAndSelection = createSampleList([], false);
+        listAndSelection.list.setNewFinishers([listAndSelection.list.allCompetitors[1]]);
+        listAndSelection.list.setNewFinishers([]);
+        assertCompetitorsClassed(assert, 3, "newFinisher", []);
+    });
 })();
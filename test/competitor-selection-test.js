@@ -567,4 +567,36 @@
         assert.deepEqual(callCount, 0);
     });
 
+    
+    QUnit.test("Can migrate to new list of competitors using a function to match competitors", function (assert) {
+        reset();
+        var oldCompetitors = [
+            fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 184, 229, 301]),
+            fromCumTimes(2, "Fred Jones", "DEF", 11 * 3600, [0, 77, 191, 482, 561]),
+            fromCumTimes(3, "Bill Baker", "GHI", 11 * 3600 + 2 * 60, [0, 72, 200, 277, 381])
+        ];
+        var newCompetitors = [
+            fromCumTimes(1, "Tony Giles", "JKL", 10 * 3600 + 2 * 60, [0, 78, 188, 252, 406]),
+            fromCumTimes(2, "Bill Baker", "GHI", 11 * 3600 + 2 * 60, [0, 72, 200, 277, 381]),
+            fromCumTimes(3, "John Smith", "ABC", 10 * 3600, [0, 65, 184, 229, 301])
+        ];
+        var selection = new CompetitorSelection(oldCompetitors.length);
+        selection.toggle(0);
+        selection.toggle(1);
+        selection.toggle(2);
+        selection.registerChangeHandler(testHandler);
+        selection.migrate(oldCompetitors, newCompetitors, function (oldComp, newComp) { return oldComp.name === newComp.name; });
+        assert.strictEqual(selection.count, newCompetitors.length);
+        assert.deepEqual(selection.getSelectedIndexes(), [1, 2]);
+        assert.strictEqual(callCount, 0);
+    });
+    
+    QUnit.test("Migrating to new copies of the same competitors without a function to match competitors selects none of them", function (assert) {
+        var oldCompetitors = [fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 184, 229, 301])];
+        var newCompetitors = [fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 184, 229, 301])];
+        var selection = new CompetitorSelection(oldCompetitors.length);
+        selection.toggle(0);
+        selection.migrate(oldCompetitors, newCompetitors);
+        assert.deepEqual(selection.getSelectedIndexes(), []);
+    });
 })();
\ No newline at end of file
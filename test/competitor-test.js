@@ -25,6 +25,7 @@
     var compareCompetitors = SplitsBrowser.Model.compareCompetitors;
     var fromCumTimes = SplitsBrowser.Model.Competitor.fromCumTimes;
     var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
 
     function signum(n) {
         return (n < 0) ? -1 : ((n > 0) ? 1 : 0);
@@ -178,6 +179,13 @@
         assert.strictEqual(competitor.gender, "M");
     });
 
+    QUnit.test("Can create a competitor with no variation and set the variation of a forked course they ran", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        assert.strictEqual(competitor.variation, null);
+        competitor.setVariation("1A");
+        assert.strictEqual(competitor.variation, "1A");
+    });
+
     QUnit.test("Can create a competitor from original cumulative times and determine original split times with final times still null", function (assert) {
         var cumTimes = [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100];
         var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, cumTimes);
@@ -223,6 +231,113 @@
             assert.strictEqual(competitor.isSplitTimeDubious(control), (control === 2 || control === 3));
         }
     });
+
+    QUnit.test("Competitor with repaired cumulative times and no estimated times has no estimated cumulative nor split times", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 0, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setRepairedCumulativeTimes([0, 65, NaN, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        for (var control = 0; control < 5; control += 1) {
+            assert.ok(!competitor.isCumulativeTimeEstimated(control));
+            assert.ok(!competitor.isSplitTimeEstimated(control));
+        }
+    });
+    
+    QUnit.test("Competitor with estimated cumulative time has one estimated cumulative time and two estimated split times", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 0, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setRepairedCumulativeTimes([0, 65, 65 + 200, 65 + 221 + 184, 65 + 221 + 184 + 100], [false, false, true, false, false]);
+        for (var control = 0; control < 5; control += 1) {
+            assert.strictEqual(competitor.isCumulativeTimeEstimated(control), (control === 2));
+            assert.strictEqual(competitor.isSplitTimeEstimated(control), (control === 2 || control === 3));
+        }
+        
+        assert.strictEqual(competitor.getCumulativeTimeTo(2), 65 + 200);
+        assert.ok(competitor.isCumulativeTimeDubious(2));
+    });
+    
+    QUnit.test("Competitor with graded times and dubious cumulative time has only that time and the splits around it dubious", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 0, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setRepairedCumulativeTimes([0, 65, NaN, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setGradingFactor(0.9);
+        for (var control = 0; control < 5; control += 1) {
+            assert.strictEqual(competitor.isCumulativeTimeDubious(control), (control === 2));
+            assert.strictEqual(competitor.isSplitTimeDubious(control), (control === 2 || control === 3));
+        }
+    });
+    
+    QUnit.test("Competitor with no neutralised legs has no legs neutralised and the same raw total time as total time", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        assert.ok(!competitor.isLegNeutralised(2));
+        assert.strictEqual(competitor.totalTime, 65 + 221 + 184 + 100);
+        assert.strictEqual(competitor.rawTotalTime, 65 + 221 + 184 + 100);
+    });
+    
+    QUnit.test("Competitor with a neutralised leg has the time taken on it left out of their total and cumulative times", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setNeutralisedLegs([2]);
+        assert.ok(competitor.isLegNeutralised(2));
+        assert.ok(!competitor.isLegNeutralised(3));
+        assert.strictEqual(competitor.totalTime, 65 + 184 + 100);
+        assert.strictEqual(competitor.rawTotalTime, 65 + 221 + 184 + 100);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 65, 65, 65 + 184, 65 + 184 + 100]);
+        assertSplitTimes(assert, competitor, [65, 0, 184, 100]);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+    });
+    
+    QUnit.test("Competitor with a neutralised leg does not have the times after it made dubious", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setNeutralisedLegs([2]);
+        for (var control = 0; control < 5; control += 1) {
+            assert.ok(!competitor.isCumulativeTimeDubious(control));
+            assert.ok(!competitor.isSplitTimeDubious(control));
+        }
+    });
+    
+    QUnit.test("Competitor missing the punch at the start of a neutralised leg has no total time but keeps their cumulative times after it", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor.setNeutralisedLegs([3]);
+        competitor.setRepairedCumulativeTimes([0, 65, null, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        assert.strictEqual(competitor.totalTime, null);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 65, null, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        assertSplitTimes(assert, competitor, [65, null, null, 100]);
+    });
+    
+    QUnit.test("Competitor missing the punch at the end of a neutralised leg keeps the time left out for an earlier neutralised leg", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, null, 65 + 221 + 184 + 100]);
+        competitor.setNeutralisedLegs([2, 3]);
+        competitor.setRepairedCumulativeTimes([0, 65, 65 + 221, null, 65 + 221 + 184 + 100]);
+        assert.strictEqual(competitor.totalTime, null);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 65, 65, null, 65 + 184 + 100]);
+    });
+    
+    QUnit.test("Competitor with a neutralised leg and a grading factor has the time on the leg left out before grading", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 300, 500, 600]);
+        competitor.setNeutralisedLegs([2]);
+        competitor.setGradingFactor(0.9);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 90, 90, 270, 360]);
+        assert.strictEqual(competitor.getGradedTotalTime(), 360);
+    });
+    
+    QUnit.test("Race-clock times of a competitor with a neutralised leg include the time taken on it", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 300, 500, 600]);
+        competitor.setNeutralisedLegs([2]);
+        assert.deepEqual(competitor.getControlTimes(false), [0, 100, 100, 300, 400]);
+        assert.deepEqual(competitor.getControlTimes(true), [10 * 3600, 10 * 3600 + 100, 10 * 3600 + 300, 10 * 3600 + 500, 10 * 3600 + 600]);
+    });
+    
+    QUnit.test("Race Graph times of a competitor with a neutralised leg include the time taken on it", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 300, 500, 600]);
+        competitor.setNeutralisedLegs([2]);
+        var referenceCumTimes = [0, 90, 90, 280, 370];
+        assert.deepEqual(competitor.getCumTimesAdjustedToReferenceWithStartAdded(referenceCumTimes), [10 * 3600, 10 * 3600 + 10, 10 * 3600 + 210, 10 * 3600 + 220, 10 * 3600 + 230]);
+    });
+    
+    QUnit.test("Removing the neutralised legs of a competitor restores their times", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 300, 500, 600]);
+        competitor.setNeutralisedLegs([2]);
+        competitor.setNeutralisedLegs([]);
+        assert.ok(!competitor.isLegNeutralised(2));
+        assert.strictEqual(competitor.totalTime, 600);
+        assert.deepEqual(competitor.getAllCumulativeTimes(), [0, 100, 300, 500, 600]);
+    });
     
     QUnit.test("Competitor with start time but all-null splits is not lacking a start time", function (assert) {
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, null, null, null, null]);
@@ -352,7 +467,31 @@
         competitor2.disqualify();
         assert.ok(signum(compareCompetitors(competitor1, competitor2)), 1);
     });
-    
+
+    QUnit.test("Competitor with more points comes before slower competitor with fewer points", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 3488]);
+        competitor1.setScoreResult(new ScoreResult([], 210, 0));
+        var competitor2 = fromCumTimes(2, "Fred Baker", "DEF", 12 * 3600, [0, 3012]);
+        competitor2.setScoreResult(new ScoreResult([], 180, 0));
+        assert.strictEqual(signum(compareCompetitors(competitor1, competitor2)), -1);
+    });
+
+    QUnit.test("Competitor with fewer points after penalty comes after competitor with more points", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 3012]);
+        competitor1.setScoreResult(new ScoreResult([], 210, 40));
+        var competitor2 = fromCumTimes(2, "Fred Baker", "DEF", 12 * 3600, [0, 3488]);
+        competitor2.setScoreResult(new ScoreResult([], 180, 0));
+        assert.strictEqual(signum(compareCompetitors(competitor1, competitor2)), 1);
+    });
+
+    QUnit.test("Competitors with equal points are compared by time", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 3488]);
+        competitor1.setScoreResult(new ScoreResult([], 180, 0));
+        var competitor2 = fromCumTimes(2, "Fred Baker", "DEF", 12 * 3600, [0, 3012]);
+        competitor2.setScoreResult(new ScoreResult([], 180, 0));
+        assert.strictEqual(signum(compareCompetitors(competitor1, competitor2)), 1);
+    });
+
     QUnit.test("Competitor with no times missing has times", function (assert) {
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
         assert.ok(competitor.hasAnyTimes(), "Competitor with no times missing should have times");
@@ -420,6 +559,15 @@
         assert.deepEqual(competitor.getCumTimesAdjustedToReferenceWithStartAdded(referenceCumTimes), expectedCumTimes);
     });
 
+    QUnit.test("Can adjust a competitor's ungraded cumulative times by reference data and add start time if the competitor has a grading factor", function (assert) {
+        var startTime = 10 * 3600 + 41 * 60;
+        var competitor = fromCumTimes(1, "John Smith", "ABC", startTime, [0, 100, 300, 500, 600]);
+        competitor.setGradingFactor(0.9);
+        var referenceCumTimes = [0, 90, 280, 470, 560];
+        var expectedCumTimes = [startTime, startTime + 10, startTime + 20, startTime + 30, startTime + 40];
+        assert.deepEqual(competitor.getCumTimesAdjustedToReferenceWithStartAdded(referenceCumTimes), expectedCumTimes);
+    });
+
     QUnit.test("Cannot adjust a competitor's cumulative times by reference data and add start time with a different number of times", function (assert) {
 
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600 + 41 * 60, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
@@ -517,6 +665,81 @@
         assert.strictEqual(competitor.getTimeLossAt(3), -3);
     });
     
+    QUnit.test("Can determine time losses of competitor using a given time-loss method", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 110 + 120, 110 + 120 + 110, 110 + 120 + 110 + 200]);
+        competitor.determineTimeLosses([100, 100, 100, 100], SplitsBrowser.Model.TimeLossMethods.IdealTime);
+        
+        // The last leg is left out of the ideal-time ratio, which is then
+        // 340 / 300 = 1.1333, so expected times are 113.333 on each leg.
+        
+        assert.strictEqual(competitor.getTimeLossAt(1), -3);
+        assert.strictEqual(competitor.getTimeLossAt(2), 7);
+        assert.strictEqual(competitor.getTimeLossAt(3), -3);
+        assert.strictEqual(competitor.getTimeLossAt(4), 87);
+    });
+    
+    QUnit.test("Time losses of a competitor leave out neutralised legs, on which no time is lost", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        competitor.setNeutralisedLegs([4]);
+        competitor.determineTimeLosses([100, 100, 100, 0]);
+        
+        // Median split ratio over the first three legs is 1.1, so time
+        // losses are 0, 10 and 0.
+        assert.strictEqual(competitor.getTimeLossAt(1), 0);
+        assert.strictEqual(competitor.getTimeLossAt(2), 10);
+        assert.strictEqual(competitor.getTimeLossAt(3), 0);
+        assert.strictEqual(competitor.getTimeLossAt(4), 0);
+    });
+    
+    QUnit.test("Can return the mistakes of a competitor whose time losses exceed a threshold in seconds", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        
+        // Median split ratio is 1.15, so time losses are -5, 5, -5 and 85.
+        assert.deepEqual(competitor.getMistakes(10, false), [{controlIndex: 4, splitTime: 200, timeLoss: 85}]);
+        assert.deepEqual(competitor.getMistakes(4, false), [{controlIndex: 2, splitTime: 120, timeLoss: 5}, {controlIndex: 4, splitTime: 200, timeLoss: 85}]);
+    });
+    
+    QUnit.test("Can return the mistakes of a competitor whose time losses exceed a percentage of the time without the mistake", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        
+        // Time without the mistake on the second leg is 115 seconds, so a
+        // time loss of 5 seconds is 4.35% of it.
+        assert.deepEqual(competitor.getMistakes(5, true), [{controlIndex: 4, splitTime: 200, timeLoss: 85}]);
+        assert.deepEqual(competitor.getMistakes(4, true), [{controlIndex: 2, splitTime: 120, timeLoss: 5}, {controlIndex: 4, splitTime: 200, timeLoss: 85}]);
+    });
+    
+    QUnit.test("Returns no mistakes for a competitor whose time losses have not been determined", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        assert.deepEqual(competitor.getMistakes(10, false), []);
+    });
+    
+    QUnit.test("Returns no mistakes for a competitor whose time losses could not be determined", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, NaN, 540]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        assert.deepEqual(competitor.getMistakes(10, false), []);
+    });
+    
+    QUnit.test("Can return the total time lost by a competitor as the sum of their positive time losses", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        
+        // Time losses are -5, 5, -5 and 85.
+        assert.strictEqual(competitor.getTotalTimeLoss(), 90);
+    });
+    
+    QUnit.test("Returns a null total time loss for a competitor whose time losses have not been determined", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        assert.strictEqual(competitor.getTotalTimeLoss(), null);
+    });
+    
+    QUnit.test("Returns a null total time loss for a competitor whose time losses could not be determined", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, NaN, 540]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        assert.strictEqual(competitor.getTotalTimeLoss(), null);
+    });
+    
     QUnit.test("Cannot determine time losses of competitor when given wrong number of reference splits", function (assert) {
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 96, 96 + 221, 96 + 221 + 184, 96 + 221 + 184 + 100]);
         SplitsBrowserTest.assertInvalidData(assert, function () {
@@ -613,6 +836,13 @@
         assert.ok(competitor1.crosses(competitor2), "Competitors should cross");
     });
     
+    QUnit.test("Can determine that two competitors do not cross on the race clock if grading one of them would make them cross", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 200, 300, 400]);
+        var competitor2 = fromCumTimes(2, "Fred Baker", "DEF", 10 * 3600 + 20, [0, 100, 200, 300, 400]);
+        competitor2.setGradingFactor(0.8);
+        assert.ok(!competitor1.crosses(competitor2), "Competitors should not cross");
+    });
+    
     QUnit.test("Can determine that two competitors cross between controls 2 and 3", function (assert) {
         var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 221, 384, 421]);
         var competitor2 = fromCumTimes(2, "Fred Baker", "DEF", 10 * 3600 - 60, [0, 65, 221, 584, 621]);
@@ -721,6 +951,12 @@
         assert.deepEqual(competitor.getControlIndexesAroundDubiousCumulativeTimes(), [{start: 0, end: 2}]);
     });
         
+    QUnit.test("Competitor with single estimated cumulative time not at the end has indexes around it", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 221, 384, 521]);
+        competitor.setRepairedCumulativeTimes([0, 65, 200, 384, 521], [false, false, true, false, false]);
+        assert.deepEqual(competitor.getControlIndexesAroundDubiousCumulativeTimes(), [{start: 1, end: 3}]);
+    });
+    
     QUnit.test("Competitor with no dubious times has no indexes around dubious split times", function (assert) {
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 221, 384, 521, 588, 655]);
         assert.deepEqual(competitor.getControlIndexesAroundDubiousSplitTimes(), []);
@@ -746,6 +982,12 @@
         assert.deepEqual(competitor.getControlIndexesAroundDubiousSplitTimes(), [{start: 0, end: 3}, {start: 3, end: 6}]);
     });    
     
+    QUnit.test("Competitor with single estimated cumulative time not at the end has indexes around the two split times it makes estimated", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 221, 384, 521, 588, 655]);
+        competitor.setRepairedCumulativeTimes([0, 65, 200, 384, 521, 588, 655], [false, false, true, false, false, false, false]);
+        assert.deepEqual(competitor.getControlIndexesAroundDubiousSplitTimes(), [{start: 1, end: 4}]);
+    });
+    
     QUnit.test("Competitor with dubious final cumulative time only has no indexes around it", function (assert) {
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 221, 384, 521, 588, NaN]);
         assert.deepEqual(competitor.getControlIndexesAroundDubiousSplitTimes(), []);
@@ -785,5 +1027,85 @@
         var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, NaN, 384, 512, null, 655]);
         assert.deepEqual(competitor.getControlIndexesAroundDubiousSplitTimes(), [{start: 1, end: 4}]);
     });
+
+    QUnit.test("Can determine the paces of a competitor on each leg", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        assert.deepEqual(competitor.getPaces([0.25, 0.5, 0.4, 0.1]), [65 / 0.25, 221 / 0.5, 184 / 0.4, 100 / 0.1]);
+    });
+
+    QUnit.test("Paces of a competitor are null on legs with a missing split or an unknown length", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        assert.deepEqual(competitor.getPaces([0.25, 0.5, null, 0]), [65 / 0.25, null, null, null]);
+    });
+
+    QUnit.test("Cannot determine the paces of a competitor with the wrong number of leg lengths", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            competitor.getPaces([0.25, 0.5, 0.4]);
+        });
+    });
+    
+    QUnit.test("Can get the elapsed times at which a competitor punched each control", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 470, 570]);
+        assert.deepEqual(competitor.getControlTimes(false), [0, 65, null, 470, 570]);
+    });
+
+    QUnit.test("Can get the race-clock times at which a competitor punched each control", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 470, 570]);
+        assert.deepEqual(competitor.getControlTimes(true), [10 * 3600, 10 * 3600 + 65, null, 10 * 3600 + 470, 10 * 3600 + 570]);
+    });
+
+    QUnit.test("Race-clock times of a competitor with a grading factor are the times at which they actually punched each control", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 300, 500, 600]);
+        competitor.setGradingFactor(0.9);
+        assert.deepEqual(competitor.getControlTimes(false), [0, 90, 270, 450, 540]);
+        assert.deepEqual(competitor.getControlTimes(true), [10 * 3600, 10 * 3600 + 100, 10 * 3600 + 300, 10 * 3600 + 500, 10 * 3600 + 600]);
+    });
+
+    QUnit.test("Race-clock times of a competitor without a start time are all null", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", null, [0, 65, 286, 470, 570]);
+        assert.deepEqual(competitor.getControlTimes(true), [null, null, null, null, null]);
+    });
+
+    QUnit.test("Can determine the elapsed times a competitor was behind the leader", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 470, 570]);
+        assert.deepEqual(competitor.getTimesBehindLeader([0, 60, 280, 470, null], false), [0, 5, null, 0, null]);
+    });
+
+    QUnit.test("Can determine the race-clock times a competitor was behind the leader", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600 + 60, [0, 65, 286, 470, 570]);
+        var leaderTimes = [10 * 3600, 10 * 3600 + 90, 10 * 3600 + 346, 10 * 3600 + 500, 10 * 3600 + 600];
+        assert.deepEqual(competitor.getTimesBehindLeader(leaderTimes, true), [60, 35, 0, 30, 30]);
+    });
+
+    QUnit.test("Cannot determine the times a competitor was behind the leader with the wrong number of leader times", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            competitor.getTimesBehindLeader([0, 60, 280, 470], false);
+        });
+    });
+
+    QUnit.test("Competitors with the same name, club and class are the same competitor", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var competitor2 = fromCumTimes(4, "John Smith", "ABC", 10 * 3600 + 5 * 60, [0, 65, 286, 470, 570, 681]);
+        competitor1.setClassName("Test class");
+        competitor2.setClassName("Test class");
+        assert.ok(competitor1.isSameCompetitorAs(competitor2), "Competitors should be the same");
+    });
+    
+    QUnit.test("Competitors with the same name and club in different classes are not the same competitor", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var competitor2 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        competitor1.setClassName("Test class");
+        competitor2.setClassName("Another class");
+        assert.ok(!competitor1.isSameCompetitorAs(competitor2), "Competitors should not be the same");
+    });
     
+    QUnit.test("Competitors with the same name and class in different clubs are not the same competitor", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var competitor2 = fromCumTimes(1, "John Smith", "DEF", 10 * 3600, [0, 65, 286, 470, 570]);
+        competitor1.setClassName("Test class");
+        competitor2.setClassName("Test class");
+        assert.ok(!competitor1.isSameCompetitorAs(competitor2), "Competitors should not be the same");
+    });
 })();
@@ -0,0 +1,180 @@
+/*
+ *  SplitsBrowser - CorrectionEditor tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var CorrectionEditor = SplitsBrowser.Controls.CorrectionEditor;
+    var CorrectionTypes = SplitsBrowser.Model.CorrectionTypes;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Course = SplitsBrowser.Model.Course;
+    var Event = SplitsBrowser.Model.Event;
+
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Correction editor");
+
+    var alertsReceived = [];
+    var correctionsReceived = [];
+
+    function alerter(message) {
+        alertsReceived.push(message);
+    }
+
+    function getTestEvent() {
+        var class1 = new CourseClass("Test class 1", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 100]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106])
+        ]);
+        var class2 = new CourseClass("Test class 2", 2, [fromSplitTimes(1, "Bill Baker", "GHI", 11 * 3600, [77, 284, 102])]);
+        var course1 = new Course("Test course 1", [class1], null, null, ["235", "212", "189"]);
+        var course2 = new Course("Test course 2", [class2], null, null, ["235", "301"]);
+        class1.setCourse(course1);
+        class2.setCourse(course2);
+        return new Event([class1, class2], [course1, course2], []);
+    }
+
+    function createEditor() {
+        alertsReceived = [];
+        correctionsReceived = [];
+        var editor = new CorrectionEditor(d3.select("#qunit-fixture").node(), alerter);
+        editor.registerChangeHandler(function (correction) { correctionsReceived.push(correction); });
+        editor.setEvent(getTestEvent());
+        return editor;
+    }
+
+    function getSelect(index) {
+        return $("#qunit-fixture div.correctionEditorPanel select:eq(" + index + ")");
+    }
+
+    function getInput(index) {
+        return $("#qunit-fixture div.correctionEditorPanel input:eq(" + index + ")");
+    }
+
+    function clickApply() {
+        $("#qunit-fixture div.correctionEditorPanel button:eq(0)").click();
+    }
+
+    QUnit.test("Can create a correction editor with a button and a hidden panel", function (assert) {
+        createEditor();
+        assert.strictEqual($("#qunit-fixture div#correctionEditorContainer button").text(), SplitsBrowser.getMessage("CorrectionEditorButton"));
+        assert.strictEqual($("#qunit-fixture div.correctionEditorPanel").css("display"), "none");
+    });
+
+    QUnit.test("Clicking the button shows the panel, and clicking it again hides the panel", function (assert) {
+        createEditor();
+        $("#qunit-fixture div#correctionEditorContainer button").click();
+        assert.strictEqual($("#qunit-fixture div.correctionEditorPanel").css("display"), "block");
+        $("#qunit-fixture div#correctionEditorContainer button").click();
+        assert.strictEqual($("#qunit-fixture div.correctionEditorPanel").css("display"), "none");
+    });
+
+    QUnit.test("Setting the event lists the classes, the competitors of the first class and the courses", function (assert) {
+        createEditor();
+        assert.strictEqual(getSelect(1).find("option").length, 2);
+        assert.strictEqual(getSelect(2).find("option").length, 2);
+        assert.strictEqual(getSelect(2).find("option:eq(1)").text(), "Fred Brown (DEF)");
+        assert.strictEqual(getSelect(3).find("option").length, 2);
+        assert.strictEqual(getSelect(3).find("option:eq(1)").text(), "Test course 2");
+    });
+
+    QUnit.test("Choosing another class lists the competitors of that class", function (assert) {
+        createEditor();
+        getSelect(1).val("Test class 2").change();
+        assert.strictEqual(getSelect(2).find("option").length, 1);
+        assert.strictEqual(getSelect(2).find("option:eq(0)").text(), "Bill Baker (GHI)");
+    });
+
+    QUnit.test("Choosing a type of correction shows only the fields for that type", function (assert) {
+        var editor = createEditor();
+        assert.strictEqual(editor.typeFields[CorrectionTypes.AdjustPunch].style("display"), "block");
+        assert.strictEqual(editor.typeFields[CorrectionTypes.ShiftStation].style("display"), "none");
+        getSelect(0).val(CorrectionTypes.ShiftStation).change();
+        assert.strictEqual(editor.typeFields[CorrectionTypes.AdjustPunch].style("display"), "none");
+        assert.strictEqual(editor.typeFields[CorrectionTypes.ShiftStation].style("display"), "block");
+    });
+
+    QUnit.test("Applying a punch adjustment passes it to the change handler", function (assert) {
+        createEditor();
+        getSelect(2).val("1").change();
+        getInput(0).val("2");
+        getInput(1).val("05:00");
+        getInput(5).val("Punch in wrong place");
+        clickApply();
+        assert.deepEqual(correctionsReceived, [{
+            type: CorrectionTypes.AdjustPunch,
+            className: "Test class 1",
+            competitor: "Fred Brown",
+            club: "DEF",
+            control: 2,
+            time: 300,
+            reason: "Punch in wrong place"
+        }]);
+        assert.deepEqual(alertsReceived, []);
+    });
+
+    QUnit.test("Applying a punch adjustment with a blank time removes the punch", function (assert) {
+        createEditor();
+        getInput(0).val("3");
+        clickApply();
+        assert.deepEqual(correctionsReceived, [{type: CorrectionTypes.AdjustPunch, className: "Test class 1", competitor: "John Smith", club: "ABC", control: 3, time: null}]);
+    });
+
+    QUnit.test("Applying a station shift with a negative offset passes it to the change handler", function (assert) {
+        createEditor();
+        getSelect(0).val(CorrectionTypes.ShiftStation).change();
+        getInput(2).val(" 212 ");
+        getInput(3).val("-01:30");
+        clickApply();
+        assert.deepEqual(correctionsReceived, [{type: CorrectionTypes.ShiftStation, code: "212", offset: -90}]);
+    });
+
+    QUnit.test("Applying a control cancellation passes it to the change handler", function (assert) {
+        createEditor();
+        getSelect(0).val(CorrectionTypes.CancelControl).change();
+        getSelect(3).val("Test course 2").change();
+        getInput(4).val("1");
+        clickApply();
+        assert.deepEqual(correctionsReceived, [{type: CorrectionTypes.CancelControl, course: "Test course 2", control: 1}]);
+    });
+
+    QUnit.test("Applying a correction with an invalid time shows an alert and does not pass it on", function (assert) {
+        createEditor();
+        getInput(0).val("2");
+        getInput(1).val("five minutes");
+        clickApply();
+        assert.deepEqual(correctionsReceived, []);
+        assert.strictEqual(alertsReceived.length, 1);
+    });
+
+    QUnit.test("Applying a correction without a control number shows an alert and does not pass it on", function (assert) {
+        createEditor();
+        getSelect(0).val(CorrectionTypes.CancelControl).change();
+        clickApply();
+        assert.deepEqual(correctionsReceived, []);
+        assert.strictEqual(alertsReceived.length, 1);
+    });
+
+    QUnit.test("Saving when no corrections have been made shows an alert", function (assert) {
+        createEditor();
+        $("#qunit-fixture div.correctionEditorPanel button:eq(1)").click();
+        assert.deepEqual(alertsReceived, [SplitsBrowser.getMessage("CorrectionEditorNoCorrections")]);
+    });
+})();
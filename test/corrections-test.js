@@ -0,0 +1,106 @@
+/*
+ *  SplitsBrowser - Corrections tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var CorrectionTypes = SplitsBrowser.Model.CorrectionTypes;
+    var parseCorrections = SplitsBrowser.Model.parseCorrections;
+    var formatCorrections = SplitsBrowser.Model.formatCorrections;
+
+    QUnit.module("Corrections");
+
+    var TEST_CORRECTIONS = [
+        {type: CorrectionTypes.AdjustPunch, className: "Test class", competitor: "John Smith", control: 2, time: 300, reason: "Punch in wrong place"},
+        {type: CorrectionTypes.AdjustPunch, className: "Test class", competitor: "Fred Brown", club: "DEF", control: 3, time: null},
+        {type: CorrectionTypes.ShiftStation, code: "212", offset: -60},
+        {type: CorrectionTypes.CancelControl, course: "Test course", control: 1}
+    ];
+
+    QUnit.test("Can parse corrections from a string", function (assert) {
+        var corrections = parseCorrections(JSON.stringify({corrections: TEST_CORRECTIONS}));
+        assert.deepEqual(corrections, TEST_CORRECTIONS);
+    });
+
+    QUnit.test("Can parse corrections from an object", function (assert) {
+        assert.deepEqual(parseCorrections({corrections: TEST_CORRECTIONS}), TEST_CORRECTIONS);
+    });
+
+    QUnit.test("Can parse an empty list of corrections", function (assert) {
+        assert.deepEqual(parseCorrections("{\"corrections\": []}"), []);
+    });
+
+    QUnit.test("Formatted corrections can be parsed back", function (assert) {
+        assert.deepEqual(parseCorrections(formatCorrections(TEST_CORRECTIONS)), TEST_CORRECTIONS);
+    });
+
+    QUnit.test("Cannot parse corrections from a string that is not valid JSON", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () { parseCorrections("{\"corrections\": ["); });
+    });
+
+    QUnit.test("Cannot parse corrections from data without an array of corrections", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () { parseCorrections("{\"corrections\": 3}"); });
+        SplitsBrowserTest.assertInvalidData(assert, function () { parseCorrections("null"); });
+    });
+
+    QUnit.test("Cannot parse a correction of an unrecognised type", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () { parseCorrections({corrections: [{type: "deleteEverything"}]}); });
+    });
+
+    QUnit.test("Cannot parse a correction that is not an object", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () { parseCorrections({corrections: ["adjustPunch"]}); });
+    });
+
+    QUnit.test("Cannot parse a punch adjustment without a competitor name", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCorrections({corrections: [{type: CorrectionTypes.AdjustPunch, className: "Test class", control: 2, time: 300}]});
+        });
+    });
+
+    QUnit.test("Cannot parse a punch adjustment with a non-integer time", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCorrections({corrections: [{type: CorrectionTypes.AdjustPunch, className: "Test class", competitor: "John Smith", control: 2, time: "5:00"}]});
+        });
+    });
+
+    QUnit.test("Cannot parse a punch adjustment at control zero", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCorrections({corrections: [{type: CorrectionTypes.AdjustPunch, className: "Test class", competitor: "John Smith", control: 0, time: 300}]});
+        });
+    });
+
+    QUnit.test("Cannot parse a station shift without an offset", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCorrections({corrections: [{type: CorrectionTypes.ShiftStation, code: "212"}]});
+        });
+    });
+
+    QUnit.test("Cannot parse a control cancellation without a course name", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCorrections({corrections: [{type: CorrectionTypes.CancelControl, control: 2}]});
+        });
+    });
+
+    QUnit.test("Cannot parse a correction with a reason that is not a string", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCorrections({corrections: [{type: CorrectionTypes.ShiftStation, code: "212", offset: 60, reason: 4}]});
+        });
+    });
+})();
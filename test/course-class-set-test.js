@@ -43,6 +43,8 @@
     var fromCumTimes = SplitsBrowser.Model.Competitor.fromCumTimes;
     var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
     var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
+    var ChartTypes = SplitsBrowser.Model.ChartTypes;
 
     var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
     
@@ -436,6 +438,48 @@
         assertSplitAndCumulativeRanks(assert, competitor3, [2, 2, 1, 3], [2, 3, 1, 3]);
     });
     
+    /**
+    * Returns a course-class set containing a single class on a forked course
+    * with two variations, 'A' and 'B'.  Both variations use the leg from 31
+    * to 32, as leg 2 of variation A and leg 3 of variation B, and the leg
+    * from 34 to the finish.  The first and third competitors run variation A
+    * and the second runs variation B.
+    * @return {Object} Object containing the course-class set and the three
+    *     competitors.
+    */
+    function getForkedCourseClassSet() {
+        var competitor1 = fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 100, 80, 90, 30]);
+        competitor1.setVariation("A");
+        var competitor2 = fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [70, 50, 90, 80, 25]);
+        competitor2.setVariation("B");
+        var competitor3 = fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [65, 95, 85, 70, 40]);
+        competitor3.setVariation("A");
+        
+        var courseClass = new CourseClass("Test", 4, [competitor1, competitor2, competitor3]);
+        var course = new Course("Test course", [courseClass], null, null, null);
+        course.setVariations([{name: "A", controls: ["31", "32", "33", "34"]}, {name: "B", controls: ["33", "31", "32", "34"]}]);
+        courseClass.setCourse(course);
+        return {courseClassSet: new CourseClassSet([courseClass]), competitors: [competitor1, competitor2, competitor3]};
+    }
+    
+    QUnit.test("Can compute ranks on a forked course, with splits ranked on the same leg in each variation and cumulative times ranked on the same legs so far", function (assert) {
+        var competitors = getForkedCourseClassSet().competitors;
+        assertSplitAndCumulativeRanks(assert, competitors[0], [1, 3, 1, 2, 2], [1, 1, 1, 2, 3]);
+        assertSplitAndCumulativeRanks(assert, competitors[1], [1, 1, 1, 1, 1], [1, 1, 1, 1, 1]);
+        assertSplitAndCumulativeRanks(assert, competitors[2], [2, 2, 2, 1, 3], [2, 1, 2, 1, 2]);
+    });
+    
+    QUnit.test("Can get the fastest cumulative times on a forked course along the legs of its first variation", function (assert) {
+        var courseClassSet = getForkedCourseClassSet().courseClassSet;
+        assert.deepEqual(courseClassSet.getFastestCumTimes(), [0, 60, 60 + 90, 60 + 90 + 80, 60 + 90 + 80 + 70, 60 + 90 + 80 + 70 + 25]);
+    });
+    
+    QUnit.test("Can get the fastest splits on a leg of a forked course from competitors on each variation that uses it", function (assert) {
+        var courseClassSet = getForkedCourseClassSet().courseClassSet;
+        assert.deepEqual(courseClassSet.getFastestSplitsTo(3, 2), [{name: "Fred Brown", split: 90}, {name: "Bill Baker", split: 95}, {name: "John Smith", split: 100}]);
+        assert.deepEqual(courseClassSet.getFastestSplitsTo(3, 1), [{name: "John Smith", split: 60}, {name: "Bill Baker", split: 65}]);
+    });
+    
     QUnit.test("Can compute ranks when there are three competitors with one pair of equal split times", function (assert) {
         var competitor1 = getCompetitor1WithSameControl2SplitAsThatOfCompetitor2();
         var competitor2 = getCompetitor2();
@@ -623,6 +667,39 @@
         assertCannotGetFastestSplits(assert, [getCompetitor1()], 1, "this is not a number");
     });
 
+    function getCompetitorsForLegSplitDistributions() {
+        return [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 100, 50, 30]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [62, 100, 50, 30]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [65, 110, 50, 30]),
+            fromSplitTimes(4, "Paul Jones", "JKL", 10 * 3600, [70, 120, 50, 30]),
+            fromSplitTimes(5, "Dave Wilson", "MNO", 10 * 3600, [200, 140, 50, 30])
+        ];
+    }
+    
+    QUnit.test("Can return the distributions of split times on each leg", function (assert) {
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 3, getCompetitorsForLegSplitDistributions())]);
+        var distributions = courseClassSet.getLegSplitDistributions();
+        assert.strictEqual(distributions.length, 4);
+        assert.deepEqual(distributions[0], {count: 5, median: 65, lowerQuartile: 62, upperQuartile: 70, lowerWhisker: 60, upperWhisker: 70, outliers: [200]});
+        assert.deepEqual(distributions[1], {count: 5, median: 110, lowerQuartile: 100, upperQuartile: 120, lowerWhisker: 100, upperWhisker: 140, outliers: []});
+        assert.deepEqual(distributions[3], {count: 5, median: 30, lowerQuartile: 30, upperQuartile: 30, lowerWhisker: 30, upperWhisker: 30, outliers: []});
+    });
+    
+    QUnit.test("Distributions of split times on each leg ignore competitors that did not complete the course", function (assert) {
+        var competitors = getCompetitorsForLegSplitDistributions();
+        competitors.push(fromSplitTimes(6, "Mike Jones", "PQR", 10 * 3600, [500, null, 50, 30]));
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 3, competitors)]);
+        var distributions = courseClassSet.getLegSplitDistributions();
+        assert.strictEqual(distributions[0].count, 5);
+        assert.deepEqual(distributions[0].outliers, [200]);
+    });
+    
+    QUnit.test("Distributions of split times are null for legs that no competitor completed", function (assert) {
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 3, [getCompetitor1WithNullSplitForControl2()])]);
+        assert.deepEqual(courseClassSet.getLegSplitDistributions(), [null, null, null, null]);
+    });
+
     QUnit.test("Can return chart data for two competitors in same class", function (assert) {
         var courseClassSet = new CourseClassSet([new CourseClass("Test", 3, [getFasterCompetitor1(), getCompetitor2()])]);
         var fastestTime = courseClassSet.getFastestCumTimes();
@@ -885,5 +962,275 @@
         SplitsBrowserTest.assertException(assert, "TypeError", function () {
             courseClassSet.getChartData([0, 65, 65 + 197, 65 + 197 + 184, 65 + 197 + 184 + 100], _DUMMY_CHART_TYPE);
         });
-    });    
-})();
\ No newline at end of file
+    });
+
+    function getScoreCompetitor(order, name, totalTime, punches) {
+        var competitor = fromCumTimes(order, name, "ABC", 10 * 3600, [0, totalTime]);
+        competitor.setScoreResult(new ScoreResult(punches, null, 0));
+        return competitor;
+    }
+
+    function getScoreCompetitor1() {
+        return getScoreCompetitor(1, "John Smith", 400, [{code: "31", time: 100, points: 10}, {code: "32", time: 250, points: 20}]);
+    }
+
+    function getScoreCompetitor2() {
+        return getScoreCompetitor(2, "Fred Brown", 300, [{code: "31", time: 150, points: 10}]);
+    }
+
+    QUnit.test("Course-class set without score classes has no score classes", function (assert) {
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 3, [getCompetitor1()])]);
+        assert.ok(!courseClassSet.hasScoreClasses(), "Course-class set should not have score classes");
+    });
+
+    QUnit.test("Course-class set with a score class has score classes", function (assert) {
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 0, [getScoreCompetitor1()])]);
+        assert.ok(courseClassSet.hasScoreClasses(), "Course-class set should have score classes");
+    });
+
+    QUnit.test("Can compute finish ranks of score competitors on points before time", function (assert) {
+        var competitor1 = getScoreCompetitor1();
+        var competitor2 = getScoreCompetitor(2, "Fred Brown", 300, [{code: "31", time: 150, points: 10}, {code: "32", time: 220, points: 20}]);
+        var competitor3 = getScoreCompetitor(3, "Bill Jones", 200, [{code: "31", time: 120, points: 10}]);
+        new CourseClassSet([new CourseClass("Test", 0, [competitor1, competitor2, competitor3])]);
+        assert.strictEqual(competitor1.getCumulativeRankTo(1), 2);
+        assert.strictEqual(competitor2.getCumulativeRankTo(1), 1);
+        assert.strictEqual(competitor3.getCumulativeRankTo(1), 3);
+    });
+
+    QUnit.test("Can compute equal finish ranks of score competitors with the same points and time", function (assert) {
+        var competitor1 = getScoreCompetitor(1, "John Smith", 300, [{code: "31", time: 100, points: 10}]);
+        var competitor2 = getScoreCompetitor(2, "Fred Brown", 300, [{code: "32", time: 150, points: 10}]);
+        new CourseClassSet([new CourseClass("Test", 0, [competitor1, competitor2])]);
+        assert.strictEqual(competitor1.getCumulativeRankTo(1), 1);
+        assert.strictEqual(competitor2.getCumulativeRankTo(1), 1);
+    });
+
+    QUnit.test("Can return score chart data for two score competitors", function (assert) {
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 0, [getScoreCompetitor1(), getScoreCompetitor2()])]);
+        var data = courseClassSet.getChartData([0, 300], [0, 1], ChartTypes.ScoreGraph);
+        var expectedChartData = {
+            dataColumns: [
+                { x: 0, ys: [0, 0] },
+                { x: 100, ys: [0, 0] },
+                { x: 100, ys: [10, 0] },
+                { x: 150, ys: [10, 0] },
+                { x: 150, ys: [10, 10] },
+                { x: 250, ys: [10, 10] },
+                { x: 250, ys: [30, 10] },
+                { x: 300, ys: [30, 10] },
+                { x: 400, ys: [30, 10] }
+            ],
+            competitorNames: ["John Smith", "Fred Brown"],
+            numControls: 0,
+            xExtent: [0, 400],
+            yExtent: [30, 0],
+            dubiousTimesInfo: [[], []],
+            yAxisLabelKey: "ScoreGraphYAxisLabel"
+        };
+        assert.deepEqual(data, expectedChartData);
+    });
+
+    QUnit.test("Can return score chart data counting controls if the points of the controls are not known", function (assert) {
+        var competitor = getScoreCompetitor(1, "John Smith", 400, [{code: "31", time: 100, points: null}, {code: "32", time: 250, points: null}]);
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 0, [competitor])]);
+        var data = courseClassSet.getChartData([0, 400], [0], ChartTypes.ScoreGraph);
+        assert.deepEqual(data.dataColumns.map(function (column) { return column.ys[0]; }), [0, 0, 1, 1, 2, 2]);
+        assert.deepEqual(data.yExtent, [2, 0]);
+        assert.strictEqual(data.yAxisLabelKey, "ScoreGraphControlsYAxisLabel");
+    });
+
+    QUnit.test("Can return score chart data with no data columns if no competitors are selected", function (assert) {
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 0, [getScoreCompetitor1(), getScoreCompetitor2()])]);
+        var data = courseClassSet.getChartData([0, 300], [], ChartTypes.ScoreGraph);
+        assert.deepEqual(data.dataColumns, []);
+        assert.deepEqual(data.competitorNames, []);
+        assert.deepEqual(data.xExtent, [0, 300]);
+        assert.deepEqual(data.yExtent, [30, 0]);
+        assert.deepEqual(data.dubiousTimesInfo, []);
+    });
+
+    function getCourseClassSetOnCourse(length, controlPositions, legLengths) {
+        var courseClass = new CourseClass("Test", 3, [getCompetitor1()]);
+        var course = new Course("Test course", [courseClass], length, null, ["235", "212", "189"]);
+        if (legLengths !== null) {
+            course.setLegGeometry(controlPositions, legLengths, legLengths.map(function () { return null; }));
+        }
+        
+        courseClass.setCourse(course);
+        return new CourseClassSet([courseClass]);
+    }
+    
+    QUnit.test("Can get leg lengths of a course-class set from the leg geometry of its course", function (assert) {
+        var courseClassSet = getCourseClassSetOnCourse(null, [null, null, null, null, null], [0.3, 0.8, 0.7, 0.2]);
+        assert.deepEqual(courseClassSet.getLegLengths([0, 60, 240, 420, 480]), [0.3, 0.8, 0.7, 0.2]);
+    });
+    
+    QUnit.test("Can get leg lengths of a course-class set spreading the course length in proportion to the reference splits", function (assert) {
+        var courseClassSet = getCourseClassSetOnCourse(2.4, null, null);
+        assert.deepEqual(courseClassSet.getLegLengths([0, 60, 240, 420, 480]), [0.3, 0.9, 0.9, 0.3]);
+    });
+    
+    QUnit.test("Can get leg lengths of a course-class set spreading the remaining course length over legs of unknown length", function (assert) {
+        var courseClassSet = getCourseClassSetOnCourse(2.4, [null, null, null, null, null], [0.6, null, null, 0.3]);
+        assert.deepEqual(courseClassSet.getLegLengths([0, 60, 240, 420, 480]), [0.6, 0.75, 0.75, 0.3]);
+    });
+    
+    QUnit.test("Leg lengths of a course-class set are null if the course has neither a length nor leg geometry", function (assert) {
+        var courseClassSet = getCourseClassSetOnCourse(null, null, null);
+        assert.deepEqual(courseClassSet.getLegLengths([0, 60, 240, 420, 480]), [null, null, null, null]);
+    });
+    
+    QUnit.test("Can return pace chart data for a course-class set on a course with a length", function (assert) {
+        var courseClassSet = getCourseClassSetOnCourse(2.4, null, null);
+        var data = courseClassSet.getChartData([0, 60, 240, 420, 480], [0], ChartTypes.PaceGraph);
+        
+        // Leg lengths are 0.3, 0.9, 0.9 and 0.3 km, and the competitor's
+        // splits are 65, 221, 209 and 100 seconds.
+        assert.deepEqual(data.dataColumns.map(function (column) { return column.x; }), [60, 240, 420, 480]);
+        var paces = data.dataColumns.map(function (column) { return column.ys[0]; });
+        [65 / 0.3 / 60, 221 / 0.9 / 60, 209 / 0.9 / 60, 100 / 0.3 / 60].forEach(function (expectedPace, index) {
+            assert.ok(Math.abs(paces[index] - expectedPace) < 1e-8, "Pace on leg " + (index + 1) + " should be " + expectedPace + ", got " + paces[index]);
+        });
+    });
+    
+    QUnit.test("Can return pace chart data for a course-class set on a course without a length", function (assert) {
+        var courseClassSet = getCourseClassSetOnCourse(null, null, null);
+        var data = courseClassSet.getChartData([0, 60, 240, 420, 480], [0], ChartTypes.PaceGraph);
+        assert.deepEqual(data.dataColumns.map(function (column) { return column.ys[0]; }), [null, null, null, null]);
+        assert.deepEqual(data.yExtent, [0, 60]);
+    });
+    
+    function getCourseClassSetWithChasingStart() {
+        // Competitor 1 starts first and leads to control 2, where competitor
+        // 2 catches and passes them.  Competitor 3 has the fastest elapsed
+        // times but starts too far back to lead on the race clock.
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 495, 595]);
+        var competitor2 = fromCumTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30, [0, 60, 250, 420, 520]);
+        var competitor3 = fromCumTimes(3, "Bill Baker", "GHI", 10 * 3600 + 300, [0, 58, 240, 400, 500]);
+        return new CourseClassSet([new CourseClass("Test", 3, [competitor1, competitor2, competitor3])]);
+    }
+
+    QUnit.test("Can get the leader's elapsed times at each control", function (assert) {
+        var courseClassSet = getCourseClassSetWithChasingStart();
+        assert.deepEqual(courseClassSet.getLeaderTimes(false), [0, 58, 240, 400, 500]);
+    });
+
+    QUnit.test("Can get the leader's race-clock times at each control", function (assert) {
+        var courseClassSet = getCourseClassSetWithChasingStart();
+        assert.deepEqual(courseClassSet.getLeaderTimes(true), [10 * 3600, 10 * 3600 + 65, 10 * 3600 + 280, 10 * 3600 + 450, 10 * 3600 + 550]);
+    });
+
+    QUnit.test("Leader's race-clock times are the times at which controls were actually punched if competitors have grading factors", function (assert) {
+        var courseClassSet = getCourseClassSetWithChasingStart();
+        courseClassSet.allCompetitors.forEach(function (comp) { comp.setGradingFactor(0.5); });
+        assert.deepEqual(courseClassSet.getLeaderTimes(true), [10 * 3600, 10 * 3600 + 65, 10 * 3600 + 280, 10 * 3600 + 450, 10 * 3600 + 550]);
+    });
+
+    QUnit.test("Leader's time is null at a control nobody has a time for", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 495, 595]);
+        var competitor2 = fromCumTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30, [0, 60, null, 420, 520]);
+        var courseClassSet = new CourseClassSet([new CourseClass("Test", 3, [competitor1, competitor2])]);
+        assert.deepEqual(courseClassSet.getLeaderTimes(false), [0, 60, null, 420, 520]);
+    });
+
+    QUnit.test("Can return gap-to-leader chart data on the race clock", function (assert) {
+        var courseClassSet = getCourseClassSetWithChasingStart();
+        var data = courseClassSet.getChartData([0, 58, 240, 400, 500], [0, 1, 2], ChartTypes.GapToLeaderRaceClock);
+
+        // Competitors are sorted by total time: Bill Baker, Fred Brown, then
+        // John Smith.
+        assert.deepEqual(data.competitorNames, ["Bill Baker", "Fred Brown", "John Smith"]);
+        assert.deepEqual(data.dataColumns.map(function (column) { return column.ys; }), [
+            [5, 0.5, 0],
+            [(358 - 65) / 60, (90 - 65) / 60, 0],
+            [(540 - 280) / 60, 0, (286 - 280) / 60],
+            [(700 - 450) / 60, 0, (495 - 450) / 60],
+            [(800 - 550) / 60, 0, (595 - 550) / 60]
+        ]);
+    });
+
+    QUnit.test("Can return gap-to-leader chart data on elapsed time", function (assert) {
+        var courseClassSet = getCourseClassSetWithChasingStart();
+        var data = courseClassSet.getChartData([0, 58, 240, 400, 500], [0, 1, 2], ChartTypes.GapToLeader);
+        assert.deepEqual(data.dataColumns.map(function (column) { return column.ys; }), [
+            [0, 0, 0],
+            [0, 2 / 60, 7 / 60],
+            [0, 10 / 60, 46 / 60],
+            [0, 20 / 60, 95 / 60],
+            [0, 20 / 60, 95 / 60]
+        ]);
+        assert.deepEqual(data.yExtent, [0, 95 / 60]);
+    });
+
+    function getCourseClassSetWithPacks() {
+        // Competitors 1 and 2 run together from control 1 to control 3,
+        // competitors 2 and 3 from control 2 to the finish.  Competitor 4
+        // runs alone and competitor 5 has no start time.
+        var competitor1 = fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [65, 221, 209, 100]);
+        var competitor2 = fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30, [43, 220, 215, 150]);
+        var competitor3 = fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600 + 120, [110, 65, 215, 158]);
+        var competitor4 = fromSplitTimes(4, "Paul Jones", "JKL", 11 * 3600, [65, 221, 209, 100]);
+        var competitor5 = fromSplitTimes(5, "Dave Wilson", "MNO", null, [65, 221, 209, 100]);
+        return new CourseClassSet([new CourseClass("Test class", 3, [competitor1, competitor2, competitor3, competitor4, competitor5])]);
+    }
+    
+    QUnit.test("Course-class set with no competitors has no packs", function (assert) {
+        var courseClassSet = new CourseClassSet([]);
+        assert.deepEqual(courseClassSet.getPacks(15, 2), []);
+        assert.deepEqual(courseClassSet.getTimesSpentInPacks(15, 2), []);
+    });
+    
+    QUnit.test("Can get the packs of competitors who punched consecutive controls together", function (assert) {
+        // Competitors are sorted by total time, so the order is competitor 3,
+        // 1, 4, 5 then 2.
+        var courseClassSet = getCourseClassSetWithPacks();
+        var packs = courseClassSet.getPacks(15, 2);
+        assert.strictEqual(packs.length, 1);
+        assert.deepEqual(packs[0].competitorIndexes, [0, 1, 4]);
+        assert.deepEqual(packs[0].competitors.map(function (comp) { return comp.name; }), ["Bill Baker", "John Smith", "Fred Brown"]);
+        assert.strictEqual(packs[0].startControl, 1);
+        assert.strictEqual(packs[0].endControl, 4);
+    });
+    
+    QUnit.test("Packs are determined from the times at which competitors actually punched controls even if they have grading factors", function (assert) {
+        var courseClassSet = getCourseClassSetWithPacks();
+        courseClassSet.allCompetitors.forEach(function (comp, index) { comp.setGradingFactor(1 - 0.05 * index); });
+        var packs = courseClassSet.getPacks(15, 2);
+        assert.deepEqual(packs.map(function (pack) { return pack.competitorIndexes; }), [[0, 1, 4]]);
+        assert.deepEqual(packs.map(function (pack) { return [pack.startControl, pack.endControl]; }), [[1, 4]]);
+    });
+    
+    QUnit.test("Packs are determined from the times at which competitors actually punched controls even if legs are neutralised", function (assert) {
+        var courseClassSet = getCourseClassSetWithPacks();
+        courseClassSet.allCompetitors.forEach(function (comp) { comp.setNeutralisedLegs([2]); });
+        var packs = courseClassSet.getPacks(15, 2);
+        assert.deepEqual(packs.map(function (pack) { return pack.competitorIndexes; }), [[0, 1, 4]]);
+        assert.deepEqual(packs.map(function (pack) { return [pack.startControl, pack.endControl]; }), [[1, 4]]);
+    });
+    
+    QUnit.test("Pairs of competitors who punched overlapping stretches of controls together are merged into one pack", function (assert) {
+        var courseClassSet = getCourseClassSetWithPacks();
+        var packs = courseClassSet.getPacks(15, 3);
+        assert.deepEqual(packs.map(function (pack) { return pack.competitorIndexes; }), [[0, 1, 4]]);
+        assert.deepEqual(packs.map(function (pack) { return [pack.startControl, pack.endControl]; }), [[1, 4]]);
+    });
+    
+    QUnit.test("Competitors who punched too few consecutive controls together are not in a pack", function (assert) {
+        var courseClassSet = getCourseClassSetWithPacks();
+        assert.deepEqual(courseClassSet.getPacks(15, 4), []);
+        assert.deepEqual(courseClassSet.getTimesSpentInPacks(15, 4), [0, 0, 0, 0, 0]);
+    });
+    
+    QUnit.test("A narrower time window gives fewer packs", function (assert) {
+        var courseClassSet = getCourseClassSetWithPacks();
+        var packs = courseClassSet.getPacks(5, 2);
+        assert.deepEqual(packs.map(function (pack) { return pack.competitorIndexes; }), [[0, 4]]);
+        assert.deepEqual(packs.map(function (pack) { return [pack.startControl, pack.endControl]; }), [[2, 3]]);
+    });
+    
+    QUnit.test("Can get the times competitors spent in packs", function (assert) {
+        var courseClassSet = getCourseClassSetWithPacks();
+        assert.deepEqual(courseClassSet.getTimesSpentInPacks(15, 2), [215 + 158, 221 + 209, 0, 0, 220 + 215 + 150]);
+    });
+})();
@@ -23,6 +23,8 @@
 
     var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
     var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Course = SplitsBrowser.Model.Course;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
     
     var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
     
@@ -64,6 +66,40 @@
         assert.ok(!courseClass.isEmpty(), "Non-empty course-class should not be empty");
     });
     
+    QUnit.test("Course-class initially created is not a relay class", function (assert) {
+        var courseClass = getTestClass();
+        assert.ok(!courseClass.isRelay(), "Course-class should not be a relay class");
+        assert.deepEqual(courseClass.getChangeoverIndexes(), []);
+    });
+    
+    QUnit.test("Course-class with relay teams set is a relay class", function (assert) {
+        var courseClass = new CourseClass("Test class name", 7, []);
+        courseClass.setRelayTeams([], [2, 1, 2]);
+        assert.ok(courseClass.isRelay(), "Course-class should be a relay class");
+    });
+    
+    QUnit.test("Can determine the changeover indexes of a relay class", function (assert) {
+        var courseClass = new CourseClass("Test class name", 7, []);
+        courseClass.setRelayTeams([], [2, 1, 2]);
+        assert.deepEqual(courseClass.getChangeoverIndexes(), [3, 5]);
+    });
+    
+    QUnit.test("Course-class initially created has no relay team class", function (assert) {
+        assert.strictEqual(getTestClass().getRelayTeamClass(), null);
+    });
+    
+    QUnit.test("Relay class and the classes of its legs all have the relay class as their relay team class", function (assert) {
+        var courseClass = new CourseClass("Test class name", 7, []);
+        courseClass.setRelayTeams([], [2, 2]);
+        var leg1Class = new CourseClass("Test class name - Leg 1", 2, []);
+        var leg2Class = new CourseClass("Test class name - Leg 2", 2, []);
+        courseClass.setRelayLegClasses([[leg1Class], [leg2Class]]);
+        assert.deepEqual(courseClass.relayLegClasses, [[leg1Class], [leg2Class]]);
+        assert.strictEqual(courseClass.getRelayTeamClass(), courseClass);
+        assert.strictEqual(leg1Class.getRelayTeamClass(), courseClass);
+        assert.strictEqual(leg2Class.getRelayTeamClass(), courseClass);
+    });
+    
     QUnit.test("Course-class initially created without any competitor data considered as dubious", function (assert) {
         var courseClass = getTestClass();
         assert.ok(!courseClass.hasDubiousData, "Original-data option should not be availabl");
@@ -163,6 +199,14 @@
         assert.deepEqual(courseClass.getCompetitorsAtControlInTimeRange(2, expectedTime - 1, expectedTime + 1), [{name: comp1.name, time: expectedTime}]);
     });
     
+    QUnit.test("Can return one competitor visiting control 2 at the time they actually visited it when they have a grading factor", function (assert) {
+        var expectedTime = 10 * 3600 + 30 * 60 + 81 + 197;
+        var courseClass = getTestClass();
+        var comp1 = courseClass.competitors[0];
+        comp1.setGradingFactor(0.9);
+        assert.deepEqual(courseClass.getCompetitorsAtControlInTimeRange(2, expectedTime - 1, expectedTime + 1), [{name: comp1.name, time: expectedTime}]);
+    });
+    
     QUnit.test("Can return one competitor visiting control 2 when time interval starts at the time the competitor visited that control", function (assert) {
         var expectedTime = 10 * 3600 + 30 * 60 + 81 + 197;
         var courseClass = getTestClass();
@@ -192,6 +236,54 @@
         });
     });
 
+    QUnit.test("Can determine time-loss data for course-class using a given time-loss method", function (assert) {
+        var courseClass = getTestClass();
+        var method = {
+            getReferenceSplits: function () { return [60, 180, 180, 90]; },
+            getPerformanceRatio: function () { return 1; }
+        };
+        
+        courseClass.determineTimeLosses(method);
+        assert.deepEqual([1, 2, 3, 4].map(function (controlIdx) { return courseClass.competitors[0].getTimeLossAt(controlIdx); }), [21, 17, 32, 16]);
+        assert.deepEqual([1, 2, 3, 4].map(function (controlIdx) { return courseClass.competitors[1].getTimeLossAt(controlIdx); }), [5, 41, 4, 10]);
+    });
+
+    QUnit.test("Can determine time-loss data for course-class on a forked course using reference splits for each competitor's variation", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.competitors[0].setVariation("A");
+        courseClass.competitors[1].setVariation("B");
+        var course = new Course("Test course", [courseClass], null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["212", "235", "189"]}]);
+        courseClass.setCourse(course);
+        
+        var variationNamesUsed = [];
+        var method = {
+            getReferenceSplits: function (cls, variationName) {
+                variationNamesUsed.push(variationName);
+                return (variationName === "B") ? [50, 190, 170, 80] : [60, 180, 180, 90];
+            },
+            getPerformanceRatio: function () { return 1; }
+        };
+        
+        courseClass.determineTimeLosses(method);
+        assert.deepEqual(variationNamesUsed, [null, "A", "B"]);
+        assert.deepEqual([1, 2, 3, 4].map(function (controlIdx) { return courseClass.competitors[0].getTimeLossAt(controlIdx); }), [21, 17, 32, 16]);
+        assert.deepEqual([1, 2, 3, 4].map(function (controlIdx) { return courseClass.competitors[1].getTimeLossAt(controlIdx); }), [15, 31, 14, 20]);
+    });
+    
+    QUnit.test("Can get the fastest split on a leg of a forked course from competitors on each variation that uses it", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.competitors[0].setVariation("A");
+        courseClass.competitors[1].setVariation("B");
+        var course = new Course("Test course", [courseClass], null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["212", "235", "189"]}]);
+        courseClass.setCourse(course);
+        
+        assert.deepEqual(courseClass.getFastestSplitTo(1, "A"), {name: courseClass.competitors[0].name, split: 81});
+        assert.deepEqual(courseClass.getFastestSplitTo(4, "A"), {name: courseClass.competitors[1].name, split: 100});
+        assert.strictEqual(courseClass.getSplitTimeOnLeg(courseClass.competitors[1], 2, "A"), null);
+    });
+    
     QUnit.test("Can determine as all-null time-loss data for course-class with two competitors mispunching the same control", function (assert) {
         var courseClass = new CourseClass("Test class", 3, [getCompetitor1WithNullSplitForControl3(), getCompetitor2WithNullSplitForControl3()]);
         courseClass.determineTimeLosses();
@@ -201,4 +293,15 @@
             });
         });
     });
+
+    QUnit.test("Course-class with no score results is not a score class", function (assert) {
+        assert.ok(!getTestClass().isScoreClass(), "Course-class should not be a score class");
+    });
+
+    QUnit.test("Course-class with a competitor with a score result is a score class", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 2741]);
+        competitor.setScoreResult(new ScoreResult([{code: "31", time: 184, points: 30}], null, 0));
+        var courseClass = new CourseClass("Test class name", 0, [competitor]);
+        assert.ok(courseClass.isScoreClass(), "Course-class should be a score class");
+    });
 })();
@@ -349,4 +349,221 @@
         var course = new Course("Test course", [], null, null, ["235", "212", "189", "212", "197"]);
         assert.deepEqual(course.getNextControls("212"), ["189", "197"]);
     });
-})();
\ No newline at end of file
+
+    function getControlPositions() {
+        return [
+            {lat: 51.5, lng: -1.2, x: 10, y: 20},
+            {lat: 51.51, lng: -1.21, x: 30, y: 40},
+            {lat: 51.52, lng: -1.22, x: 50, y: 60},
+            {lat: 51.53, lng: -1.23, x: 70, y: 80}
+        ];
+    }
+    
+    QUnit.test("Course created without leg geometry does not have leg geometry", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212"]);
+        assert.ok(!course.hasLegGeometry(), "Course should not have leg geometry");
+        assert.strictEqual(course.getLegLength(1), null);
+        assert.strictEqual(course.getLegClimb(1), null);
+        assert.strictEqual(course.getControlPosition(1), null);
+    });
+    
+    QUnit.test("Can set leg geometry of a course and read it back", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212"]);
+        course.setLegGeometry(getControlPositions(), [0.45, 0.38, 0.12], [15, null, 5]);
+        assert.ok(course.hasLegGeometry(), "Course should have leg geometry");
+        assert.strictEqual(course.getLegLength(1), 0.45);
+        assert.strictEqual(course.getLegLength(3), 0.12);
+        assert.strictEqual(course.getLegClimb(1), 15);
+        assert.strictEqual(course.getLegClimb(2), null);
+        assert.deepEqual(course.getControlPosition(0), {lat: 51.5, lng: -1.2, x: 10, y: 20});
+        assert.deepEqual(course.getControlPosition(3), {lat: 51.53, lng: -1.23, x: 70, y: 80});
+    });
+    
+    QUnit.test("Cannot set leg geometry of a course with the wrong number of leg lengths", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212"]);
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            course.setLegGeometry(getControlPositions(), [0.45, 0.38], [15, null, 5]);
+        });
+    });
+    
+    QUnit.test("Cannot get the length of a leg out of range", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212"]);
+        course.setLegGeometry(getControlPositions(), [0.45, 0.38, 0.12], [15, null, 5]);
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            course.getLegLength(4);
+        });
+    });
+    
+    QUnit.test("Cannot get the position of a control out of range", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212"]);
+        course.setLegGeometry(getControlPositions(), [0.45, 0.38, 0.12], [15, null, 5]);
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            course.getControlPosition(4);
+        });
+    });
+    
+    QUnit.test("Course created without neutralised legs has no legs neutralised", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212", "189"]);
+        assert.ok(!course.isLegNeutralised(1));
+        assert.ok(!course.isLegNeutralised(4));
+    });
+    
+    QUnit.test("Setting the neutralised legs of a course neutralises them for the competitors in its classes", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1(), getCompetitor2()]);
+        var course = new Course("Test course", [courseClass], null, null, ["235", "212", "189"]);
+        course.setNeutralisedLegs([3, 2]);
+        assert.deepEqual(course.neutralisedLegs, [2, 3]);
+        assert.ok(course.isLegNeutralised(2));
+        assert.ok(!course.isLegNeutralised(4));
+        assert.deepEqual(courseClass.competitors.map(function (comp) { return comp.totalTime; }), [187, 165]);
+    });
+    
+    QUnit.test("Removing a control of a course renumbers the neutralised legs after it", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212", "189"]);
+        course.setNeutralisedLegs([1, 4]);
+        course.removeControl(2);
+        assert.deepEqual(course.neutralisedLegs, [1, 3]);
+    });
+    
+    QUnit.test("Removing a control between two neutralised legs leaves the merged leg neutralised", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212", "189"]);
+        course.setNeutralisedLegs([2, 3]);
+        course.removeControl(2);
+        assert.deepEqual(course.neutralisedLegs, [2]);
+    });
+    
+    QUnit.test("Removing a control next to only one neutralised leg leaves the merged leg counted", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212", "189"]);
+        course.setNeutralisedLegs([3]);
+        course.removeControl(2);
+        assert.deepEqual(course.neutralisedLegs, []);
+    });
+    
+    /**
+    * Returns a forked course with two variations, 'A' and 'B', containing
+    * the given classes.  Both variations use the leg from 235 to 212, as leg
+    * 2 of variation A and leg 3 of variation B.
+    * @param {Array} classes - Array of classes on the course.
+    * @return {Course} The forked course.
+    */
+    function getForkedCourse(classes) {
+        var course = new Course("Test course", classes, null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["189", "235", "212"]}]);
+        classes.forEach(function (courseClass) { courseClass.setCourse(course); });
+        return course;
+    }
+    
+    QUnit.test("Course created without variations is not forked and returns its own controls whatever variation is asked for", function (assert) {
+        var course = new Course("Test course", [], null, null, ["235", "212", "189"]);
+        assert.ok(!course.isForked(), "Course should not be forked");
+        assert.deepEqual(course.getVariationControls("A"), ["235", "212", "189"]);
+        assert.ok(course.isLegCommon(2), "All legs of a course that isn't forked should be common");
+    });
+    
+    QUnit.test("Setting the variations of a course makes it forked, with the controls of each variation and none of its own", function (assert) {
+        var course = getForkedCourse([]);
+        assert.ok(course.isForked(), "Course should be forked");
+        assert.strictEqual(course.controls, null, "Forked course should have no controls of its own");
+        assert.ok(course.hasControls(), "Forked course should have controls from its variations");
+        assert.deepEqual(course.getVariationControls("B"), ["189", "235", "212"]);
+        assert.strictEqual(course.getVariationControls("C"), null);
+        assert.strictEqual(course.getControlCode(1, "B"), "189");
+    });
+    
+    QUnit.test("Getting a control code of a forked course without a variation uses the first variation", function (assert) {
+        var course = getForkedCourse([]);
+        assert.strictEqual(course.getControlCode(0), Course.START);
+        assert.strictEqual(course.getControlCode(1), "235");
+        assert.strictEqual(course.getControlCode(3, "C"), "189");
+        assert.strictEqual(course.getControlCode(4), Course.FINISH);
+    });
+    
+    QUnit.test("Combined controls of a forked course list the code of a control common to all variations once and the codes of other controls of each variation", function (assert) {
+        var course = new Course("Test course", [], null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["212", "235", "189"]}, {name: "C", controls: ["235", "212", "189"]}]);
+        assert.deepEqual(course.getCombinedControls(), ["235/212", "212/235", "189"]);
+    });
+    
+    QUnit.test("Combined controls of a course that isn't forked are its own controls", function (assert) {
+        assert.deepEqual(new Course("Test course", [], null, null, ["235", "212", "189"]).getCombinedControls(), ["235", "212", "189"]);
+        assert.strictEqual(new Course("Test course", [], null, null, null).getCombinedControls(), null);
+    });
+    
+    QUnit.test("Can find a leg of a forked course in each variation that uses it", function (assert) {
+        var course = getForkedCourse([]);
+        assert.strictEqual(course.getLegNumber("235", "212", "A"), 2);
+        assert.strictEqual(course.getLegNumber("235", "212", "B"), 3);
+        assert.strictEqual(course.getLegNumber("212", "189", "B"), -1);
+        assert.ok(course.usesLeg("212", "189"), "Course should use a leg of only one variation");
+        assert.ok(!course.usesLeg("212", "235"), "Course should not use a leg of no variation");
+        assert.strictEqual(course.getVariationUsingLeg("212", Course.FINISH), "B");
+        assert.strictEqual(course.getVariationUsingLeg("212", "235"), null);
+    });
+    
+    QUnit.test("Legs of a forked course between the same controls have the same key, wherever they come in each variation", function (assert) {
+        var course = getForkedCourse([]);
+        assert.strictEqual(course.getLegKey(2, "A"), course.getLegKey(3, "B"));
+        assert.notStrictEqual(course.getLegKey(2, "A"), course.getLegKey(2, "B"));
+        assert.strictEqual(new Course("Test course", [], null, null, null).getLegKey(1, null), null);
+    });
+    
+    QUnit.test("Only legs between the same controls in all variations of a forked course are common", function (assert) {
+        var course = new Course("Test course", [], null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["212", "235", "189"]}]);
+        assert.ok(!course.isLegCommon(1), "Leg 1 should not be common");
+        assert.ok(!course.isLegCommon(3), "Leg 3 should not be common");
+        assert.ok(course.isLegCommon(4), "Leg to the finish should be common");
+    });
+    
+    QUnit.test("Can get the split time of a competitor on another variation of a forked course on a leg that both variations use", function (assert) {
+        var competitor1 = getCompetitor1();
+        competitor1.setVariation("A");
+        var competitor2 = getCompetitor2();
+        competitor2.setVariation("B");
+        var course = getForkedCourse([new CourseClass("Test class", 3, [competitor1, competitor2])]);
+        assert.strictEqual(course.getSplitTimeOnLeg(competitor1, 2, "A"), 197);
+        assert.strictEqual(course.getSplitTimeOnLeg(competitor2, 2, "A"), 184);
+        assert.strictEqual(course.getSplitTimeOnLeg(competitor2, 1, "A"), null);
+        assert.strictEqual(course.getSplitTimeOnLeg(competitor2, 1, null), 65);
+    });
+    
+    QUnit.test("Can get the fastest splits on a leg of a forked course from competitors on each variation that uses it", function (assert) {
+        var competitor1 = getCompetitor1();
+        competitor1.setVariation("A");
+        var competitor2 = getCompetitor2();
+        competitor2.setVariation("B");
+        var course = getForkedCourse([new CourseClass("Test class", 3, [competitor1, competitor2])]);
+        assert.deepEqual(course.getFastestSplitsForLeg("235", "212"), [{name: competitor2.name, className: "Test class", split: 184}]);
+        assert.deepEqual(course.getFastestSplitsForLeg(Course.START, "235"), [{name: competitor1.name, className: "Test class", split: 81}]);
+    });
+    
+    QUnit.test("A forked course has the controls of all of its variations, and the next controls after a control in each of them", function (assert) {
+        var course = getForkedCourse([]);
+        assert.ok(course.hasControl("189"), "Course should have a control in its variations");
+        assert.ok(!course.hasControl("999"), "Course should not have a control in none of its variations");
+        assert.deepEqual(course.getNextControls(Course.START), ["235", "189"]);
+        assert.deepEqual(course.getNextControls("212"), ["189", Course.FINISH]);
+        assert.deepEqual(course.getNextControls("235"), ["212"]);
+    });
+    
+    QUnit.test("Can get competitors visiting a control of a forked course wherever it comes in their variations", function (assert) {
+        var competitor1 = getCompetitor1();
+        competitor1.setVariation("A");
+        var competitor2 = getCompetitor2();
+        competitor2.setVariation("B");
+        var course = getForkedCourse([new CourseClass("Test class", 3, [competitor1, competitor2])]);
+        
+        // Fred Brown punched 235 at 10:31:21, control 1 of variation A, and
+        // John Smith at 10:04:46, control 2 of variation B.
+        assert.deepEqual(course.getCompetitorsAtControlInTimeRange("235", 10 * 3600, 11 * 3600), [
+            {name: competitor1.name, time: 10 * 3600 + 30 * 60 + 81, className: "Test class"},
+            {name: competitor2.name, time: 10 * 3600 + 65 + 221, className: "Test class"}
+        ]);
+    });
+    
+    QUnit.test("Removing a control of a forked course removes it from each variation", function (assert) {
+        var course = getForkedCourse([]);
+        course.removeControl(2);
+        assert.deepEqual(course.variations, [{name: "A", controls: ["235", "189"]}, {name: "B", controls: ["189", "212"]}]);
+    });
+})();
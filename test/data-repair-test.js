@@ -24,6 +24,7 @@
     QUnit.module("Data Repair");
     
     var repairEventData = SplitsBrowser.DataRepair.repairEventData;
+    var interpolateEventData = SplitsBrowser.DataRepair.interpolateEventData;
     var transferCompetitorData = SplitsBrowser.DataRepair.transferCompetitorData;
     var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
     var CourseClass = SplitsBrowser.Model.CourseClass;
@@ -50,6 +51,20 @@
         return eventData.classes[0].hasDubiousData;
     }
     
+    /**
+    * Wraps the given array of competitors in a course-class, course and event,
+    * repair the event estimating any dubious times and return whether the
+    * course-class has dubious data.
+    * @param {Array} competitors - Array of competitor objects.
+    * @return {boolean} True if the course-class has dubious data, false
+    *     otherwise.
+    */
+    function wrapInEventAndInterpolate(competitors) {
+        var eventData = wrapInEvent(competitors);
+        interpolateEventData(eventData);
+        return eventData.classes[0].hasDubiousData;
+    }
+    
     function wrapInEventAndTransfer(competitors) {
         transferCompetitorData(wrapInEvent(competitors));
     }
@@ -203,4 +218,66 @@
         assert.deepEqual(competitor.cumTimes, competitor.originalCumTimes);
     });
     
+    QUnit.test("Can interpolate competitor with ascending cumulative times leaving them as they are with no estimated times", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, 81 + 197, 81 + 197 + 212, 81 + 197 + 212 + 106]);
+        var hasDubiousData = wrapInEventAndInterpolate([competitor]);
+        assert.ok(!hasDubiousData);
+        assert.deepEqual(competitor.cumTimes, competitor.originalCumTimes);
+        for (var control = 0; control < 5; control += 1) {
+            assert.ok(!competitor.isCumulativeTimeEstimated(control));
+        }
+    });
+    
+    QUnit.test("Can interpolate lone competitor with equal cumulative times by sharing the time taken equally between the legs", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, 81 + 197, 81 + 197, 81 + 197 + 212, 81 + 197 + 212 + 106]);
+        var hasDubiousData = wrapInEventAndInterpolate([competitor]);
+        assert.ok(hasDubiousData);
+        assert.deepEqual(competitor.cumTimes, [0, 81, 81 + 197, 81 + 197 + 106, 81 + 197 + 212, 81 + 197 + 212 + 106]);
+        assert.deepEqual([0, 1, 2, 3, 4, 5].map(function (control) { return competitor.isCumulativeTimeEstimated(control); }), [false, false, false, true, false, false]);
+    });
+    
+    QUnit.test("Can interpolate competitor with equal cumulative times by sharing the time taken in proportion to the other competitors' split times", function (assert) {
+        var competitor1 = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 80, 80, 80 + 200, 80 + 200 + 90]);
+        var competitor2 = fromOriginalCumTimes(2, "John Smith", "ABC", 10 * 3600, [0, 100, 100 + 50, 100 + 50 + 150, 100 + 50 + 150 + 100]);
+        var hasDubiousData = wrapInEventAndInterpolate([competitor1, competitor2]);
+        assert.ok(hasDubiousData);
+        assert.deepEqual(competitor1.cumTimes, [0, 80, 80 + 50, 80 + 200, 80 + 200 + 90]);
+        assert.ok(competitor1.isCumulativeTimeEstimated(2));
+        assert.deepEqual(competitor2.cumTimes, competitor2.originalCumTimes);
+    });
+    
+    QUnit.test("Can interpolate competitor with multiple absurdly high cumulative times, rounding the estimated times", function (assert) {
+        var competitor1 = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, 99999, 99999, 81 + 200, 81 + 200 + 106]);
+        var competitor2 = fromOriginalCumTimes(2, "John Smith", "ABC", 10 * 3600, [0, 90, 90 + 60, 90 + 60 + 60, 90 + 60 + 60 + 60, 90 + 60 + 60 + 60 + 100]);
+        var hasDubiousData = wrapInEventAndInterpolate([competitor1, competitor2]);
+        assert.ok(hasDubiousData);
+        assert.deepEqual(competitor1.cumTimes, [0, 81, 81 + 67, 81 + 133, 81 + 200, 81 + 200 + 106]);
+        assert.deepEqual([0, 1, 2, 3, 4, 5].map(function (control) { return competitor1.isCumulativeTimeEstimated(control); }), [false, false, true, true, false, false]);
+    });
+    
+    QUnit.test("Can interpolate competitor with absurdly high cumulative time followed by nulls by leaving the offending time removed", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, 99999, null, null, 81 + 197 + 212, 81 + 197 + 212 + 106]);
+        var hasDubiousData = wrapInEventAndInterpolate([competitor]);
+        assert.ok(hasDubiousData);
+        assert.deepEqual(competitor.cumTimes, [0, 81, NaN, null, null, 81 + 197 + 212, 81 + 197 + 212 + 106]);
+        assert.ok(!competitor.isCumulativeTimeEstimated(2));
+    });
+    
+    QUnit.test("Can interpolate ridiculously low finish time of mispunching competitor by leaving it removed", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, null, 81 + 197 + 212, 1]);
+        var hasDubiousData = wrapInEventAndInterpolate([competitor]);
+        assert.ok(hasDubiousData);
+        assert.deepEqual(competitor.cumTimes, [0, 81, null, 81 + 197 + 212, NaN]);
+        assert.ok(!competitor.isCumulativeTimeEstimated(4));
+    });
+    
+    QUnit.test("Can transfer interpolated competitor data by removing the estimated times", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, 81 + 197, 81 + 197, 81 + 197 + 212, 81 + 197 + 212 + 106]);
+        var eventData = wrapInEvent([competitor]);
+        interpolateEventData(eventData);
+        transferCompetitorData(eventData);
+        assert.deepEqual(competitor.cumTimes, competitor.originalCumTimes);
+        assert.ok(!competitor.isCumulativeTimeEstimated(3));
+    });
+    
 })();
\ No newline at end of file
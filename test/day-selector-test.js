@@ -0,0 +1,100 @@
+/*
+ *  SplitsBrowser - DaySelector tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var DaySelector = SplitsBrowser.Controls.DaySelector;
+
+    QUnit.module("Day Selector");
+
+    var lastDayIndex = null;
+    var callCount = 0;
+
+    function handleDayChanged(dayIndex) {
+        lastDayIndex = dayIndex;
+        callCount += 1;
+    }
+
+    function createSelector() {
+        lastDayIndex = null;
+        callCount = 0;
+        return new DaySelector(d3.select("#qunit-fixture").node());
+    }
+
+    QUnit.test("Can construct the selector, hidden and with no days", function (assert) {
+        var selector = createSelector();
+        assert.strictEqual($("#qunit-fixture select option").length, 0);
+        assert.strictEqual($("#qunit-fixture div#daySelectorContainer").css("display"), "none");
+        assert.strictEqual(selector.getSelectedDayIndex(), 0);
+    });
+
+    QUnit.test("Setting more than one day lists the days and shows the selector, with the first day selected", function (assert) {
+        var selector = createSelector();
+        selector.setDays(["Day 1", "Day 2", "Day 3"]);
+        assert.deepEqual($("#qunit-fixture select option").map(function () { return $(this).text(); }).get(), ["Day 1", "Day 2", "Day 3"]);
+        assert.notStrictEqual($("#qunit-fixture div#daySelectorContainer").css("display"), "none");
+        assert.strictEqual(selector.getSelectedDayIndex(), 0);
+    });
+
+    QUnit.test("Setting a single day hides the selector", function (assert) {
+        var selector = createSelector();
+        selector.setDays(["Day 1", "Day 2"]);
+        selector.setDays(["Day 1"]);
+        assert.strictEqual($("#qunit-fixture select option").length, 1);
+        assert.strictEqual($("#qunit-fixture div#daySelectorContainer").css("display"), "none");
+    });
+
+    QUnit.test("Changing the selected day calls the change handler with the index of the day", function (assert) {
+        var selector = createSelector();
+        selector.setDays(["Day 1", "Day 2", "Day 3"]);
+        selector.registerChangeHandler(handleDayChanged);
+
+        $("#qunit-fixture select").val(2).change();
+
+        assert.strictEqual(lastDayIndex, 2);
+        assert.strictEqual(callCount, 1);
+        assert.strictEqual(selector.getSelectedDayIndex(), 2);
+    });
+
+    QUnit.test("Registering the same handler twice and changing the selected day calls the handler only once", function (assert) {
+        var selector = createSelector();
+        selector.setDays(["Day 1", "Day 2"]);
+        selector.registerChangeHandler(handleDayChanged);
+        selector.registerChangeHandler(handleDayChanged);
+
+        $("#qunit-fixture select").val(1).change();
+
+        assert.strictEqual(lastDayIndex, 1);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the days again selects the first day without calling the change handler", function (assert) {
+        var selector = createSelector();
+        selector.setDays(["Day 1", "Day 2"]);
+        selector.registerChangeHandler(handleDayChanged);
+        $("#qunit-fixture select").val(1).change();
+
+        selector.setDays(["Day A", "Day B"]);
+
+        assert.strictEqual(selector.getSelectedDayIndex(), 0);
+        assert.strictEqual(callCount, 1);
+    });
+})();
@@ -0,0 +1,115 @@
+/*
+ *  SplitsBrowser - Encoding tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var detectEncoding = SplitsBrowser.Input.Encoding.detectEncoding;
+    var decode = SplitsBrowser.Input.Encoding.decode;
+
+    QUnit.module("Encoding");
+
+    /**
+    * Returns the bytes of the given string, which must contain only
+    * characters with codes below 256.
+    * @param {String} text - The string.
+    * @return {Uint8Array} The bytes of the string.
+    */
+    function toBytes(text) {
+        var bytes = new window.Uint8Array(text.length);
+        for (var index = 0; index < text.length; index += 1) {
+            bytes[index] = text.charCodeAt(index);
+        }
+
+        return bytes;
+    }
+
+    // "Fürst,Sïmön" in UTF-8 and in Windows-1252.
+    var UTF8_DATA = "F\xC3\xBCrst,S\xC3\xAFm\xC3\xB6n";
+    var WINDOWS_1252_DATA = "F\xFCrst,S\xEFm\xF6n";
+
+    QUnit.test("Detects ASCII data as UTF-8", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("First,Second,Third")), "utf-8");
+    });
+
+    QUnit.test("Detects data that is valid UTF-8 as UTF-8", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes(UTF8_DATA)), "utf-8");
+    });
+
+    QUnit.test("Detects data that is not valid UTF-8 as Windows-1252", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes(WINDOWS_1252_DATA)), "windows-1252");
+    });
+
+    QUnit.test("Detects data with a truncated UTF-8 sequence at the end as Windows-1252", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("First,Second,\xC3")), "windows-1252");
+    });
+
+    QUnit.test("Detects the encoding of data with a UTF-8 byte-order mark", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("\xEF\xBB\xBF" + WINDOWS_1252_DATA)), "utf-8");
+    });
+
+    QUnit.test("Detects the encodings of data with UTF-16 byte-order marks", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("\xFF\xFEF\x00")), "utf-16le");
+        assert.strictEqual(detectEncoding(toBytes("\xFE\xFF\x00F")), "utf-16be");
+    });
+
+    QUnit.test("Detects the encoding given in an XML declaration", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("<?xml version=\"1.0\" encoding=\"ISO-8859-2\"?>\r\n<ResultList>" + UTF8_DATA + "</ResultList>")), "iso-8859-2");
+    });
+
+    QUnit.test("Detects the encoding given in an XML declaration using single quotes", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("<?xml version='1.0' encoding='windows-1250'?><ResultList/>")), "windows-1250");
+    });
+
+    QUnit.test("Ignores an XML declaration without an encoding", function (assert) {
+        assert.strictEqual(detectEncoding(toBytes("<?xml version=\"1.0\"?><ResultList>" + WINDOWS_1252_DATA + "</ResultList>")), "windows-1252");
+    });
+
+    QUnit.test("Can decode UTF-8 data", function (assert) {
+        assert.strictEqual(decode(toBytes(UTF8_DATA), "utf-8"), "Fürst,Sïmön");
+    });
+
+    QUnit.test("Can decode UTF-8 data with a byte-order mark, removing the byte-order mark", function (assert) {
+        assert.strictEqual(decode(toBytes("\xEF\xBB\xBF" + UTF8_DATA), "utf-8"), "Fürst,Sïmön");
+    });
+
+    QUnit.test("Can decode UTF-8 data containing three- and four-byte sequences", function (assert) {
+        assert.strictEqual(decode(toBytes("\xE2\x82\xAC\xF0\x9F\x8F\x83"), "utf-8"), "€🏃");
+    });
+
+    QUnit.test("Can decode Windows-1252 data, including characters in the range 0x80 to 0x9F", function (assert) {
+        assert.strictEqual(decode(toBytes(WINDOWS_1252_DATA + "\x80\x8A"), "windows-1252"), "Fürst,Sïmön€Š");
+    });
+
+    QUnit.test("Decodes data in the encoding detected if no encoding is given", function (assert) {
+        assert.strictEqual(decode(toBytes(UTF8_DATA), null), "Fürst,Sïmön");
+        assert.strictEqual(decode(toBytes(WINDOWS_1252_DATA), null), "Fürst,Sïmön");
+    });
+
+    QUnit.test("Decodes data in the encoding given rather than the encoding detected", function (assert) {
+        assert.strictEqual(decode(toBytes(UTF8_DATA), "windows-1252"), "FÃ¼rst,SÃ¯mÃ¶n");
+    });
+
+    QUnit.test("Cannot decode data in an unrecognised encoding", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            decode(toBytes("First,Second,Third"), "this-is-not-an-encoding");
+        });
+    });
+})();
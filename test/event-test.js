@@ -23,6 +23,7 @@
     
     var isNotNull = SplitsBrowser.isNotNull;
     var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
+    var fromCumTimes = SplitsBrowser.Model.Competitor.fromCumTimes;
     var Event = SplitsBrowser.Model.Event;
     var CourseClass = SplitsBrowser.Model.CourseClass;
     var Course = SplitsBrowser.Model.Course;
@@ -43,6 +44,17 @@
         return fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 157, 100]);
     }
     
+    QUnit.test("Event created without a parser name has a null parser name", function (assert) {
+        var event = new Event([], [], []);
+        assert.strictEqual(event.parserName, null);
+    });
+    
+    QUnit.test("Can set the name of the parser that read in an event", function (assert) {
+        var event = new Event([], [], []);
+        event.setParserName("Test parser");
+        assert.strictEqual(event.parserName, "Test parser");
+    });
+    
     QUnit.test("Returns empty list of fastest splits to a leg if the event has no competitors", function (assert) {
         var event = new Event([], []);
         assert.deepEqual(event.getFastestSplitsForLeg("235", "212"), []);
@@ -175,5 +187,352 @@
         var event = new Event([courseClass], [course]);
         assert.ok(event.needsRepair());
     });
+
+    function getCourseData(name, controls) {
+        return {
+            name: name,
+            length: 4.1,
+            climb: 140,
+            controls: controls,
+            controlPositions: [null].concat(controls.map(function () { return null; })).concat([null]),
+            legLengths: controls.map(function () { return 0.5; }).concat([0.1]),
+            legClimbs: controls.map(function () { return null; }).concat([null])
+        };
+    }
+    
+    QUnit.test("Can apply course data to a course with the same name and controls", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1()]);
+        var course = new Course("Test course", [courseClass], null, 120, ["235", "212", "189"]);
+        var event = new Event([courseClass], [course], []);
+        event.applyCourseData([getCourseData("Test course", ["235", "212", "189"])]);
+        
+        assert.ok(course.hasLegGeometry(), "Course should have leg geometry");
+        assert.strictEqual(course.getLegLength(4), 0.1);
+        assert.strictEqual(course.length, 4.1, "Course length should be taken from the course data");
+        assert.strictEqual(course.climb, 120, "Course climb should not be overwritten");
+        assert.strictEqual(event.warnings.length, 0);
+    });
+    
+    QUnit.test("Can apply course data to a course without controls but with the same number of controls", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1()]);
+        var course = new Course("Test course", [courseClass], null, null, null);
+        var event = new Event([courseClass], [course], []);
+        event.applyCourseData([getCourseData("Test course", ["235", "212", "189"])]);
+        assert.ok(course.hasLegGeometry(), "Course should have leg geometry");
+    });
+    
+    QUnit.test("Course data with different controls is not applied and issues a warning", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1()]);
+        var course = new Course("Test course", [courseClass], null, null, ["235", "212", "189"]);
+        var event = new Event([courseClass], [course], []);
+        event.applyCourseData([getCourseData("Test course", ["235", "189", "212"])]);
+        
+        assert.ok(!course.hasLegGeometry(), "Course should not have leg geometry");
+        assert.strictEqual(event.warnings.length, 1, "One warning should have been issued");
+    });
+    
+    // Fred Brown runs variation A of a forked course, with controls 235, 212
+    // and 189, and John Smith runs variation B, with controls 212, 235 and
+    // 189.
+    function getEventWithForkedCourse() {
+        var competitor1 = getCompetitor1();
+        competitor1.setVariation("A");
+        var competitor2 = getCompetitor2();
+        competitor2.setVariation("B");
+        var courseClass = new CourseClass("Test class", 3, [competitor1, competitor2]);
+        var course = new Course("Test course", [courseClass], null, null, null);
+        course.setVariations([{name: "A", controls: ["235", "212", "189"]}, {name: "B", controls: ["212", "235", "189"]}]);
+        courseClass.setCourse(course);
+        return new Event([courseClass], [course], []);
+    }
+    
+    QUnit.test("Course data for a forked course is not applied and issues a warning", function (assert) {
+        var event = getEventWithForkedCourse();
+        event.applyCourseData([getCourseData("Test course", ["235", "212", "189"])]);
+        
+        assert.ok(!event.courses[0].hasLegGeometry(), "Course should not have leg geometry");
+        assert.strictEqual(event.warnings.length, 1, "One warning should have been issued");
+    });
+    
+    QUnit.test("Course data for a course not in the event is ignored", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1()]);
+        var course = new Course("Test course", [courseClass], null, null, ["235", "212", "189"]);
+        var event = new Event([courseClass], [course], []);
+        event.applyCourseData([getCourseData("Other course", ["235", "212", "189"])]);
+        
+        assert.ok(!course.hasLegGeometry(), "Course should not have leg geometry");
+        assert.strictEqual(event.warnings.length, 0);
+    });
+    
+    QUnit.test("Returns no new finishers if the event has not changed", function (assert) {
+        var previousEvent = new Event([new CourseClass("Test class", 3, [getCompetitor1(), getCompetitor2()])], [], []);
+        var event = new Event([new CourseClass("Test class", 3, [getCompetitor1(), getCompetitor2()])], [], []);
+        assert.deepEqual(event.getNewFinishers(previousEvent), []);
+    });
+    
+    QUnit.test("Returns a competitor who was not in the previous event as a new finisher", function (assert) {
+        var competitor2 = getCompetitor2();
+        var previousEvent = new Event([new CourseClass("Test class", 3, [getCompetitor1()])], [], []);
+        var event = new Event([new CourseClass("Test class", 3, [getCompetitor1(), competitor2])], [], []);
+        assert.deepEqual(event.getNewFinishers(previousEvent), [competitor2]);
+    });
+    
+    QUnit.test("Returns a competitor who had not finished in the previous event as a new finisher", function (assert) {
+        var competitor2 = getCompetitor2();
+        var previousEvent = new Event([new CourseClass("Test class", 3, [getCompetitor1(), fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, null, null])])], [], []);
+        var event = new Event([new CourseClass("Test class", 3, [getCompetitor1(), competitor2])], [], []);
+        assert.deepEqual(event.getNewFinishers(previousEvent), [competitor2]);
+    });
+    
+    QUnit.test("Does not return a competitor who has not yet finished as a new finisher", function (assert) {
+        var previousEvent = new Event([new CourseClass("Test class", 3, [getCompetitor1()])], [], []);
+        var event = new Event([new CourseClass("Test class", 3, [getCompetitor1(), fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, null, null])])], [], []);
+        assert.deepEqual(event.getNewFinishers(previousEvent), []);
+    });
+    
+    QUnit.test("Returns a competitor who finished in a different class in the previous event as a new finisher", function (assert) {
+        var competitor2 = getCompetitor2();
+        var previousEvent = new Event([new CourseClass("Another class", 3, [getCompetitor2()])], [], []);
+        var event = new Event([new CourseClass("Test class", 3, [competitor2])], [], []);
+        assert.deepEqual(event.getNewFinishers(previousEvent), [competitor2]);
+    });
+    
+    /**
+    * Returns an event with two courses that share their first two legs.
+    * The third competitor on the first course missed control 212.
+    * @return {Event} The event.
+    */
+    function getEventWithSharedLegs() {
+        var courseClass1 = new CourseClass("Test class 1", 3, [
+            getCompetitor1(),
+            getCompetitor2(),
+            fromCumTimes(3, "Bill Baker", "GHI", 10 * 3600 + 15 * 60, [0, 70, null, 70 + 221 + 190, 70 + 221 + 190 + 110])
+        ]);
+        var courseClass2 = new CourseClass("Test class 2", 3, [fromSplitTimes(4, "Paul Jones", "JKL", 11 * 3600, [60, 230, 150, 120])]);
+        var course1 = new Course("Test course 1", [courseClass1], null, null, ["235", "212", "189"]);
+        var course2 = new Course("Test course 2", [courseClass2], null, null, ["235", "212", "301"]);
+        return new Event([courseClass1, courseClass2], [course1, course2]);
+    }
+    
+    QUnit.test("Returns no leg statistics for an event with no courses", function (assert) {
+        assert.deepEqual(new Event([], []).getLegStatistics(), []);
+    });
+    
+    QUnit.test("Returns no leg statistics for an event whose courses have no control codes", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1()]);
+        var event = new Event([courseClass], [new Course("Test course", [courseClass], null, null, null)]);
+        assert.deepEqual(event.getLegStatistics(), []);
+    });
+    
+    QUnit.test("Returns statistics for each leg of an event, listing legs shared between courses once", function (assert) {
+        var statistics = getEventWithSharedLegs().getLegStatistics();
+        assert.deepEqual(statistics.map(function (leg) { return [leg.startCode, leg.endCode]; }),
+            [[Course.START, "235"], ["235", "212"], ["212", "189"], ["189", Course.FINISH], ["212", "301"], ["301", Course.FINISH]]);
+        assert.deepEqual(statistics.map(function (leg) { return leg.numCourses; }), [2, 2, 1, 1, 1, 1]);
+        assert.deepEqual(statistics.map(function (leg) { return leg.numClasses; }), [2, 2, 1, 1, 1, 1]);
+        assert.deepEqual(statistics.map(function (leg) { return leg.medianSplit; }), [65, 221, 198, 103, 150, 120]);
+        assert.deepEqual(statistics[0].fastestSplit, {name: "Paul Jones", className: "Test class 2", split: 60});
+        assert.deepEqual(statistics[2].fastestSplit, {name: "John Smith", className: "Test class 1", split: 184});
+    });
+    
+    QUnit.test("Returns statistics for each leg of each variation of a forked course, listing legs shared between variations once", function (assert) {
+        var statistics = getEventWithForkedCourse().getLegStatistics();
+        assert.deepEqual(statistics.map(function (leg) { return [leg.startCode, leg.endCode]; }),
+            [[Course.START, "235"], ["235", "212"], ["212", "189"], ["189", Course.FINISH], [Course.START, "212"], ["212", "235"], ["235", "189"]]);
+        assert.deepEqual(statistics.map(function (leg) { return leg.numCourses; }), [1, 1, 1, 1, 1, 1, 1]);
+        assert.deepEqual(statistics.map(function (leg) { return leg.medianSplit; }), [81, 197, 212, 103, 65, 221, 184]);
+        assert.deepEqual(statistics[3].fastestSplit, {name: "John Smith", className: "Test class", split: 100});
+    });
+    
+    QUnit.test("Leg statistics count the competitors who missed the control at the end of each leg", function (assert) {
+        var statistics = getEventWithSharedLegs().getLegStatistics();
+        assert.deepEqual(statistics.map(function (leg) { return leg.numMispunches; }), [0, 1, 0, 0, 0, 0]);
+    });
+    
+    QUnit.test("Leg statistics have null median time losses if time losses have not been determined", function (assert) {
+        var statistics = getEventWithSharedLegs().getLegStatistics();
+        assert.deepEqual(statistics.map(function (leg) { return leg.medianTimeLoss; }), [null, null, null, null, null, null]);
+    });
     
-})();
\ No newline at end of file
+    QUnit.test("Leg statistics include the median time loss of the competitors completing each leg", function (assert) {
+        var event = getEventWithSharedLegs();
+        event.determineTimeLosses();
+        var statistics = event.getLegStatistics();
+        var expectedTimeLoss = d3.median([event.classes[0].competitors[0], event.classes[0].competitors[1], event.classes[1].competitors[0]], function (comp) { return comp.getTimeLossAt(2); });
+        assert.strictEqual(statistics[1].medianTimeLoss, expectedTimeLoss);
+        assert.strictEqual(statistics[4].medianTimeLoss, event.classes[1].competitors[0].getTimeLossAt(3));
+    });
+    
+    // Fred Brown and John Smith run a course with controls 235, 212 and 189.
+    function getEventForCorrections() {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1(), getCompetitor2()]);
+        var course = new Course("Test course", [courseClass], 4.1, 140, ["235", "212", "189"]);
+        courseClass.setCourse(course);
+        return new Event([courseClass], [course], []);
+    }
+    
+    function getOriginalCumTimes(eventData) {
+        return eventData.classes[0].competitors.map(function (comp) { return comp.getAllOriginalCumulativeTimes(); });
+    }
+    
+    QUnit.test("Can apply neutralised legs to a course", function (assert) {
+        var event = getEventForCorrections();
+        event.applyNeutralisedLegs({"Test course": [2]});
+        assert.deepEqual(event.courses[0].neutralisedLegs, [2]);
+        assert.deepEqual(event.classes[0].competitors.map(function (comp) { return comp.totalTime; }), [596 - 197, 570 - 221]);
+        assert.deepEqual(event.warnings, []);
+    });
+    
+    QUnit.test("Neutralised legs of a course not in the event are ignored with a warning", function (assert) {
+        var event = getEventForCorrections();
+        event.applyNeutralisedLegs({"Another course": [2]});
+        assert.deepEqual(event.courses[0].neutralisedLegs, []);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Neutralised legs that are not legs of the course are ignored with a warning", function (assert) {
+        var event = getEventForCorrections();
+        event.applyNeutralisedLegs({"Test course": [0, 4, 5, 2.5]});
+        assert.deepEqual(event.courses[0].neutralisedLegs, [4]);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Cancelling a control of a course renumbers the neutralised legs of the course", function (assert) {
+        var event = getEventForCorrections();
+        event.applyNeutralisedLegs({"Test course": [4]});
+        event.applyCorrections([{type: "cancelControl", course: "Test course", control: 2}]);
+        assert.deepEqual(event.courses[0].neutralisedLegs, [3]);
+        assert.strictEqual(event.classes[0].competitors[0].totalTime, 490);
+    });
+    
+    QUnit.test("Applying no corrections leaves an event unchanged", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, 278, 490, 596], [0, 65, 286, 470, 570]]);
+        assert.deepEqual(event.corrections, []);
+        assert.deepEqual(event.auditTrail, []);
+        assert.deepEqual(event.warnings, []);
+    });
+    
+    QUnit.test("Can adjust the time of a competitor at a control", function (assert) {
+        var event = getEventForCorrections();
+        var correction = {type: "adjustPunch", className: "Test class", competitor: "John Smith", control: 2, time: 300};
+        event.applyCorrections([correction]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, 278, 490, 596], [0, 65, 300, 470, 570]]);
+        assert.deepEqual(event.corrections, [correction]);
+        assert.deepEqual(event.auditTrail, ["Time of John Smith (Test class) at control 2 changed from 04:46 to 05:00"]);
+    });
+    
+    QUnit.test("Can adjust the finish time of a competitor, and the competitor's total time is updated", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Test class", competitor: "Fred Brown", control: 4, time: 600, reason: "Finish punch late"}]);
+        assert.strictEqual(event.classes[0].competitors[0].totalTime, 600);
+        assert.deepEqual(event.auditTrail, ["Time of Fred Brown (Test class) at the finish changed from 09:56 to 10:00: Finish punch late"]);
+    });
+    
+    QUnit.test("Can remove the time of a competitor at a control", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Test class", competitor: "Fred Brown", control: 1, time: null}]);
+        assert.deepEqual(getOriginalCumTimes(event)[0], [0, null, 278, 490, 596]);
+    });
+    
+    QUnit.test("Adjusting the time of a competitor in a class that does not exist adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Another class", competitor: "John Smith", control: 2, time: 300}]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, 278, 490, 596], [0, 65, 286, 470, 570]]);
+        assert.deepEqual(event.corrections, []);
+        assert.deepEqual(event.auditTrail, []);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Adjusting the time of a competitor not in the class adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Test class", competitor: "Bill Baker", control: 2, time: 300}]);
+        assert.deepEqual(event.auditTrail, []);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Adjusting the time of a competitor at a control beyond the finish adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Test class", competitor: "John Smith", control: 5, time: 800}]);
+        assert.deepEqual(event.auditTrail, []);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Adjusting the time of a competitor whose club does not match adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Test class", competitor: "John Smith", club: "DEF", control: 2, time: 300}]);
+        assert.deepEqual(event.auditTrail, []);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Can shift the times recorded by a control station for all competitors", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "shiftStation", code: "212", offset: -10}]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, 268, 490, 596], [0, 65, 276, 470, 570]]);
+        assert.deepEqual(event.auditTrail, ["Times recorded by control 212 shifted by -00:10 for 2 competitor(s)"]);
+    });
+    
+    QUnit.test("Can shift the times recorded by a control station for all competitors on a forked course, wherever it comes in their variations", function (assert) {
+        var event = getEventWithForkedCourse();
+        event.applyCorrections([{type: "shiftStation", code: "212", offset: -10}]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, 268, 490, 596], [0, 55, 286, 470, 570]]);
+        assert.deepEqual(event.auditTrail, ["Times recorded by control 212 shifted by -00:10 for 2 competitor(s)"]);
+    });
+    
+    QUnit.test("Shifting the times recorded by a control station visited more than once shifts each time but counts each competitor once", function (assert) {
+        var courseClass = new CourseClass("Test class", 3, [getCompetitor1(), getCompetitor2()]);
+        var course = new Course("Test course", [courseClass], 4.1, 140, ["212", "235", "212"]);
+        courseClass.setCourse(course);
+        var event = new Event([courseClass], [course], []);
+        event.applyCorrections([{type: "shiftStation", code: "212", offset: -10}]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 71, 278, 480, 596], [0, 55, 286, 460, 570]]);
+        assert.deepEqual(event.auditTrail, ["Times recorded by control 212 shifted by -00:10 for 2 competitor(s)"]);
+    });
+    
+    QUnit.test("Shifting the times recorded by a control station skips competitors who missed the control", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "adjustPunch", className: "Test class", competitor: "Fred Brown", control: 2, time: null}, {type: "shiftStation", code: "212", offset: 15}]);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, null, 490, 596], [0, 65, 301, 470, 570]]);
+        assert.strictEqual(event.auditTrail[1], "Times recorded by control 212 shifted by +00:15 for 1 competitor(s)");
+    });
+    
+    QUnit.test("Shifting the times recorded by a control station not on any course adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "shiftStation", code: "999", offset: 15}]);
+        assert.deepEqual(event.auditTrail, []);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Can cancel a control of a course", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "cancelControl", course: "Test course", control: 2, reason: "Control misplaced"}]);
+        assert.deepEqual(event.courses[0].controls, ["235", "189"]);
+        assert.strictEqual(event.classes[0].numControls, 2);
+        assert.deepEqual(getOriginalCumTimes(event), [[0, 81, 490, 596], [0, 65, 470, 570]]);
+        assert.deepEqual(event.auditTrail, ["Control 2 of course 'Test course' cancelled: Control misplaced"]);
+    });
+    
+    QUnit.test("Cancelling a control of a course that does not exist adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "cancelControl", course: "Another course", control: 2}]);
+        assert.deepEqual(event.courses[0].controls, ["235", "212", "189"]);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Cancelling a control beyond the last control of a course adds a warning instead", function (assert) {
+        var event = getEventForCorrections();
+        event.applyCorrections([{type: "cancelControl", course: "Test course", control: 4}]);
+        assert.strictEqual(event.classes[0].numControls, 3);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+    
+    QUnit.test("Corrections following one that cannot be applied are still applied", function (assert) {
+        var event = getEventForCorrections();
+        var goodCorrection = {type: "shiftStation", code: "212", offset: 5};
+        event.applyCorrections([{type: "shiftStation", code: "999", offset: 5}, goodCorrection]);
+        assert.deepEqual(event.corrections, [goodCorrection]);
+        assert.strictEqual(event.auditTrail.length, 1);
+        assert.strictEqual(event.warnings.length, 1);
+    });
+})();
@@ -0,0 +1,168 @@
+/*
+ *  SplitsBrowser - FileLoader tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var FileLoader = SplitsBrowser.Controls.FileLoader;
+
+    QUnit.module("File Loader");
+
+    var alertsReceived = [];
+
+    function alerter(message) {
+        alertsReceived.push(message);
+    }
+
+    function createFileLoader() {
+        alertsReceived = [];
+        return new FileLoader(d3.select("#qunit-fixture").node(), alerter);
+    }
+
+    function createFile(contents, fileName) {
+        return new window.File([contents], fileName, {type: "text/plain"});
+    }
+
+    QUnit.test("Can create a file loader with a button and a hidden file picker", function (assert) {
+        createFileLoader();
+        assert.strictEqual($("#qunit-fixture div#fileLoaderContainer button").length, 1);
+        assert.strictEqual($("#qunit-fixture div#fileLoaderContainer button").text(), SplitsBrowser.getMessage("LoadLocalFileButton"));
+        assert.strictEqual($("#qunit-fixture div#fileLoaderContainer input[type=file]").length, 1);
+        assert.strictEqual($("#qunit-fixture div#fileLoaderContainer input[type=file]").css("display"), "none");
+    });
+
+    QUnit.test("Reading a file passes its contents and name to the change handler", function (assert) {
+        var done = assert.async();
+        var fileLoader = createFileLoader();
+        fileLoader.registerChangeHandler(function (data, fileName) {
+            assert.strictEqual(data, "Some event data");
+            assert.strictEqual(fileName, "results.csv");
+            assert.deepEqual(alertsReceived, []);
+            done();
+        });
+
+        fileLoader.readFile(createFile("Some event data", "results.csv"));
+    });
+
+    QUnit.test("Dropping a file onto the page reads the file dropped", function (assert) {
+        var done = assert.async();
+        var fileLoader = createFileLoader();
+        fileLoader.registerChangeHandler(function (data, fileName) {
+            assert.strictEqual(data, "First file");
+            assert.strictEqual(fileName, "first.xml");
+            done();
+        });
+
+        var defaultPrevented = false;
+        var dropEvent = {
+            originalEvent: {dataTransfer: {files: [createFile("First file", "first.xml")]}},
+            preventDefault: function () { defaultPrevented = true; }
+        };
+
+        fileLoader.onDrop(dropEvent);
+        assert.ok(defaultPrevented, "The browser's handling of the drop should have been prevented");
+    });
+
+    QUnit.test("Dropping several files onto the page passes their contents and names, sorted by name, to the multiple-files handler", function (assert) {
+        var done = assert.async();
+        var fileLoader = createFileLoader();
+        var changeCallCount = 0;
+        fileLoader.registerChangeHandler(function () { changeCallCount += 1; });
+        fileLoader.registerMultipleFilesHandler(function (dataArray, fileNames) {
+            assert.deepEqual(dataArray, ["Day 1 results", "Day 2 results"]);
+            assert.deepEqual(fileNames, ["day1.xml", "day2.xml"]);
+            assert.strictEqual(changeCallCount, 0);
+            done();
+        });
+
+        fileLoader.onDrop({
+            originalEvent: {dataTransfer: {files: [createFile("Day 2 results", "day2.xml"), createFile("Day 1 results", "day1.xml")]}},
+            preventDefault: function () { }
+        });
+    });
+
+    QUnit.test("Registering the same multiple-files handler twice only calls it once", function (assert) {
+        var fileLoader = createFileLoader();
+        var callCount = 0;
+        var handler = function () { callCount += 1; };
+        fileLoader.registerMultipleFilesHandler(handler);
+        fileLoader.registerMultipleFilesHandler(handler);
+        fileLoader.fireMultipleFilesHandlers(["data1", "data2"], ["file1.txt", "file2.txt"]);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Dropping something that isn't a file does nothing", function (assert) {
+        var fileLoader = createFileLoader();
+        var callCount = 0;
+        fileLoader.registerChangeHandler(function () { callCount += 1; });
+
+        var defaultPrevented = false;
+        fileLoader.onDrop({
+            originalEvent: {dataTransfer: {files: []}},
+            preventDefault: function () { defaultPrevented = true; }
+        });
+
+        assert.strictEqual(callCount, 0);
+        assert.ok(!defaultPrevented, "The browser's handling of the drop should not have been prevented");
+    });
+
+    QUnit.test("Registering the same change handler twice only calls it once", function (assert) {
+        var fileLoader = createFileLoader();
+        var callCount = 0;
+        var handler = function () { callCount += 1; };
+        fileLoader.registerChangeHandler(handler);
+        fileLoader.registerChangeHandler(handler);
+        fileLoader.fireChangeHandlers("data", "file.txt");
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Reading a file that is not UTF-8 decodes it using the encoding detected", function (assert) {
+        var done = assert.async();
+        var fileLoader = createFileLoader();
+        fileLoader.registerChangeHandler(function (data) {
+            assert.strictEqual(data, "Fürst,Sïmön");
+            done();
+        });
+
+        fileLoader.readFile(new window.File([new window.Uint8Array([0x46, 0xFC, 0x72, 0x73, 0x74, 0x2C, 0x53, 0xEF, 0x6D, 0xF6, 0x6E])], "results.csv"));
+    });
+
+    QUnit.test("Reading a file with an encoding set decodes it using that encoding", function (assert) {
+        var done = assert.async();
+        var fileLoader = createFileLoader();
+        fileLoader.setEncoding("windows-1252");
+        fileLoader.registerChangeHandler(function (data) {
+            assert.strictEqual(data, "FÃ¼rst");
+            done();
+        });
+
+        fileLoader.readFile(new window.File([new window.Uint8Array([0x46, 0xC3, 0xBC, 0x72, 0x73, 0x74])], "results.csv"));
+    });
+
+    QUnit.test("Reading a file with an unrecognised encoding set issues an alert", function (assert) {
+        var fileLoader = createFileLoader();
+        fileLoader.setEncoding("this-is-not-an-encoding");
+        var callCount = 0;
+        fileLoader.registerChangeHandler(function () { callCount += 1; });
+        fileLoader.onFileRead(new window.Uint8Array([0x46, 0x69, 0x72, 0x73, 0x74]).buffer, "results.csv");
+        assert.strictEqual(callCount, 0);
+        assert.strictEqual(alertsReceived.length, 1);
+    });
+})();
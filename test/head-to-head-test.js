@@ -0,0 +1,116 @@
+/*
+ *  SplitsBrowser - HeadToHead tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var HeadToHead = SplitsBrowser.Controls.HeadToHead;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Head-to-head");
+
+    // John Smith and Fred Brown are in different classes on the same course.
+    // Bill Baker mispunched control 2.
+    function getCourseClassSet() {
+        var courseClass1 = new CourseClass("Class 1", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [65, 221, 209, 100]),
+            fromSplitTimes(2, "Bill Baker", "GHI", 10 * 3600, [70, null, 200, 95])
+        ]);
+        var courseClass2 = new CourseClass("Class 2", 3, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [81, 197, 209, 106])
+        ]);
+
+        return new CourseClassSet([courseClass1, courseClass2]);
+    }
+
+    function createHeadToHead() {
+        var headToHead = new HeadToHead(d3.select("#qunit-fixture").node());
+        headToHead.setSize(800, 600);
+        return headToHead;
+    }
+
+    function getIndexOf(courseClassSet, name) {
+        return courseClassSet.allCompetitors.map(function (comp) { return comp.name; }).indexOf(name);
+    }
+
+    function getCellTexts(rowIndex) {
+        return $("#qunit-fixture table.headToHeadTable tbody tr:eq(" + rowIndex + ") td").map(function () { return $(this).text(); }).get();
+    }
+
+    QUnit.test("Can create a head-to-head comparison with nothing drawn", function (assert) {
+        createHeadToHead();
+        assert.strictEqual($("#qunit-fixture div#headToHeadContainer").length, 1);
+        assert.strictEqual($("#qunit-fixture div#headToHeadContainer *").length, 0);
+    });
+
+    QUnit.test("Shows a placeholder unless exactly two competitors are selected", function (assert) {
+        var headToHead = createHeadToHead();
+        [[], [0], [0, 1, 2]].forEach(function (selectedIndexes) {
+            headToHead.draw(getCourseClassSet(), selectedIndexes);
+            assert.strictEqual($("#qunit-fixture div.headToHeadPlaceholder").length, 1);
+            assert.strictEqual($("#qunit-fixture table.headToHeadTable").length, 0);
+        });
+    });
+
+    QUnit.test("Can compare two competitors in different classes leg by leg", function (assert) {
+        var courseClassSet = getCourseClassSet();
+        var headToHead = createHeadToHead();
+        headToHead.draw(courseClassSet, [getIndexOf(courseClassSet, "John Smith"), getIndexOf(courseClassSet, "Fred Brown")]);
+
+        assert.strictEqual($("#qunit-fixture div.headToHeadPlaceholder").length, 0);
+        assert.strictEqual($("#qunit-fixture div.headToHeadHeader").text(), "John Smith (Class 1) vs Fred Brown (Class 2)");
+        assert.strictEqual($("#qunit-fixture div.headToHeadSummary").text(), "Legs won: John Smith 2, Fred Brown 1");
+        assert.strictEqual($("#qunit-fixture table.headToHeadTable tbody tr").length, 4);
+        assert.deepEqual(getCellTexts(0), ["S-1", "01:05", "01:21", "-00:16", "John Smith", "-00:16"]);
+        assert.deepEqual(getCellTexts(1), ["1-2", "03:41", "03:17", "+00:24", "Fred Brown", "+00:08"]);
+        assert.deepEqual(getCellTexts(2), ["2-3", "03:29", "03:29", "00:00", "Tie", "+00:08"]);
+        assert.deepEqual(getCellTexts(3), ["3-F", "01:40", "01:46", "-00:06", "John Smith", "+00:02"]);
+    });
+
+    QUnit.test("Draws a bar for each leg on which one competitor gained time", function (assert) {
+        var courseClassSet = getCourseClassSet();
+        var headToHead = createHeadToHead();
+        headToHead.draw(courseClassSet, [getIndexOf(courseClassSet, "John Smith"), getIndexOf(courseClassSet, "Fred Brown")]);
+
+        assert.strictEqual($("#qunit-fixture svg rect.gain").length, 3);
+        assert.deepEqual($("#qunit-fixture svg rect.gain title").map(function () { return $(this).text(); }).get(),
+                         ["John Smith (+00:16)", "Fred Brown (+00:24)", "John Smith (+00:06)"]);
+        assert.deepEqual($("#qunit-fixture g.x.axis g.tick text").map(function () { return $(this).text(); }).get(), ["S-1", "1-2", "2-3", "3-F"]);
+    });
+
+    QUnit.test("Differences are blank on legs where one competitor has no split", function (assert) {
+        var courseClassSet = getCourseClassSet();
+        var headToHead = createHeadToHead();
+        headToHead.draw(courseClassSet, [getIndexOf(courseClassSet, "John Smith"), getIndexOf(courseClassSet, "Bill Baker")]);
+
+        assert.deepEqual(getCellTexts(1).slice(3), [SplitsBrowser.NULL_TIME_PLACEHOLDER, "", SplitsBrowser.NULL_TIME_PLACEHOLDER]);
+        assert.strictEqual($("#qunit-fixture svg rect.gain").length, 3);
+    });
+
+    QUnit.test("Hiding and showing a head-to-head comparison hides and shows its container", function (assert) {
+        var headToHead = createHeadToHead();
+        headToHead.hide();
+        assert.strictEqual($("#qunit-fixture div#headToHeadContainer").css("display"), "none");
+        headToHead.show();
+        assert.notStrictEqual($("#qunit-fixture div#headToHeadContainer").css("display"), "none");
+    });
+})();
@@ -23,10 +23,41 @@
     
     var Event = SplitsBrowser.Model.Event;
     var parseEventData = SplitsBrowser.Input.parseEventData;
+    var registerParser = SplitsBrowser.Input.registerParser;
+    var deregisterParser = SplitsBrowser.Input.deregisterParser;
+    var getParserNames = SplitsBrowser.Input.getParserNames;
+    
+    var BUILT_IN_PARSER_NAMES = ["CSV", "OE", "Html", "AlternativeCSV", "IOFXml"];
+    
+    var TEST_PARSER_NAME = "TestParser";
+    
+    var UNDEFINED_PARSER_NAME = "UndefinedParser";
+    
+    var TEST_DATA = "This is test data for the test parser";
+    
+    /**
+    * Returns a parser that reads only the test data, returning an empty
+    * event, and rejects all other data as being of the wrong format.
+    * @return {Function} The test parser.
+    */
+    function createTestParser() {
+        return function (data) {
+            if (data === TEST_DATA) {
+                return new Event([], [], []);
+            } else {
+                SplitsBrowser.throwWrongFileFormat("Not test data");
+            }
+        };
+    }
     
     var OE_HEADER = "Stno;SI card;Database Id;Surname;First name;YB;S;Block;nc;Start;Finish;Time;Classifier;Club no.;Cl.name;City;Nat;Cl. no.;Short;Long;Num1;Num2;Num3;Text1;Text2;Text3;Adr. name;Street;Line2;Zip;City;Phone;Fax;Email;Id/Club;Rented;Start fee;Paid;Course no.;Course;Km;m;Course controls;Pl;Start punch;Finish punch;Control1;Punch1;Control2;Punch2;Control3;Punch3;Control4;Punch4;\r\n";
     
-    QUnit.module("Input");
+    QUnit.module("Input", {
+        afterEach: function () {
+            deregisterParser(TEST_PARSER_NAME);
+            deregisterParser(UNDEFINED_PARSER_NAME);
+        }
+    });
     
     QUnit.test("Can read in CSV data", function (assert) {
         var csvData = "Example, 4\r\nJohn,Smith,ABC,10:34,02:57,01:39,03:31,02:01,00:23\r\nFred,Baker,DEF,12:12,02:42,01:51,04:00,01:31,00:30\r\n\r\n" + 
@@ -36,6 +67,7 @@
         assert.ok(eventData instanceof Event, "An event should be returned");
         assert.strictEqual(eventData.classes.length, 2, "Two classes should be read in");
         assert.strictEqual(eventData.courses.length, 2, "Two courses should be read in");
+        assert.strictEqual(eventData.parserName, "CSV", "The CSV parser should be recorded as having read the data");
     });
     
     QUnit.test("Can read in OE semicolon-delimited data", function (assert) { 
@@ -158,4 +190,64 @@
         SplitsBrowserTest.assertInvalidData(assert, function () { parseEventData(""); });
     });
     
+    QUnit.test("Built-in parsers are registered in the order in which they are tried", function (assert) {
+        assert.deepEqual(getParserNames(), BUILT_IN_PARSER_NAMES);
+    });
+    
+    QUnit.test("Can register a parser with default priority, which is tried after the built-in parsers", function (assert) {
+        registerParser(TEST_PARSER_NAME, createTestParser());
+        assert.deepEqual(getParserNames(), BUILT_IN_PARSER_NAMES.concat([TEST_PARSER_NAME]));
+    });
+    
+    QUnit.test("Can register a parser with a higher priority, which is tried before the built-in parsers", function (assert) {
+        registerParser(TEST_PARSER_NAME, createTestParser(), 10);
+        assert.deepEqual(getParserNames(), [TEST_PARSER_NAME].concat(BUILT_IN_PARSER_NAMES));
+    });
+    
+    QUnit.test("Registering a parser with the same name as an existing parser replaces the existing parser", function (assert) {
+        registerParser(TEST_PARSER_NAME, function () { assert.ok(false, "Replaced parser should not be called"); }, 10);
+        registerParser(TEST_PARSER_NAME, createTestParser());
+        assert.deepEqual(getParserNames(), BUILT_IN_PARSER_NAMES.concat([TEST_PARSER_NAME]));
+        assert.ok(parseEventData(TEST_DATA) instanceof Event, "An event should be returned");
+    });
+    
+    QUnit.test("Can deregister a registered parser", function (assert) {
+        registerParser(TEST_PARSER_NAME, createTestParser());
+        deregisterParser(TEST_PARSER_NAME);
+        assert.deepEqual(getParserNames(), BUILT_IN_PARSER_NAMES);
+        assert.strictEqual(parseEventData(TEST_DATA), null, "Test data should no longer be read");
+    });
+    
+    QUnit.test("Can read in data using a registered parser and record the parser's name in the event", function (assert) {
+        registerParser(TEST_PARSER_NAME, createTestParser());
+        var eventData = parseEventData(TEST_DATA);
+        assert.ok(eventData instanceof Event, "An event should be returned");
+        assert.strictEqual(eventData.parserName, TEST_PARSER_NAME);
+    });
+    
+    QUnit.test("Registered parser that returns undefined is treated as not recognising the data", function (assert) {
+        registerParser(UNDEFINED_PARSER_NAME, function () { return undefined; }, 10);
+        registerParser(TEST_PARSER_NAME, createTestParser());
+        var eventData = parseEventData(TEST_DATA);
+        assert.ok(eventData instanceof Event, "An event should be returned");
+        assert.strictEqual(eventData.parserName, TEST_PARSER_NAME);
+    });
+    
+    QUnit.test("Invalid-data exception thrown by a registered parser is not caught", function (assert) {
+        registerParser(TEST_PARSER_NAME, function () { SplitsBrowser.throwInvalidData("Bad data"); }, 10);
+        SplitsBrowserTest.assertInvalidData(assert, function () { parseEventData(TEST_DATA); });
+    });
+    
+    QUnit.test("Cannot register a parser without a name", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () { registerParser("", createTestParser()); });
+    });
+    
+    QUnit.test("Cannot register a parser that is not a function", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () { registerParser(TEST_PARSER_NAME, "this is not a function"); });
+    });
+    
+    QUnit.test("Cannot register a parser with a non-numeric priority", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () { registerParser(TEST_PARSER_NAME, createTestParser(), "high"); });
+    });
+    
 })();
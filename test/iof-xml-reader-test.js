@@ -23,6 +23,7 @@
     
     var formatTime = SplitsBrowser.formatTime;
     var parseEventData = SplitsBrowser.Input.IOFXml.parseEventData;
+    var parseCourseData = SplitsBrowser.Input.IOFXml.parseCourseData;
 
     // The number of feet per kilometre.
     var FEET_PER_KILOMETRE = 3280;
@@ -184,7 +185,9 @@
             splitTimesXmls.push('<SplitTime><ControlCode>' + personData.controls[index] + '</ControlCode><Time>' + formatTime(personData.cumTimes[index]) + '</Time></SplitTime>\n');
         }
         
-        var resultXml = exists("result") ? '<Result>' + startTimeXml + totalTimeXml + statusXml + courseLengthXml + splitTimesXmls.join("") + '</Result>\n' : '';
+        var courseVariationXml = (exists("variationName")) ? '<CourseVariation><Name>' + personData.variationName + '</Name></CourseVariation>\n' : '';
+        
+        var resultXml = exists("result") ? '<Result>' + startTimeXml + totalTimeXml + statusXml + courseLengthXml + courseVariationXml + splitTimesXmls.join("") + '</Result>\n' : '';
         
         return '<PersonResult>' + personNameXml + clubXml + resultXml + '</PersonResult>\n';
     };
@@ -385,7 +388,9 @@
             }
         }
         
-        var resultXml = exists("result") ? '<Result>' + startTimeXml + totalTimeXml + statusXml + splitTimesXmls.join('') + '</Result>\n' : '';
+        var courseXml = (exists("variationName")) ? '<Course><Name>' + personData.variationName + '</Name></Course>\n' : '';
+        
+        var resultXml = exists("result") ? '<Result>' + startTimeXml + totalTimeXml + statusXml + courseXml + splitTimesXmls.join('') + '</Result>\n' : '';
         
         return '<PersonResult>' + personNameXml + clubXml + resultXml + '</PersonResult>\n';
     };
@@ -1142,7 +1147,7 @@
         );
     });
     
-    QUnit.test("Can parse with warnings a string that contains one class with two competitors having different control codes", function (assert) {
+    QUnit.test("Can parse a string that contains one class with two competitors having different control codes into a forked course", function (assert) {
         var person1 = getPerson();
         var person2 = getPerson();
         person2.forename = "Fred";
@@ -1153,8 +1158,55 @@
             [{name: "Test Class 1", length: 2300, competitors: [person1, person2]}],
             function (eventData, formatterName) {
                 assert.strictEqual(eventData.classes.length, 1, "One class should have been read - "  + formatterName);
-                assert.strictEqual(eventData.classes[0].competitors.length, 1, "One competitor should have been read - " + formatterName);
-                assert.strictEqual(eventData.warnings.length, 1, "One warning should have been issued - " + formatterName);
+                assert.strictEqual(eventData.classes[0].competitors.length, 2, "Two competitors should have been read - " + formatterName);
+                assert.strictEqual(eventData.warnings.length, 0, "No warnings should have been issued - " + formatterName);
+                
+                assert.strictEqual(eventData.courses.length, 1, "One course should have been read - " + formatterName);
+                var course = eventData.courses[0];
+                assert.ok(course.isForked(), "The course should be forked - " + formatterName);
+                assert.deepEqual(course.variations, [
+                    {name: "Variation 1", controls: person1.controls},
+                    {name: "Variation 2", controls: person2.controls}
+                ]);
+                
+                assert.strictEqual(eventData.classes[0].competitors[0].variation, "Variation 1", "First competitor should have the first variation - " + formatterName);
+                assert.strictEqual(eventData.classes[0].competitors[1].variation, "Variation 2", "Second competitor should have the second variation - " + formatterName);
+            });
+    });
+    
+    QUnit.test("Can parse a string that contains one class with three competitors on two named variations of a forked course", function (assert) {
+        var person1 = getPerson();
+        person1.variationName = "1A";
+        var person2 = getPerson();
+        person2.forename = "Fred";
+        person2.surname = "Jones";
+        person2.controls[1] += "9";
+        person2.variationName = "1B";
+        var person3 = getPerson();
+        person3.forename = "Bill";
+        person3.surname = "Baker";
+        person3.variationName = "1A";
+        
+        runXmlFormatParseTest(
+            [{name: "Test Class 1", length: 2300, competitors: [person1, person2, person3]}],
+            function (eventData, formatterName) {
+                assert.strictEqual(eventData.classes[0].competitors.length, 3, "Three competitors should have been read - " + formatterName);
+                assert.deepEqual(eventData.courses[0].variations.map(function (variation) { return variation.name; }), ["1A", "1B"]);
+                assert.deepEqual(eventData.classes[0].competitors.map(function (comp) { return comp.variation; }), ["1A", "1B", "1A"]);
+            });
+    });
+    
+    QUnit.test("Can parse a string that contains one class with two competitors having the same control codes into a course that is not forked", function (assert) {
+        var person1 = getPerson();
+        var person2 = getPerson();
+        person2.forename = "Fred";
+        person2.surname = "Jones";
+        
+        runXmlFormatParseTest(
+            [{name: "Test Class 1", length: 2300, competitors: [person1, person2]}],
+            function (eventData, formatterName) {
+                assert.ok(!eventData.courses[0].isForked(), "The course should not be forked - " + formatterName);
+                assert.strictEqual(eventData.classes[0].competitors[0].variation, null, "First competitor should have no variation - " + formatterName);
             });
     });
     
@@ -1339,5 +1391,330 @@
                     assert.strictEqual(eventData.warnings.length, 0, "No warning should have been issued: " + eventData.warnings[0]);
                 }
             });
-    });    
-})();
\ No newline at end of file
+    });
+    
+    /**
+    * Returns a person object for a relay runner, with the given name, start
+    * time, controls and cumulative times.
+    * @param {String} forename - The forename of the runner.
+    * @param {Number} startTime - The start time of the runner.
+    * @param {Array} controls - Array of control codes.
+    * @param {Array} cumTimes - Array of cumulative times.
+    * @param {Number} totalTime - The total time of the runner.
+    * @return {Object} Person object.
+    */
+    function getRelayRunner(forename, startTime, controls, cumTimes, totalTime) {
+        var person = getPerson();
+        person.forename = forename;
+        person.startTime = startTime;
+        person.controls = controls;
+        person.cumTimes = cumTimes;
+        person.totalTime = totalTime;
+        return person;
+    }
+    
+    /**
+    * Generates IOF v3.0 XML for a relay class.
+    *
+    * Each team object has a name and an array of members.  Each member has a
+    * leg number, a person object as returned by getRelayRunner, and
+    * optionally a course name.
+    *
+    * @param {String} className - The name of the class.
+    * @param {Array} teams - Array of team objects.
+    * @return {String} Generated XML string.
+    */
+    function getRelayXml(className, teams) {
+        var xml = Version3Formatter.header + '<ClassResult>\n' + Version3Formatter.getClassXml(className);
+        teams.forEach(function (team) {
+            xml += '<TeamResult>\n';
+            if (team.hasOwnProperty("name")) {
+                xml += '<Name>' + team.name + '</Name>\n';
+            }
+            
+            xml += '<Organisation><Name>' + team.club + '</Name></Organisation>\n';
+            team.members.forEach(function (member) {
+                var legXml = '<Leg>' + member.leg + '</Leg>';
+                if (member.hasOwnProperty("courseName")) {
+                    legXml += '<Course><Id>' + member.courseName + '</Id><Name>' + member.courseName + '</Name></Course>';
+                }
+                
+                xml += Version3Formatter.getPersonResultXml(member.person)
+                                        .replace('<PersonResult>', '<TeamMemberResult>')
+                                        .replace('</PersonResult>', '</TeamMemberResult>')
+                                        .replace('<Result>', '<Result>' + legXml);
+            });
+            
+            xml += '</TeamResult>\n';
+        });
+        
+        return xml + '</ClassResult>\n</ResultList>\n';
+    }
+    
+    /**
+    * Returns an array of two relay teams, each with two legs.
+    * @return {Array} Array of team objects.
+    */
+    function getTwoRelayTeams() {
+        return [
+            {name: "Team A", club: "Club A", members: [
+                {leg: 1, person: getRelayRunner("Anne", 36000, ["101", "102"], [60, 130], 200)},
+                {leg: 2, person: getRelayRunner("Bill", 36200, ["201", "202", "203"], [50, 120, 170], 230)}
+            ]},
+            {name: "Team B", club: "Club B", members: [
+                {leg: 1, person: getRelayRunner("Carol", 36000, ["101", "102"], [65, 140], 190)},
+                {leg: 2, person: getRelayRunner("Dave", 36190, ["201", "202", "203"], [55, 110, 180], 250)}
+            ]}
+        ];
+    }
+    
+    QUnit.test("Can parse a relay class into a team class and a class for each leg", function (assert) {
+        var eventData = parseEventData(getRelayXml("Relay", getTwoRelayTeams()));
+        assert.strictEqual(eventData.warnings.length, 0, "No warnings should have been issued: " + eventData.warnings[0]);
+        assert.deepEqual(eventData.classes.map(function (courseClass) { return courseClass.name; }), ["Relay", "Relay - Leg 1", "Relay - Leg 2"]);
+        assert.strictEqual(eventData.courses.length, 3, "Three courses should have been read");
+        
+        var teamClass = eventData.classes[0];
+        assert.ok(teamClass.isRelay(), "Team class should be a relay class");
+        assert.strictEqual(teamClass.numControls, 6);
+        assert.deepEqual(teamClass.legControlCounts, [2, 3]);
+        assert.deepEqual(teamClass.getChangeoverIndexes(), [3]);
+        assert.strictEqual(teamClass.teams.length, 2);
+        assert.strictEqual(teamClass.teams[0].name, "Team A");
+        assert.strictEqual(teamClass.teams[0].members[1].name, "Bill Smith");
+        
+        var teamCompetitor = teamClass.competitors[0];
+        assert.strictEqual(teamCompetitor.name, "Team A");
+        assert.strictEqual(teamCompetitor.club, "Club A");
+        assert.strictEqual(teamCompetitor.startTime, 36000);
+        assert.deepEqual(teamCompetitor.getAllOriginalCumulativeTimes(), [0, 60, 130, 200, 250, 320, 370, 430]);
+        assert.strictEqual(teamClass.course.controls, null, "Team course should have no controls");
+        
+        var legClass = eventData.classes[2];
+        assert.ok(!legClass.isRelay(), "Leg class should not be a relay class");
+        assert.strictEqual(legClass.numControls, 3);
+        assert.deepEqual(legClass.competitors.map(function (competitor) { return competitor.name; }), ["Bill Smith", "Dave Smith"]);
+        assert.strictEqual(legClass.competitors[1].club, "Team B");
+        assert.strictEqual(legClass.competitors[1].startTime, 36190);
+        assert.deepEqual(legClass.course.controls, ["201", "202", "203"]);
+    });
+    
+    QUnit.test("Can parse a relay class with forked legs into a class for each variation of each leg", function (assert) {
+        var teams = getTwoRelayTeams();
+        teams[0].members[0].courseName = "A";
+        teams[0].members[1].courseName = "B";
+        teams[1].members[0].courseName = "B";
+        teams[1].members[1].courseName = "A";
+        teams[1].members[0].person.controls = ["201", "202", "203"];
+        teams[1].members[0].person.cumTimes = [55, 110, 170];
+        teams[1].members[1].person.controls = ["101", "102"];
+        teams[1].members[1].person.cumTimes = [62, 160];
+        
+        var eventData = parseEventData(getRelayXml("Relay", teams));
+        
+        assert.deepEqual(eventData.classes.map(function (courseClass) { return courseClass.name; }),
+            ["Relay", "Relay - Leg 1 - A", "Relay - Leg 1 - B", "Relay - Leg 2 - B", "Relay - Leg 2 - A"]);
+        assert.strictEqual(eventData.courses.length, 3, "Three courses should have been read");
+        assert.strictEqual(eventData.classes[1].course, eventData.classes[4].course, "Both classes on variation A should share the same course");
+        assert.strictEqual(eventData.classes[2].course, eventData.classes[3].course, "Both classes on variation B should share the same course");
+        assert.deepEqual(eventData.classes[0].relayLegClasses, [[eventData.classes[1], eventData.classes[2]], [eventData.classes[3], eventData.classes[4]]]);
+        
+        assert.strictEqual(eventData.classes[0].competitors.length, 1, "Only one team should be in the team class");
+        assert.strictEqual(eventData.warnings.length, 1, "One warning should have been issued");
+        assert.ok(eventData.warnings[0].indexOf("Team B") >= 0, "Warning should be for Team B");
+    });
+    
+    QUnit.test("Can parse a relay class with a team missing a runner as a non-finishing team", function (assert) {
+        var teams = getTwoRelayTeams();
+        teams[1].members.pop();
+        
+        var eventData = parseEventData(getRelayXml("Relay", teams));
+        var teamCompetitor = eventData.classes[0].competitors[1];
+        assert.ok(teamCompetitor.isNonFinisher, "Team B should not have finished");
+        assert.deepEqual(teamCompetitor.getAllOriginalCumulativeTimes(), [0, 65, 140, 190, null, null, null, null]);
+        assert.strictEqual(eventData.classes[2].competitors.length, 1, "Only one runner should be in the second-leg class");
+    });
+    
+    QUnit.test("Issues a warning for a relay team without a name", function (assert) {
+        var teams = getTwoRelayTeams();
+        delete teams[0].name;
+        
+        var eventData = parseEventData(getRelayXml("Relay", teams));
+        assert.strictEqual(eventData.warnings.length, 1, "One warning should have been issued");
+        assert.strictEqual(eventData.classes[0].competitors.length, 1, "Only one team should have been read");
+    });
+
+    /**
+    * Generates IOF v3.0 XML for a score class.
+    *
+    * Each competitor object has a person object, as returned by getPerson,
+    * and the XML of the Score elements of the person's result.
+    *
+    * @param {String} className - The name of the class.
+    * @param {Array} competitors - Array of competitor objects.
+    * @return {String} Generated XML string.
+    */
+    function getScoreXml(className, competitors) {
+        var xml = Version3Formatter.header + '<ClassResult>\n' + Version3Formatter.getClassXml(className);
+        competitors.forEach(function (competitor) {
+            xml += Version3Formatter.getPersonResultXml(competitor.person).replace('<Result>', '<Result>' + competitor.scoreXml);
+        });
+        
+        return xml + '</ClassResult>\n</ResultList>\n';
+    }
+    
+    QUnit.test("Can parse a score class with the points and penalty of a competitor", function (assert) {
+        var person = getPerson();
+        person.controls = ["52", "31"];
+        person.cumTimes = [411, 184];
+        person.totalTime = 2100;
+        var eventData = parseEventData(getScoreXml("Score", [{person: person, scoreXml: '<Score type="Score">80</Score><Score type="Penalty">10</Score>'}]));
+        
+        assert.strictEqual(eventData.warnings.length, 0, "No warnings should have been issued: " + eventData.warnings[0]);
+        assert.strictEqual(eventData.classes.length, 1, "One class should have been read");
+        var courseClass = eventData.classes[0];
+        assert.ok(courseClass.isScoreClass(), "Class should be a score class");
+        assert.strictEqual(courseClass.numControls, 0);
+        assert.strictEqual(courseClass.course.controls, null, "Score course should have no controls");
+        
+        var competitor = courseClass.competitors[0];
+        assert.strictEqual(competitor.totalTime, 2100);
+        assert.strictEqual(competitor.scoreResult.points, 80);
+        assert.strictEqual(competitor.scoreResult.penalty, 10);
+        assert.deepEqual(competitor.scoreResult.punches, [{code: "31", time: 184, points: null}, {code: "52", time: 411, points: null}]);
+    });
+    
+    QUnit.test("Can parse a score class with a score but no penalty", function (assert) {
+        var person = getPerson();
+        person.controls = ["31"];
+        person.cumTimes = [184];
+        person.totalTime = 2100;
+        var eventData = parseEventData(getScoreXml("Score", [{person: person, scoreXml: '<Score>30</Score>'}]));
+        
+        var scoreResult = eventData.classes[0].competitors[0].scoreResult;
+        assert.strictEqual(scoreResult.points, 30);
+        assert.strictEqual(scoreResult.penalty, 0);
+    });
+    
+    QUnit.test("Issues a warning for a competitor in a score class without a score", function (assert) {
+        var person1 = getPerson();
+        person1.controls = ["31"];
+        person1.cumTimes = [184];
+        person1.totalTime = 2100;
+        var person2 = getPerson();
+        person2.forename = "Fred";
+        person2.controls = ["52"];
+        person2.cumTimes = [411];
+        person2.totalTime = 2300;
+        var eventData = parseEventData(getScoreXml("Score", [{person: person1, scoreXml: '<Score>30</Score>'}, {person: person2, scoreXml: ''}]));
+        
+        assert.strictEqual(eventData.warnings.length, 1, "One warning should have been issued");
+        assert.ok(eventData.warnings[0].indexOf("Fred") >= 0, "Warning should be for Fred");
+    });
+
+    var COURSE_DATA_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n<CourseData xmlns="http://www.orienteering.org/datastandard/3.0" iofVersion="3.0">\n';
+    
+    /**
+    * Generates IOF v3.0 CourseData XML for a single course on controls 31, 32
+    * and 33.
+    * @param {String} courseControlsXml - The XML of the course controls.
+    * @return {String} Generated XML string.
+    */
+    function getCourseDataXml(courseControlsXml) {
+        return COURSE_DATA_HEADER + '<RaceCourseData>\n' +
+            '<Control type="Start"><Id>S1</Id><Position lng="-1.2" lat="51.5"/><MapPosition x="10" y="20" unit="mm"/></Control>\n' +
+            '<Control><Id>31</Id><Position lng="-1.21" lat="51.51"/><MapPosition x="30" y="40" unit="mm"/></Control>\n' +
+            '<Control><Id>32</Id><MapPosition x="50" y="60" unit="mm"/></Control>\n' +
+            '<Control type="Finish"><Id>F1</Id><Position lng="-1.23" lat="51.53"/></Control>\n' +
+            '<Course><Name>Test course</Name><Length>1240</Length><Climb>35</Climb>\n' + courseControlsXml + '</Course>\n' +
+            '</RaceCourseData>\n</CourseData>\n';
+    }
+    
+    QUnit.test("Can parse IOF XML 3.0 course data with control positions and leg lengths", function (assert) {
+        var courses = parseCourseData(getCourseDataXml(
+            '<CourseControl type="Start"><Control>S1</Control></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>31</Control><LegLength>450</LegLength></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>32</Control><LegLength>380</LegLength></CourseControl>\n' +
+            '<CourseControl type="Finish"><Control>F1</Control><LegLength>120</LegLength></CourseControl>\n'));
+        
+        assert.strictEqual(courses.length, 1, "One course should have been read");
+        var course = courses[0];
+        assert.strictEqual(course.name, "Test course");
+        assert.strictEqual(course.length, 1.24);
+        assert.strictEqual(course.climb, 35);
+        assert.deepEqual(course.controls, ["31", "32"]);
+        assert.deepEqual(course.controlPositions, [
+            {lat: 51.5, lng: -1.2, x: 10, y: 20},
+            {lat: 51.51, lng: -1.21, x: 30, y: 40},
+            {lat: null, lng: null, x: 50, y: 60},
+            {lat: 51.53, lng: -1.23, x: null, y: null}
+        ]);
+        assert.deepEqual(course.legLengths, [0.45, 0.38, 0.12]);
+        assert.deepEqual(course.legClimbs, [null, null, null]);
+    });
+    
+    QUnit.test("Can parse IOF XML 3.0 course data adding the length of a crossing point to the following leg", function (assert) {
+        var courses = parseCourseData(getCourseDataXml(
+            '<CourseControl type="Start"><Control>S1</Control></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>31</Control><LegLength>450</LegLength></CourseControl>\n' +
+            '<CourseControl type="CrossingPoint"><Control>X1</Control><LegLength>200</LegLength></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>32</Control><LegLength>180</LegLength></CourseControl>\n' +
+            '<CourseControl type="Finish"><Control>F1</Control></CourseControl>\n'));
+        
+        assert.deepEqual(courses[0].controls, ["31", "32"]);
+        assert.deepEqual(courses[0].legLengths, [0.45, 0.38, null]);
+    });
+    
+    QUnit.test("Can parse IOF XML 3.0 course data with no start or finish listed", function (assert) {
+        var courses = parseCourseData(getCourseDataXml(
+            '<CourseControl><Control>31</Control><LegLength>450</LegLength></CourseControl>\n' +
+            '<CourseControl><Control>32</Control><LegLength>380</LegLength></CourseControl>\n'));
+        
+        assert.strictEqual(courses[0].controlPositions.length, 4);
+        assert.strictEqual(courses[0].controlPositions[0], null);
+        assert.strictEqual(courses[0].controlPositions[3], null);
+        assert.deepEqual(courses[0].legLengths, [0.45, 0.38, null]);
+    });
+    
+    QUnit.test("Can parse IOF XML 3.0 course data with no neutralised legs", function (assert) {
+        var courses = parseCourseData(getCourseDataXml(
+            '<CourseControl type="Start"><Control>S1</Control></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>31</Control></CourseControl>\n' +
+            '<CourseControl type="Finish"><Control>F1</Control></CourseControl>\n'));
+        
+        assert.deepEqual(courses[0].neutralisedLegs, []);
+    });
+    
+    QUnit.test("Can parse IOF XML 3.0 course data with a neutralised leg marked in the extensions of a course control", function (assert) {
+        var courses = parseCourseData(getCourseDataXml(
+            '<CourseControl type="Start"><Control>S1</Control></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>31</Control></CourseControl>\n' +
+            '<CourseControl type="CrossingPoint"><Control>X1</Control></CourseControl>\n' +
+            '<CourseControl type="Control"><Control>32</Control><Extensions><Neutralised/></Extensions></CourseControl>\n' +
+            '<CourseControl type="Finish"><Control>F1</Control></CourseControl>\n'));
+        
+        assert.deepEqual(courses[0].neutralisedLegs, [2]);
+    });
+    
+    QUnit.test("Cannot parse IOF XML 3.0 results data as course data", function (assert) {
+        var person = getPerson();
+        person.controls = ["31"];
+        person.cumTimes = [184];
+        person.totalTime = 2100;
+        SplitsBrowserTest.assertException(assert, "WrongFileFormat", function () {
+            parseCourseData(Version3Formatter.header + '<ClassResult>\n' + Version3Formatter.getClassXml("Test") + Version3Formatter.getPersonResultXml(person) + '</ClassResult>\n</ResultList>\n');
+        });
+    });
+    
+    QUnit.test("Cannot parse IOF XML 2.0.3 data as course data", function (assert) {
+        SplitsBrowserTest.assertException(assert, "WrongFileFormat", function () {
+            parseCourseData(V2_HEADER + '<CourseData><IOFVersion version="2.0.3" /></CourseData>\n');
+        });
+    });
+    
+    QUnit.test("Cannot parse IOF XML 3.0 course data without any courses", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            parseCourseData(COURSE_DATA_HEADER + '<RaceCourseData></RaceCourseData>\n</CourseData>\n');
+        });
+    });
+})();
@@ -0,0 +1,277 @@
+/*
+ *  SplitsBrowser - IOF XML writer tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var formatEventData = SplitsBrowser.Output.IOFXml.formatEventData;
+    var parseEventData = SplitsBrowser.Input.IOFXml.parseEventData;
+    var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
+    var fromCumTimes = SplitsBrowser.Model.Competitor.fromCumTimes;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Course = SplitsBrowser.Model.Course;
+    var Event = SplitsBrowser.Model.Event;
+    var Team = SplitsBrowser.Model.Team;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
+
+    var OPTIONS = {eventDate: "2020-05-17"};
+
+    QUnit.module("IOF XML writer");
+
+    /**
+    * Creates an event with a single class on a single course.
+    * @param {Array} competitors - Array of competitors in the class.
+    * @param {?Array} controls - Array of controls of the course.
+    * @return {Event} The event created.
+    */
+    function getEvent(competitors, controls) {
+        var courseClass = new CourseClass("Test Class", (controls === null) ? 3 : controls.length, competitors);
+        var course = new Course("Test Course", [courseClass], 4.1, 140, controls);
+        courseClass.setCourse(course);
+        return new Event([courseClass], [course], []);
+    }
+
+    /**
+    * Formats the given event, reads it back in and returns the event read.
+    * @param {Event} eventData - The event to format.
+    * @param {Object=} options - Optional writing options.
+    * @return {Event} The event read back in.
+    */
+    function roundTrip(eventData, options) {
+        return parseEventData(formatEventData(eventData, options || OPTIONS));
+    }
+
+    QUnit.test("Formats an event as an IOF XML 3.0 result list", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var xml = $.parseXML(formatEventData(getEvent([competitor], ["208", "227", "212"]), OPTIONS));
+        var resultList = $("> ResultList", xml);
+        assert.strictEqual(resultList.length, 1, "There should be a ResultList root element");
+        assert.strictEqual(resultList.attr("iofVersion"), "3.0");
+        assert.strictEqual(resultList.attr("xmlns"), "http://www.orienteering.org/datastandard/3.0");
+        assert.strictEqual($("> ClassResult > Class > Name", resultList).text(), "Test Class");
+        assert.strictEqual($("> ClassResult > Course > Length", resultList).text(), "4100");
+        assert.strictEqual($("> ClassResult > Course > Climb", resultList).text(), "140");
+        assert.strictEqual($("> ClassResult > PersonResult > Person > Name > Given", resultList).text(), "John");
+        assert.strictEqual($("> ClassResult > PersonResult > Person > Name > Family", resultList).text(), "Smith");
+        assert.strictEqual($("> ClassResult > PersonResult > Result > StartTime", resultList).text(), "2020-05-17T10:00:00");
+        assert.strictEqual($("> ClassResult > PersonResult > Result > Status", resultList).text(), "OK");
+    });
+
+    QUnit.test("Can round-trip a class of competitors with their start times, times and splits", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var competitor2 = fromCumTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 81, 278, 490, 596]);
+        competitor1.setYearOfBirth(1978);
+        competitor1.setGender("M");
+
+        var eventData = roundTrip(getEvent([competitor1, competitor2], ["208", "227", "212"]));
+        assert.strictEqual(eventData.classes.length, 1);
+        assert.strictEqual(eventData.courses.length, 1);
+        assert.deepEqual(eventData.warnings, []);
+
+        var courseClass = eventData.classes[0];
+        assert.strictEqual(courseClass.name, "Test Class");
+        assert.strictEqual(courseClass.numControls, 3);
+
+        var course = eventData.courses[0];
+        assert.strictEqual(course.name, "Test Course");
+        assert.strictEqual(course.length, 4.1);
+        assert.strictEqual(course.climb, 140);
+        assert.deepEqual(course.controls, ["208", "227", "212"]);
+
+        var readCompetitor = courseClass.competitors[0];
+        assert.strictEqual(readCompetitor.name, "John Smith");
+        assert.strictEqual(readCompetitor.club, "ABC");
+        assert.strictEqual(readCompetitor.startTime, 10 * 3600);
+        assert.strictEqual(readCompetitor.yearOfBirth, 1978);
+        assert.strictEqual(readCompetitor.gender, "M");
+        assert.deepEqual(readCompetitor.getAllOriginalCumulativeTimes(), [0, 65, 286, 470, 570]);
+        assert.deepEqual(courseClass.competitors[1].getAllOriginalCumulativeTimes(), [0, 81, 278, 490, 596]);
+    });
+
+    QUnit.test("Can round-trip competitors with missed controls and each status", function (assert) {
+        var mispuncher = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 470, 570]);
+        var nonStarter = fromCumTimes(2, "Fred Brown", "DEF", null, [0, null, null, null, null]);
+        nonStarter.setNonStarter();
+        var nonFinisher = fromCumTimes(3, "Bill Jones", "GHI", 11 * 3600, [0, 81, 278, null, null]);
+        nonFinisher.setNonFinisher();
+        var disqualified = fromCumTimes(4, "Dan Green", "JKL", 11 * 3600, [0, 81, 278, 490, 596]);
+        disqualified.disqualify();
+        var overMaxTime = fromCumTimes(5, "Tom White", "MNO", 11 * 3600, [0, 81, 278, 490, 596]);
+        overMaxTime.setOverMaxTime();
+        var nonCompetitive = fromCumTimes(6, "Ann Black", "PQR", 11 * 3600, [0, 81, 278, 490, 596]);
+        nonCompetitive.setNonCompetitive();
+
+        var eventData = roundTrip(getEvent([mispuncher, nonStarter, nonFinisher, disqualified, overMaxTime, nonCompetitive], ["208", "227", "212"]));
+        var competitors = eventData.classes[0].competitors;
+        assert.strictEqual(competitors.length, 6);
+        assert.deepEqual(competitors[0].getAllOriginalCumulativeTimes(), [0, 65, null, 470, 570]);
+        assert.ok(!competitors[0].completed(), "Mispuncher should not have completed the course");
+        assert.ok(competitors[1].isNonStarter, "Non-starter should be a non-starter");
+        assert.strictEqual(competitors[1].startTime, null);
+        assert.ok(competitors[2].isNonFinisher, "Non-finisher should be a non-finisher");
+        assert.ok(competitors[3].isDisqualified, "Disqualified competitor should be disqualified");
+        assert.ok(competitors[4].isOverMaxTime, "Over-max-time competitor should be over max time");
+        assert.ok(competitors[5].isNonCompetitive, "Non-competitive competitor should be non-competitive");
+    });
+
+    QUnit.test("Writes the status of a non-competitive competitor who did not complete the course", function (assert) {
+        var mispuncher = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, null, 470, 570]);
+        mispuncher.setNonCompetitive();
+        var disqualified = fromCumTimes(2, "Fred Brown", "DEF", 10 * 3600, [0, 81, 278, 490, 596]);
+        disqualified.setNonCompetitive();
+        disqualified.disqualify();
+        var xml = $.parseXML(formatEventData(getEvent([mispuncher, disqualified], ["208", "227", "212"]), OPTIONS));
+        assert.deepEqual($("Result > Status", xml).map(function () { return $(this).text(); }).get(), ["MissingPunch", "Disqualified"]);
+    });
+
+    QUnit.test("Writes repaired times by default and original times if asked", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 50, 470, 570]);
+        competitor.setRepairedCumulativeTimes([0, 65, NaN, 470, 570]);
+        var eventData = getEvent([competitor], ["208", "227", "212"]);
+
+        assert.deepEqual(roundTrip(eventData).classes[0].competitors[0].getAllOriginalCumulativeTimes(), [0, 65, null, 470, 570]);
+        assert.deepEqual(roundTrip(eventData, {eventDate: "2020-05-17", useOriginalTimes: true}).classes[0].competitors[0].getAllOriginalCumulativeTimes(),
+            [0, 65, 50, 470, 570]);
+    });
+
+    QUnit.test("Writes ungraded times of a competitor with a grading factor and neutralised legs", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 100, 300, 500, 600]);
+        competitor.setNeutralisedLegs([2]);
+        competitor.setGradingFactor(0.9);
+        var eventData = roundTrip(getEvent([competitor], ["208", "227", "212"]));
+        assert.deepEqual(eventData.classes[0].competitors[0].getAllOriginalCumulativeTimes(), [0, 100, 300, 500, 600]);
+    });
+
+    QUnit.test("Writes times estimated when repairing a competitor's times as missing", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 50, 470, 570]);
+        competitor.setRepairedCumulativeTimes([0, 65, 268, 470, 570], [false, false, true, false, false]);
+        var eventData = roundTrip(getEvent([competitor], ["208", "227", "212"]));
+        assert.deepEqual(eventData.classes[0].competitors[0].getAllOriginalCumulativeTimes(), [0, 65, null, 470, 570]);
+    });
+
+    QUnit.test("Writes original times of a competitor whose times have not been repaired", function (assert) {
+        var competitor = fromOriginalCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var eventData = roundTrip(getEvent([competitor], ["208", "227", "212"]));
+        assert.deepEqual(eventData.classes[0].competitors[0].getAllOriginalCumulativeTimes(), [0, 65, 286, 470, 570]);
+    });
+
+    QUnit.test("Writes the numbers of the controls as their codes if the course doesn't list its controls", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var eventData = roundTrip(getEvent([competitor], null));
+        assert.deepEqual(eventData.courses[0].controls, ["1", "2", "3"]);
+    });
+
+    QUnit.test("Can round-trip a class on a forked course, keeping the variation of each competitor", function (assert) {
+        var competitor1 = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        competitor1.setVariation("1A");
+        var competitor2 = fromCumTimes(2, "Fred Brown", "DEF", 10 * 3600, [0, 81, 278, 490, 596]);
+        competitor2.setVariation("1B");
+        var eventData = getEvent([competitor1, competitor2], null);
+        eventData.courses[0].setVariations([{name: "1A", controls: ["208", "227", "212"]}, {name: "1B", controls: ["227", "208", "212"]}]);
+
+        var readEventData = roundTrip(eventData);
+        assert.deepEqual(readEventData.warnings, []);
+        assert.deepEqual(readEventData.courses[0].variations, eventData.courses[0].variations);
+        assert.deepEqual(readEventData.classes[0].competitors.map(function (comp) { return comp.variation; }), ["1A", "1B"]);
+    });
+
+    QUnit.test("Writes the name of the event if given", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var xml = $.parseXML(formatEventData(getEvent([competitor], ["208", "227", "212"]), {eventDate: "2020-05-17", eventName: "Spring Cup"}));
+        assert.strictEqual($("ResultList > Event > Name", xml).text(), "Spring Cup");
+    });
+
+    QUnit.test("Writes no event element if the name of the event is not given", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 65, 286, 470, 570]);
+        var xml = $.parseXML(formatEventData(getEvent([competitor], ["208", "227", "212"]), OPTIONS));
+        assert.strictEqual($("ResultList > Event", xml).length, 0);
+    });
+
+    QUnit.test("Writes start times after midnight on the following day", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 24 * 3600 + 15 * 60 + 7, [0, 65, 286, 470, 570]);
+        var xml = $.parseXML(formatEventData(getEvent([competitor], ["208", "227", "212"]), {eventDate: "2020-05-31"}));
+        assert.strictEqual($("StartTime", xml).text(), "2020-06-01T00:15:07");
+    });
+
+    QUnit.test("Escapes names containing characters special to XML", function (assert) {
+        var competitor = fromCumTimes(1, "Fred <\"Freddie\"> O'Brown & Son", "A&B", 10 * 3600, [0, 65, 286, 470, 570]);
+        var readCompetitor = roundTrip(getEvent([competitor], ["208", "227", "212"])).classes[0].competitors[0];
+        assert.strictEqual(readCompetitor.name, "Fred <\"Freddie\"> O'Brown & Son");
+        assert.strictEqual(readCompetitor.club, "A&B");
+    });
+
+    QUnit.test("Can round-trip a score class", function (assert) {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 1800]);
+        competitor.setScoreResult(new ScoreResult([{code: "31", time: 184, points: null}, {code: "52", time: 411, points: null}], 50, 10));
+        var courseClass = new CourseClass("Score", 0, [competitor]);
+        var course = new Course("Score course", [courseClass], null, null, null);
+        courseClass.setCourse(course);
+
+        var eventData = roundTrip(new Event([courseClass], [course], []));
+        var readCompetitor = eventData.classes[0].competitors[0];
+        assert.ok(eventData.classes[0].isScoreClass(), "Class read should be a score class");
+        assert.strictEqual(readCompetitor.totalTime, 1800);
+        assert.strictEqual(readCompetitor.scoreResult.points, 50);
+        assert.strictEqual(readCompetitor.scoreResult.penalty, 10);
+        assert.deepEqual(readCompetitor.scoreResult.punches, [{code: "31", time: 184, points: null}, {code: "52", time: 411, points: null}]);
+    });
+
+    QUnit.test("Can round-trip a relay class, leaving out the leg classes", function (assert) {
+        var eventData = roundTrip(getRelayEvent());
+
+        assert.deepEqual(eventData.classes.map(function (courseClass) { return courseClass.name; }),
+            ["Relay", "Relay - Leg 1", "Relay - Leg 2"]);
+        assert.ok(eventData.classes[0].isRelay(), "First class should be a relay class");
+        assert.deepEqual(eventData.classes[0].teams.map(function (team) { return team.name; }), ["Team A", "Team B"]);
+        assert.strictEqual(eventData.classes[0].teams[0].club, "ABC");
+
+        var legClass = eventData.classes[2];
+        assert.deepEqual(legClass.course.controls, ["31", "32"]);
+        assert.deepEqual(legClass.competitors.map(function (competitor) { return competitor.name; }), ["Ann Smith", "Tom Brown"]);
+        assert.deepEqual(legClass.competitors[1].getAllOriginalCumulativeTimes(), [0, 70, 150, 230]);
+    });
+
+    /**
+    * Returns an event containing a relay class of two teams of two runners,
+    * as read in by the IOF XML reader.
+    * @return {Event} The relay event.
+    */
+    function getRelayEvent() {
+        var runners = [
+            fromOriginalCumTimes(1, "John Smith", "Team A", 10 * 3600, [0, 60, 120, 200]),
+            fromOriginalCumTimes(2, "Ann Smith", "Team A", 10 * 3600 + 200, [0, 65, 140, 220]),
+            fromOriginalCumTimes(3, "Fred Brown", "Team B", 10 * 3600, [0, 62, 125, 210]),
+            fromOriginalCumTimes(4, "Tom Brown", "Team B", 10 * 3600 + 210, [0, 70, 150, 230])
+        ];
+
+        var teams = [new Team("Team A", "ABC", [runners[0], runners[1]]), new Team("Team B", "DEF", [runners[2], runners[3]])];
+        var relayClass = new CourseClass("Relay", 5, teams.map(function (team, index) { return team.createTeamCompetitor(index + 1, [2, 2]); }));
+        relayClass.setRelayTeams(teams, [2, 2]);
+        var legClass1 = new CourseClass("Relay - Leg 1", 2, [runners[0], runners[2]]);
+        var legClass2 = new CourseClass("Relay - Leg 2", 2, [runners[1], runners[3]]);
+        var relayCourse = new Course("Relay", [relayClass], null, null, null);
+        var legCourse1 = new Course("Leg 1", [legClass1], 2.5, null, ["21", "22"]);
+        var legCourse2 = new Course("Leg 2", [legClass2], 2.7, null, ["31", "32"]);
+        relayClass.setCourse(relayCourse);
+        legClass1.setCourse(legCourse1);
+        legClass2.setCourse(legCourse2);
+        return new Event([relayClass, legClass1, legClass2], [relayCourse, legCourse1, legCourse2], []);
+    }
+})();
@@ -0,0 +1,89 @@
+/*
+ *  SplitsBrowser - LegBoxPlot tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var LegBoxPlot = SplitsBrowser.Controls.LegBoxPlot;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Leg Box Plot");
+
+    // Dave Wilson's split time on the first leg is an outlier, and Mike Jones
+    // mispunched the second control.
+    function getCourseClassSet() {
+        var competitors = [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 100, 50, 30]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [62, 100, 50, 30]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [65, 110, 50, 30]),
+            fromSplitTimes(4, "Paul Jones", "JKL", 10 * 3600, [70, 120, 50, 30]),
+            fromSplitTimes(5, "Dave Wilson", "MNO", 10 * 3600, [200, 140, 50, 30]),
+            fromSplitTimes(6, "Mike Jones", "PQR", 10 * 3600, [75, null, 50, 30])
+        ];
+
+        return new CourseClassSet([new CourseClass("Test class", 3, competitors)]);
+    }
+
+    function createBoxPlot() {
+        var boxPlot = new LegBoxPlot(d3.select("#qunit-fixture").node());
+        boxPlot.setSize(800, 600);
+        return boxPlot;
+    }
+
+    QUnit.test("Can create a leg box plot with nothing drawn", function (assert) {
+        createBoxPlot();
+        assert.strictEqual($("#qunit-fixture div#legBoxPlotContainer svg").length, 1);
+        assert.strictEqual($("#qunit-fixture div#legBoxPlotContainer g.legBox").length, 0);
+    });
+
+    QUnit.test("Can draw a box for each leg, with outliers", function (assert) {
+        var boxPlot = createBoxPlot();
+        boxPlot.draw(getCourseClassSet(), []);
+        assert.strictEqual($("#qunit-fixture g.legBox").length, 4);
+        assert.strictEqual($("#qunit-fixture g.legBox rect.box").length, 4);
+        assert.strictEqual($("#qunit-fixture g.legBox line.median").length, 4);
+        assert.strictEqual($("#qunit-fixture g.legBox:eq(0) circle.outlier").length, 1);
+        assert.strictEqual($("#qunit-fixture circle.outlier").length, 1);
+        assert.strictEqual($("#qunit-fixture circle.competitor").length, 0);
+        assert.deepEqual($("#qunit-fixture g.x.axis g.tick text").map(function () { return $(this).text(); }).get(), ["S-1", "1-2", "2-3", "3-F"]);
+    });
+
+    QUnit.test("Can draw the split times of the selected competitors over the boxes", function (assert) {
+        var courseClassSet = getCourseClassSet();
+        var boxPlot = createBoxPlot();
+        var mikeJonesIndex = courseClassSet.allCompetitors.map(function (comp) { return comp.name; }).indexOf("Mike Jones");
+        boxPlot.draw(courseClassSet, [0, mikeJonesIndex]);
+
+        // Mike Jones has no split time to control 2.
+        assert.strictEqual($("#qunit-fixture circle.competitor").length, 7);
+        assert.strictEqual($("#qunit-fixture g.legBox:eq(1) circle.competitor").length, 1);
+        assert.strictEqual($("#qunit-fixture g.legBox:eq(0) circle.competitor title").first().text(), courseClassSet.allCompetitors[0].name + " (01:00)");
+    });
+
+    QUnit.test("Hiding and showing a leg box plot hides and shows its container", function (assert) {
+        var boxPlot = createBoxPlot();
+        boxPlot.hide();
+        assert.strictEqual($("#qunit-fixture div#legBoxPlotContainer").css("display"), "none");
+        boxPlot.show();
+        assert.notStrictEqual($("#qunit-fixture div#legBoxPlotContainer").css("display"), "none");
+    });
+})();
@@ -0,0 +1,100 @@
+/*
+ *  SplitsBrowser - LegDifficultyTable tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+    var LegDifficultyTable = SplitsBrowser.Controls.LegDifficultyTable;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Course = SplitsBrowser.Model.Course;
+    var Event = SplitsBrowser.Model.Event;
+    var fromCumTimes = SplitsBrowser.Model.Competitor.fromCumTimes;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Leg Difficulty Table");
+
+    // Two courses that share their first two legs.  Bill Baker missed
+    // control 212.
+    function getEvent() {
+        var courseClass1 = new CourseClass("Test class 1", 3, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 100]),
+            fromCumTimes(3, "Bill Baker", "GHI", 10 * 3600 + 15 * 60, [0, 70, null, 70 + 221 + 190, 70 + 221 + 190 + 110])
+        ]);
+        var courseClass2 = new CourseClass("Test class 2", 3, [fromSplitTimes(4, "Paul Jones", "JKL", 11 * 3600, [60, 230, 150, 120])]);
+        var course1 = new Course("Test course 1", [courseClass1], null, null, ["235", "212", "189"]);
+        var course2 = new Course("Test course 2", [courseClass2], null, null, ["235", "212", "301"]);
+        var event = new Event([courseClass1, courseClass2], [course1, course2]);
+        event.determineTimeLosses();
+        return event;
+    }
+
+    function createTable() {
+        return new LegDifficultyTable(d3.select("#qunit-fixture").node());
+    }
+
+    function getColumn(columnIndex) {
+        return $("#qunit-fixture table.legDifficultyTable tbody tr").map(function () { return $("td", this).eq(columnIndex).text(); }).get();
+    }
+
+    QUnit.test("Can create a leg difficulty table", function (assert) {
+        createTable();
+        assert.strictEqual($("#qunit-fixture div#legDifficultyTableContainer table.legDifficultyTable").length, 1);
+    });
+
+    QUnit.test("Can list every leg of an event", function (assert) {
+        var table = createTable();
+        table.setEvent(getEvent());
+        assert.strictEqual($("#qunit-fixture table.legDifficultyTable thead th").length, 7);
+        assert.strictEqual($("#qunit-fixture table.legDifficultyTable tbody tr").length, 6);
+        assert.deepEqual(getColumn(0).slice(0).sort(), ["189-F", "212-189", "212-301", "235-212", "301-F", "S-235"]);
+    });
+
+    QUnit.test("Can sort the legs of an event by clicking on a column header", function (assert) {
+        var table = createTable();
+        table.setEvent(getEvent());
+
+        $("#qunit-fixture table.legDifficultyTable thead th:eq(0)").click();
+        assert.deepEqual(getColumn(0), ["189-F", "212-189", "212-301", "235-212", "301-F", "S-235"]);
+
+        table.sortByColumn(4);
+        assert.deepEqual(getColumn(0), ["235-212", "212-189", "212-301", "301-F", "189-F", "S-235"]);
+        assert.deepEqual(getColumn(4), ["03:41", "03:18", "02:30", "02:00", "01:43", "01:05"]);
+
+        table.sortByColumn(6);
+        assert.deepEqual(getColumn(0)[0], "235-212");
+        assert.deepEqual(getColumn(6)[0], "1");
+    });
+
+    QUnit.test("Shows the fastest split on each leg with the runner and class", function (assert) {
+        var table = createTable();
+        table.setEvent(getEvent());
+        table.sortByColumn(0);
+        assert.strictEqual(getColumn(3)[5], "01:00 Paul Jones (Test class 2)");
+    });
+
+    QUnit.test("Shows a message if the event has no legs", function (assert) {
+        var table = createTable();
+        table.setEvent(new Event([], []));
+        assert.strictEqual($("#qunit-fixture span.legDifficultyTableHeader").text(), getMessage("LegDifficultyTableNoLegs"));
+        assert.strictEqual($("#qunit-fixture table.legDifficultyTable tbody tr").length, 0);
+    });
+})();
@@ -0,0 +1,156 @@
+/*
+ *  SplitsBrowser - MistakeReport tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+    var MistakeReport = SplitsBrowser.Controls.MistakeReport;
+    var fromCumTimes = SplitsBrowser.Model.Competitor.fromCumTimes;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+
+    QUnit.module("Mistake Report");
+
+    // Median split ratio is 1.15, so time losses are -5, 5, -5 and 85.
+    function getCompetitorWithTimeLosses() {
+        var competitor = fromCumTimes(1, "John Smith", "ABC", 10 * 3600, [0, 110, 230, 340, 540]);
+        new CourseClass("Test class", 3, [competitor]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        return competitor;
+    }
+
+    function getMispunchingCompetitor() {
+        var competitor = fromCumTimes(2, "Fred Brown", "DEF", 10 * 3600, [0, 110, null, 340, 540]);
+        new CourseClass("Test class", 3, [competitor]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        return competitor;
+    }
+
+    function createReport() {
+        return new MistakeReport(d3.select("#qunit-fixture").node());
+    }
+
+    QUnit.test("Can create a mistake report with no competitors, showing a placeholder message", function (assert) {
+        var report = createReport();
+        report.setCompetitors([]);
+        assert.strictEqual($("#qunit-fixture div.mistakeReportPlaceholder").text(), getMessage("MistakeReportNoCompetitorsSelected"));
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitor").length, 0);
+    });
+
+    QUnit.test("Can list the legs on which a competitor lost more than the threshold", function (assert) {
+        var report = createReport();
+        report.setThreshold(4, false);
+        report.setCompetitors([getCompetitorWithTimeLosses()]);
+
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitor").length, 1);
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitorName").text(), "John Smith (ABC)");
+        var rows = $("#qunit-fixture div.mistakeReportCompetitor tbody tr");
+        assert.strictEqual(rows.length, 2);
+        assert.deepEqual($.makeArray(rows.eq(0).find("td")).map(function (cell) { return $(cell).text(); }), ["1-2", "02:00", "00:05"]);
+        assert.deepEqual($.makeArray(rows.eq(1).find("td")).map(function (cell) { return $(cell).text(); }), ["3-F", "03:20", "01:25"]);
+    });
+
+    QUnit.test("Can return the total time lost and the time without mistakes of a competitor", function (assert) {
+        var report = createReport();
+        report.setThreshold(4, false);
+        var competitor = getCompetitorWithTimeLosses();
+        report.setCompetitors([competitor]);
+
+        var entries = report.getEntries();
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].competitor, competitor);
+        assert.strictEqual(entries[0].totalTimeLoss, 90);
+        assert.strictEqual(entries[0].timeWithoutMistakes, 540 - 90);
+    });
+
+    QUnit.test("Changing the threshold to a percentage changes the legs listed", function (assert) {
+        var report = createReport();
+        report.setCompetitors([getCompetitorWithTimeLosses()]);
+        report.setThreshold(5, true);
+        assert.deepEqual(report.getEntries()[0].mistakes, [{legName: "3-F", splitTime: 200, timeLoss: 85}]);
+
+        report.setThreshold(4, true);
+        assert.deepEqual(report.getEntries()[0].mistakes, [{legName: "1-2", splitTime: 120, timeLoss: 5}, {legName: "3-F", splitTime: 200, timeLoss: 85}]);
+    });
+
+    QUnit.test("Entering a threshold in the input changes the legs listed, and an invalid threshold is ignored", function (assert) {
+        var report = createReport();
+        report.setCompetitors([getCompetitorWithTimeLosses()]);
+
+        $("#qunit-fixture div.mistakeReportOptions input").val("4").trigger("input");
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitor tbody tr").length, 2);
+
+        $("#qunit-fixture div.mistakeReportOptions input").val("-3").trigger("input");
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitor tbody tr").length, 2);
+    });
+
+    QUnit.test("A competitor without any legs over the threshold is listed as having no mistakes", function (assert) {
+        var report = createReport();
+        report.setThreshold(100, false);
+        report.setCompetitors([getCompetitorWithTimeLosses()]);
+
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitor table").length, 0);
+        assert.strictEqual(report.getEntries()[0].totalTimeLoss, 0);
+        assert.strictEqual(report.getEntries()[0].timeWithoutMistakes, 540);
+    });
+
+    QUnit.test("A competitor whose time losses cannot be estimated is listed as such", function (assert) {
+        var report = createReport();
+        report.setCompetitors([getMispunchingCompetitor()]);
+
+        assert.strictEqual($("#qunit-fixture div.mistakeReportCompetitor table").length, 0);
+        assert.ok($("#qunit-fixture div.mistakeReportCompetitor").text().indexOf(getMessage("MistakeReportNoTimeLosses")) >= 0);
+        assert.strictEqual(report.getEntries()[0].mistakes, null);
+    });
+
+    QUnit.test("Can return the report as CSV", function (assert) {
+        var report = createReport();
+        report.setThreshold(4, false);
+        report.setCompetitors([getCompetitorWithTimeLosses(), getMispunchingCompetitor()]);
+
+        assert.strictEqual(report.getCsv(),
+            "Name,Club,Class,Time,Time loss,Time without mistakes,Leg,Split,Leg time loss\r\n" +
+            "John Smith,ABC,Test class,09:00,01:30,07:30,1-2,02:00,00:05\r\n" +
+            "John Smith,ABC,Test class,09:00,01:30,07:30,3-F,03:20,01:25\r\n" +
+            "Fred Brown,DEF,Test class," + SplitsBrowser.NULL_TIME_PLACEHOLDER + ",,,,,\r\n");
+    });
+
+    QUnit.test("Can return the report as CSV, quoting values that contain commas or quotes", function (assert) {
+        var report = createReport();
+        var competitor = fromCumTimes(1, "John \"Jack\" Smith", "ABC, DEF", 10 * 3600, [0, 110, 230, 340, 540]);
+        new CourseClass("Test class", 3, [competitor]);
+        competitor.determineTimeLosses([100, 100, 100, 100]);
+        report.setThreshold(100, false);
+        report.setCompetitors([competitor]);
+
+        assert.strictEqual(report.getCsv().split("\r\n")[1], "\"John \"\"Jack\"\" Smith\",\"ABC, DEF\",Test class,09:00,00:00,09:00,,,");
+    });
+
+    QUnit.test("Can return the report as text", function (assert) {
+        var report = createReport();
+        report.setThreshold(10, false);
+        report.setCompetitors([getCompetitorWithTimeLosses()]);
+
+        var lines = report.getText().split("\n");
+        assert.strictEqual(lines[0], "John Smith (ABC)");
+        assert.strictEqual(lines[1], SplitsBrowser.getMessageWithFormatting("MistakeReportSummary", {"$$TIME$$": "09:00", "$$LOSS$$": "01:25", "$$IDEAL$$": "07:35"}));
+        assert.strictEqual(lines[2], "    " + SplitsBrowser.getMessageWithFormatting("MistakeReportTextLine", {"$$LEG$$": "3-F", "$$SPLIT$$": "03:20", "$$LOSS$$": "01:25"}));
+    });
+})();
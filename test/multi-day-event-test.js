@@ -0,0 +1,145 @@
+/*
+ *  SplitsBrowser - MultiDayEvent tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var Event = SplitsBrowser.Model.Event;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var MultiDayEvent = SplitsBrowser.Model.MultiDayEvent;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Multi-day event");
+
+    // Bill Baker is non-competitive, Paul Jones mispunched on day 1 and Dave
+    // Wilson only ran on day 2.
+    function getMultiDayEvent() {
+        var billBaker1 = fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [50, 50, 50, 50]);
+        billBaker1.setNonCompetitive();
+        var day1 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 60, 60, 60]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [70, 70, 70, 70]),
+            billBaker1,
+            fromSplitTimes(4, "Paul Jones", "JKL", 10 * 3600, [60, null, 60, 60])
+        ])], [], []);
+
+        var day2 = new Event([
+            new CourseClass("W21", 2, [fromSplitTimes(1, "Jane Smith", "ABC", 10 * 3600, [60, 60, 60])]),
+            new CourseClass("M21", 3, [
+                fromSplitTimes(1, "Dave Wilson", "MNO", 10 * 3600, [25, 25, 25, 25]),
+                fromSplitTimes(2, "Bill Baker", "GHI", 10 * 3600, [50, 50, 50, 50]),
+                fromSplitTimes(3, "Fred Brown", "DEF", 10 * 3600, [60, 60, 60, 60]),
+                fromSplitTimes(4, "Paul Jones", "JKL", 10 * 3600, [62, 63, 62, 63]),
+                fromSplitTimes(5, "John Smith", "ABC", 10 * 3600, [75, 75, 75, 75])
+            ])
+        ], [], []);
+
+        return new MultiDayEvent([{name: "Day 1", event: day1}, {name: "Day 2", event: day2}]);
+    }
+
+    function getOverallResultsByName(multiDayEvent) {
+        var resultsByName = {};
+        multiDayEvent.getOverallResults("M21").forEach(function (entry) { resultsByName[entry.name] = entry; });
+        return resultsByName;
+    }
+
+    QUnit.test("Cannot create a multi-day event with no days", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            new MultiDayEvent([]);
+        });
+    });
+
+    QUnit.test("Can get the number and names of the days of a multi-day event", function (assert) {
+        var multiDayEvent = getMultiDayEvent();
+        assert.strictEqual(multiDayEvent.getNumDays(), 2);
+        assert.deepEqual(multiDayEvent.getDayNames(), ["Day 1", "Day 2"]);
+    });
+
+    QUnit.test("Can get the event held on each day of a multi-day event", function (assert) {
+        var multiDayEvent = getMultiDayEvent();
+        assert.strictEqual(multiDayEvent.getDayEvent(0), multiDayEvent.days[0].event);
+        assert.strictEqual(multiDayEvent.getDayEvent(1), multiDayEvent.days[1].event);
+    });
+
+    QUnit.test("Overall results are sorted by total time, followed by those missing a day in the order they first appear", function (assert) {
+        var overallResults = getMultiDayEvent().getOverallResults("M21");
+        assert.deepEqual(overallResults.map(function (entry) { return entry.name; }), ["Bill Baker", "Fred Brown", "John Smith", "Paul Jones", "Dave Wilson"]);
+    });
+
+    QUnit.test("Overall results contain the times and positions of competitors on each day", function (assert) {
+        var resultsByName = getOverallResultsByName(getMultiDayEvent());
+        assert.deepEqual(resultsByName["John Smith"].dayTimes, [240, 300]);
+        assert.deepEqual(resultsByName["John Smith"].dayRanks, [1, 5]);
+        assert.deepEqual(resultsByName["Fred Brown"].dayRanks, [2, 3]);
+        assert.deepEqual(resultsByName["Paul Jones"].dayTimes, [null, 250]);
+        assert.deepEqual(resultsByName["Paul Jones"].dayRanks, [null, 4]);
+        assert.deepEqual(resultsByName["Dave Wilson"].dayTimes, [null, 100]);
+        assert.deepEqual(resultsByName["Dave Wilson"].dayRanks, [null, 1]);
+    });
+
+    QUnit.test("Overall results contain the cumulative and total times of competitors", function (assert) {
+        var resultsByName = getOverallResultsByName(getMultiDayEvent());
+        assert.deepEqual(resultsByName["John Smith"].cumulativeTimes, [240, 540]);
+        assert.strictEqual(resultsByName["John Smith"].totalTime, 540);
+        assert.deepEqual(resultsByName["Paul Jones"].cumulativeTimes, [null, null]);
+        assert.strictEqual(resultsByName["Paul Jones"].totalTime, null);
+    });
+
+    QUnit.test("Overall results rank competitive competitors with a total time", function (assert) {
+        var resultsByName = getOverallResultsByName(getMultiDayEvent());
+        assert.strictEqual(resultsByName["Fred Brown"].rank, 1);
+        assert.strictEqual(resultsByName["John Smith"].rank, 2);
+        assert.strictEqual(resultsByName["Paul Jones"].rank, null);
+        assert.strictEqual(resultsByName["Dave Wilson"].rank, null);
+    });
+
+    QUnit.test("Non-competitive competitors have no positions, but their times are recorded", function (assert) {
+        var resultsByName = getOverallResultsByName(getMultiDayEvent());
+        assert.ok(resultsByName["Bill Baker"].isNonCompetitive);
+        assert.deepEqual(resultsByName["Bill Baker"].dayTimes, [200, 200]);
+        assert.deepEqual(resultsByName["Bill Baker"].dayRanks, [null, 2]);
+        assert.strictEqual(resultsByName["Bill Baker"].rank, null);
+        assert.ok(!resultsByName["John Smith"].isNonCompetitive);
+    });
+
+    QUnit.test("Overall results contain the times competitors were behind the overall leader after each day", function (assert) {
+        var resultsByName = getOverallResultsByName(getMultiDayEvent());
+        assert.deepEqual(resultsByName["John Smith"].timesBehindLeader, [0, 20]);
+        assert.deepEqual(resultsByName["Fred Brown"].timesBehindLeader, [40, 0]);
+        assert.deepEqual(resultsByName["Bill Baker"].timesBehindLeader, [-40, -120]);
+        assert.deepEqual(resultsByName["Dave Wilson"].timesBehindLeader, [null, null]);
+    });
+
+    QUnit.test("Overall results of a class that is not held on any day are empty", function (assert) {
+        assert.deepEqual(getMultiDayEvent().getOverallResults("M45"), []);
+    });
+
+    QUnit.test("Can determine time losses on all days of a multi-day event", function (assert) {
+        var multiDayEvent = getMultiDayEvent();
+        multiDayEvent.determineTimeLosses();
+        multiDayEvent.days.forEach(function (day) {
+            day.event.classes.forEach(function (courseClass) {
+                courseClass.competitors.filter(function (comp) { return comp.completed(); }).forEach(function (comp) {
+                    assert.notStrictEqual(comp.timeLosses, null, "Time losses of " + comp.name + " should have been determined");
+                });
+            });
+        });
+    });
+})();
@@ -0,0 +1,106 @@
+/*
+ *  SplitsBrowser - MultiDayResults tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var MultiDayResults = SplitsBrowser.Controls.MultiDayResults;
+    var Event = SplitsBrowser.Model.Event;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var MultiDayEvent = SplitsBrowser.Model.MultiDayEvent;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Multi-day results");
+
+    // Fred Brown leads after day 1, John Smith overall.  Bill Baker
+    // mispunched on day 2.
+    function getMultiDayEvent() {
+        var day1 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 60, 60, 60]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [50, 60, 60, 60]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [70, 70, 70, 70])
+        ])], [], []);
+
+        var day2 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [50, 50, 50, 50]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [60, 60, 60, 60]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [70, null, 70, 70])
+        ])], [], []);
+
+        return new MultiDayEvent([{name: "Day 1", event: day1}, {name: "Day 2", event: day2}]);
+    }
+
+    function createResults() {
+        var results = new MultiDayResults(d3.select("#qunit-fixture").node());
+        results.setMultiDayEvent(getMultiDayEvent());
+        return results;
+    }
+
+    function getRowTexts(rowIndex) {
+        return $("#qunit-fixture table.multiDayResultsTable tbody tr:eq(" + rowIndex + ") td").map(function () { return $(this).text(); }).get();
+    }
+
+    QUnit.test("Shows a placeholder header and no results when no class is selected", function (assert) {
+        createResults();
+        assert.strictEqual($("#qunit-fixture span.multiDayResultsHeader").text(), SplitsBrowser.getMessage("MultiDayResultsNoResults"));
+        assert.strictEqual($("#qunit-fixture table.multiDayResultsTable tbody tr").length, 0);
+        assert.strictEqual($("#qunit-fixture table.multiDayResultsTable th").length, 0);
+        assert.strictEqual($("#qunit-fixture svg.multiDayResultsChart").css("display"), "none");
+    });
+
+    QUnit.test("Can show the overall results of a class", function (assert) {
+        var results = createResults();
+        results.setClassName("M21");
+
+        assert.strictEqual($("#qunit-fixture span.multiDayResultsHeader").text(), "M21 - overall results over 2 days");
+        assert.deepEqual($("#qunit-fixture table.multiDayResultsTable th").map(function () { return $(this).text(); }).get(),
+                         ["Pos", "Name", "Club", "Day 1", "Day 2", "Total", "Behind"]);
+        assert.strictEqual($("#qunit-fixture table.multiDayResultsTable tbody tr").length, 3);
+        assert.deepEqual(getRowTexts(0), ["1", "John Smith", "ABC", "04:00 (2)", "03:20 (1)", "07:20", "+00:00"]);
+        assert.deepEqual(getRowTexts(1), ["2", "Fred Brown", "DEF", "03:50 (1)", "04:00 (2)", "07:50", "+00:30"]);
+        assert.deepEqual(getRowTexts(2), ["", "Bill Baker", "GHI", "04:40 (3)", "", "", ""]);
+    });
+
+    QUnit.test("Draws a line on the chart for each competitor with a time on the first day", function (assert) {
+        var results = createResults();
+        results.setClassName("M21");
+
+        assert.notStrictEqual($("#qunit-fixture svg.multiDayResultsChart").css("display"), "none");
+        assert.strictEqual($("#qunit-fixture svg.multiDayResultsChart g.multiDayCompetitor path").length, 3);
+        assert.deepEqual($("#qunit-fixture svg.multiDayResultsChart g.multiDayCompetitor text").map(function () { return $(this).text(); }).get(),
+                         ["John Smith", "Fred Brown", "Bill Baker"]);
+        assert.deepEqual($("#qunit-fixture g.x.axis g.tick text").map(function () { return $(this).text(); }).get(), ["Day 1", "Day 2"]);
+    });
+
+    QUnit.test("Shows a placeholder header when the class is not in the event", function (assert) {
+        var results = createResults();
+        results.setClassName("W21");
+        assert.strictEqual($("#qunit-fixture span.multiDayResultsHeader").text(), SplitsBrowser.getMessage("MultiDayResultsNoResults"));
+        assert.strictEqual($("#qunit-fixture table.multiDayResultsTable tbody tr").length, 0);
+    });
+
+    QUnit.test("Hiding and showing the overall results hides and shows their container", function (assert) {
+        var results = createResults();
+        results.hide();
+        assert.strictEqual($("#qunit-fixture div#multiDayResultsContainer").css("display"), "none");
+        results.show();
+        assert.notStrictEqual($("#qunit-fixture div#multiDayResultsContainer").css("display"), "none");
+    });
+})();
@@ -878,6 +878,45 @@
         });
     });
     
+    QUnit.test("Can parse a string that contains two competitors in the same class on variations of a forked course", function (assert) {
+        var comp1 = getCompetitor1();
+        comp1.course = "Test course 1";
+        var comp2 = getCompetitor2();
+        comp2.course = "Test course 2";
+        var controls2 = [{code: "227", time: "02:01"}, {code: "208", time: "04:06"}, {code: "212", time: "06:37"}];
+        runTestOverAllFormats([[comp1, getControls1()], [comp2, controls2]], function (eventData) {
+            assert.strictEqual(eventData.classes.length, 1, "There should be one class");
+            assert.strictEqual(eventData.courses.length, 1, "There should be one element in the courses array");
+            
+            var course = eventData.courses[0];
+            assert.strictEqual(course.name, "Test course 1", "The course name should be the first course");
+            assert.ok(course.isForked(), "The course should be forked");
+            assert.strictEqual(course.controls, null, "The course should have no controls of its own");
+            assert.deepEqual(course.variations, [
+                {name: "Test course 1", controls: ["208", "227", "212"]},
+                {name: "Test course 2", controls: ["227", "208", "212"]}
+            ]);
+            
+            assert.strictEqual(eventData.classes[0].competitors[0].variation, "Test course 1", "First competitor should have the first variation");
+            assert.strictEqual(eventData.classes[0].competitors[1].variation, "Test course 2", "Second competitor should have the second variation");
+        });
+    });
+    
+    QUnit.test("Can parse a string that contains two competitors in the same class on courses with different numbers of controls into a course that is not forked", function (assert) {
+        var comp1 = getCompetitor1();
+        comp1.course = "Test course 1";
+        comp1.numControls = "3";
+        var comp2 = getCompetitor2();
+        comp2.course = "Test course 2";
+        comp2.numControls = "4";
+        var controls2 = getControls2().concat([{code: "229", time: "07:19"}]);
+        runTestOverAllFormats([[comp1, getControls1()], [comp2, controls2]], function (eventData) {
+            assert.strictEqual(eventData.courses.length, 1, "There should be one element in the courses array");
+            assert.ok(!eventData.courses[0].isForked(), "The course should not be forked");
+            assert.strictEqual(eventData.classes[0].competitors[0].variation, null, "First competitor should have no variation");
+        });
+    });
+    
     QUnit.test("Can parse a string that contains two competitors in the same course but different class", function (assert) {
         var comp1 = getCompetitor1();
         comp1.className = "Test class 1";
@@ -1030,4 +1069,51 @@
             assert.strictEqual(eventData.classes[1].course, eventData.courses[0], "First course should be set on the second class");
         });
     });
-})();
\ No newline at end of file
+
+    var SCORE_FORMAT_46 = {
+        name: "46-column with score columns",
+        header: HEADER_46.replace("Text1;Text2;", "Points;Penalty;"),
+        template: ROW_TEMPLATE_46.replace(";23;24;", ";points;penalty;"),
+        combineName: false,
+        hasGender: true
+    };
+    
+    QUnit.test("Can parse a score event with points and penalty columns", function (assert) {
+        var competitor = getCompetitor1();
+        competitor.points = "85";
+        competitor.penalty = "10";
+        var controls = [{code: "227", time: "03:38"}, {code: "208", time: "01:50"}];
+        var eventData = parseEventData(generateData(SCORE_FORMAT_46, [[competitor, controls]]));
+        
+        assert.strictEqual(eventData.classes.length, 1, "There should be one class");
+        var courseClass = eventData.classes[0];
+        assert.ok(courseClass.isScoreClass(), "Class should be a score class");
+        assert.strictEqual(courseClass.numControls, 0);
+        assert.strictEqual(courseClass.course.controls, null, "Score course should have no controls");
+        
+        var scoreResult = courseClass.competitors[0].scoreResult;
+        assert.strictEqual(courseClass.competitors[0].totalTime, 6 * 60 + 33);
+        assert.strictEqual(scoreResult.points, 85);
+        assert.strictEqual(scoreResult.penalty, 10);
+        assert.deepEqual(scoreResult.punches, [{code: "208", time: 110, points: null}, {code: "227", time: 218, points: null}]);
+    });
+    
+    QUnit.test("Can parse a score event with a points column but no penalty column", function (assert) {
+        var format = {
+            name: SCORE_FORMAT_46.name,
+            header: HEADER_46.replace("Text1;", "Points;"),
+            template: ROW_TEMPLATE_46.replace(";23;", ";points;"),
+            combineName: false,
+            hasGender: true
+        };
+        
+        var competitor = getCompetitor1();
+        competitor.points = "85";
+        var eventData = parseEventData(generateData(format, [[competitor, getControls1()]]));
+        
+        var scoreResult = eventData.classes[0].competitors[0].scoreResult;
+        assert.strictEqual(scoreResult.points, 85);
+        assert.strictEqual(scoreResult.penalty, 0);
+        assert.strictEqual(scoreResult.punches.length, 3);
+    });
+})();
@@ -24,51 +24,74 @@
     QUnit.module("Original Data Selector");
     
     var OriginalDataSelector = SplitsBrowser.Controls.OriginalDataSelector;
+    var RepairModes = SplitsBrowser.DataRepair.RepairModes;
     
     var callCount = 0;
     
-    var lastShowOriginalData = null;
+    var lastMode = null;
     
-    function testChangeHandler(showOriginalData) {
-        lastShowOriginalData = showOriginalData;
+    function testChangeHandler(mode) {
+        lastMode = mode;
         callCount += 1;
     }
     
     function reset() {
-        lastShowOriginalData = null;
+        lastMode = null;
         callCount = 0;
     }
     
-    QUnit.test("Can create selector with checkbox", function (assert) {
+    QUnit.test("Can create selector with drop-down list of three options", function (assert) {
         var parent = d3.select("#qunit-fixture");
         new OriginalDataSelector(parent);
         
-        assert.strictEqual(parent.select("input[type=checkbox]").size(), 1);
+        assert.strictEqual(parent.select("select").size(), 1);
+        assert.strictEqual(parent.selectAll("select option").size(), 3);
     });
     
-    QUnit.test("Calls change handler when unchecked and clicked", function (assert) {
+    QUnit.test("Selector initially has data with dubious times removed selected", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var selector = new OriginalDataSelector(parent);
+        
+        assert.strictEqual(selector.getRepairMode(), RepairModes.Blanked);
+        assert.ok(!selector.isOriginalDataSelected(), "Original data should not be selected");
+    });
+    
+    QUnit.test("Calls change handler when original data chosen", function (assert) {
         reset();
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
         selector.registerChangeHandler(testChangeHandler);
         
-        $(parent.select("input[type=checkbox]").node()).attr("checked", false).trigger("click");
-        assert.strictEqual(lastShowOriginalData, true, "Handler should have been called with the show-original flag set to true");
+        $("#qunit-fixture select").val(0).change();
+        assert.strictEqual(lastMode, RepairModes.Original, "Handler should have been called with the original-data mode");
         assert.strictEqual(callCount, 1, "Handler should have been called once");
         assert.strictEqual(selector.isOriginalDataSelected(), true, "Original data should be selected");
     });
     
+    QUnit.test("Calls change handler when estimated data chosen", function (assert) {
+        reset();
+        var parent = d3.select("#qunit-fixture");
+        var selector = new OriginalDataSelector(parent);
+        selector.registerChangeHandler(testChangeHandler);
+        
+        $("#qunit-fixture select").val(2).change();
+        assert.strictEqual(lastMode, RepairModes.Interpolated, "Handler should have been called with the estimated-data mode");
+        assert.strictEqual(callCount, 1, "Handler should have been called once");
+        assert.strictEqual(selector.getRepairMode(), RepairModes.Interpolated);
+        assert.ok(!selector.isOriginalDataSelected(), "Original data should not be selected");
+    });
+    
     QUnit.test("Calls change handler when registered but not when deregistered", function (assert) {
         reset();
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
         selector.registerChangeHandler(testChangeHandler);
         
-        $(parent.select("input[type=checkbox]").node()).attr("checked", false).trigger("click");
+        $("#qunit-fixture select").val(0).change();
         assert.strictEqual(callCount, 1, "Handler should have been called once");
         
         selector.deregisterChangeHandler(testChangeHandler);
-        $(parent.select("input[type=checkbox]").node()).trigger("click");
+        $("#qunit-fixture select").val(1).change();
         assert.strictEqual(callCount, 1, "Handler should still have been called once");
     });
     
@@ -79,7 +102,7 @@
         selector.registerChangeHandler(testChangeHandler);
         selector.registerChangeHandler(testChangeHandler);
         
-        $(parent.select("input[type=checkbox]").node()).attr("checked", false).trigger("click");
+        $("#qunit-fixture select").val(0).change();
         assert.strictEqual(callCount, 1, "Handler should have been called once");
     });
     
@@ -90,63 +113,65 @@
         assert.expect(0); // No assertions
     });
     
-    QUnit.test("Calls multiple change handlers when unchecked and clicked", function (assert) {
+    QUnit.test("Calls multiple change handlers when original data chosen", function (assert) {
         reset();
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
         selector.registerChangeHandler(testChangeHandler);
         
-        var lastShowOriginalData2 = null;
+        var lastMode2 = null;
         var callCount2 = null;
-        var handler2 = function (showOriginalData) {
-            lastShowOriginalData2 = showOriginalData;
+        var handler2 = function (mode) {
+            lastMode2 = mode;
             callCount2 += 1;
         };
         
         selector.registerChangeHandler(handler2);
         
-        $(parent.select("input[type=checkbox]").node()).attr("checked", false).trigger("click");
-        assert.strictEqual(lastShowOriginalData, true, "Handler should have been called with the show-original flag set to true");
+        $("#qunit-fixture select").val(0).change();
+        assert.strictEqual(lastMode, RepairModes.Original, "Handler should have been called with the original-data mode");
         assert.strictEqual(callCount, 1, "Handler should have been called once");
-        assert.strictEqual(lastShowOriginalData2, true, "Second handler should have been called with the show-original flag set to true");
+        assert.strictEqual(lastMode2, RepairModes.Original, "Second handler should have been called with the original-data mode");
         assert.strictEqual(callCount2, 1, "Second handler should have been called once");
     });
     
-    QUnit.test("Calls change handler when checked and clicked", function (assert) {
+    QUnit.test("Calls change handler when data with dubious times removed chosen after original data", function (assert) {
         reset();
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
+        $("#qunit-fixture select").val(0).change();
         selector.registerChangeHandler(testChangeHandler);
         
-        $(parent.select("input[type=checkbox]").node()).attr("checked", true).trigger("click");
-        assert.strictEqual(lastShowOriginalData, false, "Handler should have been called with the show-original flag set to false");
+        $("#qunit-fixture select").val(1).change();
+        assert.strictEqual(lastMode, RepairModes.Blanked, "Handler should have been called with the removed-data mode");
         assert.strictEqual(callCount, 1, "Handler should have been called once");
     });
     
-    QUnit.test("Does nothing when disabled and clicked", function (assert) {
-        reset();
+    QUnit.test("Drop-down list is disabled when selector disabled", function (assert) {
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
         selector.setEnabled(false);
-        selector.registerChangeHandler(testChangeHandler);
         
-        $(parent.select("input[type=checkbox]").node()).attr("checked", true).trigger("click");
-        assert.strictEqual(callCount, 0, "Change handler should not have been called");
+        assert.ok($("#qunit-fixture select").prop("disabled"), "Drop-down list should be disabled");
+        assert.ok($("#qunit-fixture span.originalDataSelectorLabel").hasClass("disabled"), "Label should be marked as disabled");
+        
+        selector.setEnabled(true);
+        assert.ok(!$("#qunit-fixture select").prop("disabled"), "Drop-down list should be enabled");
     });
     
-    QUnit.test("When selector is hidden, checkbox is no longer visible", function (assert) {
+    QUnit.test("When selector is hidden, drop-down list is no longer visible", function (assert) {
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
         selector.setVisible(false);
-        assert.ok(!$("input[type=checkbox]", parent.node()).is(":visible"), "Selector should not be visible when set to not be visible");
+        assert.ok(!$("select", parent.node()).is(":visible"), "Selector should not be visible when set to not be visible");
     });
     
-    QUnit.test("When selector is hidden and shown, checkbox is visible once again", function (assert) {
+    QUnit.test("When selector is hidden and shown, drop-down list is visible once again", function (assert) {
         var parent = d3.select("#qunit-fixture");
         var selector = new OriginalDataSelector(parent);
         selector.setVisible(false);
         selector.setVisible(true);
-        assert.ok($("input[type=checkbox]", parent.node()).is(":visible"), "Selector should be visible when set to be visible");
+        assert.ok($("select", parent.node()).is(":visible"), "Selector should be visible when set to be visible");
     });
     
     QUnit.test("Calling selectOriginalData selects original data", function (assert) {
@@ -156,7 +181,27 @@
         selector.setVisible(true);
         selector.registerChangeHandler(testChangeHandler);
         selector.selectOriginalData();
-        assert.ok(lastShowOriginalData, true, "Handler should have been called with the show-original flag set to true");
-        assert.ok($("input[type=checkbox]", parent.node()).is(":checked"), "Selector should be checked");
-    });    
-})();
\ No newline at end of file
+        assert.strictEqual(lastMode, RepairModes.Original, "Handler should have been called with the original-data mode");
+        assert.strictEqual($("#qunit-fixture select").val(), "0", "Original data should be selected in the drop-down list");
+    });
+    
+    QUnit.test("Calling setRepairMode selects the given mode", function (assert) {
+        reset();
+        var parent = d3.select("#qunit-fixture");
+        var selector = new OriginalDataSelector(parent);
+        selector.registerChangeHandler(testChangeHandler);
+        selector.setRepairMode(RepairModes.Interpolated);
+        assert.strictEqual(lastMode, RepairModes.Interpolated, "Handler should have been called with the estimated-data mode");
+        assert.strictEqual(selector.getRepairMode(), RepairModes.Interpolated);
+    });
+    
+    QUnit.test("Calling setRepairMode with an unrecognised mode does nothing", function (assert) {
+        reset();
+        var parent = d3.select("#qunit-fixture");
+        var selector = new OriginalDataSelector(parent);
+        selector.registerChangeHandler(testChangeHandler);
+        selector.setRepairMode({nameKey: "ThisIsNotAValidMode"});
+        assert.strictEqual(callCount, 0, "Handler should not have been called");
+        assert.strictEqual(selector.getRepairMode(), RepairModes.Blanked);
+    });
+})();
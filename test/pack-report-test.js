@@ -0,0 +1,96 @@
+/*
+ *  SplitsBrowser - PackReport tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var getMessage = SplitsBrowser.getMessage;
+    var PackReport = SplitsBrowser.Controls.PackReport;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Pack Report");
+
+    // John Smith and Fred Brown punch controls 1 to 3 within 13 seconds of
+    // one another.  Paul Jones runs alone.
+    function getCourseClassSet() {
+        var competitor1 = fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [65, 221, 209, 100]);
+        var competitor2 = fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30, [43, 220, 215, 150]);
+        var competitor3 = fromSplitTimes(3, "Paul Jones", "GHI", 11 * 3600, [65, 221, 209, 100]);
+        return new CourseClassSet([new CourseClass("Test class", 3, [competitor1, competitor2, competitor3])]);
+    }
+
+    function createReport() {
+        return new PackReport(d3.select("#qunit-fixture").node());
+    }
+
+    QUnit.test("Can create a pack report, with inputs for the settings", function (assert) {
+        var report = createReport();
+        assert.strictEqual($("#qunit-fixture div#packReportContainer div.packReportOptions input").length, 2);
+        assert.strictEqual(report.getWindowSeconds(), 15);
+        assert.strictEqual(report.getMinControls(), 3);
+    });
+
+    QUnit.test("Can list the packs in a course-class set and the time each competitor spent in them", function (assert) {
+        var report = createReport();
+        report.setCourseClassSet(getCourseClassSet());
+
+        var packRows = $("#qunit-fixture table.packReportPacks tbody tr");
+        assert.strictEqual(packRows.length, 1);
+        assert.strictEqual($("td:eq(0)", packRows[0]).text(), "1-3");
+        assert.strictEqual($("td:eq(1)", packRows[0]).text(), "John Smith, Fred Brown");
+
+        var timeRows = $("#qunit-fixture table.packReportTimes tbody tr");
+        assert.strictEqual(timeRows.length, 2);
+        assert.strictEqual($("td:eq(0)", timeRows[0]).text(), "Fred Brown (DEF)");
+        assert.strictEqual($("td:eq(2)", timeRows[0]).text(), "07:15");
+        assert.strictEqual($("td:eq(0)", timeRows[1]).text(), "John Smith (ABC)");
+        assert.strictEqual($("td:eq(2)", timeRows[1]).text(), "07:10");
+    });
+
+    QUnit.test("Shows a placeholder message if there are no packs in the course-class set", function (assert) {
+        var report = createReport();
+        report.setSettings(5, 3);
+        report.setCourseClassSet(getCourseClassSet());
+        assert.strictEqual($("#qunit-fixture div.packReportPlaceholder").text(), getMessage("PackReportNoPacks"));
+        assert.strictEqual($("#qunit-fixture div.packReport table").length, 0);
+    });
+
+    QUnit.test("Changing the settings repopulates the report and calls the change handlers", function (assert) {
+        var report = createReport();
+        report.setCourseClassSet(getCourseClassSet());
+        var calls = [];
+        report.registerChangeHandler(function (windowSeconds, minControls) { calls.push([windowSeconds, minControls]); });
+
+        report.setSettings(15, 4);
+        assert.deepEqual(calls, [[15, 4]]);
+        assert.strictEqual(report.getWindowSeconds(), 15);
+        assert.strictEqual(report.getMinControls(), 4);
+        assert.strictEqual($("#qunit-fixture div.packReportPlaceholder").text(), getMessage("PackReportNoPacks"));
+    });
+
+    QUnit.test("Invalid settings are ignored", function (assert) {
+        var report = createReport();
+        report.setSettings(-3, 1);
+        assert.strictEqual(report.getWindowSeconds(), 15);
+        assert.strictEqual(report.getMinControls(), 3);
+    });
+})();
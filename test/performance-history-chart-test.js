@@ -0,0 +1,111 @@
+/*
+ *  SplitsBrowser - PerformanceHistoryChart tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var PerformanceHistoryChart = SplitsBrowser.Controls.PerformanceHistoryChart;
+    var Event = SplitsBrowser.Model.Event;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var PerformanceHistory = SplitsBrowser.Model.PerformanceHistory;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Performance history chart");
+
+    // Bill Baker ran both events, John Smith only the first.
+    function getPerformanceHistory() {
+        var event1 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 60, 60, 60]),
+            fromSplitTimes(2, "Bill Baker", "GHI", 10 * 3600, [90, 60, 60, 90])
+        ])], [], []);
+
+        var event2 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [50, 50, 50, 50]),
+            fromSplitTimes(2, "Bill Baker", "GHI", 10 * 3600, [55, 55, 55, 55]),
+            fromSplitTimes(3, "Paul Jones", "JKL", 10 * 3600, [60, 60, 60, 60])
+        ])], [], []);
+
+        [event1, event2].forEach(function (eventData) { eventData.determineTimeLosses(); });
+
+        return new PerformanceHistory([{name: "Spring", event: event1}, {name: "Summer", event: event2}]);
+    }
+
+    function createChart() {
+        var chart = new PerformanceHistoryChart(d3.select("#qunit-fixture").node());
+        chart.setPerformanceHistory(getPerformanceHistory());
+        return chart;
+    }
+
+    function getRowTexts(rowIndex) {
+        return $("#qunit-fixture table.performanceHistoryTable tbody tr:eq(" + rowIndex + ") td").map(function () { return $(this).text(); }).get();
+    }
+
+    function selectOption(selector, index) {
+        $(selector).prop("selectedIndex", index).change();
+    }
+
+    QUnit.test("Lists the competitors of the performance history and the references to compare against", function (assert) {
+        createChart();
+        assert.deepEqual($("#qunit-fixture select.performanceHistoryCompetitors option").map(function () { return $(this).text(); }).get(),
+            ["Bill Baker (GHI)", "Fred Brown (DEF)", "John Smith (ABC)", "Paul Jones (JKL)"]);
+        assert.deepEqual($("#qunit-fixture select.performanceHistoryReference option").map(function () { return $(this).text(); }).get(),
+            [SplitsBrowser.getMessage("PerformanceReferenceWinner"), SplitsBrowser.getMessage("PerformanceReferenceTopThreeMedian")]);
+    });
+
+    QUnit.test("Shows the performances of the first competitor initially", function (assert) {
+        createChart();
+        assert.strictEqual($("#qunit-fixture span.performanceHistoryHeader").text(),
+            SplitsBrowser.getMessageWithFormatting("PerformanceHistoryHeader", {"$$NAME$$": "Bill Baker", "$$CLUB$$": "GHI", "$$NUM$$": "2"}));
+        assert.strictEqual($("#qunit-fixture table.performanceHistoryTable th").length, 6);
+        assert.strictEqual($("#qunit-fixture table.performanceHistoryTable tbody tr").length, 2);
+        assert.deepEqual(getRowTexts(0), ["Spring", "M21", "05:00", "04:00", "+25.0%", "10.0%"]);
+        assert.deepEqual(getRowTexts(1), ["Summer", "M21", "03:40", "03:20", "+10.0%", "0.0%"]);
+    });
+
+    QUnit.test("Draws a line and points for the performance index and the time-loss percentage", function (assert) {
+        createChart();
+        assert.notStrictEqual($("#qunit-fixture svg.performanceHistoryChart").css("display"), "none");
+        assert.strictEqual($("#qunit-fixture g.performanceHistorySeries").length, 2);
+        assert.strictEqual($("#qunit-fixture g.performanceIndex circle").length, 2);
+        assert.strictEqual($("#qunit-fixture g.timeLossPercentage circle").length, 2);
+    });
+
+    QUnit.test("Lists only the events a competitor took part in after selecting them", function (assert) {
+        createChart();
+        selectOption("#qunit-fixture select.performanceHistoryCompetitors", 2);
+        assert.strictEqual($("#qunit-fixture table.performanceHistoryTable tbody tr").length, 1);
+        assert.deepEqual(getRowTexts(0), ["Spring", "M21", "04:00", "04:00", "0.0%", "0.0%"]);
+        assert.strictEqual($("#qunit-fixture g.performanceIndex circle").length, 1);
+    });
+
+    QUnit.test("Compares against the median of the top three after selecting that reference", function (assert) {
+        createChart();
+        selectOption("#qunit-fixture select.performanceHistoryReference", 1);
+        assert.deepEqual(getRowTexts(1), ["Summer", "M21", "03:40", "03:40", "0.0%", "0.0%"]);
+    });
+
+    QUnit.test("Shows a message and no chart if there are no competitors", function (assert) {
+        var chart = new PerformanceHistoryChart(d3.select("#qunit-fixture").node());
+        chart.setPerformanceHistory(new PerformanceHistory([{name: "Spring", event: new Event([], [], [])}]));
+        assert.strictEqual($("#qunit-fixture span.performanceHistoryHeader").text(), SplitsBrowser.getMessage("PerformanceHistoryNoCompetitors"));
+        assert.strictEqual($("#qunit-fixture table.performanceHistoryTable tbody tr").length, 0);
+        assert.strictEqual($("#qunit-fixture svg.performanceHistoryChart").css("display"), "none");
+    });
+})();
@@ -0,0 +1,132 @@
+/*
+ *  SplitsBrowser - PerformanceHistory tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var Event = SplitsBrowser.Model.Event;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var PerformanceHistory = SplitsBrowser.Model.PerformanceHistory;
+    var PerformanceReferences = SplitsBrowser.Model.PerformanceReferences;
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Performance history");
+
+    // John Smith wins the first event and runs a different class in the
+    // second.  He doesn't run the third, and Fred Brown mispunches in it.
+    function getPerformanceHistory() {
+        var event1 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 60, 60, 60]),
+            fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600, [90, 60, 60, 90]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [80, 80, 80, 80])
+        ])], [], []);
+
+        var event2 = new Event([
+            new CourseClass("M21", 3, [
+                fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [50, 50, 50, 50]),
+                fromSplitTimes(2, "Bill Baker", "GHI", 10 * 3600, [60, 60, 60, 60])
+            ]),
+            new CourseClass("M40", 2, [
+                fromSplitTimes(1, "Dave Wilson", "MNO", 10 * 3600, [40, 40, 40]),
+                fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [50, 50, 50]),
+                fromSplitTimes(3, "Paul Jones", "JKL", 10 * 3600, [60, 60, 60]),
+                fromSplitTimes(4, "Jim Green", "PQR", 10 * 3600, [70, 70, 70])
+            ])
+        ], [], []);
+
+        var event3 = new Event([new CourseClass("M21", 3, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [50, null, 50, 50]),
+            fromSplitTimes(2, "Bill Baker", "GHI", 10 * 3600, [60, 60, 60, 60])
+        ])], [], []);
+
+        [event1, event2, event3].forEach(function (eventData) { eventData.determineTimeLosses(); });
+
+        return new PerformanceHistory([{name: "Spring", event: event1}, {name: "Summer", event: event2}, {name: "Autumn", event: event3}]);
+    }
+
+    QUnit.test("Cannot create a performance history with no events", function (assert) {
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            new PerformanceHistory([]);
+        });
+    });
+
+    QUnit.test("Can get the names of the events of a performance history", function (assert) {
+        assert.deepEqual(getPerformanceHistory().getEventNames(), ["Spring", "Summer", "Autumn"]);
+    });
+
+    QUnit.test("Can get the competitors of a performance history, each listed once and sorted by name", function (assert) {
+        var competitors = getPerformanceHistory().getCompetitors();
+        assert.deepEqual(competitors.map(function (competitor) { return competitor.name; }),
+            ["Bill Baker", "Dave Wilson", "Fred Brown", "Jim Green", "John Smith", "Paul Jones"]);
+        assert.deepEqual(competitors[0], {name: "Bill Baker", club: "GHI"});
+    });
+
+    QUnit.test("Competitors with the same name but different clubs are listed separately", function (assert) {
+        var event1 = new Event([new CourseClass("M21", 1, [fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [60, 60])])], [], []);
+        var event2 = new Event([new CourseClass("M21", 1, [fromSplitTimes(1, "John Smith", "XYZ", 10 * 3600, [60, 60])])], [], []);
+        var history = new PerformanceHistory([{name: "Spring", event: event1}, {name: "Summer", event: event2}]);
+        assert.deepEqual(history.getCompetitors(), [{name: "John Smith", club: "ABC"}, {name: "John Smith", club: "XYZ"}]);
+        assert.strictEqual(history.getHistory("John Smith", "XYZ", PerformanceReferences.Winner)[0], null);
+    });
+
+    QUnit.test("The history of a competitor has a null performance for each event they did not take part in", function (assert) {
+        var history = getPerformanceHistory().getHistory("John Smith", "ABC", PerformanceReferences.Winner);
+        assert.strictEqual(history.length, 3);
+        assert.notStrictEqual(history[0], null);
+        assert.notStrictEqual(history[1], null);
+        assert.strictEqual(history[2], null);
+    });
+
+    QUnit.test("The performance index of a competitor is the percentage by which their time exceeds the winner's", function (assert) {
+        var history = getPerformanceHistory().getHistory("Bill Baker", "GHI", PerformanceReferences.Winner);
+        assert.strictEqual(history[0].className, "M21");
+        assert.strictEqual(history[0].time, 320);
+        assert.strictEqual(history[0].referenceTime, 240);
+        assert.strictEqual(history[0].performanceIndex, 100 * 80 / 240);
+        assert.strictEqual(history[1].performanceIndex, 20);
+        assert.strictEqual(history[2].performanceIndex, 0);
+    });
+
+    QUnit.test("The performance index of a competitor can be taken relative to the median time of the top three", function (assert) {
+        var history = getPerformanceHistory().getHistory("John Smith", "ABC", PerformanceReferences.TopThreeMedian);
+        assert.strictEqual(history[0].referenceTime, 300);
+        assert.strictEqual(history[0].performanceIndex, -20);
+        assert.strictEqual(history[1].className, "M40");
+        assert.strictEqual(history[1].referenceTime, 150);
+        assert.strictEqual(history[1].performanceIndex, 0);
+    });
+
+    QUnit.test("A competitor who did not complete the course has no time or performance index", function (assert) {
+        var history = getPerformanceHistory().getHistory("Fred Brown", "DEF", PerformanceReferences.Winner);
+        assert.strictEqual(history[2].time, null);
+        assert.strictEqual(history[2].referenceTime, 240);
+        assert.strictEqual(history[2].performanceIndex, null);
+        assert.strictEqual(history[2].timeLossPercentage, null);
+    });
+
+    QUnit.test("The time-loss percentage of a competitor is their total time lost as a percentage of their time", function (assert) {
+        var history = getPerformanceHistory().getHistory("Fred Brown", "DEF", PerformanceReferences.Winner);
+
+        // Fred's split ratios are 1.5, 1, 1, 1.5, so his median split ratio
+        // is 1.25 and his time losses are 15, -15, -15 and 15.
+        assert.strictEqual(history[0].timeLossPercentage, 100 * 30 / 300);
+        assert.strictEqual(history[1].timeLossPercentage, 0);
+    });
+})();
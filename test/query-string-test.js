@@ -27,9 +27,11 @@
     var Course = SplitsBrowser.Model.Course;
     var Event = SplitsBrowser.Model.Event;
     var ChartTypes = SplitsBrowser.Model.ChartTypes;
+    var TimeLossMethods = SplitsBrowser.Model.TimeLossMethods;
     
     var parseQueryString = SplitsBrowser.parseQueryString;
     var formatQueryString = SplitsBrowser.formatQueryString;
+    var parseEncodingFromQueryString = SplitsBrowser.parseEncodingFromQueryString;
     
     var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
     
@@ -37,8 +39,8 @@
     
     var INVALID_SPLIT_TIMES = [null, null, null, null];
     
-    var TOTAL_TIME_AND_TIME_LOSS = {TotalTime: true, SplitTime: false, BehindFastest: false, TimeLoss: true};
-    var NO_STATS = {TotalTime: false, SplitTime: false, BehindFastest: false, TimeLoss: false};    
+    var TOTAL_TIME_AND_TIME_LOSS = {TotalTime: true, SplitTime: false, BehindFastest: false, TimeLoss: true, Pace: false};
+    var NO_STATS = {TotalTime: false, SplitTime: false, BehindFastest: false, TimeLoss: false, Pace: false};    
     
     /**
     * Fabricates an Event object from the data given.
@@ -87,7 +89,9 @@
             selected: defaultValue(data.selected, null),
             stats: defaultValue(data.stats, null),
             showOriginal: defaultValue(data.showOriginal, false),
-            filterText: defaultValue(data.filterText, "")
+            interpolate: defaultValue(data.interpolate, false),
+            filterText: defaultValue(data.filterText, ""),
+            timeLossMethod: defaultValue(data.timeLossMethod, null)
         };
     }
     
@@ -326,12 +330,12 @@
     
     QUnit.test("Can parse a query-string containing a single statistic", function (assert) {
         assert.deepEqual(parseQueryString("stats=BehindFastest"),
-                         makeExpectedData({stats: {TotalTime: false, SplitTime: false, BehindFastest: true, TimeLoss: false}}));
+                         makeExpectedData({stats: {TotalTime: false, SplitTime: false, BehindFastest: true, TimeLoss: false, Pace: false}}));
     });
     
     QUnit.test("Can parse a query-string containing a single statistic repeated", function (assert) {
         assert.deepEqual(parseQueryString("stats=BehindFastest;BehindFastest"),
-                         makeExpectedData({stats: {TotalTime: false, SplitTime: false, BehindFastest: true, TimeLoss: false}}));
+                         makeExpectedData({stats: {TotalTime: false, SplitTime: false, BehindFastest: true, TimeLoss: false, Pace: false}}));
     });
     
     QUnit.test("Can parse a query-string containing an unrecognised statistic as null", function (assert) {
@@ -341,7 +345,7 @@
     
     QUnit.test("Can parse a query-string containing all four statistics", function (assert) {
         assert.deepEqual(parseQueryString("stats=TotalTime;SplitTime;BehindFastest;TimeLoss"),
-                         makeExpectedData({stats: {TotalTime: true, SplitTime: true, BehindFastest: true, TimeLoss: true}}));
+                         makeExpectedData({stats: {TotalTime: true, SplitTime: true, BehindFastest: true, TimeLoss: true, Pace: false}}));
     });
     
     QUnit.test("Can parse a query-string containing just the show-original flag", function (assert) {
@@ -354,6 +358,16 @@
                          makeExpectedData({showOriginal: false}));
     });
     
+    QUnit.test("Can parse a query-string containing just the interpolate flag", function (assert) {
+        assert.deepEqual(parseQueryString("interpolate=1"),
+                         makeExpectedData({interpolate: true}));
+    });
+    
+    QUnit.test("Can parse a query-string containing just the interpolate flag with a value other than '1', considered to be false", function (assert) {
+        assert.deepEqual(parseQueryString("interpolate=Yes"),
+                         makeExpectedData({interpolate: false}));
+    });
+    
     QUnit.test("Can parse a query-string containing an empty filter-text string", function (assert) {
         assert.deepEqual(parseQueryString("filterText="),
                          makeExpectedData({filterText: ""}));
@@ -369,12 +383,22 @@
                          makeExpectedData({filterText: "Test #1"}));
     });
     
-    QUnit.test("Can parse a query string containing values for all seven arguments", function (assert) {
+    QUnit.test("Can parse a query-string containing a time-loss method", function (assert) {
+        assert.deepEqual(parseQueryString("timeLoss=TopRunnersAverage"),
+                         makeExpectedData({timeLossMethod: TimeLossMethods.TopRunnersAverage}));
+    });
+    
+    QUnit.test("Can parse a query-string containing an unrecognised time-loss method", function (assert) {
+        assert.deepEqual(parseQueryString("timeLoss=ThisIsNotAValidMethod"),
+                         makeExpectedData({timeLossMethod: null}));
+    });
+    
+    QUnit.test("Can parse a query string containing values for all eight arguments", function (assert) {
         var eventData = makeEvent([{name: "Course1", classes: [{name: "TestClass1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
         var courseClass = eventData.classes[0];
         var compareWith = {index: 6, runner: courseClass.competitors[2]};
-        assert.deepEqual(parseQueryString("class=TestClass1&chartType=PositionAfterLeg&compareWith=Alan%20Berry&selected=Fred%20Jones;John%20Smith&stats=TimeLoss;TotalTime&showOriginal=1&filterText=test", eventData),
-                         {classes: [0], chartType: ChartTypes.PositionAfterLeg, compareWith: compareWith, selected: [0, 1], stats: TOTAL_TIME_AND_TIME_LOSS, showOriginal: true, filterText: "test"});
+        assert.deepEqual(parseQueryString("class=TestClass1&chartType=PositionAfterLeg&compareWith=Alan%20Berry&selected=Fred%20Jones;John%20Smith&stats=TimeLoss;TotalTime&showOriginal=1&filterText=test&timeLoss=IdealTime", eventData),
+                         {classes: [0], chartType: ChartTypes.PositionAfterLeg, compareWith: compareWith, selected: [0, 1], stats: TOTAL_TIME_AND_TIME_LOSS, showOriginal: true, interpolate: false, filterText: "test", timeLossMethod: TimeLossMethods.IdealTime});
     });
     
     QUnit.test("Can format an empty query-string with values for all seven arguments", function (assert) {
@@ -419,6 +443,22 @@
         assert.strictEqual(queryString, "class=Test%20Class%201&chartType=SplitPosition&compareWith=FastestTime&stats=");
     });
     
+    QUnit.test("Can format a query-string that estimates dubious times", function (assert) {
+        var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
+        var data = {classes: [0], chartType: ChartTypes.SplitPosition, compareWith: {index: 1, runner: null}, selected: [], stats: NO_STATS, showOriginal: false, interpolate: true, filterText: ""};
+        var courseClassSet = new CourseClassSet([eventData.classes[0]]);
+        var queryString = formatQueryString("interpolate=Yes&interpolate=Ja", eventData, courseClassSet, data);
+        assert.strictEqual(queryString, "class=Test%20Class%201&chartType=SplitPosition&compareWith=FastestTime&stats=&interpolate=1");
+    });
+    
+    QUnit.test("Can format a query-string that no longer estimates dubious times", function (assert) {
+        var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
+        var data = {classes: [0], chartType: ChartTypes.SplitPosition, compareWith: {index: 1, runner: null}, selected: [], stats: NO_STATS, showOriginal: false, interpolate: false, filterText: ""};
+        var courseClassSet = new CourseClassSet([eventData.classes[0]]);
+        var queryString = formatQueryString("interpolate=1", eventData, courseClassSet, data);
+        assert.strictEqual(queryString, "class=Test%20Class%201&chartType=SplitPosition&compareWith=FastestTime&stats=");
+    });
+    
     QUnit.test("Can format a query-string that contains all selected competitors and no statistics", function (assert) {
         var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
         var data = {classes: [0], chartType: ChartTypes.SplitPosition, compareWith: {index: 1, runner: null}, selected: [0, 1, 2], stats: NO_STATS, showOriginal: false, filterText: ""};
@@ -445,7 +485,7 @@
     
     QUnit.test("Can obtain the same data by formatting and parsing a query string using a built-in comparison and original data", function (assert) {
         var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}, {name: "Test Class 2"}]}]);
-        var data = {classes: [0, 1], chartType: ChartTypes.SplitPosition, compareWith: {index: 1, runner: null}, selected: [1, 2], stats: TOTAL_TIME_AND_TIME_LOSS, showOriginal: true, filterText: "test"};
+        var data = {classes: [0, 1], chartType: ChartTypes.SplitPosition, compareWith: {index: 1, runner: null}, selected: [1, 2], stats: TOTAL_TIME_AND_TIME_LOSS, showOriginal: true, interpolate: false, filterText: "test", timeLossMethod: TimeLossMethods.TopRunnersAverage};
         var courseClassSet = new CourseClassSet(eventData.classes.slice(0));
         var queryString = formatQueryString("", eventData, courseClassSet, data);
         var parsedData = parseQueryString(queryString, eventData);
@@ -455,11 +495,53 @@
     QUnit.test("Can obtain the same data by formatting and parsing a query string comparing against a runner and not showing original data", function (assert) {
         var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
         var competitor = eventData.classes[0].competitors[1];
-        var data = {classes: [0], chartType: ChartTypes.SplitPosition, compareWith: {index: 6, runner: competitor}, selected: [1, 2], stats: TOTAL_TIME_AND_TIME_LOSS, showOriginal: false, filterText: "test"};
+        var data = {classes: [0], chartType: ChartTypes.SplitPosition, compareWith: {index: 6, runner: competitor}, selected: [1, 2], stats: TOTAL_TIME_AND_TIME_LOSS, showOriginal: false, interpolate: false, filterText: "test", timeLossMethod: null};
         var courseClassSet = new CourseClassSet(eventData.classes.slice(0));
         var queryString = formatQueryString("", eventData, courseClassSet, data);
         var parsedData = parseQueryString(queryString, eventData);
         assert.deepEqual(parsedData, data, "Should have read the same data back after formatting a query string.  Query string: " + queryString);
     });
+    
+    QUnit.test("Can obtain the same data by formatting and parsing a query string estimating dubious times", function (assert) {
+        var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
+        var data = {classes: [0], chartType: ChartTypes.SplitsGraph, compareWith: {index: 1, runner: null}, selected: [0], stats: NO_STATS, showOriginal: false, interpolate: true, filterText: "", timeLossMethod: null};
+        var courseClassSet = new CourseClassSet(eventData.classes.slice(0));
+        var queryString = formatQueryString("", eventData, courseClassSet, data);
+        var parsedData = parseQueryString(queryString, eventData);
+        assert.deepEqual(parsedData, data, "Should have read the same data back after formatting a query string.  Query string: " + queryString);
+    });
+    
+    QUnit.test("Can parse an encoding from a query string", function (assert) {
+        assert.strictEqual(parseEncodingFromQueryString("?class=Test%20Class%201&encoding=iso-8859-2"), "iso-8859-2");
+        assert.strictEqual(parseEncodingFromQueryString("encoding=windows-1250"), "windows-1250");
+    });
+    
+    QUnit.test("Parses a null encoding from a query string without one", function (assert) {
+        assert.strictEqual(parseEncodingFromQueryString("?class=Test%20Class%201&chartType=SplitPosition"), null);
+    });
+    
+    QUnit.test("Preserves an encoding when formatting a query-string", function (assert) {
+        var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}, {name: "Fred Jones"}, {name: "Alan Berry"}]}]}]);
+        var data = {classes: [0], chartType: ChartTypes.SplitPosition, compareWith: {index: 1, runner: null}, selected: [], stats: NO_STATS, showOriginal: false, filterText: ""};
+        var courseClassSet = new CourseClassSet([eventData.classes[0]]);
+        var queryString = formatQueryString("encoding=iso-8859-2", eventData, courseClassSet, data);
+        assert.strictEqual(parseEncodingFromQueryString(queryString), "iso-8859-2");
+    });
+    
+    QUnit.test("Can format a query-string with a time-loss method, replacing any existing time-loss method", function (assert) {
+        var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}]}]}]);
+        var data = {classes: [0], chartType: ChartTypes.SplitsGraph, compareWith: {index: 1, runner: null}, selected: [], stats: NO_STATS, showOriginal: false, filterText: "", timeLossMethod: TimeLossMethods.IdealTime};
+        var courseClassSet = new CourseClassSet([eventData.classes[0]]);
+        var queryString = formatQueryString("timeLoss=TopRunnersAverage", eventData, courseClassSet, data);
+        assert.strictEqual(queryString, "class=Test%20Class%201&chartType=SplitsGraph&compareWith=FastestTime&stats=&timeLoss=IdealTime");
+    });
+    
+    QUnit.test("Formatting a query-string with the default time-loss method removes any existing time-loss method", function (assert) {
+        var eventData = makeEvent([{name: "Course1", classes: [{name: "Test Class 1", competitors: [{name: "John Smith"}]}]}]);
+        var data = {classes: [0], chartType: ChartTypes.SplitsGraph, compareWith: {index: 1, runner: null}, selected: [], stats: NO_STATS, showOriginal: false, filterText: "", timeLossMethod: TimeLossMethods.MedianSplitRatio};
+        var courseClassSet = new CourseClassSet([eventData.classes[0]]);
+        var queryString = formatQueryString("timeLoss=IdealTime", eventData, courseClassSet, data);
+        assert.strictEqual(queryString, "class=Test%20Class%201&chartType=SplitsGraph&compareWith=FastestTime&stats=");
+    });
         
 }());
\ No newline at end of file
@@ -0,0 +1,110 @@
+/*
+ *  SplitsBrowser - RankingPointsSelector tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var RankingPointsSelector = SplitsBrowser.Controls.RankingPointsSelector;
+    var RankingPointsSchemes = SplitsBrowser.Model.RankingPointsSchemes;
+
+    QUnit.module("Ranking Points Selector");
+
+    var schemes = [RankingPointsSchemes.BritishOrienteering, RankingPointsSchemes.WinnerPercentage];
+
+    var lastScheme = null;
+    var callCount = 0;
+
+    function handleSchemeChanged(scheme) {
+        lastScheme = scheme;
+        callCount += 1;
+    }
+
+    function createSelector() {
+        lastScheme = null;
+        callCount = 0;
+        return new RankingPointsSelector(d3.select("#qunit-fixture").node(), schemes);
+    }
+
+    QUnit.test("Can construct the selector with no ranking points selected", function (assert) {
+        var selector = createSelector();
+
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.strictEqual(htmlSelect.options.length, 3, "Three items should be created");
+        assert.strictEqual($(htmlSelect.options[0]).text(), SplitsBrowser.getMessage("RankingPointsNone"));
+        assert.strictEqual($(htmlSelect.options[2]).text(), SplitsBrowser.getMessage("RankingPointsWinnerPercentage"));
+        assert.strictEqual(selector.getRankingPointsScheme(), null);
+    });
+
+    QUnit.test("Changing a value in the selector calls the change handler with the scheme selected", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleSchemeChanged);
+
+        $("#qunit-fixture select").val(1).change();
+
+        assert.strictEqual(lastScheme, RankingPointsSchemes.BritishOrienteering);
+        assert.strictEqual(callCount, 1);
+        assert.strictEqual(selector.getRankingPointsScheme(), RankingPointsSchemes.BritishOrienteering);
+    });
+
+    QUnit.test("Registering the same handler twice and changing a value in the selector calls the handler only once", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleSchemeChanged);
+        selector.registerChangeHandler(handleSchemeChanged);
+
+        $("#qunit-fixture select").val(2).change();
+
+        assert.strictEqual(lastScheme, RankingPointsSchemes.WinnerPercentage);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the scheme to a recognised scheme selects it and calls the change handler", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleSchemeChanged);
+
+        selector.setRankingPointsScheme(RankingPointsSchemes.WinnerPercentage);
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 2);
+        assert.strictEqual(selector.getRankingPointsScheme(), RankingPointsSchemes.WinnerPercentage);
+        assert.strictEqual(lastScheme, RankingPointsSchemes.WinnerPercentage);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the scheme back to none selects no ranking points", function (assert) {
+        var selector = createSelector();
+        selector.setRankingPointsScheme(RankingPointsSchemes.WinnerPercentage);
+        selector.registerChangeHandler(handleSchemeChanged);
+
+        selector.setRankingPointsScheme(null);
+
+        assert.strictEqual(selector.getRankingPointsScheme(), null);
+        assert.strictEqual(lastScheme, null);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the scheme to an unrecognised scheme does nothing and does not call the change handler", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleSchemeChanged);
+
+        selector.setRankingPointsScheme("This is not a recognised scheme");
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 0);
+        assert.strictEqual(callCount, 0);
+    });
+})();
@@ -0,0 +1,121 @@
+/*
+ *  SplitsBrowser - Ranking points tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Event = SplitsBrowser.Model.Event;
+    var RankingPointsSchemes = SplitsBrowser.Model.RankingPointsSchemes;
+    var createCustomRankingPointsScheme = SplitsBrowser.Model.createCustomRankingPointsScheme;
+
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Ranking points");
+
+    // Finish times are 400, 800 and 1200 seconds for the competitive
+    // finishers.  Dave Jones is non-competitive, Mark Gray mispunched,
+    // Paul Green was disqualified and Jim White was over the maximum time.
+    function getTestClass() {
+        var daveJones = fromSplitTimes(4, "Dave Jones", "JKL", 10 * 3600, [50, 50, 50, 50]);
+        daveJones.setNonCompetitive();
+        var paulGreen = fromSplitTimes(6, "Paul Green", "PQR", 10 * 3600, [60, 60, 60, 60]);
+        paulGreen.disqualify();
+        var jimWhite = fromSplitTimes(7, "Jim White", "STU", 10 * 3600, [70, 70, 70, 70]);
+        jimWhite.setOverMaxTime();
+        return new CourseClass("Test class", 3, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [100, 100, 100, 100]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [200, 200, 200, 200]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600, [300, 300, 300, 300]),
+            daveJones,
+            fromSplitTimes(5, "Mark Gray", "MNO", 10 * 3600, [50, 150, null, 90]),
+            paulGreen,
+            jimWhite
+        ]);
+    }
+
+    function getRankingPoints(courseClass) {
+        return courseClass.competitors.map(function (comp) { return comp.rankingPoints; });
+    }
+
+    QUnit.test("British Orienteering points are based on the mean and standard deviation of the finish times", function (assert) {
+        assert.deepEqual(RankingPointsSchemes.BritishOrienteering.getPoints([400, 800, 1200]), [1200, 1000, 800]);
+    });
+
+    QUnit.test("British Orienteering points are rounded to the nearest whole number", function (assert) {
+        assert.deepEqual(RankingPointsSchemes.BritishOrienteering.getPoints([400, 500, 1200]), [1138, 1092, 771]);
+    });
+
+    QUnit.test("British Orienteering points are the mean points if there is only one finisher", function (assert) {
+        assert.deepEqual(RankingPointsSchemes.BritishOrienteering.getPoints([400]), [1000]);
+    });
+
+    QUnit.test("British Orienteering points are the mean points if all finishers took the same time", function (assert) {
+        assert.deepEqual(RankingPointsSchemes.BritishOrienteering.getPoints([400, 400]), [1000, 1000]);
+    });
+
+    QUnit.test("Winner-percentage points are the winner's time as a percentage of each competitor's time", function (assert) {
+        assert.deepEqual(RankingPointsSchemes.WinnerPercentage.getPoints([800, 400, 1200]), [50, 100, 33.33]);
+    });
+
+    QUnit.test("Custom points are calculated by calling the formula with each time and all of the times, sorted", function (assert) {
+        var calls = [];
+        var scheme = createCustomRankingPointsScheme(function (time, sortedTimes) {
+            calls.push(sortedTimes);
+            return sortedTimes.length * 1000 - time;
+        });
+
+        assert.deepEqual(scheme.getPoints([800, 400]), [1200, 1600]);
+        assert.deepEqual(calls, [[400, 800], [400, 800]]);
+    });
+
+    QUnit.test("Cannot create a custom ranking-points scheme without a formula function", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () {
+            createCustomRankingPointsScheme("1000 - time");
+        });
+    });
+
+    QUnit.test("Only competitive finishers in a class are awarded ranking points", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.determineRankingPoints(RankingPointsSchemes.BritishOrienteering);
+        assert.deepEqual(getRankingPoints(courseClass), [1200, 1000, 800, null, null, null, null]);
+    });
+
+    QUnit.test("Non-competitive finishers do not affect the ranking points of others", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.determineRankingPoints(RankingPointsSchemes.WinnerPercentage);
+        assert.deepEqual(getRankingPoints(courseClass), [100, 50, 33.33, null, null, null, null]);
+    });
+
+    QUnit.test("No competitors are awarded ranking points if no scheme is given", function (assert) {
+        var courseClass = getTestClass();
+        courseClass.determineRankingPoints(RankingPointsSchemes.WinnerPercentage);
+        courseClass.determineRankingPoints(null);
+        assert.deepEqual(getRankingPoints(courseClass), [null, null, null, null, null, null, null]);
+    });
+
+    QUnit.test("Can determine the ranking points of the competitors in every class of an event", function (assert) {
+        var courseClass1 = getTestClass();
+        var courseClass2 = new CourseClass("Test class 2", 1, [fromSplitTimes(1, "Jane Smith", "ABC", 10 * 3600, [100, 100])]);
+        new Event([courseClass1, courseClass2], [], []).determineRankingPoints(RankingPointsSchemes.WinnerPercentage);
+        assert.strictEqual(courseClass1.competitors[1].rankingPoints, 50);
+        assert.strictEqual(courseClass2.competitors[0].rankingPoints, 100);
+    });
+})();
@@ -0,0 +1,132 @@
+/*
+ *  SplitsBrowser - RelayViewSelector tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var RelayViewSelector = SplitsBrowser.Controls.RelayViewSelector;
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var Course = SplitsBrowser.Model.Course;
+    var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
+
+    QUnit.module("Relay View Selector");
+
+    var lastClass = null;
+    var callCount = 0;
+
+    function handleViewChanged(courseClass) {
+        lastClass = courseClass;
+        callCount += 1;
+    }
+
+    function createSelector() {
+        lastClass = null;
+        callCount = 0;
+        return new RelayViewSelector(d3.select("#qunit-fixture").node());
+    }
+
+    /**
+    * Returns a relay class with two legs, the second of which is forked into
+    * variations on courses 'A' and 'B'.
+    * @return {CourseClass} The relay class.
+    */
+    function getRelayClass() {
+        var teamClass = new CourseClass("Relay", 7, []);
+        teamClass.setRelayTeams([], [2, 2]);
+        var leg1Class = new CourseClass("Relay - Leg 1", 2, []);
+        var leg2AClass = new CourseClass("Relay - Leg 2 - A", 2, []);
+        leg2AClass.setCourse(new Course("A", [leg2AClass], null, null, null));
+        var leg2BClass = new CourseClass("Relay - Leg 2 - B", 2, []);
+        leg2BClass.setCourse(new Course("B", [leg2BClass], null, null, null));
+        teamClass.setRelayLegClasses([[leg1Class], [leg2AClass, leg2BClass]]);
+        return teamClass;
+    }
+
+    function getOptionTexts() {
+        return $("#qunit-fixture select option").map(function () { return $(this).text(); }).get();
+    }
+
+    QUnit.test("Can construct the selector, hidden and with no views", function (assert) {
+        createSelector();
+        assert.strictEqual($("#qunit-fixture select option").length, 0);
+        assert.strictEqual($("#qunit-fixture div#relayViewSelectorContainer").css("display"), "none");
+    });
+
+    QUnit.test("Setting a relay class lists the teams and each leg and shows the selector, with the teams selected", function (assert) {
+        var selector = createSelector();
+        selector.setClass(getRelayClass());
+        assert.deepEqual(getOptionTexts(), [
+            getMessage("RelayViewTeams"),
+            getMessageWithFormatting("RelayViewLeg", {"$$LEG$$": 1}),
+            getMessageWithFormatting("RelayViewLeg", {"$$LEG$$": 2}) + " (A)",
+            getMessageWithFormatting("RelayViewLeg", {"$$LEG$$": 2}) + " (B)"
+        ]);
+        assert.notStrictEqual($("#qunit-fixture div#relayViewSelectorContainer").css("display"), "none");
+        assert.strictEqual($("#qunit-fixture select").prop("selectedIndex"), 0);
+    });
+
+    QUnit.test("Setting the class of a leg of a relay lists the views of the relay with that leg selected", function (assert) {
+        var selector = createSelector();
+        var teamClass = getRelayClass();
+        selector.setClass(teamClass.relayLegClasses[1][1]);
+        assert.strictEqual($("#qunit-fixture select option").length, 4);
+        assert.strictEqual($("#qunit-fixture select").prop("selectedIndex"), 3);
+    });
+
+    QUnit.test("Setting a class that isn't part of a relay hides the selector", function (assert) {
+        var selector = createSelector();
+        selector.setClass(getRelayClass());
+        selector.setClass(new CourseClass("Test class", 3, []));
+        assert.strictEqual($("#qunit-fixture select option").length, 0);
+        assert.strictEqual($("#qunit-fixture div#relayViewSelectorContainer").css("display"), "none");
+    });
+
+    QUnit.test("Setting no class hides the selector", function (assert) {
+        var selector = createSelector();
+        selector.setClass(null);
+        assert.strictEqual($("#qunit-fixture div#relayViewSelectorContainer").css("display"), "none");
+    });
+
+    QUnit.test("Changing the selected view calls the change handler with the class to view", function (assert) {
+        var selector = createSelector();
+        var teamClass = getRelayClass();
+        selector.setClass(teamClass);
+        selector.registerChangeHandler(handleViewChanged);
+
+        $("#qunit-fixture select").val(1).change();
+
+        assert.strictEqual(lastClass, teamClass.relayLegClasses[0][0]);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Registering the same handler twice and changing the selected view calls the handler only once", function (assert) {
+        var selector = createSelector();
+        var teamClass = getRelayClass();
+        selector.setClass(teamClass.relayLegClasses[0][0]);
+        selector.registerChangeHandler(handleViewChanged);
+        selector.registerChangeHandler(handleViewChanged);
+
+        $("#qunit-fixture select").val(0).change();
+
+        assert.strictEqual(lastClass, teamClass);
+        assert.strictEqual(callCount, 1);
+    });
+})();
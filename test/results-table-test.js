@@ -22,11 +22,13 @@
     "use strict";
     
     var getMessage = SplitsBrowser.getMessage;
+    var getMessageWithFormatting = SplitsBrowser.getMessageWithFormatting;
     var ResultsTable = SplitsBrowser.Controls.ResultsTable;
     var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
     var CourseClass = SplitsBrowser.Model.CourseClass;
     var CourseClassSet = SplitsBrowser.Model.CourseClassSet;
     var Course = SplitsBrowser.Model.Course;
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
 
     var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
     
@@ -105,6 +107,28 @@
         assert.strictEqual(tableHeaders.nodes()[5].innerHTML, "3&nbsp;(141)");
     });
     
+    QUnit.test("Can create a results table on a forked course with the control codes of each variation", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [65, 221, 184, 100]);
+        competitor1.setVariation("A");
+        var competitor2 = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [81, 197, 212, 106]);
+        competitor2.setVariation("B");
+        var courseClass = new CourseClass("Test", 3, [competitor1, competitor2]);
+        calculateRanks(courseClass);
+        
+        var course = new Course("Test", [courseClass], 4.1, 140, null);
+        course.setVariations([{name: "A", controls: ["138", "152", "141"]}, {name: "B", controls: ["152", "138", "141"]}]);
+        courseClass.setCourse(course);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var tableHeaders = d3.select("table.resultsTable").selectAll("thead tr th");
+        assert.strictEqual(tableHeaders.size(), 7);
+        assert.strictEqual(tableHeaders.nodes()[3].innerHTML, "1&nbsp;(138/152)");
+        assert.strictEqual(tableHeaders.nodes()[4].innerHTML, "2&nbsp;(152/138)");
+        assert.strictEqual(tableHeaders.nodes()[5].innerHTML, "3&nbsp;(141)");
+    });
+    
     QUnit.test("Can create a results table with one competitor not finishing sorted to the bottom", function (assert) {
         var competitor1 = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [65, 221, null, 100]);
         var competitor2 = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [81, 197, 212, 106]);
@@ -296,6 +320,30 @@
         }
     });
     
+    QUnit.test("Can create a results table with one competitor with an estimated time showing the estimated time as a tooltip", function (assert) {
+        var competitor1 = fromOriginalCumTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [0, 65, 65 + 0, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+        competitor1.setRepairedCumulativeTimes([0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100], [false, false, true, false, false]);
+        var courseClass = new CourseClass("Test", 3, [competitor1]);
+        courseClass.setCourse(new Course("Test", [courseClass], 4.1, 140, null));
+        calculateRanks(courseClass);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var tableCells = $("table.resultsTable tbody tr td");
+        assert.strictEqual(tableCells.length, 7);
+        
+        for (var cellIndex = 3; cellIndex < 7; cellIndex += 1) {
+            var cell = tableCells[cellIndex];
+            
+            // Cell index 4 is control 2, whose cumulative time has been
+            // estimated.
+            var expectedTooltip = (cellIndex === 4) ? getMessageWithFormatting("ResultsTableEstimatedTimeTooltip", {"$$TIME$$": "04:46"}) : undefined;
+            assert.strictEqual($("span:first-child", cell).attr("title"), expectedTooltip);
+            assert.strictEqual($("span:first-child", cell).hasClass("dubious"), (cellIndex === 4));
+        }
+    });
+    
     QUnit.test("Can create a results table with one competitor with fractional times appropriately formatted", function (assert) {
         var competitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [65.3, 221.0, 184.7, 100.5]);
         var courseClass = new CourseClass("Test", 3, [competitor]);
@@ -322,4 +370,156 @@
         var split3Cell = $("span:last-child", tableCells[5]);
         assert.strictEqual(split3Cell.text(), "03:04.7");
     });
-})();
\ No newline at end of file
+    
+    QUnit.test("Can create a results table for a relay class showing the changeovers and the positions of the teams at them", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Team A", "ABC", 10 * 3600, [65, 221, 184, 100]);
+        var competitor2 = fromSplitTimes(2, "Team B", "DEF", 10 * 3600, [81, 197, 212, 106]);
+        var courseClass = new CourseClass("Test", 3, [competitor1, competitor2]);
+        courseClass.setRelayTeams([], [1, 1]);
+        courseClass.setCourse(new Course("Test", [courseClass], null, null, null));
+        calculateRanks(courseClass);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var table = d3.select("table.resultsTable").node();
+        var tableHeaders = $("thead tr th", table);
+        assert.strictEqual(tableHeaders[3].innerHTML, "1");
+        assert.strictEqual($(tableHeaders[4]).text(), "2\u00a0(" + getMessage("ResultsTableHeaderChangeover").replace("$$LEG$$", "1") + ")");
+        assert.strictEqual(tableHeaders[5].innerHTML, "3");
+        
+        var rows = $("tbody tr", table);
+        assert.strictEqual($("span:first-child", $("td", rows[0])[4]).text(), "04:46\u00a0(2)");
+        assert.strictEqual($("span:first-child", $("td", rows[1])[4]).text(), "04:38\u00a0(1)");
+        assert.strictEqual($("span:first-child", $("td", rows[0])[5]).text(), "07:50", "Positions should be shown only at changeovers");
+    });
+
+    QUnit.test("Can create a results table for a relay class on a course with controls showing the changeovers", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Team A", "ABC", 10 * 3600, [65, 221, 184, 100]);
+        var competitor2 = fromSplitTimes(2, "Team B", "DEF", 10 * 3600, [81, 197, 212, 106]);
+        var courseClass = new CourseClass("Test", 3, [competitor1, competitor2]);
+        courseClass.setRelayTeams([], [1, 1]);
+        courseClass.setCourse(new Course("Test", [courseClass], null, null, ["138", "152", "141"]));
+        calculateRanks(courseClass);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var tableHeaders = $("thead tr th", d3.select("table.resultsTable").node());
+        assert.strictEqual($(tableHeaders[3]).text(), "1\u00a0(138)");
+        assert.strictEqual($(tableHeaders[4]).text(), "2\u00a0(152)\u00a0(" + getMessage("ResultsTableHeaderChangeover").replace("$$LEG$$", "1") + ")");
+        assert.strictEqual($(tableHeaders[5]).text(), "3\u00a0(141)");
+    });
+
+    QUnit.test("Can create a results table for a score class showing the points and the punches of each competitor", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [300]);
+        competitor1.setScoreResult(new ScoreResult([{code: "41", time: 150, points: 10}], null, 0));
+        var competitor2 = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [400]);
+        competitor2.setScoreResult(new ScoreResult([{code: "31", time: 100, points: 10}, {code: "32", time: 250, points: 20}], null, 5));
+        var courseClass = new CourseClass("Test", 0, [competitor1, competitor2]);
+        courseClass.setCourse(new Course("Test", [courseClass], null, null, null));
+        calculateRanks(courseClass);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var table = d3.select("table.resultsTable").node();
+        var tableHeaders = $("thead tr th", table);
+        assert.strictEqual(tableHeaders.length, 8);
+        assert.strictEqual($(tableHeaders[3]).text(), getMessage("ResultsTableHeaderPoints"));
+        assert.strictEqual($(tableHeaders[4]).text(), getMessage("ResultsTableHeaderPenalty"));
+        assert.strictEqual($(tableHeaders[5]).text(), getMessage("ResultsTableHeaderNetPoints"));
+        assert.strictEqual($(tableHeaders[6]).text(), "1");
+        assert.strictEqual($(tableHeaders[7]).text(), "2");
+        
+        var rows = $("tbody tr", table);
+        var topRowCells = $("td", rows[0]);
+        assert.strictEqual($("span:first-child", topRowCells[1]).text(), "John Smith", "Competitor with more points should be first");
+        assert.strictEqual($("span:first-child", topRowCells[3]).text(), "30");
+        assert.strictEqual($("span:first-child", topRowCells[4]).text(), "5");
+        assert.strictEqual($("span:first-child", topRowCells[5]).text(), "25");
+        assert.strictEqual($("span:first-child", topRowCells[6]).text(), "31\u00a0(10)");
+        assert.strictEqual($("span:last-child", topRowCells[6]).text(), "01:40");
+        assert.strictEqual($("span:first-child", topRowCells[7]).text(), "32\u00a0(20)");
+        assert.strictEqual($("span:last-child", topRowCells[7]).text(), "04:10");
+        assert.strictEqual($("td", rows[1]).length, 7);
+    });
+
+    QUnit.test("Can create a results table showing the pace of each competitor over the whole course", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [65, 221, 184, 100]);
+        var competitor2 = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [81, 197, null, 106]);
+        var courseClass = new CourseClass("Test", 3, [competitor1, competitor2]);
+        calculateRanks(courseClass);
+        courseClass.setCourse(new Course("Test", [courseClass], 4, 140, null));
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var rows = $("tbody tr", d3.select("table.resultsTable").node());
+        assert.strictEqual($("span:last-child", $("td", rows[0])[2]).text(), "02:23/km");
+        assert.strictEqual($("span:last-child", $("td", rows[1])[2]).text(), "\u00a0", "No pace should be shown for a mispunching competitor");
+    });
+    
+    QUnit.test("Can create a results table showing the ranking points awarded to each competitor after their time", function (assert) {
+        var competitor1 = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [65, 221, 184, 100]);
+        var competitor2 = fromSplitTimes(2, "John Smith", "ABC", 10 * 3600, [81, 197, null, 106]);
+        var courseClass = new CourseClass("Test", 3, [competitor1, competitor2]);
+        calculateRanks(courseClass);
+        courseClass.setCourse(new Course("Test", [courseClass], 4, 140, null));
+        courseClass.determineRankingPoints(SplitsBrowser.Model.RankingPointsSchemes.WinnerPercentage);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var table = d3.select("table.resultsTable");
+        var tableHeaders = table.selectAll("thead tr th");
+        assert.strictEqual(tableHeaders.size(), 8);
+        assert.strictEqual(tableHeaders.nodes()[3].innerHTML, getMessage("ResultsTableHeaderRankingPoints"));
+        assert.strictEqual(tableHeaders.nodes()[4].innerHTML, "1");
+        
+        var rows = $("tbody tr", table.node());
+        assert.strictEqual($("td", rows[0]).length, 8);
+        assert.strictEqual($("span:first-child", $("td", rows[0])[3]).text(), "100");
+        assert.strictEqual($("span:first-child", $("td", rows[1])[3]).text(), "\u00a0", "No ranking points should be shown for a mispunching competitor");
+    });
+    
+    QUnit.test("Can create a results table with no ranking-points column if no ranking points have been awarded", function (assert) {
+        var competitor = fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [65, 221, 184, 100]);
+        var courseClass = new CourseClass("Test", 3, [competitor]);
+        calculateRanks(courseClass);
+        courseClass.setCourse(new Course("Test", [courseClass], 4, 140, null));
+        courseClass.determineRankingPoints(null);
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        assert.strictEqual(d3.selectAll("table.resultsTable thead tr th").size(), 7);
+    });
+    
+    QUnit.test("Can create a results table showing graded times, with competitors ranked by their graded times", function (assert) {
+        var competitor1 = fromSplitTimes(1, "John Smith", "ABC", 10 * 3600, [65, 221, 184, 100]);
+        var competitor2 = fromSplitTimes(2, "Fred Brown", "DEF", 10 * 3600 + 30 * 60, [81, 197, 212, 106]);
+        competitor2.setGradingFactor(0.9);
+        var courseClass = new CourseClass("Test", 3, [competitor1, competitor2]);
+        calculateRanks(courseClass);
+        courseClass.setCourse(new Course("Test", [courseClass], 4, 140, null));
+        
+        var resultsTable = new ResultsTable(d3.select("#qunit-fixture").node());
+        resultsTable.setClass(courseClass);
+        
+        var table = d3.select("table.resultsTable");
+        var tableHeaders = table.selectAll("thead tr th");
+        assert.strictEqual(tableHeaders.size(), 8);
+        assert.strictEqual(tableHeaders.nodes()[3].innerHTML, getMessage("ResultsTableHeaderGradedTime"));
+        
+        var rows = $("tbody tr", table.node());
+        assert.strictEqual($("td", rows[0]).first().text(), "1");
+        assert.strictEqual($("td", rows[0])[1].textContent.indexOf("Fred Brown"), 0, "The competitor with the faster graded time should be first");
+        assert.strictEqual($("span:first-child", $("td", rows[0])[2]).text(), "09:56");
+        assert.strictEqual($("span:first-child", $("td", rows[0])[3]).text(), "08:56");
+        assert.strictEqual($("span:last-child", $("td", rows[0])[3]).text(), "\u00d70.900");
+        assert.strictEqual($("td", rows[1]).first().text(), "2");
+        assert.strictEqual($("span:first-child", $("td", rows[1])[3]).text(), "09:30");
+        assert.strictEqual($("span:last-child", $("td", rows[1])[3]).text(), "\u00a0");
+    });
+})();
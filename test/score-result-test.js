@@ -0,0 +1,75 @@
+/*
+ *  SplitsBrowser - ScoreResult tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var ScoreResult = SplitsBrowser.Model.ScoreResult;
+
+    QUnit.module("ScoreResult");
+
+    function getPunchesWithPoints() {
+        return [{code: "31", time: 184, points: 30}, {code: "52", time: 411, points: 50}, {code: "44", time: 597, points: 40}];
+    }
+
+    function getPunchesWithoutPoints() {
+        return [{code: "31", time: 184, points: null}, {code: "52", time: 411, points: null}];
+    }
+
+    QUnit.test("Cannot create a score result if the punches are not an array", function (assert) {
+        SplitsBrowserTest.assertException(assert, "TypeError", function () {
+            new ScoreResult("this is not an array", 100, 0);
+        });
+    });
+
+    QUnit.test("Can create a score result with points given", function (assert) {
+        var scoreResult = new ScoreResult(getPunchesWithoutPoints(), 80, 10);
+        assert.strictEqual(scoreResult.points, 80);
+        assert.strictEqual(scoreResult.penalty, 10);
+        assert.strictEqual(scoreResult.getNetPoints(), 70);
+    });
+
+    QUnit.test("Score result calculates its points from the punches if not given", function (assert) {
+        var scoreResult = new ScoreResult(getPunchesWithPoints(), null, 0);
+        assert.strictEqual(scoreResult.points, 120);
+        assert.strictEqual(scoreResult.getNetPoints(), 120);
+    });
+
+    QUnit.test("Score result has null points if not given and the points of the punches are not known", function (assert) {
+        var scoreResult = new ScoreResult(getPunchesWithoutPoints(), null, 5);
+        assert.strictEqual(scoreResult.points, null);
+        assert.strictEqual(scoreResult.getNetPoints(), null);
+    });
+
+    QUnit.test("Score result determines whether the points of all of the punches are known", function (assert) {
+        assert.ok(new ScoreResult(getPunchesWithPoints(), null, 0).hasPointsForAllPunches(), "Points should be known for all punches");
+        assert.ok(!new ScoreResult(getPunchesWithoutPoints(), null, 0).hasPointsForAllPunches(), "Points should not be known for all punches");
+    });
+
+    QUnit.test("Can get the cumulative points after each punch", function (assert) {
+        var scoreResult = new ScoreResult(getPunchesWithPoints(), null, 0);
+        assert.deepEqual(scoreResult.getCumulativeValues(true), [30, 80, 120]);
+    });
+
+    QUnit.test("Can get the cumulative number of controls after each punch", function (assert) {
+        var scoreResult = new ScoreResult(getPunchesWithoutPoints(), 80, 0);
+        assert.deepEqual(scoreResult.getCumulativeValues(false), [1, 2]);
+    });
+})();
@@ -41,7 +41,7 @@
     QUnit.test("All statistics disabled by clearAll method", function (assert) {
         var selector = new Selector(d3.select("#qunit-fixture").node());
         selector.clearAll();
-        assert.deepEqual(selector.getVisibleStatistics(), {TotalTime: false, SplitTime: false, BehindFastest: false, TimeLoss: false});
+        assert.deepEqual(selector.getVisibleStatistics(), {TotalTime: false, SplitTime: false, BehindFastest: false, TimeLoss: false, Pace: false});
     });
 
     QUnit.test("Can register change handler and have it called", function (assert) {
@@ -53,7 +53,7 @@
         
         var checkboxes = $("#qunit-fixture input");
         $(checkboxes[0]).prop("checked", true).change();
-        assert.deepEqual(lastVisibleStats, {TotalTime: true, SplitTime: false, BehindFastest: false, TimeLoss: false});
+        assert.deepEqual(lastVisibleStats, {TotalTime: true, SplitTime: false, BehindFastest: false, TimeLoss: false, Pace: false});
         assert.strictEqual(1, callCount);
     });
 
@@ -68,7 +68,7 @@
         var checkboxes = $("#qunit-fixture input");
         $(checkboxes[1]).prop("checked", true).change();
         
-        assert.deepEqual(lastVisibleStats, {TotalTime: false, SplitTime: true, BehindFastest: false, TimeLoss: false});
+        assert.deepEqual(lastVisibleStats, {TotalTime: false, SplitTime: true, BehindFastest: false, TimeLoss: false, Pace: false});
         assert.strictEqual(1, callCount);
     });
 
@@ -91,7 +91,7 @@
         var checkboxes = $("#qunit-fixture input");
         $(checkboxes[2]).prop("checked", true).change();
         
-        var expectedStats = {TotalTime: false, SplitTime: false, BehindFastest: true, TimeLoss: false};
+        var expectedStats = {TotalTime: false, SplitTime: false, BehindFastest: true, TimeLoss: false, Pace: false};
         assert.deepEqual(lastVisibleStats, expectedStats);
         assert.strictEqual(1, callCount);
         assert.deepEqual(lastVisibleStats2, expectedStats);
@@ -107,7 +107,7 @@
         
         var checkboxes = $("#qunit-fixture input");
         $(checkboxes[3]).prop("checked", true).change();
-        var expectedResult = {TotalTime: false, SplitTime: false, BehindFastest: false, TimeLoss: true};
+        var expectedResult = {TotalTime: false, SplitTime: false, BehindFastest: false, TimeLoss: true, Pace: false};
         assert.deepEqual(lastVisibleStats, expectedResult);
         assert.strictEqual(1, callCount);
         
@@ -134,8 +134,8 @@
         
         selector.registerChangeHandler(testChangeHandler);
         
-        selector.setVisibleStatistics({TotalTime: false, SplitTime: true, BehindFastest: false, TimeLoss: true});
-        assert.deepEqual(lastVisibleStats, {TotalTime: false, SplitTime: true, BehindFastest: false, TimeLoss: true});
+        selector.setVisibleStatistics({TotalTime: false, SplitTime: true, BehindFastest: false, TimeLoss: true, Pace: false});
+        assert.deepEqual(lastVisibleStats, {TotalTime: false, SplitTime: true, BehindFastest: false, TimeLoss: true, Pace: false});
         assert.strictEqual(1, callCount);
         var checkboxes = $("#qunit-fixture input");
         for (var index = 0; index < 4; index += 1) {
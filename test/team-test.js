@@ -0,0 +1,125 @@
+/*
+ *  SplitsBrowser - Team tests.
+ *
+ *  Copyright (C) 2000-2020 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var fromOriginalCumTimes = SplitsBrowser.Model.Competitor.fromOriginalCumTimes;
+    var Team = SplitsBrowser.Model.Team;
+
+    QUnit.module("Team");
+
+    function getFirstLegRunner() {
+        return fromOriginalCumTimes(1, "John Smith", "Team A", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, 65 + 221 + 184 + 100]);
+    }
+
+    function getSecondLegRunner() {
+        return fromOriginalCumTimes(2, "Fred Brown", "Team A", 10 * 3600 + 570, [0, 81, 81 + 197, 81 + 197 + 106]);
+    }
+
+    function getSecondLegRunnerWithStartTime(startTime) {
+        return fromOriginalCumTimes(2, "Fred Brown", "Team A", startTime, [0, 81, 81 + 197, 81 + 197 + 106]);
+    }
+
+    var LEG_CONTROL_COUNTS = [3, 2];
+
+    QUnit.test("Can get the members of a team by leg", function (assert) {
+        var firstLegRunner = getFirstLegRunner();
+        var secondLegRunner = getSecondLegRunner();
+        var team = new Team("Team A", "ABC", [firstLegRunner, secondLegRunner]);
+        assert.strictEqual(team.getMember(0), firstLegRunner);
+        assert.strictEqual(team.getMember(1), secondLegRunner);
+        assert.strictEqual(team.getMember(2), null);
+    });
+
+    QUnit.test("Can create a team competitor that runs both legs one after the other", function (assert) {
+        var team = new Team("Team A", "ABC", [getFirstLegRunner(), getSecondLegRunner()]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.strictEqual(competitor.name, "Team A");
+        assert.strictEqual(competitor.club, "ABC");
+        assert.strictEqual(competitor.startTime, 10 * 3600);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 65, 65 + 221, 65 + 221 + 184, 570, 570 + 81, 570 + 81 + 197, 570 + 81 + 197 + 106]);
+        assert.strictEqual(competitor.totalTime, 570 + 81 + 197 + 106);
+        assert.ok(competitor.completed(), "Team competitor should have completed");
+    });
+
+    QUnit.test("Team competitor has null times for a leg without a runner and is a non-finisher", function (assert) {
+        var team = new Team("Team A", "ABC", [getFirstLegRunner(), null]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 65, 65 + 221, 65 + 221 + 184, 570, null, null, null]);
+        assert.ok(competitor.isNonFinisher, "Team competitor should be a non-finisher");
+    });
+
+    QUnit.test("Team competitor uses the difference in start times for a leg following one without a finish time", function (assert) {
+        var firstLegRunner = fromOriginalCumTimes(1, "John Smith", "Team A", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, null]);
+        var team = new Team("Team A", "ABC", [firstLegRunner, getSecondLegRunnerWithStartTime(10 * 3600 + 600)]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 65, 65 + 221, 65 + 221 + 184, null, 600 + 81, 600 + 81 + 197, 600 + 81 + 197 + 106]);
+    });
+
+    QUnit.test("Team competitor has null times for a leg following one without a finish time if the start time is not known", function (assert) {
+        var firstLegRunner = fromOriginalCumTimes(1, "John Smith", "Team A", 10 * 3600, [0, 65, 65 + 221, 65 + 221 + 184, null]);
+        var team = new Team("Team A", "ABC", [firstLegRunner, getSecondLegRunnerWithStartTime(null)]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 65, 65 + 221, 65 + 221 + 184, null, null, null, null]);
+    });
+
+    QUnit.test("Team competitor treats a leg runner with no times and no controls as absent", function (assert) {
+        var secondLegRunner = fromOriginalCumTimes(2, "Fred Brown", "Team A", null, [0, null]);
+        secondLegRunner.setNonStarter();
+        var team = new Team("Team A", "ABC", [getFirstLegRunner(), secondLegRunner]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.deepEqual(competitor.getAllOriginalCumulativeTimes(), [0, 65, 65 + 221, 65 + 221 + 184, 570, null, null, null]);
+        assert.ok(competitor.isNonFinisher, "Team competitor should be a non-finisher");
+        assert.ok(!competitor.isNonStarter, "Team competitor should not be a non-starter");
+    });
+
+    QUnit.test("Team competitor is a non-starter if no runner started", function (assert) {
+        var firstLegRunner = fromOriginalCumTimes(1, "John Smith", "Team A", null, [0, null]);
+        firstLegRunner.setNonStarter();
+        var team = new Team("Team A", "ABC", [firstLegRunner, null]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.ok(competitor.isNonStarter, "Team competitor should be a non-starter");
+    });
+
+    QUnit.test("Team competitor is disqualified if one of its runners is disqualified", function (assert) {
+        var secondLegRunner = getSecondLegRunner();
+        secondLegRunner.disqualify();
+        var team = new Team("Team A", "ABC", [getFirstLegRunner(), secondLegRunner]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.ok(competitor.isDisqualified, "Team competitor should be disqualified");
+        assert.ok(!competitor.isNonFinisher, "Team competitor should not be a non-finisher");
+    });
+
+    QUnit.test("Team competitor is non-competitive if one of its runners is non-competitive", function (assert) {
+        var firstLegRunner = getFirstLegRunner();
+        firstLegRunner.setNonCompetitive();
+        var team = new Team("Team A", "ABC", [firstLegRunner, getSecondLegRunner()]);
+        var competitor = team.createTeamCompetitor(1, LEG_CONTROL_COUNTS);
+        assert.ok(competitor.isNonCompetitive, "Team competitor should be non-competitive");
+    });
+
+    QUnit.test("Cannot create a team competitor if a runner has the wrong number of controls", function (assert) {
+        var team = new Team("Team A", "ABC", [getFirstLegRunner(), getSecondLegRunner()]);
+        SplitsBrowserTest.assertInvalidData(assert, function () {
+            team.createTeamCompetitor(1, [3, 4]);
+        });
+    });
+})();
@@ -120,6 +120,7 @@ var SplitsBrowserTest = {};
         var competitor = new Competitor(order, name, club, startTime, splitTimes, cumTimes);
         competitor.splitTimes = splitTimes;
         competitor.cumTimes = cumTimes;
+        competitor.ungradedCumTimes = cumTimes;
         return competitor;
     };
     
@@ -0,0 +1,97 @@
+/*
+ *  SplitsBrowser - TimeLossMethodSelector tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function (){
+    "use strict";
+
+    var TimeLossMethodSelector = SplitsBrowser.Controls.TimeLossMethodSelector;
+    var TimeLossMethods = SplitsBrowser.Model.TimeLossMethods;
+
+    QUnit.module("Time Loss Method Selector");
+
+    var methods = [TimeLossMethods.MedianSplitRatio, TimeLossMethods.TopRunnersAverage, TimeLossMethods.IdealTime];
+
+    var lastMethod = null;
+    var callCount = 0;
+
+    function handleMethodChanged(method) {
+        lastMethod = method;
+        callCount += 1;
+    }
+
+    function createSelector() {
+        lastMethod = null;
+        callCount = 0;
+        return new TimeLossMethodSelector(d3.select("#qunit-fixture").node(), methods);
+    }
+
+    QUnit.test("Can construct the selector with the first method selected", function (assert) {
+        var selector = createSelector();
+
+        var htmlSelect = $("#qunit-fixture select")[0];
+        assert.strictEqual(htmlSelect.options.length, 3, "Three items should be created");
+        assert.strictEqual($(htmlSelect.options[1]).text(), SplitsBrowser.getMessage("TimeLossMethodTopRunnersAverage"));
+        assert.strictEqual(selector.getTimeLossMethod(), TimeLossMethods.MedianSplitRatio);
+    });
+
+    QUnit.test("Changing a value in the selector calls the change handler with the method selected", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleMethodChanged);
+
+        $("#qunit-fixture select").val(2).change();
+
+        assert.strictEqual(lastMethod, TimeLossMethods.IdealTime);
+        assert.strictEqual(callCount, 1);
+        assert.strictEqual(selector.getTimeLossMethod(), TimeLossMethods.IdealTime);
+    });
+
+    QUnit.test("Registering the same handler twice and changing a value in the selector calls the handler only once", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleMethodChanged);
+        selector.registerChangeHandler(handleMethodChanged);
+
+        $("#qunit-fixture select").val(1).change();
+
+        assert.strictEqual(lastMethod, TimeLossMethods.TopRunnersAverage);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the method to a recognised method selects it and calls the change handler", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleMethodChanged);
+
+        selector.setTimeLossMethod(TimeLossMethods.TopRunnersAverage);
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 1);
+        assert.strictEqual(selector.getTimeLossMethod(), TimeLossMethods.TopRunnersAverage);
+        assert.strictEqual(lastMethod, TimeLossMethods.TopRunnersAverage);
+        assert.strictEqual(callCount, 1);
+    });
+
+    QUnit.test("Setting the method to an unrecognised method does nothing and does not call the change handler", function (assert) {
+        var selector = createSelector();
+        selector.registerChangeHandler(handleMethodChanged);
+
+        selector.setTimeLossMethod("This is not a recognised method");
+
+        assert.strictEqual($("#qunit-fixture select")[0].selectedIndex, 0);
+        assert.strictEqual(callCount, 0);
+    });
+})();
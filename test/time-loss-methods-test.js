@@ -0,0 +1,83 @@
+/*
+ *  SplitsBrowser - TimeLossMethods tests.
+ *  
+ *  Copyright (C) 2000-2019 Dave Ryder, Reinhard Balling, Andris Strazdins,
+ *                          Ed Nash, Luke Woodward
+ *
+ *  This program is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation; either version 2 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License along
+ *  with this program; if not, write to the Free Software Foundation, Inc.,
+ *  51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+(function () {
+    "use strict";
+
+    var CourseClass = SplitsBrowser.Model.CourseClass;
+    var TimeLossMethods = SplitsBrowser.Model.TimeLossMethods;
+
+    var fromSplitTimes = SplitsBrowserTest.fromSplitTimes;
+
+    QUnit.module("Time-loss methods");
+
+    function getTestClass() {
+        return new CourseClass("Test class", 3, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [81, 197, 212, 106]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600 + 60, [65, 221, 184, 100]),
+            fromSplitTimes(3, "Bill Baker", "GHI", 10 * 3600 + 120, [90, 210, 200, 110]),
+            fromSplitTimes(4, "Dave Jones", "JKL", 10 * 3600 + 180, [100, 250, 260, 150]),
+            fromSplitTimes(5, "Mark Gray", "MNO", 10 * 3600 + 240, [50, 150, null, 90])
+        ]);
+    }
+
+    QUnit.test("Median split-ratio method uses the fastest splits of competitors that completed the course as reference splits", function (assert) {
+        assert.deepEqual(TimeLossMethods.MedianSplitRatio.getReferenceSplits(getTestClass()), [65, 197, 184, 100]);
+    });
+
+    QUnit.test("Top-runners method uses the average of the three fastest splits of competitors that completed the course as reference splits", function (assert) {
+        assert.deepEqual(TimeLossMethods.TopRunnersAverage.getReferenceSplits(getTestClass()), [(65 + 81 + 90) / 3, (197 + 210 + 221) / 3, (184 + 200 + 212) / 3, (100 + 106 + 110) / 3]);
+    });
+
+    QUnit.test("Top-runners method uses the average of all splits as reference splits if fewer than three competitors completed the course", function (assert) {
+        var courseClass = new CourseClass("Test class", 1, [
+            fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [81, 197]),
+            fromSplitTimes(2, "John Smith", "ABC", 10 * 3600 + 60, [65, 221])
+        ]);
+        assert.deepEqual(TimeLossMethods.TopRunnersAverage.getReferenceSplits(courseClass), [(65 + 81) / 2, (197 + 221) / 2]);
+    });
+
+    QUnit.test("Top-runners method has null reference splits if nobody completed the course", function (assert) {
+        var courseClass = new CourseClass("Test class", 1, [fromSplitTimes(1, "Fred Brown", "DEF", 10 * 3600, [81, null])]);
+        assert.deepEqual(TimeLossMethods.TopRunnersAverage.getReferenceSplits(courseClass), [null, null]);
+    });
+
+    QUnit.test("Median split-ratio method returns the median of the split ratios", function (assert) {
+        assert.strictEqual(TimeLossMethods.MedianSplitRatio.getPerformanceRatio([110, 120, 110, 200], [100, 100, 100, 100]), 1.15);
+        assert.strictEqual(TimeLossMethods.MedianSplitRatio.getPerformanceRatio([110, 130, 200], [100, 100, 100]), 1.3);
+    });
+
+    QUnit.test("Ideal-time method returns the ratio of the total time to the ideal time if no leg is much slower than the others", function (assert) {
+        assert.strictEqual(TimeLossMethods.IdealTime.getPerformanceRatio([110, 120, 130], [100, 100, 100]), 1.2);
+    });
+
+    QUnit.test("Ideal-time method leaves out legs much slower than the others when calculating the ratio", function (assert) {
+        // Ratio over all legs is 540 / 400 = 1.35, and 200 / 100 is more
+        // than 1.2 times that, so the last leg is left out.
+        assert.strictEqual(TimeLossMethods.IdealTime.getPerformanceRatio([110, 120, 110, 200], [100, 100, 100, 100]), 340 / 300);
+    });
+
+    QUnit.test("Ideal-time method leaves out legs repeatedly until no more legs are much slower than the others", function (assert) {
+        // Ratio over all legs is 1000 / 400 = 2.5, so the last leg is left
+        // out.  Ratio over the remaining legs is 400 / 300, so the third leg
+        // is then left out too.
+        assert.strictEqual(TimeLossMethods.IdealTime.getPerformanceRatio([100, 100, 200, 600], [100, 100, 100, 100]), 1);
+    });
+})();
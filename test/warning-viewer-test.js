@@ -72,4 +72,81 @@
         $("#qunit-fixture div#warningTriangleContainer").click();
         assert.ok(!$("div.warningList").is(":visible"), "Warning list should not be visible after warning triangle clicked again");
     });
+    
+    QUnit.test("Parser name is not included in the tooltip if no parser name set", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setWarnings(["Warning 1"]);
+        assert.strictEqual($("div#warningViewerContainer").attr("title"), SplitsBrowser.getMessage("WarningsTooltip"));
+    });
+    
+    QUnit.test("Parser name is included in the tooltip if parser name set", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setWarnings(["Warning 1"]);
+        viewer.setParserName("TestParser");
+        assert.ok($("div#warningViewerContainer").attr("title").indexOf("TestParser") >= 0, "Tooltip should contain the parser name");
+    });
+    
+    QUnit.test("Parser name is not shown if no parser name set", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        new WarningViewer(parent);
+        assert.strictEqual($("div#parserNameContainer").css("display"), "none");
+    });
+    
+    QUnit.test("Parser name is shown if parser name set, even if there are no warnings", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setWarnings([]);
+        viewer.setParserName("TestParser");
+        assert.notStrictEqual($("div#parserNameContainer").css("display"), "none");
+        assert.strictEqual($("div#parserNameContainer span").text(), SplitsBrowser.getMessageWithFormatting("ParserNameLabel", {"$$PARSER$$": "TestParser"}));
+        assert.strictEqual($("div#warningViewerContainer").css("display"), "none");
+    });
+    
+    QUnit.test("Parser name is hidden again if parser name cleared", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setParserName("TestParser");
+        viewer.setParserName(null);
+        assert.strictEqual($("div#parserNameContainer").css("display"), "none");
+    });
+    
+    QUnit.test("Viewer is visible when corrections set but no warnings", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setWarnings([]);
+        viewer.setCorrections(["Correction 1", "Correction 2"]);
+        assert.ok($("svg", $("#qunit-fixture")).is(":visible"), "Warning viewer should be visible when corrections");
+        assert.strictEqual(d3.selectAll("#qunit-fixture div.correction").size(), 2, "Two corrections should be listed");
+    });
+    
+    QUnit.test("Corrections are listed after the warnings, under a heading", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setWarnings(["Warning 1"]);
+        viewer.setCorrections(["Correction 1"]);
+        var texts = $("#qunit-fixture div.warningList div").filter(function () { return $(this).children().length === 0; }).map(function () { return $(this).text(); }).get();
+        assert.deepEqual(texts, ["Warning 1", SplitsBrowser.getMessage("WarningsCorrectionsHeader"), "Correction 1"]);
+    });
+    
+    QUnit.test("Setting the warnings does not remove the corrections", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setCorrections(["Correction 1"]);
+        viewer.setWarnings(["Warning 1", "Warning 2"]);
+        assert.strictEqual(d3.selectAll("#qunit-fixture div.correction").size(), 1);
+        assert.strictEqual(d3.selectAll("#qunit-fixture div.warning").size(), 3);
+    });
+    
+    QUnit.test("Viewer is hidden when neither warnings nor corrections set", function (assert) {
+        var parent = d3.select("#qunit-fixture");
+        var viewer = new WarningViewer(parent);
+        viewer.setWarnings(["Warning 1"]);
+        viewer.setCorrections(["Correction 1"]);
+        viewer.setWarnings([]);
+        viewer.setCorrections([]);
+        assert.ok(!$("svg", $("#qunit-fixture")).is(":visible"), "Warning viewer should not be visible");
+        assert.strictEqual(d3.selectAll("#qunit-fixture div.correction").size(), 0);
+    });
 })();
\ No newline at end of file